@@ -29,11 +29,20 @@ import { client } from "./dbConfig.js";
 import { ObjectId } from "mongodb";
 import { startShippingReconciler } from "./jobs/shippingReconciler.js";
 import { runReturnsSlaEscalation } from "./jobs/returnsSlaEscalation.js";
+import { runSupportSlaEscalation } from "./jobs/supportSlaEscalation.js";
+import { runAbandonedCartRecovery } from "./jobs/abandonedCartRecovery.js";
+import { runProductAlerts } from "./jobs/productAlerts.js";
 import shippingCallbackRoutesFactory from "./routes/shippingCallbackRoutes.js";
 
 dotenv.config();
 
 const app = express();
+// Proxies in front of the API (load balancer, nginx) that append to X-Forwarded-For.
+// req.ip, and every per-IP rate limit with it, is the address the outermost of them saw.
+// Default 1 (one platform proxy, as on Render); TRUST_PROXY_HOPS=0 when clients connect
+// directly, so X-Forwarded-For is ignored.
+const trustProxyHops = Number.parseInt(process.env.TRUST_PROXY_HOPS ?? "1", 10);
+app.set("trust proxy", Number.isFinite(trustProxyHops) && trustProxyHops >= 0 ? trustProxyHops : 1);
 const dbName = process.env.DB_NAME || "glamzi_ecommerce";
 const db = client.db(dbName);
 
@@ -51,6 +60,7 @@ const __dirname = path.dirname(__filename);
 import adminSellerRoutes from "./routes/adminSellerRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
 import productRoutes from "./routes/productRoute.js";
+import searchRoutes from "./routes/searchRoutes.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
 import brandRoutes from "./routes/brandRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
@@ -74,9 +84,12 @@ import adminMessagingRoutes from "./routes/adminMessagingRoutes.js";
 import sellerNotificationRoutes from "./routes/sellerNotificationRoutes.js";
 import customerNotificationRoutes from "./routes/customerNotificationRoutes.js";
 import sellerCustomerMessageRoutes from "./routes/sellerCustomerMessageRoutes.js";
+import realtimeRoutes from "./routes/realtimeRoutes.js";
+import attachmentRoutes from "./routes/attachmentRoutes.js";
 
 // ✅ Admin seller support messaging routes (baseline requirement)
 import adminSellerSupportRoutes from "./routes/adminSellerSupportRoutes.js";
+import adminSupportTicketRoutes from "./routes/adminSupportTicketRoutes.js";
 
 // ✅ Admin product review / approval routes
 import adminProductRoutes from "./routes/adminProductRoutes.js";
@@ -84,6 +97,7 @@ import adminProductRoutes from "./routes/adminProductRoutes.js";
 // ✅ Admin orders listing + details (contains "/:id" so MUST be isolated)
 import adminOrdersRoutes from "./routes/adminOrdersRoutes.js";
 import adminRefundsRoutes from "./routes/adminRefundsRoutes.js";
+import adminRolesRoutes from "./routes/adminRolesRoutes.js";
 
 // ✅ Admin customers
 import adminCustomerRoutes from "./routes/adminCustomerRoutes.js";
@@ -96,6 +110,9 @@ import adminCommissionPayoutRoutes from "./routes/adminCommissionPayoutRoutes.js
 // ✅ Admin settlement routes
 import adminSettlementsRoutes from "./routes/adminSettlementsRoutes.js";
 import adminFinanceRoutes from "./routes/adminFinanceRoutes.js";
+import adminFinanceAccountsRoutes from "./routes/adminFinanceAccountsRoutes.js";
+import adminFinanceJournalsRoutes from "./routes/adminFinanceJournalsRoutes.js";
+import adminFinancePeriodsRoutes from "./routes/adminFinancePeriodsRoutes.js";
 
 // ✅ Admin invoices routes
 import adminInvoicesRoutes from "./routes/adminInvoicesRoutes.js";
@@ -150,6 +167,13 @@ import adminFlashSalesRoutes from "./routes/adminFlashSalesRoutes.js";
 // ✅ Cart coupon routes (customer cart apply/remove)
 import cartCouponRoutes from "./routes/cartCouponRoutes.js";
 
+// Wallet (store credit) + gift cards
+import walletRoutes from "./routes/walletRoutes.js";
+import adminGiftCardRoutes from "./routes/adminGiftCardRoutes.js";
+import cartRecoveryRoutes from "./routes/cartRecoveryRoutes.js";
+import adminCartRecoveryRoutes from "./routes/adminCartRecoveryRoutes.js";
+import productAlertRoutes from "./routes/productAlertRoutes.js";
+
 // =====================================================
 // CORS (HARDENED)
 // =====================================================
@@ -229,7 +253,17 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "Cache-Control", "X-Internal-Token", "X-Requested-With", "Accept"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "Cache-Control",
+    "X-Internal-Token",
+    "X-Requested-With",
+    "Accept",
+    "Idempotency-Key",
+    "X-Guest-Token",
+  ],
+  exposedHeaders: ["Idempotent-Replayed", "Retry-After"],
 };
 
 app.use(cors(corsOptions));
@@ -248,7 +282,8 @@ app.use(express.json({ limit: "20mb" }));
 app.use(express.urlencoded({ extended: true, limit: "20mb" }));
 
 // Static files
-app.use("/uploads", express.static(path.join(process.cwd(), "uploads")));
+// Local upload storage (services/storage/objectStorage.js) plus files from before it existed
+app.use("/uploads", express.static(path.resolve(process.env.UPLOAD_LOCAL_DIR || "uploads")));
 
 // =====================================================
 // Routes
@@ -260,6 +295,9 @@ app.use("/api/auth", authRoutes);
 // PUBLIC PRODUCTS
 app.use("/api", productRoutes);
 
+// STOREFRONT SEARCH
+app.use("/api/search", searchRoutes);
+
 // CATEGORIES & BRANDS
 app.use("/api", categoryRoutes);
 app.use("/api", brandRoutes);
@@ -283,6 +321,9 @@ app.use("/api/admin/settlements/payout-batches", (req, res) => {
 });
 
 app.use("/api/admin", adminSettlementsRoutes);
+app.use("/api/admin/finance/accounts", adminFinanceAccountsRoutes);
+app.use("/api/admin/finance/journals", adminFinanceJournalsRoutes);
+app.use("/api/admin/finance/periods", adminFinancePeriodsRoutes);
 app.use("/api/admin/finance", adminFinanceRoutes);
 app.use("/api/admin", adminCommissionRoutes);
 app.use("/api/admin", adminCommissionPayoutRoutes);
@@ -294,8 +335,10 @@ app.use("/api/admin/refunds", adminRefundsRoutes);
 // other admin modules
 app.use("/api/admin/returns", adminReturnsRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/admin", adminRolesRoutes);
 app.use("/api/admin", adminSellerRoutes);
 app.use("/api/admin", adminSellerSupportRoutes);
+app.use("/api/admin/support", adminSupportTicketRoutes);
 app.use("/api/admin", adminCustomerRoutes);
 app.use("/api/admin", adminSubscriberRoutes);
 app.use("/api/admin", adminProductRoutes);
@@ -309,6 +352,8 @@ app.use("/api/customer", customerNotificationRoutes);
 
 // ✅ Admin coupons (cart coupons, campaigns)
 app.use("/api/admin", adminCouponRoutes);
+app.use("/api/admin", adminGiftCardRoutes);
+app.use("/api/admin", adminCartRecoveryRoutes);
 
 // ✅ Cart pricing (if your cartPricingRoutes defines relative paths)
 app.use("/api/cart", cartPricingRoutes);
@@ -348,9 +393,16 @@ app.use("/api/cart", cartRoutes);
 // ✅ Cart coupon apply / remove (ONLY once — avoid duplicate mounts)
 app.use("/api/cart/coupons", cartCouponRoutes);
 
+// Abandoned cart reminders: unsubscribe + preferences
+app.use("/api/cart-recovery", cartRecoveryRoutes);
+app.use("/api/product-alerts", productAlertRoutes);
+
 // ✅ Orders
 app.use("/api/orders", ordersRoutes);
 
+// Wallet + gift cards
+app.use("/api/wallet", walletRoutes);
+
 // ✅ Customer returns
 app.use("/api/returns", returnsRoutes);
 
@@ -368,6 +420,8 @@ app.use("/api/seller/discounts", sellerDiscountRoutes);
 app.use("/api", customerMessageRoutes);
 app.use("/api", sellerMessageRoutes);
 app.use("/api", sellerCustomerMessageRoutes);
+app.use("/api/realtime", realtimeRoutes);
+app.use("/api/attachments", attachmentRoutes);
 
 // =========================
 // Payments
@@ -461,6 +515,29 @@ client
       );
     }, 60 * 60 * 1000);
 
+    // Support ticket SLAs are counted in hours, check them more often.
+    setInterval(() => {
+      runSupportSlaEscalation({ limit: 200 }).catch((err) =>
+        console.error("[SUPPORT_SLA_JOB]", err)
+      );
+    }, 10 * 60 * 1000);
+
+    // Abandoned cart reminders (CART_RECOVERY_ENABLED=false turns them off)
+    if (process.env.CART_RECOVERY_ENABLED !== "false") {
+      setInterval(() => {
+        runAbandonedCartRecovery({ limit: 200 }).catch((err) =>
+          console.error("[CART_RECOVERY_JOB]", err)
+        );
+      }, 15 * 60 * 1000);
+    }
+
+    // Back-in-stock / price-drop alerts (PRODUCT_ALERTS_ENABLED=false turns them off)
+    if (process.env.PRODUCT_ALERTS_ENABLED !== "false") {
+      setInterval(() => {
+        runProductAlerts().catch((err) => console.error("[PRODUCT_ALERTS_JOB]", err));
+      }, 5 * 60 * 1000);
+    }
+
     // Flash lifecycle + reservation sweeper (every minute)
     const runFlashWorkers = async () => {
       const now = new Date();
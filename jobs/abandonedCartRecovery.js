@@ -0,0 +1,22 @@
+import { getDB } from "../dbConfig.js";
+import {
+  detectAbandonedCarts,
+  sendDueReminders,
+  expireCartRecoveries,
+} from "../services/cartRecovery/cartRecoveryService.js";
+
+function now() {
+  return new Date();
+}
+
+// Open episodes for newly idle carts, send due reminders, close stale episodes.
+export async function runAbandonedCartRecovery({ limit = 200 } = {}) {
+  const db = await getDB();
+  const ts = now();
+
+  const detected = await detectAbandonedCarts(db, { now: ts, limit });
+  const reminders = await sendDueReminders(db, { now: ts, limit });
+  const expired = await expireCartRecoveries(db, { now: ts });
+
+  return { ...detected, ...reminders, ...expired };
+}
@@ -0,0 +1,8 @@
+import { getDB } from "../dbConfig.js";
+import { dispatchProductAlerts } from "../services/productAlerts/productAlertService.js";
+
+// Fan recorded product changes out to subscribers, PRODUCT_ALERT_MAX_SENDS_PER_RUN at a time.
+export async function runProductAlerts({ now = new Date() } = {}) {
+  const db = await getDB();
+  return dispatchProductAlerts(db, { now });
+}
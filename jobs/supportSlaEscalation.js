@@ -0,0 +1,84 @@
+import { getDB } from "../dbConfig.js";
+import { notifyAdmin } from "../utils/notify.js";
+import { breachFilter, slaState } from "../services/support/tickets.js";
+
+// Re-escalate a still-breached ticket at most this often.
+const ESCALATION_REPEAT_MS = 4 * 60 * 60 * 1000;
+const MAX_LEVEL = 3;
+
+function now() {
+  return new Date();
+}
+
+async function getTicketsCollection() {
+  const db = await getDB();
+  return db.collection("supportTickets");
+}
+
+export async function runSupportSlaEscalation({ limit = 200 } = {}) {
+  const Tickets = await getTicketsCollection();
+  const ts = now();
+
+  const cursor = Tickets.find(
+    {
+      ...breachFilter("breached", ts),
+      "sla.escalationLevel": { $lt: MAX_LEVEL },
+    },
+    { sort: { "sla.resolutionDueAt": 1 }, limit, projection: { notes: 0, events: 0 } }
+  );
+
+  let count = 0;
+  while (await cursor.hasNext()) {
+    const ticket = await cursor.next();
+    const state = slaState(ticket, ts);
+    if (!state.breached) continue;
+
+    const lastEsc = ticket.sla?.lastEscalatedAt ? new Date(ticket.sla.lastEscalatedAt) : null;
+    if (lastEsc && ts.getTime() - lastEsc.getTime() < ESCALATION_REPEAT_MS) continue;
+
+    const currentLevel = Number(ticket.sla?.escalationLevel || 0);
+    const nextLevel = Math.min(currentLevel + 1, MAX_LEVEL);
+    const breach = state.resolutionBreached ? "resolution" : "first_response";
+
+    const set = { "sla.escalationLevel": nextLevel, "sla.lastEscalatedAt": ts, updatedAt: ts };
+    if (state.firstResponseBreached && !ticket.sla?.firstResponseBreachedAt) set["sla.firstResponseBreachedAt"] = ts;
+    if (state.resolutionBreached && !ticket.sla?.resolutionBreachedAt) set["sla.resolutionBreachedAt"] = ts;
+
+    await Tickets.updateOne(
+      { _id: ticket._id },
+      {
+        $set: set,
+        $push: {
+          events: {
+            at: ts,
+            actor: { kind: "system", id: "support_sla_job" },
+            type: "SLA_ESCALATED",
+            meta: {
+              from: currentLevel,
+              to: nextLevel,
+              breach,
+              dueAt: breach === "resolution" ? ticket.sla?.resolutionDueAt : ticket.sla?.firstResponseDueAt,
+            },
+          },
+        },
+      }
+    );
+
+    try {
+      await notifyAdmin({
+        type: "support_sla_breach",
+        title: `${ticket.ticketNumber} breached its ${breach === "resolution" ? "resolution" : "first response"} SLA`,
+        message: `${ticket.subject} (${ticket.priority}, ${ticket.assigneeName || "unassigned"}) - escalation level ${nextLevel}`,
+        link: `/admin/support/tickets/${ticket._id}`,
+        meta: { ticketId: String(ticket._id), level: nextLevel, breach },
+        push: nextLevel === 1 || ticket.priority === "urgent",
+      });
+    } catch (err) {
+      console.error("[SUPPORT_SLA_JOB] notify failed", err?.message || err);
+    }
+
+    count += 1;
+  }
+
+  return { escalated: count };
+}
@@ -10,6 +10,7 @@ export async function ensureSettlementIndexes(db) {
   const sellers = db.collection("gl_daily_seller_settlements");
   const commission = db.collection("gl_daily_commission_snapshots");
   const reports = db.collection("gl_daily_financial_reports");
+  const drift = db.collection("gl_snapshot_drift_checks");
 
   await Promise.all([
     runs.createIndex({ businessDate: 1 }, { unique: true, name: "uniq_businessDate" }),
@@ -21,6 +22,8 @@ export async function ensureSettlementIndexes(db) {
     sellers.createIndex({ sellerId: 1, businessDate: -1 }, { name: "seller_bd_desc" }),
     commission.createIndex({ businessDate: 1 }, { unique: true, name: "uniq_bd_commission" }),
     reports.createIndex({ businessDate: 1 }, { unique: true, name: "uniq_bd_report" }),
+    drift.createIndex({ businessDate: 1 }, { unique: true, name: "uniq_bd_drift" }),
+    drift.createIndex({ ok: 1, businessDate: -1 }, { name: "drift_ok_bd" }),
   ]);
 }
 
@@ -74,6 +77,8 @@ export async function snapshotAccounts({ db, businessDate, window, closeId, runI
   if (ops.length) {
     await snaps.bulkWrite(ops, { ordered: false });
   }
+  // A re-closed day (accountingPeriods.recloseBusinessDay) can lose accounts
+  await snaps.deleteMany({ businessDate, accountKey: { $nin: computed.perAccount.map((r) => r.accountKey) } });
 
   return {
     ok: true,
@@ -389,7 +394,7 @@ export async function processSettlementRunFromClose({ db, closeDoc, log = consol
           updatedAt: now,
         },
       },
-      { upsert: true, returnDocument: "after" }
+      { upsert: true, returnDocument: "after", includeResultMetadata: true }
     );
 
     if (runDoc.value?.status === "COMPLETED") {
@@ -0,0 +1,31 @@
+// middlewares/attachmentUpload.js
+// Single message attachment, buffered in memory for sniffing and scanning
+// (services/attachments/attachmentService.js stores it). Nothing touches disk here.
+//
+//   router.post("/:id", authMiddleware, attachmentUpload("attachment"), handler)
+
+import { memoryUpload, withUploadErrors } from "./uploadMiddleware.js";
+import { ATTACHMENT_UPLOAD_LIMIT } from "../services/attachments/attachmentPolicy.js";
+
+const upload = memoryUpload({ fileSize: ATTACHMENT_UPLOAD_LIMIT, files: 1, fields: 20 });
+
+export function attachmentUpload(field = "attachment") {
+  return withUploadErrors(upload.single(field), {
+    tooLargeMessage: "Attachment is too large",
+    tooLargeCode: "ATTACHMENT_TOO_LARGE",
+  });
+}
+
+/**
+ * Error from storeMessageAttachment -> JSON response; anything else is rethrown.
+ */
+export function sendAttachmentError(res, err) {
+  if (!err?.statusCode || !String(err.code || "").startsWith("ATTACHMENT_")) throw err;
+  return res.status(err.statusCode).json({
+    success: false,
+    message: err.message,
+    code: err.code,
+    ...(err.allowed ? { allowed: err.allowed } : {}),
+    ...(err.maxBytes ? { maxBytes: err.maxBytes } : {}),
+  });
+}
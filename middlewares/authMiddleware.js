@@ -1,15 +1,21 @@
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 
+import { client } from "../dbConfig.js";
+import { isAccessTokenRevoked } from "../services/auth/sessionService.js";
+import { ensureRolesFresh, isStaffRole } from "../services/auth/roles.js";
+
 dotenv.config();
 const JWT_SECRET = process.env.JWT_SECRET || "mysecretkey";
 
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
 const isDev = process.env.NODE_ENV !== "production";
 
 /* ===============================
    AUTH (HARDENED)
 =============================== */
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
   try {
     // 1) Read auth header safely
     const authHeader =
@@ -52,6 +58,26 @@ export const authMiddleware = (req, res, next) => {
     // 5) Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
 
+    // 6) Server-side revocation (logout, per-device revoke, account status change)
+    let revokedReason = null;
+    try {
+      revokedReason = await isAccessTokenRevoked(db, decoded);
+    } catch (checkErr) {
+      console.error("[AUTH] Revocation check failed:", checkErr);
+      return res.status(503).json({ message: "Authentication temporarily unavailable" });
+    }
+
+    if (revokedReason) {
+      if (isDev) {
+        console.log("[AUTH] Token revoked", {
+          path: req.originalUrl,
+          method: req.method,
+          reason: revokedReason,
+        });
+      }
+      return res.status(401).json({ message: "Token revoked", code: "TOKEN_REVOKED" });
+    }
+
     // Normalize common fields for downstream routes
     const normalizedUser = {
       ...decoded,
@@ -105,10 +131,15 @@ export const isSuperAdminMiddleware = (req, res, next) => {
   return res.status(403).json({ message: "Super Admin only" });
 };
 
-// ✅ Staff (admin + others)
-export const isStaffMiddleware = (req, res, next) => {
-  const allowed = ["super-admin", "admin", "account", "marketing", "support"];
-  if (allowed.includes(req.user?.role)) return next();
+// ✅ Staff (any staff role, built-in or custom). What staff may do is checked
+// per route with requirePermission().
+export const isStaffMiddleware = async (req, res, next) => {
+  try {
+    await ensureRolesFresh(db);
+  } catch (err) {
+    console.error("isStaffMiddleware: role refresh failed", err?.message || err);
+  }
+  if (isStaffRole(req.user?.role)) return next();
   return res.status(403).json({ message: "Staff access only" });
 };
 
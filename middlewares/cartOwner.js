@@ -0,0 +1,73 @@
+// middlewares/cartOwner.js
+// Cart access for signed-in customers and anonymous guests (services/cart/guestCart.js).
+//
+//   router.get("/", cartOwner, handler)                 -> req.cartOwner = { userId } | { guestId }
+//   router.post("/", guestCheckout, idempotency(...), handler)
+//
+// A request with a bearer token (or x-access-token) goes through authMiddleware as before;
+// one without uses the X-Guest-Token header. Neither -> 401 GUEST_TOKEN_REQUIRED, and the
+// client fetches a token from POST /api/cart/guest-token.
+//
+// guestCheckout: signed-in callers pass straight through. Guests also send
+// body.guest { email, phone, name }; their cart is moved to a lightweight customer record
+// (created on first use) and req.user is set to it, so order placement runs unchanged.
+
+import { client } from "../dbConfig.js";
+import { authMiddleware } from "./authMiddleware.js";
+import { GUEST_TOKEN_HEADER, parseGuestContact, verifyGuestToken } from "../services/cart/guestCart.js";
+import { ensureGuestCustomer, mergeGuestCartIntoUser } from "../services/cart/guestCartService.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+function hasAuthToken(req) {
+  return Boolean(String(req.headers.authorization || "").trim() || String(req.headers["x-access-token"] || "").trim());
+}
+
+function guestIdFrom(req, res) {
+  const token = req.get(GUEST_TOKEN_HEADER);
+  const guestId = verifyGuestToken(token);
+  if (guestId) return guestId;
+
+  res.status(401).json({
+    success: false,
+    message: token ? "Guest session expired. Please refresh your cart." : "Please log in or start a guest session.",
+    code: token ? "GUEST_TOKEN_INVALID" : "GUEST_TOKEN_REQUIRED",
+  });
+  return null;
+}
+
+export function cartOwner(req, res, next) {
+  if (hasAuthToken(req)) {
+    return authMiddleware(req, res, () => {
+      req.cartOwner = { userId: String(req.user?._id || req.user?.id || "") };
+      next();
+    });
+  }
+
+  const guestId = guestIdFrom(req, res);
+  if (!guestId) return undefined;
+  req.cartOwner = { guestId };
+  return next();
+}
+
+export async function guestCheckout(req, res, next) {
+  if (hasAuthToken(req)) return authMiddleware(req, res, next);
+
+  const guestId = guestIdFrom(req, res);
+  if (!guestId) return undefined;
+
+  const contact = parseGuestContact(req.body?.guest, req.body?.shippingAddress);
+  if (contact.error) return res.status(400).json({ success: false, message: contact.error, code: "GUEST_CONTACT_REQUIRED" });
+
+  try {
+    const user = await ensureGuestCustomer(db, contact);
+    await mergeGuestCartIntoUser(db, { guestId, userId: user._id, replace: true });
+
+    req.user = { _id: String(user._id), id: String(user._id), role: "customer", email: user.email, guest: true };
+    return next();
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ success: false, message: err.message, code: err.code });
+    console.error("guestCheckout failed:", err);
+    return res.status(500).json({ success: false, message: "Failed to start guest checkout" });
+  }
+}
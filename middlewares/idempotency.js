@@ -0,0 +1,92 @@
+// middlewares/idempotency.js
+// Honour the Idempotency-Key header (services/security/idempotency.js).
+//
+//   router.post("/", authMiddleware, idempotency("orders.create"), handler)
+//
+// Without the header the request runs as before. With it:
+//  - first request runs and its JSON response is stored
+//  - retries with the same key and body get the stored response (Idempotent-Replayed: true)
+//  - same key, different body -> 409 IDEMPOTENCY_KEY_REUSED
+//  - retry while the first is still running -> 409 IDEMPOTENCY_IN_PROGRESS + Retry-After
+// Must run after authMiddleware (keys are per user).
+
+import { client } from "../dbConfig.js";
+import {
+  isValidIdempotencyKey,
+  requestFingerprint,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+} from "../services/security/idempotency.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+export function idempotency(scope) {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+
+    if (!isValidIdempotencyKey(key)) {
+      return res.status(400).json({
+        message: "Idempotency-Key must be 8-255 printable characters",
+        code: "INVALID_IDEMPOTENCY_KEY",
+      });
+    }
+
+    const userId = String(req.user?._id || req.user?.id || "");
+    const ctx = { scope, userId, key };
+    const fingerprint = requestFingerprint({ method: req.method, path: req.baseUrl + req.path, body: req.body });
+
+    let claim;
+    try {
+      claim = await beginIdempotentRequest(db, { ...ctx, fingerprint });
+    } catch (err) {
+      // Don't block checkout on a Mongo hiccup; behave as if no key was sent.
+      console.error(`idempotency(${scope}) lookup failed, running request:`, err);
+      return next();
+    }
+
+    if (claim.outcome === "replay") {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(claim.response.statusCode).json(claim.response.body);
+    }
+    if (claim.outcome === "mismatch") {
+      return res.status(409).json({
+        message: "This Idempotency-Key was already used for a different request",
+        code: "IDEMPOTENCY_KEY_REUSED",
+      });
+    }
+    if (claim.outcome === "in_progress") {
+      res.set("Retry-After", String(Math.ceil(claim.retryAfterMs / 1000)));
+      return res.status(409).json({
+        message: "A request with this Idempotency-Key is still being processed",
+        code: "IDEMPOTENCY_IN_PROGRESS",
+      });
+    }
+
+    let settled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (!settled) {
+        settled = true;
+        completeIdempotentRequest(db, { ...ctx, statusCode: res.statusCode, body }).catch((err) =>
+          console.error(`idempotency(${scope}) store failed:`, err)
+        );
+      }
+      return originalJson(body);
+    };
+    // Responses that never went through res.json (redirects, crashes) free the key.
+    res.on("finish", () => {
+      if (settled) return;
+      settled = true;
+      releaseIdempotentRequest(db, ctx).catch((err) => console.error(`idempotency(${scope}) release failed:`, err));
+    });
+    res.on("close", () => {
+      if (settled || res.writableFinished) return;
+      settled = true;
+      releaseIdempotentRequest(db, ctx).catch((err) => console.error(`idempotency(${scope}) release failed:`, err));
+    });
+
+    return next();
+  };
+}
@@ -0,0 +1,77 @@
+// middlewares/rateLimit.js
+// Express middleware over services/security/rateLimit.js
+//
+//   router.post("/login", rateLimit("login"), handler)
+//
+// Sets RateLimit-Limit / RateLimit-Remaining, and Retry-After on 429.
+// Fails open when Mongo is unavailable (same as the follow limiter) so an outage
+// doesn't lock everyone out of login.
+// RATE_LIMIT_DISABLED=1 turns every policy off (local load tests).
+
+import { client } from "../dbConfig.js";
+import { RATE_LIMIT_POLICIES, hitRateLimit, rateLimitKey } from "../services/security/rateLimit.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+// Behind a proxy this is the address the trusted hop saw (app.set("trust proxy") in index.js);
+// the client can't pick it by sending its own X-Forwarded-For.
+export function clientIp(req) {
+  return req.ip || "";
+}
+
+/**
+ * 429 with Retry-After (seconds). Also used for account lockout responses.
+ */
+export function sendTooManyRequests(res, retryAfterMs, body = {}) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: "Too many requests. Please try again later.",
+    code: "RATE_LIMITED",
+    retryAfter,
+    ...body,
+  });
+}
+
+export function rateLimit(policyName) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy "${policyName}"`);
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_DISABLED === "1") return next();
+
+    try {
+      let worst = null;
+      for (const rule of policy.rules) {
+        const key = rateLimitKey(req, rule.by);
+        if (!key) continue;
+
+        const decision = await hitRateLimit(db, {
+          ruleName: `${policyName}:${rule.by}`,
+          key,
+          limit: rule.limit,
+          windowMs: policy.windowMs,
+        });
+        // Report the most restrictive rule: a blocked one (longest wait) beats an allowed one.
+        const worse = !worst
+          ? true
+          : decision.allowed !== worst.allowed
+            ? !decision.allowed
+            : decision.allowed
+              ? decision.remaining < worst.remaining
+              : decision.retryAfterMs > worst.retryAfterMs;
+        if (worse) worst = { ...decision, limit: rule.limit };
+      }
+
+      if (worst) {
+        res.set("RateLimit-Limit", String(worst.limit));
+        res.set("RateLimit-Remaining", String(worst.remaining));
+        if (!worst.allowed) return sendTooManyRequests(res, worst.retryAfterMs);
+      }
+      return next();
+    } catch (err) {
+      console.error(`rateLimit(${policyName}) failed, allowing request:`, err);
+      return next();
+    }
+  };
+}
@@ -0,0 +1,32 @@
+// middlewares/requirePermission.js
+// Permission guard for admin routes (catalogue: services/auth/permissions.js).
+//
+//   router.patch("/:id/status", authMiddleware, requirePermission("orders.update"), handler)
+//
+// Every listed permission is required. Must run after authMiddleware.
+// 403 { code: "PERMISSION_DENIED", permission } names the first missing one.
+
+import { client } from "../dbConfig.js";
+import { ensureRolesFresh, userHasPermission } from "../services/auth/roles.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+export function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    try {
+      await ensureRolesFresh(db);
+    } catch (err) {
+      // Keep serving from the last loaded roles (or the built-in defaults).
+      console.error("requirePermission: role refresh failed", err?.message || err);
+    }
+
+    const missing = permissions.find((p) => !userHasPermission(req.user, p));
+    if (!missing) return next();
+
+    return res.status(403).json({
+      message: "You don't have permission to do this",
+      code: "PERMISSION_DENIED",
+      permission: missing,
+    });
+  };
+}
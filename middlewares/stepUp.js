@@ -0,0 +1,34 @@
+// middlewares/stepUp.js
+// Step-up re-verification for sensitive staff actions (payouts, period close, ...).
+//
+//   router.patch("/settlements/batches/:id/status", authMiddleware, ensureFinanceAccess, requireStepUp(), handler)
+//
+// Passes when the caller's session had a second-factor check within STEP_UP_TTL_MS
+// (default 10 minutes). Otherwise 401 { code: "STEP_UP_REQUIRED" }: the client calls
+// POST /api/auth/2fa/step-up with a TOTP/recovery code and retries.
+// Must run after authMiddleware.
+
+import { client } from "../dbConfig.js";
+import { getSessionStepUpAt } from "../services/auth/sessionService.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const STEP_UP_TTL_MS = Number(process.env.STEP_UP_TTL_MS || 10 * 60 * 1000);
+
+export function requireStepUp({ maxAgeMs = STEP_UP_TTL_MS } = {}) {
+  return async (req, res, next) => {
+    try {
+      const sid = req.user?.sid;
+      const stepUpAt = sid ? await getSessionStepUpAt(db, sid) : null;
+      if (stepUpAt && Date.now() - new Date(stepUpAt).getTime() <= maxAgeMs) return next();
+
+      return res.status(401).json({
+        message: "Please confirm this action with your authenticator code.",
+        code: "STEP_UP_REQUIRED",
+      });
+    } catch (err) {
+      console.error("requireStepUp failed:", err);
+      return res.status(503).json({ message: "Verification temporarily unavailable" });
+    }
+  };
+}
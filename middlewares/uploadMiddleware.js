@@ -1,14 +1,44 @@
+// middlewares/uploadMiddleware.js
+// Multer for every upload route. Files are buffered in memory and handed to
+// services/storage/uploadService.js (or services/attachments) - nothing is written here.
+//
+//   const upload = memoryUpload({ fileSize: 5 * 1024 * 1024, files: 8 });
+//   router.post("/x", authMiddleware, withUploadErrors(upload.array("images", 8)), handler)
 
 import multer from "multer";
-import path from "path";
-import fs from "fs";
 
-const uploadDir = path.join(process.cwd(), "uploads");
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
+export function memoryUpload({ fileSize = 10 * 1024 * 1024, files = 10, fields = 50 } = {}) {
+  return multer({ storage: multer.memoryStorage(), limits: { fileSize, files, fields } });
+}
 
-const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, uploadDir),
-  filename: (_, file, cb) => cb(null, Date.now() + "-" + file.originalname),
-});
+export const upload = memoryUpload();
 
-export const upload = multer({ storage });
+/**
+ * Wrap a multer middleware so its errors become 413/400 JSON instead of a 500.
+ */
+export function withUploadErrors(middleware, { tooLargeMessage = "File is too large", tooLargeCode = "UPLOAD_TOO_LARGE" } = {}) {
+  return (req, res, next) =>
+    middleware(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({ success: false, message: tooLargeMessage, code: tooLargeCode });
+        }
+        return res.status(400).json({ success: false, message: `Invalid upload: ${err.message}`, code: "INVALID_UPLOAD" });
+      }
+      return next(err);
+    });
+}
+
+/**
+ * Error from storeUpload -> JSON response; anything else is rethrown.
+ */
+export function sendUploadError(res, err) {
+  if (!err?.statusCode || !String(err.code || "").startsWith("UPLOAD_")) throw err;
+  return res.status(err.statusCode).json({
+    success: false,
+    message: err.message,
+    code: err.code,
+    ...(err.allowed ? { allowed: err.allowed } : {}),
+  });
+}
@@ -0,0 +1,79 @@
+// routes/adminCartRecoveryRoutes.js
+// Abandoned cart recovery reporting (services/cartRecovery). Mounted at /api/admin.
+//
+//   GET /cart-recovery          ?status=&userId=&page=&limit=     episodes, newest first
+//   GET /cart-recovery/stats    ?from=&to=  (default: last 30 days) conversions and recovered revenue
+//
+// Roles stored in Mongo before cart recovery existed need cart_recovery.read added
+// through /api/admin/roles.
+
+import express from "express";
+import { ObjectId } from "mongodb";
+
+import { client } from "../dbConfig.js";
+import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { safeInt } from "../utils/query.js";
+import { CART_RECOVERY_STATUS } from "../services/cartRecovery/cartRecovery.js";
+import { cartRecoveryStats } from "../services/cartRecovery/cartRecoveryService.js";
+
+const router = express.Router();
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const Recoveries = db.collection("cartRecoveries");
+
+const canRead = [authMiddleware, isActiveMiddleware, requirePermission("cart_recovery.read")];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// fallback when absent, null when present but not a date
+function parseDate(v, fallback) {
+  if (!v) return fallback;
+  const d = new Date(String(v));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+router.get("/cart-recovery", canRead, async (req, res) => {
+  try {
+    const page = safeInt(req.query.page, 1, 1, 10000);
+    const limit = safeInt(req.query.limit, 20, 1, 100);
+
+    const filter = {};
+    const status = String(req.query.status || "").trim();
+    if (status) {
+      if (!Object.values(CART_RECOVERY_STATUS).includes(status)) return res.status(400).json({ message: "Invalid status" });
+      filter.status = status;
+    }
+    if (req.query.userId) {
+      if (!ObjectId.isValid(String(req.query.userId))) return res.status(400).json({ message: "Invalid userId" });
+      filter.userId = new ObjectId(String(req.query.userId));
+    }
+
+    const [items, total] = await Promise.all([
+      Recoveries.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      Recoveries.countDocuments(filter),
+    ]);
+    return res.json({ ok: true, items, total, page, limit });
+  } catch (err) {
+    console.error("GET /api/admin/cart-recovery error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.get("/cart-recovery/stats", canRead, async (req, res) => {
+  try {
+    const to = parseDate(req.query.to, new Date());
+    const from = to && parseDate(req.query.from, new Date(to.getTime() - 30 * DAY_MS));
+    if (!from || !to || from >= to) {
+      return res.status(400).json({ message: "from and to must be dates with from before to" });
+    }
+
+    const stats = await cartRecoveryStats(db, { from, to });
+    return res.json({ ok: true, from, to, stats });
+  } catch (err) {
+    console.error("GET /api/admin/cart-recovery/stats error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
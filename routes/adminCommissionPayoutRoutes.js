@@ -4,11 +4,9 @@ import dotenv from "dotenv";
 import { ObjectId } from "mongodb";
 
 import { client } from "../dbConfig.js";
-import {
-  authMiddleware,
-  isActiveMiddleware,
-  isStaffMiddleware,
-} from "../middlewares/authMiddleware.js";
+import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { postPayoutPaid } from "../services/finance/ledgerPosting.js";
 
 dotenv.config();
 
@@ -19,22 +17,8 @@ const db = client.db(dbName);
 
 const Invoices = db.collection("invoices");
 
-// Staff guard
-const staffGuard = [authMiddleware, isActiveMiddleware, isStaffMiddleware];
-
-// Finance roles allowed
-function ensureFinanceRole(req, res) {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "account"];
-  if (!allowed.includes(role)) {
-    res.status(403).json({
-      success: false,
-      message: "Finance access only (super-admin, admin, account).",
-    });
-    return false;
-  }
-  return true;
-}
+// Staff guard (permission is checked per route)
+const staffGuard = [authMiddleware, isActiveMiddleware];
 
 function toObjectId(id) {
   try {
@@ -46,6 +30,16 @@ function toObjectId(id) {
 
 const ALLOWED_PAYOUT_STATUS = ["pending", "paid", "failed"];
 
+// Finance ledger: seller earnings paid outside a settlement batch. Best effort.
+async function postPaidPayouts(ids, reference, paidAt) {
+  try {
+    const invoices = await Invoices.find({ _id: { $in: ids }, "commissionPayout.status": "paid" }).toArray();
+    await postPayoutPaid(db, invoices, { reference, postedAt: paidAt });
+  } catch (e) {
+    console.error("Finance posting failed on commission payout", e);
+  }
+}
+
 /**
  * PATCH /api/admin/commission/:invoiceId/payout-status
  * Body:
@@ -61,10 +55,9 @@ const ALLOWED_PAYOUT_STATUS = ["pending", "paid", "failed"];
 router.patch(
   "/commission/:invoiceId/payout-status",
   staffGuard,
+  requirePermission("commission.payouts"),
   async (req, res) => {
     try {
-      if (!ensureFinanceRole(req, res)) return;
-
       const invoiceId = toObjectId(req.params.invoiceId);
       if (!invoiceId) {
         return res
@@ -143,6 +136,7 @@ router.patch(
         { _id: invoiceId },
         { $set: update, $currentDate: { updatedAt: true } }
       );
+      if (status === "paid") await postPaidPayouts([invoiceId], ref, paidAt);
 
       const saved = await Invoices.findOne(
         { _id: invoiceId },
@@ -190,10 +184,9 @@ router.patch(
 router.patch(
   "/commission/payout-status/bulk",
   staffGuard,
+  requirePermission("commission.payouts"),
   async (req, res) => {
     try {
-      if (!ensureFinanceRole(req, res)) return;
-
       const invoiceIdsRaw = req.body?.invoiceIds;
       const status = String(req.body?.status || "").toLowerCase().trim();
       const ref = String(req.body?.ref || "").trim();
@@ -248,6 +241,7 @@ router.patch(
         { _id: { $in: ids } },
         { $set: update, $currentDate: { updatedAt: true } }
       );
+      if (status === "paid") await postPaidPayouts(ids, ref, now);
 
       return res.json({
         success: true,
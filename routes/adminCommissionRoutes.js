@@ -4,6 +4,11 @@ import dotenv from "dotenv";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
 import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import {
+  computeInvoiceCommission,
+  normalizeCommissionRules,
+} from "../services/finance/commissionRules.js";
 
 dotenv.config();
 
@@ -18,22 +23,9 @@ const CommissionSettings = db.collection("commissionSettings");
 const Settlements = db.collection("settlements");
 const Orders = db.collection("orders");
 
-// ✅ IMPORTANT FIX:
-// Do NOT use isStaffMiddleware here (it often blocks admin/account).
-// We enforce finance roles using ensureFinanceRole() below.
+// Permission (commission.read / commission.manage) is checked per route.
 const financeGuard = [authMiddleware, isActiveMiddleware];
 
-// Only allow these staff roles for finance module
-function ensureFinanceRole(req, res) {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "account"];
-  if (!allowed.includes(role)) {
-    res.status(403).json({ success: false, message: "Finance access only" });
-    return false;
-  }
-  return true;
-}
-
 /* ===============================
    Helpers
 =============================== */
@@ -206,8 +198,8 @@ function normalizeSettings(input = {}) {
       allowCustomPerSeller: safeBool(rules.allowCustomPerSeller),
       allowCategoryOverrides: safeBool(rules.allowCategoryOverrides),
     },
-    categoryRules: Array.isArray(s.categoryRules) ? s.categoryRules : [],
-    sellerOverrides: Array.isArray(s.sellerOverrides) ? s.sellerOverrides : [],
+    categoryRules: normalizeCommissionRules(s.categoryRules, "category"),
+    sellerOverrides: normalizeCommissionRules(s.sellerOverrides, "seller"),
   };
 
   if (normalized.global.minRate > normalized.global.maxRate) {
@@ -241,9 +233,9 @@ async function getDefaultCommissionRate() {
 }
 
 /* ======================================================
-   DEBUG: Test commission listing without auth
+   DEBUG: Test commission listing
 ====================================================== */
-router.get("/commission/test-listing", async (req, res) => {
+router.get("/commission/test-listing", financeGuard, requirePermission("commission.read"), async (req, res) => {
   try {
     const { rateType: defaultRateType, rate: defaultRate } = await getDefaultCommissionRate();
     const match = {};
@@ -333,10 +325,8 @@ router.get("/commission/test-listing", async (req, res) => {
    => GET/PUT /api/admin/commission/settings
 ====================================================== */
 
-router.get("/commission/settings", financeGuard, async (req, res) => {
+router.get("/commission/settings", financeGuard, requirePermission("commission.read"), async (req, res) => {
   try {
-    if (!ensureFinanceRole(req, res)) return;
-
     const doc = await CommissionSettings.findOne({ _id: "default" });
 
     return res.json({
@@ -353,10 +343,8 @@ router.get("/commission/settings", financeGuard, async (req, res) => {
   }
 });
 
-router.put("/commission/settings", financeGuard, async (req, res) => {
+router.put("/commission/settings", financeGuard, requirePermission("commission.manage"), async (req, res) => {
   try {
-    if (!ensureFinanceRole(req, res)) return;
-
     const incoming = req.body?.settings;
     const normalized = normalizeSettings(incoming);
 
@@ -381,6 +369,83 @@ router.put("/commission/settings", financeGuard, async (req, res) => {
   }
 });
 
+/* ======================================================
+   POST /api/admin/commission/simulate
+   Preview which rule applies (seller override > category rule > global)
+   Body: {
+     sellerId?, at?,                       // at = sale date (defaults to now)
+     items: [{ productId?, categoryId?, price, quantity }],
+     settings?                             // optional draft settings to preview before saving
+   }
+====================================================== */
+router.post("/commission/simulate", financeGuard, requirePermission("commission.read"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const items = Array.isArray(body.items) ? body.items.slice(0, 200) : [];
+    if (!items.length) {
+      return res.status(400).json({ success: false, message: "items[] is required" });
+    }
+
+    const at = body.at ? safeDate(body.at) : new Date();
+    if (!at) {
+      return res.status(400).json({ success: false, message: "Invalid 'at' date" });
+    }
+
+    let settings;
+    if (body.settings && typeof body.settings === "object") {
+      settings = normalizeSettings(body.settings);
+    } else {
+      const doc = await CommissionSettings.findOne({ _id: "default" });
+      settings = doc?.settings || DEFAULT_SETTINGS;
+    }
+
+    const sellerId = body.sellerId ? String(body.sellerId).trim() : null;
+    let seller = null;
+    const sellerObjId = toObjectId(sellerId);
+    if (sellerObjId) {
+      seller = await Users.findOne(
+        { _id: sellerObjId },
+        { projection: { storeName: 1, shopName: 1, email: 1 } }
+      );
+    }
+
+    const result = computeInvoiceCommission({
+      settings,
+      sellerId,
+      at,
+      items: items.map((it) => ({
+        productId: it?.productId || null,
+        categoryId: it?.categoryId || null,
+        price: toNum(it?.price) ?? 0,
+        quantity: toInt(it?.quantity, 1),
+      })),
+    });
+
+    return res.json({
+      success: true,
+      at,
+      seller: seller
+        ? { _id: seller._id, name: seller.storeName || seller.shopName || seller.email || "" }
+        : null,
+      usingDraftSettings: Boolean(body.settings),
+      gross: result.gross,
+      commission: result.amount,
+      net: Math.max(0, Math.round((result.gross - result.amount) * 100) / 100),
+      rateType: result.rateType,
+      rate: result.rate,
+      source: result.source,
+      ruleId: result.ruleId,
+      matchedRule: result.matchedRule,
+      lines: result.lines,
+    });
+  } catch (err) {
+    console.error("admin commission simulate error:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Failed to simulate commission" });
+  }
+});
+
 /* ======================================================
    GET /api/admin/commission/listing
    ✅ FIXES:
@@ -408,11 +473,9 @@ const ALLOWED_PAYOUT_STATUS = [
   "cancelled",
 ];
 
-router.get("/commission/listing", financeGuard, async (req, res) => {
+router.get("/commission/listing", financeGuard, requirePermission("commission.read"), async (req, res) => {
   console.log("[Commission Listing] Called, user:", req.user?.email, "role:", req.user?.role);
   try {
-    if (!ensureFinanceRole(req, res)) return;
-
     const {
       q = "",
       status = "",
@@ -783,10 +846,8 @@ router.get("/commission/listing", financeGuard, async (req, res) => {
    Query: page, limit, sellerId, q, dateFrom, dateTo
 ====================================================== */
 
-router.get("/commission/unsettled", financeGuard, async (req, res) => {
+router.get("/commission/unsettled", financeGuard, requirePermission("commission.read"), async (req, res) => {
   try {
-    if (!ensureFinanceRole(req, res)) return;
-
     const {
       page = "1",
       limit = "20",
@@ -12,6 +12,8 @@ import express from "express";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { CUSTOMER_SEGMENTS } from "../utils/discountEngine.js";
 
 const router = express.Router();
 const dbName = process.env.DB_NAME || "glamzi_ecommerce";
@@ -25,17 +27,6 @@ const Audit = db.collection("discountAuditLogs");
 =============================== */
 const nowUtc = () => new Date();
 
-function ensureAdmin(req, res) {
-  const role = String(req.user?.role || "").toLowerCase();
-  // ✅ Recommended: coupon management should be admin/super-admin/marketing.
-  // If you truly want staff here, add "staff" back explicitly.
-  if (!["admin", "super-admin", "marketing"].includes(role)) {
-    res.status(403).json({ success: false, message: "Admin access only" });
-    return false;
-  }
-  return true;
-}
-
 function safeStr(v) {
   return String(v ?? "").trim();
 }
@@ -91,6 +82,49 @@ function normalizeKind(discountType) {
   return null;
 }
 
+const PAYMENT_METHODS = ["cod", "online", "esewa"];
+
+/**
+ * Customer eligibility rules (evaluated by applyDiscounts):
+ *   firstOrderOnly, customerSegment ("all" | "new" | "returning"), newCustomerDays,
+ *   allowedPaymentMethods ([] = any)
+ * Only keys present in `body` are returned. { error } on invalid input.
+ */
+function parseEligibility(body = {}) {
+  const out = {};
+
+  if (body.firstOrderOnly !== undefined) {
+    out.firstOrderOnly = body.firstOrderOnly === true || body.firstOrderOnly === "true";
+  }
+
+  if (body.customerSegment !== undefined) {
+    const seg = safeStr(body.customerSegment || "all").toLowerCase();
+    if (!CUSTOMER_SEGMENTS.includes(seg)) return { error: "Invalid customerSegment" };
+    out.customerSegment = seg;
+  }
+
+  if (body.newCustomerDays !== undefined) {
+    if (body.newCustomerDays === null || body.newCustomerDays === "") {
+      out.newCustomerDays = null;
+    } else {
+      const days = clampInt(body.newCustomerDays, 1, 3650);
+      if (days == null) return { error: "Invalid newCustomerDays" };
+      out.newCustomerDays = days;
+    }
+  }
+
+  if (body.allowedPaymentMethods !== undefined) {
+    const list = Array.isArray(body.allowedPaymentMethods) ? body.allowedPaymentMethods : [];
+    const methods = [...new Set(list.map((m) => safeStr(m).toLowerCase()).filter(Boolean))];
+    if (methods.some((m) => !PAYMENT_METHODS.includes(m))) {
+      return { error: `allowedPaymentMethods must be from: ${PAYMENT_METHODS.join(", ")}` };
+    }
+    out.allowedPaymentMethods = methods;
+  }
+
+  return { fields: out };
+}
+
 async function audit(discountId, action, actor, meta = {}) {
   try {
     await Audit.insertOne({
@@ -115,9 +149,7 @@ async function audit(discountId, action, actor, meta = {}) {
  * Query: status, q, limit, page
  * - q matches code partial (case-insensitive)
  */
-router.get("/coupons", authMiddleware, async (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-
+router.get("/coupons", authMiddleware, requirePermission("coupons.manage"), async (req, res) => {
   const status = normalizeStatus(req.query.status);
   const q = safeStr(req.query.q);
 
@@ -177,12 +209,14 @@ router.get("/coupons", authMiddleware, async (req, res) => {
  *   maxDiscount,
  *   startAt,
  *   endAt,
- *   status
+ *   status,
+ *   firstOrderOnly,
+ *   customerSegment,      // "all" | "new" | "returning"
+ *   newCustomerDays,      // "new" = account younger than this (default 30)
+ *   allowedPaymentMethods // ["cod" | "online" | "esewa"], empty = any
  * }
  */
-router.post("/coupons", authMiddleware, async (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-
+router.post("/coupons", authMiddleware, requirePermission("coupons.manage"), async (req, res) => {
   const actorId = safeStr(req.user?.id || req.user?._id || req.user?.email);
   const role = String(req.user?.role || "admin").toLowerCase();
 
@@ -234,6 +268,9 @@ router.post("/coupons", authMiddleware, async (req, res) => {
     return res.status(400).json({ success: false, message: "endAt must be after startAt" });
   }
 
+  const eligibility = parseEligibility(req.body);
+  if (eligibility.error) return res.status(400).json({ success: false, message: eligibility.error });
+
   const status = normalizeStatus(req.body?.status) || "draft";
   const isActive = status === "active";
 
@@ -266,6 +303,13 @@ router.post("/coupons", authMiddleware, async (req, res) => {
     perUserLimit: perUserLimit == null ? null : perUserLimit,
     usedCount: 0,
 
+    // Customer eligibility
+    firstOrderOnly: false,
+    customerSegment: "all",
+    newCustomerDays: null,
+    allowedPaymentMethods: [],
+    ...eligibility.fields,
+
     // Lifecycle
     status, // draft/active/inactive/disabled/paused/expired
     isActive, // redundant but used by legacy checks
@@ -301,9 +345,7 @@ router.post("/coupons", authMiddleware, async (req, res) => {
  * PATCH /api/admin/coupons/:id/status
  * body: { status }
  */
-router.patch("/coupons/:id/status", authMiddleware, async (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-
+router.patch("/coupons/:id/status", authMiddleware, requirePermission("coupons.manage"), async (req, res) => {
   const actorId = safeStr(req.user?.id || req.user?._id || req.user?.email);
   const role = String(req.user?.role || "admin").toLowerCase();
 
@@ -376,4 +418,53 @@ router.patch("/coupons/:id/status", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/admin/coupons/:id/eligibility
+ * body: { firstOrderOnly?, customerSegment?, newCustomerDays?, allowedPaymentMethods?, perUserLimit? }
+ */
+router.patch("/coupons/:id/eligibility", authMiddleware, requirePermission("coupons.manage"), async (req, res) => {
+  const actorId = safeStr(req.user?.id || req.user?._id || req.user?.email);
+  const role = String(req.user?.role || "admin").toLowerCase();
+
+  const idStr = safeStr(req.params.id);
+  if (!ObjectId.isValid(idStr)) {
+    return res.status(400).json({ success: false, message: "Invalid id" });
+  }
+  const id = new ObjectId(idStr);
+
+  const eligibility = parseEligibility(req.body);
+  if (eligibility.error) return res.status(400).json({ success: false, message: eligibility.error });
+
+  const setObj = { ...eligibility.fields };
+  if (req.body?.perUserLimit !== undefined) {
+    if (req.body.perUserLimit === null || req.body.perUserLimit === "") {
+      setObj.perUserLimit = null;
+    } else {
+      const limit = clampInt(req.body.perUserLimit, 1, 999999999);
+      if (limit == null) return res.status(400).json({ success: false, message: "Invalid perUserLimit" });
+      setObj.perUserLimit = limit;
+    }
+  }
+
+  if (!Object.keys(setObj).length) {
+    return res.status(400).json({ success: false, message: "Nothing to update" });
+  }
+
+  try {
+    const r = await Discounts.findOneAndUpdate(
+      { _id: id, authority: "admin", codeType: "coupon" },
+      { $set: { ...setObj, updatedAt: nowUtc(), updatedBy: { userId: actorId, role } } },
+      { returnDocument: "after", includeResultMetadata: true }
+    );
+    if (!r.value) return res.status(404).json({ success: false, message: "Coupon not found" });
+
+    await audit(id, "eligibility_changed", { userId: actorId, role }, setObj);
+
+    res.json({ success: true, item: r.value });
+  } catch (err) {
+    console.error("PATCH /api/admin/coupons/:id/eligibility error:", err);
+    res.status(500).json({ success: false, message: "Failed to update eligibility" });
+  }
+});
+
 export default router;
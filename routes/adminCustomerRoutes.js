@@ -4,6 +4,7 @@ import { ObjectId } from "mongodb";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 dotenv.config();
 
@@ -24,7 +25,7 @@ const getUsersCollection = () => {
  *   - search: text search on name/email/phone
  *   - limit, page: for basic pagination
  */
-router.get("/customers", authMiddleware, async (req, res) => {
+router.get("/customers", authMiddleware, requirePermission("customers.read"), async (req, res) => {
   try {
     const usersCol = getUsersCollection();
 
@@ -80,7 +81,7 @@ router.get("/customers", authMiddleware, async (req, res) => {
  * GET /api/admin/customers/:id
  * Single customer details view for Admin
  */
-router.get("/customers/:id", authMiddleware, async (req, res) => {
+router.get("/customers/:id", authMiddleware, requirePermission("customers.read"), async (req, res) => {
   try {
     const usersCol = getUsersCollection();
     const { id } = req.params;
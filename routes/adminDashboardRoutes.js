@@ -5,8 +5,8 @@ import { client } from "../dbConfig.js";
 import {
   authMiddleware,
   isActiveMiddleware,
-  isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 const router = express.Router();
 
@@ -47,7 +47,7 @@ router.get(
   "/stats",
   authMiddleware,
   isActiveMiddleware,
-  isStaffMiddleware,
+  requirePermission("dashboard.read"),
   async (req, res) => {
     try {
       const { period = "month" } = req.query;
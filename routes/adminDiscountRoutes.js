@@ -10,7 +10,13 @@ import {
   isActiveMiddleware,
   isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { sendSellerPushNotification } from "../utils/sellerPush.js";
+import {
+  GROUP_DISCOUNT_KINDS,
+  normalizeGroupDiscountKind,
+  parseGroupDiscountRules,
+} from "../utils/discountEngine.js";
 
 dotenv.config();
 const router = express.Router();
@@ -25,17 +31,6 @@ const SellerNotifications = db.collection("seller_notifications");
 // Staff guard (admin/staff)
 const staffGuard = [authMiddleware, isActiveMiddleware, isStaffMiddleware];
 
-// Only allow these roles for discount module
-function ensureDiscountRole(req, res) {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "marketing"];
-  if (!allowed.includes(role)) {
-    res.status(403).json({ success: false, message: "Discount access only" });
-    return false;
-  }
-  return true;
-}
-
 /* ===============================
    HELPERS
 =============================== */
@@ -78,7 +73,12 @@ function normalizeAdminStatus(s) {
 
 function normalizeAdminKind(k) {
   const v = String(k || "").toLowerCase();
-  return ["percentage", "flat", "free_shipping"].includes(v) ? v : "percentage";
+  if (["percentage", "flat", "free_shipping"].includes(v)) return v;
+  return normalizeGroupDiscountKind(v) || "percentage";
+}
+
+function idList(v) {
+  return Array.isArray(v) ? [...new Set(v.map((x) => String(x ?? "").trim()).filter(Boolean))] : [];
 }
 
 function normalizeFlashKind(k) {
@@ -238,10 +238,8 @@ function buildSellerDiscountMatch({ sellerId, scope, status, q, from, to }) {
 =================================================== */
 
 // GET /api/admin/discounts
-router.get("/", staffGuard, async (req, res) => {
+router.get("/", staffGuard, requirePermission("discounts.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
-
     const status = req.query.status ? String(req.query.status) : "";
     const q = req.query.q ? String(req.query.q) : "";
 
@@ -259,11 +257,18 @@ router.get("/", staffGuard, async (req, res) => {
           title: { $ifNull: ["$title", "$name"] },
           name: { $ifNull: ["$name", "$title"] },
 
-          kind: 1, // percentage | flat | free_shipping
+          kind: 1, // percentage | flat | free_shipping | bxgy | tiered | bundle
           value: 1,
           maxDiscount: 1,
           minCartSubtotal: 1,
 
+          bxgy: 1,
+          tiers: 1,
+          tierType: 1,
+          bundle: 1,
+          productIds: 1,
+          categoryIds: 1,
+
           scope: 1,
           status: 1,
           isActive: 1,
@@ -290,10 +295,8 @@ router.get("/", staffGuard, async (req, res) => {
 });
 
 // POST /api/admin/discounts
-router.post("/", staffGuard, async (req, res) => {
+router.post("/", staffGuard, requirePermission("discounts.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
-
     const title = safeString(req.body?.title, 200);
     if (!title) {
       return res.status(400).json({ success: false, message: "Title is required" });
@@ -309,19 +312,28 @@ router.post("/", staffGuard, async (req, res) => {
     const minCartSubtotal = safeNumber(req.body?.minCartSubtotal, 0);
     const priority = safeInt(req.body?.priority, 0);
 
+    // bxgy / tiered / bundle carry their own rules instead of a value
+    const isGroup = GROUP_DISCOUNT_KINDS.includes(kind);
+    let groupRules = null;
+    if (isGroup) {
+      const r = parseGroupDiscountRules(kind, req.body || {});
+      if (!r.ok) return res.status(400).json({ success: false, message: r.message });
+      groupRules = r.rules;
+    }
+
     const rawValue =
       saleType === "flash"
         ? req.body?.pricing?.value
         : req.body?.value !== undefined
           ? req.body?.value
           : req.body?.pricing?.value;
-    const value = kind === "free_shipping" ? 0 : safeNumber(rawValue, 0);
-    if (kind !== "free_shipping" && (!Number.isFinite(value) || value <= 0)) {
+    const value = kind === "free_shipping" || isGroup ? 0 : safeNumber(rawValue, 0);
+    if (kind !== "free_shipping" && !isGroup && (!Number.isFinite(value) || value <= 0)) {
       return res.status(400).json({ success: false, message: "Value must be > 0" });
     }
 
     const maxDiscount =
-      kind === "percentage" &&
+      (kind === "percentage" || (isGroup && kind !== "bundle")) &&
       req.body?.maxDiscount !== null &&
       req.body?.maxDiscount !== undefined &&
       req.body?.maxDiscount !== ""
@@ -341,12 +353,22 @@ router.post("/", staffGuard, async (req, res) => {
 
     const scopeRaw = String(req.body?.scope || "").toLowerCase();
     const scope =
-      saleType === "flash"
+      saleType === "flash" || kind === "bundle"
         ? "product"
         : kind === "free_shipping"
           ? "shipping"
           : scopeRaw || "cart";
 
+    // Targets for product / category scoped group promos (bundles target their own products)
+    const targetProductIds = isGroup && kind !== "bundle" && scope === "product" ? idList(req.body?.productIds) : [];
+    const targetCategoryIds = isGroup && scope === "category" ? idList(req.body?.categoryIds) : [];
+    if (isGroup && kind !== "bundle" && scope === "product" && !targetProductIds.length) {
+      return res.status(400).json({ success: false, message: "productIds are required for product scope" });
+    }
+    if (isGroup && scope === "category" && !targetCategoryIds.length) {
+      return res.status(400).json({ success: false, message: "categoryIds are required for category scope" });
+    }
+
     const productIds =
       saleType === "flash" && Array.isArray(req.body?.productIds)
         ? req.body.productIds
@@ -384,6 +406,10 @@ router.post("/", staffGuard, async (req, res) => {
       startAt: startAt || null,
       endAt: endAt || null,
 
+      ...(groupRules || {}),
+      ...(targetProductIds.length ? { productIds: targetProductIds } : {}),
+      ...(targetCategoryIds.length ? { categoryIds: targetCategoryIds } : {}),
+
       ...(saleType ? { saleType } : {}),
       ...(productIds ? { productIds } : {}),
       ...(limits ? { limits } : {}),
@@ -411,10 +437,8 @@ router.post("/", staffGuard, async (req, res) => {
 
 // PATCH /api/admin/discounts/:id/status
 // Body: { status: "active" | "draft" | "paused" | "inactive" | "disabled" | "expired" }
-router.patch("/:id/status", staffGuard, async (req, res) => {
+router.patch("/:id/status", staffGuard, requirePermission("discounts.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
-
     const id = toObjectId(req.params.id);
     if (!id) {
       return res.status(400).json({ success: false, message: "Invalid discount id" });
@@ -456,10 +480,8 @@ router.patch("/:id/status", staffGuard, async (req, res) => {
 });
 
 // DELETE /api/admin/discounts/:id
-router.delete("/:id", staffGuard, async (req, res) => {
+router.delete("/:id", staffGuard, requirePermission("discounts.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
-
     const id = toObjectId(req.params.id);
     if (!id) {
       return res.status(400).json({ success: false, message: "Invalid discount id" });
@@ -494,10 +516,8 @@ router.delete("/:id", staffGuard, async (req, res) => {
 =================================================== */
 
 // GET /api/admin/discounts/sellers
-router.get("/sellers", staffGuard, async (req, res) => {
+router.get("/sellers", staffGuard, requirePermission("discounts.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
-
     const page = Math.max(1, safeInt(req.query.page, 1));
     const limit = Math.min(100, Math.max(5, safeInt(req.query.limit, 20)));
     const skip = (page - 1) * limit;
@@ -680,6 +700,10 @@ router.get("/sellers", staffGuard, async (req, res) => {
 
           discountType: 1,
           value: 1,
+          bxgy: 1,
+          tiers: 1,
+          tierType: 1,
+          bundle: 1,
 
           startsAt: 1,
           endsAt: 1,
@@ -723,10 +747,8 @@ router.get("/sellers", staffGuard, async (req, res) => {
 
 // PATCH /api/admin/discounts/sellers/:id/status
 // Body: { enabled: true|false, note?: string }
-router.patch("/sellers/:id/status", staffGuard, async (req, res) => {
+router.patch("/sellers/:id/status", staffGuard, requirePermission("discounts.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
-
     const id = toObjectId(req.params.id);
     if (!id) {
       return res.status(400).json({ success: false, message: "Invalid discount id" });
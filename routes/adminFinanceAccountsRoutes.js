@@ -0,0 +1,121 @@
+// routes/adminFinanceAccountsRoutes.js
+// Chart of accounts for finance staff (services/finance/chartOfAccounts). Mounted at
+// /api/admin/finance/accounts.
+//
+//   GET    /          ?type=&active=true|false&parentKey=&q=&subLedgers=true&page=&limit=
+//   GET    /:key      account + debit/credit totals, balance on its normal side, children count
+//   POST   /          { key, name, type, parentKey?, normalBalance?, postable?, description? }
+//   PATCH  /:key      { name?, description?, parentKey?, type?, normalBalance?, postable?, active? }
+//                     active:false closes the account (zero balance only)
+//   DELETE /:key      only accounts that never had a posting
+//
+// seller:<id> and wallet:<userId> accounts are created by the ledger on their first posting.
+// Roles stored in Mongo before the chart existed need finance.accounts added through
+// /api/admin/roles.
+
+import express from "express";
+
+import { getDB } from "../dbConfig.js";
+import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { logAdminAction } from "../services/auditLogService.js";
+import { safeInt } from "../utils/query.js";
+import { ACCOUNT_TYPES } from "../services/finance/chartOfAccounts.js";
+import {
+  createAccount,
+  deleteAccount,
+  getAccount,
+  listAccounts,
+  updateAccount,
+} from "../services/finance/chartOfAccountsService.js";
+
+const router = express.Router();
+
+const staff = [authMiddleware, isActiveMiddleware];
+const canRead = [...staff, requirePermission("finance.read")];
+const canManage = [...staff, requirePermission("finance.accounts")];
+
+function actorOf(req) {
+  return { id: String(req.user?._id || req.user?.id || ""), email: req.user?.email || null };
+}
+
+function sendError(res, err, label) {
+  if (err?.statusCode) return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Server error" });
+}
+
+router.get("/", canRead, async (req, res) => {
+  try {
+    const page = safeInt(req.query.page, 1, 1, 10000);
+    const limit = safeInt(req.query.limit, 50, 1, 200);
+
+    const type = String(req.query.type || "").trim().toLowerCase();
+    if (type && !Object.values(ACCOUNT_TYPES).includes(type)) return res.status(400).json({ message: "Invalid type" });
+
+    const active = req.query.active === undefined ? undefined : String(req.query.active) === "true";
+    const parentKey = req.query.parentKey === undefined ? undefined : String(req.query.parentKey).trim();
+
+    const { items, total } = await listAccounts(await getDB(), {
+      type: type || null,
+      active,
+      parentKey,
+      q: String(req.query.q || "").trim(),
+      includeSubLedgers: String(req.query.subLedgers) === "true",
+      page,
+      limit,
+    });
+    return res.json({ ok: true, items, total, page, limit });
+  } catch (err) {
+    return sendError(res, err, "GET /api/admin/finance/accounts");
+  }
+});
+
+router.get("/:key", canRead, async (req, res) => {
+  try {
+    const account = await getAccount(await getDB(), req.params.key);
+    return res.json({ ok: true, account });
+  } catch (err) {
+    return sendError(res, err, "GET /api/admin/finance/accounts/:key");
+  }
+});
+
+router.post("/", canManage, async (req, res) => {
+  try {
+    const account = await createAccount(await getDB(), req.body, actorOf(req));
+    await logAdminAction({
+      action: "GL_ACCOUNT_CREATED",
+      actor: req.user,
+      details: { key: account.key, type: account.type, parentKey: account.parentKey },
+    });
+    return res.status(201).json({ ok: true, account });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/accounts");
+  }
+});
+
+router.patch("/:key", canManage, async (req, res) => {
+  try {
+    const account = await updateAccount(await getDB(), req.params.key, req.body, actorOf(req));
+    await logAdminAction({
+      action: "GL_ACCOUNT_UPDATED",
+      actor: req.user,
+      details: { key: account.key, changes: Object.keys(req.body || {}) },
+    });
+    return res.json({ ok: true, account });
+  } catch (err) {
+    return sendError(res, err, "PATCH /api/admin/finance/accounts/:key");
+  }
+});
+
+router.delete("/:key", canManage, async (req, res) => {
+  try {
+    const account = await deleteAccount(await getDB(), req.params.key);
+    await logAdminAction({ action: "GL_ACCOUNT_DELETED", actor: req.user, details: { key: account.key } });
+    return res.json({ ok: true, deleted: account.key });
+  } catch (err) {
+    return sendError(res, err, "DELETE /api/admin/finance/accounts/:key");
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+// routes/adminFinanceJournalsRoutes.js
+// Manual and reversal journal entries with maker-checker approval
+// (services/finance/journals.js). Mounted at /api/admin/finance/journals.
+//
+//   GET    /                ?status=&type=manual|reversal&q=&page=&limit=
+//   GET    /:id
+//   POST   /                { memo, postedAt?, lines: [{ accountKey, dc, amount, note? }] }   -> draft
+//   POST   /reversals       { transactionGroupId, memo?, postedAt?, submit? }                 -> draft / submitted
+//   PATCH  /:id             { memo?, postedAt?, lines? }  (author, draft or rejected)
+//   POST   /:id/submit      author
+//   POST   /:id/cancel      author
+//   POST   /:id/approve     a different finance user, posts to the ledger (step-up)
+//   POST   /:id/reject      { reason }, a different finance user
+//
+// Roles stored in Mongo before journals existed need journals.create / journals.approve
+// added through /api/admin/roles.
+
+import express from "express";
+
+import { getDB } from "../dbConfig.js";
+import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { requireStepUp } from "../middlewares/stepUp.js";
+import { logAdminAction } from "../services/auditLogService.js";
+import { safeInt } from "../utils/query.js";
+import { JOURNAL_STATUS, JOURNAL_TYPES } from "../services/finance/journals.js";
+import {
+  approveJournal,
+  cancelJournal,
+  createJournal,
+  createReversal,
+  getJournal,
+  listJournals,
+  rejectJournal,
+  submitJournal,
+  updateJournal,
+} from "../services/finance/journalService.js";
+
+const router = express.Router();
+
+const staff = [authMiddleware, isActiveMiddleware];
+const canRead = [...staff, requirePermission("finance.read")];
+const canDraft = [...staff, requirePermission("journals.create")];
+const canApprove = [...staff, requirePermission("journals.approve")];
+
+function actorOf(req) {
+  return { id: String(req.user?._id || req.user?.id || ""), email: req.user?.email || null, role: req.user?.role || null };
+}
+
+function sendError(res, err, label) {
+  if (err?.statusCode) return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Server error" });
+}
+
+function audit(req, action, journal, extra = {}) {
+  return logAdminAction({
+    action,
+    actor: req.user,
+    details: {
+      journalId: String(journal._id),
+      journalNumber: journal.journalNumber,
+      type: journal.type,
+      status: journal.status,
+      ...(journal.reversalOf ? { reversalOf: journal.reversalOf.transactionGroupId } : {}),
+      ...extra,
+    },
+  });
+}
+
+router.get("/", canRead, async (req, res) => {
+  try {
+    const page = safeInt(req.query.page, 1, 1, 10000);
+    const limit = safeInt(req.query.limit, 20, 1, 100);
+
+    const status = String(req.query.status || "").trim().toLowerCase();
+    if (status && !Object.values(JOURNAL_STATUS).includes(status)) return res.status(400).json({ message: "Invalid status" });
+    const type = String(req.query.type || "").trim().toLowerCase();
+    if (type && !Object.values(JOURNAL_TYPES).includes(type)) return res.status(400).json({ message: "Invalid type" });
+
+    const { items, total } = await listJournals(await getDB(), {
+      status: status || null,
+      type: type || null,
+      q: String(req.query.q || "").trim(),
+      page,
+      limit,
+    });
+    return res.json({ ok: true, items, total, page, limit });
+  } catch (err) {
+    return sendError(res, err, "GET /api/admin/finance/journals");
+  }
+});
+
+router.post("/reversals", canDraft, async (req, res) => {
+  try {
+    const journal = await createReversal(await getDB(), req.body, actorOf(req));
+    await audit(req, "GL_REVERSAL_CREATED", journal);
+    return res.status(201).json({ ok: true, journal });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/journals/reversals");
+  }
+});
+
+router.get("/:id", canRead, async (req, res) => {
+  try {
+    const journal = await getJournal(await getDB(), req.params.id);
+    return res.json({ ok: true, journal });
+  } catch (err) {
+    return sendError(res, err, "GET /api/admin/finance/journals/:id");
+  }
+});
+
+router.post("/", canDraft, async (req, res) => {
+  try {
+    const journal = await createJournal(await getDB(), req.body, actorOf(req));
+    await audit(req, "GL_JOURNAL_CREATED", journal);
+    return res.status(201).json({ ok: true, journal });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/journals");
+  }
+});
+
+router.patch("/:id", canDraft, async (req, res) => {
+  try {
+    const journal = await updateJournal(await getDB(), req.params.id, req.body, actorOf(req));
+    await audit(req, "GL_JOURNAL_UPDATED", journal, { changes: Object.keys(req.body || {}) });
+    return res.json({ ok: true, journal });
+  } catch (err) {
+    return sendError(res, err, "PATCH /api/admin/finance/journals/:id");
+  }
+});
+
+router.post("/:id/submit", canDraft, async (req, res) => {
+  try {
+    const journal = await submitJournal(await getDB(), req.params.id, actorOf(req));
+    await audit(req, "GL_JOURNAL_SUBMITTED", journal);
+    return res.json({ ok: true, journal });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/journals/:id/submit");
+  }
+});
+
+router.post("/:id/cancel", canDraft, async (req, res) => {
+  try {
+    const journal = await cancelJournal(await getDB(), req.params.id, actorOf(req));
+    await audit(req, "GL_JOURNAL_CANCELLED", journal);
+    return res.json({ ok: true, journal });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/journals/:id/cancel");
+  }
+});
+
+// Approving writes to the ledger: requires a recent 2FA step-up.
+router.post("/:id/approve", canApprove, requireStepUp(), async (req, res) => {
+  try {
+    const journal = await approveJournal(await getDB(), req.params.id, actorOf(req));
+    await audit(req, "GL_JOURNAL_APPROVED", journal, { transactionGroupId: journal.posting?.transactionGroupId });
+    return res.json({ ok: true, journal });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/journals/:id/approve");
+  }
+});
+
+router.post("/:id/reject", canApprove, async (req, res) => {
+  try {
+    const journal = await rejectJournal(await getDB(), req.params.id, req.body, actorOf(req));
+    await audit(req, "GL_JOURNAL_REJECTED", journal, { reason: journal.rejection?.reason });
+    return res.json({ ok: true, journal });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/journals/:id/reject");
+  }
+});
+
+export default router;
@@ -0,0 +1,173 @@
+// routes/adminFinancePeriodsRoutes.js
+// Ledger period locks (services/finance/periodLocks.js): closed business days and settlement
+// periods, the super-admin re-open workflow and the snapshot drift detector.
+// Mounted at /api/admin/finance/periods.
+//
+//   GET  /                              ?from=&to=|days= (default the last 30 days)  closed / re-opened
+//                                       days and settlement periods
+//   POST /days/:businessDate/reopen     { reason }  super-admin (step-up)
+//   POST /days/:businessDate/close      re-close a re-opened day, recomputes its snapshots (step-up)
+//   POST /settlement/:periodId/reopen   { reason }  super-admin (step-up); close again through
+//                                       POST /api/admin/periods/:periodId/close
+//   GET  /drift                         ?from=&to=&days=&drifted=1
+//   GET  /drift/:businessDate           one check with the drifted accounts
+//   POST /drift/check                   { from?, to?, days? }  at most 31 days per call
+
+import express from "express";
+import { ObjectId } from "mongodb";
+
+import { getDB } from "../dbConfig.js";
+import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { requireStepUp } from "../middlewares/stepUp.js";
+import { logAdminAction } from "../services/auditLogService.js";
+import { safeInt } from "../utils/query.js";
+import { businessDayWindowUtc } from "../lib/time.js";
+import { parseDriftRange } from "../services/finance/periodLocks.js";
+import {
+  listLocks,
+  recloseBusinessDay,
+  reopenBusinessDay,
+  reopenSettlementPeriod,
+} from "../services/finance/accountingPeriods.js";
+import {
+  checkSnapshotDriftRange,
+  getDriftCheck,
+  listDriftChecks,
+} from "../services/finance/snapshotDrift.js";
+
+const router = express.Router();
+
+const staff = [authMiddleware, isActiveMiddleware];
+const canRead = [...staff, requirePermission("finance.read")];
+const canClose = [...staff, requirePermission("periods.close")];
+const canReopen = [...staff, requirePermission("periods.reopen")];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function actorOf(req) {
+  return { id: String(req.user?._id || req.user?.id || ""), email: req.user?.email || null, role: req.user?.role || null };
+}
+
+function sendError(res, err, label) {
+  if (err?.statusCode) return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Server error" });
+}
+
+router.get("/", canRead, async (req, res) => {
+  try {
+    const range = parseDriftRange({ days: 30, ...req.query }, { maxDays: 366 });
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    const { days, periods } = await listLocks(await getDB(), {
+      from: businessDayWindowUtc(range.from).fromUtc,
+      to: businessDayWindowUtc(range.to).toUtc,
+    });
+    return res.json({ ok: true, ...range, days, periods });
+  } catch (err) {
+    return sendError(res, err, "GET /api/admin/finance/periods");
+  }
+});
+
+// Re-opening lets postings land in an already reported day: super-admin only, with step-up.
+router.post("/days/:businessDate/reopen", canReopen, requireStepUp(), async (req, res) => {
+  try {
+    const { businessDate } = req.params;
+    if (!DATE_RE.test(businessDate)) return res.status(400).json({ message: "Invalid business date" });
+
+    const day = await reopenBusinessDay(await getDB(), businessDate, req.body, actorOf(req));
+    await logAdminAction({
+      action: "GL_DAY_REOPENED",
+      actor: req.user,
+      details: { businessDate, reason: day.reopenReason },
+    });
+    return res.json({ ok: true, day });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/periods/days/:businessDate/reopen");
+  }
+});
+
+router.post("/days/:businessDate/close", canClose, requireStepUp(), async (req, res) => {
+  try {
+    const { businessDate } = req.params;
+    if (!DATE_RE.test(businessDate)) return res.status(400).json({ message: "Invalid business date" });
+
+    const day = await recloseBusinessDay(await getDB(), businessDate, actorOf(req));
+    await logAdminAction({
+      action: "GL_DAY_RECLOSED",
+      actor: req.user,
+      details: { businessDate, ledgerCount: day.audit?.ledgerCount ?? null },
+    });
+    return res.json({ ok: true, day });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/periods/days/:businessDate/close");
+  }
+});
+
+router.post("/settlement/:periodId/reopen", canReopen, requireStepUp(), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.periodId)) return res.status(400).json({ message: "Invalid period id" });
+
+    const period = await reopenSettlementPeriod(
+      await getDB(),
+      new ObjectId(req.params.periodId),
+      req.body,
+      actorOf(req)
+    );
+    await logAdminAction({
+      action: "SETTLEMENT_PERIOD_REOPENED",
+      actor: req.user,
+      details: { periodId: String(period._id), periodKey: period.periodKey, reason: period.reopenReason },
+    });
+    return res.json({ ok: true, period });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/periods/settlement/:periodId/reopen");
+  }
+});
+
+router.get("/drift", canRead, async (req, res) => {
+  try {
+    const range = parseDriftRange(req.query, { maxDays: 366 });
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    const items = await listDriftChecks(await getDB(), {
+      ...range,
+      driftedOnly: ["1", "true"].includes(String(req.query.drifted || "").toLowerCase()),
+      limit: safeInt(req.query.limit, 60, 1, 366),
+    });
+    return res.json({ ok: true, ...range, items });
+  } catch (err) {
+    return sendError(res, err, "GET /api/admin/finance/periods/drift");
+  }
+});
+
+router.get("/drift/:businessDate", canRead, async (req, res) => {
+  try {
+    const check = await getDriftCheck(await getDB(), req.params.businessDate);
+    if (!check) return res.status(404).json({ message: "No drift check for that day" });
+    return res.json({ ok: true, check });
+  } catch (err) {
+    return sendError(res, err, "GET /api/admin/finance/periods/drift/:businessDate");
+  }
+});
+
+router.post("/drift/check", canClose, async (req, res) => {
+  try {
+    const range = parseDriftRange(req.body || {});
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    const result = await checkSnapshotDriftRange(await getDB(), range);
+    return res.json({
+      ok: true,
+      ...range,
+      checked: result.checked,
+      drifted: result.drifted,
+      items: result.checks.map((c) => ({ ...c, drifted: undefined })),
+    });
+  } catch (err) {
+    return sendError(res, err, "POST /api/admin/finance/periods/drift/check");
+  }
+});
+
+export default router;
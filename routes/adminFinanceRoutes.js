@@ -4,6 +4,9 @@
 // - Ledger list: signed amount (debit negative, credit positive)
 // - Statement: opening/closing + rows with delta/running
 // - Export: creates job and generates CSV synchronously (xlsx marked as failed for now)
+// - Reports: trial balance, profit & loss, balance sheet (services/finance/financialReports.js),
+//   ?from=&to=&compare=previous_period|previous_year&subLedgers=true&includeZero=true&source=ledger
+//   exported as CSV or PDF through the same jobs
 //
 // Mount at: /api/admin/finance
 
@@ -14,11 +17,11 @@ import crypto from "crypto";
 import { ObjectId } from "mongodb";
 import { getDB } from "../dbConfig.js";
 
-import { authMiddleware, isActiveMiddleware, isStaffMiddleware } from "../middlewares/authMiddleware.js";
-
-// If you already have a finance role guard in your codebase (recommended), import it.
-// Otherwise, keep the local ensureFinanceRole below and wire it to your staff roles.
-import { ensureFinanceRole as ensureFinanceRoleImported } from "./_financeGuards.js";
+import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { REPORTS, parseReportQuery, reportTable } from "../services/finance/financialReports.js";
+import { buildFinancialReport } from "../services/finance/financialReportsService.js";
+import { buildFinancialReportPdf } from "../services/finance/financialReportPdf.js";
 
 const router = express.Router();
 
@@ -95,25 +98,6 @@ function json(v) {
   }
 }
 
-/* ----------------------------- auth / guards ----------------------------- */
-
-// Prefer your existing finance guard if you have one.
-function ensureFinanceRoleLocal(req, res, next) {
-  // Adjust this to your staff role model.
-  // Common patterns:
-  // - req.user.role in ["super-admin","admin","staff"] and req.user.staffRoles includes "finance"
-  // - req.user.permissions includes "finance"
-  const u = req.user || {};
-  const staffRoles = Array.isArray(u.staffRoles) ? u.staffRoles : [];
-  const isAdminLike = ["super-admin", "admin", "account"].includes(String(u.role || ""));
-  const hasFinanceRole = staffRoles.includes("finance") || staffRoles.includes("Finance");
-
-  if (isAdminLike || hasFinanceRole) return next();
-  return res.status(403).json({ message: "Forbidden: finance role required" });
-}
-
-const ensureFinanceRole = ensureFinanceRoleImported || ensureFinanceRoleLocal;
-
 /* ----------------------------- collections ----------------------------- */
 
 function getFinanceCollections(db) {
@@ -217,6 +201,29 @@ function rowsToCsv({ header, rows }) {
   return lines.join("\n");
 }
 
+/* ----------------------------- financial reports ----------------------------- */
+
+const REPORT_SLUGS = {
+  "trial-balance": REPORTS.TRIAL_BALANCE,
+  "profit-and-loss": REPORTS.PROFIT_AND_LOSS,
+  "balance-sheet": REPORTS.BALANCE_SHEET,
+};
+
+async function runFinancialReport(db, report, query) {
+  const { value, error } = parseReportQuery(query, { report });
+  if (error) {
+    const e = new Error(error);
+    e.statusCode = 400;
+    throw e;
+  }
+  return buildFinancialReport(db, report, {
+    columns: value.columns,
+    detail: String(query.subLedgers) === "true",
+    includeZero: String(query.includeZero) === "true",
+    source: pickStr(query.source) === "ledger" ? "ledger" : "snapshots",
+  });
+}
+
 /* =========================
    Routes
 ========================= */
@@ -226,8 +233,7 @@ router.get(
   "/ledger",
   authMiddleware,
   isActiveMiddleware,
-  isStaffMiddleware,
-  ensureFinanceRole,
+  requirePermission("finance.read"),
   async (req, res) => {
     const db = await getDB();
     const { Ledger } = getFinanceCollections(db);
@@ -338,8 +344,7 @@ router.post(
   "/ledger/export",
   authMiddleware,
   isActiveMiddleware,
-  isStaffMiddleware,
-  ensureFinanceRole,
+  requirePermission("finance.read"),
   async (req, res) => {
     const db = await getDB();
     const { Ledger, Jobs } = getFinanceCollections(db);
@@ -474,8 +479,7 @@ router.get(
   "/statement",
   authMiddleware,
   isActiveMiddleware,
-  isStaffMiddleware,
-  ensureFinanceRole,
+  requirePermission("finance.read"),
   async (req, res) => {
     const db = await getDB();
     const { Ledger } = getFinanceCollections(db);
@@ -586,8 +590,7 @@ router.post(
   "/statement/export",
   authMiddleware,
   isActiveMiddleware,
-  isStaffMiddleware,
-  ensureFinanceRole,
+  requirePermission("finance.read"),
   async (req, res) => {
     const db = await getDB();
     const { Ledger, Jobs } = getFinanceCollections(db);
@@ -733,13 +736,106 @@ router.post(
   }
 );
 
+// GET /api/admin/finance/reports/trial-balance | profit-and-loss | balance-sheet
+for (const [slug, report] of Object.entries(REPORT_SLUGS)) {
+  router.get(
+    `/reports/${slug}`,
+    authMiddleware,
+    isActiveMiddleware,
+    requirePermission("finance.read"),
+    async (req, res) => {
+      try {
+        const db = await getDB();
+        return res.json(await runFinancialReport(db, report, req.query));
+      } catch (err) {
+        if (err?.statusCode) return res.status(err.statusCode).json({ message: err.message });
+        console.error(`GET /api/admin/finance/reports/${slug} error:`, err);
+        return res.status(500).json({ message: "Server error" });
+      }
+    }
+  );
+}
+
+// POST /api/admin/finance/reports/export
+// body: { report: "trial-balance" | "profit-and-loss" | "balance-sheet", format: "csv" | "pdf", from, to, compare, ... }
+router.post(
+  "/reports/export",
+  authMiddleware,
+  isActiveMiddleware,
+  requirePermission("finance.read"),
+  async (req, res) => {
+    const db = await getDB();
+    const { Jobs } = getFinanceCollections(db);
+
+    const body = req.body || {};
+    const slug = pickStr(body.report);
+    const report = REPORT_SLUGS[slug];
+    if (!report) return res.status(400).json({ message: `report must be one of ${Object.keys(REPORT_SLUGS).join(", ")}` });
+
+    const format = pickStr(body.format || "csv").toLowerCase();
+    if (format !== "csv" && format !== "pdf") return res.status(400).json({ message: "format must be csv or pdf" });
+
+    const query = {
+      from: body.from,
+      to: body.to,
+      compare: body.compare,
+      subLedgers: body.subLedgers,
+      includeZero: body.includeZero,
+      source: body.source,
+    };
+    const { error } = parseReportQuery(query, { report });
+    if (error) return res.status(400).json({ message: error });
+
+    const now = new Date();
+    const ins = await Jobs.insertOne({
+      type: `report_${report}`,
+      status: "queued",
+      format,
+      querySnapshot: query,
+      createdAt: now,
+      updatedAt: now,
+      createdBy: req.user?._id || null,
+      file: null,
+      error: null,
+    });
+    const jobId = ins.insertedId;
+
+    try {
+      const result = await runFinancialReport(db, report, query);
+      const buffer =
+        format === "pdf" ? await buildFinancialReportPdf(result) : Buffer.from(rowsToCsv(reportTable(result)), "utf8");
+
+      const reportsDir = path.join(process.cwd(), "uploads", "reports");
+      ensureDirSync(reportsDir);
+
+      const filename = `${report}_${String(jobId)}_${makeFileToken()}.${format}`;
+      fs.writeFileSync(path.join(reportsDir, filename), buffer);
+
+      const file = {
+        filename,
+        path: `/uploads/reports/${filename}`,
+        mimeType: format === "pdf" ? "application/pdf" : "text/csv",
+        size: buffer.length,
+      };
+
+      await Jobs.updateOne({ _id: jobId }, { $set: { status: "done", file, updatedAt: new Date() } });
+      return res.json({ jobId, status: "done" });
+    } catch (err) {
+      await Jobs.updateOne(
+        { _id: jobId },
+        { $set: { status: "failed", error: String(err?.message || err), updatedAt: new Date() } }
+      );
+      return res.status(500).json({ jobId, status: "failed" });
+    }
+  }
+);
+
 // GET /api/admin/finance/exports/:jobId
 router.get(
   "/exports/:jobId",
   authMiddleware,
   isActiveMiddleware,
-  isStaffMiddleware,
-  ensureFinanceRole,
+  requirePermission("finance.read"),
   async (req, res) => {
     const db = await getDB();
     const { Jobs } = getFinanceCollections(db);
@@ -772,8 +868,7 @@ router.get(
   "/exports/:jobId/download",
   authMiddleware,
   isActiveMiddleware,
-  isStaffMiddleware,
-  ensureFinanceRole,
+  requirePermission("finance.read"),
   async (req, res) => {
     const db = await getDB();
     const { Jobs } = getFinanceCollections(db);
@@ -805,8 +900,7 @@ router.get(
   "/settlements/runs",
   authMiddleware,
   isActiveMiddleware,
-  isStaffMiddleware,
-  ensureFinanceRole,
+  requirePermission("finance.read"),
   async (req, res) => {
     const db = await getDB();
     const limit = clampInt(req.query.limit, { min: 1, max: 200, fallback: 50 });
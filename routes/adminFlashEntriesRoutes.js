@@ -11,6 +11,7 @@ import {
   isActiveMiddleware,
   isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 dotenv.config();
 
@@ -37,7 +38,7 @@ const toObjectId = (id) => {
 };
 
 // List flash entries (pending/approved/rejected)
-router.get("/flash-entries", staffGuard, async (req, res) => {
+router.get("/flash-entries", staffGuard, requirePermission("flash_sales.manage"), async (req, res) => {
   try {
     const status = req.query.status ? String(req.query.status).toLowerCase() : "";
     const campaignId = req.query.campaignId ? toObjectId(req.query.campaignId) : null;
@@ -77,7 +78,7 @@ router.get("/flash-entries", staffGuard, async (req, res) => {
 });
 
 // Approve/reject entry
-router.patch("/flash-entries/:id/status", staffGuard, async (req, res) => {
+router.patch("/flash-entries/:id/status", staffGuard, requirePermission("flash_sales.manage"), async (req, res) => {
   try {
     const id = toObjectId(req.params.id);
     if (!id) return res.status(400).json({ success: false, message: "Invalid entry id" });
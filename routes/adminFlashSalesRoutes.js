@@ -12,6 +12,7 @@ import {
   isActiveMiddleware,
   isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 dotenv.config();
 const router = express.Router();
@@ -22,15 +23,6 @@ const Discounts = db.collection("discounts");
 
 // Guards
 const staffGuard = [authMiddleware, isActiveMiddleware, isStaffMiddleware];
-const ensureDiscountRole = (req, res) => {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "marketing"];
-  if (!allowed.includes(role)) {
-    res.status(403).json({ success: false, message: "Discount access only" });
-    return false;
-  }
-  return true;
-};
 
 // Helpers
 const toObjectId = (id) => {
@@ -96,10 +88,8 @@ const buildProductIdMatch = (pid) => {
    GET /api/admin/flash-sales
    Query: status, q, productId, from, to
 =============================== */
-router.get("/", staffGuard, async (req, res) => {
+router.get("/", staffGuard, requirePermission("flash_sales.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
-
     const status = String(req.query.status || "").toLowerCase();
     const q = String(req.query.q || "").trim();
     const productId = req.query.productId ? String(req.query.productId) : "";
@@ -155,10 +145,8 @@ router.get("/", staffGuard, async (req, res) => {
 /* ===============================
    POST /api/admin/flash-sales
 =============================== */
-router.post("/", staffGuard, async (req, res) => {
+router.post("/", staffGuard, requirePermission("flash_sales.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
-
     const title = safeString(req.body?.title || "Flash Sale");
 
     const rawProductIds = Array.isArray(req.body?.productIds) ? req.body.productIds : [];
@@ -234,9 +222,8 @@ router.post("/", staffGuard, async (req, res) => {
 /* ===============================
    PATCH /api/admin/flash-sales/:id
 =============================== */
-router.patch("/:id", staffGuard, async (req, res) => {
+router.patch("/:id", staffGuard, requirePermission("flash_sales.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
     const id = toObjectId(req.params.id);
     if (!id) return res.status(400).json({ success: false, message: "Invalid id" });
 
@@ -332,9 +319,8 @@ router.patch("/:id", staffGuard, async (req, res) => {
 /* ===============================
    PATCH /api/admin/flash-sales/:id/status
 =============================== */
-router.patch("/:id/status", staffGuard, async (req, res) => {
+router.patch("/:id/status", staffGuard, requirePermission("flash_sales.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
     const id = toObjectId(req.params.id);
     if (!id) return res.status(400).json({ success: false, message: "Invalid id" });
 
@@ -367,9 +353,8 @@ router.patch("/:id/status", staffGuard, async (req, res) => {
 /* ===============================
    DELETE /api/admin/flash-sales/:id
 =============================== */
-router.delete("/:id", staffGuard, async (req, res) => {
+router.delete("/:id", staffGuard, requirePermission("flash_sales.manage"), async (req, res) => {
   try {
-    if (!ensureDiscountRole(req, res)) return;
     const id = toObjectId(req.params.id);
     if (!id) return res.status(400).json({ success: false, message: "Invalid id" });
 
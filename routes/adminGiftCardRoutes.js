@@ -0,0 +1,139 @@
+// routes/adminGiftCardRoutes.js
+// Gift cards and customer wallets for staff (services/wallet). Mounted at /api/admin.
+//
+//   GET  /gift-cards              ?status=&source=&q=<last 4 of code | recipient email>&page=&limit=
+//   POST /gift-cards              { amount, recipient?: { name, email }, message?, expiresAt? }
+//                                 the full code is only in this response
+//   POST /gift-cards/:id/void     { reason }
+//   GET  /wallets/:userId         balance (cached and from the GL) + latest transactions
+//
+// Roles stored in Mongo before gift cards existed need gift_cards.* / wallets.read added
+// through /api/admin/roles.
+
+import express from "express";
+import { ObjectId } from "mongodb";
+
+import { client } from "../dbConfig.js";
+import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { logAdminAction } from "../services/auditLogService.js";
+import { safeInt, escapeRegex } from "../utils/query.js";
+import { issueGiftCard, voidGiftCard, giftCardView } from "../services/wallet/giftCardService.js";
+import { getWallet, walletLedgerBalance, listWalletTransactions } from "../services/wallet/walletService.js";
+import { GIFT_CARD_STATUS, GIFT_CARD_SOURCES } from "../services/wallet/wallet.js";
+
+const router = express.Router();
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const GiftCards = db.collection("giftCards");
+
+const staff = [authMiddleware, isActiveMiddleware];
+const canRead = [...staff, requirePermission("gift_cards.read")];
+const canManage = [...staff, requirePermission("gift_cards.manage")];
+const canReadWallets = [...staff, requirePermission("wallets.read")];
+
+function actorOf(req) {
+  return { id: String(req.user?._id || req.user?.id || ""), email: req.user?.email || null };
+}
+
+function sendWalletError(res, err, label) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Server error" });
+}
+
+router.get("/gift-cards", canRead, async (req, res) => {
+  try {
+    const page = safeInt(req.query.page, 1, 1, 10000);
+    const limit = safeInt(req.query.limit, 20, 1, 100);
+
+    const filter = {};
+    const status = String(req.query.status || "").trim();
+    if (status) {
+      if (!Object.values(GIFT_CARD_STATUS).includes(status)) return res.status(400).json({ message: "Invalid status" });
+      filter.status = status;
+    }
+    const source = String(req.query.source || "").trim();
+    if (source) {
+      if (!Object.values(GIFT_CARD_SOURCES).includes(source)) return res.status(400).json({ message: "Invalid source" });
+      filter.source = source;
+    }
+    const q = String(req.query.q || "").trim();
+    if (q) {
+      filter.$or = /^[A-Za-z0-9]{4}$/.test(q)
+        ? [{ code: { $regex: `${escapeRegex(q.toUpperCase())}$` } }]
+        : [{ "recipient.email": { $regex: escapeRegex(q.toLowerCase()) } }];
+    }
+
+    const [items, total] = await Promise.all([
+      GiftCards.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      GiftCards.countDocuments(filter),
+    ]);
+    return res.json({ ok: true, items: items.map((c) => giftCardView(c)), total, page, limit });
+  } catch (err) {
+    return sendWalletError(res, err, "GET /api/admin/gift-cards");
+  }
+});
+
+router.post("/gift-cards", canManage, async (req, res) => {
+  try {
+    const card = await issueGiftCard(db, {
+      amount: req.body?.amount,
+      recipient: req.body?.recipient,
+      message: req.body?.message,
+      expiresAt: req.body?.expiresAt,
+      actor: actorOf(req),
+    });
+
+    await logAdminAction({
+      action: "GIFT_CARD_ISSUED",
+      actor: req.user,
+      details: { id: String(card._id), amount: card.amount, recipientEmail: card.recipient?.email || null },
+    });
+
+    return res.status(201).json({ ok: true, giftCard: giftCardView(card, { revealCode: true }) });
+  } catch (err) {
+    return sendWalletError(res, err, "POST /api/admin/gift-cards");
+  }
+});
+
+router.post("/gift-cards/:id/void", canManage, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) return res.status(400).json({ message: "reason is required" });
+
+    const card = await voidGiftCard(db, { id: req.params.id, actor: actorOf(req), reason });
+    await logAdminAction({ action: "GIFT_CARD_VOIDED", actor: req.user, details: { id: String(card._id), reason } });
+
+    return res.json({ ok: true, giftCard: giftCardView(card) });
+  } catch (err) {
+    return sendWalletError(res, err, "POST /api/admin/gift-cards/:id/void");
+  }
+});
+
+router.get("/wallets/:userId", canReadWallets, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.userId)) return res.status(400).json({ message: "Invalid userId" });
+
+    const [wallet, ledgerBalance, recent] = await Promise.all([
+      getWallet(db, req.params.userId),
+      walletLedgerBalance(db, req.params.userId),
+      listWalletTransactions(db, req.params.userId, { page: 1, limit: safeInt(req.query.limit, 20, 1, 100) }),
+    ]);
+
+    return res.json({
+      ok: true,
+      wallet,
+      ledgerBalance,
+      inSync: Math.abs(wallet.balance - ledgerBalance) < 0.005,
+      transactions: recent.items,
+      totalTransactions: recent.total,
+    });
+  } catch (err) {
+    return sendWalletError(res, err, "GET /api/admin/wallets/:userId");
+  }
+});
+
+export default router;
@@ -4,6 +4,7 @@ import { ObjectId } from "mongodb";
 import PDFDocument from "pdfkit";
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 const router = express.Router();
 
@@ -109,20 +110,6 @@ function buildPeriodRange(period, from, to) {
   return null;
 }
 
-/* ======================================================
-   ADMIN / FINANCE GUARD
-====================================================== */
-
-function ensureAdminFinance(req, res, next) {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "account", "finance"];
-  if (allowed.includes(role)) return next();
-  return res.status(403).json({
-    success: false,
-    message: "Admin / Finance access only",
-  });
-}
-
 /* ======================================================
    AUDIT HELPERS
 ====================================================== */
@@ -208,7 +195,7 @@ const LIST_PROJECTION = {
      deliveryStatusEffective, paymentStatusEffective, paymentMethodEffective
 ====================================================== */
 
-router.get("/invoices", authMiddleware, ensureAdminFinance, async (req, res) => {
+router.get("/invoices", authMiddleware, requirePermission("invoices.read"), async (req, res) => {
   try {
     const page = clampInt(req.query.page, { min: 1, fallback: 1 });
     const limit = clampInt(req.query.pageSize || req.query.limit, {
@@ -438,7 +425,7 @@ router.get("/invoices", authMiddleware, ensureAdminFinance, async (req, res) =>
 router.get(
   "/invoices/:id/pdf",
   authMiddleware,
-  ensureAdminFinance,
+  requirePermission("invoices.read"),
   async (req, res) => {
     try {
       const id = toObjectId(req.params.id);
@@ -592,7 +579,7 @@ router.get(
 router.get(
   "/invoices/:id/audit",
   authMiddleware,
-  ensureAdminFinance,
+  requirePermission("invoices.read"),
   async (req, res) => {
     try {
       const id = toObjectId(req.params.id);
@@ -637,7 +624,7 @@ router.get(
 router.get(
   "/invoices/:id",
   authMiddleware,
-  ensureAdminFinance,
+  requirePermission("invoices.read"),
   async (req, res) => {
     try {
       const id = toObjectId(req.params.id);
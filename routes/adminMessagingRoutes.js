@@ -10,7 +10,12 @@ import {
   isActiveMiddleware,
   isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { sendSellerPushNotification } from "../utils/sellerPush.js";
+import { CONVERSATION_KINDS, REALTIME_EVENTS } from "../services/realtime/channels.js";
+import { publishConversationEvent } from "../services/realtime/hub.js";
+import { noteAgentReply } from "../services/support/ticketService.js";
+import { attachmentUrlFor } from "../services/attachments/signedUrls.js";
 
 dotenv.config();
 
@@ -103,7 +108,7 @@ router.get("/messages/unread-counts", ...staffGuard, async (req, res) => {
  * GET /api/admin/messages/customers
  * List customer support conversations for staff (admin, support, etc.)
  */
-router.get("/messages/customers", ...staffGuard, async (req, res) => {
+router.get("/messages/customers", ...staffGuard, requirePermission("messaging.customers"), async (req, res) => {
   try {
     const conversations = await CustomerConversations.find({})
       .sort({ lastMessageAt: -1, createdAt: -1 })
@@ -135,7 +140,7 @@ router.get("/messages/customers", ...staffGuard, async (req, res) => {
  * Load all support messages in a specific customer conversation.
  * Conversation ID comes from customerSupportConversations._id
  */
-router.get("/messages/customers/:id", ...staffGuard, async (req, res) => {
+router.get("/messages/customers/:id", ...staffGuard, requirePermission("messaging.customers"), async (req, res) => {
   try {
     const { id } = req.params;
     const convId = ensureObjectId(id);
@@ -162,6 +167,8 @@ router.get("/messages/customers/:id", ...staffGuard, async (req, res) => {
       return {
         _id: m._id,
         text: m.text || "",
+        attachmentUrl: attachmentUrlFor(m, req.user),
+        attachment: m.attachment || null,
         createdAt: m.createdAt,
         senderRole: role, // new
         senderType: role, // for frontend
@@ -172,7 +179,7 @@ router.get("/messages/customers/:id", ...staffGuard, async (req, res) => {
     const now = new Date();
 
     // Mark messages as read for admin
-    await CustomerMessages.updateMany(
+    const readResult = await CustomerMessages.updateMany(
       {
         customerId: conv.customerId,
         readByAdmin: { $ne: true },
@@ -186,6 +193,13 @@ router.get("/messages/customers/:id", ...staffGuard, async (req, res) => {
       { $set: { unreadForAdmin: 0, updatedAt: now } }
     );
 
+    if (readResult.modifiedCount) {
+      publishConversationEvent(CONVERSATION_KINDS.CUSTOMER_SUPPORT, conv, REALTIME_EVENTS.MESSAGE_READ, {
+        readerRole: "admin",
+        readAt: now.toISOString(),
+      });
+    }
+
     return res.json({
       conversation: {
         _id: conv._id,
@@ -210,6 +224,7 @@ router.get("/messages/customers/:id", ...staffGuard, async (req, res) => {
 router.post(
   "/messages/customers/:id/reply",
   ...staffGuard,
+  requirePermission("messaging.customers"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -265,6 +280,17 @@ router.post(
         }
       );
 
+      publishConversationEvent(CONVERSATION_KINDS.CUSTOMER_SUPPORT, conv, REALTIME_EVENTS.MESSAGE_NEW, {
+        message: msg,
+        senderRole: "admin",
+      });
+      await noteAgentReply(db, {
+        kind: CONVERSATION_KINDS.CUSTOMER_SUPPORT,
+        conversationId: conv._id,
+        actor: req.user,
+        now,
+      });
+
       return res.json({
         message: "Reply sent",
         data: msg,
@@ -287,7 +313,7 @@ router.post(
  * List seller support conversations (type: "admin" | "support").
  * Uses shared "conversations" collection used by sellerMessageRoutes.js.
  */
-router.get("/messages/sellers", ...staffGuard, async (req, res) => {
+router.get("/messages/sellers", ...staffGuard, requirePermission("messaging.sellers"), async (req, res) => {
   try {
     const conversations = await Conversations.find({
       type: { $in: ["admin", "support"] },
@@ -375,7 +401,7 @@ router.get("/messages/sellers", ...staffGuard, async (req, res) => {
  * Load messages in a specific seller support conversation.
  * Uses "conversations" + "messages" collections.
  */
-router.get("/messages/sellers/:id", ...staffGuard, async (req, res) => {
+router.get("/messages/sellers/:id", ...staffGuard, requirePermission("messaging.sellers"), async (req, res) => {
   try {
     const { id } = req.params;
     const convId = ensureObjectId(id);
@@ -398,7 +424,8 @@ router.get("/messages/sellers/:id", ...staffGuard, async (req, res) => {
       _id: m._id,
       senderRole: m.senderRole || m.fromRole, // "seller" | "admin" | "support"
       text: m.text || "",
-      attachmentUrl: m.attachmentUrl || null,
+      attachmentUrl: attachmentUrlFor(m, req.user),
+      attachment: m.attachment || null,
       createdAt: m.createdAt,
     }));
 
@@ -416,6 +443,13 @@ router.get("/messages/sellers/:id", ...staffGuard, async (req, res) => {
       }
     );
 
+    if (conv[unreadField]) {
+      publishConversationEvent(CONVERSATION_KINDS.SELLER_SUPPORT, conv, REALTIME_EVENTS.MESSAGE_READ, {
+        readerRole: conv.type === "support" ? "support" : "admin",
+        readAt: now.toISOString(),
+      });
+    }
+
     return res.json({ messages });
   } catch (err) {
     console.error("Admin: error loading seller messages:", err);
@@ -432,6 +466,7 @@ router.get("/messages/sellers/:id", ...staffGuard, async (req, res) => {
 router.post(
   "/messages/sellers/:id/reply",
   ...staffGuard,
+  requirePermission("messaging.sellers"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -481,6 +516,23 @@ router.post(
         }
       );
 
+      publishConversationEvent(CONVERSATION_KINDS.SELLER_SUPPORT, conv, REALTIME_EVENTS.MESSAGE_NEW, {
+        message: {
+          _id: msg._id,
+          senderRole: msg.senderRole,
+          text: msg.text,
+          attachmentUrl: msg.attachmentUrl || null,
+          createdAt: msg.createdAt,
+        },
+        senderRole: "admin",
+      });
+      await noteAgentReply(db, {
+        kind: CONVERSATION_KINDS.SELLER_SUPPORT,
+        conversationId: conv._id,
+        actor: req.user,
+        now,
+      });
+
       try {
         const sellerId = conv.sellerId ? String(conv.sellerId) : null;
         if (sellerId) {
@@ -1,7 +1,8 @@
 import express from "express";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
-import { authMiddleware, isStaffMiddleware } from "../middlewares/authMiddleware.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import {
   getVapidPublicKey,
   upsertAdminSubscription,
@@ -79,7 +80,7 @@ async function getNotificationSettings() {
   );
 }
 
-router.get("/health", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/health", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const [
       pending,
@@ -123,7 +124,7 @@ router.get("/health", authMiddleware, isStaffMiddleware, async (req, res) => {
   }
 });
 
-router.get("/campaigns", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/campaigns", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -158,7 +159,7 @@ router.get("/campaigns", authMiddleware, isStaffMiddleware, async (req, res) =>
 // ------------------------------------------------------------------
 // Domain events & deliveries inspection (admin only)
 // ------------------------------------------------------------------
-router.get("/events", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/events", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const page = Math.max(parseIntSafe(req.query.page, 1), 1);
     const limit = Math.min(Math.max(parseIntSafe(req.query.limit, 20), 1), 100);
@@ -209,7 +210,7 @@ router.get("/events", authMiddleware, isStaffMiddleware, async (req, res) => {
   }
 });
 
-router.get("/deliveries", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/deliveries", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const page = Math.max(parseIntSafe(req.query.page, 1), 1);
     const limit = Math.min(Math.max(parseIntSafe(req.query.limit, 20), 1), 100);
@@ -260,7 +261,7 @@ router.get("/deliveries", authMiddleware, isStaffMiddleware, async (req, res) =>
   }
 });
 
-router.post("/events/:id/retry", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.post("/events/:id/retry", authMiddleware, requirePermission("notifications.manage"), async (req, res) => {
   try {
     const { id } = req.params;
     const _id = new ObjectId(id);
@@ -291,7 +292,7 @@ router.post("/events/:id/retry", authMiddleware, isStaffMiddleware, async (req,
   }
 });
 
-router.get("/settings", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/settings", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const settings = await getNotificationSettings();
     res.json({ settings });
@@ -301,7 +302,7 @@ router.get("/settings", authMiddleware, isStaffMiddleware, async (req, res) => {
   }
 });
 
-router.put("/settings", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.put("/settings", authMiddleware, requirePermission("notifications.manage"), async (req, res) => {
   try {
     const body = req.body || {};
     const now = new Date();
@@ -333,7 +334,7 @@ router.put("/settings", authMiddleware, isStaffMiddleware, async (req, res) => {
 // Admin in-app notifications (e.g., new seller requests)
 // ------------------------------------------------------------------
 
-router.get("/items", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/items", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
     const items = await AdminNotifications.find({})
@@ -347,7 +348,7 @@ router.get("/items", authMiddleware, isStaffMiddleware, async (req, res) => {
   }
 });
 
-router.get("/unread-count", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/unread-count", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const count = await AdminNotifications.countDocuments({ read: false });
     res.json({ count });
@@ -357,11 +358,11 @@ router.get("/unread-count", authMiddleware, isStaffMiddleware, async (req, res)
   }
 });
 
-router.get("/vapid-public-key", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/vapid-public-key", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   res.json({ publicKey: getVapidPublicKey() });
 });
 
-router.post("/subscribe", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.post("/subscribe", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const { subscription } = req.body || {};
     if (!subscription?.endpoint) {
@@ -376,7 +377,7 @@ router.post("/subscribe", authMiddleware, isStaffMiddleware, async (req, res) =>
   }
 });
 
-router.post("/unsubscribe", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.post("/unsubscribe", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const { endpoint } = req.body || {};
     if (!endpoint) {
@@ -390,7 +391,7 @@ router.post("/unsubscribe", authMiddleware, isStaffMiddleware, async (req, res)
   }
 });
 
-router.patch("/:id/read", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.patch("/:id/read", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const { id } = req.params;
     await AdminNotifications.updateOne(
@@ -407,7 +408,7 @@ router.patch("/:id/read", authMiddleware, isStaffMiddleware, async (req, res) =>
 // ------------------------------------------------------------------
 // Summary counts for pending approvals
 // ------------------------------------------------------------------
-router.get("/summary", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/summary", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const [
       pendingCategories,
@@ -444,7 +445,7 @@ router.get("/summary", authMiddleware, isStaffMiddleware, async (req, res) => {
   }
 });
 
-router.post("/campaigns", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.post("/campaigns", authMiddleware, requirePermission("notifications.manage"), async (req, res) => {
   try {
     const { title, body, targetAudience, scheduledAt, data } = req.body;
 
@@ -477,7 +478,7 @@ router.post("/campaigns", authMiddleware, isStaffMiddleware, async (req, res) =>
   }
 });
 
-router.post("/campaigns/:id/send", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.post("/campaigns/:id/send", authMiddleware, requirePermission("notifications.manage"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -551,7 +552,7 @@ router.post("/campaigns/:id/send", authMiddleware, isStaffMiddleware, async (req
   }
 });
 
-router.delete("/campaigns/:id", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.delete("/campaigns/:id", authMiddleware, requirePermission("notifications.manage"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -578,7 +579,7 @@ router.delete("/campaigns/:id", authMiddleware, isStaffMiddleware, async (req, r
   }
 });
 
-router.get("/stats", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/stats", authMiddleware, requirePermission("notifications.read"), async (req, res) => {
   try {
     const totalTokens = await db.collection("push_tokens").countDocuments({ isActive: true });
     const customerTokens = await db.collection("push_tokens").countDocuments({ 
@@ -4,8 +4,9 @@ import dotenv from "dotenv";
 import { ObjectId } from "mongodb";
 
 import { client, getDB } from "../dbConfig.js";
-import { postTransactionGroup } from "../services/finance/postTransactionGroup.js";
+import { postInvoiceAllocation, postOrderPaymentCaptured } from "../services/finance/ledgerPosting.js";
 import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { bookShipmentFactory, bookReturnShipment } from "../utils/shippingBridge.js";
 import { enqueueNotification } from "../utils/outbox.js";
 import { emitDomainEvent } from "../services/events/emitDomainEvent.js";
@@ -73,11 +74,6 @@ function normalizePayStatus(s) {
   return v === "paid" ? "paid" : "pending";
 }
 
-function safeNum(v, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
-}
-
 function deriveOrderPaymentStatus(order = {}) {
   const method = normalizeStatus(order.paymentMethod || "");
 
@@ -104,13 +100,6 @@ function deriveOrderPaymentStatus(order = {}) {
   return "pending";
 }
 
-const ensureAdminForOrders = (req, res, next) => {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "account"]; // orders module
-  if (allowed.includes(role)) return next();
-  return res.status(403).json({ message: "Admin access only" });
-};
-
 function parseDateStart(v) {
   if (!v) return null;
   const d = new Date(v);
@@ -504,40 +493,10 @@ async function applyCodCollectedAtDelivered({ order, actor, now, note }) {
     );
   }
 
-  const codInvoice = latestCodInvoice;
-
   // Finance ledger: COD collected at delivery => move from clearing -> cash pool
+  // (the store-credit part of the order reached the cash pool at checkout)
   try {
-    const orderIdStr = String(order?._id || "");
-    const orderNumber = String(order?.orderNumber || "");
-    const invoiceNumber = String(codInvoice?.invoiceNumber || codInvoice?.number || "");
-    const sourceRef = invoiceNumber || orderNumber || orderIdStr || "COD-DELIVERED";
-
-    const codAmount = safeNum(
-      codInvoice?.total ??
-        codInvoice?.grandTotal ??
-        codInvoice?.payableTotal ??
-        codInvoice?.amount ??
-        order?.total ??
-        order?.totalAmount ??
-        0
-    );
-
-    if (codAmount > 0) {
-      await postTransactionGroup(await getDB(), {
-        transactionGroupId: `cod_delivered_${orderIdStr}`,
-        postedAt: new Date(),
-        sourceRef,
-        category: "cod_marked_paid",
-        note: "COD collected at delivery (Delivered). Move clearing -> cash pool.",
-        legs: [
-          // Increase cash pool
-          { accountKey: "platform:cash_bank", dc: "credit", amount: codAmount, sourceRef },
-          // Decrease clearing
-          { accountKey: "platform:clearing", dc: "debit", amount: codAmount, sourceRef },
-        ],
-      });
-    }
+    await postOrderPaymentCaptured(await getDB(), order, { postedAt: now });
   } catch (e) {
     // Do NOT break order status update if finance posting fails
     console.error("Finance posting failed at COD Delivered", e);
@@ -680,8 +639,6 @@ async function applyCodInvoicePaidAtCompleted({ order, actor, now, note, payment
     setPatch["commissionPayout.updatedBy"] = actor;
   }
 
-  const codInvoice = latestCodInvoice;
-
   if (invFrom !== "paid") {
     setPatch.status = "paid";
     setPatch.paidAt = now;
@@ -727,61 +684,8 @@ async function applyCodInvoicePaidAtCompleted({ order, actor, now, note, payment
 
   // Finance ledger: allocate collected cash into commission + seller earnings
   try {
-    const orderIdStr = String(order?._id || "");
-    const invoiceIdStr = String(codInvoice?._id || "");
-    const orderNumber = String(order?.orderNumber || "");
-    const invoiceNumber = String(codInvoice?.invoiceNumber || codInvoice?.number || "");
-    const sourceRef = invoiceNumber || orderNumber || invoiceIdStr || "COD-COMPLETED";
-
-    const total = safeNum(
-      codInvoice?.total ??
-        codInvoice?.grandTotal ??
-        codInvoice?.payableTotal ??
-        codInvoice?.amount ??
-        0
-    );
-
-    const commissionAmount = safeNum(
-      codInvoice?.commission?.amount ??
-        codInvoice?.commissionAmount ??
-        codInvoice?.commission ??
-        0
-    );
-
-    // Seller identity is sometimes present on invoice; if missing we only book commission now.
-    const sellerIdStr = String(codInvoice?.sellerId || "");
-    const sellerKey = sellerIdStr ? `seller:${sellerIdStr}` : null;
-
-    // If seller leg is possible, allocate sellerNet = total - commission (bounded).
-    const sellerNet = sellerKey ? Math.max(0, total - commissionAmount) : 0;
-
-    // Build legs: always book commission if >0; book seller leg only when sellerId is known.
-    const legs = [];
-    let allocated = 0;
-
-    if (commissionAmount > 0) {
-      legs.push({ accountKey: "platform:commission", dc: "credit", amount: commissionAmount, sourceRef });
-      allocated += commissionAmount;
-    }
-
-    if (sellerKey && sellerNet > 0) {
-      legs.push({ accountKey: sellerKey, dc: "credit", amount: sellerNet, sourceRef, sellerId: sellerIdStr });
-      allocated += sellerNet;
-    }
-
-    // Offset: reduce cash pool by allocated amount (so cash pool represents “unallocated COD cash”)
-    if (allocated > 0) {
-      legs.unshift({ accountKey: "platform:cash_bank", dc: "debit", amount: allocated, sourceRef });
-
-      await postTransactionGroup(await getDB(), {
-        transactionGroupId: `cod_completed_${orderIdStr}_${invoiceIdStr}`,
-        postedAt: new Date(),
-        sourceRef,
-        category: "cod_marked_paid",
-        note: "COD Completed allocation: cash pool -> commission (+ seller earnings when sellerId known).",
-        legs,
-      });
-    }
+    const settled = await Invoices.findOne({ _id: latestCodInvoice._id });
+    if (settled) await postInvoiceAllocation(await getDB(), settled, { postedAt: now });
   } catch (e) {
     console.error("Finance posting failed at COD Completed", e);
   }
@@ -1462,7 +1366,7 @@ router.patch(
   "/:id/status",
   authMiddleware,
   isActiveMiddleware,
-  ensureAdminForOrders,
+  requirePermission("orders.update"),
   async (req, res) => {
     try {
       return await applyAdminStatusUpdate({
@@ -1484,7 +1388,7 @@ router.patch(
   "/:orderId/seller-payment-status",
   authMiddleware,
   isActiveMiddleware,
-  ensureAdminForOrders,
+  requirePermission("orders.update"),
   async (req, res) => {
     try {
       const orderId = toObjectId(req.params.orderId);
@@ -1602,7 +1506,7 @@ router.patch(
   "/:id",
   authMiddleware,
   isActiveMiddleware,
-  ensureAdminForOrders,
+  requirePermission("orders.update"),
   async (req, res) => {
     try {
       return await applyAdminStatusUpdate({
@@ -1625,14 +1529,14 @@ router.patch(
 =================================================== */
 
 // LIST: GET /api/admin/orders
-router.get("/", authMiddleware, isActiveMiddleware, ensureAdminForOrders, handleAdminOrdersList);
+router.get("/", authMiddleware, isActiveMiddleware, requirePermission("orders.read"), handleAdminOrdersList);
 
 // RETURNS: GET /api/admin/orders/returns
 router.get(
   "/returns",
   authMiddleware,
   isActiveMiddleware,
-  ensureAdminForOrders,
+  requirePermission("returns.read"),
   async (req, res) => {
     try {
       const { status = "", q = "", page = "1", limit = "20" } = req.query;
@@ -1759,7 +1663,7 @@ router.patch(
   "/returns/:orderId/status",
   authMiddleware,
   isActiveMiddleware,
-  ensureAdminForOrders,
+  requirePermission("returns.manage"),
   async (req, res) => {
     try {
       const orderId = toObjectId(req.params.orderId);
@@ -1924,7 +1828,7 @@ router.patch(
   "/returns/:orderId/decision",
   authMiddleware,
   isActiveMiddleware,
-  ensureAdminForOrders,
+  requirePermission("returns.manage"),
   async (req, res) => {
     try {
       const orderId = toObjectId(req.params.orderId);
@@ -2027,7 +1931,7 @@ router.patch(
     "/returns/:orderId/refund",
     authMiddleware,
     isActiveMiddleware,
-    ensureAdminForOrders,
+    requirePermission("refunds.issue"),
     async (req, res) => {
       try {
         const orderId = toObjectId(req.params.orderId);
@@ -2128,7 +2032,7 @@ router.patch(
   "/returns/:orderId/schedule-pickup",
   authMiddleware,
   isActiveMiddleware,
-  ensureAdminForOrders,
+  requirePermission("returns.manage"),
   async (req, res) => {
     try {
       const orderId = toObjectId(req.params.orderId);
@@ -2220,7 +2124,7 @@ router.post(
   "/:orderId/sellers/:sellerId/retry-shipping",
   authMiddleware,
   isActiveMiddleware,
-  ensureAdminForOrders,
+  requirePermission("orders.update"),
   async (req, res) => {
     try {
       const orderId = toObjectId(req.params.orderId);
@@ -2341,6 +2245,6 @@ router.get("/__probe", (req, res) => {
   });
 });
 // DETAIL: GET /api/admin/orders/:id
-router.get("/:id", authMiddleware, isActiveMiddleware, ensureAdminForOrders, handleAdminOrderDetail);
+router.get("/:id", authMiddleware, isActiveMiddleware, requirePermission("orders.read"), handleAdminOrderDetail);
 
 export default router;
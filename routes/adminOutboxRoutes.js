@@ -3,7 +3,7 @@ import express from "express";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
-import { isStaffMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 const router = express.Router();
 const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
@@ -14,7 +14,7 @@ const parseIntSafe = (v, fallback) => {
   return Number.isFinite(n) ? n : fallback;
 };
 
-router.get("/outbox", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/outbox", authMiddleware, requirePermission("outbox.manage"), async (req, res) => {
   try {
     const page = Math.max(1, parseIntSafe(req.query.page, 1));
     const limit = Math.min(100, Math.max(1, parseIntSafe(req.query.limit, 20)));
@@ -50,7 +50,7 @@ router.get("/outbox", authMiddleware, isStaffMiddleware, async (req, res) => {
   }
 });
 
-router.get("/outbox/summary", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.get("/outbox/summary", authMiddleware, requirePermission("outbox.manage"), async (req, res) => {
   try {
     const [pending, failed, processing, done] = await Promise.all([
       Outbox.countDocuments({ status: "pending" }),
@@ -65,7 +65,7 @@ router.get("/outbox/summary", authMiddleware, isStaffMiddleware, async (req, res
   }
 });
 
-router.post("/outbox/:id/retry", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.post("/outbox/:id/retry", authMiddleware, requirePermission("outbox.manage"), async (req, res) => {
   try {
     const id = req.params.id;
     const oid = new ObjectId(id);
@@ -89,7 +89,7 @@ router.post("/outbox/:id/retry", authMiddleware, isStaffMiddleware, async (req,
   }
 });
 
-router.post("/outbox/retry-failed", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.post("/outbox/retry-failed", authMiddleware, requirePermission("outbox.manage"), async (req, res) => {
   try {
     const now = new Date();
     const result = await Outbox.updateMany(
@@ -8,6 +8,7 @@ import {
   authMiddleware,
   isActiveMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 dotenv.config();
 
@@ -23,15 +24,6 @@ const Orders = db.collection("orders");
 // =====================================================
 // Helpers
 // =====================================================
-function ensureAdminOrSuper(req, res) {
-  const role = (req.user?.role || "").toLowerCase();
-  if (role !== "admin" && role !== "super-admin") {
-    res.status(403).json({ message: "Admin or Super Admin only" });
-    return false;
-  }
-  return true;
-}
-
 function ensureObjectId(id) {
   try {
     return new ObjectId(id);
@@ -48,10 +40,9 @@ router.get(
   "/products",
   authMiddleware,
   isActiveMiddleware,
+  requirePermission("products.read"),
   async (req, res) => {
     try {
-      if (!ensureAdminOrSuper(req, res)) return;
-
       const {
         page = 1,
         limit = 20,
@@ -229,10 +220,9 @@ router.get(
   "/product/:id",
   authMiddleware,
   isActiveMiddleware,
+  requirePermission("products.read"),
   async (req, res) => {
     try {
-      if (!ensureAdminOrSuper(req, res)) return;
-
       const _id = ensureObjectId(req.params.id);
       if (!_id) {
         return res.status(400).json({ message: "Invalid product ID" });
@@ -283,10 +273,9 @@ router.put(
   "/product/:id",
   authMiddleware,
   isActiveMiddleware,
+  requirePermission("products.moderate"),
   async (req, res) => {
     try {
-      if (!ensureAdminOrSuper(req, res)) return;
-
       const _id = ensureObjectId(req.params.id);
       if (!_id) {
         return res.status(400).json({ message: "Invalid product ID" });
@@ -373,10 +362,9 @@ router.patch(
   "/products/:id/approve",
   authMiddleware,
   isActiveMiddleware,
+  requirePermission("products.moderate"),
   async (req, res) => {
     try {
-      if (!ensureAdminOrSuper(req, res)) return;
-
       const _id = ensureObjectId(req.params.id);
       if (!_id) {
         return res.status(400).json({ message: "Invalid product ID" });
@@ -419,10 +407,9 @@ router.patch(
   "/products/:id/reject",
   authMiddleware,
   isActiveMiddleware,
+  requirePermission("products.moderate"),
   async (req, res) => {
     try {
-      if (!ensureAdminOrSuper(req, res)) return;
-
       const _id = ensureObjectId(req.params.id);
       const { reason, reviewNotes } = req.body || {};
 
@@ -473,10 +460,9 @@ router.delete(
   "/products/:id",
   authMiddleware,
   isActiveMiddleware,
+  requirePermission("products.moderate"),
   async (req, res) => {
     try {
-      if (!ensureAdminOrSuper(req, res)) return;
-
       const _id = ensureObjectId(req.params.id);
       if (!_id) {
         return res.status(400).json({ message: "Invalid product ID" });
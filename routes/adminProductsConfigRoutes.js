@@ -8,6 +8,7 @@ import {
   isActiveMiddleware,
   isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 dotenv.config();
 
@@ -22,19 +23,6 @@ const staffGuard = [authMiddleware, isActiveMiddleware, isStaffMiddleware];
 
 const CONFIG_ID = "products-config";
 
-function ensureConfigRole(req, res) {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "marketing"];
-  if (!allowed.includes(role)) {
-    res.status(403).json({
-      success: false,
-      message: "Configuration access only (super-admin, admin, marketing).",
-    });
-    return false;
-  }
-  return true;
-}
-
 function b(v) {
   return Boolean(v);
 }
@@ -252,10 +240,8 @@ router.get("/configuration/products/public", async (req, res) => {
  * GET /api/admin/configuration/products
  * Returns: { success: true, config }
  */
-router.get("/configuration/products", staffGuard, async (req, res) => {
+router.get("/configuration/products", staffGuard, requirePermission("catalog.config"), async (req, res) => {
   try {
-    if (!ensureConfigRole(req, res)) return;
-
     let config = await ProductsConfig.findOne({ _id: CONFIG_ID });
 
     // Auto-create defaults to keep UI stable
@@ -279,10 +265,8 @@ router.get("/configuration/products", staffGuard, async (req, res) => {
  * Body: config object
  * Returns: { success: true, message, config }
  */
-router.post("/configuration/products", staffGuard, async (req, res) => {
+router.post("/configuration/products", staffGuard, requirePermission("catalog.config"), async (req, res) => {
   try {
-    if (!ensureConfigRole(req, res)) return;
-
     const incoming = normalizeIncoming(req.body || {});
     const now = new Date();
     const adminId = req.user?.id || req.user?._id || null;
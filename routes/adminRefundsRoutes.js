@@ -2,8 +2,9 @@ import express from "express";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
-import { isStaffMiddleware, ensureAdminRole } from "../middlewares/staffGuard.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { RETURN_STATUS, canTransitionReturnStatus } from "../utils/returnsStatus.js";
+import { postRefundReversal, processRefundById } from "../services/refunds/refundExecutor.js";
 
 const router = express.Router();
 const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
@@ -23,7 +24,7 @@ function now() {
   return new Date();
 }
 
-router.patch("/:refundId/mark-succeeded", authMiddleware, isStaffMiddleware, ensureAdminRole("finance"), async (req, res) => {
+router.patch("/:refundId/mark-succeeded", authMiddleware, requirePermission("refunds.manage"), async (req, res) => {
   const fid = toObjectId(req.params.refundId);
   if (!fid) return res.status(400).json({ message: "Invalid refund id" });
 
@@ -48,6 +49,9 @@ router.patch("/:refundId/mark-succeeded", authMiddleware, isStaffMiddleware, ens
             updatedAt: now(),
             "provider.reference": String(req.body?.providerRef || refund.provider?.reference || ""),
             "provider.raw": req.body?.providerRaw || refund.provider?.raw || null,
+            // Finance settled it by hand; the refund worker must not touch it again.
+            "automation.enabled": false,
+            "automation.nextAttemptAt": null,
           },
         },
         { session }
@@ -75,9 +79,18 @@ router.patch("/:refundId/mark-succeeded", authMiddleware, isStaffMiddleware, ens
         );
       }
 
-      out = { idempotent: false };
+      out = { idempotent: false, refund };
     });
 
+    if (!out.idempotent) {
+      try {
+        await postRefundReversal(db, out.refund);
+      } catch (glErr) {
+        console.error("[refunds] reversal posting failed", glErr);
+      }
+      delete out.refund;
+    }
+
     return res.json({ ok: true, ...out });
   } catch (e) {
     const msg = String(e?.message || e);
@@ -89,4 +102,30 @@ router.patch("/:refundId/mark-succeeded", authMiddleware, isStaffMiddleware, ens
   }
 });
 
+/**
+ * POST /api/admin/refunds/:refundId/execute
+ * Run the provider step for an automated refund now (retry a failed/stuck one).
+ */
+router.post("/:refundId/execute", authMiddleware, requirePermission("refunds.manage"), async (req, res) => {
+  const fid = toObjectId(req.params.refundId);
+  if (!fid) return res.status(400).json({ message: "Invalid refund id" });
+
+  try {
+    const result = await processRefundById(db, fid, { force: true });
+    if (!result) {
+      const refund = await Refunds.findOne({ _id: fid }, { projection: { status: 1, provider: 1, automation: 1 } });
+      if (!refund) return res.status(404).json({ message: "Refund not found" });
+      return res.status(409).json({
+        message: "Refund is not automatable or is being processed",
+        status: refund.status,
+        provider: refund.provider?.name || null,
+      });
+    }
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("POST refund execute error:", e);
+    return res.status(500).json({ message: "Refund execution failed", error: String(e?.message || e) });
+  }
+});
+
 export default router;
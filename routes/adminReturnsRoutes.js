@@ -4,7 +4,7 @@ import axios from "axios";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
-import { isStaffMiddleware, ensureAdminRole } from "../middlewares/staffGuard.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { safeInt, escapeRegex } from "../utils/query.js";
 
 import {
@@ -17,6 +17,18 @@ import { casReturnStatus } from "./_returnHelpers.js";
 import { logShippingBookingFailure } from "../utils/shippingLog.js";
 import { enqueueNotification } from "../utils/outbox.js";
 import { emitDomainEvent } from "../services/events/emitDomainEvent.js";
+import { restockApprovedReturn } from "../services/inventory/stockMovements.js";
+import {
+  AUTOMATED_REFUND_ROUTES,
+  STORE_CREDIT_REFUND_METHODS,
+  splitRefundByTender,
+} from "../services/refunds/refundExecution.js";
+import {
+  buildRefundAutomation,
+  processRefundById,
+  finalizeSucceededRefund,
+} from "../services/refunds/refundExecutor.js";
+import { creditRefundToWallet } from "../services/wallet/walletService.js";
 
 const router = express.Router();
 const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
@@ -171,6 +183,24 @@ function computeRefundAmounts(ret) {
   };
 }
 
+/**
+ * Credit a store-credit refund row to the customer's wallet (wallet + GL in the caller's
+ * transaction). Marks `refundDoc` succeeded and returns the fields to $set on its row.
+ */
+async function creditStoreCreditRefund(refundDoc, { commissionReversal, ts, session }) {
+  const credited = await creditRefundToWallet(db, { refund: refundDoc, commissionReversal, session });
+  refundDoc.status = "succeeded";
+  refundDoc.completedAt = ts;
+  refundDoc.provider.reference = String(credited.transaction._id);
+  refundDoc.wallet = { transactionId: credited.transaction._id };
+  return {
+    status: "succeeded",
+    completedAt: ts,
+    "provider.reference": String(credited.transaction._id),
+    "wallet.transactionId": credited.transaction._id,
+  };
+}
+
 async function computeCommissionReversalFromInvoice({
   orderId,
   sellerId,
@@ -295,8 +325,9 @@ async function createLedgerEntriesForRefund({ ret, refundDoc, paymentContext = {
 
   const paymentMethod = String(paymentContext.paymentMethod || "").toLowerCase();
   const codSettlementStatus = String(paymentContext.codSettlementStatus || "").toLowerCase();
+  const toStoreCredit = STORE_CREDIT_REFUND_METHODS.includes(String(refundDoc.method || "").toLowerCase());
 
-  if (paymentMethod === "cod") {
+  if (paymentMethod === "cod" && !toStoreCredit) {
     const adjustmentType =
       codSettlementStatus === "settled" ? "SELLER_PAYOUT_ADJUSTMENT" : "COD_ADJUSTMENT";
 
@@ -319,7 +350,7 @@ async function createLedgerEntriesForRefund({ ret, refundDoc, paymentContext = {
       status: "posted",
       createdAt: nowAt,
     });
-  } else if (String(refundDoc.method || "").toLowerCase() === "wallet_credit") {
+  } else if (toStoreCredit) {
     entries.push({
       type: "WALLET_CREDIT",
       source: { kind: "return", id: ret._id },
@@ -343,7 +374,7 @@ async function createLedgerEntriesForRefund({ ret, refundDoc, paymentContext = {
 
   const insertRes = await LedgerEntriesColl.insertMany(entries, { session });
   const ids = insertRes.insertedIds ? Object.values(insertRes.insertedIds) : [];
-  return ids;
+  return { ledgerIds: ids, commissionReversal: commissionResult.amount };
 }
 
 /* ----------------------------- shipping config ----------------------------- */
@@ -650,8 +681,7 @@ async function dispatchReturnDriverJob({
 router.get(
   "/",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.read"),
   async (req, res) => {
     const page = safeInt(req.query.page, 1, 1, 100000);
     const limit = safeInt(req.query.limit, 20, 1, 100);
@@ -713,8 +743,7 @@ router.get(
 router.get(
   "/refunds/queue",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("finance"),
+  requirePermission("returns.read"),
   async (req, res) => {
     const limit = safeInt(req.query.limit, 50, 1, 200);
     try {
@@ -827,8 +856,7 @@ router.get(
 router.get(
   "/:id",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.read"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -848,8 +876,7 @@ router.get(
 router.get(
   "/:id/driver-job",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.read"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -881,8 +908,7 @@ router.get(
 router.post(
   "/:id/driver-job/push",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -929,8 +955,7 @@ router.post(
 router.patch(
   "/:id/decision",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -1149,8 +1174,7 @@ router.patch(
 router.post(
   "/:id/pickup/book",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -1432,8 +1456,7 @@ router.post(
 router.post(
   "/:id/pickup/reschedule",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -1699,8 +1722,7 @@ router.post(
 router.post(
   "/:id/refund/issue",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("finance"),
+  requirePermission("refunds.issue"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -1768,10 +1790,20 @@ router.post(
         const codBatchId = orderDoc?.cod?.settledBatchId || orderDoc?.payment?.codBatchId || null;
 
         const overrideMethod = String(req.body?.method || "").trim();
-        let refundMethod = overrideMethod;
+        let refundMethod = STORE_CREDIT_REFUND_METHODS.includes(overrideMethod.toLowerCase())
+          ? "store_credit"
+          : overrideMethod;
+
+        // Wallets with a refund API (eSewa) are paid back by the refund executor.
+        const automatedRoute = AUTOMATED_REFUND_ROUTES[paymentMethod] || null;
 
         if (!refundMethod) {
-          if (paymentMethod === "online" || paymentMethod === "prepaid") {
+          // Customer asked for store credit, or paid with it in full.
+          if (ret.refund?.strategy === "store_credit" || paymentMethod === "wallet") {
+            refundMethod = "store_credit";
+          } else if (automatedRoute) {
+            refundMethod = automatedRoute.method;
+          } else if (paymentMethod === "online" || paymentMethod === "prepaid") {
             refundMethod = "prepaid_reversal";
           } else if (paymentMethod === "cod") {
             if (codSettlementStatus === "unsettled") refundMethod = "cod_adjustment";
@@ -1783,7 +1815,23 @@ router.post(
         }
 
         const paymentContext = { paymentMethod, codSettlementStatus, codBatchId };
-        const amounts = computeRefundAmounts(ret);
+        let amounts = computeRefundAmounts(ret);
+
+        // Paid partly from the wallet: the wallet share goes back as store credit (a refund
+        // row of its own), the rest to the original method, capped at what it captured.
+        let walletAmounts = null;
+        const split = STORE_CREDIT_REFUND_METHODS.includes(refundMethod) ? null : splitRefundByTender(amounts, orderDoc);
+        if (split && !split.original) {
+          refundMethod = "store_credit";
+          amounts = split.wallet;
+        } else if (split) {
+          amounts = split.original;
+          walletAmounts = split.wallet;
+        }
+
+        const automated = Boolean(automatedRoute) && refundMethod === automatedRoute.method;
+        const storeCredit = refundMethod === "store_credit";
+        if ((storeCredit || walletAmounts) && !ret.customerId) throw new Error("STORE_CREDIT_NEEDS_CUSTOMER");
 
         const refundDoc = {
           refundNumber: `RFD-${ts.getFullYear()}-${Math.random()
@@ -1804,11 +1852,17 @@ router.post(
             issuedBy: { kind: "finance", id: actorId },
           },
           status: "queued",
-          provider: {
-            name: String(req.body?.providerName || "manual"),
-            reference: String(req.body?.providerRef || ""),
-            raw: req.body?.providerRaw || null,
-          },
+          provider: automated
+            ? { name: automatedRoute.provider, reference: "", state: "not_started", submittedAt: null, raw: null }
+            : storeCredit
+            ? { name: "wallet", reference: "", raw: null }
+            : {
+                name: String(req.body?.providerName || "manual"),
+                reference: String(req.body?.providerRef || ""),
+                raw: req.body?.providerRaw || null,
+              },
+          ...(automated ? { automation: buildRefundAutomation(ts) } : {}),
+          ...(walletAmounts ? { split: { wallet: walletAmounts.total, original: amounts.total } } : {}),
           idempotencyKey,
           ledgerEntryIds: [],
           createdAt: ts,
@@ -1818,18 +1872,70 @@ router.post(
         const ins = await Refunds.insertOne(refundDoc, { session });
         refundDoc._id = ins.insertedId;
 
-        const ledgerIds = await createLedgerEntriesForRefund({
+        const { ledgerIds, commissionReversal } = await createLedgerEntriesForRefund({
           ret,
           refundDoc,
           paymentContext,
           session,
         });
+        refundDoc.ledgerEntryIds = ledgerIds;
 
-        await Refunds.updateOne(
-          { _id: refundDoc._id },
-          { $set: { ledgerEntryIds: ledgerIds, updatedAt: now() } },
-          { session }
-        );
+        // Store credit is paid the moment it's issued: wallet + GL in this transaction,
+        // the return moves on to refunded right after (finalizeSucceededRefund).
+        const refundSet = { ledgerEntryIds: ledgerIds, updatedAt: now() };
+        if (storeCredit) {
+          Object.assign(refundSet, await creditStoreCreditRefund(refundDoc, { commissionReversal, ts, session }));
+        }
+
+        // The wallet share of a mixed order is credited now; the return moves on to refunded
+        // with the original-method refund.
+        let walletRefundDoc = null;
+        if (walletAmounts) {
+          walletRefundDoc = {
+            refundNumber: `${refundDoc.refundNumber}-W`,
+            returnId: rid,
+            orderId: ret.orderId,
+            orderNumber: ret.orderNumber,
+            sellerId: ret.sellerId,
+            customerId: ret.customerId,
+            currency: walletAmounts.currency,
+            method: "store_credit",
+            paymentContext,
+            amounts: walletAmounts,
+            splitOf: refundDoc._id,
+            gate: refundDoc.gate,
+            status: "queued",
+            provider: { name: "wallet", reference: "", raw: null },
+            idempotencyKey: `${idempotencyKey}:wallet`,
+            ledgerEntryIds: [],
+            createdAt: ts,
+            updatedAt: ts,
+          };
+          walletRefundDoc._id = (await Refunds.insertOne(walletRefundDoc, { session })).insertedId;
+
+          const walletLedger = await createLedgerEntriesForRefund({
+            ret,
+            refundDoc: walletRefundDoc,
+            paymentContext,
+            session,
+          });
+          walletRefundDoc.ledgerEntryIds = walletLedger.ledgerIds;
+          const walletSet = await creditStoreCreditRefund(walletRefundDoc, {
+            commissionReversal: walletLedger.commissionReversal,
+            ts,
+            session,
+          });
+          await Refunds.updateOne(
+            { _id: walletRefundDoc._id },
+            { $set: { ...walletSet, ledgerEntryIds: walletLedger.ledgerIds, updatedAt: now() } },
+            { session }
+          );
+          refundSet["split.walletRefundId"] = walletRefundDoc._id;
+          refundDoc.split.walletRefundId = walletRefundDoc._id;
+        }
+
+        await Refunds.updateOne({ _id: refundDoc._id }, { $set: refundSet }, { session });
+        const refundableTotal = Math.round((refundDoc.amounts.total + (walletRefundDoc?.amounts.total || 0)) * 100) / 100;
 
         await Returns.updateOne(
           { _id: rid, status: ret.status },
@@ -1840,8 +1946,9 @@ router.post(
               updatedAt: ts,
               refund: {
                 refundId: refundDoc._id,
+                ...(walletRefundDoc ? { walletRefundId: walletRefundDoc._id } : {}),
                 currency: refundDoc.currency,
-                refundableTotal: refundDoc.amounts.total,
+                refundableTotal,
                 method: refundMethod,
                 issuedAt: ts,
                 issuedBy: { kind: "finance", id: actorId },
@@ -1851,7 +1958,8 @@ router.post(
               events: event({ kind: "finance", id: actorId }, "REFUND_ISSUED", {
                 refundId: String(refundDoc._id),
                 method: refundMethod,
-                total: refundDoc.amounts.total,
+                total: refundableTotal,
+                ...(walletRefundDoc ? { walletRefundId: String(walletRefundDoc._id), walletTotal: walletRefundDoc.amounts.total } : {}),
               }),
             },
           },
@@ -1861,6 +1969,19 @@ router.post(
         result = { idempotent: false, refund: refundDoc };
       });
 
+      if (!result.idempotent && result.refund?.method === "store_credit") {
+        await finalizeSucceededRefund(db, result.refund, { actor: { kind: "finance", id: actorId } }).catch((err) =>
+          console.error("[refunds] store credit finalize failed", err)
+        );
+      }
+
+      // Submit to the provider right away; the refund worker retries / polls from here.
+      if (!result.idempotent && result.refund?.automation?.enabled) {
+        processRefundById(db, result.refund._id).catch((err) =>
+          console.error("[refunds] immediate execution failed", err)
+        );
+      }
+
       return res.json({ ok: true, ...result });
     } catch (e) {
       const msg = String(e?.message || e);
@@ -1874,6 +1995,10 @@ router.post(
       if (msg.startsWith("CANNOT_TRANSITION:")) return res.status(409).json({ message: msg });
       if (msg === "MISSING_SELLER_RECEIPT")
         return res.status(409).json({ message: "Seller receipt is required" });
+      if (msg === "STORE_CREDIT_NEEDS_CUSTOMER") {
+        return res.status(409).json({ message: "Return has no customer to credit" });
+      }
+      if (e?.code === "WALLET_LEDGER_REJECTED") return res.status(500).json({ message: e.message, code: e.code });
       return res.status(400).json({ message: "Refund issue failed", error: msg });
     } finally {
       await session.endSession();
@@ -1889,8 +2014,7 @@ router.post(
 router.post(
   "/:id/refund/complete",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("finance"),
+  requirePermission("refunds.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -1984,8 +2108,7 @@ router.post(
 router.patch(
   "/:id/inspection",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("admin"),
+  requirePermission("returns.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -2038,6 +2161,14 @@ router.patch(
       extraPushHistory: { message: `Admin ${decision} inspection.` },
     });
 
+    if (next === RETURN_STATUS.inspection_approved) {
+      try {
+        await restockApprovedReturn(db, { returnDoc: updated, actor });
+      } catch (stockErr) {
+        console.error("[returns][stock] restock failed:", stockErr?.message || stockErr);
+      }
+    }
+
     return res.json({ return: updated });
   }
 );
@@ -2065,8 +2196,7 @@ function sanitizeProof(body) {
 router.post(
   "/:id/pickup/proof",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -2136,8 +2266,7 @@ function normalizeEvidence(body) {
 router.patch(
   "/:id/dispute/open",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -2179,8 +2308,7 @@ router.patch(
 router.patch(
   "/:id/dispute/resolve",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -2228,8 +2356,7 @@ router.patch(
 router.patch(
   "/:id/sla/escalate",
   authMiddleware,
-  isStaffMiddleware,
-  ensureAdminRole("orders"),
+  requirePermission("returns.manage"),
   async (req, res) => {
     const rid = toObjectId(req.params.id);
     if (!rid) return res.status(400).json({ message: "Invalid return id" });
@@ -0,0 +1,105 @@
+// routes/adminRolesRoutes.js
+// Staff roles as permission sets (services/auth/roles.js). Mounted at /api/admin.
+//
+//   GET    /roles              -> roles with expanded permissions + userCount
+//   GET    /roles/permissions  -> permission catalogue (for the role editor)
+//   POST   /roles              -> { key, name, description, permissions }
+//   PATCH  /roles/:key         -> { name?, description?, permissions? }
+//   DELETE /roles/:key         -> custom roles only, and only when nobody has it
+
+import express from "express";
+import { client } from "../dbConfig.js";
+import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { logAdminAction } from "../services/auditLogService.js";
+import { PERMISSIONS, expandPermissions } from "../services/auth/permissions.js";
+import { listRoles, createRole, updateRole, deleteRole } from "../services/auth/roles.js";
+
+const router = express.Router();
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const rolesGuard = [authMiddleware, isActiveMiddleware, requirePermission("roles.manage")];
+
+function sendRoleError(res, err, label) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({
+      message: err.message,
+      code: err.code,
+      ...(err.invalid ? { invalid: err.invalid } : {}),
+    });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Something went wrong" });
+}
+
+function presentRole(role) {
+  return { ...role, expandedPermissions: expandPermissions(role.permissions) };
+}
+
+router.get("/roles/permissions", ...rolesGuard, (req, res) => {
+  const items = Object.entries(PERMISSIONS).map(([key, description]) => ({
+    key,
+    group: key.split(".")[0],
+    description,
+  }));
+  return res.json({ items });
+});
+
+router.get("/roles", ...rolesGuard, async (req, res) => {
+  try {
+    const roles = await listRoles(db);
+    return res.json({ items: roles.map(presentRole) });
+  } catch (err) {
+    return sendRoleError(res, err, "List roles");
+  }
+});
+
+router.post("/roles", ...rolesGuard, async (req, res) => {
+  try {
+    const role = await createRole(db, req.body || {}, { actorId: req.user?.id || null });
+
+    await logAdminAction({
+      action: "ROLE_CREATED",
+      actor: req.user,
+      details: { key: role.key, name: role.name, permissions: role.permissions },
+    });
+
+    return res.status(201).json({ role: presentRole(role) });
+  } catch (err) {
+    return sendRoleError(res, err, "Create role");
+  }
+});
+
+router.patch("/roles/:key", ...rolesGuard, async (req, res) => {
+  try {
+    const role = await updateRole(db, req.params.key, req.body || {}, { actorId: req.user?.id || null });
+
+    await logAdminAction({
+      action: "ROLE_UPDATED",
+      actor: req.user,
+      details: { key: role.key, changes: req.body || {} },
+    });
+
+    return res.json({ role: presentRole(role) });
+  } catch (err) {
+    return sendRoleError(res, err, "Update role");
+  }
+});
+
+router.delete("/roles/:key", ...rolesGuard, async (req, res) => {
+  try {
+    await deleteRole(db, req.params.key);
+
+    await logAdminAction({
+      action: "ROLE_DELETED",
+      actor: req.user,
+      details: { key: String(req.params.key || "").toLowerCase() },
+    });
+
+    return res.json({ message: "Role deleted" });
+  } catch (err) {
+    return sendRoleError(res, err, "Delete role");
+  }
+});
+
+export default router;
@@ -10,15 +10,31 @@ import { client } from "../dbConfig.js";
 import {
   authMiddleware,
   isActiveMiddleware,
-  isSuperAdminMiddleware,
-  isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 import {
   sendInviteEmail,
   sendPasswordResetEmail,
 } from "../services/emailService.js";
 import { logAdminAction } from "../services/auditLogService.js";
+import {
+  createSession,
+  isAccessTokenRevoked,
+  revokeAllUserSessions,
+  SESSION_REVOKE_REASONS,
+} from "../services/auth/sessionService.js";
+import { rateLimit, sendTooManyRequests, clientIp } from "../middlewares/rateLimit.js";
+import {
+  LOGIN_SCOPES,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+  listLockedAccounts,
+  unlockAccount,
+} from "../services/security/loginLockout.js";
+import { twoFactorLoginChallenge, disableTwoFactor } from "../services/auth/twoFactor.js";
+import { ensureRolesFresh, isStaffRole, staffRoleKeys } from "../services/auth/roles.js";
 
 dotenv.config();
 
@@ -48,6 +64,17 @@ function generateTempPassword(length = 10) {
   return pwd;
 }
 
+// Staff roles come from the role registry (services/auth/roles.js), so custom roles are valid.
+// super-admin can only be handed out by another super-admin.
+function checkAssignableRole(req, role) {
+  const key = String(role || "").toLowerCase();
+  if (!isStaffRole(key)) return { status: 400, message: "Invalid role value" };
+  if (key === "super-admin" && req.user?.role !== "super-admin") {
+    return { status: 403, message: "Only a super-admin can assign the super-admin role" };
+  }
+  return null;
+}
+
 /* ------------------------------------------------------------------
    SECTION 1: ADMIN AUTH (REGISTER / LOGIN / PROFILE / FORGOT PASSWORD)
    Prefix: /api/admin/auth/*
@@ -55,9 +82,9 @@ function generateTempPassword(length = 10) {
 
 /**
  * Admin-only auth middleware (for /auth/profile).
- * NOTE: other admin routes use the shared authMiddleware + role guards.
+ * NOTE: other admin routes use the shared authMiddleware + requirePermission().
  */
-export const adminAuthMiddleware = (req, res, next) => {
+export const adminAuthMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization || "";
     const parts = authHeader.split(" ");
@@ -69,11 +96,16 @@ export const adminAuthMiddleware = (req, res, next) => {
     const token = parts[1];
     const decoded = jwt.verify(token, JWT_SECRET);
 
-    // Allow both admin and super-admin here if you want
-    if (!decoded || !decoded.role || !["admin", "super-admin"].includes(decoded.role)) {
+    // Any staff role (built-in or custom)
+    await ensureRolesFresh(db).catch((err) => console.error("role refresh failed:", err?.message || err));
+    if (!decoded || !decoded.role || !isStaffRole(decoded.role)) {
       return res.status(403).json({ message: "Forbidden: Admins only" });
     }
 
+    if (await isAccessTokenRevoked(db, decoded)) {
+      return res.status(401).json({ message: "Token revoked", code: "TOKEN_REVOKED" });
+    }
+
     req.admin = {
       id: decoded.id,
       email: decoded.email,
@@ -102,6 +134,12 @@ router.post("/auth/register", async (req, res) => {
       return res.status(400).json({ message: "Required fields missing" });
     }
 
+    await ensureRolesFresh(db);
+    const requestedRole = role?.toLowerCase() || "admin";
+    if (!isStaffRole(requestedRole) || requestedRole === "super-admin") {
+      return res.status(400).json({ message: "Invalid role value" });
+    }
+
     const exists = await Users.findOne({ email: email.toLowerCase() });
     if (exists) {
       return res.status(409).json({ message: "Email already registered" });
@@ -116,7 +154,7 @@ router.post("/auth/register", async (req, res) => {
       email: email.toLowerCase(),
       mobile,
       branch,
-      role: role?.toLowerCase() || "admin",
+      role: requestedRole,
       status: "pending", // waiting for super-admin approval
       password: hashedPassword,
       createdAt: new Date(),
@@ -134,13 +172,41 @@ router.post("/auth/register", async (req, res) => {
 /**
  * POST /api/admin/auth/login
  */
-router.post("/auth/login", async (req, res) => {
+router.post("/auth/login", rateLimit("staffLogin"), async (req, res) => {
   try {
     const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ message: "Email and password are required" });
+    }
+    const lowerEmail = String(email).trim().toLowerCase();
 
-    const user = await Users.findOne({ email: email.toLowerCase() });
-    if (!user) {
+    const lock = await getLoginLock(db, { scope: LOGIN_SCOPES.STAFF, identifier: lowerEmail });
+    if (lock.locked) {
+      return sendTooManyRequests(res, lock.retryAfterMs, {
+        message: "Too many failed login attempts. Please try again later.",
+        code: "ACCOUNT_LOCKED",
+      });
+    }
+
+    const failLogin = async (user = null) => {
+      const failure = await recordLoginFailure(db, {
+        scope: LOGIN_SCOPES.STAFF,
+        identifier: lowerEmail,
+        userId: user?._id || null,
+        ip: clientIp(req),
+      });
+      if (failure.locked) {
+        return sendTooManyRequests(res, failure.retryAfterMs, {
+          message: "Too many failed login attempts. Please try again later.",
+          code: "ACCOUNT_LOCKED",
+        });
+      }
       return res.status(401).json({ message: "Invalid credentials" });
+    };
+
+    const user = await Users.findOne({ email: lowerEmail });
+    if (!user) {
+      return failLogin();
     }
 
     if (user.status !== "active") {
@@ -154,21 +220,21 @@ router.post("/auth/login", async (req, res) => {
 
     const match = await bcrypt.compare(password, user.password);
     if (!match) {
-      return res.status(401).json({ message: "Invalid credentials" });
+      return failLogin(user);
     }
 
-    const token = jwt.sign(
-      {
-        id: user._id.toString(),
-        role: user.role,
-        email: user.email,
-      },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // 2FA: the second step is shared with /api/auth/admin/login (POST /api/auth/admin/login/2fa).
+    const challenge = twoFactorLoginChallenge(user);
+    if (challenge) return res.json(challenge);
+
+    await clearLoginFailures(db, { scope: LOGIN_SCOPES.STAFF, identifier: lowerEmail });
+    const session = await createSession(db, user, { req });
 
     res.json({
-      token,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      sessionId: session.sessionId,
+      expiresIn: session.expiresIn,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -218,7 +284,7 @@ router.get("/auth/profile", adminAuthMiddleware, async (req, res) => {
 /**
  * POST /api/admin/auth/forgot-password
  */
-router.post("/auth/forgot-password", async (req, res) => {
+router.post("/auth/forgot-password", rateLimit("passwordReset"), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -260,7 +326,7 @@ router.get(
   "/staff/pending",
   authMiddleware,
   isActiveMiddleware,
-  isSuperAdminMiddleware,
+  requirePermission("staff.manage"),
   async (req, res) => {
     try {
       const pending = await Users.find({ status: "pending" }).toArray();
@@ -289,7 +355,7 @@ router.post(
   "/staff",
   authMiddleware,
   isActiveMiddleware,
-  isSuperAdminMiddleware,
+  requirePermission("staff.manage"),
   async (req, res) => {
     try {
       const { firstName, lastName, email, role, password } = req.body;
@@ -298,6 +364,9 @@ router.post(
         return res.status(400).json({ message: "Required fields missing" });
       }
 
+      const roleCheck = checkAssignableRole(req, role);
+      if (roleCheck) return res.status(roleCheck.status).json({ message: roleCheck.message });
+
       const existing = await Users.findOne({ email: email.toLowerCase() });
       if (existing) {
         return res.status(409).json({ message: "Email already exists" });
@@ -315,7 +384,7 @@ router.post(
         lastName,
         fullName: `${firstName} ${lastName}`,
         email: email.toLowerCase(),
-        role,
+        role: String(role).toLowerCase(),
         status: "active",
         password: hashedPassword,
         mustChangePassword: true,
@@ -347,7 +416,7 @@ router.get(
   "/staff",
   authMiddleware,
   isActiveMiddleware,
-  isSuperAdminMiddleware,
+  requirePermission("staff.manage"),
   async (req, res) => {
     try {
       const { page = 1, limit = 50, role, status, search } = req.query;
@@ -357,12 +426,11 @@ router.get(
       const skip = (pageNum - 1) * limitNum;
 
       const filter = {};
-      const staffRoles = ["super-admin", "admin", "account", "marketing"];
 
       if (role) {
         filter.role = role.toLowerCase();
       } else {
-        filter.role = { $in: staffRoles };
+        filter.role = { $in: staffRoleKeys() };
       }
 
       if (status) {
@@ -384,6 +452,7 @@ router.get(
         password: 0,
         resetToken: 0,
         resetTokenExpiry: 0,
+        twoFactor: 0,
       };
 
       const [data, total] = await Promise.all([
@@ -413,7 +482,7 @@ router.put(
   "/staff/:id",
   authMiddleware,
   isActiveMiddleware,
-  isSuperAdminMiddleware,
+  requirePermission("staff.manage"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -425,7 +494,6 @@ router.put(
 
       const update = {};
       const allowedStatuses = ["active", "blocked", "pending"];
-      const allowedRoles = ["super-admin", "admin", "account", "marketing"];
 
       if (status) {
         if (!allowedStatuses.includes(status)) {
@@ -435,11 +503,9 @@ router.put(
       }
 
       if (role) {
-        const normalizedRole = role.toLowerCase();
-        if (!allowedRoles.includes(normalizedRole)) {
-          return res.status(400).json({ message: "Invalid role value" });
-        }
-        update.role = normalizedRole;
+        const roleCheck = checkAssignableRole(req, role);
+        if (roleCheck) return res.status(roleCheck.status).json({ message: roleCheck.message });
+        update.role = role.toLowerCase();
       }
 
       if (Object.keys(update).length === 0) {
@@ -455,6 +521,10 @@ router.put(
         return res.status(404).json({ message: "User not found" });
       }
 
+      if (user.role === "super-admin" && req.user.role !== "super-admin") {
+        return res.status(403).json({ message: "Only a super-admin can change a super-admin" });
+      }
+
       if (
         user._id.toString() === req.user.id &&
         update.status &&
@@ -485,6 +555,15 @@ router.put(
         }
       );
 
+      // Role/status live in the token claims; force a fresh login.
+      const statusChanged = update.status && update.status !== user.status;
+      const roleChanged = update.role && update.role !== user.role;
+      if (statusChanged || roleChanged) {
+        await revokeAllUserSessions(db, _id, {
+          reason: SESSION_REVOKE_REASONS.ACCOUNT_STATUS,
+        });
+      }
+
       res.json({ message: "User updated successfully" });
     } catch (err) {
       console.error("Error updating user:", err);
@@ -497,7 +576,7 @@ router.post(
   "/staff/:id/reset-password",
   authMiddleware,
   isActiveMiddleware,
-  isSuperAdminMiddleware,
+  requirePermission("staff.manage"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -525,6 +604,10 @@ router.post(
         }
       );
 
+      await revokeAllUserSessions(db, user._id, {
+        reason: SESSION_REVOKE_REASONS.USER_REVOKED,
+      });
+
       await logAdminAction({
         action: "USER_PASSWORD_RESET",
         actor: req.user,
@@ -546,6 +629,48 @@ router.post(
   }
 );
 
+/**
+ * POST /api/admin/staff/:id/2fa/reset
+ * Lost authenticator: clears 2FA and signs the user out everywhere.
+ * Roles that require 2FA must enroll again at their next login.
+ */
+router.post(
+  "/staff/:id/2fa/reset",
+  authMiddleware,
+  isActiveMiddleware,
+  requirePermission("staff.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid user id" });
+      }
+
+      const user = await Users.findOne({ _id: new ObjectId(id) }, { projection: { email: 1 } });
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      await disableTwoFactor(db, user._id);
+      await revokeAllUserSessions(db, user._id, {
+        reason: SESSION_REVOKE_REASONS.USER_REVOKED,
+      });
+
+      await logAdminAction({
+        action: "USER_2FA_RESET",
+        actor: req.user,
+        targetUserId: id,
+        details: { email: user.email },
+      });
+
+      res.json({ message: "Two-factor authentication reset" });
+    } catch (err) {
+      console.error("Error resetting 2FA:", err);
+      res.status(500).json({ message: "Failed to reset two-factor authentication" });
+    }
+  }
+);
+
 /* ------------------------------------------------------------------
    SECTION 3: BASIC ADMIN DASHBOARD USERS/PRODUCTS
 ------------------------------------------------------------------- */
@@ -553,11 +678,11 @@ router.post(
 router.get(
   "/users",
   authMiddleware,
-  isStaffMiddleware,
+  requirePermission("customers.read"),
   async (req, res) => {
     const users = await Users.find(
       {},
-      { projection: { password: 0, resetToken: 0 } }
+      { projection: { password: 0, resetToken: 0, twoFactor: 0 } }
     )
       .sort({ createdAt: -1 })
       .toArray();
@@ -568,7 +693,7 @@ router.get(
 router.put(
   "/user/:id/block",
   authMiddleware,
-  isStaffMiddleware,
+  requirePermission("users.block"),
   async (req, res) => {
     const { block } = req.body;
     const id = req.params.id;
@@ -585,6 +710,12 @@ router.put(
       return res.status(404).json({ message: "User not found" });
     }
 
+    if (block) {
+      await revokeAllUserSessions(db, id, {
+        reason: SESSION_REVOKE_REASONS.ACCOUNT_STATUS,
+      });
+    }
+
     await Users.updateOne(
       { _id: new ObjectId(id) },
       {
@@ -606,7 +737,7 @@ router.put(
 router.get(
   "/products",
   authMiddleware,
-  isStaffMiddleware,
+  requirePermission("products.read"),
   async (req, res) => {
     const products = await Products.find()
       .sort({ createdAt: -1 })
@@ -618,7 +749,7 @@ router.get(
 router.put(
   "/product/:id/block",
   authMiddleware,
-  isStaffMiddleware,
+  requirePermission("products.moderate"),
   async (req, res) => {
     const { block } = req.body;
     const id = req.params.id;
@@ -645,7 +776,7 @@ router.put(
 router.get(
   "/customers",
   authMiddleware,
-  isStaffMiddleware,
+  requirePermission("customers.read"),
   async (req, res) => {
     try {
       const {
@@ -707,7 +838,7 @@ router.get(
 router.get(
   "/customers/:id",
   authMiddleware,
-  isStaffMiddleware,
+  requirePermission("customers.read"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -747,7 +878,7 @@ router.get(
   "/logs",
   authMiddleware,
   isActiveMiddleware,
-  isSuperAdminMiddleware, // or isStaffMiddleware if you want all staff to see logs
+  requirePermission("audit.read"),
   async (req, res) => {
     try {
       const logs = await AdminActivityLogs.find({})
@@ -763,4 +894,61 @@ router.get(
   }
 );
 
+/* ------------------------------------------------------------------
+   SECTION 6: LOGIN LOCKOUTS
+   → Accounts currently locked after repeated failed logins
+------------------------------------------------------------------- */
+
+/**
+ * GET /api/admin/security/locked-accounts?scope=customer|seller|staff|step_up
+ */
+router.get(
+  "/security/locked-accounts",
+  authMiddleware,
+  isActiveMiddleware,
+  requirePermission("security.manage"),
+  async (req, res) => {
+    try {
+      const scope = Object.values(LOGIN_SCOPES).includes(req.query.scope) ? req.query.scope : null;
+      const accounts = await listLockedAccounts(db, { scope });
+      res.json({ accounts, count: accounts.length });
+    } catch (err) {
+      console.error("Error fetching locked accounts:", err);
+      res.status(500).json({ message: "Failed to load locked accounts" });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/security/locked-accounts/:id
+ * :id is the lock id from the list ("<scope>:<email>", "step_up:<userId>", URL-encoded)
+ */
+router.delete(
+  "/security/locked-accounts/:id",
+  authMiddleware,
+  isActiveMiddleware,
+  requirePermission("security.manage"),
+  async (req, res) => {
+    try {
+      const id = String(req.params.id || "");
+      const removed = await unlockAccount(db, id);
+      if (!removed) {
+        return res.status(404).json({ message: "Lock not found" });
+      }
+
+      await logAdminAction({
+        action: "LOGIN_LOCK_CLEARED",
+        actor: req.user,
+        targetUserId: ObjectId.isValid(removed.userId || "") ? removed.userId : null,
+        details: { lockId: id, scope: removed.scope, email: removed.identifier, failures: removed.failures },
+      });
+
+      res.json({ message: "Account unlocked" });
+    } catch (err) {
+      console.error("Error unlocking account:", err);
+      res.status(500).json({ message: "Failed to unlock account" });
+    }
+  }
+);
+
 export default router;
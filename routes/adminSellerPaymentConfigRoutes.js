@@ -8,6 +8,7 @@ import {
   isActiveMiddleware,
   isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 dotenv.config();
 
@@ -21,20 +22,6 @@ const SellerPaymentConfig = db.collection("sellerPaymentConfig");
 // Staff guard (admin/staff)
 const staffGuard = [authMiddleware, isActiveMiddleware, isStaffMiddleware];
 
-// Roles allowed to manage finance configurations
-function ensureFinanceRole(req, res) {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "account"];
-  if (!allowed.includes(role)) {
-    res.status(403).json({
-      success: false,
-      message: "Finance access only (super-admin, admin, account).",
-    });
-    return false;
-  }
-  return true;
-}
-
 const CONFIG_ID = "seller-payment-config";
 
 function normalizeBool(v) {
@@ -102,10 +89,8 @@ function buildDefaultConfig() {
 /**
  * GET /api/admin/payments/seller-configuration
  */
-router.get("/payments/seller-configuration", staffGuard, async (req, res) => {
+router.get("/payments/seller-configuration", staffGuard, requirePermission("seller_payments.config"), async (req, res) => {
   try {
-    if (!ensureFinanceRole(req, res)) return;
-
     let config = await SellerPaymentConfig.findOne({ _id: CONFIG_ID });
 
     // If missing, auto-create defaults (so UI always works)
@@ -135,10 +120,8 @@ router.get("/payments/seller-configuration", staffGuard, async (req, res) => {
  *    requiredFields: { bankAccountName, bankAccountNumber, bankName, walletId }
  *  }
  */
-router.post("/payments/seller-configuration", staffGuard, async (req, res) => {
+router.post("/payments/seller-configuration", staffGuard, requirePermission("seller_payments.config"), async (req, res) => {
   try {
-    if (!ensureFinanceRole(req, res)) return;
-
     const body = req.body || {};
 
     const nextConfig = {
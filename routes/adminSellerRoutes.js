@@ -10,8 +10,12 @@ import { client } from "../dbConfig.js";
 import {
   authMiddleware,
   isActiveMiddleware,
-  isSuperAdminMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import {
+  revokeAllUserSessions,
+  SESSION_REVOKE_REASONS,
+} from "../services/auth/sessionService.js";
 
 dotenv.config();
 
@@ -29,15 +33,6 @@ const Users = db.collection("users");
 const Products = db.collection("products");
 const Orders = db.collection("orders");
 
-/* ===============================
-   ACCESS GUARD
-=============================== */
-const isAdminOrSuperAdmin = (req, res, next) => {
-  const role = String(req.user?.role || "").toLowerCase();
-  if (role === "admin" || role === "super-admin") return next();
-  return res.status(403).json({ message: "Admin access only" });
-};
-
 /* ===============================
    HELPERS
 =============================== */
@@ -86,7 +81,7 @@ router.get(
   "/sellers",
   authMiddleware,
   isActiveMiddleware,
-  isAdminOrSuperAdmin,
+  requirePermission("sellers.read"),
   async (req, res) => {
     try {
       // =========================
@@ -385,7 +380,7 @@ router.get(
   "/sellers/pending-count",
   authMiddleware,
   isActiveMiddleware,
-  isAdminOrSuperAdmin,
+  requirePermission("sellers.read"),
   async (req, res) => {
     try {
       const pendingCount = await Users.countDocuments({
@@ -410,7 +405,7 @@ router.get(
   "/sellers/:id",
   authMiddleware,
   isActiveMiddleware,
-  isAdminOrSuperAdmin,
+  requirePermission("sellers.read"),
   async (req, res) => {
     try {
       const sellerId = toObjectId(req.params.id);
@@ -560,7 +555,7 @@ router.patch(
   "/sellers/:id/profile",
   authMiddleware,
   isActiveMiddleware,
-  isAdminOrSuperAdmin,
+  requirePermission("sellers.manage"),
   async (req, res) => {
     try {
       const sellerId = toObjectId(req.params.id);
@@ -603,7 +598,7 @@ router.patch(
   "/sellers/:id/status",
   authMiddleware,
   isActiveMiddleware,
-  isAdminOrSuperAdmin,
+  requirePermission("sellers.manage"),
   async (req, res) => {
     try {
       const actorRole = String(req.user?.role || "").toLowerCase();
@@ -638,7 +633,15 @@ router.patch(
 
       await Users.updateOne({ _id: sellerId }, { $set: update });
 
-      return res.json({ success: true, status });
+      // Status is enforced at login only, so existing tokens must be revoked server-side.
+      let sessionsRevoked = 0;
+      if (String(seller.status || "").toLowerCase() !== status || Boolean(seller.blocked) !== update.blocked) {
+        ({ revoked: sessionsRevoked } = await revokeAllUserSessions(db, sellerId, {
+          reason: SESSION_REVOKE_REASONS.ACCOUNT_STATUS,
+        }));
+      }
+
+      return res.json({ success: true, status, sessionsRevoked });
     } catch (err) {
       console.error("❌ Seller status patch error:", err);
       return res.status(500).json({ message: "Failed to update seller status" });
@@ -654,7 +657,7 @@ router.patch(
   "/sellers/:id/verify",
   authMiddleware,
   isActiveMiddleware,
-  isAdminOrSuperAdmin,
+  requirePermission("sellers.manage"),
   async (req, res) => {
     try {
       const sellerId = toObjectId(req.params.id);
@@ -691,7 +694,7 @@ router.post(
   "/sellers/:id/notes",
   authMiddleware,
   isActiveMiddleware,
-  isAdminOrSuperAdmin,
+  requirePermission("sellers.manage"),
   async (req, res) => {
     try {
       const sellerId = toObjectId(req.params.id);
@@ -733,7 +736,7 @@ router.put(
   "/sellers/:id/status",
   authMiddleware,
   isActiveMiddleware,
-  isSuperAdminMiddleware,
+  requirePermission("sellers.manage"),
   async (req, res) => {
     try {
       const sellerId = toObjectId(req.params.id);
@@ -745,6 +748,12 @@ router.put(
         { $set: { ...req.body, updatedAt: new Date() } }
       );
 
+      if (req.body?.status !== undefined || req.body?.blocked !== undefined) {
+        await revokeAllUserSessions(db, sellerId, {
+          reason: SESSION_REVOKE_REASONS.ACCOUNT_STATUS,
+        });
+      }
+
       return res.json({ message: "Seller status updated successfully" });
     } catch (err) {
       console.error("❌ Legacy seller status error:", err);
@@ -1,8 +1,5 @@
 // routes/adminSellerSupportRoutes.js
 import express from "express";
-import multer from "multer";
-import path from "path";
-import { fileURLToPath } from "url";
 import { ObjectId } from "mongodb";
 import dotenv from "dotenv";
 
@@ -11,34 +8,21 @@ dotenv.config();
 import { client } from "../dbConfig.js";
 import {
   authMiddleware,
-  isStaffMiddleware, // admin / super-admin / account / marketing
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { attachmentUpload, sendAttachmentError } from "../middlewares/attachmentUpload.js";
+import {
+  storeMessageAttachment,
+  messageAttachmentFields,
+  linkAttachmentToMessage,
+} from "../services/attachments/attachmentService.js";
+import { attachmentUrlFor } from "../services/attachments/signedUrls.js";
+import { CONVERSATION_KINDS, REALTIME_EVENTS } from "../services/realtime/channels.js";
+import { publishConversationEvent } from "../services/realtime/hub.js";
+import { noteAgentReply } from "../services/support/ticketService.js";
 
 const router = express.Router();
 
-// ================== FILE UPLOAD (attachments) ==================
-
-// Fix __dirname in ESM
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Store attachments under /uploads/messages (same as seller side)
-const storage = multer.diskStorage({
-  destination(req, file, cb) {
-    cb(null, path.join(__dirname, "..", "uploads", "messages"));
-  },
-  filename(req, file, cb) {
-    const ext = path.extname(file.originalname);
-    const base = path.basename(file.originalname, ext);
-    cb(
-      null,
-      `${base}-${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`
-    );
-  },
-});
-
-const upload = multer({ storage });
-
 // ================== DB COLLECTIONS ==================
 // ✅ FIXED: Use the SAME collections as seller side for alignment
 const dbName = process.env.DB_NAME || "glamzi_ecommerce";
@@ -86,7 +70,7 @@ async function getSellerName(sellerId) {
 router.get(
   "/messages/sellers",
   authMiddleware,
-  isStaffMiddleware,
+  requirePermission("messaging.sellers"),
   async (req, res, next) => {
     try {
       const convs = await conversationsCol
@@ -141,7 +125,7 @@ router.get(
 router.get(
   "/messages/sellers/:conversationId",
   authMiddleware,
-  isStaffMiddleware,
+  requirePermission("messaging.sellers"),
   async (req, res, next) => {
     try {
       const { conversationId } = req.params;
@@ -168,7 +152,8 @@ router.get(
         _id: m._id,
         senderRole: m.senderRole, // "seller" | "admin" | "support"
         text: m.text || "",
-        attachmentUrl: m.attachmentUrl || null,
+        attachmentUrl: attachmentUrlFor(m, req.user),
+        attachment: m.attachment || null,
         createdAt: m.createdAt,
       }));
 
@@ -209,8 +194,8 @@ router.get(
 router.post(
   "/messages/sellers/:conversationId/reply",
   authMiddleware,
-  isStaffMiddleware,
-  upload.single("attachment"),
+  requirePermission("messaging.sellers"),
+  attachmentUpload("attachment"),
   async (req, res, next) => {
     try {
       const { conversationId } = req.params;
@@ -236,10 +221,19 @@ router.post(
       }
 
       const now = new Date();
-      let attachmentUrl = null;
+      let attachment = null;
 
       if (req.file) {
-        attachmentUrl = `/uploads/messages/${req.file.filename}`;
+        try {
+          attachment = await storeMessageAttachment(db, {
+            file: req.file,
+            user: req.user,
+            kind: CONVERSATION_KINDS.SELLER_SUPPORT,
+            conversationId: convo._id,
+          });
+        } catch (err) {
+          return sendAttachmentError(res, err);
+        }
       }
 
       // Decide senderRole: "admin" or "support"
@@ -250,14 +244,15 @@ router.post(
         conversationId: new ObjectId(conversationId),
         senderRole, // "admin" | "support"
         text: text || "",
-        attachmentUrl,
+        ...messageAttachmentFields(attachment),
         createdAt: now,
       };
 
       const insertRes = await messagesCol.insertOne(messageDoc);
+      await linkAttachmentToMessage(db, attachment, insertRes.insertedId);
 
       const lastMessageText =
-        text || (attachmentUrl ? "📎 Attachment" : "New message from admin");
+        text || (attachment ? "📎 Attachment" : "New message from admin");
 
       // Update convo: last message + increment unread for seller
       await conversationsCol.updateOne(
@@ -276,7 +271,18 @@ router.post(
 
       const saved = await messagesCol.findOne({ _id: insertRes.insertedId });
 
-      res.json({ message: saved });
+      publishConversationEvent(CONVERSATION_KINDS.SELLER_SUPPORT, convo, REALTIME_EVENTS.MESSAGE_NEW, {
+        message: saved,
+        senderRole,
+      });
+      await noteAgentReply(db, {
+        kind: CONVERSATION_KINDS.SELLER_SUPPORT,
+        conversationId: convo._id,
+        actor: req.user,
+        now,
+      });
+
+      res.json({ message: { ...saved, attachmentUrl: attachmentUrlFor(saved, req.user) } });
     } catch (err) {
       console.error("Error sending admin reply to seller:", err);
       next(err);
@@ -293,7 +299,7 @@ router.post(
 router.post(
   "/messages/sellers/:conversationId/mark-read",
   authMiddleware,
-  isStaffMiddleware,
+  requirePermission("messaging.sellers"),
   async (req, res, next) => {
     try {
       const { conversationId } = req.params;
@@ -317,6 +323,13 @@ router.post(
         { $set: { unreadForAdmin: 0 } }
       );
 
+      if (getUnreadForAdmin(convo)) {
+        publishConversationEvent(CONVERSATION_KINDS.SELLER_SUPPORT, convo, REALTIME_EVENTS.MESSAGE_READ, {
+          readerRole: "admin",
+          readAt: new Date().toISOString(),
+        });
+      }
+
       // Recompute total unread for admin across ALL seller-support convos
       const allConvs = await conversationsCol
         .find({ type: { $in: ["admin", "support"] } })
@@ -8,6 +8,7 @@ import {
   isActiveMiddleware,
   isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 dotenv.config();
 
@@ -22,19 +23,6 @@ const staffGuard = [authMiddleware, isActiveMiddleware, isStaffMiddleware];
 
 const CONFIG_ID = "sellers-config";
 
-function ensureConfigRole(req, res) {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "marketing"];
-  if (!allowed.includes(role)) {
-    res.status(403).json({
-      success: false,
-      message: "Configuration access only (super-admin, admin, marketing).",
-    });
-    return false;
-  }
-  return true;
-}
-
 function b(v) {
   return Boolean(v);
 }
@@ -110,10 +98,8 @@ function normalizeConfig(input = {}) {
 /**
  * GET /api/admin/configuration/sellers
  */
-router.get("/configuration/sellers", staffGuard, async (req, res) => {
+router.get("/configuration/sellers", staffGuard, requirePermission("sellers.config"), async (req, res) => {
   try {
-    if (!ensureConfigRole(req, res)) return;
-
     const doc =
       (await SellersConfig.findOne({ _id: CONFIG_ID })) || buildDefaultConfig();
 
@@ -131,10 +117,8 @@ router.get("/configuration/sellers", staffGuard, async (req, res) => {
 /**
  * PUT /api/admin/configuration/sellers
  */
-router.put("/configuration/sellers", staffGuard, async (req, res) => {
+router.put("/configuration/sellers", staffGuard, requirePermission("sellers.config"), async (req, res) => {
   try {
-    if (!ensureConfigRole(req, res)) return;
-
     const payload = req.body?.config || req.body || {};
     const normalized = normalizeConfig(payload);
 
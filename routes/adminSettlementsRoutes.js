@@ -9,7 +9,10 @@ import express from "express";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { requireStepUp } from "../middlewares/stepUp.js";
 import { enqueueNotification } from "../utils/outbox.js";
+import { postPayoutPaid } from "../services/finance/ledgerPosting.js";
 
 const router = express.Router();
 
@@ -31,19 +34,6 @@ router.use("/settlements/payout-batches", (req, res, next) => {
   next();
 });
 
-/* ===============================
-   ROLE GUARD (finance-only)
-   Roles allowed: super-admin, finance
-=============================== */
-function ensureFinanceAccess(req, res, next) {
-  const role = String(req?.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "finance"];
-  if (!allowed.includes(role)) {
-    return res.status(403).json({ message: "Forbidden: finance access required" });
-  }
-  next();
-}
-
 /* ===============================
    HELPERS
 =============================== */
@@ -171,7 +161,7 @@ async function auditLog(coll, doc) {
    GET /api/admin/settlements/payout-queue
    Query: page, limit, q, sellerId, from, to
 ========================================================= */
-router.get("/settlements/payout-queue", authMiddleware, ensureFinanceAccess, async (req, res) => {
+router.get("/settlements/payout-queue", authMiddleware, requirePermission("settlements.read"), async (req, res) => {
   try {
     const page = parseIntSafe(req.query.page, 1);
     const limit = parseIntSafe(req.query.limit, 20);
@@ -485,7 +475,7 @@ router.get("/settlements/payout-queue", authMiddleware, ensureFinanceAccess, asy
    Body: { invoiceIds: [], note?, reference? }
    - Locks invoices into commissionPayout.status="processing"
 ========================================================= */
-router.post("/settlements/batches", authMiddleware, ensureFinanceAccess, async (req, res) => {
+router.post("/settlements/batches", authMiddleware, requirePermission("settlements.create"), async (req, res) => {
   const session = client.startSession();
   try {
     const invoiceIds = Array.isArray(req.body.invoiceIds) ? req.body.invoiceIds : [];
@@ -648,7 +638,7 @@ router.post("/settlements/batches", authMiddleware, ensureFinanceAccess, async (
    GET /api/admin/settlements/batches
    Query: page, limit, q, status, sellerId, from, to
 ========================================================= */
-router.get("/settlements/batches", authMiddleware, ensureFinanceAccess, async (req, res) => {
+router.get("/settlements/batches", authMiddleware, requirePermission("settlements.read"), async (req, res) => {
   try {
     const page = parseIntSafe(req.query.page, 1);
     const limit = parseIntSafe(req.query.limit, 20);
@@ -938,7 +928,7 @@ router.get("/settlements/batches", authMiddleware, ensureFinanceAccess, async (r
    GET /api/admin/settlements/batches/:id
    ✅ UPDATED: enrich invoices with seller { storeName, shopName } for frontend + CSV
 ========================================================= */
-router.get("/settlements/batches/:id", authMiddleware, ensureFinanceAccess, async (req, res) => {
+router.get("/settlements/batches/:id", authMiddleware, requirePermission("settlements.read"), async (req, res) => {
   try {
     const batchId = toObjectId(req.params.id);
     if (!batchId) return res.status(400).json({ message: "Invalid batch id" });
@@ -1146,8 +1136,9 @@ router.get("/settlements/batches/:id", authMiddleware, ensureFinanceAccess, asyn
    - Stores batch.payout evidence
    - Uses provided paidAt if valid
    - When marking PAID: verifies ALL invoices are paid (server-side safety)
+   - Requires a recent 2FA step-up (middlewares/stepUp.js)
 ========================================================= */
-router.patch("/settlements/batches/:id/status", authMiddleware, ensureFinanceAccess, async (req, res) => {
+router.patch("/settlements/batches/:id/status", authMiddleware, requirePermission("settlements.approve"), requireStepUp(), async (req, res) => {
   const session = client.startSession();
   try {
     const batchId = toObjectId(req.params.id);
@@ -1276,6 +1267,20 @@ router.patch("/settlements/batches/:id/status", authMiddleware, ensureFinanceAcc
       updated = await SettlementBatches.findOne({ _id: batchId }, { session });
     });
 
+    // Finance ledger: seller earnings leave the platform (one group per invoice)
+    if (updated?.status === "paid") {
+      try {
+        const paidInvoices = await Invoices.find({ _id: { $in: updated.invoiceIds || [] } }).toArray();
+        await postPayoutPaid(db, paidInvoices, {
+          batchId: updated._id,
+          reference: updated.payout?.reference || updated.reference || "",
+          postedAt: updated.paidAt,
+        });
+      } catch (ledgerErr) {
+        console.error("Finance posting failed on payout batch paid", ledgerErr);
+      }
+    }
+
     // Notify sellers about payout batch status updates
     try {
       const invoiceIds = Array.isArray(updated?.invoiceIds) ? updated.invoiceIds : [];
@@ -1330,7 +1335,7 @@ router.patch("/settlements/batches/:id/status", authMiddleware, ensureFinanceAcc
    GET   /api/admin/settlements/seller-payout-accounts
    PATCH /api/admin/settlements/seller-payout-accounts/:sellerId
 ========================================================= */
-router.get("/settlements/seller-payout-accounts", authMiddleware, ensureFinanceAccess, async (req, res) => {
+router.get("/settlements/seller-payout-accounts", authMiddleware, requirePermission("settlements.read"), async (req, res) => {
   try {
     const page = parseIntSafe(req.query.page, 1);
     const limit = parseIntSafe(req.query.limit, 20);
@@ -1407,7 +1412,7 @@ router.get("/settlements/seller-payout-accounts", authMiddleware, ensureFinanceA
 router.patch(
   "/settlements/seller-payout-accounts/:sellerId",
   authMiddleware,
-  ensureFinanceAccess,
+  requirePermission("seller_payments.config"),
   async (req, res) => {
     try {
       const sellerId = toObjectId(req.params.sellerId);
@@ -1455,7 +1460,7 @@ router.patch(
    7) SETTLEMENT PERIODS & SELLER SETTLEMENTS (finance close)
 ========================================================= */
 
-router.post("/periods", authMiddleware, ensureFinanceAccess, async (req, res) => {
+router.post("/periods", authMiddleware, requirePermission("settlements.create"), async (req, res) => {
   try {
     const periodKey = safeString(req.body?.periodKey);
     const startAt = parseDateValue(req.body?.startAt);
@@ -1487,7 +1492,8 @@ router.post("/periods", authMiddleware, ensureFinanceAccess, async (req, res) =>
   }
 });
 
-router.post("/periods/:periodId/close", authMiddleware, ensureFinanceAccess, async (req, res) => {
+// Closing a period is final: requires a recent 2FA step-up.
+router.post("/periods/:periodId/close", authMiddleware, requirePermission("periods.close"), requireStepUp(), async (req, res) => {
   const periodId = toObjectId(req.params.periodId);
   if (!periodId) return res.status(400).json({ message: "Invalid period id" });
 
@@ -1611,7 +1617,7 @@ router.post("/periods/:periodId/close", authMiddleware, ensureFinanceAccess, asy
 router.get(
   "/periods/:periodId/sellers",
   authMiddleware,
-  ensureFinanceAccess,
+  requirePermission("settlements.read"),
   async (req, res) => {
     const periodId = toObjectId(req.params.periodId);
     if (!periodId) return res.status(400).json({ message: "Invalid period id" });
@@ -1650,7 +1656,7 @@ router.get(
 router.patch(
   "/:sellerSettlementId/payout",
   authMiddleware,
-  ensureFinanceAccess,
+  requirePermission("settlements.approve"),
   async (req, res) => {
     const settlementId = toObjectId(req.params.sellerSettlementId);
     if (!settlementId) return res.status(400).json({ message: "Invalid seller settlement id" });
@@ -1768,7 +1774,7 @@ router.patch(
 router.get(
   "/periods/:periodId/export.csv",
   authMiddleware,
-  ensureFinanceAccess,
+  requirePermission("settlements.read"),
   async (req, res) => {
     const periodId = toObjectId(req.params.periodId);
     if (!periodId) return res.status(400).json({ message: "Invalid period id" });
@@ -8,6 +8,7 @@ import {
   isActiveMiddleware,
   isStaffMiddleware,
 } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 dotenv.config();
 
@@ -21,19 +22,6 @@ const StorefrontConfig = db.collection("storefrontConfig");
 const staffGuard = [authMiddleware, isActiveMiddleware, isStaffMiddleware];
 const CONFIG_ID = "storefront-config";
 
-function ensureConfigRole(req, res) {
-  const role = String(req.user?.role || "").toLowerCase();
-  const allowed = ["super-admin", "admin", "marketing"];
-  if (!allowed.includes(role)) {
-    res.status(403).json({
-      success: false,
-      message: "Configuration access only (super-admin, admin, marketing).",
-    });
-    return false;
-  }
-  return true;
-}
-
 function normalizeUrl(value) {
   const raw = String(value || "").trim();
   if (!raw) return "";
@@ -73,10 +61,8 @@ function normalizeIncoming(body = {}) {
 /**
  * GET /api/admin/configuration/storefront
  */
-router.get("/admin/configuration/storefront", staffGuard, async (req, res) => {
+router.get("/admin/configuration/storefront", staffGuard, requirePermission("storefront.config"), async (req, res) => {
   try {
-    if (!ensureConfigRole(req, res)) return;
-
     let config = await StorefrontConfig.findOne({ _id: CONFIG_ID });
     if (!config) {
       const def = buildDefaultConfig();
@@ -97,10 +83,8 @@ router.get("/admin/configuration/storefront", staffGuard, async (req, res) => {
  * POST /api/admin/configuration/storefront
  * Body: { socialLinks: { facebook, instagram, tiktok, youtube, linkedin } }
  */
-router.post("/admin/configuration/storefront", staffGuard, async (req, res) => {
+router.post("/admin/configuration/storefront", staffGuard, requirePermission("storefront.config"), async (req, res) => {
   try {
-    if (!ensureConfigRole(req, res)) return;
-
     const incoming = normalizeIncoming(req.body || {});
     const now = new Date();
     const adminId = req.user?.id || req.user?._id || null;
@@ -3,6 +3,7 @@ import dotenv from "dotenv";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 dotenv.config();
 
@@ -18,7 +19,7 @@ const getSubscribersCollection = () => {
  * List subscribers for Admin UI
  * Optional query params: search, page, limit
  */
-router.get("/subscribers", authMiddleware, async (req, res) => {
+router.get("/subscribers", authMiddleware, requirePermission("subscribers.read"), async (req, res) => {
   try {
     const subscribers = getSubscribersCollection();
     const { search = "", page = 1, limit = 20 } = req.query;
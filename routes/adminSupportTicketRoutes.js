@@ -0,0 +1,489 @@
+// routes/adminSupportTicketRoutes.js
+// Support tickets over customer and seller support conversations
+// (services/support/ticketService.js). Mounted at /api/admin/support.
+//
+//   GET    /tickets                 queue: ?status=open,pending&priority=&assignee=me|unassigned|<id>
+//                                    &breach=breached|due_soon|ok&tag=&requesterType=&orderId=&returnId=
+//                                    &q=&sort=due|newest|updated&page=&limit=
+//   GET    /tickets/assignees       staff who can be assigned
+//   GET    /tickets/:id             ticket + SLA state + conversation messages
+//   POST   /tickets                 { subject, requester: { type, id }, priority?, tags?, orderId?, returnId?, assigneeId? }
+//   PATCH  /tickets/:id             { subject?, status?, priority?, tags?, orderId?, returnId? }
+//   POST   /tickets/:id/assign      { assigneeId }   ("me", or null to unassign)
+//   POST   /tickets/:id/notes       { body }         internal, never shown to the requester
+//   POST   /tickets/:id/reply       { text? , cannedReplyId?, status? }
+//   GET    /canned-replies          ?q=
+//   POST   /canned-replies          { title, body, shortcut?, tags? }
+//   PATCH  /canned-replies/:id
+//   DELETE /canned-replies/:id
+//
+// Roles stored in Mongo before tickets existed need tickets.* added through /api/admin/roles.
+
+import express from "express";
+import { ObjectId } from "mongodb";
+
+import { client } from "../dbConfig.js";
+import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { logAdminAction } from "../services/auditLogService.js";
+import { safeInt, escapeRegex } from "../utils/query.js";
+import {
+  TICKET_STATUS,
+  REQUESTER_TYPES,
+  isTicketStatus,
+  isTicketPriority,
+  slaState,
+  breachFilter,
+  statusChangeSet,
+  priorityChangeSet,
+  normalizeTags,
+  renderCannedReply,
+} from "../services/support/tickets.js";
+import {
+  ticketError,
+  createTicket,
+  resolveTicketLinks,
+  resolveAssignee,
+  listAssignableStaff,
+  postTicketReply,
+} from "../services/support/ticketService.js";
+import { CONVERSATION_KINDS } from "../services/realtime/channels.js";
+
+const router = express.Router();
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const Tickets = db.collection("supportTickets");
+const CannedReplies = db.collection("supportCannedReplies");
+
+const staff = [authMiddleware, isActiveMiddleware];
+const canRead = [...staff, requirePermission("tickets.read")];
+const canWork = [...staff, requirePermission("tickets.manage")];
+const canEditCanned = [...staff, requirePermission("tickets.canned_replies")];
+
+const QUEUE_PROJECTION = { notes: 0, events: 0 };
+
+function toObjectId(id) {
+  const s = String(id || "").trim();
+  return ObjectId.isValid(s) ? new ObjectId(s) : null;
+}
+
+function actorId(req) {
+  return String(req.user?.id || req.user?._id || "");
+}
+
+function staffEvent(req, type, meta = null, at = new Date()) {
+  return { at, actor: { kind: "staff", id: actorId(req) }, type, meta };
+}
+
+function sendTicketError(res, err, label) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Something went wrong" });
+}
+
+function presentTicket(ticket, now = new Date()) {
+  return { ...ticket, slaState: slaState(ticket, now) };
+}
+
+async function loadTicket(id) {
+  const _id = toObjectId(id);
+  const ticket = _id ? await Tickets.findOne({ _id }) : null;
+  if (!ticket) throw ticketError("Ticket not found", "TICKET_NOT_FOUND", 404);
+  return ticket;
+}
+
+async function loadConversationMessages(conversation, limit = 200) {
+  if (!conversation?.id) return [];
+  if (conversation.kind === CONVERSATION_KINDS.CUSTOMER_SUPPORT) {
+    const conv = await db.collection("customerSupportConversations").findOne({ _id: conversation.id }, { projection: { customerId: 1 } });
+    if (!conv) return [];
+    return db
+      .collection("customerSupportMessages")
+      .find({ customerId: conv.customerId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray()
+      .then((rows) => rows.reverse());
+  }
+  return db
+    .collection("messages")
+    .find({ conversationId: conversation.id })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray()
+    .then((rows) => rows.reverse());
+}
+
+/* ===============================
+   QUEUE
+=============================== */
+
+router.get("/tickets", ...canRead, async (req, res) => {
+  try {
+    const now = new Date();
+    const page = safeInt(req.query.page, 1, 1, 100000);
+    const limit = safeInt(req.query.limit, 25, 1, 100);
+    const me = toObjectId(actorId(req));
+
+    const statuses = String(req.query.status || "open,pending")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(isTicketStatus);
+    const filter = { status: { $in: statuses.length ? statuses : [TICKET_STATUS.OPEN, TICKET_STATUS.PENDING] } };
+
+    if (req.query.priority) {
+      const priorities = String(req.query.priority).split(",").filter(isTicketPriority);
+      if (priorities.length) filter.priority = { $in: priorities };
+    }
+
+    const assignee = String(req.query.assignee || "").trim();
+    if (assignee === "me") filter.assigneeId = me;
+    else if (assignee === "unassigned") filter.assigneeId = null;
+    else if (assignee) {
+      const aid = toObjectId(assignee);
+      if (!aid) return res.status(400).json({ message: "Invalid assignee" });
+      filter.assigneeId = aid;
+    }
+
+    if (req.query.tag) filter.tags = { $in: normalizeTags(req.query.tag) };
+    if (REQUESTER_TYPES.includes(req.query.requesterType)) filter["requester.type"] = req.query.requesterType;
+    if (req.query.requesterId) filter["requester.id"] = toObjectId(req.query.requesterId);
+    if (req.query.orderId) filter.orderId = toObjectId(req.query.orderId);
+    if (req.query.returnId) filter.returnId = toObjectId(req.query.returnId);
+
+    const q = String(req.query.q || "").trim();
+    if (q) {
+      const rx = { $regex: escapeRegex(q), $options: "i" };
+      filter.$and = [
+        { $or: [{ ticketNumber: rx }, { subject: rx }, { "requester.name": rx }, { "requester.email": rx }, { orderNumber: rx }] },
+      ];
+    }
+
+    if (req.query.breach) {
+      const bf = breachFilter(String(req.query.breach), now);
+      if (!bf) return res.status(400).json({ message: "breach must be breached, due_soon or ok" });
+      filter.$and = [...(filter.$and || []), bf];
+    }
+
+    const sortParam = String(req.query.sort || "due");
+    const sort =
+      sortParam === "newest"
+        ? { createdAt: -1 }
+        : sortParam === "updated"
+          ? { updatedAt: -1 }
+          : { "sla.firstResponseDueAt": 1, "sla.resolutionDueAt": 1 };
+
+    const unsolved = { status: { $ne: TICKET_STATUS.SOLVED } };
+    const [items, total, open, pending, unassigned, mine, breached] = await Promise.all([
+      Tickets.find(filter, { projection: QUEUE_PROJECTION })
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      Tickets.countDocuments(filter),
+      Tickets.countDocuments({ status: TICKET_STATUS.OPEN }),
+      Tickets.countDocuments({ status: TICKET_STATUS.PENDING }),
+      Tickets.countDocuments({ ...unsolved, assigneeId: null }),
+      me ? Tickets.countDocuments({ ...unsolved, assigneeId: me }) : 0,
+      Tickets.countDocuments(breachFilter("breached", now)),
+    ]);
+
+    return res.json({
+      items: items.map((t) => presentTicket(t, now)),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      summary: { open, pending, unassigned, mine, breached },
+    });
+  } catch (err) {
+    return sendTicketError(res, err, "List tickets");
+  }
+});
+
+router.get("/tickets/assignees", ...canRead, async (req, res) => {
+  try {
+    return res.json({ items: await listAssignableStaff(db) });
+  } catch (err) {
+    return sendTicketError(res, err, "List ticket assignees");
+  }
+});
+
+router.get("/tickets/:id", ...canRead, async (req, res) => {
+  try {
+    const ticket = await loadTicket(req.params.id);
+    const messages = await loadConversationMessages(ticket.conversation);
+    return res.json({ ticket: presentTicket(ticket), messages });
+  } catch (err) {
+    return sendTicketError(res, err, "Get ticket");
+  }
+});
+
+/* ===============================
+   WORKING TICKETS
+=============================== */
+
+router.post("/tickets", ...canWork, async (req, res) => {
+  try {
+    const ticket = await createTicket(db, req.body || {}, { actor: req.user });
+    return res.status(201).json({ ticket: presentTicket(ticket) });
+  } catch (err) {
+    return sendTicketError(res, err, "Create ticket");
+  }
+});
+
+router.patch("/tickets/:id", ...canWork, async (req, res) => {
+  try {
+    const ticket = await loadTicket(req.params.id);
+    const body = req.body || {};
+    const now = new Date();
+    let set = { updatedAt: now };
+    const events = [];
+
+    if (body.subject !== undefined) {
+      const subject = String(body.subject || "").trim().slice(0, 200);
+      if (!subject) throw ticketError("Subject is required", "INVALID_TICKET");
+      set.subject = subject;
+    }
+
+    if (body.priority !== undefined && body.priority !== ticket.priority) {
+      if (!isTicketPriority(body.priority)) throw ticketError("Invalid priority", "INVALID_PRIORITY");
+      set = { ...set, ...priorityChangeSet(ticket, body.priority, now) };
+      events.push(staffEvent(req, "PRIORITY_CHANGED", { from: ticket.priority, to: body.priority }, now));
+    }
+
+    if (body.status !== undefined && body.status !== ticket.status) {
+      if (!isTicketStatus(body.status)) throw ticketError("Invalid status", "INVALID_STATUS");
+      // Priority first: a reopened ticket gets its new resolution clock from the new priority.
+      set = { ...set, ...statusChangeSet({ ...ticket, priority: set.priority || ticket.priority }, body.status, now) };
+      events.push(staffEvent(req, "STATUS_CHANGED", { from: ticket.status, to: body.status }, now));
+    }
+
+    if (body.tags !== undefined) set.tags = normalizeTags(body.tags);
+
+    if (body.orderId !== undefined || body.returnId !== undefined) {
+      const links = await resolveTicketLinks(db, { orderId: body.orderId, returnId: body.returnId });
+      Object.assign(set, links);
+      events.push(
+        staffEvent(req, "LINKS_CHANGED", { orderId: links.orderId ?? ticket.orderId, returnId: links.returnId ?? ticket.returnId }, now)
+      );
+    }
+
+    const update = { $set: set };
+    if (events.length) update.$push = { events: { $each: events } };
+    const r = await Tickets.findOneAndUpdate({ _id: ticket._id }, update, {
+      returnDocument: "after",
+      includeResultMetadata: true,
+    });
+
+    return res.json({ ticket: presentTicket(r.value) });
+  } catch (err) {
+    return sendTicketError(res, err, "Update ticket");
+  }
+});
+
+router.post("/tickets/:id/assign", ...canWork, async (req, res) => {
+  try {
+    const ticket = await loadTicket(req.params.id);
+    const requested = req.body?.assigneeId === "me" ? actorId(req) : req.body?.assigneeId;
+    const assignee = await resolveAssignee(db, requested || null);
+    const now = new Date();
+
+    const r = await Tickets.findOneAndUpdate(
+      { _id: ticket._id },
+      {
+        $set: { ...assignee, updatedAt: now },
+        $push: {
+          events: staffEvent(
+            req,
+            assignee.assigneeId ? "ASSIGNED" : "UNASSIGNED",
+            { from: ticket.assigneeId || null, to: assignee.assigneeId },
+            now
+          ),
+        },
+      },
+      { returnDocument: "after", includeResultMetadata: true }
+    );
+
+    return res.json({ ticket: presentTicket(r.value) });
+  } catch (err) {
+    return sendTicketError(res, err, "Assign ticket");
+  }
+});
+
+router.post("/tickets/:id/notes", ...canWork, async (req, res) => {
+  try {
+    const ticket = await loadTicket(req.params.id);
+    const body = String(req.body?.body || "").trim();
+    if (!body) throw ticketError("Note body is required", "INVALID_NOTE");
+    if (body.length > 5000) throw ticketError("Note is too long", "INVALID_NOTE");
+
+    const now = new Date();
+    const note = {
+      _id: new ObjectId(),
+      body,
+      authorId: toObjectId(actorId(req)),
+      authorName: req.user?.name || req.user?.email || null,
+      createdAt: now,
+    };
+    await Tickets.updateOne({ _id: ticket._id }, { $push: { notes: note }, $set: { updatedAt: now } });
+
+    return res.status(201).json({ note });
+  } catch (err) {
+    return sendTicketError(res, err, "Add ticket note");
+  }
+});
+
+router.post("/tickets/:id/reply", ...canWork, async (req, res) => {
+  try {
+    const ticket = await loadTicket(req.params.id);
+    const body = req.body || {};
+    const now = new Date();
+
+    if (body.status !== undefined && !isTicketStatus(body.status)) {
+      throw ticketError("Invalid status", "INVALID_STATUS");
+    }
+
+    let text = String(body.text || "").trim();
+    if (!text && body.cannedReplyId) {
+      const cid = toObjectId(body.cannedReplyId);
+      const canned = cid ? await CannedReplies.findOne({ _id: cid }) : null;
+      if (!canned) throw ticketError("Canned reply not found", "CANNED_REPLY_NOT_FOUND", 404);
+      text = renderCannedReply(canned.body, {
+        requesterName: ticket.requester?.name,
+        ticketNumber: ticket.ticketNumber,
+        orderNumber: ticket.orderNumber,
+        returnNumber: ticket.returnNumber,
+        agentName: req.user?.name || "Glamzi Support",
+      });
+      await CannedReplies.updateOne({ _id: cid }, { $inc: { useCount: 1 }, $set: { lastUsedAt: now } });
+    }
+
+    const message = await postTicketReply(db, ticket, { text, actor: req.user, now });
+
+    const fresh = await Tickets.findOne({ _id: ticket._id });
+    const set = { lastAgentReplyAt: now, updatedAt: now };
+    const events = [staffEvent(req, "REPLIED", { messageId: message._id }, now)];
+    if (body.status && body.status !== fresh.status) {
+      Object.assign(set, statusChangeSet(fresh, body.status, now));
+      events.push(staffEvent(req, "STATUS_CHANGED", { from: fresh.status, to: body.status }, now));
+    }
+    const r = await Tickets.findOneAndUpdate(
+      { _id: ticket._id },
+      { $set: set, $push: { events: { $each: events } } },
+      { returnDocument: "after", includeResultMetadata: true }
+    );
+
+    return res.status(201).json({ message, ticket: presentTicket(r.value) });
+  } catch (err) {
+    return sendTicketError(res, err, "Reply to ticket");
+  }
+});
+
+/* ===============================
+   CANNED REPLIES
+=============================== */
+
+function normalizeCannedReply(body = {}, { partial = false } = {}) {
+  const out = {};
+  if (!partial || body.title !== undefined) {
+    const title = String(body.title || "").trim().slice(0, 120);
+    if (!title) throw ticketError("Title is required", "INVALID_CANNED_REPLY");
+    out.title = title;
+  }
+  if (!partial || body.body !== undefined) {
+    const text = String(body.body || "").trim();
+    if (!text) throw ticketError("Body is required", "INVALID_CANNED_REPLY");
+    if (text.length > 5000) throw ticketError("Body is too long", "INVALID_CANNED_REPLY");
+    out.body = text;
+  }
+  if (body.shortcut !== undefined) {
+    out.shortcut = String(body.shortcut || "").trim().toLowerCase().replace(/[^a-z0-9_-]/g, "").slice(0, 30) || null;
+  }
+  if (body.tags !== undefined) out.tags = normalizeTags(body.tags);
+  return out;
+}
+
+router.get("/canned-replies", ...canRead, async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const filter = {};
+    if (q) {
+      const rx = { $regex: escapeRegex(q), $options: "i" };
+      filter.$or = [{ title: rx }, { shortcut: rx }, { tags: rx }];
+    }
+    const items = await CannedReplies.find(filter).sort({ useCount: -1, title: 1 }).limit(200).toArray();
+    return res.json({ items });
+  } catch (err) {
+    return sendTicketError(res, err, "List canned replies");
+  }
+});
+
+router.post("/canned-replies", ...canEditCanned, async (req, res) => {
+  try {
+    const now = new Date();
+    const doc = {
+      shortcut: null,
+      tags: [],
+      ...normalizeCannedReply(req.body),
+      useCount: 0,
+      lastUsedAt: null,
+      createdBy: actorId(req),
+      updatedBy: actorId(req),
+      createdAt: now,
+      updatedAt: now,
+    };
+    const { insertedId } = await CannedReplies.insertOne(doc);
+
+    await logAdminAction({ action: "CANNED_REPLY_CREATED", actor: req.user, details: { id: String(insertedId), title: doc.title } });
+
+    return res.status(201).json({ cannedReply: { _id: insertedId, ...doc } });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ message: "Shortcut already in use", code: "CANNED_REPLY_SHORTCUT_TAKEN" });
+    }
+    return sendTicketError(res, err, "Create canned reply");
+  }
+});
+
+router.patch("/canned-replies/:id", ...canEditCanned, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    if (!_id) throw ticketError("Canned reply not found", "CANNED_REPLY_NOT_FOUND", 404);
+    const changes = normalizeCannedReply(req.body, { partial: true });
+
+    const r = await CannedReplies.findOneAndUpdate(
+      { _id },
+      { $set: { ...changes, updatedBy: actorId(req), updatedAt: new Date() } },
+      { returnDocument: "after", includeResultMetadata: true }
+    );
+    if (!r?.value) throw ticketError("Canned reply not found", "CANNED_REPLY_NOT_FOUND", 404);
+
+    await logAdminAction({ action: "CANNED_REPLY_UPDATED", actor: req.user, details: { id: String(_id), changes } });
+
+    return res.json({ cannedReply: r.value });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ message: "Shortcut already in use", code: "CANNED_REPLY_SHORTCUT_TAKEN" });
+    }
+    return sendTicketError(res, err, "Update canned reply");
+  }
+});
+
+router.delete("/canned-replies/:id", ...canEditCanned, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    const r = _id ? await CannedReplies.deleteOne({ _id }) : { deletedCount: 0 };
+    if (!r.deletedCount) throw ticketError("Canned reply not found", "CANNED_REPLY_NOT_FOUND", 404);
+
+    await logAdminAction({ action: "CANNED_REPLY_DELETED", actor: req.user, details: { id: String(_id) } });
+
+    return res.json({ success: true });
+  } catch (err) {
+    return sendTicketError(res, err, "Delete canned reply");
+  }
+});
+
+export default router;
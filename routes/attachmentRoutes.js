@@ -0,0 +1,93 @@
+// routes/attachmentRoutes.js
+// Private message attachments (services/attachments). Mounted at /api/attachments.
+//
+//   GET /:id/url                      (Bearer) -> { url, expiresAt } for the caller
+//   GET /:id?uid=&exp=&sig=           signed download, no Authorization needed
+//
+// Message payloads already carry a signed attachmentUrl for whoever fetched them;
+// /:id/url is for realtime events and for links that expired in an open tab.
+
+import express from "express";
+import { ObjectId } from "mongodb";
+
+import { client } from "../dbConfig.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import {
+  findAttachment,
+  canAccessAttachment,
+  attachmentStorage,
+  attachmentStorageKey,
+} from "../services/attachments/attachmentService.js";
+import { ALLOWED_TYPES } from "../services/attachments/attachmentPolicy.js";
+import { signAttachmentUrl, verifyAttachmentSignature } from "../services/attachments/signedUrls.js";
+
+const router = express.Router();
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+function notFound(res) {
+  return res.status(404).json({ message: "Attachment not found", code: "ATTACHMENT_NOT_FOUND" });
+}
+
+router.get("/:id/url", authMiddleware, async (req, res) => {
+  try {
+    const attachment = await findAttachment(db, req.params.id);
+    if (!attachment || !(await canAccessAttachment(db, attachment, req.user))) return notFound(res);
+
+    return res.json(signAttachmentUrl(attachment._id, req.user._id || req.user.id));
+  } catch (err) {
+    console.error("GET /attachments/:id/url error:", err);
+    return res.status(500).json({ message: "Failed to sign attachment link" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const { uid, exp, sig } = req.query;
+    const check = verifyAttachmentSignature({ attachmentId: req.params.id, uid, exp, sig });
+    if (check === "expired") {
+      return res.status(410).json({ message: "This link has expired", code: "ATTACHMENT_LINK_EXPIRED" });
+    }
+    if (check !== "ok") {
+      return res.status(403).json({ message: "Invalid attachment link", code: "ATTACHMENT_LINK_INVALID" });
+    }
+
+    const attachment = await findAttachment(db, req.params.id);
+    if (!attachment) return notFound(res);
+
+    // The link was signed for `uid`: make sure they still belong to the conversation.
+    const viewer = ObjectId.isValid(String(uid))
+      ? await db.collection("users").findOne({ _id: new ObjectId(String(uid)) }, { projection: { role: 1, status: 1 } })
+      : null;
+    if (!viewer || viewer.status === "blocked" || !(await canAccessAttachment(db, attachment, viewer))) {
+      return notFound(res);
+    }
+
+    const object = await attachmentStorage().getStream(attachmentStorageKey(attachment));
+    if (!object) return notFound(res);
+
+    const inline = ALLOWED_TYPES[attachment.mime]?.inline;
+    const maxAge = Math.max(0, Number(exp) - Math.floor(Date.now() / 1000));
+    res.set({
+      "Content-Type": attachment.mime,
+      "Content-Length": String(object.size),
+      "Content-Disposition": `${inline ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      "Cache-Control": `private, max-age=${maxAge}`,
+      "X-Content-Type-Options": "nosniff",
+      "Content-Security-Policy": "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox",
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    });
+
+    object.stream
+      .on("error", (err) => {
+        console.error("attachment stream error:", err);
+        if (!res.headersSent) notFound(res);
+        else res.destroy(err);
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error("GET /attachments/:id error:", err);
+    return res.status(500).json({ message: "Failed to load attachment" });
+  }
+});
+
+export default router;
@@ -3,13 +3,54 @@
 
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import { ObjectId } from "mongodb";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware, isStaffMiddleware } from "../middlewares/authMiddleware.js";
 import { sendAdminPushNotification } from "../utils/adminPush.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllUserSessions,
+  listUserSessions,
+  markSessionStepUp,
+  SESSION_REVOKE_REASONS,
+} from "../services/auth/sessionService.js";
+import {
+  TWO_FACTOR_CHALLENGES,
+  isTwoFactorRequired,
+  twoFactorStatus,
+  twoFactorLoginChallenge,
+  verifyTwoFactorChallenge,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifySecondFactor,
+  verifySessionSecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from "../services/auth/twoFactor.js";
+import {
+  issueAccountToken,
+  consumeAccountToken,
+  describeTtl,
+  ACCOUNT_TOKEN_PURPOSES,
+} from "../services/auth/accountTokens.js";
+import { enqueueEmail } from "../utils/emailQueue.js";
+import { rateLimit, sendTooManyRequests, clientIp } from "../middlewares/rateLimit.js";
+import {
+  LOGIN_SCOPES,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../services/security/loginLockout.js";
+import { ensureRolesFresh, isStaffRole, staffRoleKeys, getRoleGrants } from "../services/auth/roles.js";
+import { expandPermissions } from "../services/auth/permissions.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { GUEST_TOKEN_HEADER, verifyGuestToken } from "../services/cart/guestCart.js";
+import { mergeGuestCartIntoUser } from "../services/cart/guestCartService.js";
 
 dotenv.config();
 
@@ -20,31 +61,136 @@ const db = client.db(dbName);
 const Users = db.collection("users");
 const AdminNotifications = db.collection("admin_notifications");
 
-const JWT_SECRET = process.env.JWT_SECRET || "mysecretkey";
-
 // ===== Helpers =====
 const normalizeEmail = (email = "") => email.trim().toLowerCase();
 
-function signToken(user) {
-  const userId = user?._id?.toString?.() || String(user?._id || user?.id || "");
-  return jwt.sign(
-    {
-      id: userId,
-      _id: userId,
-      email: user.email,
-      role: user.role,
+const MIN_PASSWORD_LENGTH = 8;
+
+// Roles that use the self-service reset/verification flow (staff use /api/admin/auth/*).
+const SELF_SERVICE_ROLES = ["customer", "user", "seller"];
+
+function appUrlFor(user) {
+  const base =
+    user?.role === "seller"
+      ? process.env.SELLER_URL || process.env.FRONTEND_URL
+      : process.env.FRONTEND_URL;
+  return String(base || "https://glamzibeauty.com").replace(/\/+$/, "");
+}
+
+function displayName(user) {
+  return user?.firstName || user?.ownerFirstName || user?.name || user?.storeName || "there";
+}
+
+async function sendVerificationEmail(user) {
+  const issued = await issueAccountToken(db, {
+    userId: user._id,
+    purpose: ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION,
+    email: user.email,
+  });
+  if (issued.throttled) return { ok: false, throttled: true };
+
+  return enqueueEmail({
+    type: "support.email_verification",
+    templateId: "email_verification_customer",
+    subject: "Verify your email address",
+    priority: "high",
+    to: [user.email],
+    idempotencyKey: `support.email_verification:${user._id}:${issued.expiresAt.getTime()}`,
+    variables: {
+      customerName: displayName(user),
+      verifyLink: `${appUrlFor(user)}/verify-email?token=${issued.token}`,
+      verifyExpiry: describeTtl(ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION),
     },
-    JWT_SECRET,
-    { expiresIn: "7d" }
-  );
+    meta: { refs: { userId: String(user._id) } },
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const issued = await issueAccountToken(db, {
+    userId: user._id,
+    purpose: ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET,
+    email: user.email,
+  });
+  if (issued.throttled) return { ok: false, throttled: true };
+
+  return enqueueEmail({
+    type: "support.password_reset",
+    templateId: "password_reset_customer",
+    subject: "Reset your password",
+    priority: "critical",
+    to: [user.email],
+    idempotencyKey: `support.password_reset:${user._id}:${issued.expiresAt.getTime()}`,
+    variables: {
+      resetLink: `${appUrlFor(user)}/reset-password/${issued.token}`,
+      resetExpiry: describeTtl(ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET),
+    },
+    meta: { refs: { userId: String(user._id) } },
+  });
+}
+
+/**
+ * Moves the caller's guest cart (X-Guest-Token header or body.guestToken) into the account cart.
+ * Best effort: a failed merge never fails the login. Returns the merge summary or null.
+ */
+async function mergeGuestCartFor(req, userId) {
+  const guestId = verifyGuestToken(req.get(GUEST_TOKEN_HEADER) || req.body?.guestToken);
+  if (!guestId) return null;
+  try {
+    return await mergeGuestCartIntoUser(db, { guestId, userId });
+  } catch (err) {
+    console.error("Guest cart merge failed:", err);
+    return null;
+  }
 }
 
-function buildAuthResponse(user, message = "Login successful") {
-  const token = signToken(user);
+const ACCOUNT_LOCKED_MESSAGE = "Too many failed login attempts. Please try again later.";
+
+/**
+ * Progressive lockout (services/security/loginLockout.js).
+ * Responds 429 + Retry-After and returns true while the login is locked.
+ */
+async function rejectIfLocked(res, scope, email) {
+  const lock = await getLoginLock(db, { scope, identifier: email });
+  if (!lock.locked) return false;
+  sendTooManyRequests(res, lock.retryAfterMs, { message: ACCOUNT_LOCKED_MESSAGE, code: "ACCOUNT_LOCKED" });
+  return true;
+}
+
+// Counts the failure; the attempt that trips a lock gets the 429 instead of `message`.
+async function respondLoginFailure(req, res, { scope, email, user = null, message, status = 400, code }) {
+  const failure = await recordLoginFailure(db, {
+    scope,
+    identifier: email,
+    userId: user?._id || null,
+    ip: clientIp(req),
+  });
+  if (failure.locked) {
+    return sendTooManyRequests(res, failure.retryAfterMs, { message: ACCOUNT_LOCKED_MESSAGE, code: "ACCOUNT_LOCKED" });
+  }
+  return res.status(status).json({ message, ...(code ? { code } : {}) });
+}
+
+/**
+ * Opens a session (sessions collection) and returns the token fields of every login response:
+ * { token (short-lived access JWT), refreshToken, sessionId, expiresIn, refreshExpiresAt }
+ */
+async function issueTokens(user, req, { mfaMethod = null } = {}) {
+  const s = await createSession(db, user, { req, mfaMethod });
+  return {
+    token: s.accessToken,
+    refreshToken: s.refreshToken,
+    sessionId: s.sessionId,
+    expiresIn: s.expiresIn,
+    refreshExpiresAt: s.refreshExpiresAt,
+  };
+}
+
+async function buildAuthResponse(user, req, message = "Login successful", { mfaMethod = null } = {}) {
+  const tokens = await issueTokens(user, req, { mfaMethod });
 
   return {
     message,
-    token,
+    ...tokens,
     user: {
       id: user._id.toString(),
       name: user.storeName || user.name || "",
@@ -66,7 +212,7 @@ function buildAuthResponse(user, message = "Login successful") {
  * POST /api/auth/register
  * Customer register
  */
-router.post("/register", async (req, res) => {
+router.post("/register", rateLimit("register"), async (req, res) => {
   try {
     const { firstName, lastName, phone, email, password } = req.body;
 
@@ -78,6 +224,15 @@ router.post("/register", async (req, res) => {
 
     // No role from frontend allowed
     const existing = await Users.findOne({ email: lowerEmail });
+    if (existing?.guest === true && !existing.blocked) {
+      // Earlier guest checkout: the address has to be proven before the record (and its
+      // orders) gets a password, so the password reset link sets it up.
+      await sendPasswordResetEmail(existing).catch((e) => console.error("Guest claim email failed:", e));
+      return res.status(409).json({
+        message: "You've checked out as a guest with this email. We've sent you a link to set your password.",
+        code: "GUEST_ACCOUNT",
+      });
+    }
     if (existing) {
       return res.status(400).json({ message: "User already exists" });
     }
@@ -96,6 +251,7 @@ router.post("/register", async (req, res) => {
       role: "customer", // ✅ forced
       blocked: false,
       status: "active",
+      emailVerified: false,
 
       createdAt: now,
       updatedAt: now,
@@ -103,9 +259,17 @@ router.post("/register", async (req, res) => {
 
     const result = await Users.insertOne(newUser);
 
+    const sent = await sendVerificationEmail({ ...newUser, _id: result.insertedId }).catch((e) => {
+      console.error("Verification email failed:", e);
+      return { ok: false };
+    });
+    const cartMerge = await mergeGuestCartFor(req, result.insertedId);
+
     return res.status(201).json({
       message: "Customer registered successfully",
+      verificationEmailSent: Boolean(sent?.ok),
       userId: result.insertedId,
+      cartMerge,
     });
   } catch (err) {
     console.error("Customer register error:", err);
@@ -119,7 +283,7 @@ router.post("/register", async (req, res) => {
  * POST /api/auth/login
  * Customer login
  */
-router.post("/login", async (req, res) => {
+router.post("/login", rateLimit("login"), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -130,12 +294,17 @@ router.post("/login", async (req, res) => {
     }
 
     const lowerEmail = normalizeEmail(email);
+    if (await rejectIfLocked(res, LOGIN_SCOPES.CUSTOMER, lowerEmail)) return;
 
     // ✅ Find by email ONLY first
     const user = await Users.findOne({ email: lowerEmail });
 
     if (!user) {
-      return res.status(400).json({ message: "User not found" });
+      return respondLoginFailure(req, res, {
+        scope: LOGIN_SCOPES.CUSTOMER,
+        email: lowerEmail,
+        message: "User not found",
+      });
     }
 
     // 🔒 Role-based routing
@@ -146,15 +315,7 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    const adminRoles = [
-      "admin",
-      "super-admin",
-      "account",
-      "marketing",
-      "support",
-    ];
-
-    if (adminRoles.includes(user.role)) {
+    if (isStaffRole(user.role)) {
       return res.status(400).json({
         message:
           "This email belongs to an admin/staff account. Please use the admin login page.",
@@ -174,12 +335,27 @@ router.post("/login", async (req, res) => {
       });
     }
 
+    // Guest checkout records have no password until one is set through the reset link
+    if (!user.password) {
+      return res.status(400).json({
+        message: "This email was used for a guest checkout. Use \"Forgot password\" to set a password.",
+        code: "GUEST_ACCOUNT",
+      });
+    }
+
     const match = await bcrypt.compare(password, user.password);
     if (!match) {
-      return res.status(400).json({ message: "Invalid password" });
+      return respondLoginFailure(req, res, {
+        scope: LOGIN_SCOPES.CUSTOMER,
+        email: lowerEmail,
+        user,
+        message: "Invalid password",
+      });
     }
 
-    return res.json(buildAuthResponse(user, "Customer login successful"));
+    await clearLoginFailures(db, { scope: LOGIN_SCOPES.CUSTOMER, identifier: lowerEmail });
+    const auth = await buildAuthResponse(user, req, "Customer login successful");
+    return res.json({ ...auth, cartMerge: await mergeGuestCartFor(req, user._id) });
   } catch (err) {
     console.error("Customer login error:", err);
     return res
@@ -196,7 +372,7 @@ router.post("/login", async (req, res) => {
  * POST /api/auth/seller/register
  * Seller register
  */
-router.post("/seller/register", async (req, res) => {
+router.post("/seller/register", rateLimit("register"), async (req, res) => {
   try {
     const {
       firstName,
@@ -256,6 +432,7 @@ router.post("/seller/register", async (req, res) => {
       role: "seller", // ✅ forced
       blocked: false,
       status: "pending",
+      emailVerified: false,
 
       createdAt: now,
       updatedAt: now,
@@ -263,6 +440,11 @@ router.post("/seller/register", async (req, res) => {
 
     const result = await Users.insertOne(newSeller);
 
+    const sent = await sendVerificationEmail({ ...newSeller, _id: result.insertedId }).catch((e) => {
+      console.error("Verification email failed:", e);
+      return { ok: false };
+    });
+
     try {
       const storeLabel = finalStoreName || "New Seller";
       await AdminNotifications.insertOne({
@@ -285,6 +467,7 @@ router.post("/seller/register", async (req, res) => {
 
     return res.json({
       message: "Seller registered successfully",
+      verificationEmailSent: Boolean(sent?.ok),
       data: { insertedId: result.insertedId },
     });
   } catch (err) {
@@ -299,14 +482,19 @@ router.post("/seller/register", async (req, res) => {
  * POST /api/auth/seller/login
  * Seller login
  */
-router.post("/seller/login", async (req, res) => {
+router.post("/seller/login", rateLimit("login"), async (req, res) => {
   try {
     const { email, password } = req.body;
     const lowerEmail = normalizeEmail(email);
+    if (await rejectIfLocked(res, LOGIN_SCOPES.SELLER, lowerEmail)) return;
 
     const user = await Users.findOne({ email: lowerEmail, role: "seller" });
     if (!user) {
-      return res.status(400).json({ message: "Seller not found" });
+      return respondLoginFailure(req, res, {
+        scope: LOGIN_SCOPES.SELLER,
+        email: lowerEmail,
+        message: "Seller not found",
+      });
     }
 
     if (user.blocked) {
@@ -317,14 +505,20 @@ router.post("/seller/login", async (req, res) => {
 
     const match = await bcrypt.compare(password, user.password);
     if (!match) {
-      return res.status(400).json({ message: "Invalid password" });
+      return respondLoginFailure(req, res, {
+        scope: LOGIN_SCOPES.SELLER,
+        email: lowerEmail,
+        user,
+        message: "Invalid password",
+      });
     }
 
-    const token = signToken(user);
+    await clearLoginFailures(db, { scope: LOGIN_SCOPES.SELLER, identifier: lowerEmail });
+    const tokens = await issueTokens(user, req);
 
     return res.json({
       message: "Seller login successful",
-      token,
+      ...tokens,
       user: {
         id: user._id.toString(),
         name: user.storeName || user.name,
@@ -350,11 +544,11 @@ router.post("/seller/login", async (req, res) => {
 
 /**
  * POST /api/auth/admin/register
- * Create staff user (admin/account/marketing/support)
- * - Must be logged in as staff (admin/super-admin/account/marketing/support)
- * - Only super-admin can create `admin` role (enforced below)
+ * Create staff user (any staff role, see /api/admin/roles)
+ * - Requires the staff.manage permission
+ * - Only super-admin can create `admin` / `super-admin` accounts (enforced below)
  */
-router.post("/admin/register", authMiddleware, isStaffMiddleware, async (req, res) => {
+router.post("/admin/register", authMiddleware, requirePermission("staff.manage"), async (req, res) => {
   try {
     const currentUser = req.user; // from token
     const { name, email, password, role, branch } = req.body;
@@ -363,13 +557,12 @@ router.post("/admin/register", authMiddleware, isStaffMiddleware, async (req, re
       return res.status(400).json({ message: "Please fill all fields." });
     }
 
-    const allowedRoles = ["admin", "account", "marketing", "support"];
-    if (!allowedRoles.includes(role)) {
+    if (!isStaffRole(role)) {
       return res.status(400).json({ message: "Invalid role." });
     }
 
     // 🔐 Only super-admin can create admin accounts
-    if (role === "admin" && currentUser.role !== "super-admin") {
+    if ((role === "admin" || role === "super-admin") && currentUser.role !== "super-admin") {
       return res.status(403).json({
         message: "Only super-admin can create admin accounts.",
       });
@@ -421,28 +614,27 @@ router.post("/admin/register", authMiddleware, isStaffMiddleware, async (req, re
 /**
  * POST /api/auth/admin/login
  * Admin / staff login
- * Allowed roles: admin, super-admin, account, marketing, support
+ * Allowed roles: every staff role in the role registry (services/auth/roles.js)
  */
-router.post("/admin/login", async (req, res) => {
+router.post("/admin/login", rateLimit("staffLogin"), async (req, res) => {
   try {
     const { email, password } = req.body;
     const lowerEmail = normalizeEmail(email);
 
-    const allowedRoles = [
-      "admin",
-      "super-admin",
-      "account",
-      "marketing",
-      "support",
-    ];
+    if (await rejectIfLocked(res, LOGIN_SCOPES.STAFF, lowerEmail)) return;
 
+    await ensureRolesFresh(db);
     const user = await Users.findOne({
       email: lowerEmail,
-      role: { $in: allowedRoles },
+      role: { $in: staffRoleKeys() },
     });
 
     if (!user) {
-      return res.status(400).json({ message: "Admin/staff not found" });
+      return respondLoginFailure(req, res, {
+        scope: LOGIN_SCOPES.STAFF,
+        email: lowerEmail,
+        message: "Admin/staff not found",
+      });
     }
 
     if (user.blocked) {
@@ -459,11 +651,21 @@ router.post("/admin/login", async (req, res) => {
 
     const match = await bcrypt.compare(password, user.password);
     if (!match) {
-      return res.status(400).json({ message: "Invalid password" });
+      return respondLoginFailure(req, res, {
+        scope: LOGIN_SCOPES.STAFF,
+        email: lowerEmail,
+        user,
+        message: "Invalid password",
+      });
     }
 
+    // Second factor: failures stay counted until the whole login succeeds.
+    const challenge = twoFactorLoginChallenge(user);
+    if (challenge) return res.json(challenge);
+
+    await clearLoginFailures(db, { scope: LOGIN_SCOPES.STAFF, identifier: lowerEmail });
     // ✅ Use shared helper so frontend always gets consistent shape
-    return res.json(buildAuthResponse(user, "Admin login successful"));
+    return res.json(await buildAuthResponse(user, req, "Admin login successful"));
   } catch (err) {
     console.error("Admin login error:", err);
     return res
@@ -474,20 +676,20 @@ router.post("/admin/login", async (req, res) => {
 
 /**
  * GET /api/auth/admin/me
- * Current admin/staff info
+ * Current admin/staff info + expanded `permissions` (drives the admin UI menu)
  */
 router.get("/admin/me", authMiddleware, isStaffMiddleware, async (req, res) => {
   try {
     const user = await Users.findOne(
       { _id: new ObjectId(req.user.id) },
-      { projection: { password: 0 } }
+      { projection: { password: 0, twoFactor: 0 } }
     );
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    return res.json(user);
+    return res.json({ ...user, permissions: expandPermissions(getRoleGrants(user.role)) });
   } catch (err) {
     console.error("Admin me error:", err);
     return res
@@ -496,6 +698,527 @@ router.get("/admin/me", authMiddleware, isStaffMiddleware, async (req, res) => {
   }
 });
 
+/* =========================================================
+   PASSWORD RESET / EMAIL VERIFICATION (CUSTOMER + SELLER)
+   ========================================================= */
+
+/**
+ * POST /api/auth/forgot-password
+ * Body: { email }
+ * Always answers the same way so the endpoint can't be used to probe for accounts.
+ */
+router.post("/forgot-password", rateLimit("passwordReset"), async (req, res) => {
+  const genericResponse = {
+    message: "If an account exists for this email, a password reset link has been sent.",
+  };
+
+  try {
+    const lowerEmail = normalizeEmail(String(req.body?.email || ""));
+    if (!lowerEmail) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await Users.findOne({
+      email: lowerEmail,
+      role: { $in: SELF_SERVICE_ROLES },
+    });
+    if (!user || user.blocked) return res.json(genericResponse);
+
+    await sendPasswordResetEmail(user);
+    return res.json(genericResponse);
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password/:token
+ * Body: { password }
+ * Single-use; signs the user out of every device.
+ */
+router.post("/reset-password/:token", rateLimit("passwordReset"), async (req, res) => {
+  try {
+    const password = String(req.body?.password || "");
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const tokenRow = await consumeAccountToken(db, {
+      token: req.params.token,
+      purpose: ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET,
+    });
+
+    const user = await Users.findOne({ _id: tokenRow.userId });
+    if (!user || user.blocked) {
+      return res.status(400).json({ message: "Invalid or expired link", code: "INVALID_TOKEN" });
+    }
+
+    const now = new Date();
+    const hashed = await bcrypt.hash(password, 10);
+
+    // The link was delivered to the inbox, so it also proves ownership of the address.
+    const emailStillMatches = !tokenRow.email || tokenRow.email === user.email;
+
+    await Users.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          password: hashed,
+          passwordChangedAt: now,
+          mustChangePassword: false,
+          ...(user.guest ? { guest: false, guestUpgradedAt: now } : {}),
+          ...(emailStillMatches && !user.emailVerified
+            ? { emailVerified: true, emailVerifiedAt: now }
+            : {}),
+          updatedAt: now,
+        },
+        $unset: { resetToken: "", resetTokenExpiry: "" },
+      }
+    );
+
+    await revokeAllUserSessions(db, user._id, {
+      reason: SESSION_REVOKE_REASONS.USER_REVOKED,
+    });
+
+    await enqueueEmail({
+      type: "support.password_changed",
+      templateId: "password_changed_customer",
+      subject: "Your password was changed",
+      priority: "high",
+      to: [user.email],
+      idempotencyKey: `support.password_changed:${user._id}:${now.getTime()}`,
+      variables: {
+        customerName: displayName(user),
+        changedAt: now.toUTCString(),
+        loginLink: `${appUrlFor(user)}/login`,
+      },
+      meta: { refs: { userId: String(user._id) } },
+    });
+
+    return res.json({ message: "Password has been reset. Please log in again." });
+  } catch (err) {
+    if (err?.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message, code: err.code });
+    }
+    console.error("Reset password error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Body: { token }
+ */
+router.post("/verify-email", async (req, res) => {
+  try {
+    const tokenRow = await consumeAccountToken(db, {
+      token: req.body?.token,
+      purpose: ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION,
+    });
+
+    const user = await Users.findOne({ _id: tokenRow.userId });
+    // A link sent to an old address must not verify a changed one.
+    if (!user || (tokenRow.email && tokenRow.email !== user.email)) {
+      return res.status(400).json({ message: "Invalid or expired link", code: "INVALID_TOKEN" });
+    }
+
+    const now = new Date();
+    await Users.updateOne(
+      { _id: user._id },
+      { $set: { emailVerified: true, emailVerifiedAt: now, updatedAt: now } }
+    );
+
+    return res.json({ message: "Email verified", emailVerified: true });
+  } catch (err) {
+    if (err?.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message, code: err.code });
+    }
+    console.error("Verify email error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Sends a fresh verification link to the logged-in user.
+ */
+router.post("/verify-email/resend", authMiddleware, async (req, res) => {
+  try {
+    const user = await Users.findOne({ _id: new ObjectId(req.user.id) });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    const sent = await sendVerificationEmail(user);
+    if (sent?.throttled) {
+      return res
+        .status(429)
+        .json({ message: "A verification email was sent recently. Please wait a minute." });
+    }
+    if (!sent?.ok) {
+      return res.status(502).json({ message: "Could not send verification email" });
+    }
+
+    return res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+});
+
+/* =========================================================
+   SESSIONS (REFRESH / LOGOUT / DEVICES)
+   ========================================================= */
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * Rotates the refresh token; the old one stops working immediately.
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || "").trim();
+    if (!refreshToken) {
+      return res.status(400).json({ message: "refreshToken is required" });
+    }
+
+    const s = await rotateSession(db, refreshToken, { req });
+
+    return res.json({
+      message: "Token refreshed",
+      token: s.accessToken,
+      refreshToken: s.refreshToken,
+      sessionId: s.sessionId,
+      expiresIn: s.expiresIn,
+      refreshExpiresAt: s.refreshExpiresAt,
+    });
+  } catch (err) {
+    if (err?.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message, code: err.code });
+    }
+    console.error("Refresh token error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+});
+
+// Logout must work with an expired access token, so the refresh token (when sent)
+// is enough on its own; the access token is only required for allDevices.
+function logoutAuth(req, res, next) {
+  const hasBearer = /^bearer\s+\S+/i.test(String(req.headers.authorization || ""));
+  const needsUser = req.body?.allDevices === true || !req.body?.refreshToken;
+  if (hasBearer && needsUser) return authMiddleware(req, res, next);
+  return next();
+}
+
+/**
+ * POST /api/auth/logout
+ * Body: { refreshToken?, allDevices? }
+ * - Revokes the session of the given refresh token, or the one of the access token.
+ * - allDevices=true (requires a valid access token) revokes every session of the user.
+ */
+router.post("/logout", logoutAuth, async (req, res) => {
+  try {
+    const allDevices = req.body?.allDevices === true;
+
+    if (allDevices) {
+      if (!req.user?.id) {
+        return res.status(401).json({ message: "Login required to sign out all devices" });
+      }
+      const { revoked } = await revokeAllUserSessions(db, req.user.id, {
+        reason: SESSION_REVOKE_REASONS.LOGOUT,
+      });
+      return res.json({ success: true, revoked });
+    }
+
+    const refreshToken = String(req.body?.refreshToken || "").trim();
+    let revoked = false;
+    if (refreshToken) {
+      revoked = await revokeSessionByRefreshToken(db, refreshToken);
+    } else if (req.user?.sid) {
+      revoked = await revokeSession(db, req.user.sid, {
+        userId: req.user.id,
+        reason: SESSION_REVOKE_REASONS.LOGOUT,
+      });
+    } else {
+      return res.status(400).json({ message: "No session to log out" });
+    }
+
+    return res.json({ success: true, revoked: revoked ? 1 : 0 });
+  } catch (err) {
+    console.error("Logout error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions (devices) of the logged-in user.
+ */
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(db, req.user.id, {
+      currentSessionId: req.user.sid || null,
+    });
+    return res.json({ sessions });
+  } catch (err) {
+    console.error("List sessions error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the user's own sessions (sign out a device).
+ */
+router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeSession(db, req.params.id, {
+      userId: req.user.id,
+      reason: SESSION_REVOKE_REASONS.USER_REVOKED,
+    });
+    if (!revoked) return res.status(404).json({ message: "Session not found" });
+
+    return res.json({ success: true, current: String(req.user.sid || "") === req.params.id });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+});
+
+/* =========================================================
+   TWO-FACTOR AUTHENTICATION (STAFF)
+   ========================================================= */
+
+function sendTwoFactorError(res, err, label) {
+  if (err?.code === "TWO_FACTOR_LOCKED") {
+    return sendTooManyRequests(res, err.retryAfterMs, { message: err.message, code: err.code });
+  }
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Server error", error: err.message });
+}
+
+// Loads the user behind a login challenge; the challenge dies with a password/status change.
+async function userForChallenge(challengeToken, purpose) {
+  const { userId, tokenVersion } = verifyTwoFactorChallenge(challengeToken, purpose);
+  const user = ObjectId.isValid(userId) ? await Users.findOne({ _id: new ObjectId(userId) }) : null;
+  if (!user || Number(user.tokenVersion || 0) !== tokenVersion || user.blocked || user.status === "blocked") {
+    const e = new Error("Login challenge expired. Please sign in again.");
+    e.statusCode = 401;
+    e.code = "INVALID_2FA_CHALLENGE";
+    throw e;
+  }
+  return user;
+}
+
+async function currentUser(req) {
+  return Users.findOne({ _id: new ObjectId(req.user.id) });
+}
+
+/**
+ * POST /api/auth/admin/login/2fa
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ * Second step of a staff login; returns the normal login response.
+ */
+router.post("/admin/login/2fa", rateLimit("staffLogin"), async (req, res) => {
+  try {
+    const user = await userForChallenge(req.body?.challengeToken, TWO_FACTOR_CHALLENGES.LOGIN);
+    const email = normalizeEmail(user.email);
+    if (await rejectIfLocked(res, LOGIN_SCOPES.STAFF, email)) return;
+
+    let verified;
+    try {
+      verified = await verifySecondFactor(db, user, {
+        code: req.body?.code,
+        recoveryCode: req.body?.recoveryCode,
+      });
+    } catch (err) {
+      if (err?.code !== "INVALID_2FA_CODE") throw err;
+      return respondLoginFailure(req, res, {
+        scope: LOGIN_SCOPES.STAFF,
+        email,
+        user,
+        message: err.message,
+        status: 401,
+        code: err.code,
+      });
+    }
+
+    await clearLoginFailures(db, { scope: LOGIN_SCOPES.STAFF, identifier: email });
+    return res.json(
+      await buildAuthResponse(user, req, "Admin login successful", { mfaMethod: verified.method })
+    );
+  } catch (err) {
+    return sendTwoFactorError(res, err, "Admin 2FA login");
+  }
+});
+
+/**
+ * POST /api/auth/admin/login/2fa/enroll
+ * Body: { challengeToken }  (from a login that answered twoFactorSetupRequired)
+ * Returns { secret, otpauthUrl } — render otpauthUrl as a QR code.
+ */
+router.post("/admin/login/2fa/enroll", rateLimit("staffLogin"), async (req, res) => {
+  try {
+    const user = await userForChallenge(req.body?.challengeToken, TWO_FACTOR_CHALLENGES.ENROLL);
+    return res.json(await startTwoFactorEnrollment(db, user));
+  } catch (err) {
+    return sendTwoFactorError(res, err, "Admin 2FA enroll");
+  }
+});
+
+/**
+ * POST /api/auth/admin/login/2fa/enroll/confirm
+ * Body: { challengeToken, code }
+ * Enables 2FA and completes the login. recoveryCodes are only shown here.
+ */
+router.post("/admin/login/2fa/enroll/confirm", rateLimit("staffLogin"), async (req, res) => {
+  try {
+    const user = await userForChallenge(req.body?.challengeToken, TWO_FACTOR_CHALLENGES.ENROLL);
+    const { recoveryCodes } = await confirmTwoFactorEnrollment(db, user, req.body?.code);
+
+    await clearLoginFailures(db, { scope: LOGIN_SCOPES.STAFF, identifier: normalizeEmail(user.email) });
+    const auth = await buildAuthResponse(user, req, "Two-factor authentication enabled", { mfaMethod: "totp" });
+    return res.json({ ...auth, recoveryCodes });
+  } catch (err) {
+    return sendTwoFactorError(res, err, "Admin 2FA enroll confirm");
+  }
+});
+
+/**
+ * GET /api/auth/2fa
+ */
+router.get("/2fa", authMiddleware, isStaffMiddleware, async (req, res) => {
+  try {
+    const user = await currentUser(req);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    return res.json(twoFactorStatus(user));
+  } catch (err) {
+    return sendTwoFactorError(res, err, "2FA status");
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enroll
+ * Start enrollment from an existing session. Returns { secret, otpauthUrl }.
+ */
+router.post("/2fa/enroll", authMiddleware, isStaffMiddleware, async (req, res) => {
+  try {
+    const user = await currentUser(req);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    return res.json(await startTwoFactorEnrollment(db, user));
+  } catch (err) {
+    return sendTwoFactorError(res, err, "2FA enroll");
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enroll/confirm
+ * Body: { code }. Returns { recoveryCodes }; the current session counts as stepped-up.
+ */
+router.post("/2fa/enroll/confirm", authMiddleware, isStaffMiddleware, async (req, res) => {
+  try {
+    const user = await currentUser(req);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const { recoveryCodes } = await confirmTwoFactorEnrollment(db, user, req.body?.code);
+    if (req.user.sid) await markSessionStepUp(db, req.user.sid, { userId: user._id, method: "totp" });
+
+    return res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+  } catch (err) {
+    return sendTwoFactorError(res, err, "2FA enroll confirm");
+  }
+});
+
+/**
+ * POST /api/auth/2fa/step-up
+ * Body: { code } or { recoveryCode }
+ * Re-verify before sensitive actions (see middlewares/stepUp.js).
+ */
+router.post("/2fa/step-up", authMiddleware, isStaffMiddleware, rateLimit("stepUp"), async (req, res) => {
+  try {
+    if (!req.user.sid) {
+      return res.status(401).json({ message: "Please sign in again", code: "SESSION_REQUIRED" });
+    }
+    const user = await currentUser(req);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const verified = await verifySessionSecondFactor(
+      db,
+      user,
+      { code: req.body?.code, recoveryCode: req.body?.recoveryCode },
+      { ip: clientIp(req) }
+    );
+    await markSessionStepUp(db, req.user.sid, { userId: user._id, method: verified.method });
+
+    return res.json({ success: true, method: verified.method });
+  } catch (err) {
+    return sendTwoFactorError(res, err, "2FA step-up");
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Body: { code }. Replaces all recovery codes.
+ */
+router.post("/2fa/recovery-codes", authMiddleware, isStaffMiddleware, rateLimit("stepUp"), async (req, res) => {
+  try {
+    const user = await currentUser(req);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    await verifySessionSecondFactor(db, user, { code: req.body?.code }, { ip: clientIp(req) });
+    return res.json(await regenerateRecoveryCodes(db, user));
+  } catch (err) {
+    return sendTwoFactorError(res, err, "2FA recovery codes");
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Body: { code }. Not allowed for roles that require 2FA (a super-admin can reset it instead).
+ */
+router.post("/2fa/disable", authMiddleware, isStaffMiddleware, rateLimit("stepUp"), async (req, res) => {
+  try {
+    const user = await currentUser(req);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is mandatory for this role",
+        code: "TWO_FACTOR_REQUIRED",
+      });
+    }
+
+    await verifySessionSecondFactor(db, user, { code: req.body?.code }, { ip: clientIp(req) });
+    await disableTwoFactor(db, user._id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendTwoFactorError(res, err, "2FA disable");
+  }
+});
+
 /* =========================================================
    GENERIC AUTH ME (ANY LOGGED-IN USER)
    ========================================================= */
@@ -507,7 +1230,7 @@ router.get("/me", authMiddleware, async (req, res) => {
   try {
     const user = await Users.findOne(
       { _id: new ObjectId(req.user.id) },
-      { projection: { password: 0 } }
+      { projection: { password: 0, twoFactor: 0 } }
     );
     if (!user) return res.status(404).json({ message: "User not found" });
     return res.json(user);
@@ -1,13 +1,12 @@
 // routes/brandRoutes.js
 import express from "express";
 import { ObjectId } from "mongodb";
-import multer from "multer";
-import path from "path";
-import fs from "fs";
-import { fileURLToPath } from "url";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { memoryUpload, withUploadErrors, sendUploadError } from "../middlewares/uploadMiddleware.js";
+import { storeUpload, UPLOAD_KINDS } from "../services/storage/uploadService.js";
 import { sendAdminPushNotification } from "../utils/adminPush.js";
 
 const router = express.Router();
@@ -22,39 +21,10 @@ const AdminNotifications = db.collection("admin_notifications");
 
 // ================== FILE UPLOAD (LOGOS) ==================
 
-// ESM __dirname
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const brandLogosDir = path.join(__dirname, "..", "uploads", "brand-logos");
-if (!fs.existsSync(brandLogosDir)) {
-  fs.mkdirSync(brandLogosDir, { recursive: true });
-}
-
-const brandLogoStorage = multer.diskStorage({
-  destination(req, file, cb) {
-    cb(null, brandLogosDir);
-  },
-  filename(req, file, cb) {
-    const ext = path.extname(file.originalname);
-    const base = path.basename(file.originalname, ext);
-    const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-    cb(null, `brand-${base}-${unique}${ext}`);
-  },
-});
-
-const uploadLogo = multer({ storage: brandLogoStorage });
+const uploadLogo = memoryUpload({ fileSize: UPLOAD_KINDS.BRAND_LOGO.maxBytes, files: 1 });
 
 // ================== HELPERS ==================
 
-const isAdminOrSuperAdmin = (req, res, next) => {
-  const role = (req.user?.role || "").toLowerCase();
-  if (role === "admin" || role === "super-admin") {
-    return next();
-  }
-  return res.status(403).json({ message: "Admin access only" });
-};
-
 const normalizeBrandLogoUrl = (value) => {
   const raw = String(value || "").trim();
   if (!raw) return "";
@@ -223,13 +193,13 @@ router.post("/seller/brands/suggest", authMiddleware, async (req, res) => {
 
 /**
  * GET /api/admin/brands
- * ✅ Admin + Super Admin
+ * ✅ catalog.read
  * Query: ?status=all|pending|approved|rejected|inactive
  */
 router.get(
   "/admin/brands",
   authMiddleware,
-  isAdminOrSuperAdmin,
+  requirePermission("catalog.read"),
   async (req, res) => {
     try {
       const { status = "all" } = req.query;
@@ -260,19 +230,19 @@ router.get(
 
 /**
  * POST /api/admin/brands
- * ✅ Admin + Super Admin
+ * ✅ catalog.manage
  * Payload: multipart/form-data
  *  - name* (string)
  *  - slug? (string)
  *  - description? (string)
  *  - logo (file)
- * New brand is created as PENDING + INACTIVE, must be approved by super-admin
+ * New brand is created as PENDING + INACTIVE, must be approved (catalog.approve)
  */
 router.post(
   "/admin/brands",
   authMiddleware,
-  isAdminOrSuperAdmin,
-  uploadLogo.single("logo"),
+  requirePermission("catalog.manage"),
+  withUploadErrors(uploadLogo.single("logo")),
   async (req, res) => {
     try {
       const { name, slug, description } = req.body;
@@ -301,7 +271,11 @@ router.post(
 
       let logoUrl = "";
       if (req.file) {
-        logoUrl = `/uploads/brand-logos/${req.file.filename}`;
+        try {
+          logoUrl = (await storeUpload(req.file, UPLOAD_KINDS.BRAND_LOGO)).url;
+        } catch (err) {
+          return sendUploadError(res, err);
+        }
       }
 
       const now = new Date();
@@ -360,14 +334,14 @@ router.post(
 
 /**
  * PUT /api/admin/brands/:id
- * ✅ Admin + Super Admin
+ * ✅ catalog.manage
  * Edit brand name / slug / description / logo (no status change here)
  */
 router.put(
   "/admin/brands/:id",
   authMiddleware,
-  isAdminOrSuperAdmin,
-  uploadLogo.single("logo"),
+  requirePermission("catalog.manage"),
+  withUploadErrors(uploadLogo.single("logo")),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -409,7 +383,11 @@ router.put(
       }
 
       if (req.file) {
-        update.logoUrl = `/uploads/brand-logos/${req.file.filename}`;
+        try {
+          update.logoUrl = (await storeUpload(req.file, UPLOAD_KINDS.BRAND_LOGO)).url;
+        } catch (err) {
+          return sendUploadError(res, err);
+        }
       }
 
       if (!Object.keys(update).length) {
@@ -442,17 +420,10 @@ router.put(
 
 /**
  * PUT /api/admin/brands/:id/approve
- * ✅ Super Admin only
+ * ✅ catalog.approve (super-admin by default)
  */
-router.put("/admin/brands/:id/approve", authMiddleware, async (req, res) => {
+router.put("/admin/brands/:id/approve", authMiddleware, requirePermission("catalog.approve"), async (req, res) => {
   try {
-    const role = (req.user.role || "").toLowerCase();
-    if (role !== "super-admin") {
-      return res
-        .status(403)
-        .json({ message: "Only super-admin can approve brands" });
-    }
-
     const { id } = req.params;
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid brand ID" });
@@ -489,20 +460,14 @@ router.put("/admin/brands/:id/approve", authMiddleware, async (req, res) => {
 
 /**
  * PUT /api/admin/brands/:id/deactivate
- * ✅ Super Admin only
+ * ✅ catalog.approve (super-admin by default)
  */
 router.put(
   "/admin/brands/:id/deactivate",
   authMiddleware,
+  requirePermission("catalog.approve"),
   async (req, res) => {
     try {
-      const role = (req.user.role || "").toLowerCase();
-      if (role !== "super-admin") {
-        return res
-          .status(403)
-          .json({ message: "Only super-admin can deactivate brands" });
-      }
-
       const { id } = req.params;
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ message: "Invalid brand ID" });
@@ -535,17 +500,10 @@ router.put(
 
 /**
  * PUT /api/admin/brands/:id/activate
- * ✅ Super Admin only
+ * ✅ catalog.approve (super-admin by default)
  */
-router.put("/admin/brands/:id/activate", authMiddleware, async (req, res) => {
+router.put("/admin/brands/:id/activate", authMiddleware, requirePermission("catalog.approve"), async (req, res) => {
   try {
-    const role = (req.user.role || "").toLowerCase();
-    if (role !== "super-admin") {
-      return res
-        .status(403)
-        .json({ message: "Only super-admin can activate brands" });
-    }
-
     const { id } = req.params;
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid brand ID" });
@@ -579,13 +537,13 @@ router.put("/admin/brands/:id/activate", authMiddleware, async (req, res) => {
 
 /**
  * GET /api/admin/brand-suggestions
- * ✅ Admin + Super Admin
+ * ✅ catalog.read
  * Query: ?status=all|pending|approved|rejected
  */
 router.get(
   "/admin/brand-suggestions",
   authMiddleware,
-  isAdminOrSuperAdmin,
+  requirePermission("catalog.read"),
   async (req, res) => {
     try {
       const { status = "all" } = req.query;
@@ -615,22 +573,16 @@ router.get(
 
 /**
  * PUT /api/admin/brand-suggestions/:id/approve
- * ✅ Super Admin only
+ * ✅ catalog.approve (super-admin by default)
  * - creates (or reuses) a brand
  * - marks suggestion as approved
  */
 router.put(
   "/admin/brand-suggestions/:id/approve",
   authMiddleware,
+  requirePermission("catalog.approve"),
   async (req, res) => {
     try {
-      const role = (req.user.role || "").toLowerCase();
-      if (role !== "super-admin") {
-        return res.status(403).json({
-          message: "Only super-admin can approve brand suggestions",
-        });
-      }
-
       const { id } = req.params;
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ message: "Invalid suggestion ID" });
@@ -725,20 +677,14 @@ router.put(
 
 /**
  * PUT /api/admin/brand-suggestions/:id/reject
- * ✅ Super Admin only
+ * ✅ catalog.approve (super-admin by default)
  */
 router.put(
   "/admin/brand-suggestions/:id/reject",
   authMiddleware,
+  requirePermission("catalog.approve"),
   async (req, res) => {
     try {
-      const role = (req.user.role || "").toLowerCase();
-      if (role !== "super-admin") {
-        return res.status(403).json({
-          message: "Only super-admin can reject brand suggestions",
-        });
-      }
-
       const { id } = req.params;
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ message: "Invalid suggestion ID" });
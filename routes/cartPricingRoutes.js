@@ -2,7 +2,7 @@
 import express from "express";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
-import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { cartOwner } from "../middlewares/cartOwner.js";
 import { applyDiscounts } from "../utils/discountEngine.js";
 
 const router = express.Router();
@@ -158,16 +158,12 @@ async function buildEngineItemsFromCart(cart) {
 =============================== */
 async function pricingHandler(req, res) {
   try {
-    // Accept tokens that encode either `_id` or `id`
-    const userId = req.user?._id || req.user?.id;
+    // Signed-in customer ({ userId }) or guest session ({ guestId }), see middlewares/cartOwner.js
+    const { userId = null, guestId = null } = req.cartOwner || {};
     console.log("[pricingHandler] userId:", userId);
-    
-    if (!userId) {
-      return res.status(401).json({ success: false, message: "Unauthorized" });
-    }
 
-    const userObjId = toObjectId(userId);
-    if (!userObjId) {
+    const userObjId = userId ? toObjectId(userId) : null;
+    if (!guestId && !userObjId) {
       return res.status(401).json({ success: false, message: "Unauthorized" });
     }
 
@@ -187,9 +183,9 @@ async function pricingHandler(req, res) {
       resolvedItems = built.resolvedItems;
     } else {
       // IMPORTANT: Use ObjectId lookup first (matches getOrCreateCart behavior)
-      cart = await Carts.findOne({ userId: userObjId });
+      cart = guestId ? await Carts.findOne({ guestId }) : await Carts.findOne({ userId: userObjId });
       console.log("[pricingHandler] Cart found by ObjectId:", !!cart);
-      if (!cart) {
+      if (!cart && !guestId) {
         // Fallback to string lookup for legacy data
         cart = await Carts.findOne({ userId: String(userId) });
         console.log("[pricingHandler] Cart found by string userId:", !!cart);
@@ -230,10 +226,14 @@ async function pricingHandler(req, res) {
       ? shippingFromRequest 
       : (subtotal > 3000 ? 0 : (engineItems.length > 0 ? 150 : 0));
 
+    // Payment method is optional here (chosen at checkout); when sent, coupons restricted
+    // to other methods are reported as not eligible.
+    const paymentMethod = String(req.query?.paymentMethod || req.body?.paymentMethod || "").trim().toLowerCase() || null;
+
     // Apply discount engine
     // applyDiscounts(cart, context) where:
     // - cart = { items, shippingFee }
-    // - context = { db, couponCode }
+    // - context = { db, couponCode, userId, paymentMethod }
     const engine = await applyDiscounts(
       {
         items: engineItems,
@@ -242,6 +242,8 @@ async function pricingHandler(req, res) {
       {
         db,
         couponCode: requestedCouponCode || null,
+        userId: userObjId ? String(userObjId) : null,
+        paymentMethod,
       }
     );
 
@@ -309,6 +311,8 @@ async function pricingHandler(req, res) {
       appliedCoupon,
       couponStatus,
       couponMessage,
+      // { code, eligible, reason: { code, message, ... }, pending } from the engine
+      couponEligibility: engine?.meta?.couponEligibility || null,
 
       // Expose the raw engine only if you want (optional, can remove in strict prod)
       engine: engine || null,
@@ -351,7 +355,7 @@ async function pricingHandler(req, res) {
   }
 }
 
-router.get("/pricing", authMiddleware, pricingHandler);
-router.post("/pricing", authMiddleware, pricingHandler);
+router.get("/pricing", cartOwner, pricingHandler);
+router.post("/pricing", cartOwner, pricingHandler);
 
 export default router;
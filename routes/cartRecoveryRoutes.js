@@ -0,0 +1,69 @@
+// routes/cartRecoveryRoutes.js
+// Abandoned cart reminders, customer side (services/cartRecovery). Mounted at /api/cart-recovery.
+//
+//   POST /unsubscribe     { token }               from the link in a reminder email, no login
+//   GET  /preferences                             { cartReminders }
+//   PUT  /preferences     { cartReminders: bool }
+
+import express from "express";
+
+import { client } from "../dbConfig.js";
+import { authMiddleware, isCustomerMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import { toObjectIdSafe } from "../utils/notify.js";
+import { verifyUnsubscribeToken } from "../services/cartRecovery/cartRecovery.js";
+import { setCartReminderPreference } from "../services/cartRecovery/cartRecoveryService.js";
+
+const router = express.Router();
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const Users = db.collection("users");
+
+const customer = [authMiddleware, isActiveMiddleware, isCustomerMiddleware];
+
+function userIdOf(req) {
+  return String(req.user?._id || req.user?.id || "");
+}
+
+router.post("/unsubscribe", rateLimit("subscribe"), async (req, res) => {
+  try {
+    const userId = verifyUnsubscribeToken(req.body?.token);
+    if (!userId) return res.status(400).json({ message: "Invalid or broken unsubscribe link", code: "INVALID_TOKEN" });
+
+    const out = await setCartReminderPreference(db, userId, false);
+    if (!out.ok) return res.status(404).json({ message: "Account not found" });
+    return res.json({ ok: true, cartReminders: false });
+  } catch (err) {
+    console.error("POST /api/cart-recovery/unsubscribe error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.get("/preferences", customer, async (req, res) => {
+  try {
+    const user = await Users.findOne(
+      { _id: toObjectIdSafe(userIdOf(req)) },
+      { projection: { notificationPrefs: 1 } }
+    );
+    return res.json({ ok: true, cartReminders: user?.notificationPrefs?.cartReminders !== false });
+  } catch (err) {
+    console.error("GET /api/cart-recovery/preferences error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.put("/preferences", customer, async (req, res) => {
+  try {
+    if (typeof req.body?.cartReminders !== "boolean") {
+      return res.status(400).json({ message: "cartReminders must be true or false" });
+    }
+    const out = await setCartReminderPreference(db, userIdOf(req), req.body.cartReminders);
+    if (!out.ok) return res.status(404).json({ message: "Account not found" });
+    return res.json({ ok: true, cartReminders: out.cartReminders });
+  } catch (err) {
+    console.error("PUT /api/cart-recovery/preferences error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
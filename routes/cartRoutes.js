@@ -2,8 +2,10 @@
 import express from "express";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
-import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { cartOwner } from "../middlewares/cartOwner.js";
 import { applyDiscounts } from "../utils/discountEngine.js"; // ✅ unified engine
+import { issueGuestToken, verifyGuestToken, GUEST_TOKEN_HEADER } from "../services/cart/guestCart.js";
+import { cartOwnerFilter } from "../services/cart/guestCartService.js";
 
 const router = express.Router();
 
@@ -164,15 +166,16 @@ function resolveCategoryIdFromProduct(product) {
   return c ? String(c) : null;
 }
 
-async function getOrCreateCart(userId) {
-  const uid = toObjectId(userId);
-  if (!uid) return null;
+// owner: req.cartOwner, { userId } or { guestId }
+async function getOrCreateCart(owner) {
+  const filter = cartOwnerFilter(owner);
+  if (!filter) return null;
 
-  let cart = await Carts.findOne({ userId: uid });
+  let cart = await Carts.findOne(filter);
 
   if (!cart) {
     const newCart = {
-      userId: uid,
+      ...(filter.guestId ? { guestId: filter.guestId, userId: null } : filter),
       mode: "CART",
       items: [],
       totals: {
@@ -317,18 +320,30 @@ async function findValidAdminCouponByCode(code, cartSubtotal = null) {
   return { ok: true, doc: coupon };
 }
 
+/* ===============================
+   GUEST SESSION
+=============================== */
+
+// POST /api/cart/guest-token
+// No login. Send the current X-Guest-Token to renew it (same cart), or nothing for a new one.
+router.post("/guest-token", (req, res) => {
+  const guestId = verifyGuestToken(req.get(GUEST_TOKEN_HEADER)) || undefined;
+  const { token, expiresAt } = issueGuestToken({ guestId });
+  return res.status(guestId ? 200 : 201).json({ success: true, guestToken: token, expiresAt, renewed: Boolean(guestId) });
+});
+
 /* ===============================
    COUPON APPLY/REMOVE
 =============================== */
 
 // POST /api/cart/coupon/apply
 // Body: { code }
-router.post("/coupon/apply", authMiddleware, async (req, res) => {
+router.post("/coupon/apply", cartOwner, async (req, res) => {
   try {
-    const userId = req.user?.id || req.user?._id;
+    const userId = req.cartOwner.userId || null;
     const role = String(req.user?.role || "").toLowerCase();
 
-    if (!userId || role !== "customer") {
+    if (userId && role !== "customer") {
       return res.status(403).json({ success: false, message: "Customer access only" });
     }
 
@@ -337,7 +352,7 @@ router.post("/coupon/apply", authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid coupon code" });
     }
 
-    const cart = await getOrCreateCart(userId);
+    const cart = await getOrCreateCart(req.cartOwner);
     if (!cart) {
       return res.status(400).json({ success: false, message: "Invalid user session" });
     }
@@ -351,6 +366,21 @@ router.post("/coupon/apply", authMiddleware, async (req, res) => {
 
     const coupon = found.doc;
 
+    // Full eligibility (per-user limit, first order, segment, targets) from the engine
+    const quote = await applyDiscounts(await buildDiscountCartInput(cart), {
+      db,
+      couponCode: code,
+      userId: userId ? String(userId) : null,
+    });
+    const eligibility = quote?.meta?.couponEligibility;
+    if (eligibility && !eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: eligibility.reason?.message || "Coupon is not eligible",
+        reason: eligibility.reason,
+      });
+    }
+
     const kind = normalizeDiscountKind(coupon); // percentage | flat
     const snapshot = {
       discountId: normalizeIdString(coupon._id),
@@ -381,7 +411,7 @@ router.post("/coupon/apply", authMiddleware, async (req, res) => {
 
     // Return a pricing quote immediately (recommended for checkout UX)
     const discountCart = await buildDiscountCartInput(updatedCart);
-    const pricing = await applyDiscounts(discountCart, { db, couponCode: snapshot.code });
+    const pricing = await applyDiscounts(discountCart, { db, couponCode: snapshot.code, userId: userId ? String(userId) : null });
 
     return res.json({ success: true, cart: updatedCart, pricing, adminCoupon: snapshot });
   } catch (err) {
@@ -391,16 +421,16 @@ router.post("/coupon/apply", authMiddleware, async (req, res) => {
 });
 
 // DELETE /api/cart/coupon/remove
-router.delete("/coupon/remove", authMiddleware, async (req, res) => {
+router.delete("/coupon/remove", cartOwner, async (req, res) => {
   try {
-    const userId = req.user?.id || req.user?._id;
+    const userId = req.cartOwner.userId || null;
     const role = String(req.user?.role || "").toLowerCase();
 
-    if (!userId || role !== "customer") {
+    if (userId && role !== "customer") {
       return res.status(403).json({ success: false, message: "Customer access only" });
     }
 
-    const cart = await getOrCreateCart(userId);
+    const cart = await getOrCreateCart(req.cartOwner);
     if (!cart) {
       return res.status(400).json({ success: false, message: "Invalid user session" });
     }
@@ -414,7 +444,7 @@ router.delete("/coupon/remove", authMiddleware, async (req, res) => {
 
     // Return fresh quote without coupon
     const discountCart = await buildDiscountCartInput(updatedCart);
-    const pricing = await applyDiscounts(discountCart, { db, couponCode: "" });
+    const pricing = await applyDiscounts(discountCart, { db, couponCode: "", userId: userId ? String(userId) : null });
 
     return res.json({ success: true, cart: updatedCart, pricing });
   } catch (err) {
@@ -427,11 +457,11 @@ router.delete("/coupon/remove", authMiddleware, async (req, res) => {
    GET /api/cart
    Optional query: ?couponCode=GLAMZI10
 =============================== */
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", cartOwner, async (req, res) => {
   try {
-    const userId = req.user?.id || req.user?._id;
+    const userId = req.cartOwner.userId || null;
     console.log("[GET /cart] userId:", userId);
-    const cart = await getOrCreateCart(userId);
+    const cart = await getOrCreateCart(req.cartOwner);
     console.log("[GET /cart] cart items count:", cart?.items?.length || 0);
 
     if (!cart) {
@@ -528,7 +558,7 @@ router.get("/", authMiddleware, async (req, res) => {
 
     if (effectiveCouponCode) {
       const discountCart = await buildDiscountCartInput(freshCart);
-      const pricing = await applyDiscounts(discountCart, { db, couponCode: effectiveCouponCode });
+      const pricing = await applyDiscounts(discountCart, { db, couponCode: effectiveCouponCode, userId: userId ? String(userId) : null });
       return res.json({ success: true, cart: responseCart, pricing });
     }
 
@@ -548,9 +578,9 @@ router.get("/", authMiddleware, async (req, res) => {
 /* ===============================
    POST /api/cart/add
 =============================== */
-router.post("/add", authMiddleware, async (req, res) => {
+router.post("/add", cartOwner, async (req, res) => {
   try {
-    const userId = req.user?.id || req.user?._id;
+    const userId = req.cartOwner.userId || null;
     const { productId, quantity = 1 } = req.body;
 
     if (!productId) {
@@ -564,7 +594,7 @@ router.post("/add", authMiddleware, async (req, res) => {
 
     const qty = Math.max(1, Math.floor(Number(quantity) || 1));
 
-    const cart = await getOrCreateCart(userId);
+    const cart = await getOrCreateCart(req.cartOwner);
     if (!cart) {
       return res.status(400).json({ success: false, message: "Invalid user session" });
     }
@@ -624,9 +654,9 @@ router.post("/add", authMiddleware, async (req, res) => {
 /* ===============================
    PUT /api/cart/update
 =============================== */
-router.put("/update", authMiddleware, async (req, res) => {
+router.put("/update", cartOwner, async (req, res) => {
   try {
-    const userId = req.user?.id || req.user?._id;
+    const userId = req.cartOwner.userId || null;
     const { productId, quantity } = req.body;
 
     if (!productId || typeof quantity === "undefined") {
@@ -649,7 +679,7 @@ router.put("/update", authMiddleware, async (req, res) => {
       });
     }
 
-    const cart = await getOrCreateCart(userId);
+    const cart = await getOrCreateCart(req.cartOwner);
     if (!cart) {
       return res.status(400).json({ success: false, message: "Invalid user session" });
     }
@@ -683,16 +713,16 @@ router.put("/update", authMiddleware, async (req, res) => {
 /* ===============================
    DELETE /api/cart/remove/:productId
 =============================== */
-router.delete("/remove/:productId", authMiddleware, async (req, res) => {
+router.delete("/remove/:productId", cartOwner, async (req, res) => {
   try {
-    const userId = req.user?.id || req.user?._id;
+    const userId = req.cartOwner.userId || null;
     const pid = toObjectId(req.params.productId);
 
     if (!pid) {
       return res.status(400).json({ success: false, message: "Invalid productId" });
     }
 
-    const cart = await getOrCreateCart(userId);
+    const cart = await getOrCreateCart(req.cartOwner);
     if (!cart) {
       return res.status(400).json({ success: false, message: "Invalid user session" });
     }
@@ -723,10 +753,10 @@ router.delete("/remove/:productId", authMiddleware, async (req, res) => {
 /* ===============================
    DELETE /api/cart/clear
 =============================== */
-router.delete("/clear", authMiddleware, async (req, res) => {
+router.delete("/clear", cartOwner, async (req, res) => {
   try {
-    const userId = req.user?.id || req.user?._id;
-    const cart = await getOrCreateCart(userId);
+    const userId = req.cartOwner.userId || null;
+    const cart = await getOrCreateCart(req.cartOwner);
 
     if (!cart) {
       return res.status(400).json({ success: false, message: "Invalid user session" });
@@ -750,10 +780,10 @@ router.delete("/clear", authMiddleware, async (req, res) => {
 /* ===============================
    OPTIONAL: Repair endpoint
 =============================== */
-router.post("/repair-seller-ids", authMiddleware, async (req, res) => {
+router.post("/repair-seller-ids", cartOwner, async (req, res) => {
   try {
-    const userId = req.user?.id || req.user?._id;
-    const cart = await getOrCreateCart(userId);
+    const userId = req.cartOwner.userId || null;
+    const cart = await getOrCreateCart(req.cartOwner);
 
     if (!cart) {
       return res.status(400).json({ success: false, message: "Invalid user session" });
@@ -2,6 +2,7 @@ import express from "express";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { sendAdminPushNotification } from "../utils/adminPush.js";
 
 const router = express.Router();
@@ -86,13 +87,8 @@ router.get("/categories", async (req, res) => {
  * GET /api/admin/categories
  * View all categories (all statuses)
  */
-router.get("/admin/categories", authMiddleware, async (req, res) => {
+router.get("/admin/categories", authMiddleware, requirePermission("catalog.read"), async (req, res) => {
   try {
-    const role = (req.user.role || "").toLowerCase();
-    if (!["admin", "super-admin"].includes(role)) {
-      return res.status(403).json({ message: "Admin access only" });
-    }
-
     const categories = await Categories.find({})
       .sort({ createdAt: -1 })
       .toArray();
@@ -112,13 +108,8 @@ router.get("/admin/categories", authMiddleware, async (req, res) => {
  * POST /api/admin/categories
  * Create category → PENDING
  */
-router.post("/admin/categories", authMiddleware, async (req, res) => {
+router.post("/admin/categories", authMiddleware, requirePermission("catalog.manage"), async (req, res) => {
   try {
-    const role = (req.user.role || "").toLowerCase();
-    if (!["admin", "super-admin"].includes(role)) {
-      return res.status(403).json({ message: "Admin access only" });
-    }
-
     const { name, slug, description, seoTitle, seoDescription, parentId: parentIdRaw } =
       req.body;
 
@@ -220,13 +211,8 @@ router.post("/admin/categories", authMiddleware, async (req, res) => {
  * PUT /api/admin/categories/:id
  * Edit category name / slug
  */
-router.put("/admin/categories/:id", authMiddleware, async (req, res) => {
+router.put("/admin/categories/:id", authMiddleware, requirePermission("catalog.manage"), async (req, res) => {
   try {
-    const role = (req.user.role || "").toLowerCase();
-    if (!["admin", "super-admin"].includes(role)) {
-      return res.status(403).json({ message: "Admin access only" });
-    }
-
     const { id } = req.params;
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid category ID" });
@@ -321,15 +307,9 @@ router.put("/admin/categories/:id", authMiddleware, async (req, res) => {
 router.put(
   "/admin/categories/:id/approve",
   authMiddleware,
+  requirePermission("catalog.approve"),
   async (req, res) => {
     try {
-      const role = (req.user.role || "").toLowerCase();
-      if (role !== "super-admin") {
-        return res
-          .status(403)
-          .json({ message: "Only super-admin can approve categories" });
-      }
-
       const { id } = req.params;
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ message: "Invalid category ID" });
@@ -372,15 +352,9 @@ router.put(
 router.put(
   "/admin/categories/:id/deactivate",
   authMiddleware,
+  requirePermission("catalog.approve"),
   async (req, res) => {
     try {
-      const role = (req.user.role || "").toLowerCase();
-      if (role !== "super-admin") {
-        return res
-          .status(403)
-          .json({ message: "Only super-admin can deactivate categories" });
-      }
-
       const { id } = req.params;
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ message: "Invalid category ID" });
@@ -418,15 +392,9 @@ router.put(
 router.put(
   "/admin/categories/:id/activate",
   authMiddleware,
+  requirePermission("catalog.approve"),
   async (req, res) => {
     try {
-      const role = (req.user.role || "").toLowerCase();
-      if (role !== "super-admin") {
-        return res
-          .status(403)
-          .json({ message: "Only super-admin can activate categories" });
-      }
-
       const { id } = req.params;
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ message: "Invalid category ID" });
@@ -572,13 +540,9 @@ router.post(
 router.get(
   "/admin/category-suggestions",
   authMiddleware,
+  requirePermission("catalog.read"),
   async (req, res) => {
     try {
-      const role = (req.user.role || "").toLowerCase();
-      if (!["admin", "super-admin"].includes(role)) {
-        return res.status(403).json({ message: "Admin access only" });
-      }
-
       const { status = "all" } = req.query;
       const filter = {};
 
@@ -615,15 +579,9 @@ router.get(
 router.put(
   "/admin/category-suggestions/:id/approve",
   authMiddleware,
+  requirePermission("catalog.approve"),
   async (req, res) => {
     try {
-      const role = (req.user.role || "").toLowerCase();
-      if (role !== "super-admin") {
-        return res
-          .status(403)
-          .json({ message: "Only super-admin can approve suggestions" });
-      }
-
       const { id } = req.params;
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ message: "Invalid suggestion ID" });
@@ -726,15 +684,9 @@ router.put(
 router.put(
   "/admin/category-suggestions/:id/reject",
   authMiddleware,
+  requirePermission("catalog.approve"),
   async (req, res) => {
     try {
-      const role = (req.user.role || "").toLowerCase();
-      if (role !== "super-admin") {
-        return res
-          .status(403)
-          .json({ message: "Only super-admin can reject suggestions" });
-      }
-
       const { id } = req.params;
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ message: "Invalid suggestion ID" });
@@ -2,10 +2,19 @@
 import express from "express";
 import dotenv from "dotenv";
 import { ObjectId } from "mongodb";
-import multer from "multer";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { attachmentUpload, sendAttachmentError } from "../middlewares/attachmentUpload.js";
+import {
+  storeMessageAttachment,
+  messageAttachmentFields,
+  linkAttachmentToMessage,
+} from "../services/attachments/attachmentService.js";
+import { attachmentUrlFor } from "../services/attachments/signedUrls.js";
+import { CONVERSATION_KINDS, REALTIME_EVENTS } from "../services/realtime/channels.js";
+import { publishConversationEvent } from "../services/realtime/hub.js";
+import { noteRequesterMessage } from "../services/support/ticketService.js";
 
 dotenv.config();
 
@@ -71,8 +80,9 @@ async function getCustomerPublicInfo(customerOid) {
   };
 }
 
-// Multer for attachments (seller + support)
-const upload = multer({ dest: "uploads/messages" });
+function withAttachmentUrls(messages, viewer) {
+  return messages.map((m) => ({ ...m, attachmentUrl: attachmentUrlFor(m, viewer) }));
+}
 
 // ==================================================================
 //  CUSTOMER ↔ SELLER CONVERSATIONS
@@ -277,7 +287,7 @@ router.get(
         .toArray();
 
       // Mark as read for customer
-      await Messages.updateMany(
+      const readResult = await Messages.updateMany(
         {
           conversationId: convId,
           readByCustomer: { $ne: true },
@@ -288,10 +298,16 @@ router.get(
         { _id: convId },
         { $set: { unreadForCustomer: 0 } }
       );
+      if (readResult.modifiedCount) {
+        publishConversationEvent(CONVERSATION_KINDS.CUSTOMER_SELLER, conversation, REALTIME_EVENTS.MESSAGE_READ, {
+          readerRole: "customer",
+          readAt: new Date().toISOString(),
+        });
+      }
 
       res.json({
         success: true,
-        messages,
+        messages: withAttachmentUrls(messages, req.user),
       });
     } catch (err) {
       console.error("GET /customer/messages/:id error:", err);
@@ -307,7 +323,7 @@ router.get(
 router.post(
   "/customer/messages/:conversationId",
   authMiddleware,
-  upload.single("attachment"),
+  attachmentUpload("attachment"),
   async (req, res) => {
     try {
       const customerId = req.user.id;
@@ -341,26 +357,41 @@ router.post(
         });
       }
 
+      let attachment = null;
+      if (file) {
+        try {
+          attachment = await storeMessageAttachment(db, {
+            file,
+            user: req.user,
+            kind: CONVERSATION_KINDS.CUSTOMER_SELLER,
+            conversationId: convId,
+          });
+        } catch (err) {
+          return sendAttachmentError(res, err);
+        }
+      }
+
       const now = new Date();
       const messageDoc = {
         conversationId: convId,
         senderRole: "customer",
         senderId: toObjectId(customerId),
         text: text || "",
-        attachmentUrl: file ? `/uploads/messages/${file.filename}` : null,
+        ...messageAttachmentFields(attachment),
         readByCustomer: true,
         readBySeller: false,
         createdAt: now,
       };
 
       const { insertedId } = await Messages.insertOne(messageDoc);
+      await linkAttachmentToMessage(db, attachment, insertedId);
       const message = { _id: insertedId, ...messageDoc };
 
       await Conversations.updateOne(
         { _id: convId },
         {
           $set: {
-            lastMessageText: text || (file ? "📎 Attachment" : ""),
+            lastMessageText: text || (attachment ? "📎 Attachment" : ""),
             lastMessageAt: now,
             updatedAt: now,
           },
@@ -368,9 +399,14 @@ router.post(
         }
       );
 
+      publishConversationEvent(CONVERSATION_KINDS.CUSTOMER_SELLER, conversation, REALTIME_EVENTS.MESSAGE_NEW, {
+        message,
+        senderRole: "customer",
+      });
+
       res.status(201).json({
         success: true,
-        message,
+        message: { ...message, attachmentUrl: attachmentUrlFor(message, req.user) },
       });
     } catch (err) {
       console.error("POST /customer/messages/:id error:", err);
@@ -397,7 +433,7 @@ router.get("/customer/support/messages", authMiddleware, async (req, res) => {
     }
 
     // Mark admin/support messages as read by customer
-    await SupportMessages.updateMany(
+    const readResult = await SupportMessages.updateMany(
       {
         customerId: customerOid,
         senderRole: { $in: ["admin", "support"] },
@@ -417,7 +453,7 @@ router.get("/customer/support/messages", authMiddleware, async (req, res) => {
     const last = messages[messages.length - 1] || null;
     const lastMessageText =
       (last && last.text) ||
-      (last && last.attachmentUrl ? "📎 Attachment" : "") ||
+      (last && (last.attachmentUrl || last.attachmentId) ? "📎 Attachment" : "") ||
       "";
     const lastMessageAt = last?.createdAt || null;
 
@@ -427,7 +463,7 @@ router.get("/customer/support/messages", authMiddleware, async (req, res) => {
     const now = new Date();
 
     // Upsert support conversation record for this customer
-    await SupportConversations.updateOne(
+    const convRes = await SupportConversations.findOneAndUpdate(
       { customerId: customerOid },
       {
         $setOnInsert: {
@@ -444,12 +480,19 @@ router.get("/customer/support/messages", authMiddleware, async (req, res) => {
           unreadForCustomer: 0, // customer is viewing now
         },
       },
-      { upsert: true }
+      { upsert: true, returnDocument: "after", projection: { _id: 1, customerId: 1 }, includeResultMetadata: true }
     );
 
+    if (readResult.modifiedCount) {
+      publishConversationEvent(CONVERSATION_KINDS.CUSTOMER_SUPPORT, convRes?.value, REALTIME_EVENTS.MESSAGE_READ, {
+        readerRole: "customer",
+        readAt: now.toISOString(),
+      });
+    }
+
     res.json({
       success: true,
-      messages,
+      messages: withAttachmentUrls(messages, req.user),
     });
   } catch (err) {
     console.error("GET /customer/support/messages error:", err);
@@ -463,7 +506,7 @@ router.get("/customer/support/messages", authMiddleware, async (req, res) => {
 router.post(
   "/customer/support/messages",
   authMiddleware,
-  upload.single("attachment"),
+  attachmentUpload("attachment"),
   async (req, res) => {
     try {
       const customerId = req.user.id;
@@ -485,23 +528,45 @@ router.post(
       }
 
       const now = new Date();
+
+      let attachment = null;
+      if (file) {
+        try {
+          // Attachments belong to a conversation, so make sure the thread exists first.
+          const thread = await SupportConversations.findOneAndUpdate(
+            { customerId: customerOid },
+            { $setOnInsert: { customerId: customerOid, createdAt: now } },
+            { upsert: true, returnDocument: "after", projection: { _id: 1 }, includeResultMetadata: true }
+          );
+          attachment = await storeMessageAttachment(db, {
+            file,
+            user: req.user,
+            kind: CONVERSATION_KINDS.CUSTOMER_SUPPORT,
+            conversationId: thread.value._id,
+          });
+        } catch (err) {
+          return sendAttachmentError(res, err);
+        }
+      }
+
       const doc = {
         customerId: customerOid,
         senderRole: "customer",
         text: text || "",
-        attachmentUrl: file ? `/uploads/messages/${file.filename}` : null,
+        ...messageAttachmentFields(attachment),
         createdAt: now,
         readByCustomer: true,
         readByAdmin: false,
       };
 
       const { insertedId } = await SupportMessages.insertOne(doc);
+      await linkAttachmentToMessage(db, attachment, insertedId);
 
       // Hydrate customer info
       const customerInfo = await getCustomerPublicInfo(customerOid);
 
       // Update / create conversation for this customer
-      await SupportConversations.updateOne(
+      const convRes = await SupportConversations.findOneAndUpdate(
         { customerId: customerOid },
         {
           $setOnInsert: {
@@ -513,7 +578,7 @@ router.post(
             customerEmail: customerInfo.customerEmail,
             customerPhone: customerInfo.customerPhone,
             lastMessageText:
-              doc.text || (doc.attachmentUrl ? "📎 Attachment" : ""),
+              doc.text || (attachment ? "📎 Attachment" : ""),
             lastMessageAt: now,
             updatedAt: now,
           },
@@ -521,12 +586,25 @@ router.post(
             unreadForAdmin: 1, // admin hasn't seen this new message yet
           },
         },
-        { upsert: true }
+        { upsert: true, returnDocument: "after", projection: { _id: 1, customerId: 1 }, includeResultMetadata: true }
       );
 
+      await noteRequesterMessage(db, {
+        kind: CONVERSATION_KINDS.CUSTOMER_SUPPORT,
+        conversation: convRes?.value,
+        text: doc.text,
+        now,
+      });
+
+      const message = { _id: insertedId, ...doc };
+      publishConversationEvent(CONVERSATION_KINDS.CUSTOMER_SUPPORT, convRes?.value, REALTIME_EVENTS.MESSAGE_NEW, {
+        message,
+        senderRole: "customer",
+      });
+
       res.status(201).json({
         success: true,
-        message: { _id: insertedId, ...doc },
+        message: { ...message, attachmentUrl: attachmentUrlFor(message, req.user) },
       });
     } catch (err) {
       console.error("POST /customer/support/messages error:", err);
@@ -574,6 +652,15 @@ router.post(
         }
       );
 
+      if (msgResult.modifiedCount) {
+        publishConversationEvent(
+          CONVERSATION_KINDS.CUSTOMER_SUPPORT,
+          await SupportConversations.findOne({ customerId: customerOid }, { projection: { _id: 1, customerId: 1 } }),
+          REALTIME_EVENTS.MESSAGE_READ,
+          { readerRole: "customer", readAt: new Date().toISOString() }
+        );
+      }
+
       return res.json({
         success: true,
         updatedMessages: msgResult.modifiedCount || 0,
@@ -5,13 +5,28 @@ import PDFDocument from "pdfkit";
 import { RETURN_STATUS, canTransitionReturnStatus, normalizeReturnStatus } from "../utils/returnsStatus.js";
 
 import { client, getDB } from "../dbConfig.js";
-import { postTransactionGroup } from "../services/finance/postTransactionGroup.js";
+import { postInvoiceAllocation, postOrderPaymentCaptured } from "../services/finance/ledgerPosting.js";
+import {
+  computeInvoiceCommission,
+  loadCommissionSettings,
+} from "../services/finance/commissionRules.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { guestCheckout } from "../middlewares/cartOwner.js";
 import { applyDiscounts } from "../utils/discountEngine.js";
-import multer from "multer";
+import { memoryUpload, withUploadErrors, sendUploadError } from "../middlewares/uploadMiddleware.js";
+import { storeUploads, UPLOAD_KINDS } from "../services/storage/uploadService.js";
 import { bookShipmentFactory, bookReturnShipment } from "../utils/shippingBridge.js";
 import { enqueueNotification } from "../utils/outbox.js";
 import { emitDomainEvent } from "../services/events/emitDomainEvent.js";
+import {
+  decrementStockForOrder,
+  restockCancelledOrder,
+} from "../services/inventory/stockMovements.js";
+import { ensureRolesFresh, userHasPermission } from "../services/auth/roles.js";
+import { idempotency } from "../middlewares/idempotency.js";
+import { getWallet, payOrderFromWallet, reverseOrderWalletPayment } from "../services/wallet/walletService.js";
+import { parseWalletAmount, walletAmountForOrder, round2 } from "../services/wallet/wallet.js";
+import { attributeOrderToCartRecovery } from "../services/cartRecovery/cartRecoveryService.js";
 
 const router = express.Router();
 
@@ -27,7 +42,6 @@ const SellerSettingsLegacy = db.collection("sellerSettings");
 const Invoices = db.collection("invoices");
 const Discounts = db.collection("discounts");
 const FlashReservations = db.collection("flashReservations");
-const CommissionSettings = db.collection("commissionSettings");
 
 const bookShipmentFireAndForget = bookShipmentFactory({ Orders, Users });
 
@@ -35,13 +49,10 @@ const bookShipmentFireAndForget = bookShipmentFactory({ Orders, Users });
 const CouponRedemptions = db.collection("couponRedemptions");
 const CouponRedemptionEvents = db.collection("couponRedemptionEvents");
 
-// Multer (in-memory) for small return attachments
-const uploadReturn = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5 MB per file
-    files: 5,
-  },
+// Return evidence (photos / PDFs), stored via services/storage/uploadService.js
+const uploadReturn = memoryUpload({
+  fileSize: UPLOAD_KINDS.RETURN_EVIDENCE.maxBytes, // 5 MB per file
+  files: 5,
 });
 
 // ===============================
@@ -80,8 +91,11 @@ function buildCodInvoiceSnapshot(orderDoc) {
   const shippingDiscount =
     (orderDoc.totals && Number(orderDoc.totals.shippingDiscount)) || 0;
 
+  // What the courier collects: the part not already paid from the wallet.
   let totalAmount = null;
-  if (
+  if (orderDoc.totals && orderDoc.totals.amountDue != null) {
+    totalAmount = Number(orderDoc.totals.amountDue);
+  } else if (
     orderDoc.totals &&
     orderDoc.totals.grandTotal !== undefined &&
     orderDoc.totals.grandTotal !== null
@@ -140,11 +154,6 @@ function moneyNum(v) {
   return Number.isFinite(n) ? n : 0;
 }
 
-function safeNum(v, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
-}
-
 const AUTO_REFUND_RETURN_AFTER_RECEIVED =
   String(process.env.AUTO_REFUND_RETURN_AFTER_RECEIVED ?? "true").trim().toLowerCase() !== "false";
 
@@ -352,6 +361,9 @@ function buildInvoiceCommissionSnapshot({
     rate,
     source: commissionInfo.source || "default",
     ruleId: commissionInfo.ruleId || null,
+    matchedRule: commissionInfo.matchedRule || null,
+    lines: Array.isArray(commissionInfo.lines) ? commissionInfo.lines : null,
+    resolvedAt: commissionInfo.resolvedAt || null,
     calculatedFrom: {
       gross,
       sellerGrandTotal: sellerTotals.grandTotal ?? null,
@@ -380,20 +392,6 @@ function buildInvoiceCommissionSnapshot({
   };
 }
 
-async function getDefaultCommissionRate() {
-  const doc = await CommissionSettings.findOne(
-    { _id: "default" },
-    { projection: { "settings.global.rateType": 1, "settings.global.rate": 1 } }
-  );
-
-  const rateType =
-    doc?.settings?.global?.rateType?.toLowerCase() === "flat"
-      ? "flat"
-      : "percentage";
-  const rate = Number(doc?.settings?.global?.rate ?? 0);
-  return { rateType, rate };
-}
-
 function getAuthUserId(req) {
   return String(
     req.user?.id ||
@@ -422,29 +420,6 @@ function ensureCustomer(req, res) {
   return true;
 }
 
-function ensureAdminOrStaff(req, res) {
-  if (!isAdminOrStaffRole(req)) {
-    res.status(403).json({ success: false, message: "Admin access only" });
-    return false;
-  }
-  return true;
-}
-
-function isAdminFinance(req) {
-  const role = normalizeStatus(req.user?.role);
-  return role === "super-admin" || role === "admin" || role === "account";
-}
-
-function isAdminOrStaffRole(req) {
-  const role = normalizeStatus(req.user?.role);
-  return (
-    role === "super-admin" ||
-    role === "admin" ||
-    role === "account" ||
-    role === "staff"
-  );
-}
-
 function getActorId(req) {
   return String(req.user?._id || req.user?.id || req.user?.email || "");
 }
@@ -1224,23 +1199,33 @@ async function reserveAdminCouponOrNull({
         }),
   };
 
-  const r2 = await CouponRedemptions.updateOne(
-    perUserFilter,
-    {
-      $setOnInsert: {
-        discountId: String(coupon._id),
-        userId: String(userIdStr),
-        createdAt: now,
-      },
-      $inc: { usedCount: 1 },
-      $set: {
-        updatedAt: now,
-        lastOrderNumber: String(orderNumber),
-        lastCode: code,
+  let r2;
+  try {
+    r2 = await CouponRedemptions.updateOne(
+      perUserFilter,
+      {
+        $setOnInsert: {
+          discountId: String(coupon._id),
+          userId: String(userIdStr),
+          createdAt: now,
+        },
+        $inc: { usedCount: 1 },
+        $set: {
+          updatedAt: now,
+          lastOrderNumber: String(orderNumber),
+          lastCode: code,
+        },
       },
-    },
-    { session, upsert: true }
-  );
+      { session, upsert: true }
+    );
+  } catch (e) {
+    // Limit reached: the filter misses the existing row and the upsert hits the unique index.
+    // The transaction is aborted by then, so nothing to undo by hand.
+    if (String(e?.code) !== "11000") throw e;
+    const err = new Error("Coupon per-user limit reached");
+    err.statusCode = 400;
+    throw err;
+  }
 
   if (perUserLimit != null && r2.matchedCount === 0 && r2.upsertedCount === 0) {
     await Discounts.updateOne(
@@ -1419,20 +1404,28 @@ async function issueInvoiceForSellerOrder({ sellerIdStr, sellerIdObj, order }) {
     commissionInfo.amount = moneyNum(order.totals.commission);
   }
 
-  // Fallback to default commission settings
+  // Resolve seller override > category rule > global at the sale date
   if (
     moneyNum(commissionInfo.amount) <= 0 &&
     (!commissionInfo.rate || Number(commissionInfo.rate) <= 0)
   ) {
-    const { rateType, rate } = await getDefaultCommissionRate();
-    if (rate) {
-      commissionInfo.rateType = rateType;
-      commissionInfo.rate = rate;
-      commissionInfo.amount =
-        rateType === "percentage"
-          ? moneyNum((gross * rate) / 100)
-          : moneyNum(rate);
-    }
+    const settings = await loadCommissionSettings(db);
+    const resolved = computeInvoiceCommission({
+      settings,
+      sellerId: sellerIdStr,
+      items: enrichedItems,
+      at: order.createdAt || now,
+    });
+    commissionInfo = {
+      amount: resolved.amount,
+      rateType: resolved.rateType,
+      rate: resolved.rate,
+      source: resolved.source,
+      ruleId: resolved.ruleId,
+      matchedRule: resolved.matchedRule,
+      lines: resolved.lines,
+      resolvedAt: order.createdAt || now,
+    };
   }
 
   // Seller net after commission
@@ -1514,6 +1507,16 @@ async function issueInvoiceForSellerOrder({ sellerIdStr, sellerIdObj, order }) {
   try {
     const { insertedId } = await Invoices.insertOne(invoiceDoc);
     const created = await Invoices.findOne({ _id: insertedId });
+
+    // Finance ledger: prepaid invoices are allocated as soon as they exist
+    if (created?.status === "paid") {
+      try {
+        await postInvoiceAllocation(await getDB(), created);
+      } catch (e) {
+        console.error("Finance posting failed on prepaid invoice issue", e);
+      }
+    }
+
     return { ok: true, created: true, invoice: created };
   } catch (err) {
     if (String(err?.code) === "11000") {
@@ -1642,6 +1645,8 @@ router.post("/quote", authMiddleware, async (req, res) => {
     const pricing = await applyDiscounts(discountCartInput, {
       db,
       couponCode: effectiveCouponCode,
+      userId: userIdStr,
+      paymentMethod: normalizeStatus(req.body?.paymentMethod || "") || null,
     });
 
     const pricingItems = Array.isArray(pricing?.items) ? pricing.items : [];
@@ -1667,6 +1672,7 @@ router.post("/quote", authMiddleware, async (req, res) => {
       coupon: {
         requested: effectiveCouponCode || null,
         applied: engineAppliedCode || null,
+        eligibility: pricing?.meta?.couponEligibility || null,
       },
       items: itemsWithPricing,
       pricing,
@@ -2018,8 +2024,12 @@ router.get("/seller/invoices/:invoiceId/pdf", authMiddleware, async (req, res) =
 
 /* ===================================================
    CUSTOMER: CREATE ORDER (WITH DISCOUNTS + COUPON)
+   Send an Idempotency-Key header so a double tap can't
+   create two orders / reserve the coupon twice.
+   Guests check out with X-Guest-Token + body.guest
+   { email, phone, name } (middlewares/cartOwner.js).
 =================================================== */
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", guestCheckout, idempotency("orders.create"), async (req, res) => {
   try {
     if (!ensureCustomer(req, res)) return;
 
@@ -2047,6 +2057,20 @@ router.post("/", authMiddleware, async (req, res) => {
         .json({ success: false, message: "Invalid payment method" });
     }
 
+    // Store credit: { useWallet: true } takes what the balance covers, { walletAmount } a fixed part.
+    // Whatever is left is paid with paymentMethod.
+    const walletRequested =
+      req.body?.useWallet === true
+        ? true
+        : req.body?.walletAmount != null && req.body?.walletAmount !== "" && Number(req.body.walletAmount) !== 0
+        ? req.body.walletAmount
+        : null;
+    if (walletRequested !== null && walletRequested !== true && parseWalletAmount(walletRequested) == null) {
+      return res
+        .status(400)
+        .json({ success: false, message: "walletAmount must be a positive amount" });
+    }
+
     const explicitCoupon = normalizeCouponCode(req.body?.couponCode);
     const cartForCoupon = await getCartByUserId(userIdStr);
     const cartCoupon = normalizeCouponCode(cartForCoupon?.adminCoupon?.code);
@@ -2066,6 +2090,7 @@ router.post("/", authMiddleware, async (req, res) => {
       requestItems = cartItems.map((it) => ({
         productId: it.productId,
         quantity: it.quantity,
+        variantSku: it.variantSku || null,
       }));
     } else {
       if (!Array.isArray(requestItems) || requestItems.length === 0) {
@@ -2117,6 +2142,15 @@ router.post("/", authMiddleware, async (req, res) => {
       }
 
       const quantity = Math.max(1, Math.floor(Number(line.quantity) || 1));
+
+      const requestedVariantSku = safeString(line?.variantSku);
+      const productVariants = Array.isArray(product.variants) ? product.variants : [];
+      if (requestedVariantSku && !productVariants.some((v) => safeString(v?.sku) === requestedVariantSku)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Variant not found for product in items" });
+      }
+
       const reservationId =
         line?.reservationId || reservationMap.get(String(productId)) || null;
       const price = Number(product.price) || 0;
@@ -2148,6 +2182,7 @@ router.post("/", authMiddleware, async (req, res) => {
         sellerId: String(sellerId),
         categoryId: categoryId ? String(categoryId) : null,
         image: product.image || product.images?.[0] || null,
+        variantSku: requestedVariantSku || null,
         reservationId,
       });
     }
@@ -2250,11 +2285,34 @@ router.post("/", authMiddleware, async (req, res) => {
     const pricing = await applyDiscounts(discountCartInput, {
       db,
       couponCode: effectiveCouponCode,
+      userId: userIdStr,
+      paymentMethod,
     });
 
+    // A coupon sent with the order must apply; a stale one saved on the cart is just dropped
+    // (cart pricing already showed it as not eligible).
+    const couponEligibility = pricing?.meta?.couponEligibility;
+    if (explicitCoupon && couponEligibility && !couponEligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        code: "COUPON_NOT_ELIGIBLE",
+        message: couponEligibility.reason?.message || "Coupon is not eligible",
+        reason: couponEligibility.reason,
+      });
+    }
+
     const finalTotals = pricing?.totals || {};
     const now = new Date();
 
+    const grandTotal = Number(finalTotals.grandTotal ?? subtotal + baseShippingFee);
+    let walletApplied = 0;
+    if (walletRequested !== null) {
+      const wallet = await getWallet(db, userIdStr);
+      walletApplied = walletAmountForOrder({ requested: walletRequested, balance: wallet.balance, grandTotal });
+    }
+    const amountDue = round2(Math.max(0, grandTotal - walletApplied));
+    const paidByWallet = walletApplied > 0 && amountDue === 0;
+
     const sellerFulfillment = {};
     for (const it of normalizedItems) {
       const sid = String(it.sellerId);
@@ -2308,6 +2366,7 @@ router.post("/", authMiddleware, async (req, res) => {
     });
 
     let couponReservation = { reserved: false, doc: null };
+    let stockResult = { tracked: false, lines: [], lowStock: [] };
     let insertedId = null;
     let orderDocOut = null;
 
@@ -2360,22 +2419,26 @@ router.post("/", authMiddleware, async (req, res) => {
           };
         }
 
-        const initialPaymentStatus =
-          paymentMethod === "cod"
-            ? "pending"
-            : paymentMethod === "esewa"
-            ? "paid"
-            : "initiated";
+        const initialPaymentStatus = paidByWallet
+          ? "paid"
+          : paymentMethod === "cod"
+          ? "pending"
+          : paymentMethod === "esewa"
+          ? "paid"
+          : "initiated";
+        const orderPaymentMethod = paidByWallet ? "wallet" : paymentMethod;
 
         const orderDoc = {
           userId: userObjId,
+          ...(req.user?.guest ? { guest: true, customerEmail: req.user.email } : {}),
           mode,
           items: orderItems,
-          paymentMethod, // "cod" | "online" | "esewa"
+          paymentMethod: orderPaymentMethod, // "cod" | "online" | "esewa" | "wallet"
           paymentStatus: initialPaymentStatus,
           payment: {
-            method: paymentMethod,
+            method: orderPaymentMethod,
             status: initialPaymentStatus,
+            ...(paidByWallet ? { paidAt: now } : {}),
           },
           totals: {
             subtotal: Number(finalTotals.subtotal ?? subtotal),
@@ -2384,7 +2447,9 @@ router.post("/", authMiddleware, async (req, res) => {
             adminDiscountTotal: Number(finalTotals.adminDiscountTotal ?? 0),
             shippingFee: Number(finalTotals.shippingFee ?? baseShippingFee),
             shippingDiscount: Number(finalTotals.shippingDiscount ?? 0),
-            grandTotal: Number(finalTotals.grandTotal ?? subtotal + baseShippingFee),
+            grandTotal,
+            walletApplied,
+            amountDue,
             totalQuantity,
           },
           discounts: {
@@ -2405,7 +2470,8 @@ router.post("/", authMiddleware, async (req, res) => {
           status: overallStatus,
           sellerFulfillment,
           sellerPayments,
-          paidAt: null,
+          wallet: walletApplied > 0 ? { applied: walletApplied, transactionId: null } : null,
+          paidAt: paidByWallet ? now : null,
           paidBy: null,
           createdAt: now,
           updatedAt: now,
@@ -2413,6 +2479,45 @@ router.post("/", authMiddleware, async (req, res) => {
 
         const ins = await Orders.insertOne(orderDoc, { session });
         insertedId = ins.insertedId;
+
+        // Same transaction: a short balance aborts the order.
+        if (walletApplied > 0) {
+          const paid = await payOrderFromWallet(db, {
+            userId: userObjId,
+            orderId: insertedId,
+            orderNumber,
+            amount: walletApplied,
+            session,
+          });
+          orderDoc.wallet.transactionId = paid.transaction._id;
+          await Orders.updateOne(
+            { _id: insertedId },
+            { $set: { "wallet.transactionId": paid.transaction._id } },
+            { session }
+          );
+        }
+
+        // Atomic stock decrement in the same transaction: a short line aborts the order.
+        stockResult = await decrementStockForOrder(db, {
+          orderId: insertedId,
+          orderNumber,
+          items: orderItems,
+          actor: { role: "customer", id: userIdStr },
+          session,
+        });
+
+        if (stockResult.tracked && stockResult.lines.length) {
+          const decremented = new Set(stockResult.lines.map((l) => l.index));
+          orderDoc.items = orderItems.map((it, idx) =>
+            decremented.has(idx) ? { ...it, stockDecremented: true } : it
+          );
+          await Orders.updateOne(
+            { _id: insertedId },
+            { $set: { items: orderDoc.items } },
+            { session }
+          );
+        }
+
         orderDocOut = orderDoc;
       });
     } finally {
@@ -2485,6 +2590,22 @@ router.post("/", authMiddleware, async (req, res) => {
       console.error("emitDomainEvent(order.placed) failed:", evtErr);
     }
 
+    // Abandoned cart reminders: credit the episode this order came back from
+    try {
+      await attributeOrderToCartRecovery(db, { _id: insertedId, ...orderDocOut });
+    } catch (attrErr) {
+      console.error("Cart recovery attribution error:", attrErr);
+    }
+
+    // Finance ledger: a wallet-paid order is captured at placement
+    if (orderDocOut.paymentStatus === "paid") {
+      try {
+        await postOrderPaymentCaptured(await getDB(), { _id: insertedId, ...orderDocOut });
+      } catch (e) {
+        console.error("Finance posting failed on wallet-paid order", e);
+      }
+    }
+
     // Domain events: order placed for each seller
     try {
       const sellerIds = Array.from(
@@ -2562,24 +2683,20 @@ router.post("/", authMiddleware, async (req, res) => {
       }
     }
 
-    if (orderDocOut?.items?.length > 0) {
-      const bulkOps = orderDocOut.items.map((item) => ({
-        updateOne: {
-          filter: { _id: toObjectId(item.productId) },
-          update: {
-            $inc: {
-              quantity: -(Number(item.quantity) || 1),
-              soldCount: Number(item.quantity) || 1,
-            },
-            $set: { updatedAt: new Date() },
-          },
-        },
-      }));
+    // Stock was decremented inside the order transaction; only low-stock alerts remain.
+    for (const low of stockResult.lowStock || []) {
+      if (!low.sellerId) continue;
       try {
-        await Products.bulkWrite(bulkOps, { ordered: false });
-        console.log(`[Orders] Updated stock/soldCount for ${bulkOps.length} products`);
-      } catch (stockErr) {
-        console.error("[Orders] Failed to update product stock:", stockErr);
+        await enqueueNotification("seller", {
+          sellerId: String(low.sellerId),
+          type: "low_stock",
+          title: "Low stock alert",
+          body: `${low.title || "A product"} has only ${Math.max(0, low.remaining)} units left.`,
+          link: "/seller/dashboard/inventory",
+          meta: { productId: low.productId, variantSku: low.variantSku || null },
+        });
+      } catch (notifyErr) {
+        console.error("Seller low stock notification error:", notifyErr);
       }
     }
 
@@ -2593,7 +2710,12 @@ router.post("/", authMiddleware, async (req, res) => {
 
     const sc = Number(err?.statusCode || err?.status || 0);
     if (sc >= 400 && sc < 500) {
-      return res.status(sc).json({ success: false, message: err.message || "Order failed" });
+      return res.status(sc).json({
+        success: false,
+        message: err.message || "Order failed",
+        ...(err?.code === "INSUFFICIENT_STOCK" ? { code: err.code, stock: err.details || null } : {}),
+        ...(String(err?.code || "").startsWith("WALLET_") ? { code: err.code } : {}),
+      });
     }
 
     return res.status(500).json({ success: false, message: "Failed to create order" });
@@ -3172,6 +3294,28 @@ router.patch("/:orderId/seller-status", authMiddleware, async (req, res) => {
       { $set: { status: overall, updatedAt: new Date() } }
     );
 
+    if (nextStatus === "cancelled") {
+      try {
+        await restockCancelledOrder(db, {
+          order: updatedOrder || order,
+          sellerId: sellerIdStr,
+          reason: "seller_cancelled",
+          actor: { role: "seller", id: sellerIdStr },
+        });
+      } catch (stockErr) {
+        console.error("[orders][stock] seller cancel restock failed:", stockErr?.message || stockErr);
+      }
+
+      // Store credit goes back once nothing is left to deliver.
+      if (overall === "cancelled") {
+        try {
+          await reverseOrderWalletPayment(db, updatedOrder || order, { reason: "seller_cancelled" });
+        } catch (walletErr) {
+          console.error("[orders][wallet] seller cancel reversal failed:", walletErr?.message || walletErr);
+        }
+      }
+    }
+
     let invoiceInfo = null;
     if (nextStatus === "shipped") {
       try {
@@ -3463,68 +3607,7 @@ router.patch("/seller/invoices/:invoiceId/status", authMiddleware, async (req, r
       const isCod = paymentMethod.toLowerCase() === "cod" || !!updatedInvoice?.isCod;
 
       if (isNowPaid && !wasPaid && !isCod) {
-        const invoiceIdStr = String(updatedInvoice?._id || "");
-        const invoiceNumber = String(updatedInvoice?.invoiceNumber || updatedInvoice?.number || "");
-        const sourceRef = invoiceNumber || invoiceIdStr || "INVOICE-PAID";
-
-        const total = safeNum(
-          updatedInvoice?.total ??
-            updatedInvoice?.grandTotal ??
-            updatedInvoice?.payableTotal ??
-            updatedInvoice?.amount ??
-            0
-        );
-
-        const commissionAmount = safeNum(
-          updatedInvoice?.commission?.amount ??
-            updatedInvoice?.commissionAmount ??
-            updatedInvoice?.commission ??
-            0
-        );
-
-        const sellerIdStrLeg = String(updatedInvoice?.sellerId || req.user?._id || "");
-        const sellerNet = Math.max(0, total - commissionAmount);
-
-        const legs = [];
-        let allocated = 0;
-
-        if (commissionAmount > 0) {
-          legs.push({
-            accountKey: "platform:commission",
-            dc: "credit",
-            amount: commissionAmount,
-            sourceRef,
-          });
-          allocated += commissionAmount;
-        }
-        if (sellerNet > 0 && sellerIdStrLeg) {
-          legs.push({
-            accountKey: `seller:${sellerIdStrLeg}`,
-            dc: "credit",
-            amount: sellerNet,
-            sourceRef,
-            sellerId: sellerIdStrLeg,
-          });
-          allocated += sellerNet;
-        }
-
-        if (allocated > 0) {
-          legs.unshift({
-            accountKey: "platform:cash_bank",
-            dc: "debit",
-            amount: allocated,
-            sourceRef,
-          });
-
-          await postTransactionGroup(await getDB(), {
-            transactionGroupId: `invoice_paid_${invoiceIdStr}`,
-            postedAt: new Date(),
-            sourceRef,
-            category: "invoice_paid_allocation",
-            note: "Invoice paid allocation: cash pool -> commission + seller earnings (non-COD).",
-            legs,
-          });
-        }
+        await postInvoiceAllocation(await getDB(), updatedInvoice);
       }
     } catch (e) {
       console.error("Finance posting failed on seller invoice paid", e);
@@ -3547,7 +3630,8 @@ router.get("/:orderId/invoice/pdf", authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid orderId" });
     }
 
-    const isAdminOrStaff = isAdminOrStaffRole(req);
+    await ensureRolesFresh(db);
+    const isAdminOrStaff = userHasPermission(req.user, "orders.read");
     let order = null;
 
     if (isAdminOrStaff) {
@@ -3783,7 +3867,7 @@ router.get("/:orderId", authMiddleware, async (req, res) => {
 router.post(
   "/:orderId/return-request",
   authMiddleware,
-  uploadReturn.fields([{ name: "attachments", maxCount: 5 }]),
+  withUploadErrors(uploadReturn.fields([{ name: "attachments", maxCount: 5 }])),
   async (req, res) => {
     try {
       if (!ensureCustomer(req, res)) return;
@@ -3814,12 +3898,21 @@ router.post(
         return res.status(400).json({ success: false, message: "Return reason is required" });
       }
 
-      const attachments =
-        (req.files?.attachments || []).map((f) => ({
-          originalName: f.originalname,
-          mimeType: f.mimetype,
+      let attachments;
+      try {
+        const files = req.files?.attachments || [];
+        const stored = await storeUploads(files, UPLOAD_KINDS.RETURN_EVIDENCE);
+        attachments = stored.map((f, i) => ({
+          originalName: files[i].originalname,
+          name: f.name,
+          mimeType: f.mime,
           size: f.size,
-        })) || [];
+          url: f.url,
+          key: f.key,
+        }));
+      } catch (err) {
+        return sendUploadError(res, err);
+      }
 
       const now = new Date();
       const historyEntry = { status: "submitted", at: now };
@@ -3899,6 +3992,23 @@ router.patch("/:orderId/cancel", authMiddleware, async (req, res) => {
     );
 
     const updated = await Orders.findOne({ _id: oid });
+
+    try {
+      await restockCancelledOrder(db, {
+        order: updated || order,
+        reason: "customer_cancelled",
+        actor: { role: "customer", id: String(userId) },
+      });
+    } catch (stockErr) {
+      console.error("[orders][stock] cancel restock failed:", stockErr?.message || stockErr);
+    }
+
+    try {
+      await reverseOrderWalletPayment(db, updated || order, { reason: "customer_cancelled" });
+    } catch (walletErr) {
+      console.error("[orders][wallet] cancel reversal failed:", walletErr?.message || walletErr);
+    }
+
     return res.json({ success: true, message: "Order cancelled", order: updated });
   } catch (err) {
     console.error("PATCH /api/orders/:orderId/cancel error:", err);
@@ -6,6 +6,11 @@ import { ObjectId } from "mongodb";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { idempotency } from "../middlewares/idempotency.js";
+import { reverseOrderWalletPayment } from "../services/wallet/walletService.js";
+import { activatePurchasedGiftCard, failGiftCardPurchase } from "../services/wallet/giftCardService.js";
+import { GIFT_CARD_STATUS } from "../services/wallet/wallet.js";
+import { postOrderPaymentCaptured } from "../services/finance/ledgerPosting.js";
 
 dotenv.config();
 
@@ -13,6 +18,7 @@ const router = express.Router();
 const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
 const Orders = db.collection("orders");
 const Invoices = db.collection("invoices");
+const GiftCards = db.collection("giftCards");
 
 // ========= CONFIG =========
 const {
@@ -123,6 +129,129 @@ function verifyEsewaTokenAuth(req, res, next) {
 }
 
 // ========= HELPERS =========
+// Orders partly paid from the wallet only send the rest to eSewa.
+function orderAmountDue(order) {
+  return Number(order?.totals?.amountDue ?? order?.totals?.grandTotal ?? 0);
+}
+
+// Finance ledger: the captured amount (and any platform-funded discount) reaches the cash pool.
+// Best effort: the payment is already recorded on the order.
+async function postEsewaCapture(order, postedAt) {
+  try {
+    await postOrderPaymentCaptured(db, { ...order, paymentMethod: "esewa" }, { amount: orderAmountDue(order), postedAt });
+  } catch (e) {
+    console.error("Finance posting failed on eSewa capture", e);
+  }
+}
+
+function esewaSignatureValid(decodedData, secretKey) {
+  const fields = String(decodedData?.signed_field_names || "").split(",").filter(Boolean);
+  if (!fields.length || !decodedData?.signature) return false;
+  const message = fields.map((field) => `${field}=${decodedData[field]}`).join(",");
+  return generateEsewaSignature(message, secretKey) === decodedData.signature;
+}
+
+function redirectWithParam(res, base, key, value) {
+  const glue = base.includes("?") ? "&" : "?";
+  return res.redirect(`${base}${glue}${key}=${encodeURIComponent(value)}`);
+}
+
+/**
+ * eSewa ePay v2 form payload for amount / transactionUuid.
+ */
+function buildEsewaPayload(amount, transactionUuid) {
+  const productCode = ESEWA_MERCHANT_CODE || "EPAYTEST";
+  const secretKey = ESEWA_SECRET_KEY || "8gBm/:&EnhH.1/q";
+
+  // Signature message format: total_amount=X,transaction_uuid=Y,product_code=Z
+  const signedFieldNames = "total_amount,transaction_uuid,product_code";
+  const signatureMessage = `total_amount=${amount},transaction_uuid=${transactionUuid},product_code=${productCode}`;
+
+  return {
+    amount: amount.toString(),
+    tax_amount: "0",
+    total_amount: amount.toString(),
+    transaction_uuid: transactionUuid,
+    product_code: productCode,
+    product_service_charge: "0",
+    product_delivery_charge: "0",
+    success_url: ESEWA_SUCCESS_URL,
+    failure_url: ESEWA_FAILURE_URL,
+    signed_field_names: signedFieldNames,
+    signature: generateEsewaSignature(signatureMessage, secretKey),
+  };
+}
+
+/**
+ * Gift card bought by the customer (services/wallet/giftCardService.js).
+ */
+async function initiateGiftCardPayment(req, res, giftCardId) {
+  const userId = String(req.user?.id || req.user?._id || "");
+  const card = await GiftCards.findOne({ _id: new ObjectId(giftCardId) });
+  if (!card || String(card.purchasedBy || "") !== userId) {
+    return res.status(404).json({ message: "Gift card not found." });
+  }
+  if (card.status !== GIFT_CARD_STATUS.PENDING_PAYMENT) {
+    return res.status(409).json({ message: "Gift card is not awaiting payment.", code: "GIFT_CARD_NOT_PENDING" });
+  }
+
+  const transactionUuid = card.esewa?.transactionUuid || `GLAMZI-GC-${Date.now()}-${card._id.toString()}`;
+  const now = new Date();
+  await GiftCards.updateOne(
+    { _id: card._id },
+    {
+      $set: {
+        "esewa.transactionUuid": transactionUuid,
+        "esewa.amount": card.amount,
+        "esewa.environment": ESEWA_ENV || "test",
+        "esewa.lastInitiatedAt": now,
+        updatedAt: now,
+      },
+    }
+  );
+
+  return res.json({
+    success: true,
+    message: "eSewa payment initiated",
+    giftCardId: card._id.toString(),
+    transactionUuid,
+    esewaUrl: ESEWA_ENDPOINT,
+    esewaPayload: buildEsewaPayload(card.amount, transactionUuid),
+  });
+}
+
+/**
+ * Success callback for a gift card. Unlike orders, nothing is activated unless the signature
+ * and amount check out: an active card is spendable money.
+ */
+async function completeGiftCardPayment(res, card, decodedData) {
+  const giftCardsUrl = process.env.GIFT_CARD_RETURN_URL || `${process.env.FRONTEND_URL || ""}/gift-cards`;
+  const secretKey = ESEWA_SECRET_KEY || "8gBm/:&EnhH.1/q";
+
+  if (!esewaSignatureValid(decodedData, secretKey)) {
+    console.error("eSewa success callback: gift card signature mismatch", { giftCardId: String(card._id) });
+    return redirectWithParam(res, giftCardsUrl, "error", "verification_failed");
+  }
+  if (Number(decodedData.total_amount) !== Number(card.amount) || String(decodedData.status || "").toUpperCase() !== "COMPLETE") {
+    console.error("eSewa success callback: gift card amount/status mismatch", {
+      giftCardId: String(card._id),
+      expected: card.amount,
+      received: decodedData.total_amount,
+      status: decodedData.status,
+    });
+    return redirectWithParam(res, giftCardsUrl, "error", "verification_failed");
+  }
+
+  await activatePurchasedGiftCard(db, card, {
+    payment: {
+      method: "esewa",
+      transactionCode: decodedData.transaction_code,
+      referenceCode: decodedData.transaction_uuid,
+      responseData: decodedData,
+    },
+  });
+  return redirectWithParam(res, giftCardsUrl, "giftCardId", card._id.toString());
+}
 async function findOrderByRequestId(requestId) {
   if (!requestId) return null;
 
@@ -152,14 +281,22 @@ async function findOrderByRequestId(requestId) {
    - Then calls this endpoint with: { orderId }
    - This route:
      • Verifies order belongs to user
-     • Uses order.totals.grandTotal as amount
+     • Uses what's left after store credit (totals.amountDue, else grandTotal) as amount
      • Generates (or reuses) esewa.transactionUuid
      • Returns epay v2 form payload with signature
+   - Honours Idempotency-Key (middlewares/idempotency.js)
 ------------------------------------------------------------------- */
-router.post("/esewa/initiate", authMiddleware, async (req, res) => {
+router.post("/esewa/initiate", authMiddleware, idempotency("esewa.initiate"), async (req, res) => {
   try {
     const user = req.user;
-    const { orderId } = req.body || {};
+    const { orderId, giftCardId } = req.body || {};
+
+    if (!orderId && giftCardId) {
+      if (!ObjectId.isValid(giftCardId)) {
+        return res.status(400).json({ message: "Valid giftCardId is required." });
+      }
+      return initiateGiftCardPayment(req, res, giftCardId);
+    }
 
     if (!orderId || !ObjectId.isValid(orderId)) {
       return res.status(400).json({ message: "Valid orderId is required." });
@@ -178,7 +315,7 @@ router.post("/esewa/initiate", authMiddleware, async (req, res) => {
     }
 
     // Validate totals
-    const amount = Number(order?.totals?.grandTotal || 0);
+    const amount = orderAmountDue(order);
     if (!amount || amount <= 0) {
       return res.status(400).json({ message: "Invalid order amount for eSewa payment." });
     }
@@ -190,28 +327,7 @@ router.post("/esewa/initiate", authMiddleware, async (req, res) => {
       order?.esewa?.transactionUuid ||
       `GLAMZI-${Date.now()}-${new ObjectId().toString()}`;
 
-    // ePay v2 requires signature
-    const productCode = ESEWA_MERCHANT_CODE || "EPAYTEST";
-    const secretKey = ESEWA_SECRET_KEY || "8gBm/:&EnhH.1/q";
-
-    // Signature message format: total_amount=X,transaction_uuid=Y,product_code=Z
-    const signedFieldNames = "total_amount,transaction_uuid,product_code";
-    const signatureMessage = `total_amount=${amount},transaction_uuid=${transactionUuid},product_code=${productCode}`;
-    const signature = generateEsewaSignature(signatureMessage, secretKey);
-
-    const esewaPayload = {
-      amount: amount.toString(),
-      tax_amount: "0",
-      total_amount: amount.toString(),
-      transaction_uuid: transactionUuid,
-      product_code: productCode,
-      product_service_charge: "0",
-      product_delivery_charge: "0",
-      success_url: ESEWA_SUCCESS_URL,
-      failure_url: ESEWA_FAILURE_URL,
-      signed_field_names: signedFieldNames,
-      signature: signature,
-    };
+    const esewaPayload = buildEsewaPayload(amount, transactionUuid);
 
     // Persist eSewa meta on order (safe to upsert)
     await Orders.updateOne(
@@ -278,6 +394,11 @@ router.get("/esewa/success", async (req, res) => {
       "esewa.transactionUuid": transaction_uuid,
     });
 
+    if (!order) {
+      const giftCard = await GiftCards.findOne({ "esewa.transactionUuid": transaction_uuid });
+      if (giftCard) return completeGiftCardPayment(res, giftCard, decodedData);
+    }
+
     if (!order) {
       console.error(
         "eSewa success callback: Order not found for UUID:",
@@ -305,7 +426,7 @@ router.get("/esewa/success", async (req, res) => {
     }
 
     // Verify amount
-    const expectedAmount = Number(order.totals?.grandTotal || 0);
+    const expectedAmount = orderAmountDue(order);
     const receivedAmount = Number(total_amount);
 
     if (expectedAmount !== receivedAmount) {
@@ -338,6 +459,7 @@ router.get("/esewa/success", async (req, res) => {
         },
       }
     );
+    await postEsewaCapture(order, now);
 
     // Mirror payment status to linked invoices (by orderId)
     await Invoices.updateMany(
@@ -382,33 +504,52 @@ router.get("/esewa/failure", async (req, res) => {
   try {
     const { data } = req.query;
 
-    let transactionUuid = null;
+    let decodedData = null;
 
     if (data) {
       try {
-        const decodedData = JSON.parse(
+        decodedData = JSON.parse(
           Buffer.from(data, "base64").toString("utf-8")
         );
-        transactionUuid = decodedData.transaction_uuid;
         console.log("eSewa failure callback data:", decodedData);
       } catch (e) {
         console.error("Error decoding eSewa failure data:", e);
       }
     }
 
-    // Update order status if we have the transaction UUID
-    if (transactionUuid) {
+    // Cancelling gives wallet money back, so only a callback eSewa signed may do it.
+    const transactionUuid = decodedData?.transaction_uuid;
+    if (transactionUuid && !esewaSignatureValid(decodedData, ESEWA_SECRET_KEY || "8gBm/:&EnhH.1/q")) {
+      console.error("eSewa failure callback: signature mismatch", { transactionUuid });
+    } else if (transactionUuid) {
       const now = new Date();
-      await Orders.updateOne(
-        { "esewa.transactionUuid": transactionUuid },
-        {
-          $set: {
-            "payment.status": "failed",
-            status: "cancelled",
-            updatedAt: now,
+      const order = await Orders.findOne({ "esewa.transactionUuid": transactionUuid });
+      if (order) {
+        // A late or replayed failure must not cancel an order that was paid or has moved on.
+        const { matchedCount } = await Orders.updateOne(
+          {
+            _id: order._id,
+            "payment.status": { $nin: ["paid"] },
+            status: { $nin: ["delivered", "completed", "cancelled"] },
           },
+          {
+            $set: {
+              "payment.status": "failed",
+              status: "cancelled",
+              updatedAt: now,
+            },
+          }
+        );
+        // The order won't go ahead: give back the part paid from the wallet.
+        if (matchedCount) {
+          await reverseOrderWalletPayment(db, order, { reason: "esewa_failed" }).catch((walletErr) =>
+            console.error("eSewa failure callback: wallet reversal failed:", walletErr)
+          );
         }
-      );
+      } else {
+        const giftCard = await GiftCards.findOne({ "esewa.transactionUuid": transactionUuid });
+        if (giftCard) await failGiftCardPurchase(db, giftCard);
+      }
     }
 
     // Redirect to checkout with error
@@ -460,7 +601,7 @@ router.post("/esewa/verify", authMiddleware, async (req, res) => {
 
     // Call eSewa status API
     const productCode = ESEWA_MERCHANT_CODE || "EPAYTEST";
-    const totalAmount = order.totals?.grandTotal || 0;
+    const totalAmount = orderAmountDue(order);
 
     const statusUrl = `${ESEWA_STATUS_ENDPOINT}?product_code=${productCode}&total_amount=${totalAmount}&transaction_uuid=${txnUuid}`;
 
@@ -523,7 +664,7 @@ router.get(
         });
       }
 
-      const amount = Number(order.totals?.grandTotal || 0);
+      const amount = orderAmountDue(order);
 
       const properties = {
         customer_name: order.shippingAddress?.fullName || "Glamzi Customer",
@@ -587,7 +728,7 @@ router.post("/esewa/payment", verifyEsewaCallbackAuth, async (req, res) => {
       });
     }
 
-    const expectedAmount = Number(order.totals?.grandTotal || 0);
+    const expectedAmount = orderAmountDue(order);
     const receivedAmount = Number(amount);
 
     if (!expectedAmount || expectedAmount !== receivedAmount) {
@@ -615,6 +756,7 @@ router.post("/esewa/payment", verifyEsewaCallbackAuth, async (req, res) => {
         },
       }
     );
+    await postEsewaCapture(order, now);
 
     return res.status(200).json({
       request_id,
@@ -667,7 +809,7 @@ router.post("/esewa/status", verifyEsewaCallbackAuth, async (req, res) => {
       });
     }
 
-    const expectedAmount = Number(order.totals?.grandTotal || 0);
+    const expectedAmount = orderAmountDue(order);
     const receivedAmount = Number(amount);
 
     const statusStr = order.payment?.status === "paid" ? "SUCCESS" : "FAILED";
@@ -728,7 +870,7 @@ router.all(
         });
       }
 
-      const amount = Number(order.totals?.grandTotal || 0);
+      const amount = orderAmountDue(order);
 
       const properties = {
         customer_name: order.shippingAddress?.fullName || "Glamzi Customer",
@@ -789,7 +931,7 @@ router.post(
         });
       }
 
-      const expectedAmount = Number(order.totals?.grandTotal || 0);
+      const expectedAmount = orderAmountDue(order);
       const receivedAmount = Number(amount);
 
       if (!expectedAmount || expectedAmount !== receivedAmount) {
@@ -825,6 +967,7 @@ router.post(
           },
         }
       );
+      await postEsewaCapture(order, now);
 
       // Mirror payment status to linked invoices (by orderId)
       await Invoices.updateMany(
@@ -894,7 +1037,7 @@ router.post(
         });
       }
 
-      const expectedAmount = Number(order.totals?.grandTotal || 0) || Number(amount);
+      const expectedAmount = orderAmountDue(order) || Number(amount);
       const paid =
         order.paymentStatus === "paid" ||
         order.payment?.status === "paid" ||
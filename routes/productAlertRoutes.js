@@ -0,0 +1,114 @@
+// routes/productAlertRoutes.js
+// Back-in-stock / price-drop alerts, customer side (services/productAlerts). Mounted at /api/product-alerts.
+//
+//   GET    /                      ?productId=        my alerts
+//   POST   /                      { productId, types: ["back_in_stock" | "price_drop"], targetPrice? }
+//   DELETE /:productId            ?types=a,b         manual alerts for the product (all types by default)
+//   GET    /preferences                              { wishlistAlerts }
+//   PUT    /preferences           { wishlistAlerts: bool }   alerts for wishlisted products
+
+import express from "express";
+import { ObjectId } from "mongodb";
+
+import { client } from "../dbConfig.js";
+import { authMiddleware, isCustomerMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { toObjectIdSafe } from "../utils/notify.js";
+import { parseAlertTypes } from "../services/productAlerts/productAlerts.js";
+import {
+  listProductAlerts,
+  subscribeToProductAlerts,
+  unsubscribeFromProductAlerts,
+} from "../services/productAlerts/productAlertService.js";
+
+const router = express.Router();
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const Users = db.collection("users");
+
+const customer = [authMiddleware, isActiveMiddleware, isCustomerMiddleware];
+
+function userIdOf(req) {
+  return String(req.user?._id || req.user?.id || "");
+}
+
+function sendError(res, err, label) {
+  if (err.statusCode) return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Server error" });
+}
+
+router.get("/", customer, async (req, res) => {
+  try {
+    const productId = req.query.productId ? String(req.query.productId) : null;
+    if (productId && !ObjectId.isValid(productId)) return res.status(400).json({ message: "Invalid productId" });
+
+    const items = await listProductAlerts(db, userIdOf(req), { productId });
+    return res.json({ ok: true, items });
+  } catch (err) {
+    return sendError(res, err, "GET /api/product-alerts");
+  }
+});
+
+router.post("/", customer, async (req, res) => {
+  try {
+    const productId = String(req.body?.productId || "");
+    if (!ObjectId.isValid(productId)) return res.status(400).json({ message: "Invalid productId" });
+
+    const types = parseAlertTypes(req.body?.types);
+    if (!types) return res.status(400).json({ message: "types must be back_in_stock and/or price_drop" });
+
+    const items = await subscribeToProductAlerts(db, {
+      userId: userIdOf(req),
+      productId,
+      types,
+      targetPrice: req.body?.targetPrice ?? null,
+    });
+    return res.status(201).json({ ok: true, items });
+  } catch (err) {
+    return sendError(res, err, "POST /api/product-alerts");
+  }
+});
+
+router.delete("/:productId", customer, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.productId)) return res.status(400).json({ message: "Invalid productId" });
+
+    let types = null;
+    if (req.query.types) {
+      types = parseAlertTypes(String(req.query.types).split(","));
+      if (!types) return res.status(400).json({ message: "types must be back_in_stock and/or price_drop" });
+    }
+
+    const out = await unsubscribeFromProductAlerts(db, { userId: userIdOf(req), productId: req.params.productId, types });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return sendError(res, err, "DELETE /api/product-alerts/:productId");
+  }
+});
+
+router.get("/preferences", customer, async (req, res) => {
+  try {
+    const user = await Users.findOne({ _id: toObjectIdSafe(userIdOf(req)) }, { projection: { notificationPrefs: 1 } });
+    return res.json({ ok: true, wishlistAlerts: user?.notificationPrefs?.wishlistAlerts !== false });
+  } catch (err) {
+    return sendError(res, err, "GET /api/product-alerts/preferences");
+  }
+});
+
+router.put("/preferences", customer, async (req, res) => {
+  try {
+    if (typeof req.body?.wishlistAlerts !== "boolean") {
+      return res.status(400).json({ message: "wishlistAlerts must be true or false" });
+    }
+    const out = await Users.updateOne(
+      { _id: toObjectIdSafe(userIdOf(req)) },
+      { $set: { "notificationPrefs.wishlistAlerts": req.body.wishlistAlerts, updatedAt: new Date() } }
+    );
+    if (!out.matchedCount) return res.status(404).json({ message: "Account not found" });
+    return res.json({ ok: true, wishlistAlerts: req.body.wishlistAlerts });
+  } catch (err) {
+    return sendError(res, err, "PUT /api/product-alerts/preferences");
+  }
+});
+
+export default router;
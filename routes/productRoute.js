@@ -5,6 +5,7 @@ import express from "express";
 import { ObjectId } from "mongodb";
 
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { client } from "../dbConfig.js";
 
 const router = express.Router();
@@ -55,13 +56,6 @@ function toObjectId(id) {
   }
 }
 
-/** âœ… Admin/staff roles allowed for admin product endpoints */
-function isAdminStaff(user) {
-  const role = (user?.role || "").toLowerCase();
-  const allowed = ["admin", "super-admin", "account", "marketing", "support"];
-  return allowed.includes(role);
-}
-
 /** âœ… Escape regex input */
 function escapeRegex(str = "") {
   return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -796,23 +790,15 @@ router.put("/user/product/:id", authMiddleware, handleSellerUpdateProduct);
  * âœ… Admin updates any product
  * PUT /api/admin/product/:id
  */
-router.put("/admin/product/:id", authMiddleware, async (req, res) => {
+router.put("/admin/product/:id", authMiddleware, requirePermission("products.moderate"), async (req, res) => {
   try {
-    if (!isAdminStaff(req.user)) {
-      return res.status(403).json({ message: "Admins only" });
-    }
-
     const id = toObjectId(req.params.id);
     if (!id) {
       return res.status(400).json({ message: "Invalid product id" });
     }
 // PUT /api/admin/product/:id  (admin can edit any product)
-router.put("/admin/product/:id", authMiddleware, async (req, res) => {
+router.put("/admin/product/:id", authMiddleware, requirePermission("products.moderate"), async (req, res) => {
   try {
-    if (!isAdminStaff(req.user)) {
-      return res.status(403).json({ message: "Admins only" });
-    }
-
     const pid = toObjectId(req.params.id);
     if (!pid) return res.status(400).json({ message: "Invalid product id" });
 
@@ -1376,12 +1362,8 @@ router.get("/user/my-products/:userId", authMiddleware, (req, res) =>
    ADMIN: PRODUCT LIST / APPROVE / REJECT / DELETE / BLOCK
 ========================================================= */
 
-router.get("/admin/products", authMiddleware, async (req, res) => {
+router.get("/admin/products", authMiddleware, requirePermission("products.read"), async (req, res) => {
   try {
-    if (!isAdminStaff(req.user)) {
-      return res.status(403).json({ message: "Admins only" });
-    }
-
     const { page = 1, limit = 20, status, search } = req.query;
 
     const pageNum = Math.max(parseInt(page, 10) || 1, 1);
@@ -1536,12 +1518,8 @@ router.get("/admin/products", authMiddleware, async (req, res) => {
   }
 });
 
-router.patch("/admin/product/:id/approve", authMiddleware, async (req, res) => {
+router.patch("/admin/product/:id/approve", authMiddleware, requirePermission("products.moderate"), async (req, res) => {
   try {
-    if (!isAdminStaff(req.user)) {
-      return res.status(403).json({ message: "Admins only" });
-    }
-
     const id = toObjectId(req.params.id);
     if (!id) return res.status(400).json({ message: "Invalid product id" });
 
@@ -1574,12 +1552,8 @@ router.patch("/admin/product/:id/approve", authMiddleware, async (req, res) => {
   }
 });
 
-router.patch("/admin/product/:id/reject", authMiddleware, async (req, res) => {
+router.patch("/admin/product/:id/reject", authMiddleware, requirePermission("products.moderate"), async (req, res) => {
   try {
-    if (!isAdminStaff(req.user)) {
-      return res.status(403).json({ message: "Admins only" });
-    }
-
     const id = toObjectId(req.params.id);
     if (!id) return res.status(400).json({ message: "Invalid product id" });
 
@@ -1616,12 +1590,8 @@ router.patch("/admin/product/:id/reject", authMiddleware, async (req, res) => {
   }
 });
 
-router.delete("/admin/product/:id", authMiddleware, async (req, res) => {
+router.delete("/admin/product/:id", authMiddleware, requirePermission("products.moderate"), async (req, res) => {
   try {
-    if (!isAdminStaff(req.user)) {
-      return res.status(403).json({ message: "Admins only" });
-    }
-
     const id = toObjectId(req.params.id);
     if (!id) return res.status(400).json({ message: "Invalid product id" });
 
@@ -1643,12 +1613,8 @@ router.delete("/admin/product/:id", authMiddleware, async (req, res) => {
   }
 });
 
-router.put("/admin/product/:id/block", authMiddleware, async (req, res) => {
+router.put("/admin/product/:id/block", authMiddleware, requirePermission("products.moderate"), async (req, res) => {
   try {
-    if (!isAdminStaff(req.user)) {
-      return res.status(403).json({ message: "Admins only" });
-    }
-
     const id = toObjectId(req.params.id);
     if (!id) return res.status(400).json({ message: "Invalid product id" });
 
@@ -1672,12 +1638,8 @@ router.put("/admin/product/:id/block", authMiddleware, async (req, res) => {
   }
 });
 
-router.get("/admin/product/:id", authMiddleware, async (req, res) => {
+router.get("/admin/product/:id", authMiddleware, requirePermission("products.read"), async (req, res) => {
   try {
-    if (!isAdminStaff(req.user)) {
-      return res.status(403).json({ message: "Admins only" });
-    }
-
     const id = toObjectId(req.params.id);
     if (!id) return res.status(400).json({ message: "Invalid product id" });
 
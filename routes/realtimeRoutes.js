@@ -0,0 +1,242 @@
+// routes/realtimeRoutes.js
+// Realtime messaging over Server-Sent Events. Mounted at /api/realtime.
+//
+//   POST /ticket   (Bearer access token) -> { ticket, expiresIn, streamUrl }
+//   GET  /stream?ticket=...               -> text/event-stream
+//   GET  /stream   (Bearer access token)  -> same, for clients that can set headers
+//   POST /typing   { kind, conversationId, isTyping }
+//
+// Browsers' EventSource can't send an Authorization header and access tokens don't belong in
+// URLs, so web clients swap their token for a 60s ticket first. The stream ends when the
+// access token behind it expires or is revoked (`session.ended`); the client reconnects with
+// a fresh ticket, refetches on `ready`, and keeps polling the unread-count endpoints whenever
+// it has no stream (REALTIME_DISABLED=1, proxies that buffer, old app versions).
+//
+// Events: ready, message.new, message.read, typing, session.ended
+// (services/realtime/channels.js)
+
+import express from "express";
+import jwt from "jsonwebtoken";
+
+import { client } from "../dbConfig.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { isAccessTokenRevoked } from "../services/auth/sessionService.js";
+import { ensureRolesFresh, userHasPermission } from "../services/auth/roles.js";
+import {
+  REALTIME_EVENTS,
+  channelsForUser,
+  canJoinConversation,
+  isConversationKind,
+  formatSseEvent,
+} from "../services/realtime/channels.js";
+import { addConnection, removeConnection, publishConversationEvent } from "../services/realtime/hub.js";
+import { loadConversation } from "../services/realtime/conversations.js";
+
+const router = express.Router();
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const JWT_SECRET = process.env.JWT_SECRET || "mysecretkey";
+const TICKET_SECRET = `${JWT_SECRET}:realtime-ticket`;
+const TICKET_TTL_SECONDS = 60;
+const HEARTBEAT_MS = Math.max(5000, Number(process.env.REALTIME_HEARTBEAT_MS || 25000));
+const RECONNECT_MS = 5000;
+// What clients without a stream should fall back to for unread counts.
+const POLL_INTERVAL_MS = 30000;
+const TYPING_THROTTLE_MS = 2000;
+
+const lastTypingAt = new Map(); // "<userId>:<kind>:<conversationId>" -> ms, oldest first
+
+// Re-inserted on every set so the map stays in time order; entries past the throttle window
+// are dropped from the front (clients that disconnect mid-typing never send isTyping: false).
+function markTyping(key, now) {
+  lastTypingAt.delete(key);
+  lastTypingAt.set(key, now);
+  for (const [k, at] of lastTypingAt) {
+    if (now - at < TYPING_THROTTLE_MS) break;
+    lastTypingAt.delete(k);
+  }
+}
+
+function realtimeDisabled() {
+  return process.env.REALTIME_DISABLED === "1";
+}
+
+function sendDisabled(res) {
+  return res.status(503).json({
+    message: "Realtime updates are unavailable, poll instead",
+    code: "REALTIME_DISABLED",
+    pollIntervalMs: POLL_INTERVAL_MS,
+  });
+}
+
+function hasPermissionFor(user) {
+  return (permission) => userHasPermission(user, permission);
+}
+
+/**
+ * Ticket (web) or Bearer token (mobile/fetch clients) for the stream.
+ */
+async function streamAuth(req, res, next) {
+  const ticket = req.query?.ticket;
+  if (!ticket) return authMiddleware(req, res, next);
+
+  let decoded;
+  try {
+    decoded = jwt.verify(String(ticket), TICKET_SECRET);
+  } catch {
+    return res.status(401).json({ message: "Invalid or expired ticket", code: "INVALID_REALTIME_TICKET" });
+  }
+
+  try {
+    if (await isAccessTokenRevoked(db, decoded)) {
+      return res.status(401).json({ message: "Token revoked", code: "TOKEN_REVOKED" });
+    }
+  } catch (err) {
+    console.error("realtime: revocation check failed", err);
+    return res.status(503).json({ message: "Authentication temporarily unavailable" });
+  }
+
+  req.user = { ...decoded, _id: decoded.id, exp: decoded.accessExp };
+  return next();
+}
+
+router.post("/ticket", authMiddleware, (req, res) => {
+  if (realtimeDisabled()) return sendDisabled(res);
+
+  const u = req.user;
+  const ticket = jwt.sign(
+    {
+      id: String(u.id || u._id),
+      role: u.role || null,
+      tv: Number(u.tv || 0),
+      ...(u.sid ? { sid: u.sid } : {}),
+      accessExp: u.exp || null,
+    },
+    TICKET_SECRET,
+    { expiresIn: TICKET_TTL_SECONDS }
+  );
+
+  return res.json({
+    ticket,
+    expiresIn: TICKET_TTL_SECONDS,
+    streamUrl: `${req.baseUrl}/stream?ticket=${encodeURIComponent(ticket)}`,
+    pollIntervalMs: POLL_INTERVAL_MS,
+  });
+});
+
+router.get("/stream", streamAuth, async (req, res) => {
+  if (realtimeDisabled()) return sendDisabled(res);
+
+  const user = req.user;
+  try {
+    await ensureRolesFresh(db);
+  } catch (err) {
+    console.error("realtime: role refresh failed", err?.message || err);
+  }
+  const channels = channelsForUser(user, { hasPermission: hasPermissionFor(user) });
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  let closed = false;
+  const timers = [];
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    timers.forEach((t) => clearTimeout(t));
+    removeConnection(conn.id);
+  };
+
+  const conn = addConnection({
+    userId: user.id || user._id,
+    channels,
+    write: (frame) => res.write(frame),
+    end: (reason) => {
+      if (!closed) res.write(formatSseEvent(REALTIME_EVENTS.SESSION_ENDED, { reason }));
+      cleanup();
+      res.end();
+    },
+  });
+
+  res.write(
+    formatSseEvent(REALTIME_EVENTS.READY, {
+      connectionId: conn.id,
+      channels,
+      heartbeatMs: HEARTBEAT_MS,
+      // Anything sent while disconnected is not replayed: refetch conversations/unread now.
+      resync: true,
+    })
+  );
+
+  timers.push(
+    setInterval(async () => {
+      res.write(`: ping ${Date.now()}\n\n`);
+      try {
+        const revoked = await isAccessTokenRevoked(db, user);
+        if (revoked && !closed) conn.end("revoked");
+      } catch {
+        // keep the stream; the next request the client makes re-checks properly
+      }
+    }, HEARTBEAT_MS)
+  );
+
+  // Don't outlive the access token the stream was opened with.
+  if (user.exp) {
+    const msLeft = Number(user.exp) * 1000 - Date.now();
+    timers.push(setTimeout(() => !closed && conn.end("token_expired"), Math.max(0, msLeft)));
+  }
+
+  req.on("close", cleanup);
+});
+
+/**
+ * POST /api/realtime/typing
+ * Body: { kind, conversationId, isTyping }
+ * Not stored anywhere; forwarded to the other participants' streams.
+ */
+router.post("/typing", authMiddleware, async (req, res) => {
+  try {
+    const { kind, conversationId } = req.body || {};
+    const isTyping = req.body?.isTyping !== false;
+
+    if (!isConversationKind(kind)) {
+      return res.status(400).json({ message: "Invalid conversation kind" });
+    }
+
+    await ensureRolesFresh(db);
+    const conv = await loadConversation(db, kind, conversationId, req.user);
+    if (!conv || !canJoinConversation(req.user, kind, conv, { hasPermission: hasPermissionFor(req.user) })) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const userId = String(req.user.id || req.user._id);
+    const throttleKey = `${userId}:${kind}:${conv._id}`;
+    const now = Date.now();
+    if (isTyping && now - (lastTypingAt.get(throttleKey) || 0) < TYPING_THROTTLE_MS) {
+      return res.json({ success: true, throttled: true });
+    }
+    if (isTyping) markTyping(throttleKey, now);
+    else lastTypingAt.delete(throttleKey);
+
+    publishConversationEvent(kind, conv, REALTIME_EVENTS.TYPING, {
+      userId,
+      role: String(req.user.role || "").toLowerCase(),
+      isTyping,
+      at: new Date(now).toISOString(),
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("POST /realtime/typing error:", err);
+    return res.status(500).json({ message: "Failed to send typing indicator" });
+  }
+});
+
+export default router;
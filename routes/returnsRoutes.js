@@ -123,6 +123,7 @@ function buildReturnItemSnapshotsFromOrder({ order, sellerId, requestedItems })
       title: String(line?.title || line?.name || ""),
       sku: String(line?.sku || ""),
       variant: String(line?.variant || ""),
+      variantSku: line?.variantSku ? String(line.variantSku) : null,
       qtyOrdered: safeNum(line?.qty ?? lineQty, 0),
       qtyRequestedReturn,
       pricing: {
@@ -148,7 +149,10 @@ function buildReturnItemSnapshotsFromOrder({ order, sellerId, requestedItems })
   return out;
 }
 
-function computeRefundSnapshot({ order, items }) {
+// Where the customer wants the money: back to how they paid, or to their wallet (store credit).
+const REFUND_DESTINATIONS = ["original", "store_credit"];
+
+function computeRefundSnapshot({ order, items, refundTo = "original" }) {
   const currency = String(order.currency || "NPR");
 
   const subtotal = items.reduce((s, it) => s + safeNum(it?.pricing?.lineSubtotalPaid, 0), 0);
@@ -162,7 +166,13 @@ function computeRefundSnapshot({ order, items }) {
   const totalRefund = subtotal + shippingRefund + taxRefund - adminDiscountRefund;
 
   const paymentMethod = String(order.paymentMethod || "cod").toLowerCase() === "prepaid" ? "prepaid" : "cod";
-  const strategy = paymentMethod === "prepaid" ? "card_refund" : "cod_settlement_adjustment";
+  // Orders paid entirely from the wallet can only go back to it.
+  const toStoreCredit = refundTo === "store_credit" || String(order.paymentMethod || "").toLowerCase() === "wallet";
+  const strategy = toStoreCredit
+    ? "store_credit"
+    : paymentMethod === "prepaid"
+    ? "card_refund"
+    : "cod_settlement_adjustment";
 
   const commissionReversal = items.reduce(
     (acc, it) => {
@@ -199,6 +209,7 @@ function deriveIsActiveFromStatus(status) {
  * Supports:
  *  A) single seller return: { orderId, sellerId, items: [{orderItemId, qty}], reasonCode, reasonText, attachments[] }
  *  B) multi-seller: { orderId, itemsBySeller: [{ sellerId, items:[{orderItemId, qty}] }], ... }
+ *  refundTo: "original" (default) | "store_credit" (wallet, paid as soon as finance issues the refund)
  *
  * Creates ONE return doc per sellerId.
  *
@@ -228,6 +239,11 @@ router.post("/", authMiddleware, async (req, res) => {
     const reasonCode = safeStr(req.body?.reasonCode, 50) || "other";
     const reasonText = safeStr(req.body?.reasonText, 800);
 
+    const refundTo = safeStr(req.body?.refundTo, 20) || "original";
+    if (!REFUND_DESTINATIONS.includes(refundTo)) {
+      return res.status(400).json({ message: "refundTo must be original or store_credit" });
+    }
+
     const attachments = Array.isArray(req.body?.attachments) ? req.body.attachments.slice(0, 10) : [];
     const signals = req.body?.signals && typeof req.body.signals === "object" ? req.body.signals : {};
 
@@ -268,7 +284,7 @@ router.post("/", authMiddleware, async (req, res) => {
 
       if (itemSnapshots.length === 0) continue;
 
-      const refundSnapshot = computeRefundSnapshot({ order, items: itemSnapshots });
+      const refundSnapshot = computeRefundSnapshot({ order, items: itemSnapshots, refundTo });
 
       // attempt number is "count of historical attempts + 1"
       const prevCount = await Returns.countDocuments({ orderId, sellerId });
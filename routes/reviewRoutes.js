@@ -5,6 +5,7 @@ import dotenv from "dotenv";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
 
 dotenv.config();
 
@@ -27,7 +28,7 @@ const toObjectId = (id) => {
    POST /api/reviews
    ↳ Create a new review for a product (customer only)
 ---------------------------------------------------------- */
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", authMiddleware, rateLimit("reviewWrite"), async (req, res) => {
   try {
     const user = req.user; // from authMiddleware
     if (!user || user.role !== "customer") {
@@ -0,0 +1,192 @@
+// routes/searchRoutes.js
+// Public storefront search: GET /api/search
+//
+// Backed by the in-memory inverted index in services/search/productSearchIndex.js.
+// The index is rebuilt from Mongo at most every SEARCH_INDEX_TTL_MS (default 5 min);
+// concurrent requests share one rebuild, and a stale index keeps serving while it runs.
+
+import express from "express";
+import { client } from "../dbConfig.js";
+import {
+  buildProductSearchIndex,
+  searchProducts,
+  SEARCH_SORTS,
+} from "../services/search/productSearchIndex.js";
+
+const router = express.Router();
+
+const dbName = process.env.DB_NAME || "glamzi_ecommerce";
+const db = client.db(dbName);
+
+const Products = db.collection("products");
+const Reviews = db.collection("reviews");
+const Brands = db.collection("brands");
+
+const INDEX_TTL_MS = Math.max(10_000, Number(process.env.SEARCH_INDEX_TTL_MS || 5 * 60 * 1000));
+
+// Same visibility rule as handleListProducts in productRoute.js
+const PUBLIC_PRODUCT_FILTER = {
+  blocked: { $ne: true },
+  deleted: { $ne: true },
+  $or: [{ status: "approved" }, { status: { $exists: false } }],
+};
+
+const SEARCH_PROJECTION = {
+  title: 1,
+  name: 1,
+  slug: 1,
+  brand: 1,
+  brandId: 1,
+  category: 1,
+  categoryId: 1,
+  tags: 1,
+  sku: 1,
+  "variants.sku": 1,
+  "variants.name": 1,
+  price: 1,
+  compareAtPrice: 1,
+  image: 1,
+  images: 1,
+  quantity: 1,
+  soldCount: 1,
+  userId: 1,
+  createdAt: 1,
+};
+
+let cachedIndex = null;
+let cachedAt = 0;
+let building = null;
+
+function safeString(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+function toList(v) {
+  if (Array.isArray(v)) return v.flatMap(toList);
+  const s = safeString(v);
+  return s ? s.split(",").map((x) => x.trim()).filter(Boolean) : [];
+}
+
+function toNumOrNull(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function loadSearchDocuments() {
+  const products = await Products.find(PUBLIC_PRODUCT_FILTER, { projection: SEARCH_PROJECTION }).toArray();
+
+  const [brands, ratings] = await Promise.all([
+    Brands.find({}, { projection: { name: 1, slug: 1, logoUrl: 1 } }).toArray(),
+    Reviews.aggregate([
+      { $match: { status: "approved" } },
+      { $group: { _id: "$productId", totalReviews: { $sum: 1 }, sumRating: { $sum: "$rating" } } },
+    ]).toArray(),
+  ]);
+
+  const brandById = new Map(brands.map((b) => [String(b._id), b]));
+  const brandByName = new Map(brands.map((b) => [String(b.name || "").toLowerCase().trim(), b]));
+  const ratingById = new Map(
+    ratings.map((r) => [
+      String(r._id),
+      {
+        averageRating: r.totalReviews > 0 ? (r.sumRating || 0) / r.totalReviews : 0,
+        totalReviews: r.totalReviews || 0,
+      },
+    ])
+  );
+
+  return products.map((p) => {
+    const brandInfo =
+      (p.brandId && brandById.get(String(p.brandId))) ||
+      (p.brand && brandByName.get(String(p.brand).toLowerCase().trim())) ||
+      null;
+    const stats = ratingById.get(String(p._id)) || { averageRating: 0, totalReviews: 0 };
+
+    return {
+      ...p,
+      averageRating: stats.averageRating,
+      totalReviews: stats.totalReviews,
+      brandName: brandInfo?.name || p.brand || "",
+      brandLogoUrl: brandInfo?.logoUrl || "",
+    };
+  });
+}
+
+async function rebuildIndex() {
+  const docs = await loadSearchDocuments();
+  cachedIndex = buildProductSearchIndex(docs);
+  cachedAt = Date.now();
+  return cachedIndex;
+}
+
+async function getIndex() {
+  const fresh = cachedIndex && Date.now() - cachedAt < INDEX_TTL_MS;
+  if (fresh) return cachedIndex;
+
+  if (!building) {
+    building = rebuildIndex().finally(() => {
+      building = null;
+    });
+  }
+
+  // Serve the stale index while a rebuild is in flight; only the first request waits.
+  if (cachedIndex) {
+    building.catch((err) => console.error("[SEARCH] index rebuild failed:", err));
+    return cachedIndex;
+  }
+  return building;
+}
+
+/**
+ * GET /api/search
+ * Query:
+ *  q          free text (title, brand, category, tags, SKU) with prefix + typo tolerance
+ *  brand      comma list / repeated param
+ *  category   comma list / repeated param
+ *  minPrice, maxPrice, minRating
+ *  sort       relevance | price_asc | price_desc | popular | newest | rating
+ *  page, limit (max 100)
+ * Returns: { query, products, total, page, totalPages, facets, matchMode, corrections }
+ */
+router.get("/", async (req, res) => {
+  try {
+    const q = safeString(req.query.q).slice(0, 200);
+    const sortRaw = safeString(req.query.sort).toLowerCase();
+    const sort = SEARCH_SORTS.includes(sortRaw) ? sortRaw : q ? "relevance" : "newest";
+    const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "24", 10) || 24));
+
+    const index = await getIndex();
+
+    const result = searchProducts(index, {
+      q,
+      sort,
+      page,
+      limit,
+      filters: {
+        brand: toList(req.query.brand),
+        category: toList(req.query.category),
+        minPrice: toNumOrNull(req.query.minPrice),
+        maxPrice: toNumOrNull(req.query.maxPrice),
+        minRating: toNumOrNull(req.query.minRating),
+      },
+    });
+
+    return res.json({
+      query: q,
+      products: result.hits.map((h) => ({ ...h.doc, _score: h.score })),
+      total: result.total,
+      page,
+      totalPages: Math.max(1, Math.ceil(result.total / limit)),
+      facets: result.facets,
+      matchMode: result.matchMode,
+      corrections: result.corrections,
+    });
+  } catch (err) {
+    console.error("GET /api/search error:", err);
+    return res.status(500).json({ message: "Search failed", error: err.message });
+  }
+});
+
+export default router;
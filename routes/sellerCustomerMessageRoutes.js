@@ -2,14 +2,19 @@
 
 import express from "express";
 import dotenv from "dotenv";
-import multer from "multer";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import { ObjectId } from "mongodb";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { attachmentUpload, sendAttachmentError } from "../middlewares/attachmentUpload.js";
+import {
+  storeMessageAttachment,
+  messageAttachmentFields,
+  linkAttachmentToMessage,
+} from "../services/attachments/attachmentService.js";
+import { attachmentUrlFor } from "../services/attachments/signedUrls.js";
+import { CONVERSATION_KINDS, REALTIME_EVENTS } from "../services/realtime/channels.js";
+import { publishConversationEvent } from "../services/realtime/hub.js";
 
 dotenv.config();
 
@@ -28,30 +33,6 @@ const Conversations = db.collection("customerSellerConversations");
 const Messages = db.collection("customerSellerMessages");
 const Users = db.collection("users");
 
-// ====== ESM __dirname FIX ======
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// ====== MULTER STORAGE FOR ATTACHMENTS ======
-const messageUploadsDir = path.join(__dirname, "../uploads/messages");
-
-if (!fs.existsSync(messageUploadsDir)) {
-  fs.mkdirSync(messageUploadsDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, messageUploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname) || "";
-    const base = path.basename(file.originalname, ext).replace(/\s+/g, "_");
-    cb(null, `${Date.now()}_${base}${ext}`);
-  },
-});
-
-const upload = multer({ storage });
-
 // ====== HELPERS ======
 function toObjectId(id) {
   try {
@@ -255,14 +236,15 @@ router.get(
         _id: m._id,
         senderRole: m.senderRole, // "customer" | "seller"
         text: m.text || "",
-        attachmentUrl: m.attachmentUrl || null,
+        attachmentUrl: attachmentUrlFor(m, req.user),
+        attachment: m.attachment || null,
         createdAt: m.createdAt,
         readByCustomer: m.readByCustomer ?? false,
         readBySeller: m.readBySeller ?? false,
       }));
 
       // Mark as read for seller
-      await Messages.updateMany(
+      const readResult = await Messages.updateMany(
         {
           conversationId: convOid,
           readBySeller: { $ne: true },
@@ -280,6 +262,13 @@ router.get(
         }
       );
 
+      if (readResult.modifiedCount) {
+        publishConversationEvent(CONVERSATION_KINDS.CUSTOMER_SELLER, conversation, REALTIME_EVENTS.MESSAGE_READ, {
+          readerRole: "seller",
+          readAt: new Date().toISOString(),
+        });
+      }
+
       return res.json({
         success: true,
         messages,
@@ -305,7 +294,7 @@ router.post(
   "/seller/dashboard/customer-messages/:id",
   authMiddleware,
   requireSeller,
-  upload.single("attachment"),
+  attachmentUpload("attachment"),
   async (req, res) => {
     try {
       const sellerId = req.user.id;
@@ -338,11 +327,18 @@ router.post(
         });
       }
 
-      let attachmentUrl = null;
+      let attachment = null;
       if (file) {
-        const baseUrl = `${req.protocol}://${req.get("host")}`;
-        const relativePath = `/uploads/messages/${file.filename}`;
-        attachmentUrl = `${baseUrl}${relativePath}`;
+        try {
+          attachment = await storeMessageAttachment(db, {
+            file,
+            user: req.user,
+            kind: CONVERSATION_KINDS.CUSTOMER_SELLER,
+            conversationId: convOid,
+          });
+        } catch (err) {
+          return sendAttachmentError(res, err);
+        }
       }
 
       const now = new Date();
@@ -351,13 +347,14 @@ router.post(
         senderRole: "seller",
         senderId: sellerOid,
         text: text || "",
-        attachmentUrl,
+        ...messageAttachmentFields(attachment),
         readByCustomer: false,
         readBySeller: true,
         createdAt: now,
       };
 
       const { insertedId } = await Messages.insertOne(messageDoc);
+      await linkAttachmentToMessage(db, attachment, insertedId);
       const message = { _id: insertedId, ...messageDoc };
 
       await Conversations.updateOne(
@@ -365,7 +362,7 @@ router.post(
         {
           $set: {
             lastMessageText:
-              text || (attachmentUrl ? "📎 Attachment" : ""),
+              text || (attachment ? "📎 Attachment" : ""),
             lastMessageAt: now,
             updatedAt: now,
           },
@@ -375,9 +372,14 @@ router.post(
         }
       );
 
+      publishConversationEvent(CONVERSATION_KINDS.CUSTOMER_SELLER, conversation, REALTIME_EVENTS.MESSAGE_NEW, {
+        message,
+        senderRole: "seller",
+      });
+
       return res.status(201).json({
         success: true,
-        message,
+        message: { ...message, attachmentUrl: attachmentUrlFor(message, req.user) },
       });
     } catch (err) {
       console.error(
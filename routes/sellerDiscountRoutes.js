@@ -6,6 +6,11 @@ import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
 import { authMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
 import { sendAdminPushNotification } from "../utils/adminPush.js";
+import {
+  GROUP_DISCOUNT_KINDS,
+  normalizeGroupDiscountKind,
+  parseGroupDiscountRules,
+} from "../utils/discountEngine.js";
 
 dotenv.config();
 const router = express.Router();
@@ -69,7 +74,12 @@ function normalizeDiscountType(t) {
   const s = String(t || "").toLowerCase();
   if (["percentage", "percent"].includes(s)) return "percentage";
   if (["flat", "fixed"].includes(s)) return "flat";
-  return "";
+  return normalizeGroupDiscountKind(s);
+}
+
+// Group rule fields as stored on the doc (see parseGroupDiscountRules)
+function pickGroupRules(src = {}) {
+  return { bxgy: src.bxgy, tiers: src.tiers, tierType: src.tierType, bundle: src.bundle };
 }
 
 function parseDateOrNull(v) {
@@ -280,17 +290,33 @@ async function validateSellerDiscountPayload({
   endsAt,
   minQty,
   maxQty,
+  rules,
   excludeId,
 }) {
-  const sc = normalizeScope(scope);
-  if (!sc) return { ok: false, message: "Invalid scope (product|category|store)" };
-
   const dt = normalizeDiscountType(discountType);
-  if (!dt) return { ok: false, message: "Invalid discountType (percentage|flat)" };
+  if (!dt) {
+    return { ok: false, message: `Invalid discountType (percentage|flat|${GROUP_DISCOUNT_KINDS.join("|")})` };
+  }
+  const isGroup = GROUP_DISCOUNT_KINDS.includes(dt);
+
+  // Bundles target their own products
+  const sc = dt === "bundle" ? "product" : normalizeScope(scope);
+  if (!sc) return { ok: false, message: "Invalid scope (product|category|store)" };
 
-  const val = safeNumber(value);
-  if (val === null || val <= 0) return { ok: false, message: "value must be a positive number" };
-  if (dt === "percentage" && val > 95) return { ok: false, message: "percentage value too high" };
+  let val = 0;
+  let groupRules = null;
+  if (isGroup) {
+    const r = parseGroupDiscountRules(dt, rules || {});
+    if (!r.ok) return { ok: false, message: r.message };
+    if (r.rules.tierType === "percentage" && r.rules.tiers.some((t) => t.value > 95)) {
+      return { ok: false, message: "percentage value too high" };
+    }
+    groupRules = r.rules;
+  } else {
+    val = safeNumber(value);
+    if (val === null || val <= 0) return { ok: false, message: "value must be a positive number" };
+    if (dt === "percentage" && val > 95) return { ok: false, message: "percentage value too high" };
+  }
 
   const sAt = startsAt ? parseDateOrNull(startsAt) : null;
   const eAt = endsAt ? parseDateOrNull(endsAt) : null;
@@ -311,7 +337,7 @@ async function validateSellerDiscountPayload({
   let productId = null;
   let categoryId = null;
 
-  if (sc === "product") {
+  if (sc === "product" && dt !== "bundle") {
     productId = safeString(target?.productId || target?.id || target?.product);
     if (!productId) return { ok: false, message: "product scope requires target.productId" };
   }
@@ -330,8 +356,13 @@ async function validateSellerDiscountPayload({
   }
 
   match.$and.push({ scope: sc });
-  if (sc === "product") match.$and.push({ productId });
+  if (sc === "product" && productId) match.$and.push({ productId });
   if (sc === "category") match.$and.push({ categoryId });
+  if (dt === "bundle") {
+    match.$and.push({ "bundle.items.productId": { $in: groupRules.bundle.items.map((it) => it.productId) } });
+  }
+  // Group promos only conflict with the same kind; the engine picks between kinds
+  match.$and.push(isGroup ? { discountType: dt } : { discountType: { $nin: GROUP_DISCOUNT_KINDS } });
 
   const candidates = await Discounts.find(match, {
     projection: { _id: 1, startsAt: 1, endsAt: 1 },
@@ -340,7 +371,9 @@ async function validateSellerDiscountPayload({
   for (const c of candidates) {
     if (hasTimeOverlap(sAt, eAt, c.startsAt, c.endsAt)) {
       const msg =
-        sc === "store"
+        dt === "bundle"
+          ? "You already have an overlapping active bundle with these products."
+          : sc === "store"
           ? "You already have an overlapping active store discount."
           : sc === "product"
           ? "You already have an overlapping active discount for this product."
@@ -361,6 +394,7 @@ async function validateSellerDiscountPayload({
       maxQty: mxq,
       productId,
       categoryId,
+      rules: groupRules || { bxgy: null, tiers: null, tierType: null, bundle: null },
     },
   };
 }
@@ -428,6 +462,10 @@ router.get("/", sellerGuard, async (req, res) => {
           code: 1,
           discountType: 1,
           value: 1,
+          bxgy: 1,
+          tiers: 1,
+          tierType: 1,
+          bundle: 1,
           minQty: 1,
           maxQty: 1,
           startsAt: 1,
@@ -526,6 +564,7 @@ router.post("/", sellerGuard, async (req, res) => {
       endsAt: body.endsAt,
       minQty: body.minQty,
       maxQty: body.maxQty,
+      rules: pickGroupRules(body),
     });
 
     if (!v.ok) return res.status(400).json({ success: false, message: v.message });
@@ -561,6 +600,7 @@ router.post("/", sellerGuard, async (req, res) => {
 
       discountType: v.parsed.discountType,
       value: v.parsed.value,
+      ...v.parsed.rules,
 
       minQty: v.parsed.minQty,
       maxQty: v.parsed.maxQty,
@@ -657,6 +697,11 @@ router.put("/:id", sellerGuard, async (req, res) => {
     }
 
     const body = req.body || {};
+    const hasStartsAt = Object.prototype.hasOwnProperty.call(body, "startsAt");
+    const hasEndsAt = Object.prototype.hasOwnProperty.call(body, "endsAt");
+    const hasMinQty = Object.prototype.hasOwnProperty.call(body, "minQty");
+    const hasMaxQty = Object.prototype.hasOwnProperty.call(body, "maxQty");
+
     const v = await validateSellerDiscountPayload({
       sellerId,
       scope: body.scope ?? existing.scope,
@@ -671,6 +716,7 @@ router.put("/:id", sellerGuard, async (req, res) => {
       endsAt: hasEndsAt ? body.endsAt : existing.endsAt,
       minQty: hasMinQty ? body.minQty : existing.minQty,
       maxQty: hasMaxQty ? body.maxQty : existing.maxQty,
+      rules: pickGroupRules({ ...existing, ...body }),
       excludeId: String(id),
     });
 
@@ -687,6 +733,7 @@ router.put("/:id", sellerGuard, async (req, res) => {
         categoryId: v.parsed.categoryId || null,
         discountType: v.parsed.discountType,
         value: v.parsed.value,
+        ...v.parsed.rules,
         minQty: v.parsed.minQty,
         maxQty: v.parsed.maxQty,
         startsAt: v.parsed.startsAt,
@@ -769,6 +816,7 @@ router.patch("/:id/active", sellerGuard, async (req, res) => {
         endsAt: existing.endsAt,
         minQty: existing.minQty,
         maxQty: existing.maxQty,
+        rules: pickGroupRules(existing),
         excludeId: String(id),
       });
       if (!v.ok) return res.status(400).json({ success: false, message: v.message });
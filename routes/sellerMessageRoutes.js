@@ -2,14 +2,20 @@
 
 import express from "express";
 import dotenv from "dotenv";
-import multer from "multer";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import { ObjectId } from "mongodb";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { attachmentUpload, sendAttachmentError } from "../middlewares/attachmentUpload.js";
+import {
+  storeMessageAttachment,
+  messageAttachmentFields,
+  linkAttachmentToMessage,
+} from "../services/attachments/attachmentService.js";
+import { attachmentUrlFor } from "../services/attachments/signedUrls.js";
+import { CONVERSATION_KINDS, REALTIME_EVENTS } from "../services/realtime/channels.js";
+import { publishConversationEvent } from "../services/realtime/hub.js";
+import { noteRequesterMessage } from "../services/support/ticketService.js";
 
 dotenv.config();
 
@@ -25,30 +31,6 @@ const Users = db.collection("users");
 const Orders = db.collection("orders");
 const ProductViews = db.collection("productViews"); // adjust name if different
 
-// ====== ESM __dirname FIX ======
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// ====== MULTER STORAGE FOR ATTACHMENTS ======
-const messageUploadsDir = path.join(__dirname, "../uploads/messages");
-
-if (!fs.existsSync(messageUploadsDir)) {
-  fs.mkdirSync(messageUploadsDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, messageUploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname) || "";
-    const base = path.basename(file.originalname, ext).replace(/\s+/g, "_");
-    cb(null, `${Date.now()}_${base}${ext}`);
-  },
-});
-
-const upload = multer({ storage });
-
 // ====== HELPER: ensure seller role ======
 function requireSeller(req, res, next) {
   const user = req.user;
@@ -184,7 +166,8 @@ router.get(
         _id: m._id,
         senderRole: m.senderRole,
         text: m.text,
-        attachmentUrl: m.attachmentUrl || null,
+        attachmentUrl: attachmentUrlFor(m, req.user),
+        attachment: m.attachment || null,
         createdAt: m.createdAt,
       }));
 
@@ -226,6 +209,13 @@ router.post(
         }
       );
 
+      if (conv.unreadForSeller) {
+        publishConversationEvent(CONVERSATION_KINDS.SELLER_SUPPORT, conv, REALTIME_EVENTS.MESSAGE_READ, {
+          readerRole: "seller",
+          readAt: new Date().toISOString(),
+        });
+      }
+
       // Recompute total unread for this seller
       const agg = await Conversations.aggregate([
         { $match: { sellerId: new ObjectId(sellerId) } },
@@ -318,7 +308,7 @@ router.post(
   "/seller/dashboard/messages/:id",
   authMiddleware,
   requireSeller,
-  upload.single("attachment"),
+  attachmentUpload("attachment"),
   async (req, res) => {
     try {
       const sellerId = req.user.id;
@@ -340,11 +330,18 @@ router.post(
           .json({ message: "Message must contain text or attachment" });
       }
 
-      let attachmentUrl = null;
+      let attachment = null;
       if (req.file) {
-        const baseUrl = `${req.protocol}://${req.get("host")}`;
-        const relativePath = `/uploads/messages/${req.file.filename}`;
-        attachmentUrl = `${baseUrl}${relativePath}`;
+        try {
+          attachment = await storeMessageAttachment(db, {
+            file: req.file,
+            user: req.user,
+            kind: CONVERSATION_KINDS.SELLER_SUPPORT,
+            conversationId: conv._id,
+          });
+        } catch (err) {
+          return sendAttachmentError(res, err);
+        }
       }
 
       const now = new Date();
@@ -354,13 +351,14 @@ router.post(
         sellerId: new ObjectId(sellerId),
         senderRole: "seller",
         text: text || null,
-        attachmentUrl,
+        ...messageAttachmentFields(attachment),
         createdAt: now,
       });
+      await linkAttachmentToMessage(db, attachment, insertResult.insertedId);
 
       // Determine unread field to bump (admin/support/customer)
       const updateFields = {
-        lastMessageText: text || (attachmentUrl ? "📎 Attachment" : ""),
+        lastMessageText: text || (attachment ? "📎 Attachment" : ""),
         lastMessageAt: now,
         updatedAt: now,
       };
@@ -380,16 +378,26 @@ router.post(
       );
 
       const msg = await Messages.findOne({ _id: insertResult.insertedId });
+      const message = {
+        _id: msg._id,
+        senderRole: msg.senderRole,
+        text: msg.text,
+        attachmentId: msg.attachmentId || null,
+        attachment: msg.attachment || null,
+        attachmentUrl: msg.attachmentUrl || null,
+        createdAt: msg.createdAt,
+      };
 
-      return res.json({
-        message: {
-          _id: msg._id,
-          senderRole: msg.senderRole,
-          text: msg.text,
-          attachmentUrl: msg.attachmentUrl || null,
-          createdAt: msg.createdAt,
-        },
+      if (conv.type === "admin" || conv.type === "support") {
+        await noteRequesterMessage(db, { kind: CONVERSATION_KINDS.SELLER_SUPPORT, conversation: conv, text, now });
+      }
+
+      publishConversationEvent(CONVERSATION_KINDS.SELLER_SUPPORT, conv, REALTIME_EVENTS.MESSAGE_NEW, {
+        message,
+        senderRole: "seller",
       });
+
+      return res.json({ message: { ...message, attachmentUrl: attachmentUrlFor(msg, req.user) } });
     } catch (err) {
       console.error("Error sending seller message:", err);
       return res.status(500).json({ message: "Failed to send message" });
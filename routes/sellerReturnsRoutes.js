@@ -10,6 +10,7 @@ import {
   casReturnStatus,
   now,
 } from "./_returnHelpers.js";
+import { restockApprovedReturn } from "../services/inventory/stockMovements.js";
 
 const router = express.Router();
 
@@ -356,6 +357,14 @@ router.patch("/:id/inspection", authMiddleware, async (req, res) => {
       extraPushHistory: { message: `Seller ${decision} inspection.` },
     });
 
+    if (next === RETURN_STATUS.inspection_approved) {
+      try {
+        await restockApprovedReturn(db, { returnDoc: updated, actor });
+      } catch (stockErr) {
+        console.error("[returns][stock] restock failed:", stockErr?.message || stockErr);
+      }
+    }
+
     return res.json({ return: updated });
   } catch (err) {
     console.error("PATCH seller inspection error:", err);
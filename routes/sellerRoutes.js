@@ -5,73 +5,47 @@
 // - Orders, payments, commissions, invoices
 
 import express from "express";
-import multer from "multer";
-import path from "path";
-import fs from "fs";
-import { fileURLToPath } from "url";
 import { ObjectId } from "mongodb";
 import { getDB } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
 import { sendAdminPushNotification } from "../utils/adminPush.js";
+import { listStockMovements } from "../services/inventory/stockMovements.js";
+import { recordProductChange } from "../services/productAlerts/productAlertService.js";
+import { memoryUpload, withUploadErrors, sendUploadError } from "../middlewares/uploadMiddleware.js";
+import { storeUpload, storeUploads, UPLOAD_KINDS } from "../services/storage/uploadService.js";
 
 const router = express.Router();
 
-// ================== FILE SYSTEM HELPERS ==================
+// ================== UPLOADS ==================
+// Files are buffered in memory and written to object storage by services/storage/uploadService.js.
 
-// ESM __dirname fix
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// General seller uploads (logos, avatar, docs)
+const uploadSeller = memoryUpload({ fileSize: UPLOAD_KINDS.SELLER_DOCUMENT.maxBytes, files: 5 });
 
-// Ensure /uploads exist (for seller uploads: logos, avatar, docs)
-const uploadsDir = path.join(__dirname, "..", "uploads");
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Multer storage for general seller uploads (logos, avatar, docs)
-const sellerStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const base = path.basename(file.originalname, ext);
-    const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-    cb(null, `seller-${base}-${unique}${ext}`);
-  },
-});
-
-const uploadSeller = multer({ storage: sellerStorage });
+// Product images
+const uploadProductImages = memoryUpload({ fileSize: UPLOAD_KINDS.PRODUCT_IMAGE.maxBytes, files: 8 });
 
-// Multer storage for product images
-const productImageStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const productImagesDir = path.join(uploadsDir, "products");
-    if (!fs.existsSync(productImagesDir)) {
-      fs.mkdirSync(productImagesDir, { recursive: true });
-    }
-    cb(null, productImagesDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const base = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9]/g, "_");
-    const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-    cb(null, `product-${base}-${unique}${ext}`);
-  },
-});
+// Storage URLs can be relative (/uploads/... in local mode); seller profile URLs have always been absolute.
+function absoluteUploadUrl(req, url) {
+  if (!url || !url.startsWith("/")) return url;
+  return `${req.protocol}://${req.get("host")}${url}`;
+}
 
-const uploadProductImages = multer({
-  storage: productImageStorage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max per file
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ["image/jpeg", "image/png", "image/webp", "image/gif"];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image files are allowed"), false);
-    }
-  },
-});
+/**
+ * Store the uploaded req.files fields named in `kinds` ({ field: UPLOAD_KINDS.X }).
+ * Returns { field: absoluteUrl } for the fields that were sent.
+ */
+async function storeSellerFiles(req, kinds) {
+  const files = req.files || {};
+  const urls = {};
+  for (const [field, kind] of Object.entries(kinds)) {
+    const file = files[field]?.[0];
+    if (!file) continue;
+    const stored = await storeUpload(file, kind);
+    urls[field] = absoluteUploadUrl(req, stored.url);
+  }
+  return urls;
+}
 
 // ================== DB & COLLECTIONS ==================
 
@@ -589,10 +563,12 @@ router.put(
   "/seller/dashboard/profile",
   authMiddleware,
   ensureSeller,
-  uploadSeller.fields([
-    { name: "avatar", maxCount: 1 },
-    { name: "ownerIdDocument", maxCount: 1 },
-  ]),
+  withUploadErrors(
+    uploadSeller.fields([
+      { name: "avatar", maxCount: 1 },
+      { name: "ownerIdDocument", maxCount: 1 },
+    ])
+  ),
   async (req, res) => {
     try {
       const sellerId = resolveSellerId(req);
@@ -620,7 +596,15 @@ router.put(
         avatarRemoved,
       } = req.body;
 
-      const files = req.files || {};
+      let uploaded;
+      try {
+        uploaded = await storeSellerFiles(req, {
+          avatar: UPLOAD_KINDS.SELLER_IMAGE,
+          ownerIdDocument: UPLOAD_KINDS.SELLER_DOCUMENT,
+        });
+      } catch (err) {
+        return sendUploadError(res, err);
+      }
 
       const updateDoc = {
         firstName: firstName || "",
@@ -654,21 +638,15 @@ router.put(
       }
 
       // AVATAR
-      if (files.avatar && files.avatar[0]) {
-        const file = files.avatar[0];
-        updateDoc.avatarUrl = `${req.protocol}://${req.get("host")}/uploads/${
-          file.filename
-        }`;
+      if (uploaded.avatar) {
+        updateDoc.avatarUrl = uploaded.avatar;
       } else if (avatarRemoved === "true") {
         updateDoc.avatarUrl = "";
       }
 
       // OWNER ID DOCUMENT
-      if (files.ownerIdDocument && files.ownerIdDocument[0]) {
-        const file = files.ownerIdDocument[0];
-        updateDoc.ownerIdDocumentUrl = `${req.protocol}://${req.get(
-          "host"
-        )}/uploads/${file.filename}`;
+      if (uploaded.ownerIdDocument) {
+        updateDoc.ownerIdDocumentUrl = uploaded.ownerIdDocument;
       }
 
       const oid = toObjectIdSafe(sellerId);
@@ -805,13 +783,15 @@ router.put(
   "/seller/dashboard/shop-profile",
   authMiddleware,
   ensureSeller,
-  uploadSeller.fields([
-    { name: "logo", maxCount: 1 },
-    { name: "panDocument", maxCount: 1 },
-    { name: "registrationCertificate", maxCount: 1 },
-    { name: "ownerIdDocument", maxCount: 1 },
-    { name: "bankCheque", maxCount: 1 },
-  ]),
+  withUploadErrors(
+    uploadSeller.fields([
+      { name: "logo", maxCount: 1 },
+      { name: "panDocument", maxCount: 1 },
+      { name: "registrationCertificate", maxCount: 1 },
+      { name: "ownerIdDocument", maxCount: 1 },
+      { name: "bankCheque", maxCount: 1 },
+    ])
+  ),
   async (req, res) => {
     try {
       const sellerId = resolveSellerId(req);
@@ -867,7 +847,18 @@ router.put(
         logoRemoved,
       } = req.body;
 
-      const files = req.files || {};
+      let uploaded;
+      try {
+        uploaded = await storeSellerFiles(req, {
+          logo: UPLOAD_KINDS.SELLER_IMAGE,
+          panDocument: UPLOAD_KINDS.SELLER_DOCUMENT,
+          registrationCertificate: UPLOAD_KINDS.SELLER_DOCUMENT,
+          ownerIdDocument: UPLOAD_KINDS.SELLER_DOCUMENT,
+          bankCheque: UPLOAD_KINDS.SELLER_DOCUMENT,
+        });
+      } catch (err) {
+        return sendUploadError(res, err);
+      }
 
       const updateDoc = {
         // Store identity
@@ -927,43 +918,30 @@ router.put(
       }
 
       // LOGO
-      if (files.logo && files.logo[0]) {
-        const file = files.logo[0];
-        updateDoc.logoUrl = `${req.protocol}://${req.get("host")}/uploads/${file.filename}`;
+      if (uploaded.logo) {
+        updateDoc.logoUrl = uploaded.logo;
       } else if (logoRemoved === "true") {
         updateDoc.logoUrl = "";
       }
 
       // PAN DOCUMENT
-      if (files.panDocument && files.panDocument[0]) {
-        const file = files.panDocument[0];
-        updateDoc.panDocumentUrl = `${req.protocol}://${req.get(
-          "host"
-        )}/uploads/${file.filename}`;
+      if (uploaded.panDocument) {
+        updateDoc.panDocumentUrl = uploaded.panDocument;
       }
 
       // REGISTRATION CERTIFICATE
-      if (files.registrationCertificate && files.registrationCertificate[0]) {
-        const file = files.registrationCertificate[0];
-        updateDoc.registrationCertificateUrl = `${req.protocol}://${req.get(
-          "host"
-        )}/uploads/${file.filename}`;
+      if (uploaded.registrationCertificate) {
+        updateDoc.registrationCertificateUrl = uploaded.registrationCertificate;
       }
 
       // OWNER ID DOCUMENT
-      if (files.ownerIdDocument && files.ownerIdDocument[0]) {
-        const file = files.ownerIdDocument[0];
-        updateDoc.ownerIdDocumentUrl = `${req.protocol}://${req.get(
-          "host"
-        )}/uploads/${file.filename}`;
+      if (uploaded.ownerIdDocument) {
+        updateDoc.ownerIdDocumentUrl = uploaded.ownerIdDocument;
       }
 
       // BANK CHEQUE / PROOF
-      if (files.bankCheque && files.bankCheque[0]) {
-        const file = files.bankCheque[0];
-        updateDoc.bankChequeUrl = `${req.protocol}://${req.get(
-          "host"
-        )}/uploads/${file.filename}`;
+      if (uploaded.bankCheque) {
+        updateDoc.bankChequeUrl = uploaded.bankCheque;
       }
 
       const oid = toObjectIdSafe(sellerId);
@@ -1193,20 +1171,27 @@ router.post(
   "/seller/uploads/images",
   authMiddleware,
   ensureSeller,
-  uploadProductImages.array("images", 8),
+  withUploadErrors(uploadProductImages.array("images", 8)),
   async (req, res) => {
     try {
       if (!req.files || req.files.length === 0) {
         return res.status(400).json({ message: "No images uploaded" });
       }
 
-      const imageUrls = req.files.map(
-        (file) => `/uploads/products/${file.filename}`
-      );
+      let stored;
+      try {
+        stored = await storeUploads(req.files, UPLOAD_KINDS.PRODUCT_IMAGE);
+      } catch (err) {
+        return sendUploadError(res, err);
+      }
+
+      const imageUrls = stored.map((img) => img.url);
 
       res.json({
         success: true,
         images: imageUrls,
+        // Resized WebP copies, same order as `images`: { url, thumb, medium, large }
+        variants: stored.map((img) => ({ url: img.url, ...img.variants })),
         message: `${imageUrls.length} image(s) uploaded successfully`,
       });
     } catch (err) {
@@ -1750,6 +1735,13 @@ router.put("/seller/products/:id", authMiddleware, ensureSeller, async (req, res
       return res.status(404).json({ message: "Product not found" });
     }
 
+    // Queue back-in-stock / price-drop alerts; sending happens in the product alerts job
+    try {
+      await recordProductChange(await collectionsReady, existingProduct, { ...existingProduct, ...updateDoc });
+    } catch (alertErr) {
+      console.error("Product alert recording failed:", alertErr);
+    }
+
     res.json({ message: "➜ Product updated successfully" });
   } catch (err) {
     console.error("Update product error:", err);
@@ -1782,6 +1774,46 @@ router.delete(
   }
 );
 
+// Stock movement audit trail for one of the seller's products
+router.get(
+  "/seller/products/:id/stock-movements",
+  authMiddleware,
+  ensureSeller,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid product id" });
+      }
+
+      const product = await Products.findOne(
+        { _id: new ObjectId(id), userId: req.user.id },
+        { projection: { _id: 1, quantity: 1, variants: 1 } }
+      );
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      const database = await collectionsReady;
+      const movements = await listStockMovements(database, {
+        productId: id,
+        limit: req.query.limit,
+        skip: req.query.skip,
+      });
+
+      res.json({
+        productId: id,
+        quantity: product.quantity,
+        variants: (product.variants || []).map((v) => ({ sku: v?.sku, quantity: v?.quantity })),
+        movements,
+      });
+    } catch (err) {
+      console.error("Stock movements error:", err);
+      res.status(500).json({ message: "Error loading stock movements" });
+    }
+  }
+);
+
 // ➜ UPDATED: Inventory includes brandName + brandLogoUrl from DB
 router.get("/seller/inventory", authMiddleware, ensureSeller, async (req, res) => {
   try {
@@ -1,7 +1,9 @@
 import express from "express";
 import crypto from "crypto";
 import { ObjectId } from "mongodb";
+import { getDB } from "../dbConfig.js";
 import { RETURN_STATUS, canTransitionReturnStatus } from "../utils/returnsStatus.js";
+import { postInvoiceAllocation, postOrderPaymentCaptured } from "../services/finance/ledgerPosting.js";
 
 /* ===============================
    ENV / TOKEN
@@ -600,6 +602,16 @@ export default function shippingCallbackRoutesFactory({ Orders, Invoices }) {
 
           await Invoices.updateOne({ _id: latestCodInvoice._id }, { $set: invPatch });
         }
+
+        // Finance ledger: the courier handed over the COD cash
+        try {
+          const ledgerDb = await getDB();
+          await postOrderPaymentCaptured(ledgerDb, order, { postedAt: at });
+          const settled = latestCodInvoice ? await Invoices.findOne({ _id: latestCodInvoice._id }) : null;
+          if (settled?.status === "paid") await postInvoiceAllocation(ledgerDb, settled, { postedAt: at });
+        } catch (e) {
+          console.error("[shipping][cod-settled-callback] finance posting failed:", e?.message || e);
+        }
       }
 
       // Re-check if all segments are delivered/completed -> mark order complete (COD-safe)
@@ -10,7 +10,7 @@ import {
   isSellerMiddleware,
   isActiveMiddleware,
 } from "../middlewares/authMiddleware.js";
-import { ensureAdminRole } from "../middlewares/staffGuard.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { buildSellerSummaryResponse, FOLLOW_TZ } from "../utils/storeFollowUtils.js";
 
 dotenv.config();
@@ -596,7 +596,7 @@ router.get(
 router.get(
   "/admin/followers",
   authMiddleware,
-  ensureAdminRole(),
+  requirePermission("sellers.read"),
   async (req, res) => {
     try {
       const {
@@ -660,7 +660,7 @@ router.get(
 router.get(
   "/admin/sellers/:sellerId/followers",
   authMiddleware,
-  ensureAdminRole(),
+  requirePermission("sellers.read"),
   async (req, res) => {
     try {
       const sellerId = normalizeId(req.params.sellerId);
@@ -4,6 +4,7 @@ import dotenv from "dotenv";
 
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
 
 dotenv.config();
 
@@ -34,7 +35,7 @@ const buildSellerMatch = (sellerId) => {
   return { sellerId: String(sellerId) };
 };
 
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", authMiddleware, rateLimit("reviewWrite"), async (req, res) => {
   try {
     const user = req.user;
     if (!user || user.role !== "customer") {
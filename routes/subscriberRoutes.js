@@ -2,6 +2,7 @@ import express from "express";
 import dotenv from "dotenv";
 
 import { client } from "../dbConfig.js";
+import { rateLimit, clientIp } from "../middlewares/rateLimit.js";
 
 dotenv.config();
 
@@ -22,7 +23,7 @@ const isValidEmail = (value) =>
  * POST /api/subscribers
  * Public endpoint to store newsletter subscribers.
  */
-router.post("/subscribers", async (req, res) => {
+router.post("/subscribers", rateLimit("subscribe"), async (req, res) => {
   try {
     const email = normalizeEmail(req.body?.email);
     if (!email || !isValidEmail(email)) {
@@ -33,10 +34,7 @@ router.post("/subscribers", async (req, res) => {
     const consent = Boolean(req.body?.consent ?? true);
     const now = new Date();
     const userAgent = String(req.headers["user-agent"] || "");
-    const ip =
-      String(req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
-      req.ip ||
-      "";
+    const ip = clientIp(req);
 
     const subscribers = getSubscribersCollection();
 
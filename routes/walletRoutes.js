@@ -0,0 +1,109 @@
+// routes/walletRoutes.js
+// Customer wallet (store credit) and gift cards (services/wallet). Mounted at /api/wallet.
+//
+//   GET  /                        { balance, currency }
+//   GET  /transactions            ?page=&limit=
+//   POST /gift-cards/redeem       { code }                      credits the whole card to the wallet
+//   POST /gift-cards              { amount, recipient?: { name, email }, message? }
+//                                 creates a pending card; pay it with
+//                                 POST /api/payment/esewa/initiate { giftCardId }
+//   GET  /gift-cards              cards I bought (codes shown once paid)
+//
+// Spending the wallet happens at checkout: POST /api/orders { walletAmount | useWallet }.
+
+import express from "express";
+import { ObjectId } from "mongodb";
+
+import { client } from "../dbConfig.js";
+import { authMiddleware, isCustomerMiddleware, isActiveMiddleware } from "../middlewares/authMiddleware.js";
+import { idempotency } from "../middlewares/idempotency.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import { safeInt } from "../utils/query.js";
+import { getWallet, listWalletTransactions } from "../services/wallet/walletService.js";
+import { redeemGiftCard, createGiftCardPurchase, giftCardView } from "../services/wallet/giftCardService.js";
+import { GIFT_CARD_STATUS } from "../services/wallet/wallet.js";
+
+const router = express.Router();
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const GiftCards = db.collection("giftCards");
+
+const customer = [authMiddleware, isActiveMiddleware, isCustomerMiddleware];
+
+function userIdOf(req) {
+  return String(req.user?._id || req.user?.id || "");
+}
+
+function sendWalletError(res, err, label) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Server error" });
+}
+
+router.get("/", customer, async (req, res) => {
+  try {
+    const wallet = await getWallet(db, userIdOf(req));
+    return res.json({ ok: true, balance: wallet.balance, currency: wallet.currency, updatedAt: wallet.updatedAt });
+  } catch (err) {
+    return sendWalletError(res, err, "GET /api/wallet");
+  }
+});
+
+router.get("/transactions", customer, async (req, res) => {
+  try {
+    const page = safeInt(req.query.page, 1, 1, 10000);
+    const limit = safeInt(req.query.limit, 20, 1, 100);
+    const out = await listWalletTransactions(db, userIdOf(req), { page, limit });
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return sendWalletError(res, err, "GET /api/wallet/transactions");
+  }
+});
+
+router.post("/gift-cards/redeem", customer, rateLimit("giftCardRedeem"), async (req, res) => {
+  try {
+    const code = String(req.body?.code || "").trim();
+    if (!code) return res.status(400).json({ message: "code is required" });
+
+    const out = await redeemGiftCard(db, { code, userId: userIdOf(req) });
+    return res.json({
+      ok: true,
+      giftCard: giftCardView(out.card),
+      amount: out.transaction.amount,
+      balance: out.balance,
+    });
+  } catch (err) {
+    return sendWalletError(res, err, "POST /api/wallet/gift-cards/redeem");
+  }
+});
+
+router.post("/gift-cards", customer, idempotency("giftcards.purchase"), async (req, res) => {
+  try {
+    const card = await createGiftCardPurchase(db, {
+      userId: userIdOf(req),
+      amount: req.body?.amount,
+      recipient: req.body?.recipient,
+      message: req.body?.message,
+    });
+    return res.status(201).json({ ok: true, giftCard: giftCardView(card) });
+  } catch (err) {
+    return sendWalletError(res, err, "POST /api/wallet/gift-cards");
+  }
+});
+
+router.get("/gift-cards", customer, async (req, res) => {
+  try {
+    const cards = await GiftCards.find({ purchasedBy: new ObjectId(userIdOf(req)) })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .toArray();
+    const paid = new Set([GIFT_CARD_STATUS.ACTIVE, GIFT_CARD_STATUS.REDEEMED]);
+    return res.json({ ok: true, items: cards.map((c) => giftCardView(c, { revealCode: paid.has(c.status) })) });
+  } catch (err) {
+    return sendWalletError(res, err, "GET /api/wallet/gift-cards");
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from "express";
 import { ObjectId } from "mongodb";
 import { client } from "../dbConfig.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { syncWishlistAlerts } from "../services/productAlerts/productAlertService.js";
 
 const router = express.Router();
 const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
@@ -167,6 +168,11 @@ router.post("/add", authMiddleware, async (req, res) => {
       ...getCustomerFilter(customerId)
     });
 
+    // Back-in-stock / price-drop alerts follow the wishlist
+    await syncWishlistAlerts(db, { userId: customerId, productId, wishlisted: true }).catch((err) =>
+      console.error("Wishlist alert sync failed:", err)
+    );
+
     res.json({ message: "Product added to wishlist", productId });
   } catch (error) {
     console.error("Error adding to wishlist:", error);
@@ -189,6 +195,9 @@ router.delete("/remove/:productId", authMiddleware, async (req, res) => {
         $set: { updatedAt: new Date() }
       }
     );
+    await syncWishlistAlerts(db, { userId: customerId, productId, wishlisted: false }).catch((err) =>
+      console.error("Wishlist alert sync failed:", err)
+    );
 
     res.json({ message: "Product removed from wishlist", productId });
   } catch (error) {
@@ -0,0 +1,114 @@
+// scripts/backfillLedger.js
+//
+// Replays historical orders, invoices, payouts and refunds into gl_ledger_entries through the
+// posting rules (services/finance/postingRules.js), dated when each event happened:
+//
+//   paid orders          payment_captured + platform_discount
+//   paid invoices        invoice_issued + commission_earned
+//   paid seller payouts  payout_paid (per invoice)
+//   succeeded refunds    refund_issued (cash refund methods; wallet refunds are already posted)
+//
+//   node scripts/backfillLedger.js [--dry-run] [--since=YYYY-MM-DD] [--into-closed-days]
+//
+// Events dated into a closed business day or settlement period are posted on the next open
+// day (postTransactionGroup) unless --into-closed-days is given; that writes them on their own
+// dates and changes closed days, so run `npm run finance:drift` afterwards.
+//
+// Safe to re-run: group ids are fixed per source document and existing groups are skipped.
+// Invoices the older inline postings already allocated (invoice_paid_*, cod_completed_*) are
+// left as they are.
+
+import { client } from "../dbConfig.js";
+import { LEDGER_EVENTS } from "../services/finance/postingRules.js";
+import {
+  postInvoiceAllocation,
+  postLedgerEvent,
+  postOrderPaymentCaptured,
+  postPayoutPaid,
+} from "../services/finance/ledgerPosting.js";
+import { CASH_REFUND_METHODS } from "../services/refunds/refundExecution.js";
+import { commissionReversalFor } from "../services/refunds/refundExecutor.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const SINCE_ARG = process.argv.find((a) => a.startsWith("--since="));
+const SINCE = SINCE_ARG ? new Date(SINCE_ARG.slice("--since=".length)) : null;
+const INTO_CLOSED_DAYS = process.argv.includes("--into-closed-days");
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const options = { dryRun: DRY_RUN, ignorePeriodLocks: INTO_CLOSED_DAYS };
+
+const totals = {};
+
+function tally(kind, out) {
+  const t = (totals[kind] ||= { documents: 0, posted: 0, skipped: 0, failed: 0 });
+  t.documents += 1;
+  t.posted += out.posted.length;
+  t.skipped += out.skipped.length;
+  t.failed += out.failed.length;
+}
+
+function since(filter) {
+  return SINCE ? { $and: [filter, { createdAt: { $gte: SINCE } }] } : filter;
+}
+
+async function run() {
+  if (SINCE && Number.isNaN(SINCE.getTime())) throw new Error("--since must be a date (YYYY-MM-DD)");
+
+  if (!DRY_RUN) {
+    await db.collection("gl_ledger_entries").createIndex(
+      { transactionGroupId: 1, accountKey: 1, dc: 1, amount: 1, sourceRef: 1 },
+      { name: "uniq_txn_leg", unique: true, partialFilterExpression: { transactionGroupId: { $type: "string" } } }
+    );
+  }
+
+  const orders = db
+    .collection("orders")
+    .find(since({ $or: [{ paymentStatus: "paid" }, { "payment.status": "paid" }] }))
+    .sort({ _id: 1 });
+  for await (const order of orders) {
+    tally("orders", await postOrderPaymentCaptured(db, order, options));
+  }
+
+  const invoices = db.collection("invoices").find(since({ status: "paid" })).sort({ _id: 1 });
+  for await (const invoice of invoices) {
+    tally("invoices", await postInvoiceAllocation(db, invoice, options));
+  }
+
+  const payouts = db.collection("invoices").find(since({ "commissionPayout.status": "paid" })).sort({ _id: 1 });
+  for await (const invoice of payouts) {
+    const out = await postPayoutPaid(db, [invoice], {
+      ...options,
+      batchId: invoice.commissionPayout?.batchId || null,
+      reference: invoice.commissionPayout?.ref || "",
+    });
+    tally("payouts", out);
+  }
+
+  const refunds = db
+    .collection("refunds")
+    .find(since({ status: "succeeded", method: { $in: [...CASH_REFUND_METHODS] } }))
+    .sort({ _id: 1 });
+  for await (const refund of refunds) {
+    const out = await postLedgerEvent(
+      db,
+      LEDGER_EVENTS.REFUND_ISSUED,
+      { refund, commissionReversal: await commissionReversalFor(db, refund) },
+      options
+    );
+    tally("refunds", out);
+  }
+
+  for (const [kind, t] of Object.entries(totals)) {
+    // eslint-disable-next-line no-console
+    console.log(
+      `${DRY_RUN ? "[dry run] " : ""}${kind}: ${t.documents} document(s), ${t.posted} group(s) posted, ${t.skipped} already posted, ${t.failed} rejected.`
+    );
+  }
+  process.exit(Object.values(totals).some((t) => t.failed) ? 1 : 0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Ledger backfill failed:", err);
+  process.exit(1);
+});
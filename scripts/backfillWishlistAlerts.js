@@ -0,0 +1,47 @@
+// scripts/backfillWishlistAlerts.js
+//
+// Creates the wishlist-backed back-in-stock / price-drop alerts (services/productAlerts) for
+// products that were wishlisted before alerts existed. New wishlist adds create them as they go.
+//
+//   node scripts/backfillWishlistAlerts.js [--dry-run]
+//
+// Safe to re-run: alerts are upserted per customer, product and type.
+
+import { ObjectId } from "mongodb";
+
+import { client } from "../dbConfig.js";
+import { syncWishlistAlerts } from "../services/productAlerts/productAlertService.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Wishlists = db.collection("wishlists");
+
+async function run() {
+  let wishlists = 0;
+  let products = 0;
+
+  const cursor = Wishlists.find({}, { projection: { customerId: 1, userId: 1, products: 1 } });
+  for await (const w of cursor) {
+    const userId = String(w.customerId || w.userId || "");
+    if (!ObjectId.isValid(userId)) continue;
+    wishlists += 1;
+
+    for (const item of Array.isArray(w.products) ? w.products : []) {
+      const productId = String(item?.productId || item || "");
+      if (!ObjectId.isValid(productId)) continue;
+      products += 1;
+      if (!DRY_RUN) await syncWishlistAlerts(db, { userId, productId, wishlisted: true });
+    }
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(`${DRY_RUN ? "[dry run] " : ""}Wishlist alerts: ${products} product(s) across ${wishlists} wishlist(s).`);
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Wishlist alert backfill failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,20 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const AccountTokens = db.collection("accountTokens");
+
+async function run() {
+  await AccountTokens.createIndex({ tokenHash: 1 }, { name: "uniq_account_token", unique: true });
+  await AccountTokens.createIndex({ userId: 1, purpose: 1, createdAt: -1 }, { name: "account_tokens_user" });
+  // Keep used/expired rows for a day (audit), then let Mongo drop them.
+  await AccountTokens.createIndex({ expiresAt: 1 }, { name: "account_tokens_ttl", expireAfterSeconds: 86400 });
+  // eslint-disable-next-line no-console
+  console.log("Account token indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create account token indexes:", err);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Attachments = db.collection("messageAttachments");
+
+async function run() {
+  await Attachments.createIndex(
+    { "conversation.kind": 1, "conversation.id": 1, createdAt: -1 },
+    { name: "attachment_conversation" }
+  );
+  await Attachments.createIndex({ messageId: 1 }, { name: "attachment_message" });
+  // Duplicate / known-bad file lookups
+  await Attachments.createIndex({ sha256: 1 }, { name: "attachment_sha256" });
+  // Legacy files moved by scripts/migrateMessageAttachments.js
+  await Attachments.createIndex({ legacyUrl: 1 }, { name: "uniq_attachment_legacy_url", unique: true, sparse: true });
+  // eslint-disable-next-line no-console
+  console.log("Message attachment indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create message attachment indexes:", err);
+  process.exit(1);
+});
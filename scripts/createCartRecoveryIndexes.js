@@ -0,0 +1,27 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const CartRecoveries = db.collection("cartRecoveries");
+const Carts = db.collection("carts");
+const Discounts = db.collection("discounts");
+
+async function run() {
+  // One episode per idle spell of a cart
+  await CartRecoveries.createIndex({ cartId: 1, cartUpdatedAt: 1 }, { name: "uniq_cart_recovery_spell", unique: true });
+  await CartRecoveries.createIndex({ status: 1, nextStepAt: 1 }, { name: "cart_recovery_due" });
+  await CartRecoveries.createIndex({ userId: 1, createdAt: -1 }, { name: "cart_recovery_user" });
+  await CartRecoveries.createIndex({ createdAt: -1 }, { name: "cart_recovery_created" });
+
+  // Detection scans idle carts by last change
+  await Carts.createIndex({ updatedAt: 1 }, { name: "cart_updated_at" });
+  await Discounts.createIndex({ cartRecoveryId: 1 }, { name: "discount_cart_recovery", sparse: true });
+  // eslint-disable-next-line no-console
+  console.log("Cart recovery indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create cart recovery indexes:", err);
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+import { client } from "../dbConfig.js";
+import { GUEST_CART_TTL_DAYS } from "../services/cart/guestCart.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Carts = db.collection("carts");
+const Users = db.collection("users");
+
+async function run() {
+  await Carts.createIndex({ guestId: 1 }, { name: "uniq_guest_cart", unique: true, partialFilterExpression: { guestId: { $type: "string" } } });
+  // Guest carts go away GUEST_CART_TTL_DAYS after they were started (account carts never expire)
+  await Carts.createIndex(
+    { createdAt: 1 },
+    {
+      name: "guest_cart_ttl",
+      expireAfterSeconds: GUEST_CART_TTL_DAYS * 24 * 60 * 60,
+      partialFilterExpression: { guestId: { $type: "string" } },
+    }
+  );
+  await Users.createIndex({ guest: 1, createdAt: -1 }, { name: "guest_customers", partialFilterExpression: { guest: true } });
+  // eslint-disable-next-line no-console
+  console.log("Guest cart indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create guest cart indexes:", err);
+  process.exit(1);
+});
@@ -0,0 +1,18 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const IdempotencyKeys = db.collection("idempotencyKeys");
+
+async function run() {
+  // _id is "<scope>:<userId>:<key>", so uniqueness comes for free; only expiry needs an index.
+  await IdempotencyKeys.createIndex({ expiresAt: 1 }, { name: "idempotency_keys_ttl", expireAfterSeconds: 0 });
+  // eslint-disable-next-line no-console
+  console.log("Idempotency indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create idempotency indexes:", err);
+  process.exit(1);
+});
@@ -0,0 +1,23 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Journals = db.collection("gl_journals");
+
+async function run() {
+  await Journals.createIndex({ journalNumber: 1 }, { name: "uniq_journal_number", unique: true });
+  await Journals.createIndex({ status: 1, createdAt: -1 }, { name: "journal_status_created" });
+  // One live reversal per transaction group (checked in journalService)
+  await Journals.createIndex(
+    { "reversalOf.transactionGroupId": 1, status: 1 },
+    { name: "journal_reversal_of", partialFilterExpression: { "reversalOf.transactionGroupId": { $type: "string" } } }
+  );
+  // eslint-disable-next-line no-console
+  console.log("Journal indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create journal indexes:", err);
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Alerts = db.collection("productAlerts");
+const Events = db.collection("productAlertEvents");
+
+async function run() {
+  // One subscription per customer, product and alert type
+  await Alerts.createIndex({ userId: 1, productId: 1, type: 1 }, { name: "uniq_product_alert", unique: true });
+  // Dispatch pages subscribers of one product change by _id
+  await Alerts.createIndex({ productId: 1, type: 1, status: 1, _id: 1 }, { name: "product_alert_fanout" });
+  await Alerts.createIndex({ userId: 1, createdAt: -1 }, { name: "product_alert_user" });
+
+  await Events.createIndex({ status: 1, createdAt: 1 }, { name: "product_alert_event_queue" });
+  // Repeated edits coalesce into the one pending event per product and type
+  await Events.createIndex(
+    { productId: 1, type: 1 },
+    { name: "uniq_pending_product_alert_event", unique: true, partialFilterExpression: { status: "pending" } }
+  );
+  // eslint-disable-next-line no-console
+  console.log("Product alert indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create product alert indexes:", err);
+  process.exit(1);
+});
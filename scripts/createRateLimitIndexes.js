@@ -0,0 +1,21 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const RateLimits = db.collection("rateLimits");
+const LoginLockouts = db.collection("loginLockouts");
+
+async function run() {
+  // Window counters are only read for the current and previous window.
+  await RateLimits.createIndex({ expiresAt: 1 }, { name: "rate_limits_ttl", expireAfterSeconds: 0 });
+  await LoginLockouts.createIndex({ lockedUntil: -1 }, { name: "login_lockouts_locked" });
+  await LoginLockouts.createIndex({ expiresAt: 1 }, { name: "login_lockouts_ttl", expireAfterSeconds: 0 });
+  // eslint-disable-next-line no-console
+  console.log("Rate limit indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create rate limit indexes:", err);
+  process.exit(1);
+});
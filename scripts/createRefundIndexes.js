@@ -0,0 +1,23 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Refunds = db.collection("refunds");
+
+async function run() {
+  // Refund worker: due automated refunds (creation, retries, status polls).
+  await Refunds.createIndex(
+    { "automation.enabled": 1, status: 1, "automation.nextAttemptAt": 1 },
+    { name: "refunds_automation_due" }
+  );
+  await Refunds.createIndex({ idempotencyKey: 1 }, { name: "refunds_idempotency", unique: true, sparse: true });
+  await Refunds.createIndex({ returnId: 1, status: 1 }, { name: "refunds_return" });
+  // eslint-disable-next-line no-console
+  console.log("Refund indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create refund indexes:", err);
+  process.exit(1);
+});
@@ -0,0 +1,19 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Sessions = db.collection("sessions");
+
+async function run() {
+  await Sessions.createIndex({ userId: 1, revokedAt: 1, lastUsedAt: -1 }, { name: "sessions_user" });
+  // Mongo drops sessions once the refresh token can no longer be used.
+  await Sessions.createIndex({ expiresAt: 1 }, { name: "sessions_ttl", expireAfterSeconds: 0 });
+  // eslint-disable-next-line no-console
+  console.log("Session indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create session indexes:", err);
+  process.exit(1);
+});
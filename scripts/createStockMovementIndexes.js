@@ -0,0 +1,19 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const StockMovements = db.collection("stockMovements");
+
+async function run() {
+  await StockMovements.createIndex({ dedupeKey: 1 }, { name: "uniq_stock_movement", unique: true });
+  await StockMovements.createIndex({ productId: 1, createdAt: -1 }, { name: "stock_movements_product" });
+  await StockMovements.createIndex({ refType: 1, refId: 1 }, { name: "stock_movements_ref" });
+  // eslint-disable-next-line no-console
+  console.log("Stock movement indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create stock movement indexes:", err);
+  process.exit(1);
+});
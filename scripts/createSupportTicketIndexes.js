@@ -0,0 +1,34 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Tickets = db.collection("supportTickets");
+const CannedReplies = db.collection("supportCannedReplies");
+
+async function run() {
+  await Tickets.createIndex({ ticketNumber: 1 }, { name: "uniq_ticket_number", unique: true });
+  // Queue: status + assignee, sorted by SLA deadline
+  await Tickets.createIndex(
+    { status: 1, assigneeId: 1, "sla.firstResponseDueAt": 1, "sla.resolutionDueAt": 1 },
+    { name: "ticket_queue" }
+  );
+  // Requester messages find their ticket by conversation
+  await Tickets.createIndex({ "conversation.kind": 1, "conversation.id": 1, status: 1 }, { name: "ticket_conversation" });
+  await Tickets.createIndex({ "requester.id": 1, createdAt: -1 }, { name: "ticket_requester" });
+  await Tickets.createIndex({ orderId: 1 }, { name: "ticket_order", sparse: true });
+  await Tickets.createIndex({ returnId: 1 }, { name: "ticket_return", sparse: true });
+  await Tickets.createIndex({ tags: 1 }, { name: "ticket_tags" });
+
+  await CannedReplies.createIndex(
+    { shortcut: 1 },
+    { name: "uniq_canned_reply_shortcut", unique: true, partialFilterExpression: { shortcut: { $type: "string" } } }
+  );
+  // eslint-disable-next-line no-console
+  console.log("Support ticket indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create support ticket indexes:", err);
+  process.exit(1);
+});
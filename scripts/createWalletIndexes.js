@@ -0,0 +1,29 @@
+import { client } from "../dbConfig.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Wallets = db.collection("wallets");
+const WalletTransactions = db.collection("walletTransactions");
+const GiftCards = db.collection("giftCards");
+
+async function run() {
+  await Wallets.createIndex({ userId: 1 }, { name: "uniq_wallet_user", unique: true });
+
+  // One row per movement: refund, gift card, order payment / reversal
+  await WalletTransactions.createIndex({ idempotencyKey: 1 }, { name: "uniq_wallet_txn_key", unique: true });
+  await WalletTransactions.createIndex({ userId: 1, createdAt: -1 }, { name: "wallet_txn_user" });
+  await WalletTransactions.createIndex({ orderId: 1 }, { name: "wallet_txn_order", sparse: true });
+
+  await GiftCards.createIndex({ code: 1 }, { name: "uniq_gift_card_code", unique: true });
+  await GiftCards.createIndex({ status: 1, createdAt: -1 }, { name: "gift_card_status" });
+  await GiftCards.createIndex({ purchasedBy: 1, createdAt: -1 }, { name: "gift_card_purchaser", sparse: true });
+  await GiftCards.createIndex({ "esewa.transactionUuid": 1 }, { name: "gift_card_esewa_txn", sparse: true });
+  // eslint-disable-next-line no-console
+  console.log("Wallet and gift card indexes created.");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to create wallet indexes:", err);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+// scripts/detectSnapshotDrift.js
+//
+// Compares the stored daily account snapshots of closed days with a fresh computation from
+// gl_ledger_entries (services/finance/snapshotDrift.js) and records the result in
+// gl_snapshot_drift_checks. Drifted days are read from the ledger by the financial reports
+// until they are re-opened and closed again (/api/admin/finance/periods).
+//
+//   node scripts/detectSnapshotDrift.js [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--days=7]
+//
+// Defaults to the 7 business days up to yesterday. Exits 1 when a day drifted, so it can run
+// from cron after the daily close.
+
+import { client } from "../dbConfig.js";
+import { parseDriftRange } from "../services/finance/periodLocks.js";
+import { checkSnapshotDriftRange } from "../services/finance/snapshotDrift.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+function arg(name) {
+  const a = process.argv.find((x) => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : undefined;
+}
+
+async function run() {
+  const range = parseDriftRange({ from: arg("from"), to: arg("to"), days: arg("days") }, { maxDays: 366 });
+  if (range.error) throw new Error(range.error);
+
+  const { checked, drifted, checks } = await checkSnapshotDriftRange(db, range);
+  for (const c of checks.filter((x) => !x.ok)) {
+    // eslint-disable-next-line no-console
+    console.log(
+      `${c.businessDate}: ${c.driftedCount} account(s) drifted`,
+      c.drifted.slice(0, 5).map((d) => `${d.accountKey} in ${d.diff.inflow} out ${d.diff.outflow}`)
+    );
+  }
+  // eslint-disable-next-line no-console
+  console.log(`Snapshot drift ${range.from}..${range.to}: ${checked} day(s) checked, ${drifted.length} drifted.`);
+  process.exit(drifted.length ? 1 : 0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Snapshot drift check failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+// scripts/migrateMessageAttachments.js
+//
+// Moves message attachments uploaded before attachments were private
+// (public /uploads/messages/<file>) into the private object storage and points the messages
+// at a `messageAttachments` record instead of the public URL.
+//
+//   node scripts/migrateMessageAttachments.js [--dry-run] [--keep-legacy]
+//
+// Files that aren't an allowed type, are missing, or are flagged by the scanner are left
+// where they are and listed at the end. Safe to re-run: migrated messages have an attachmentId.
+
+import fs from "fs";
+import path from "path";
+import { ObjectId } from "mongodb";
+
+import { client } from "../dbConfig.js";
+import { ALLOWED_TYPES, sniffMime, sanitizeFileName } from "../services/attachments/attachmentPolicy.js";
+import { scanBuffer, SCAN_STATUS } from "../services/attachments/scanner.js";
+import { attachmentStorage } from "../services/attachments/attachmentService.js";
+import { contentKey } from "../services/storage/objectStorage.js";
+import { CONVERSATION_KINDS } from "../services/realtime/channels.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const KEEP_LEGACY = process.argv.includes("--keep-legacy");
+const LEGACY_PREFIX = "/uploads/messages/";
+const LEGACY_DIR = path.resolve("uploads/messages");
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Attachments = db.collection("messageAttachments");
+const SupportConversations = db.collection("customerSupportConversations");
+
+const SOURCES = [
+  { collection: "messages", kind: CONVERSATION_KINDS.SELLER_SUPPORT },
+  { collection: "customerSellerMessages", kind: CONVERSATION_KINDS.CUSTOMER_SELLER },
+  { collection: "customerSupportMessages", kind: CONVERSATION_KINDS.CUSTOMER_SUPPORT },
+];
+
+function uploaderRoleOf(msg) {
+  const role = String(msg.senderRole || msg.fromRole || msg.senderType || "").toLowerCase();
+  if (role === "seller") return "seller";
+  if (!role || role === "customer") return "customer";
+  return "staff";
+}
+
+async function conversationIdOf(kind, msg) {
+  if (kind !== CONVERSATION_KINDS.CUSTOMER_SUPPORT) return msg.conversationId || null;
+  const conv = await SupportConversations.findOne({ customerId: msg.customerId }, { projection: { _id: 1 } });
+  return conv?._id || null;
+}
+
+async function migrateMessage({ collection, kind }, msg, skipped) {
+  const legacyUrl = msg.attachmentUrl;
+  const fileName = path.basename(legacyUrl.slice(LEGACY_PREFIX.length));
+  const legacyPath = path.join(LEGACY_DIR, fileName);
+
+  const buffer = await fs.promises.readFile(legacyPath).catch(() => null);
+  if (!buffer?.length) return skipped.push({ legacyUrl, reason: "file missing" });
+
+  const mime = sniffMime(buffer);
+  if (!mime || !ALLOWED_TYPES[mime]) return skipped.push({ legacyUrl, reason: "type not allowed" });
+
+  const scan = await scanBuffer(buffer);
+  if (scan.status === SCAN_STATUS.INFECTED || scan.status === SCAN_STATUS.ERROR) {
+    return skipped.push({ legacyUrl, reason: `scan ${scan.status}${scan.signature ? `: ${scan.signature}` : ""}` });
+  }
+
+  const conversationId = await conversationIdOf(kind, msg);
+  if (!conversationId) return skipped.push({ legacyUrl, reason: "conversation not found" });
+
+  if (DRY_RUN) return true;
+
+  const storage = attachmentStorage();
+  const { key, sha256 } = contentKey(buffer, { prefix: "attachments", ext: ALLOWED_TYPES[mime].ext });
+  await storage.put(key, buffer, { contentType: mime });
+
+  const attachment = {
+    _id: new ObjectId(),
+    conversation: { kind, id: conversationId },
+    uploaderId: msg.senderId || (uploaderRoleOf(msg) === "customer" ? msg.customerId || null : null),
+    uploaderRole: uploaderRoleOf(msg),
+    name: sanitizeFileName(fileName, mime),
+    mime,
+    size: buffer.length,
+    sha256,
+    storage: storage.name,
+    storageKey: key,
+    scan: { status: scan.status, signature: scan.signature, engine: scan.engine, scannedAt: scan.scannedAt },
+    messageId: msg._id,
+    legacyUrl,
+    createdAt: msg.createdAt instanceof Date ? msg.createdAt : new Date(),
+  };
+  await Attachments.insertOne(attachment);
+
+  await db.collection(collection).updateOne(
+    { _id: msg._id, attachmentId: { $in: [null] } },
+    {
+      $set: {
+        attachmentId: attachment._id,
+        attachment: { name: attachment.name, mime, size: attachment.size },
+        attachmentUrl: null,
+      },
+    }
+  );
+
+  if (!KEEP_LEGACY) await fs.promises.unlink(legacyPath).catch(() => {});
+  return true;
+}
+
+async function run() {
+  const skipped = [];
+
+  for (const source of SOURCES) {
+    const cursor = db.collection(source.collection).find({
+      attachmentUrl: { $regex: `^${LEGACY_PREFIX.replace(/\//g, "\\/")}` },
+      attachmentId: { $in: [null] },
+    });
+
+    let migrated = 0;
+    for await (const msg of cursor) {
+      if ((await migrateMessage(source, msg, skipped)) === true) migrated += 1;
+    }
+    // eslint-disable-next-line no-console
+    console.log(`${source.collection}: ${migrated} attachment(s) ${DRY_RUN ? "would be " : ""}migrated`);
+  }
+
+  if (skipped.length) {
+    // eslint-disable-next-line no-console
+    console.log(`Left in place (${skipped.length}):`);
+    // eslint-disable-next-line no-console
+    for (const s of skipped) console.log(`  ${s.legacyUrl} - ${s.reason}`);
+  }
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to migrate message attachments:", err);
+  process.exit(1);
+});
@@ -0,0 +1,187 @@
+// scripts/migrateUploadsToStorage.js
+//
+// Moves files written to the local uploads/ folder before the storage layer existed into
+// the configured object storage (services/storage), under content-hash keys, and rewrites the
+// URLs that point at them. Product images get their WebP variants on the way.
+//
+//   node scripts/migrateUploadsToStorage.js [--dry-run] [--keep-legacy]
+//
+// Legacy layout -> upload kind:
+//   uploads/products/<file>      PRODUCT_IMAGE
+//   uploads/brand-logos/<file>   BRAND_LOGO
+//   uploads/<file>               SELLER_IMAGE or SELLER_DOCUMENT (by sniffed type)
+// uploads/messages is handled by scripts/migrateMessageAttachments.js and uploads/reports
+// holds generated exports; both are left alone.
+//
+// Every moved file is recorded in `uploadMigrations` ({ legacyPath, key, url }), so re-runs
+// only pick up new files and still rewrite any references that were missed.
+
+import fs from "fs";
+import path from "path";
+
+import { client } from "../dbConfig.js";
+import { sniffMime } from "../services/attachments/attachmentPolicy.js";
+import { storeUpload, UPLOAD_KINDS } from "../services/storage/uploadService.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const KEEP_LEGACY = process.argv.includes("--keep-legacy");
+const LEGACY_DIR = path.resolve("uploads");
+const SKIP_DIRS = new Set(["messages", "reports"]);
+// Files already written by the storage layer (local mode shares the uploads/ folder)
+const CONTENT_KEY_RE = /(^|\/)[0-9a-f]{2}\/[0-9a-f]{64}(\.[a-z]+|\/)/;
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Migrations = db.collection("uploadMigrations");
+
+// Fields holding upload URLs: a string, an array of strings, or an array of { image }.
+const TARGETS = [
+  { collection: "products", fields: { image: "image", images: "images" } },
+  { collection: "brands", fields: { logoUrl: "logoUrl" } },
+  {
+    collection: "users",
+    fields: {
+      avatarUrl: "avatarUrl",
+      logoUrl: "logoUrl",
+      panDocumentUrl: "panDocumentUrl",
+      registrationCertificateUrl: "registrationCertificateUrl",
+      ownerIdDocumentUrl: "ownerIdDocumentUrl",
+      bankChequeUrl: "bankChequeUrl",
+    },
+  },
+  { collection: "orders", fields: { items: "items.image" } },
+];
+
+function kindFor(rel, buffer) {
+  const [top, ...rest] = rel.split("/");
+  if (top === "products" && rest.length === 1) return UPLOAD_KINDS.PRODUCT_IMAGE;
+  if (top === "brand-logos" && rest.length === 1) return UPLOAD_KINDS.BRAND_LOGO;
+  if (!rest.length) return sniffMime(buffer) === "application/pdf" ? UPLOAD_KINDS.SELLER_DOCUMENT : UPLOAD_KINDS.SELLER_IMAGE;
+  return null;
+}
+
+async function* walk(dir, rel = "") {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!rel && SKIP_DIRS.has(entry.name)) continue;
+      yield* walk(path.join(dir, entry.name), childRel);
+    } else if (entry.isFile() && !entry.name.startsWith(".")) {
+      yield childRel;
+    }
+  }
+}
+
+/**
+ * New URL for `value` if it points at a migrated file. A relative storage URL keeps the
+ * host the old value had (seller URLs were stored absolute).
+ */
+function rewriteUrl(value, moved) {
+  if (typeof value !== "string") return value;
+  const m = value.match(/^(.*?)\/?(uploads\/[^?#]+)$/);
+  const url = m && moved.get(m[2]);
+  if (!url) return value;
+  return url.startsWith("/") ? `${m[1]}${url}` : url;
+}
+
+function rewrite(value, moved) {
+  if (Array.isArray(value)) return value.map((v) => rewrite(v, moved));
+  if (value && typeof value === "object" && typeof value.image === "string") {
+    return { ...value, image: rewriteUrl(value.image, moved) };
+  }
+  return rewriteUrl(value, moved);
+}
+
+async function moveFiles(moved, skipped) {
+  const done = [];
+  for await (const rel of walk(LEGACY_DIR)) {
+    if (CONTENT_KEY_RE.test(rel)) continue;
+    const legacyPath = `uploads/${rel}`;
+    if (moved.has(legacyPath)) continue;
+
+    const buffer = await fs.promises.readFile(path.join(LEGACY_DIR, rel));
+    const kind = kindFor(rel, buffer);
+    if (!kind) {
+      skipped.push({ legacyPath, reason: "unknown folder" });
+      continue;
+    }
+    if (DRY_RUN) {
+      moved.set(legacyPath, `(${kind.prefix})`);
+      done.push(rel);
+      continue;
+    }
+
+    try {
+      // Legacy files predate the size caps; keep them rather than drop them.
+      const stored = await storeUpload({ buffer, originalname: path.basename(rel) }, { ...kind, maxBytes: Infinity });
+      await Migrations.updateOne(
+        { legacyPath },
+        { $setOnInsert: { legacyPath, key: stored.key, url: stored.url, variants: stored.variants, migratedAt: new Date() } },
+        { upsert: true }
+      );
+      moved.set(legacyPath, stored.url);
+      done.push(rel);
+    } catch (err) {
+      skipped.push({ legacyPath, reason: err.code === "UPLOAD_TYPE_NOT_ALLOWED" ? "type not allowed" : err.message });
+    }
+  }
+  return done;
+}
+
+async function rewriteReferences(moved) {
+  for (const { collection, fields } of TARGETS) {
+    const col = db.collection(collection);
+    const cursor = col.find(
+      { $or: Object.values(fields).map((p) => ({ [p]: { $regex: "uploads/" } })) },
+      { projection: Object.fromEntries(Object.keys(fields).map((f) => [f, 1])) }
+    );
+
+    let updated = 0;
+    for await (const doc of cursor) {
+      const $set = {};
+      for (const field of Object.keys(fields)) {
+        const next = rewrite(doc[field], moved);
+        if (JSON.stringify(next) !== JSON.stringify(doc[field])) $set[field] = next;
+      }
+      if (!Object.keys($set).length) continue;
+      if (!DRY_RUN) await col.updateOne({ _id: doc._id }, { $set });
+      updated += 1;
+    }
+    // eslint-disable-next-line no-console
+    console.log(`${collection}: ${updated} document(s) ${DRY_RUN ? "would be " : ""}updated`);
+  }
+}
+
+async function run() {
+  await Migrations.createIndex({ legacyPath: 1 }, { name: "uniq_legacy_path", unique: true });
+
+  const moved = new Map();
+  for (const m of await Migrations.find({}, { projection: { legacyPath: 1, url: 1 } }).toArray()) {
+    moved.set(m.legacyPath, m.url);
+  }
+
+  const skipped = [];
+  const done = await moveFiles(moved, skipped);
+  // eslint-disable-next-line no-console
+  console.log(`${done.length} file(s) ${DRY_RUN ? "would be " : ""}moved to ${process.env.UPLOAD_STORAGE_MODE || "local"} storage`);
+
+  await rewriteReferences(moved);
+
+  if (!DRY_RUN && !KEEP_LEGACY) {
+    for (const rel of done) await fs.promises.unlink(path.join(LEGACY_DIR, rel)).catch(() => {});
+  }
+
+  if (skipped.length) {
+    // eslint-disable-next-line no-console
+    console.log(`Left in place (${skipped.length}):`);
+    // eslint-disable-next-line no-console
+    for (const s of skipped) console.log(`  ${s.legacyPath} - ${s.reason}`);
+  }
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to migrate uploads:", err);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+// scripts/seedChartOfAccounts.js
+//
+// Creates the gl_accounts indexes and default accounts (services/finance/chartOfAccounts.js),
+// then opens a sub-ledger for every seller:<id> / wallet:<userId> already in gl_ledger_entries.
+//
+//   node scripts/seedChartOfAccounts.js [--dry-run]
+//
+// Insert-only: accounts renamed or closed through /api/admin/finance/accounts are kept on
+// re-run. Ledger keys the chart can't create by itself are listed so finance can add them.
+
+import { client } from "../dbConfig.js";
+import { DEFAULT_ACCOUNTS, autoAccountsFor } from "../services/finance/chartOfAccounts.js";
+import { ensureAutoAccounts } from "../services/finance/chartOfAccountsService.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Accounts = db.collection("gl_accounts");
+
+async function run() {
+  if (!DRY_RUN) {
+    await Accounts.createIndex({ key: 1 }, { name: "uniq_gl_account_key", unique: true });
+    await Accounts.createIndex({ parentKey: 1, key: 1 }, { name: "gl_account_children" });
+    await Accounts.createIndex({ subLedger: 1, key: 1 }, { name: "gl_account_sub_ledger" });
+  }
+
+  const ledgerKeys = await db.collection("gl_ledger_entries").distinct("accountKey");
+  const wanted = [...DEFAULT_ACCOUNTS.map((a) => a.key), ...ledgerKeys.map(String)];
+
+  const docs = autoAccountsFor(wanted);
+  const existing = new Set((await Accounts.find({}, { projection: { key: 1 } }).toArray()).map((a) => a.key));
+  const created = docs.filter((d) => !existing.has(d.key));
+  if (!DRY_RUN) await ensureAutoAccounts(db, wanted);
+
+  const covered = new Set([...existing, ...docs.map((d) => d.key)]);
+  const unknown = ledgerKeys.map(String).filter((k) => !covered.has(k));
+
+  // eslint-disable-next-line no-console
+  console.log(`${DRY_RUN ? "[dry run] " : ""}${created.length} account(s) created, ${existing.size} already present.`);
+  if (unknown.length) {
+    // eslint-disable-next-line no-console
+    console.log(`Ledger accounts missing from the chart (create them to keep posting): ${unknown.join(", ")}`);
+  }
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to seed the chart of accounts:", err);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+import { client } from "../dbConfig.js";
+import { SYSTEM_ROLES } from "../services/auth/permissions.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+const Roles = db.collection("roles");
+
+async function run() {
+  await Roles.createIndex({ key: 1 }, { name: "uniq_role_key", unique: true });
+
+  // Insert-only: edits made through /api/admin/roles are kept on re-run.
+  const now = new Date();
+  for (const [key, role] of Object.entries(SYSTEM_ROLES)) {
+    await Roles.updateOne(
+      { key },
+      {
+        $setOnInsert: {
+          key,
+          name: role.name,
+          description: "",
+          permissions: role.permissions,
+          system: true,
+          createdAt: now,
+          updatedAt: now,
+          createdBy: null,
+          updatedBy: null,
+        },
+      },
+      { upsert: true }
+    );
+  }
+  // eslint-disable-next-line no-console
+  console.log(`Roles index created, ${Object.keys(SYSTEM_ROLES).length} system roles seeded.`);
+  process.exit(0);
+}
+
+run().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("Failed to seed roles:", err);
+  process.exit(1);
+});
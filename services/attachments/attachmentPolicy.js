@@ -0,0 +1,113 @@
+// services/attachments/attachmentPolicy.js (ESM)
+//
+// What may be attached to a message. Pure, no I/O.
+//
+// The declared Content-Type and file extension come from the client and are ignored:
+// the type is sniffed from the first bytes and must be on ALLOWED_TYPES. SVG and HTML are
+// deliberately absent (they execute script when opened from our origin).
+
+export const ALLOWED_TYPES = Object.freeze({
+  "image/jpeg": { ext: ".jpg", inline: true },
+  "image/png": { ext: ".png", inline: true },
+  "image/gif": { ext: ".gif", inline: true },
+  "image/webp": { ext: ".webp", inline: true },
+  "application/pdf": { ext: ".pdf", inline: false },
+});
+
+const MB = 1024 * 1024;
+
+function capFromEnv(name, fallbackMb) {
+  const n = Number(process.env[name]);
+  return (Number.isFinite(n) && n > 0 ? n : fallbackMb) * MB;
+}
+
+// Per uploader role. Staff covers every staff role.
+export const MAX_ATTACHMENT_BYTES = Object.freeze({
+  customer: capFromEnv("ATTACHMENT_MAX_MB_CUSTOMER", 5),
+  seller: capFromEnv("ATTACHMENT_MAX_MB_SELLER", 10),
+  staff: capFromEnv("ATTACHMENT_MAX_MB_STAFF", 15),
+});
+
+// Multer's hard limit; the per-role cap is applied after the upload is buffered.
+export const ATTACHMENT_UPLOAD_LIMIT = Math.max(...Object.values(MAX_ATTACHMENT_BYTES));
+
+export function attachmentError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+export function uploaderClass(role) {
+  const r = String(role || "").toLowerCase();
+  if (r === "seller") return "seller";
+  if (!r || r === "customer" || r === "user") return "customer";
+  return "staff";
+}
+
+export function maxAttachmentBytes(role) {
+  return MAX_ATTACHMENT_BYTES[uploaderClass(role)];
+}
+
+function startsWith(buf, bytes, offset = 0) {
+  if (!buf || buf.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => buf[offset + i] === b);
+}
+
+/**
+ * MIME type from magic bytes, or null when unrecognised.
+ */
+export function sniffMime(buffer) {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38]) && (buffer[4] === 0x37 || buffer[4] === 0x39)) return "image/gif";
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return "image/webp";
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return "application/pdf";
+  return null;
+}
+
+/**
+ * Display name for downloads: no path, no control characters, sane length,
+ * extension forced to match the sniffed type.
+ */
+export function sanitizeFileName(originalName, mime) {
+  const ext = ALLOWED_TYPES[mime]?.ext || "";
+  const base = String(originalName || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.[^.]*$/, "")
+    .replace(/[\u0000-\u001f\u007f"<>:|?*]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 100);
+  return `${base || "attachment"}${ext}`;
+}
+
+/**
+ * Validate an uploaded file for `role`.
+ * Returns { mime, ext, inline, size, name } or throws with statusCode 413 / 415.
+ */
+export function checkAttachment({ buffer, originalName, role }) {
+  const size = buffer?.length || 0;
+  if (!size) throw attachmentError("Attachment is empty", "ATTACHMENT_EMPTY");
+
+  const max = maxAttachmentBytes(role);
+  if (size > max) {
+    const e = attachmentError(
+      `Attachment is larger than ${Math.round(max / MB)} MB`,
+      "ATTACHMENT_TOO_LARGE",
+      413
+    );
+    e.maxBytes = max;
+    throw e;
+  }
+
+  const mime = sniffMime(buffer);
+  if (!mime || !ALLOWED_TYPES[mime]) {
+    const e = attachmentError("Only JPEG, PNG, GIF, WebP images and PDF files can be attached", "ATTACHMENT_TYPE_NOT_ALLOWED", 415);
+    e.allowed = Object.keys(ALLOWED_TYPES);
+    throw e;
+  }
+
+  return { mime, ext: ALLOWED_TYPES[mime].ext, inline: ALLOWED_TYPES[mime].inline, size, name: sanitizeFileName(originalName, mime) };
+}
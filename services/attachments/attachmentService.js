@@ -0,0 +1,125 @@
+// services/attachments/attachmentService.js (ESM)
+//
+// Private message attachments.
+//
+// Files go to the private object storage (services/storage/objectStorage.js) under
+// attachments/<content hash> and are described in `messageAttachments`:
+//   { conversation: { kind, id }, uploaderId, uploaderRole, name, mime, size, sha256,
+//     storage, storageKey, scan: { status, signature, engine, scannedAt }, messageId, createdAt }
+//
+// Messages reference them by `attachmentId` and get their `attachmentUrl` signed per viewer
+// (./signedUrls.js). Uploads whose message never got written keep messageId: null.
+//
+// Requires MongoDB indexes (scripts/createAttachmentIndexes.js).
+
+import path from "path";
+import { ObjectId } from "mongodb";
+
+import { checkAttachment, attachmentError, uploaderClass } from "./attachmentPolicy.js";
+import { scanBuffer, scanAllowsStorage, SCAN_STATUS } from "./scanner.js";
+import { ensureRolesFresh, userHasPermission } from "../auth/roles.js";
+import { canJoinConversation } from "../realtime/channels.js";
+import { loadConversation } from "../realtime/conversations.js";
+import { getStorage, contentKey, STORAGE_VISIBILITY } from "../storage/objectStorage.js";
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  const s = String(id).trim();
+  return ObjectId.isValid(s) ? new ObjectId(s) : null;
+}
+
+/**
+ * Key in the private storage. Records without `storage` predate the storage layer and
+ * were keyed relative to private_uploads/attachments.
+ */
+export function attachmentStorageKey(attachment) {
+  const key = String(attachment?.storageKey || "");
+  return attachment?.storage ? key : path.posix.join("attachments", key);
+}
+
+export function attachmentStorage() {
+  return getStorage(STORAGE_VISIBILITY.PRIVATE);
+}
+
+/**
+ * Validate, scan and store an uploaded file (multer memoryStorage) for a conversation.
+ * Throws with statusCode 413/415 (policy), 422 (infected) or 503 (scanner down).
+ */
+export async function storeMessageAttachment(db, { file, user, kind, conversationId }) {
+  const checked = checkAttachment({ buffer: file?.buffer, originalName: file?.originalname, role: user?.role });
+  const uploaderId = String(user?._id || user?.id || "");
+
+  const scan = await scanBuffer(file.buffer);
+  if (!scanAllowsStorage(scan)) {
+    console.warn("[ATTACHMENT] upload rejected by scanner", {
+      uploaderId,
+      kind,
+      conversationId: String(conversationId || ""),
+      status: scan.status,
+      signature: scan.signature,
+      error: scan.error,
+    });
+    if (scan.status === SCAN_STATUS.INFECTED) {
+      throw attachmentError("This file was flagged by the virus scanner and was not sent", "ATTACHMENT_INFECTED", 422);
+    }
+    throw attachmentError("Attachments are temporarily unavailable, try again shortly", "ATTACHMENT_SCAN_UNAVAILABLE", 503);
+  }
+
+  const storage = attachmentStorage();
+  const { key, sha256 } = contentKey(file.buffer, { prefix: "attachments", ext: checked.ext });
+  await storage.put(key, file.buffer, { contentType: checked.mime });
+
+  const doc = {
+    _id: new ObjectId(),
+    conversation: { kind, id: toObjectId(conversationId) },
+    uploaderId: toObjectId(uploaderId),
+    uploaderRole: uploaderClass(user?.role),
+    name: checked.name,
+    mime: checked.mime,
+    size: checked.size,
+    sha256,
+    storage: storage.name,
+    storageKey: key,
+    scan: { status: scan.status, signature: scan.signature, engine: scan.engine, scannedAt: scan.scannedAt },
+    messageId: null,
+    createdAt: new Date(),
+  };
+  await db.collection("messageAttachments").insertOne(doc);
+
+  return doc;
+}
+
+/**
+ * Fields to put on a message document for an attachment (or none).
+ */
+export function messageAttachmentFields(attachment) {
+  if (!attachment) return { attachmentId: null, attachment: null, attachmentUrl: null };
+  return {
+    attachmentId: attachment._id,
+    attachment: { name: attachment.name, mime: attachment.mime, size: attachment.size },
+    attachmentUrl: null,
+  };
+}
+
+export async function linkAttachmentToMessage(db, attachment, messageId) {
+  if (!attachment?._id) return;
+  await db.collection("messageAttachments").updateOne({ _id: attachment._id }, { $set: { messageId } });
+}
+
+export async function findAttachment(db, id) {
+  const _id = toObjectId(id);
+  return _id ? db.collection("messageAttachments").findOne({ _id }) : null;
+}
+
+/**
+ * Is `user` ({ _id|id, role }) still a participant of the attachment's conversation?
+ */
+export async function canAccessAttachment(db, attachment, user) {
+  if (!attachment?.conversation?.id || !user) return false;
+  await ensureRolesFresh(db);
+  const conv = await loadConversation(db, attachment.conversation.kind, attachment.conversation.id);
+  return canJoinConversation(user, attachment.conversation.kind, conv, {
+    hasPermission: (p) => userHasPermission(user, p),
+  });
+}
@@ -0,0 +1,106 @@
+// services/attachments/scanner.js (ESM)
+//
+// Malware scanning hook for uploads. ATTACHMENT_SCANNER picks the engine:
+//   none   (default) nothing is scanned, attachments are recorded as scan "skipped"
+//   clamd  ClamAV daemon over TCP INSTREAM (CLAMD_HOST, CLAMD_PORT=3310, CLAMD_TIMEOUT_MS)
+//   stub   ClamAV-style local stub that only knows the EICAR test file (tests, dev)
+// Other engines can be added with registerScanner(name, fn).
+//
+// A scanner resolves to { status: "clean" | "infected", signature? }; a throw or timeout
+// counts as "error". Infected files are always rejected; errors are rejected too unless
+// ATTACHMENT_SCAN_FAIL_OPEN=1.
+
+import net from "net";
+
+export const SCAN_STATUS = Object.freeze({
+  CLEAN: "clean",
+  INFECTED: "infected",
+  SKIPPED: "skipped",
+  ERROR: "error",
+});
+
+// Standard antivirus test string (not a virus).
+export const EICAR_SIGNATURE =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+async function stubScanner(buffer) {
+  const found = buffer.includes(Buffer.from(EICAR_SIGNATURE, "latin1"));
+  return found ? { status: SCAN_STATUS.INFECTED, signature: "Eicar-Test-Signature" } : { status: SCAN_STATUS.CLEAN };
+}
+
+function clamdScanner(buffer) {
+  const host = process.env.CLAMD_HOST || "127.0.0.1";
+  const port = Number(process.env.CLAMD_PORT || 3310);
+  const timeoutMs = Number(process.env.CLAMD_TIMEOUT_MS || 15000);
+  const CHUNK = 64 * 1024;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const chunks = [];
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("clamd timeout")));
+    socket.on("error", reject);
+    socket.on("data", (d) => chunks.push(d));
+    socket.on("end", () => {
+      const reply = Buffer.concat(chunks).toString("utf8").replace(/\0/g, "").trim();
+      // "stream: OK" | "stream: <Signature> FOUND" | "... ERROR"
+      if (/:\s*OK$/.test(reply)) return resolve({ status: SCAN_STATUS.CLEAN });
+      const found = reply.match(/:\s*(.+)\s+FOUND$/);
+      if (found) return resolve({ status: SCAN_STATUS.INFECTED, signature: found[1] });
+      return reject(new Error(`clamd: ${reply || "empty reply"}`));
+    });
+
+    socket.on("connect", () => {
+      socket.write("zINSTREAM\0");
+      for (let i = 0; i < buffer.length; i += CHUNK) {
+        const part = buffer.subarray(i, i + CHUNK);
+        const len = Buffer.alloc(4);
+        len.writeUInt32BE(part.length);
+        socket.write(len);
+        socket.write(part);
+      }
+      socket.end(Buffer.alloc(4));
+    });
+  });
+}
+
+const scanners = new Map([
+  ["stub", stubScanner],
+  ["clamd", clamdScanner],
+]);
+
+export function registerScanner(name, fn) {
+  scanners.set(String(name), fn);
+}
+
+export function activeScannerName() {
+  return String(process.env.ATTACHMENT_SCANNER || "none").toLowerCase();
+}
+
+/**
+ * Scan a buffer with the configured engine.
+ * Returns { status, signature, engine, scannedAt, error? }; never throws.
+ */
+export async function scanBuffer(buffer, { engine = activeScannerName() } = {}) {
+  const scannedAt = new Date();
+  if (engine === "none") return { status: SCAN_STATUS.SKIPPED, signature: null, engine, scannedAt };
+
+  const fn = scanners.get(engine);
+  if (!fn) {
+    return { status: SCAN_STATUS.ERROR, signature: null, engine, scannedAt, error: `Unknown scanner "${engine}"` };
+  }
+  try {
+    const r = await fn(buffer);
+    return { status: r?.status === SCAN_STATUS.INFECTED ? SCAN_STATUS.INFECTED : SCAN_STATUS.CLEAN, signature: r?.signature || null, engine, scannedAt };
+  } catch (err) {
+    return { status: SCAN_STATUS.ERROR, signature: null, engine, scannedAt, error: err?.message || String(err) };
+  }
+}
+
+/**
+ * Should an upload with this scan result be stored?
+ */
+export function scanAllowsStorage(result) {
+  if (result.status === SCAN_STATUS.INFECTED) return false;
+  if (result.status === SCAN_STATUS.ERROR) return process.env.ATTACHMENT_SCAN_FAIL_OPEN === "1";
+  return true;
+}
@@ -0,0 +1,65 @@
+// services/attachments/signedUrls.js (ESM)
+//
+// Short-lived download links for private attachments:
+//   /api/attachments/<id>?uid=<viewer>&exp=<unix seconds>&sig=<hmac>
+//
+// The signature binds the attachment, the viewer and the expiry. The download route
+// re-checks that the viewer still belongs to the conversation, so a link stops working
+// when someone loses access even before it expires. <img> tags can't send Authorization,
+// hence a URL rather than a header.
+
+import crypto from "crypto";
+
+export const ATTACHMENT_URL_TTL_SECONDS = Math.max(
+  60,
+  Number(process.env.ATTACHMENT_URL_TTL_SECONDS || 15 * 60)
+);
+
+const DOWNLOAD_BASE = "/api/attachments";
+
+function secret() {
+  return process.env.ATTACHMENT_URL_SECRET || `${process.env.JWT_SECRET || "mysecretkey"}:attachments`;
+}
+
+function hmac(attachmentId, uid, exp) {
+  return crypto
+    .createHmac("sha256", secret())
+    .update(`${attachmentId}.${uid}.${exp}`)
+    .digest("base64url");
+}
+
+export function signAttachmentUrl(attachmentId, viewerId, { now = Date.now(), ttlSeconds = ATTACHMENT_URL_TTL_SECONDS } = {}) {
+  const id = String(attachmentId);
+  const uid = String(viewerId || "");
+  const exp = Math.floor(now / 1000) + ttlSeconds;
+  const sig = hmac(id, uid, exp);
+  return {
+    url: `${DOWNLOAD_BASE}/${id}?uid=${encodeURIComponent(uid)}&exp=${exp}&sig=${sig}`,
+    expiresAt: new Date(exp * 1000),
+  };
+}
+
+/**
+ * Returns "ok" | "expired" | "invalid".
+ */
+export function verifyAttachmentSignature({ attachmentId, uid, exp, sig }, { now = Date.now() } = {}) {
+  const expNum = Number(exp);
+  if (!attachmentId || !uid || !Number.isInteger(expNum) || !sig) return "invalid";
+
+  const expected = Buffer.from(hmac(String(attachmentId), String(uid), expNum));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return "invalid";
+
+  return expNum * 1000 < now ? "expired" : "ok";
+}
+
+/**
+ * attachmentUrl to show `viewer` for a message: a fresh signed link for private
+ * attachments, the stored public URL for messages sent before attachments were private.
+ */
+export function attachmentUrlFor(message, viewer) {
+  if (message?.attachmentId) {
+    return signAttachmentUrl(message.attachmentId, viewer?._id || viewer?.id).url;
+  }
+  return message?.attachmentUrl || null;
+}
@@ -0,0 +1,117 @@
+// services/auth/accountTokens.js (ESM)
+//
+// Single-use account tokens for emailed links (password reset, email verification).
+//
+// - The raw token only ever leaves in the email; `accountTokens` stores sha256(token).
+// - Issuing a new token for a purpose invalidates the user's older unused ones.
+// - consumeAccountToken() marks the row used atomically, so a link works exactly once.
+//
+// Requires MongoDB indexes (scripts/createAccountTokenIndexes.js):
+// db.accountTokens.createIndex({ tokenHash: 1 }, { name: "uniq_account_token", unique: true })
+// db.accountTokens.createIndex({ userId: 1, purpose: 1, createdAt: -1 }, { name: "account_tokens_user" })
+// db.accountTokens.createIndex({ expiresAt: 1 }, { name: "account_tokens_ttl", expireAfterSeconds: 86400 })
+
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+
+export const ACCOUNT_TOKEN_PURPOSES = Object.freeze({
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFICATION: "email_verification",
+});
+
+export const ACCOUNT_TOKEN_TTL_MS = Object.freeze({
+  [ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET]: 30 * 60 * 1000,
+  [ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION]: 48 * 60 * 60 * 1000,
+});
+
+// Minimum gap between two emails of the same purpose for one user.
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  try {
+    const s = String(id).trim();
+    return ObjectId.isValid(s) ? new ObjectId(s) : null;
+  } catch {
+    return null;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function tokenError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+/**
+ * Issue a token for (user, purpose).
+ * Returns { token, expiresAt } or { throttled: true } when one was sent within the cooldown.
+ */
+export async function issueAccountToken(db, { userId, purpose, email = null, meta = null }) {
+  const uid = toObjectId(userId);
+  if (!uid) throw tokenError("Invalid user", "INVALID_USER");
+  if (!ACCOUNT_TOKEN_TTL_MS[purpose]) throw tokenError("Unknown token purpose", "INVALID_PURPOSE");
+
+  const Tokens = db.collection("accountTokens");
+  const now = new Date();
+
+  const recent = await Tokens.findOne(
+    { userId: uid, purpose, createdAt: { $gt: new Date(now.getTime() - RESEND_COOLDOWN_MS) } },
+    { projection: { _id: 1 } }
+  );
+  if (recent) return { throttled: true };
+
+  // Older links for the same purpose stop working once a new one is sent.
+  await Tokens.updateMany(
+    { userId: uid, purpose, usedAt: null },
+    { $set: { usedAt: now, invalidatedReason: "superseded" } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(now.getTime() + ACCOUNT_TOKEN_TTL_MS[purpose]);
+
+  await Tokens.insertOne({
+    tokenHash: hashToken(token),
+    userId: uid,
+    purpose,
+    email: email ? String(email).toLowerCase() : null,
+    meta: meta || null,
+    createdAt: now,
+    expiresAt,
+    usedAt: null,
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Atomically consume a token. Throws 400 INVALID_TOKEN for unknown, used or expired tokens.
+ * Returns the token row (userId, email, meta).
+ */
+export async function consumeAccountToken(db, { token, purpose }) {
+  const raw = String(token || "").trim();
+  if (!/^[a-f0-9]{64}$/i.test(raw)) throw tokenError("Invalid or expired link", "INVALID_TOKEN");
+
+  const now = new Date();
+  const r = await db.collection("accountTokens").findOneAndUpdate(
+    { tokenHash: hashToken(raw), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+
+  if (!r?.value) throw tokenError("Invalid or expired link", "INVALID_TOKEN");
+  return r.value;
+}
+
+export function describeTtl(purpose) {
+  const ms = ACCOUNT_TOKEN_TTL_MS[purpose] || 0;
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 120) return `${minutes} minutes`;
+  return `${Math.round(minutes / 60)} hours`;
+}
@@ -0,0 +1,216 @@
+// services/auth/permissions.js (ESM)
+//
+// Permission catalogue + built-in staff roles. Pure, no DB access.
+//
+// Routes ask for a permission (middlewares/requirePermission.js), never for a role.
+// A role is a named permission set stored in the `roles` collection (services/auth/roles.js);
+// SYSTEM_ROLES below are the defaults for the roles that existed before custom roles.
+//
+// Grants can be exact ("orders.update"), a whole group ("orders.*") or everything ("*",
+// super-admin only).
+
+export const PERMISSIONS = Object.freeze({
+  "dashboard.read": "View the admin dashboard",
+
+  "orders.read": "View orders",
+  "orders.update": "Change order status, payment status and shipping",
+
+  "returns.read": "View returns",
+  "returns.manage": "Approve, reject and schedule returns",
+
+  "refunds.issue": "Issue refunds for returns",
+  "refunds.manage": "Complete, retry or mark refunds as paid",
+
+  "finance.read": "View ledger, statements and finance exports",
+  "finance.accounts": "Create, edit and close chart of accounts entries",
+  "journals.create": "Draft, submit and cancel manual and reversal journal entries",
+  "journals.approve": "Approve or reject journal entries drafted by another finance user",
+  "invoices.read": "View invoices and invoice audit trail",
+
+  "commission.read": "View commission listings and settings",
+  "commission.manage": "Change commission settings",
+  "commission.payouts": "Update commission payout status",
+
+  "settlements.read": "View payout queue, batches and periods",
+  "settlements.create": "Create payout batches and settlement periods",
+  "settlements.approve": "Change payout batch status (mark paid)",
+  "periods.close": "Close settlement periods",
+  "periods.reopen": "Re-open closed business days and settlement periods",
+  "seller_payments.config": "Manage seller payment configuration",
+
+  "products.read": "View products",
+  "products.moderate": "Edit, approve, reject and delete products",
+  "catalog.config": "Manage product configuration",
+  "catalog.read": "View categories, brands and seller suggestions for them",
+  "catalog.manage": "Create and edit categories and brands",
+  "catalog.approve": "Approve, activate and deactivate categories and brands, answer seller suggestions",
+
+  "sellers.read": "View sellers",
+  "sellers.manage": "Verify, block and annotate sellers",
+  "sellers.config": "Manage seller configuration",
+
+  "customers.read": "View customers",
+  "subscribers.read": "View newsletter subscribers",
+  "users.block": "Block and unblock users",
+
+  "discounts.manage": "Manage discounts and seller discount requests",
+  "coupons.manage": "Manage coupons",
+  "gift_cards.read": "View gift cards",
+  "gift_cards.manage": "Issue and void gift cards",
+  "wallets.read": "View customer wallet balances and transactions",
+  "cart_recovery.read": "View abandoned cart recovery episodes and stats",
+  "flash_sales.manage": "Manage flash sales and flash entries",
+  "storefront.config": "Manage storefront configuration",
+
+  "notifications.read": "Receive admin notifications",
+  "notifications.manage": "Send campaigns, retry events and change notification settings",
+  "templates.publish": "Edit and publish email templates",
+  "outbox.manage": "Inspect and retry the outbox",
+
+  "messaging.customers": "Read and answer customer conversations",
+  "messaging.sellers": "Read and answer seller conversations",
+  "tickets.read": "View the support ticket queue",
+  "tickets.manage": "Work support tickets: reply, assign, change status, add notes",
+  "tickets.canned_replies": "Manage canned replies",
+
+  "staff.manage": "Create, edit and reset staff accounts",
+  "roles.manage": "Create and edit staff roles",
+  "security.manage": "Unlock locked accounts",
+  "audit.read": "View admin activity logs",
+});
+
+export const PERMISSION_KEYS = Object.freeze(Object.keys(PERMISSIONS));
+
+// Never given to any role but super-admin by default.
+const SUPER_ADMIN_ONLY = ["staff.manage", "roles.manage", "audit.read", "periods.reopen", "catalog.approve"];
+
+// Moving seller money stays with finance; admins could never open settlements.
+const FINANCE_ONLY = [
+  "settlements.create",
+  "settlements.approve",
+  "periods.close",
+  "finance.accounts",
+  "journals.create",
+  "journals.approve",
+];
+
+const FINANCE_PERMISSIONS = [
+  "dashboard.read",
+  "orders.read",
+  "returns.read",
+  "refunds.*",
+  "finance.read",
+  "finance.accounts",
+  "journals.*",
+  "invoices.read",
+  "commission.*",
+  "settlements.*",
+  "periods.close",
+  "seller_payments.config",
+  "gift_cards.read",
+  "wallets.read",
+  "notifications.read",
+];
+
+// What the account role reached before roles: the finance ledger and exports, invoices,
+// commission, seller payment settings and order handling. Never payouts, settlements or
+// period close (those stayed with finance).
+const ACCOUNT_PERMISSIONS = [
+  "dashboard.read",
+  "orders.read",
+  "orders.update",
+  "returns.read",
+  "finance.read",
+  "invoices.read",
+  "commission.*",
+  "seller_payments.config",
+  "gift_cards.read",
+  "wallets.read",
+  "notifications.read",
+];
+
+/**
+ * Built-in roles. Editable in Mongo (except super-admin), cannot be deleted.
+ */
+export const SYSTEM_ROLES = Object.freeze({
+  "super-admin": { name: "Super admin", permissions: ["*"] },
+  admin: {
+    name: "Admin",
+    permissions: PERMISSION_KEYS.filter((p) => !SUPER_ADMIN_ONLY.includes(p) && !FINANCE_ONLY.includes(p)),
+  },
+  finance: { name: "Finance", permissions: FINANCE_PERMISSIONS },
+  account: { name: "Accounts", permissions: ACCOUNT_PERMISSIONS },
+  orders: {
+    name: "Orders",
+    permissions: ["dashboard.read", "orders.*", "returns.*", "notifications.read"],
+  },
+  operations: {
+    name: "Operations",
+    permissions: ["dashboard.read", "orders.*", "returns.*", "notifications.read", "outbox.manage"],
+  },
+  support: {
+    name: "Support",
+    permissions: [
+      "dashboard.read",
+      "orders.*",
+      "returns.*",
+      "customers.read",
+      "wallets.read",
+      "messaging.*",
+      "tickets.*",
+      "notifications.read",
+      "outbox.manage",
+    ],
+  },
+  marketing: {
+    name: "Marketing",
+    permissions: [
+      "dashboard.read",
+      "products.read",
+      "catalog.config",
+      "sellers.config",
+      "subscribers.read",
+      "discounts.manage",
+      "coupons.manage",
+      "gift_cards.*",
+      "cart_recovery.read",
+      "flash_sales.manage",
+      "storefront.config",
+      "notifications.*",
+      "templates.publish",
+      "messaging.*",
+    ],
+  },
+});
+
+// Account types that are never staff roles.
+export const NON_STAFF_ROLES = Object.freeze(["customer", "user", "seller"]);
+
+/**
+ * Does a list of grants cover `permission`?
+ */
+export function grantsPermission(grants, permission) {
+  if (!Array.isArray(grants) || !permission) return false;
+  const group = String(permission).split(".")[0];
+  return grants.some((g) => g === "*" || g === permission || g === `${group}.*`);
+}
+
+/**
+ * Unknown entries of a grant list ("*" is rejected; only super-admin has it).
+ */
+export function invalidPermissions(grants) {
+  const groups = new Set(PERMISSION_KEYS.map((p) => p.split(".")[0]));
+  return (Array.isArray(grants) ? grants : [null]).filter((g) => {
+    const s = String(g || "");
+    if (PERMISSIONS[s]) return false;
+    if (s.endsWith(".*") && groups.has(s.slice(0, -2))) return false;
+    return true;
+  });
+}
+
+/**
+ * Expanded, sorted permission keys for a grant list (for the admin UI).
+ */
+export function expandPermissions(grants) {
+  return PERMISSION_KEYS.filter((p) => grantsPermission(grants, p));
+}
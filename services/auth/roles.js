@@ -0,0 +1,208 @@
+// services/auth/roles.js (ESM)
+//
+// Staff roles stored in Mongo (`roles` collection) as permission sets.
+//
+// { key, name, description, permissions: [..], system, createdAt, updatedAt, createdBy, updatedBy }
+//
+// Permission checks run on every admin request, so roles are kept in an in-process
+// registry refreshed every ROLE_CACHE_MS (default 30s) and immediately after a change made
+// through this module. System roles fall back to SYSTEM_ROLES when the collection is empty
+// or unreachable; super-admin always has every permission.
+//
+// Requires MongoDB indexes (scripts/seedRoles.js):
+// db.roles.createIndex({ key: 1 }, { name: "uniq_role_key", unique: true })
+
+import {
+  SYSTEM_ROLES,
+  NON_STAFF_ROLES,
+  grantsPermission,
+  invalidPermissions,
+} from "./permissions.js";
+
+const ROLE_CACHE_MS = Math.max(0, Number(process.env.ROLE_CACHE_MS ?? 30_000));
+const ROLE_KEY_RE = /^[a-z][a-z0-9-]{2,39}$/;
+
+let registry = new Map(Object.entries(SYSTEM_ROLES).map(([key, r]) => [key, { key, ...r, system: true }]));
+let loadedAt = 0;
+let loading = null;
+
+function roleError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+function buildRegistry(rows) {
+  const next = new Map(Object.entries(SYSTEM_ROLES).map(([key, r]) => [key, { key, ...r, system: true }]));
+  for (const row of rows) {
+    if (!row?.key || row.key === "super-admin") continue;
+    next.set(row.key, {
+      key: row.key,
+      name: row.name || row.key,
+      description: row.description || "",
+      permissions: Array.isArray(row.permissions) ? row.permissions : [],
+      system: Boolean(SYSTEM_ROLES[row.key]),
+    });
+  }
+  return next;
+}
+
+/**
+ * Reload roles when the registry is older than ROLE_CACHE_MS (or `force`).
+ */
+export async function ensureRolesFresh(db, { force = false } = {}) {
+  if (!force && Date.now() - loadedAt < ROLE_CACHE_MS) return;
+  if (!loading) {
+    loading = db
+      .collection("roles")
+      .find({}, { projection: { key: 1, name: 1, description: 1, permissions: 1 } })
+      .toArray()
+      .then((rows) => {
+        registry = buildRegistry(rows);
+        loadedAt = Date.now();
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  await loading;
+}
+
+export function getRoleGrants(roleKey) {
+  return registry.get(String(roleKey || "").toLowerCase())?.permissions || [];
+}
+
+/**
+ * Sync check against the registry (call ensureRolesFresh first in async code paths).
+ */
+export function userHasPermission(user, permission) {
+  return grantsPermission(getRoleGrants(user?.role), permission);
+}
+
+export function isStaffRole(roleKey) {
+  const key = String(roleKey || "").toLowerCase();
+  return !NON_STAFF_ROLES.includes(key) && registry.has(key);
+}
+
+export function staffRoleKeys() {
+  return [...registry.keys()];
+}
+
+/* ===============================
+   CRUD (/api/admin/roles)
+=============================== */
+
+function normalizeRoleInput(body = {}, { partial = false } = {}) {
+  const out = {};
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || "").trim();
+    if (!name) throw roleError("Role name is required", "INVALID_ROLE");
+    out.name = name.slice(0, 60);
+  }
+  if (body.description !== undefined) out.description = String(body.description || "").trim().slice(0, 300);
+  if (!partial || body.permissions !== undefined) {
+    const permissions = [...new Set(Array.isArray(body.permissions) ? body.permissions.map(String) : [])];
+    const invalid = invalidPermissions(permissions);
+    if (!Array.isArray(body.permissions) || invalid.length) {
+      const e = roleError("Unknown permissions", "INVALID_PERMISSIONS");
+      e.invalid = invalid;
+      throw e;
+    }
+    out.permissions = permissions;
+  }
+  return out;
+}
+
+export async function listRoles(db) {
+  await ensureRolesFresh(db, { force: true });
+  const counts = await db
+    .collection("users")
+    .aggregate([{ $match: { role: { $in: [...registry.keys()] } } }, { $group: { _id: "$role", n: { $sum: 1 } } }])
+    .toArray();
+  const byRole = new Map(counts.map((c) => [c._id, c.n]));
+
+  return [...registry.values()].map((r) => ({
+    key: r.key,
+    name: r.name,
+    description: r.description || "",
+    permissions: r.permissions,
+    system: r.system,
+    editable: r.key !== "super-admin",
+    userCount: byRole.get(r.key) || 0,
+  }));
+}
+
+export async function createRole(db, body, { actorId = null } = {}) {
+  const key = String(body?.key || "").trim().toLowerCase();
+  if (!ROLE_KEY_RE.test(key)) {
+    throw roleError("Role key must be 3-40 lowercase letters, digits or dashes", "INVALID_ROLE_KEY");
+  }
+  if (SYSTEM_ROLES[key] || NON_STAFF_ROLES.includes(key)) {
+    throw roleError("Role key is reserved", "ROLE_KEY_RESERVED", 409);
+  }
+
+  const now = new Date();
+  const doc = {
+    key,
+    description: "",
+    ...normalizeRoleInput(body),
+    system: false,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: actorId,
+    updatedBy: actorId,
+  };
+
+  try {
+    await db.collection("roles").insertOne(doc);
+  } catch (err) {
+    if (err?.code === 11000) throw roleError("Role already exists", "ROLE_EXISTS", 409);
+    throw err;
+  }
+  await ensureRolesFresh(db, { force: true });
+  return doc;
+}
+
+export async function updateRole(db, key, body, { actorId = null } = {}) {
+  const k = String(key || "").toLowerCase();
+  if (k === "super-admin") throw roleError("The super-admin role cannot be changed", "ROLE_LOCKED", 403);
+
+  await ensureRolesFresh(db, { force: true });
+  const current = registry.get(k);
+  if (!current) throw roleError("Role not found", "ROLE_NOT_FOUND", 404);
+
+  const patch = normalizeRoleInput(body, { partial: true });
+  const now = new Date();
+
+  // System roles get their Mongo row on first edit.
+  await db.collection("roles").updateOne(
+    { key: k },
+    {
+      $set: { ...patch, updatedAt: now, updatedBy: actorId },
+      $setOnInsert: {
+        key: k,
+        system: current.system,
+        createdAt: now,
+        ...(patch.name === undefined ? { name: current.name } : {}),
+        ...(patch.permissions === undefined ? { permissions: current.permissions } : {}),
+      },
+    },
+    { upsert: true }
+  );
+  await ensureRolesFresh(db, { force: true });
+  return registry.get(k);
+}
+
+export async function deleteRole(db, key) {
+  const k = String(key || "").toLowerCase();
+  if (SYSTEM_ROLES[k]) throw roleError("System roles cannot be deleted", "ROLE_LOCKED", 403);
+
+  const inUse = await db.collection("users").countDocuments({ role: k }, { limit: 1 });
+  if (inUse) throw roleError("Role is assigned to staff; reassign them first", "ROLE_IN_USE", 409);
+
+  const r = await db.collection("roles").deleteOne({ key: k });
+  if (!r.deletedCount) throw roleError("Role not found", "ROLE_NOT_FOUND", 404);
+  await ensureRolesFresh(db, { force: true });
+  return true;
+}
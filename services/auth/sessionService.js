@@ -0,0 +1,391 @@
+// services/auth/sessionService.js (ESM)
+//
+// Login sessions: short-lived access JWTs + rotating refresh tokens.
+//
+// - Access token (JWT, ACCESS_TOKEN_TTL, default 15m) carries { id, _id, email, role, sid, tv, jti }.
+//   `sid` points at a `sessions` row, `tv` is the user's tokenVersion at issue time.
+// - Refresh token is opaque: "<sessionId>.<secret>". Only sha256(secret) is stored.
+//   Each refresh rotates the secret; presenting an already-rotated secret is treated as
+//   token theft and revokes the whole session.
+// - Revocation:
+//   * one device   -> sessions.revokedAt
+//   * all devices  -> users.tokenVersion++ (also kills legacy 7d tokens that have no sid)
+//   authMiddleware checks both via isAccessTokenRevoked(), cached for REVOCATION_CACHE_MS.
+// - Step-up: sessions.stepUpAt is the last second-factor check on that session (login with
+//   2FA or POST /api/auth/2fa/step-up); middlewares/stepUp.js requires it to be recent.
+//
+// Requires MongoDB indexes (scripts/createSessionIndexes.js):
+// db.sessions.createIndex({ userId: 1, revokedAt: 1, lastUsedAt: -1 }, { name: "sessions_user" })
+// db.sessions.createIndex({ expiresAt: 1 }, { name: "sessions_ttl", expireAfterSeconds: 0 })
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+
+const JWT_SECRET = process.env.JWT_SECRET || "mysecretkey";
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Math.max(1, Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30));
+const REVOCATION_CACHE_MS = Math.max(0, Number(process.env.REVOCATION_CACHE_MS ?? 10_000));
+
+// How many rotated refresh hashes are kept per session for reuse detection.
+const PREVIOUS_HASHES_KEPT = 5;
+
+export const SESSION_REVOKE_REASONS = Object.freeze({
+  LOGOUT: "logout",
+  USER_REVOKED: "user_revoked",
+  REFRESH_REUSE: "refresh_reuse",
+  ACCOUNT_STATUS: "account_status_changed",
+  TOKEN_VERSION: "token_version_changed",
+});
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  try {
+    const s = String(id).trim();
+    return ObjectId.isValid(s) ? new ObjectId(s) : null;
+  } catch {
+    return null;
+  }
+}
+
+function sha256(v) {
+  return crypto.createHash("sha256").update(String(v)).digest("hex");
+}
+
+function authError(message, statusCode = 401, code = "INVALID_REFRESH_TOKEN") {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+function isBlockedUser(user) {
+  return !user || user.blocked === true || user.status === "blocked";
+}
+
+function clientInfo(req) {
+  if (!req) return { userAgent: null, ip: null };
+  return {
+    userAgent: String(req.headers?.["user-agent"] || "").slice(0, 300) || null,
+    ip: req.ip || null,
+  };
+}
+
+function signAccessToken(user, session) {
+  const userId = user?._id?.toString?.() || String(user?._id || user?.id || "");
+  return jwt.sign(
+    {
+      id: userId,
+      _id: userId,
+      email: user.email,
+      role: user.role,
+      sid: session._id.toString(),
+      tv: Number(user.tokenVersion || 0),
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sid, secret] = String(refreshToken || "").trim().split(".");
+  const sessionId = toObjectId(sid);
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+/* ===============================
+   REVOCATION CACHE
+=============================== */
+const tokenVersionCache = new Map(); // userId -> { value, at }
+const sessionStateCache = new Map(); // sessionId -> { value: revokedReason | null, at }
+
+function cacheGet(map, key) {
+  const hit = map.get(key);
+  if (!hit) return undefined;
+  if (Date.now() - hit.at > REVOCATION_CACHE_MS) {
+    map.delete(key);
+    return undefined;
+  }
+  return hit.value;
+}
+
+function cacheSet(map, key, value) {
+  if (REVOCATION_CACHE_MS <= 0) return;
+  // keep the maps bounded on long-running processes
+  if (map.size > 10_000) map.clear();
+  map.set(key, { value, at: Date.now() });
+}
+
+function forgetUser(userId) {
+  tokenVersionCache.delete(String(userId));
+}
+
+function forgetSession(sessionId) {
+  sessionStateCache.delete(String(sessionId));
+}
+
+/**
+ * Server-side check for a verified access-token payload.
+ * Returns null when the token is still valid, otherwise the revocation reason.
+ */
+export async function isAccessTokenRevoked(db, decoded) {
+  const userId = String(decoded?.id || decoded?._id || "");
+  const uid = toObjectId(userId);
+  if (!uid) return null;
+
+  let tokenVersion = cacheGet(tokenVersionCache, userId);
+  if (tokenVersion === undefined) {
+    const user = await db
+      .collection("users")
+      .findOne({ _id: uid }, { projection: { tokenVersion: 1 } });
+    tokenVersion = user ? Number(user.tokenVersion || 0) : -1;
+    cacheSet(tokenVersionCache, userId, tokenVersion);
+  }
+
+  if (tokenVersion < 0) return "user_not_found";
+  if (Number(decoded?.tv || 0) !== tokenVersion) return SESSION_REVOKE_REASONS.TOKEN_VERSION;
+
+  // Legacy tokens (before sessions) have no sid: only the tokenVersion applies.
+  const sid = decoded?.sid ? String(decoded.sid) : "";
+  if (!sid) return null;
+
+  let revoked = cacheGet(sessionStateCache, sid);
+  if (revoked === undefined) {
+    const sessionId = toObjectId(sid);
+    const session = sessionId
+      ? await db
+          .collection("sessions")
+          .findOne({ _id: sessionId }, { projection: { revokedAt: 1, revokedReason: 1 } })
+      : null;
+    revoked = !session ? "session_not_found" : session.revokedAt ? session.revokedReason || "revoked" : null;
+    cacheSet(sessionStateCache, sid, revoked);
+  }
+
+  return revoked || null;
+}
+
+/* ===============================
+   SESSIONS
+=============================== */
+
+/**
+ * Create a session for a freshly authenticated user.
+ * `mfaMethod` ("totp" | "recovery_code") when the login passed a second factor.
+ * Returns { accessToken, refreshToken, sessionId, expiresIn, refreshExpiresAt }.
+ */
+export async function createSession(db, user, { req, mfaMethod = null } = {}) {
+  const now = new Date();
+  const secret = crypto.randomBytes(32).toString("hex");
+  const { userAgent, ip } = clientInfo(req);
+
+  const session = {
+    _id: new ObjectId(),
+    userId: toObjectId(user._id),
+    role: user.role || null,
+    refreshHash: sha256(secret),
+    previousRefreshHashes: [],
+    tokenVersion: Number(user.tokenVersion || 0),
+    userAgent,
+    ip,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    revokedAt: null,
+    revokedReason: null,
+    mfaMethod: mfaMethod || null,
+    stepUpAt: mfaMethod ? now : null,
+  };
+
+  await db.collection("sessions").insertOne(session);
+
+  return {
+    accessToken: signAccessToken(user, session),
+    refreshToken: `${session._id.toString()}.${secret}`,
+    sessionId: session._id.toString(),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token + rotated refresh token.
+ * Throws 401 (code INVALID_REFRESH_TOKEN / REFRESH_TOKEN_REUSED) or 403 (ACCOUNT_BLOCKED).
+ */
+export async function rotateSession(db, refreshToken, { req } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw authError("Invalid refresh token");
+
+  const Sessions = db.collection("sessions");
+  const session = await Sessions.findOne({ _id: parsed.sessionId });
+  const now = new Date();
+
+  if (!session || session.revokedAt || (session.expiresAt && session.expiresAt <= now)) {
+    throw authError("Session expired or revoked");
+  }
+
+  const hash = sha256(parsed.secret);
+  if (hash !== session.refreshHash) {
+    if ((session.previousRefreshHashes || []).includes(hash)) {
+      await revokeSession(db, session._id, { reason: SESSION_REVOKE_REASONS.REFRESH_REUSE });
+      throw authError("Refresh token reuse detected; session revoked", 401, "REFRESH_TOKEN_REUSED");
+    }
+    throw authError("Invalid refresh token");
+  }
+
+  const user = await db.collection("users").findOne({ _id: session.userId });
+  if (isBlockedUser(user)) {
+    await revokeSession(db, session._id, { reason: SESSION_REVOKE_REASONS.ACCOUNT_STATUS });
+    throw authError("Account blocked", 403, "ACCOUNT_BLOCKED");
+  }
+  if (Number(user.tokenVersion || 0) !== Number(session.tokenVersion || 0)) {
+    await revokeSession(db, session._id, { reason: SESSION_REVOKE_REASONS.TOKEN_VERSION });
+    throw authError("Session revoked");
+  }
+
+  const secret = crypto.randomBytes(32).toString("hex");
+  const { userAgent, ip } = clientInfo(req);
+
+  // Conditional on the old hash: two concurrent refreshes can't both rotate.
+  const updated = await Sessions.findOneAndUpdate(
+    { _id: session._id, refreshHash: hash, revokedAt: null },
+    {
+      $set: {
+        refreshHash: sha256(secret),
+        lastUsedAt: now,
+        ...(userAgent ? { userAgent } : {}),
+        ...(ip ? { ip } : {}),
+      },
+      $push: { previousRefreshHashes: { $each: [hash], $slice: -PREVIOUS_HASHES_KEPT } },
+    },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+
+  const doc = updated?.value;
+  if (!doc) throw authError("Refresh token already used");
+
+  return {
+    accessToken: signAccessToken(user, doc),
+    refreshToken: `${doc._id.toString()}.${secret}`,
+    sessionId: doc._id.toString(),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: doc.expiresAt,
+    user,
+  };
+}
+
+/**
+ * Revoke one session. Pass userId to scope the revoke to the owner (per-device logout).
+ * Returns true when a live session was revoked.
+ */
+export async function revokeSession(db, sessionId, { userId = null, reason = SESSION_REVOKE_REASONS.LOGOUT } = {}) {
+  const sid = toObjectId(sessionId);
+  if (!sid) return false;
+
+  const filter = { _id: sid, revokedAt: null };
+  if (userId) {
+    const uid = toObjectId(userId);
+    if (!uid) return false;
+    filter.userId = uid;
+  }
+
+  const r = await db
+    .collection("sessions")
+    .updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+  forgetSession(sid);
+  return r.modifiedCount > 0;
+}
+
+/**
+ * Logout with only a refresh token (access token already expired).
+ * The secret must match the current one, so a leaked sessionId alone can't sign anyone out.
+ */
+export async function revokeSessionByRefreshToken(db, refreshToken, { reason = SESSION_REVOKE_REASONS.LOGOUT } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const r = await db.collection("sessions").updateOne(
+    { _id: parsed.sessionId, refreshHash: sha256(parsed.secret), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  forgetSession(parsed.sessionId);
+  return r.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user and bump users.tokenVersion so already-issued
+ * access tokens (including legacy ones without a session) stop working.
+ */
+export async function revokeAllUserSessions(db, userId, { reason = SESSION_REVOKE_REASONS.USER_REVOKED } = {}) {
+  const uid = toObjectId(userId);
+  if (!uid) return { revoked: 0 };
+
+  const now = new Date();
+  await db
+    .collection("users")
+    .updateOne({ _id: uid }, { $inc: { tokenVersion: 1 }, $set: { tokensRevokedAt: now } });
+
+  const r = await db
+    .collection("sessions")
+    .updateMany({ userId: uid, revokedAt: null }, { $set: { revokedAt: now, revokedReason: reason } });
+
+  forgetUser(uid);
+  sessionStateCache.clear();
+  return { revoked: r.modifiedCount || 0 };
+}
+
+/* ===============================
+   STEP-UP
+=============================== */
+
+export async function markSessionStepUp(db, sessionId, { userId, method }) {
+  const sid = toObjectId(sessionId);
+  if (!sid) return false;
+  const r = await db.collection("sessions").updateOne(
+    { _id: sid, userId: toObjectId(userId), revokedAt: null },
+    { $set: { stepUpAt: new Date(), stepUpMethod: method || null } }
+  );
+  return r.matchedCount > 0;
+}
+
+/**
+ * Last second-factor check on the session (Date) or null.
+ */
+export async function getSessionStepUpAt(db, sessionId) {
+  const sid = toObjectId(sessionId);
+  if (!sid) return null;
+  const s = await db.collection("sessions").findOne({ _id: sid }, { projection: { stepUpAt: 1 } });
+  return s?.stepUpAt || null;
+}
+
+/**
+ * Active sessions of a user for the "devices" list.
+ */
+export async function listUserSessions(db, userId, { currentSessionId = null } = {}) {
+  const uid = toObjectId(userId);
+  if (!uid) return [];
+
+  const rows = await db
+    .collection("sessions")
+    .find(
+      { userId: uid, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { projection: { refreshHash: 0, previousRefreshHashes: 0 } }
+    )
+    .sort({ lastUsedAt: -1 })
+    .limit(100)
+    .toArray();
+
+  return rows.map((s) => ({
+    id: s._id.toString(),
+    userAgent: s.userAgent || null,
+    ip: s.ip || null,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: s.expiresAt,
+    current: currentSessionId ? String(currentSessionId) === s._id.toString() : false,
+  }));
+}
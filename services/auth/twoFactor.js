@@ -0,0 +1,308 @@
+// services/auth/twoFactor.js (ESM)
+//
+// TOTP two-factor authentication for staff accounts.
+//
+// users.twoFactor:
+//   { enabled, secretEnc, enrolledAt, lastUsedCounter,
+//     pendingSecretEnc, pendingCreatedAt,            // enrollment not confirmed yet
+//     recoveryCodes: [{ hash, usedAt }] }
+//
+// - Secrets are stored AES-256-GCM encrypted (TWO_FACTOR_ENCRYPTION_KEY, falls back to JWT_SECRET).
+// - A TOTP step can only be used once per account (lastUsedCounter), recovery codes once each.
+// - Between password and second factor the client holds a short-lived challenge token. It is
+//   signed with a different key than access tokens, so authMiddleware never accepts it.
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+
+import {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from "./totp.js";
+import {
+  LOGIN_SCOPES,
+  clearLoginFailures,
+  getLoginLock,
+  recordLoginFailure,
+} from "../security/loginLockout.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "mysecretkey";
+const CHALLENGE_SECRET = `${JWT_SECRET}:2fa-challenge`;
+const CHALLENGE_TTL = "5m";
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Glamzi Admin";
+const ENROLLMENT_TTL_MS = 15 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that cannot sign in without 2FA (payouts, settlements, staff management).
+export const TWO_FACTOR_REQUIRED_ROLES = Object.freeze(["super-admin", "admin", "finance", "account"]);
+
+export const TWO_FACTOR_CHALLENGES = Object.freeze({
+  LOGIN: "2fa_login",
+  ENROLL: "2fa_enroll",
+});
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  try {
+    const s = String(id).trim();
+    return ObjectId.isValid(s) ? new ObjectId(s) : null;
+  } catch {
+    return null;
+  }
+}
+
+function twoFactorError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+function sha256(v) {
+  return crypto.createHash("sha256").update(String(v)).digest("hex");
+}
+
+function encryptionKey() {
+  return crypto
+    .createHash("sha256")
+    .update(String(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET))
+    .digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map((b) => b.toString("base64")).join(".");
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, enc] = String(payload || "").split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
+
+export function isTwoFactorRequired(user) {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(String(user?.role || "").toLowerCase());
+}
+
+export function isTwoFactorEnabled(user) {
+  return user?.twoFactor?.enabled === true && Boolean(user.twoFactor.secretEnc);
+}
+
+export function twoFactorStatus(user) {
+  const tf = user?.twoFactor || {};
+  return {
+    enabled: isTwoFactorEnabled(user),
+    required: isTwoFactorRequired(user),
+    enrolledAt: tf.enrolledAt || null,
+    recoveryCodesRemaining: (tf.recoveryCodes || []).filter((c) => !c.usedAt).length,
+  };
+}
+
+/* ===============================
+   CHALLENGE TOKENS
+=============================== */
+
+export function issueTwoFactorChallenge(user, purpose) {
+  return jwt.sign(
+    { sub: String(user._id), purpose, tv: Number(user.tokenVersion || 0) },
+    CHALLENGE_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+/**
+ * Returns the user id of a valid challenge. Throws 401 INVALID_2FA_CHALLENGE.
+ */
+export function verifyTwoFactorChallenge(token, purpose) {
+  try {
+    const decoded = jwt.verify(String(token || ""), CHALLENGE_SECRET);
+    if (decoded?.purpose !== purpose || !decoded.sub) throw new Error("wrong purpose");
+    return { userId: decoded.sub, tokenVersion: Number(decoded.tv || 0) };
+  } catch {
+    throw twoFactorError("Login challenge expired. Please sign in again.", "INVALID_2FA_CHALLENGE", 401);
+  }
+}
+
+/**
+ * What a staff login returns after a correct password instead of tokens:
+ * - 2FA enabled            -> { twoFactorRequired, challengeToken }      (POST /api/auth/admin/login/2fa)
+ * - role requires 2FA, none -> { twoFactorSetupRequired, challengeToken } (POST /api/auth/admin/login/2fa/enroll)
+ * - otherwise null (tokens can be issued right away)
+ */
+export function twoFactorLoginChallenge(user) {
+  if (isTwoFactorEnabled(user)) {
+    return {
+      message: "Enter the code from your authenticator app",
+      twoFactorRequired: true,
+      challengeToken: issueTwoFactorChallenge(user, TWO_FACTOR_CHALLENGES.LOGIN),
+    };
+  }
+  if (isTwoFactorRequired(user)) {
+    return {
+      message: "Two-factor authentication must be set up for this account",
+      twoFactorSetupRequired: true,
+      challengeToken: issueTwoFactorChallenge(user, TWO_FACTOR_CHALLENGES.ENROLL),
+    };
+  }
+  return null;
+}
+
+/* ===============================
+   ENROLLMENT
+=============================== */
+
+/**
+ * Start (or restart) enrollment. Returns { secret, otpauthUrl } for the QR code.
+ */
+export async function startTwoFactorEnrollment(db, user) {
+  if (isTwoFactorEnabled(user)) {
+    throw twoFactorError("Two-factor authentication is already enabled", "TWO_FACTOR_ALREADY_ENABLED", 409);
+  }
+
+  const secret = generateTotpSecret();
+  await db.collection("users").updateOne(
+    { _id: toObjectId(user._id) },
+    { $set: { "twoFactor.pendingSecretEnc": encryptSecret(secret), "twoFactor.pendingCreatedAt": new Date() } }
+  );
+
+  return {
+    secret,
+    otpauthUrl: otpauthUrl({ secret, accountName: user.email, issuer: ISSUER }),
+  };
+}
+
+/**
+ * Confirm enrollment with a first code from the app. Returns { recoveryCodes } (shown once).
+ */
+export async function confirmTwoFactorEnrollment(db, user, code) {
+  const tf = user?.twoFactor || {};
+  const startedAt = tf.pendingCreatedAt ? new Date(tf.pendingCreatedAt).getTime() : 0;
+  if (!tf.pendingSecretEnc || Date.now() - startedAt > ENROLLMENT_TTL_MS) {
+    throw twoFactorError("No pending two-factor enrollment. Start again.", "NO_PENDING_ENROLLMENT");
+  }
+
+  const counter = verifyTotp(decryptSecret(tf.pendingSecretEnc), code);
+  if (counter === null) throw twoFactorError("Invalid verification code", "INVALID_2FA_CODE", 401);
+
+  const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  const now = new Date();
+
+  await db.collection("users").updateOne(
+    { _id: toObjectId(user._id) },
+    {
+      $set: {
+        twoFactor: {
+          enabled: true,
+          secretEnc: tf.pendingSecretEnc,
+          enrolledAt: now,
+          lastUsedCounter: counter,
+          recoveryCodes: recoveryCodes.map((c) => ({ hash: sha256(normalizeRecoveryCode(c)), usedAt: null })),
+        },
+        updatedAt: now,
+      },
+    }
+  );
+
+  return { recoveryCodes };
+}
+
+/* ===============================
+   VERIFICATION
+=============================== */
+
+/**
+ * Verify a TOTP code or a recovery code for an enrolled user.
+ * Returns { method: "totp" | "recovery_code" }. Throws 401 INVALID_2FA_CODE.
+ */
+export async function verifySecondFactor(db, user, { code = null, recoveryCode = null } = {}) {
+  if (!isTwoFactorEnabled(user)) {
+    throw twoFactorError("Two-factor authentication is not enabled", "TWO_FACTOR_NOT_ENABLED");
+  }
+  const Users = db.collection("users");
+  const uid = toObjectId(user._id);
+
+  if (recoveryCode) {
+    const hash = sha256(normalizeRecoveryCode(recoveryCode));
+    const r = await Users.updateOne(
+      { _id: uid, "twoFactor.recoveryCodes": { $elemMatch: { hash, usedAt: null } } },
+      { $set: { "twoFactor.recoveryCodes.$[c].usedAt": new Date() } },
+      { arrayFilters: [{ "c.hash": hash, "c.usedAt": null }] }
+    );
+    if (!r.modifiedCount) throw twoFactorError("Invalid recovery code", "INVALID_2FA_CODE", 401);
+    return { method: "recovery_code" };
+  }
+
+  const counter = verifyTotp(decryptSecret(user.twoFactor.secretEnc), code);
+  if (counter === null) throw twoFactorError("Invalid verification code", "INVALID_2FA_CODE", 401);
+
+  // Each 30s code works once: a second use (replay/shoulder-surfing) is rejected.
+  const r = await Users.updateOne(
+    {
+      _id: uid,
+      $or: [{ "twoFactor.lastUsedCounter": { $lt: counter } }, { "twoFactor.lastUsedCounter": null }],
+    },
+    { $set: { "twoFactor.lastUsedCounter": counter } }
+  );
+  if (!r.modifiedCount) throw twoFactorError("Code already used. Wait for the next one.", "INVALID_2FA_CODE", 401);
+  return { method: "totp" };
+}
+
+function lockedError(retryAfterMs) {
+  const e = twoFactorError("Too many wrong codes. Please try again later.", "TWO_FACTOR_LOCKED", 429);
+  e.retryAfterMs = retryAfterMs;
+  return e;
+}
+
+/**
+ * verifySecondFactor from a signed-in session (step-up, new recovery codes, disable). Wrong codes
+ * count per user (loginLockout scope step_up) and lock further checks, so a stolen access token
+ * can't be used to run through TOTP codes. Throws 429 TWO_FACTOR_LOCKED with retryAfterMs.
+ */
+export async function verifySessionSecondFactor(db, user, factors, { ip = null, now = new Date() } = {}) {
+  const lockout = { scope: LOGIN_SCOPES.STEP_UP, identifier: String(user?._id || "") };
+  const lock = await getLoginLock(db, { ...lockout, now });
+  if (lock.locked) throw lockedError(lock.retryAfterMs);
+
+  try {
+    const verified = await verifySecondFactor(db, user, factors);
+    await clearLoginFailures(db, lockout);
+    return verified;
+  } catch (err) {
+    if (err?.code !== "INVALID_2FA_CODE") throw err;
+    const failure = await recordLoginFailure(db, { ...lockout, userId: user._id, ip, now });
+    if (failure.locked) throw lockedError(failure.retryAfterMs);
+    throw err;
+  }
+}
+
+export async function regenerateRecoveryCodes(db, user) {
+  if (!isTwoFactorEnabled(user)) {
+    throw twoFactorError("Two-factor authentication is not enabled", "TWO_FACTOR_NOT_ENABLED");
+  }
+  const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  await db.collection("users").updateOne(
+    { _id: toObjectId(user._id) },
+    {
+      $set: {
+        "twoFactor.recoveryCodes": recoveryCodes.map((c) => ({ hash: sha256(normalizeRecoveryCode(c)), usedAt: null })),
+        updatedAt: new Date(),
+      },
+    }
+  );
+  return { recoveryCodes };
+}
+
+export async function disableTwoFactor(db, userId) {
+  const r = await db
+    .collection("users")
+    .updateOne({ _id: toObjectId(userId) }, { $unset: { twoFactor: "" }, $set: { updatedAt: new Date() } });
+  return r.modifiedCount > 0;
+}
@@ -0,0 +1,173 @@
+// services/cart/guestCart.js (ESM)
+//
+// Guest carts and guest checkout rules, no I/O (guestCartService.js does the reads and writes).
+//
+// An anonymous shopper gets a signed guest token (POST /api/cart/guest-token) and sends it
+// as X-Guest-Token; their cart is keyed by the guestId inside it instead of a userId.
+//
+//   token:  <guestId>.<exp unix seconds>.<hmac>     guestId = 32 hex chars
+//
+// On login/register the guest cart is merged into the account cart. Lines for the same
+// product (and variant) are combined by CART_MERGE_RULE:
+//   max      larger of the two quantities (default; the same shopper adding twice isn't 2x)
+//   sum      both quantities added up
+//   guest    the guest cart wins (most recent intent)
+//   account  the account cart wins
+// Every merged quantity is capped to the stock left when the product tracks stock.
+//
+// ENV:
+//  - GUEST_TOKEN_SECRET      (default: derived from JWT_SECRET)
+//  - GUEST_CART_TTL_DAYS     token lifetime, and how long a guest cart is kept after it was started (default: 30)
+//  - CART_MERGE_RULE         (default: max)
+
+import crypto from "crypto";
+
+export const GUEST_TOKEN_HEADER = "x-guest-token";
+
+export const CART_MERGE_RULES = Object.freeze(["max", "sum", "guest", "account"]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const GUEST_CART_TTL_DAYS = Math.max(1, Number(process.env.GUEST_CART_TTL_DAYS || 30));
+
+export const CART_MERGE_RULE = CART_MERGE_RULES.includes(String(process.env.CART_MERGE_RULE || "").trim().toLowerCase())
+  ? String(process.env.CART_MERGE_RULE).trim().toLowerCase()
+  : "max";
+
+export function guestError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+/* ---------------- guest tokens ---------------- */
+
+function secret() {
+  return process.env.GUEST_TOKEN_SECRET || `${process.env.JWT_SECRET || "mysecretkey"}:guest-cart`;
+}
+
+function hmac(guestId, exp) {
+  return crypto.createHmac("sha256", secret()).update(`${guestId}.${exp}`).digest("base64url");
+}
+
+/**
+ * A fresh token; pass the current guestId to extend a session without losing its cart.
+ */
+export function issueGuestToken({ guestId = crypto.randomBytes(16).toString("hex"), now = Date.now(), ttlDays = GUEST_CART_TTL_DAYS } = {}) {
+  const exp = Math.floor((now + ttlDays * DAY_MS) / 1000);
+  return { token: `${guestId}.${exp}.${hmac(guestId, exp)}`, guestId, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * guestId from a token, or null when it's malformed, forged or expired.
+ */
+export function verifyGuestToken(token, { now = Date.now() } = {}) {
+  const parts = String(token || "").trim().split(".");
+  if (parts.length !== 3) return null;
+  const [guestId, expStr, sig] = parts;
+  const exp = Number(expStr);
+  if (!/^[a-f0-9]{32}$/.test(guestId) || !Number.isInteger(exp) || !sig) return null;
+
+  const expected = Buffer.from(hmac(guestId, exp));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return exp * 1000 < now ? null : guestId;
+}
+
+/* ---------------- guest checkout contact ---------------- */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function cleanStr(v, max) {
+  return typeof v === "string" ? v.trim().slice(0, max) : "";
+}
+
+/**
+ * { email, phone, firstName, lastName, name } from a checkout's `guest` block, or { error }.
+ * Name falls back to the shipping address name.
+ */
+export function parseGuestContact(guest, shippingAddress = null) {
+  const email = cleanStr(guest?.email, 200).toLowerCase();
+  if (!email || !EMAIL_RE.test(email)) return { error: "A valid email is required for guest checkout" };
+
+  const phone = cleanStr(guest?.phone || shippingAddress?.phone, 30).replace(/[\s-]/g, "");
+  if (!/^\+?[0-9]{7,15}$/.test(phone)) return { error: "A valid phone number is required for guest checkout" };
+
+  const fullName = cleanStr(guest?.name || shippingAddress?.fullName || shippingAddress?.name, 120);
+  const firstName = cleanStr(guest?.firstName, 60) || fullName.split(/\s+/)[0] || "";
+  const lastName = cleanStr(guest?.lastName, 60) || fullName.split(/\s+/).slice(1).join(" ");
+  return { email, phone, firstName, lastName, name: [firstName, lastName].filter(Boolean).join(" ") || email };
+}
+
+/* ---------------- merge ---------------- */
+
+function lineKey(item) {
+  return `${String(item?.productId || "")}|${String(item?.variantSku || "")}`;
+}
+
+function qtyOf(item) {
+  const q = Math.floor(Number(item?.quantity));
+  return Number.isFinite(q) && q > 0 ? q : 0;
+}
+
+function combine(rule, accountQty, guestQty) {
+  if (rule === "sum") return accountQty + guestQty;
+  if (rule === "guest") return guestQty;
+  if (rule === "account") return accountQty;
+  return Math.max(accountQty, guestQty);
+}
+
+/**
+ * Raw cart totals, same shape as calculateTotals() in routes/cartRoutes.js.
+ */
+export function cartTotals(items) {
+  let subtotal = 0;
+  let totalQuantity = 0;
+  for (const it of items || []) {
+    subtotal += Number(it?.price || 0) * Number(it?.quantity || 0);
+    totalQuantity += Number(it?.quantity || 0);
+  }
+  return { subtotal, shippingFee: 0, grandTotal: subtotal, totalQuantity };
+}
+
+/**
+ * Merge guest cart lines into the account cart lines.
+ * stockByProduct: Map productId -> units available (absent = not limited).
+ * Returns { items, summary: { added, combined, capped, dropped } }; the account's lines keep their order.
+ */
+export function mergeCartItems(accountItems, guestItems, { rule = CART_MERGE_RULE, stockByProduct = new Map() } = {}) {
+  const summary = { added: 0, combined: 0, capped: 0, dropped: 0 };
+  const items = (Array.isArray(accountItems) ? accountItems : []).map((it) => ({ ...it }));
+  const index = new Map(items.map((it, i) => [lineKey(it), i]));
+
+  for (const g of Array.isArray(guestItems) ? guestItems : []) {
+    const guestQty = qtyOf(g);
+    if (!g?.productId || !guestQty) continue;
+
+    const at = index.get(lineKey(g));
+    if (at === undefined) {
+      index.set(lineKey(g), items.length);
+      items.push({ ...g, quantity: guestQty });
+      summary.added += 1;
+    } else {
+      items[at].quantity = combine(rule, qtyOf(items[at]), guestQty);
+      summary.combined += 1;
+    }
+  }
+
+  const out = [];
+  for (const it of items) {
+    const limit = stockByProduct.get(String(it.productId));
+    if (limit !== undefined && it.quantity > limit) {
+      if (limit < 1) {
+        summary.dropped += 1;
+        continue;
+      }
+      it.quantity = limit;
+      summary.capped += 1;
+    }
+    out.push(it);
+  }
+  return { items: out, summary };
+}
@@ -0,0 +1,133 @@
+// services/cart/guestCartService.js (ESM)
+//
+// Guest cart storage, merge into account carts, and the lightweight customer record
+// behind a guest checkout. Rules live in guestCart.js.
+//
+// A guest cart is a regular `carts` document with { guestId, userId: null }, so the
+// account-only readers (orders, cart recovery) never see it. Guest carts that were never
+// merged are dropped by the TTL index from scripts/createGuestCartIndexes.js.
+
+import { loadInventoryPolicy } from "../inventory/stockMovements.js";
+import { toObjectIdSafe } from "../../utils/notify.js";
+import { CART_MERGE_RULE, cartTotals, guestError, mergeCartItems } from "./guestCart.js";
+
+/**
+ * Mongo filter for the cart of a cart owner ({ userId } or { guestId }), null when neither is usable.
+ */
+export function cartOwnerFilter(owner) {
+  if (owner?.guestId) return { guestId: String(owner.guestId) };
+  const uid = toObjectIdSafe(owner?.userId);
+  return uid ? { userId: uid } : null;
+}
+
+/**
+ * Units a cart line may hold per product, only for products whose stock is enforced.
+ */
+async function stockLimits(db, items) {
+  const policy = await loadInventoryPolicy(db);
+  if (!policy.trackStock || policy.allowBackorder) return new Map();
+
+  const ids = [...new Set(items.map((it) => String(it.productId)))].map(toObjectIdSafe).filter(Boolean);
+  if (!ids.length) return new Map();
+
+  const products = await db
+    .collection("products")
+    .find({ _id: { $in: ids } }, { projection: { quantity: 1 } })
+    .toArray();
+  return new Map(
+    products
+      .filter((p) => Number.isFinite(Number(p.quantity)))
+      .map((p) => [String(p._id), Math.max(0, Math.floor(Number(p.quantity)))])
+  );
+}
+
+/**
+ * Move the guest cart's lines into the account cart and delete the guest cart.
+ * replace: drop whatever the account cart held first (guest checkout, where the account
+ * is the guest's own lightweight record).
+ * Returns { added, combined, capped, dropped, rule, itemCount }, or null when there was nothing to merge.
+ */
+export async function mergeGuestCartIntoUser(db, { guestId, userId, rule = CART_MERGE_RULE, replace = false, now = new Date() }) {
+  const uid = toObjectIdSafe(userId);
+  if (!guestId || !uid) return null;
+
+  const Carts = db.collection("carts");
+  const guestCart = await Carts.findOne({ guestId: String(guestId) });
+  const guestItems = Array.isArray(guestCart?.items) ? guestCart.items : [];
+
+  if (!guestItems.length) {
+    if (guestCart) await Carts.deleteOne({ _id: guestCart._id });
+    // Leftovers of an earlier guest checkout must not be ordered again
+    if (replace) {
+      await Carts.updateOne(
+        { userId: uid },
+        { $set: { items: [], totals: cartTotals([]), updatedAt: now }, $unset: { adminCoupon: "" } }
+      );
+    }
+    return null;
+  }
+
+  const accountCart = await Carts.findOne({ userId: uid });
+  const accountItems = replace ? [] : Array.isArray(accountCart?.items) ? accountCart.items : [];
+
+  const stockByProduct = await stockLimits(db, [...accountItems, ...guestItems]);
+  const { items, summary } = mergeCartItems(accountItems, guestItems, { rule, stockByProduct });
+
+  // The account's own coupon wins; otherwise the one applied while browsing as a guest
+  const adminCoupon = (!replace && accountCart?.adminCoupon) || guestCart.adminCoupon || null;
+  const set = { items, totals: cartTotals(items), updatedAt: now, mergedFromGuestAt: now };
+
+  if (accountCart) {
+    await Carts.updateOne(
+      { _id: accountCart._id },
+      adminCoupon ? { $set: { ...set, adminCoupon } } : { $set: set, $unset: { adminCoupon: "" } }
+    );
+  } else {
+    await Carts.insertOne({ userId: uid, mode: "CART", ...set, ...(adminCoupon ? { adminCoupon } : {}), createdAt: now });
+  }
+  await Carts.deleteOne({ _id: guestCart._id });
+
+  return { ...summary, rule, itemCount: items.length };
+}
+
+/**
+ * The customer record a guest checkout is placed under: the email's earlier guest record,
+ * or a new passwordless one. A registered account with that email has to log in instead (409).
+ * It becomes a full account once a password is set through the reset link
+ * (register sends that link for these emails).
+ */
+export async function ensureGuestCustomer(db, contact, { now = new Date() } = {}) {
+  const Users = db.collection("users");
+  const details = { phone: contact.phone, firstName: contact.firstName, lastName: contact.lastName, name: contact.name };
+
+  const existing = await Users.findOne({ email: contact.email });
+  if (existing && existing.guest !== true) {
+    throw guestError("An account already uses this email. Please log in to check out.", "ACCOUNT_EXISTS", 409);
+  }
+  if (existing?.blocked) {
+    throw guestError("This email cannot be used for checkout. Please contact support.", "GUEST_BLOCKED", 403);
+  }
+
+  if (existing) {
+    await Users.updateOne({ _id: existing._id }, { $set: { ...details, lastGuestCheckoutAt: now, updatedAt: now } });
+    return { ...existing, ...details };
+  }
+
+  const doc = {
+    ...details,
+    email: contact.email,
+    password: null,
+    guest: true,
+
+    role: "customer",
+    blocked: false,
+    status: "active",
+    emailVerified: false,
+
+    lastGuestCheckoutAt: now,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const { insertedId } = await Users.insertOne(doc);
+  return { _id: insertedId, ...doc };
+}
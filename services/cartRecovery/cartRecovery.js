@@ -0,0 +1,247 @@
+// services/cartRecovery/cartRecovery.js (ESM)
+//
+// Abandoned cart recovery rules, no I/O (cartRecoveryService.js does the reads and writes).
+//
+// A cart is abandoned once it has sat untouched for the first reminder window. Each time
+// that happens a `cartRecoveries` episode is opened with a snapshot of the cart priced by
+// applyDiscounts, then reminders go out at each window (hours since the cart was last
+// touched). Touching the cart again stops the episode; the next idle spell opens a new one.
+//
+//   pending  -> completed       every reminder sent
+//            -> stopped         cart changed or emptied before the sequence finished
+//            -> unsubscribed    customer opted out of cart reminders
+//   pending | completed | stopped -> converted   order placed within the attribution window
+//                                 -> expired     attribution window passed
+//
+// ENV:
+//  - CART_RECOVERY_STEPS_HOURS          (default: 1,24,72)
+//  - CART_RECOVERY_MIN_SUBTOTAL         (default: 0)
+//  - CART_RECOVERY_LOOKBACK_DAYS        carts idle longer than this are left alone (default: 14)
+//  - CART_RECOVERY_ATTRIBUTION_DAYS     (default: 7)
+//  - CART_RECOVERY_COUPON_PERCENT       0 disables recovery coupons (default: 0)
+//  - CART_RECOVERY_COUPON_STEP          1-based reminder that carries the coupon (default: last)
+//  - CART_RECOVERY_COUPON_MAX_DISCOUNT  (default: none)
+//  - CART_RECOVERY_COUPON_VALID_HOURS   (default: 48)
+//  - CART_RECOVERY_UNSUBSCRIBE_SECRET   (default: derived from JWT_SECRET)
+
+import crypto from "crypto";
+
+export const CART_RECOVERY_STATUS = Object.freeze({
+  PENDING: "pending",
+  COMPLETED: "completed",
+  STOPPED: "stopped",
+  UNSUBSCRIBED: "unsubscribed",
+  CONVERTED: "converted",
+  EXPIRED: "expired",
+});
+
+// Episodes an order can still be attributed to
+export const ATTRIBUTABLE_STATUSES = Object.freeze([
+  CART_RECOVERY_STATUS.PENDING,
+  CART_RECOVERY_STATUS.COMPLETED,
+  CART_RECOVERY_STATUS.STOPPED,
+]);
+
+export const RECOVERY_COUPON_SOURCE = "cart_recovery";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_STEPS_HOURS = [1, 24, 72];
+
+const n = (v, d = 0) => {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+};
+
+const round2 = (v) => Math.round(n(v, 0) * 100) / 100;
+
+/**
+ * "1, 24,72" -> [1, 24, 72]. Ascending, positive, deduplicated; the default when nothing usable.
+ */
+export function parseStepHours(raw) {
+  const hours = String(raw || "")
+    .split(",")
+    .map((s) => Number(s.trim()))
+    .filter((h) => Number.isFinite(h) && h > 0);
+  const out = [...new Set(hours)].sort((a, b) => a - b);
+  return out.length ? out : [...DEFAULT_STEPS_HOURS];
+}
+
+export function loadCartRecoveryConfig(env = process.env) {
+  const stepsHours = parseStepHours(env.CART_RECOVERY_STEPS_HOURS);
+  const couponPercent = Math.min(90, Math.max(0, n(env.CART_RECOVERY_COUPON_PERCENT, 0)));
+  const couponStep = Math.floor(n(env.CART_RECOVERY_COUPON_STEP, stepsHours.length));
+  const maxDiscount = n(env.CART_RECOVERY_COUPON_MAX_DISCOUNT, 0);
+
+  return {
+    stepsHours,
+    minSubtotal: Math.max(0, n(env.CART_RECOVERY_MIN_SUBTOTAL, 0)),
+    lookbackDays: Math.max(1, n(env.CART_RECOVERY_LOOKBACK_DAYS, 14)),
+    attributionDays: Math.max(1, n(env.CART_RECOVERY_ATTRIBUTION_DAYS, 7)),
+    coupon: {
+      percent: couponPercent,
+      step: couponStep >= 1 && couponStep <= stepsHours.length ? couponStep : stepsHours.length,
+      maxDiscount: maxDiscount > 0 ? maxDiscount : null,
+      validHours: Math.max(1, n(env.CART_RECOVERY_COUPON_VALID_HOURS, 48)),
+    },
+  };
+}
+
+export const CART_RECOVERY_CONFIG = loadCartRecoveryConfig();
+
+/**
+ * When reminder `stepIndex` (0-based) is due for a cart idle since `idleSince`; null past the last.
+ */
+export function stepDueAt(idleSince, stepIndex, stepsHours = CART_RECOVERY_CONFIG.stepsHours) {
+  if (stepIndex < 0 || stepIndex >= stepsHours.length) return null;
+  return new Date(new Date(idleSince).getTime() + stepsHours[stepIndex] * HOUR_MS);
+}
+
+/**
+ * Mongo filter for carts that have been idle long enough to open an episode.
+ * Carts already snapshotted at their current updatedAt are skipped via recovery.cartUpdatedAt.
+ */
+export function abandonedCartFilter(now = new Date(), config = CART_RECOVERY_CONFIG) {
+  return {
+    userId: { $ne: null },
+    "items.0": { $exists: true },
+    updatedAt: {
+      $lte: new Date(now.getTime() - config.stepsHours[0] * HOUR_MS),
+      $gte: new Date(now.getTime() - config.lookbackDays * DAY_MS),
+    },
+    $expr: { $ne: [{ $ifNull: ["$recovery.cartUpdatedAt", null] }, "$updatedAt"] },
+  };
+}
+
+/**
+ * What the customer left behind, as the reminders show it.
+ * pricing is the applyDiscounts result for the cart (null when pricing failed).
+ */
+export function buildCartSnapshot(cart, pricing, now = new Date()) {
+  const items = (Array.isArray(cart?.items) ? cart.items : []).map((it) => ({
+    productId: it?.productId ? String(it.productId) : null,
+    title: it?.title || "",
+    image: it?.image || null,
+    price: round2(it?.price),
+    quantity: Math.max(1, Math.floor(n(it?.quantity, 1))),
+    sellerId: it?.sellerId ? String(it.sellerId) : null,
+  }));
+
+  const subtotal = round2(items.reduce((s, it) => s + it.price * it.quantity, 0));
+  const totals = pricing?.totals || {};
+  const discountTotal = round2(n(totals.sellerDiscountTotal, 0) + n(totals.adminDiscountTotal, 0));
+
+  return {
+    items,
+    itemCount: items.reduce((s, it) => s + it.quantity, 0),
+    subtotal,
+    discountTotal,
+    grandTotal: pricing ? round2(n(totals.grandTotal, subtotal - discountTotal)) : subtotal,
+    couponCode: cart?.adminCoupon?.code || null,
+    capturedAt: now,
+  };
+}
+
+// No 0/O/1/I/L, same as gift card codes
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+export function generateRecoveryCouponCode() {
+  const bytes = crypto.randomBytes(8);
+  let out = "";
+  for (const b of bytes) out += CODE_ALPHABET[b % CODE_ALPHABET.length];
+  return `BACK-${out}`;
+}
+
+/**
+ * Discount document for a single-use coupon only `userId` can redeem. Shaped like an
+ * admin coupon (routes/adminCouponRoutes.js) so the cart and the engine treat it the same.
+ */
+export function recoveryCouponDoc({ recoveryId, userId, code, config = CART_RECOVERY_CONFIG, now = new Date() }) {
+  return {
+    authority: "admin",
+    codeType: "coupon",
+    code,
+    kind: "percentage",
+    value: config.coupon.percent,
+    maxDiscount: config.coupon.maxDiscount,
+    minCartSubtotal: null,
+    usageLimitTotal: 1,
+    perUserLimit: 1,
+    usedCount: 0,
+    allowedUserIds: [String(userId)],
+    firstOrderOnly: false,
+    customerSegment: "all",
+    newCustomerDays: null,
+    allowedPaymentMethods: [],
+    status: "active",
+    isActive: true,
+    startAt: now,
+    endAt: new Date(now.getTime() + config.coupon.validHours * HOUR_MS),
+    stackableWithFreeShipping: true,
+    source: RECOVERY_COUPON_SOURCE,
+    cartRecoveryId: String(recoveryId),
+    createdBy: { userId: null, role: "system" },
+    updatedBy: { userId: null, role: "system" },
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * How an order relates to an episode: { viaCoupon, afterStep } or null when it doesn't count.
+ * The recovery coupon always attributes; otherwise a reminder must have gone out within
+ * attributionDays before the order.
+ */
+export function attributionFor(recovery, order, { now = new Date(), config = CART_RECOVERY_CONFIG } = {}) {
+  if (!recovery || !order) return null;
+  if (!ATTRIBUTABLE_STATUSES.includes(recovery.status)) return null;
+
+  const stepsSent = n(recovery.stepsSent, 0);
+  const couponCode = recovery.coupon?.code || null;
+  const orderCoupon = String(order.discounts?.couponCode || "").toUpperCase();
+  if (couponCode && orderCoupon === couponCode) return { viaCoupon: true, afterStep: stepsSent };
+
+  if (stepsSent < 1 || !recovery.lastSentAt) return null;
+  const since = now.getTime() - new Date(recovery.lastSentAt).getTime();
+  if (since < 0 || since > config.attributionDays * DAY_MS) return null;
+  return { viaCoupon: false, afterStep: stepsSent };
+}
+
+/* ---------------- unsubscribe links ---------------- */
+
+function unsubscribeSecret() {
+  return process.env.CART_RECOVERY_UNSUBSCRIBE_SECRET || `${process.env.JWT_SECRET || "mysecretkey"}:cart-recovery`;
+}
+
+function unsubscribeHmac(userId) {
+  return crypto.createHmac("sha256", unsubscribeSecret()).update(`cart-reminders.${userId}`).digest("base64url");
+}
+
+/**
+ * `<userId>.<sig>`. Doesn't expire: unsubscribe links in old emails must keep working.
+ */
+export function signUnsubscribeToken(userId) {
+  const uid = String(userId || "");
+  return `${uid}.${unsubscribeHmac(uid)}`;
+}
+
+/**
+ * userId from a token, or null when it's malformed or forged.
+ */
+export function verifyUnsubscribeToken(token) {
+  const [uid, sig, extra] = String(token || "").split(".");
+  if (!uid || !sig || extra !== undefined || !/^[a-f0-9]{24}$/i.test(uid)) return null;
+
+  const expected = Buffer.from(unsubscribeHmac(uid));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return uid;
+}
+
+/**
+ * Customers get cart reminders unless they opted out (users.notificationPrefs.cartReminders).
+ */
+export function remindersAllowed(user) {
+  if (!user || user.blocked) return false;
+  return user.notificationPrefs?.cartReminders !== false;
+}
@@ -0,0 +1,467 @@
+// services/cartRecovery/cartRecoveryService.js (ESM)
+//
+// Abandoned cart recovery against Mongo. Rules live in ./cartRecovery.js.
+//
+// - `cartRecoveries`  one episode per idle spell of a cart: snapshot, reminders sent, coupon,
+//                     conversion. The cart keeps `recovery: { episodeId, cartUpdatedAt }` so
+//                     the same idle spell isn't picked up twice.
+// - `discounts`       recovery coupons (source: "cart_recovery"), single use, owner only
+//
+// Reminders are claimed (stepsSent bumped) before anything is sent, so two job runs never
+// send the same step twice; a crash mid-send loses that reminder rather than repeating it.
+//
+// Requires MongoDB indexes (scripts/createCartRecoveryIndexes.js).
+
+import { ObjectId } from "mongodb";
+
+import { applyDiscounts } from "../../utils/discountEngine.js";
+import { enqueueEmail } from "../../utils/emailQueue.js";
+import { notifyCustomer } from "../../utils/notify.js";
+import {
+  CART_RECOVERY_STATUS,
+  CART_RECOVERY_CONFIG,
+  ATTRIBUTABLE_STATUSES,
+  abandonedCartFilter,
+  attributionFor,
+  buildCartSnapshot,
+  generateRecoveryCouponCode,
+  recoveryCouponDoc,
+  remindersAllowed,
+  signUnsubscribeToken,
+  stepDueAt,
+} from "./cartRecovery.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  const s = String(id).trim();
+  return ObjectId.isValid(s) ? new ObjectId(s) : null;
+}
+
+function isDuplicateKeyError(err) {
+  return err?.code === 11000 || String(err?.message || "").includes("E11000");
+}
+
+function frontendUrl() {
+  return String(process.env.FRONTEND_URL || "").replace(/\/+$/, "");
+}
+
+function formatRs(v) {
+  return `Rs ${Number(v || 0).toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+}
+
+function sameTime(a, b) {
+  return a && b && new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Cart in the shape applyDiscounts takes, priced from the current product documents.
+ */
+async function pricingInputForCart(db, cart) {
+  const items = Array.isArray(cart?.items) ? cart.items : [];
+  const ids = items.map((it) => toObjectId(it?.productId)).filter(Boolean);
+  const products = ids.length
+    ? await db
+        .collection("products")
+        .find({ _id: { $in: ids } }, { projection: { _id: 1, price: 1, userId: 1, categoryId: 1, category: 1 } })
+        .toArray()
+    : [];
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  return {
+    items: items.map((it) => {
+      const p = byId.get(String(it?.productId || ""));
+      const categoryId = p?.categoryId || p?.category?._id || p?.category || null;
+      return {
+        productId: it?.productId ? String(it.productId) : null,
+        quantity: Math.max(1, Math.floor(Number(it?.quantity || 1))),
+        price: Math.max(0, Number(p?.price ?? it?.price ?? 0)),
+        sellerId: it?.sellerId ? String(it.sellerId) : p?.userId ? String(p.userId) : null,
+        categoryId: categoryId ? String(categoryId) : null,
+      };
+    }),
+    shippingFee: Math.max(0, Number(cart?.totals?.shippingFee || 0)),
+  };
+}
+
+async function priceCart(db, cart) {
+  try {
+    return await applyDiscounts(await pricingInputForCart(db, cart), {
+      db,
+      couponCode: cart?.adminCoupon?.code || "",
+      userId: String(cart.userId),
+    });
+  } catch (err) {
+    console.error("[CART_RECOVERY] pricing failed", { cartId: String(cart?._id), error: err?.message });
+    return null;
+  }
+}
+
+async function loadCustomer(db, userId) {
+  const uid = toObjectId(userId);
+  if (!uid) return null;
+  return db.collection("users").findOne(
+    { _id: uid, role: { $in: ["customer", "user"] } },
+    { projection: { _id: 1, email: 1, firstName: 1, name: 1, blocked: 1, status: 1, notificationPrefs: 1 } }
+  );
+}
+
+/**
+ * Open an episode for every cart that went idle since the last run.
+ */
+export async function detectAbandonedCarts(db, { now = new Date(), limit = 200, config = CART_RECOVERY_CONFIG } = {}) {
+  const Carts = db.collection("carts");
+  const Recoveries = db.collection("cartRecoveries");
+
+  const carts = await Carts.find(abandonedCartFilter(now, config), {
+    sort: { updatedAt: 1 },
+    limit,
+    projection: { _id: 1, userId: 1, items: 1, totals: 1, adminCoupon: 1, updatedAt: 1, recovery: 1 },
+  }).toArray();
+
+  let opened = 0;
+  let skipped = 0;
+  for (const cart of carts) {
+    const mark = (episodeId) =>
+      Carts.updateOne(
+        { _id: cart._id, updatedAt: cart.updatedAt },
+        { $set: { recovery: { episodeId, cartUpdatedAt: cart.updatedAt, checkedAt: now } } }
+      );
+
+    // The previous idle spell is over: the customer came back and changed the cart.
+    if (cart.recovery?.episodeId) {
+      await Recoveries.updateOne(
+        { _id: cart.recovery.episodeId, status: CART_RECOVERY_STATUS.PENDING },
+        { $set: { status: CART_RECOVERY_STATUS.STOPPED, stoppedReason: "cart_changed", nextStepAt: null, updatedAt: now } }
+      );
+    }
+
+    const user = await loadCustomer(db, cart.userId);
+    const pricing = user && remindersAllowed(user) ? await priceCart(db, cart) : null;
+    const snapshot = buildCartSnapshot(cart, pricing, now);
+    if (!user || !remindersAllowed(user) || !user.email || snapshot.subtotal < config.minSubtotal) {
+      await mark(null);
+      skipped += 1;
+      continue;
+    }
+
+    const episode = {
+      _id: new ObjectId(),
+      cartId: cart._id,
+      userId: user._id,
+      cartUpdatedAt: cart.updatedAt,
+      status: CART_RECOVERY_STATUS.PENDING,
+      snapshot,
+      stepsHours: config.stepsHours,
+      stepsSent: 0,
+      steps: [],
+      nextStepAt: stepDueAt(cart.updatedAt, 0, config.stepsHours),
+      lastSentAt: null,
+      coupon: null,
+      conversion: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await Recoveries.insertOne(episode);
+    } catch (err) {
+      // Another run opened this idle spell first.
+      if (!isDuplicateKeyError(err)) throw err;
+      skipped += 1;
+      continue;
+    }
+    await mark(episode._id);
+    opened += 1;
+  }
+
+  return { opened, skipped };
+}
+
+async function issueRecoveryCoupon(db, episode, { now, config }) {
+  const Discounts = db.collection("discounts");
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const doc = recoveryCouponDoc({
+      recoveryId: episode._id,
+      userId: episode.userId,
+      code: generateRecoveryCouponCode(),
+      config,
+      now,
+    });
+    const clash = await Discounts.findOne({ code: doc.code }, { projection: { _id: 1 } });
+    if (clash) continue;
+    const { insertedId } = await Discounts.insertOne(doc);
+    return { discountId: insertedId, code: doc.code, percent: doc.value, maxDiscount: doc.maxDiscount, expiresAt: doc.endAt };
+  }
+  return null;
+}
+
+function reminderCopy(stepNumber, snapshot, coupon) {
+  const first = snapshot.items[0]?.title || "your items";
+  const more = snapshot.items.length > 1 ? ` and ${snapshot.items.length - 1} more` : "";
+  if (coupon) {
+    return {
+      subject: `${coupon.percent}% off the items in your cart`,
+      title: `Still thinking it over? Here's ${coupon.percent}% off`,
+      body: `Use ${coupon.code} on ${first}${more} before it expires.`,
+    };
+  }
+  if (stepNumber === 1) {
+    return {
+      subject: "You left something in your cart",
+      title: "You left something in your cart",
+      body: `${first}${more} is waiting for you.`,
+    };
+  }
+  return {
+    subject: "Your cart is still waiting",
+    title: "Your cart is still waiting",
+    body: `${first}${more} may not stay in stock for long.`,
+  };
+}
+
+async function sendReminder(db, episode, user, { stepNumber, coupon }) {
+  const copy = reminderCopy(stepNumber, episode.snapshot, coupon);
+  const cartLink = `${frontendUrl()}/cart${coupon ? `?coupon=${encodeURIComponent(coupon.code)}` : ""}`;
+  const channels = { push: false, email: false, emailError: null };
+
+  try {
+    await notifyCustomer({
+      customerId: user._id,
+      type: "cart_reminder",
+      title: copy.title,
+      body: copy.body,
+      link: "/cart",
+      meta: { cartRecoveryId: String(episode._id), step: stepNumber, couponCode: coupon?.code || null },
+    });
+    channels.push = true;
+  } catch (err) {
+    console.error("[CART_RECOVERY] push failed", { recoveryId: String(episode._id), error: err?.message });
+  }
+
+  // The page posts the token to POST /api/cart-recovery/unsubscribe.
+  const unsubscribeLink = `${frontendUrl()}/unsubscribe/cart-reminders?token=${encodeURIComponent(signUnsubscribeToken(user._id))}`;
+  const sent = await enqueueEmail({
+    type: "marketing.cart_recovery",
+    templateId: "cart_recovery_customer",
+    subject: copy.subject,
+    priority: "low",
+    to: [user.email],
+    idempotencyKey: `marketing.cart_recovery:${String(episode._id)}:${stepNumber}`,
+    variables: {
+      customerName: user.firstName || user.name || "there",
+      headline: copy.title,
+      items: episode.snapshot.items.slice(0, 5).map((it) => ({
+        name: it.title,
+        image: it.image,
+        qty: it.quantity,
+        price: formatRs(it.price),
+      })),
+      moreItems: Math.max(0, episode.snapshot.items.length - 5),
+      subtotal: formatRs(episode.snapshot.subtotal),
+      total: formatRs(episode.snapshot.grandTotal),
+      couponCode: coupon?.code || null,
+      couponPercent: coupon?.percent || null,
+      couponExpiresAt: coupon?.expiresAt ? new Date(coupon.expiresAt).toUTCString() : null,
+      cartLink,
+      unsubscribeLink,
+    },
+    meta: { refs: { userId: String(user._id), cartRecoveryId: String(episode._id), step: stepNumber } },
+  });
+  channels.email = Boolean(sent.ok);
+  if (!sent.ok) channels.emailError = sent.error || null;
+
+  return channels;
+}
+
+/**
+ * Send every reminder that's due. Episodes whose cart moved on are stopped instead.
+ */
+export async function sendDueReminders(db, { now = new Date(), limit = 200, config = CART_RECOVERY_CONFIG } = {}) {
+  const Carts = db.collection("carts");
+  const Recoveries = db.collection("cartRecoveries");
+
+  const due = await Recoveries.find(
+    { status: CART_RECOVERY_STATUS.PENDING, nextStepAt: { $lte: now } },
+    { sort: { nextStepAt: 1 }, limit }
+  ).toArray();
+
+  let sent = 0;
+  let stopped = 0;
+  for (const episode of due) {
+    const stop = async (status, reason) => {
+      await Recoveries.updateOne(
+        { _id: episode._id, status: CART_RECOVERY_STATUS.PENDING },
+        { $set: { status, stoppedReason: reason, nextStepAt: null, updatedAt: now } }
+      );
+      stopped += 1;
+    };
+
+    const cart = await Carts.findOne({ _id: episode.cartId }, { projection: { items: 1, updatedAt: 1 } });
+    if (!cart?.items?.length) {
+      await stop(CART_RECOVERY_STATUS.STOPPED, "cart_emptied");
+      continue;
+    }
+    if (!sameTime(cart.updatedAt, episode.cartUpdatedAt)) {
+      await stop(CART_RECOVERY_STATUS.STOPPED, "cart_changed");
+      continue;
+    }
+    const user = await loadCustomer(db, episode.userId);
+    if (!remindersAllowed(user) || !user?.email) {
+      await stop(CART_RECOVERY_STATUS.UNSUBSCRIBED, user ? "opted_out" : "user_missing");
+      continue;
+    }
+
+    // After downtime several steps can be due at once: send only the latest of them.
+    const stepsHours = episode.stepsHours?.length ? episode.stepsHours : config.stepsHours;
+    const sentBefore = Number(episode.stepsSent || 0);
+    let stepIndex = sentBefore;
+    while (stepIndex + 1 < stepsHours.length && stepDueAt(episode.cartUpdatedAt, stepIndex + 1, stepsHours) <= now) {
+      stepIndex += 1;
+    }
+    const stepNumber = stepIndex + 1;
+    const isLast = stepNumber >= stepsHours.length;
+
+    const claim = await Recoveries.updateOne(
+      { _id: episode._id, status: CART_RECOVERY_STATUS.PENDING, stepsSent: sentBefore },
+      {
+        $set: {
+          stepsSent: stepNumber,
+          lastSentAt: now,
+          nextStepAt: isLast ? null : stepDueAt(episode.cartUpdatedAt, stepIndex + 1, stepsHours),
+          ...(isLast ? { status: CART_RECOVERY_STATUS.COMPLETED } : {}),
+          updatedAt: now,
+        },
+      }
+    );
+    if (!claim.modifiedCount) continue;
+
+    let coupon = episode.coupon || null;
+    if (!coupon && config.coupon.percent > 0 && stepNumber >= config.coupon.step) {
+      coupon = await issueRecoveryCoupon(db, episode, { now, config });
+      if (coupon) await Recoveries.updateOne({ _id: episode._id }, { $set: { coupon } });
+    }
+
+    const channels = await sendReminder(db, episode, user, { stepNumber, coupon });
+    await Recoveries.updateOne(
+      { _id: episode._id },
+      { $push: { steps: { step: stepNumber, sentAt: now, couponCode: coupon?.code || null, ...channels } } }
+    );
+    sent += 1;
+  }
+
+  return { sent, stopped };
+}
+
+/**
+ * Close episodes whose attribution window has passed without an order.
+ */
+export async function expireCartRecoveries(db, { now = new Date(), config = CART_RECOVERY_CONFIG } = {}) {
+  const cutoff = new Date(now.getTime() - config.attributionDays * DAY_MS);
+  const r = await db.collection("cartRecoveries").updateMany(
+    {
+      status: { $in: [CART_RECOVERY_STATUS.COMPLETED, CART_RECOVERY_STATUS.STOPPED] },
+      $or: [{ lastSentAt: { $lt: cutoff } }, { lastSentAt: null, updatedAt: { $lt: cutoff } }],
+    },
+    { $set: { status: CART_RECOVERY_STATUS.EXPIRED, nextStepAt: null, updatedAt: now } }
+  );
+  return { expired: r.modifiedCount || 0 };
+}
+
+/**
+ * Credit a new order to the customer's most recent recovery episode, if it earned it.
+ * Best effort: callers log and move on when this fails.
+ */
+export async function attributeOrderToCartRecovery(db, order, { now = new Date(), config = CART_RECOVERY_CONFIG } = {}) {
+  const uid = toObjectId(order?.userId);
+  if (!uid || !order?._id) return null;
+
+  const Recoveries = db.collection("cartRecoveries");
+  const candidates = await Recoveries.find(
+    { userId: uid, status: { $in: ATTRIBUTABLE_STATUSES } },
+    { sort: { createdAt: -1 }, limit: 5 }
+  ).toArray();
+
+  for (const episode of candidates) {
+    const attribution = attributionFor(episode, order, { now, config });
+    if (!attribution) continue;
+
+    const conversion = {
+      orderId: order._id,
+      orderNumber: order.orderNumber || null,
+      amount: Number(order.totals?.grandTotal || 0),
+      viaCoupon: attribution.viaCoupon,
+      afterStep: attribution.afterStep,
+      at: now,
+    };
+    const r = await Recoveries.updateOne(
+      { _id: episode._id, status: { $in: ATTRIBUTABLE_STATUSES } },
+      { $set: { status: CART_RECOVERY_STATUS.CONVERTED, conversion, nextStepAt: null, updatedAt: now } }
+    );
+    if (r.modifiedCount) return { recoveryId: episode._id, ...conversion };
+  }
+  return null;
+}
+
+/**
+ * Opt a customer out of (or back into) cart reminders. Open episodes stop on opt-out.
+ */
+export async function setCartReminderPreference(db, userId, enabled, { now = new Date() } = {}) {
+  const uid = toObjectId(userId);
+  if (!uid) return { ok: false };
+
+  const r = await db
+    .collection("users")
+    .updateOne({ _id: uid }, { $set: { "notificationPrefs.cartReminders": Boolean(enabled), updatedAt: now } });
+  if (!r.matchedCount) return { ok: false };
+
+  if (!enabled) {
+    await db.collection("cartRecoveries").updateMany(
+      { userId: uid, status: CART_RECOVERY_STATUS.PENDING },
+      { $set: { status: CART_RECOVERY_STATUS.UNSUBSCRIBED, stoppedReason: "opted_out", nextStepAt: null, updatedAt: now } }
+    );
+  }
+  return { ok: true, cartReminders: Boolean(enabled) };
+}
+
+/**
+ * Episode counts, reminders, conversions and recovered revenue for episodes opened in [from, to).
+ */
+export async function cartRecoveryStats(db, { from, to }) {
+  const [row] = await db
+    .collection("cartRecoveries")
+    .aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: null,
+          episodes: { $sum: 1 },
+          abandonedValue: { $sum: "$snapshot.grandTotal" },
+          reminded: { $sum: { $cond: [{ $gt: ["$stepsSent", 0] }, 1, 0] } },
+          remindersSent: { $sum: "$stepsSent" },
+          couponsIssued: { $sum: { $cond: [{ $ifNull: ["$coupon.code", false] }, 1, 0] } },
+          converted: { $sum: { $cond: [{ $eq: ["$status", CART_RECOVERY_STATUS.CONVERTED] }, 1, 0] } },
+          convertedViaCoupon: { $sum: { $cond: [{ $eq: ["$conversion.viaCoupon", true] }, 1, 0] } },
+          recoveredRevenue: { $sum: { $ifNull: ["$conversion.amount", 0] } },
+          unsubscribed: { $sum: { $cond: [{ $eq: ["$status", CART_RECOVERY_STATUS.UNSUBSCRIBED] }, 1, 0] } },
+        },
+      },
+    ])
+    .toArray();
+
+  const stats = {
+    episodes: row?.episodes || 0,
+    abandonedValue: Math.round((row?.abandonedValue || 0) * 100) / 100,
+    reminded: row?.reminded || 0,
+    remindersSent: row?.remindersSent || 0,
+    couponsIssued: row?.couponsIssued || 0,
+    converted: row?.converted || 0,
+    convertedViaCoupon: row?.convertedViaCoupon || 0,
+    recoveredRevenue: Math.round((row?.recoveredRevenue || 0) * 100) / 100,
+    unsubscribed: row?.unsubscribed || 0,
+  };
+  stats.conversionRate = stats.reminded ? Math.round((stats.converted / stats.reminded) * 10000) / 100 : 0;
+  return stats;
+}
@@ -5,7 +5,8 @@ import mjml2html from "mjml";
 import Handlebars from "handlebars";
 
 import { connectDb } from "../db.js";
-import { adminAuthMiddleware } from "../../../routes/adminRoutes.js";
+import { authMiddleware } from "../../../middlewares/authMiddleware.js";
+import { requirePermission } from "../../../middlewares/requirePermission.js";
 import { mergeTransactionalBlocks } from "../services/templateMerger.js";
 import { sendEmail } from "../services/providers/sendgrid.js";
 
@@ -17,9 +18,11 @@ function requireInternalToken(req) {
   return Boolean(token && token === process.env.EMAIL_SERVICE_INTERNAL_TOKEN);
 }
 
+const requireTemplatePermission = requirePermission("templates.publish");
+
 function requireAdminOrInternal(req, res, next) {
   if (requireInternalToken(req)) return next();
-  return adminAuthMiddleware(req, res, next);
+  return authMiddleware(req, res, () => requireTemplatePermission(req, res, next));
 }
 
 const templateRegistrySchema = z.object({
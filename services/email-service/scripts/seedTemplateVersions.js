@@ -14,6 +14,10 @@ const SUBJECTS = {
   return_decision_customer: "Return decision update",
   return_pickup_scheduled_customer: "Return pickup scheduled",
   password_reset_customer: "Reset your password",
+  password_changed_customer: "Your password was changed",
+  email_verification_customer: "Verify your email address",
+  cart_recovery_customer: "You left something in your cart",
+  product_alert_customer: "An item you saved has an update",
   otp_customer: "Your verification code",
   seller_payout_processed: "Payout processed",
   system_alert_admin: "System alert",
@@ -25,6 +29,10 @@ const PREVIEW = {
   return_decision_customer: "Your return decision is ready. View details.",
   return_pickup_scheduled_customer: "Your return pickup has been scheduled.",
   password_reset_customer: "Reset your password using the secure link.",
+  password_changed_customer: "Your account password was changed.",
+  email_verification_customer: "Confirm your email address to secure your account.",
+  cart_recovery_customer: "The items in your cart are still waiting for you.",
+  product_alert_customer: "Back in stock or cheaper than before.",
   otp_customer: "Your verification code is inside.",
   seller_payout_processed: "Your payout has been processed. See summary.",
   system_alert_admin: "System alert from Glamzi.",
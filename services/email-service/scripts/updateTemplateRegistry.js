@@ -208,6 +208,83 @@ const templates = [
     ],
     isBlockEditable: false,
   },
+  {
+    key: "password_changed_customer",
+    category: "operational",
+    fromKey: "support",
+    allowedVariables: [
+      "brandPrimaryColor",
+      "brandLogoUrl",
+      "brandName",
+      "customerName",
+      "changedAt",
+      "loginLink",
+      "supportEmail",
+      "year",
+    ],
+    isBlockEditable: false,
+  },
+  {
+    key: "email_verification_customer",
+    category: "operational",
+    fromKey: "support",
+    allowedVariables: [
+      "brandPrimaryColor",
+      "brandLogoUrl",
+      "brandName",
+      "customerName",
+      "verifyExpiry",
+      "verifyLink",
+      "supportEmail",
+      "year",
+    ],
+    isBlockEditable: false,
+  },
+  {
+    key: "cart_recovery_customer",
+    category: "marketing",
+    fromKey: "info",
+    allowedVariables: [
+      "brandPrimaryColor",
+      "brandLogoUrl",
+      "brandName",
+      "customerName",
+      "headline",
+      "items",
+      "moreItems",
+      "subtotal",
+      "total",
+      "couponCode",
+      "couponPercent",
+      "couponExpiresAt",
+      "cartLink",
+      "unsubscribeLink",
+      "year",
+    ],
+    isBlockEditable: false,
+  },
+  {
+    key: "product_alert_customer",
+    category: "marketing",
+    fromKey: "info",
+    allowedVariables: [
+      "brandPrimaryColor",
+      "brandLogoUrl",
+      "brandName",
+      "customerName",
+      "alertType",
+      "headline",
+      "message",
+      "productName",
+      "productImage",
+      "price",
+      "oldPrice",
+      "productLink",
+      "manageLink",
+      "year",
+    ],
+    isBlockEditable: false,
+  },
   {
     key: "otp_customer",
     category: "operational",
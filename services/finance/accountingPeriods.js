@@ -0,0 +1,188 @@
+// services/finance/accountingPeriods.js (ESM)
+//
+// Which ledger dates are still open (rules in periodLocks.js). Locked:
+//   - a business day closed by workers/dailyCloseWorker.js (gl_daily_closes status "closed")
+//   - a settlement period closed, or being closed, through POST /api/admin/periods/:periodId/close
+//     (period endAt is exclusive, as in the period close aggregation)
+//
+// A super-admin re-opens either through /api/admin/finance/periods (status "reopened"); a
+// re-opened day is closed again from the same route, which recomputes its snapshots.
+
+import { computeDailyCloseFromLedger } from "../../lib/dailyClose.js";
+import { processSettlementRunFromClose } from "../../lib/settlement.js";
+import { businessDayWindowUtc } from "../../lib/time.js";
+import { businessDateOf, lockAt, placePosting } from "./periodLocks.js";
+
+const LOCKED_STATUSES = ["closing", "closed"];
+
+/**
+ * The closed settlement period containing `date`, or null when the date is open.
+ */
+export async function findClosedPeriod(db, date) {
+  return db.collection("settlementPeriods").findOne(
+    { status: { $in: LOCKED_STATUSES }, startAt: { $lte: date }, endAt: { $gt: date } },
+    { projection: { periodKey: 1, startAt: 1, endAt: 1, status: 1 } }
+  );
+}
+
+async function isDayClosed(db, businessDate) {
+  return Boolean(
+    await db.collection("gl_daily_closes").findOne({ businessDate, status: "closed" }, { projection: { _id: 1 } })
+  );
+}
+
+/**
+ * The lock covering `date` (periodLocks.lockAt shape), or null.
+ */
+export async function findLock(db, date) {
+  const businessDate = businessDateOf(date);
+  const [dayClosed, period] = await Promise.all([isDayClosed(db, businessDate), findClosedPeriod(db, date)]);
+  return lockAt(date, {
+    closedDays: new Set(dayClosed ? [businessDate] : []),
+    closedPeriods: period ? [period] : [],
+  });
+}
+
+/**
+ * { postedAt, redirectedFrom } for a posting requested at `requested` (periodLocks.placePosting).
+ * Open dates cost two point lookups; only a locked date loads the locks after it.
+ */
+export async function resolvePostingDate(db, requested) {
+  if (!(await findLock(db, requested))) return { postedAt: requested, redirectedFrom: null };
+
+  const businessDate = businessDateOf(requested);
+  const [days, periods] = await Promise.all([
+    db
+      .collection("gl_daily_closes")
+      .find({ status: "closed", businessDate: { $gte: businessDate } }, { projection: { businessDate: 1 } })
+      .toArray(),
+    db
+      .collection("settlementPeriods")
+      .find(
+        { status: { $in: LOCKED_STATUSES }, endAt: { $gt: requested } },
+        { projection: { periodKey: 1, startAt: 1, endAt: 1 } }
+      )
+      .toArray(),
+  ]);
+  return placePosting(requested, { closedDays: new Set(days.map((d) => d.businessDate)), closedPeriods: periods });
+}
+
+function periodError(status, code, message) {
+  const e = new Error(message);
+  e.statusCode = status;
+  e.code = code;
+  return e;
+}
+
+/**
+ * Closed / re-opened business days and settlement periods overlapping [from, to).
+ */
+export async function listLocks(db, { from, to }) {
+  const [days, periods] = await Promise.all([
+    db
+      .collection("gl_daily_closes")
+      .find(
+        { status: { $in: ["closed", "reopened"] }, businessDate: { $gte: businessDateOf(from), $lt: businessDateOf(to) } },
+        { projection: { businessDate: 1, status: 1, closedAt: 1, "audit.ledgerCount": 1, reopenedAt: 1, reopenedBy: 1, reopenReason: 1 } }
+      )
+      .sort({ businessDate: -1 })
+      .toArray(),
+    db
+      .collection("settlementPeriods")
+      .find(
+        { startAt: { $lt: to }, endAt: { $gt: from } },
+        { projection: { periodKey: 1, startAt: 1, endAt: 1, status: 1, closedAt: 1, reopenedAt: 1, reopenedBy: 1, reopenReason: 1 } }
+      )
+      .sort({ startAt: -1 })
+      .toArray(),
+  ]);
+  return { days, periods };
+}
+
+function reopenReason(body) {
+  const reason = typeof body?.reason === "string" ? body.reason.trim().slice(0, 500) : "";
+  if (!reason) throw periodError(400, "REASON_REQUIRED", "reason is required");
+  return reason;
+}
+
+/**
+ * Closed business day -> "reopened": postings dated into it land on it again. Its settlement
+ * run is marked REOPENED so reports read the ledger for that day until it is closed again
+ * (recloseBusinessDay).
+ */
+export async function reopenBusinessDay(db, businessDate, body, actor) {
+  const reason = reopenReason(body);
+  const now = new Date();
+  const res = await db.collection("gl_daily_closes").findOneAndUpdate(
+    { businessDate, status: "closed" },
+    {
+      $set: { status: "reopened", reopenedAt: now, reopenedBy: actor, reopenReason: reason, updatedAt: now },
+      $push: { reopenHistory: { at: now, by: actor, reason } },
+    },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+  if (!res.value) {
+    const exists = await db.collection("gl_daily_closes").findOne({ businessDate }, { projection: { status: 1 } });
+    if (!exists) throw periodError(404, "DAY_NOT_CLOSED", `Business day ${businessDate} has no daily close`);
+    throw periodError(409, "DAY_NOT_CLOSED", `Business day ${businessDate} is ${exists.status}, not closed`);
+  }
+
+  await db.collection("gl_settlement_runs").updateOne(
+    { businessDate },
+    { $set: { status: "REOPENED", "steps.snapshot_accounts.status": "STALE", reopenedAt: now, updatedAt: now } }
+  );
+  return res.value;
+}
+
+/**
+ * Re-opened business day -> "closed" again: the close totals and the day's settlement
+ * snapshots are recomputed from the ledger.
+ */
+export async function recloseBusinessDay(db, businessDate, actor) {
+  const window = businessDayWindowUtc(businessDate);
+  const computed = await computeDailyCloseFromLedger({ db, fromUtc: window.fromUtc, toUtc: window.toUtc });
+  const now = new Date();
+
+  const res = await db.collection("gl_daily_closes").findOneAndUpdate(
+    { businessDate, status: "reopened" },
+    {
+      $set: {
+        status: "closed",
+        totals: computed.totals,
+        perAccount: computed.perAccount,
+        audit: computed.audit,
+        closedAt: now,
+        reclosedBy: actor,
+        updatedAt: now,
+      },
+    },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+  if (!res.value) throw periodError(409, "DAY_NOT_REOPENED", `Business day ${businessDate} is not re-opened`);
+
+  await processSettlementRunFromClose({ db, closeDoc: res.value, log: console });
+  return res.value;
+}
+
+/**
+ * Closed settlement period -> "reopened". Closing it again goes through the usual
+ * POST /api/admin/periods/:periodId/close, which recomputes the seller statements.
+ */
+export async function reopenSettlementPeriod(db, periodId, body, actor) {
+  const reason = reopenReason(body);
+  const now = new Date();
+  const res = await db.collection("settlementPeriods").findOneAndUpdate(
+    { _id: periodId, status: "closed" },
+    {
+      $set: { status: "reopened", reopenedAt: now, reopenedBy: actor, reopenReason: reason, updatedAt: now },
+      $push: { reopenHistory: { at: now, by: actor, reason } },
+    },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+  if (!res.value) {
+    const exists = await db.collection("settlementPeriods").findOne({ _id: periodId }, { projection: { status: 1 } });
+    if (!exists) throw periodError(404, "PERIOD_NOT_FOUND", "Settlement period not found");
+    throw periodError(409, "PERIOD_NOT_CLOSED", `Settlement period is ${exists.status}, not closed`);
+  }
+  return res.value;
+}
@@ -0,0 +1,219 @@
+// services/finance/chartOfAccounts.js (ESM)
+//
+// Chart of accounts (`gl_accounts`): rules only, no I/O (chartOfAccountsService.js does the
+// reads and writes). Every gl_ledger_entries.accountKey must be an active, postable account.
+//
+// The ledger books money as flows between buckets (credit = money into the bucket), so the
+// types below describe what a bucket holds for the platform:
+//
+//   platform:clearing        asset       money at the bank / gateways / couriers
+//   platform:cash_bank       liability   collected but not yet allocated to anyone
+//   platform:seller_payables liability   header; seller:<id> sub-ledgers hang off it
+//   platform:customer_wallets liability  header; wallet:<userId> sub-ledgers
+//   platform:gift_cards      liability   gift cards not redeemed yet
+//   platform:commission      revenue
+//   platform:promotions      expense     platform-funded discounts and gift cards
+//
+// Sub-ledger accounts (seller:<id>, wallet:<userId>) are created on their first posting.
+// Default accounts are created the same way, so a fresh database never rejects a posting
+// before `npm run finance:accounts` has been run.
+//
+// active:false means closed: existing entries stay, new postings are rejected.
+
+export const ACCOUNT_TYPES = Object.freeze({
+  ASSET: "asset",
+  LIABILITY: "liability",
+  EQUITY: "equity",
+  REVENUE: "revenue",
+  EXPENSE: "expense",
+});
+
+export const NORMAL_BALANCE = Object.freeze({
+  [ACCOUNT_TYPES.ASSET]: "debit",
+  [ACCOUNT_TYPES.EXPENSE]: "debit",
+  [ACCOUNT_TYPES.LIABILITY]: "credit",
+  [ACCOUNT_TYPES.EQUITY]: "credit",
+  [ACCOUNT_TYPES.REVENUE]: "credit",
+});
+
+export const DEFAULT_ACCOUNTS = Object.freeze([
+  { key: "platform:clearing", name: "Bank and gateway clearing", type: ACCOUNT_TYPES.ASSET },
+  {
+    key: "platform:cash_bank",
+    name: "Unallocated collections",
+    type: ACCOUNT_TYPES.LIABILITY,
+    description: "Collected money not yet allocated to a seller, commission or refund.",
+  },
+  { key: "platform:seller_payables", name: "Seller payables", type: ACCOUNT_TYPES.LIABILITY, postable: false },
+  { key: "platform:customer_wallets", name: "Customer store credit", type: ACCOUNT_TYPES.LIABILITY, postable: false },
+  { key: "platform:gift_cards", name: "Gift cards outstanding", type: ACCOUNT_TYPES.LIABILITY },
+  { key: "platform:commission", name: "Commission revenue", type: ACCOUNT_TYPES.REVENUE },
+  { key: "platform:promotions", name: "Platform-funded promotions", type: ACCOUNT_TYPES.EXPENSE },
+]);
+
+// Prefix -> header account the per-party accounts roll up to
+export const SUB_LEDGERS = Object.freeze({
+  seller: { parentKey: "platform:seller_payables", label: "Seller" },
+  wallet: { parentKey: "platform:customer_wallets", label: "Customer wallet" },
+});
+
+const KEY_RE = /^[a-z][a-z0-9_]*:[A-Za-z0-9_.-]{1,100}$/;
+
+export function chartError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+export function isValidAccountKey(key) {
+  return typeof key === "string" && KEY_RE.test(key);
+}
+
+/**
+ * { prefix, refId, parentKey, label } for seller:<id> / wallet:<id>, else null.
+ */
+export function subLedgerOf(accountKey) {
+  if (!isValidAccountKey(accountKey)) return null;
+  const [prefix, refId] = accountKey.split(":");
+  const spec = SUB_LEDGERS[prefix];
+  return spec ? { prefix, refId, ...spec } : null;
+}
+
+function accountDoc(spec, parent, now) {
+  const type = spec.type || parent?.type;
+  return {
+    key: spec.key,
+    name: spec.name,
+    type,
+    normalBalance: spec.normalBalance || NORMAL_BALANCE[type],
+    parentKey: spec.parentKey || null,
+    postable: spec.postable !== false,
+    active: true,
+    system: true,
+    subLedger: spec.subLedger || null,
+    refId: spec.refId || null,
+    description: spec.description || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Account documents the ledger may create by itself for these keys (defaults, and
+ * sub-ledgers with their header). Keys that need an admin to create them are left out.
+ */
+export function autoAccountsFor(accountKeys, now = new Date()) {
+  const defaults = new Map(DEFAULT_ACCOUNTS.map((a) => [a.key, a]));
+  const out = new Map();
+
+  for (const key of accountKeys) {
+    if (defaults.has(key)) {
+      out.set(key, accountDoc(defaults.get(key), null, now));
+      continue;
+    }
+    const sub = subLedgerOf(key);
+    if (!sub) continue;
+    const parent = defaults.get(sub.parentKey);
+    out.set(sub.parentKey, accountDoc(parent, null, now));
+    out.set(
+      key,
+      accountDoc(
+        { key, name: `${sub.label} ${sub.refId}`, parentKey: sub.parentKey, subLedger: sub.prefix, refId: sub.refId },
+        parent,
+        now
+      )
+    );
+  }
+  return [...out.values()];
+}
+
+/**
+ * Why postings to these keys are refused: [{ accountKey, reason }] (empty when all are fine).
+ */
+export function postingAccountErrors(accountKeys, accountsByKey) {
+  const errors = [];
+  for (const key of new Set(accountKeys)) {
+    const account = accountsByKey.get(key);
+    if (!account) errors.push({ accountKey: key, reason: "unknown account" });
+    else if (account.active === false) errors.push({ accountKey: key, reason: "account is closed" });
+    else if (account.postable === false) errors.push({ accountKey: key, reason: "header account, post to a sub-account" });
+  }
+  return errors;
+}
+
+const cleanStr = (v, max) => (typeof v === "string" ? v.trim().slice(0, max) : "");
+
+/**
+ * Admin create / update body -> { value } or { error }. On update only the given fields are
+ * returned; key and sub-ledger accounts are managed by the ledger.
+ */
+export function parseAccountInput(body, { partial = false } = {}) {
+  const b = body && typeof body === "object" ? body : {};
+  const value = {};
+
+  if (!partial) {
+    const key = cleanStr(b.key, 120);
+    if (!isValidAccountKey(key)) return { error: "key must look like group:name (letters, digits, _ . -)" };
+    if (subLedgerOf(key)) return { error: `${key.split(":")[0]}:<id> accounts are created automatically` };
+    value.key = key;
+  }
+
+  if (!partial || b.name !== undefined) {
+    const name = cleanStr(b.name, 120);
+    if (!name) return { error: "name is required" };
+    value.name = name;
+  }
+
+  if (!partial || b.type !== undefined) {
+    const type = cleanStr(b.type, 20).toLowerCase();
+    if (!Object.values(ACCOUNT_TYPES).includes(type)) {
+      return { error: `type must be one of ${Object.values(ACCOUNT_TYPES).join(", ")}` };
+    }
+    value.type = type;
+  }
+
+  if (b.normalBalance !== undefined && b.normalBalance !== null) {
+    const nb = cleanStr(b.normalBalance, 10).toLowerCase();
+    if (nb !== "debit" && nb !== "credit") return { error: "normalBalance must be debit or credit" };
+    value.normalBalance = nb;
+  } else if (value.type) {
+    value.normalBalance = NORMAL_BALANCE[value.type];
+  }
+
+  if (b.parentKey !== undefined) {
+    const parentKey = b.parentKey === null ? null : cleanStr(b.parentKey, 120);
+    if (parentKey && !isValidAccountKey(parentKey)) return { error: "parentKey is not a valid account key" };
+    value.parentKey = parentKey || null;
+  }
+
+  if (b.description !== undefined) value.description = cleanStr(b.description, 500) || null;
+
+  for (const flag of ["postable", "active"]) {
+    if (b[flag] === undefined) continue;
+    if (typeof b[flag] !== "boolean") return { error: `${flag} must be true or false` };
+    value[flag] = b[flag];
+  }
+  if (!partial && value.active === undefined) value.active = true;
+  if (!partial && value.postable === undefined) value.postable = true;
+
+  return { value };
+}
+
+/**
+ * Parent checks for `key`: the parent exists, has the same type and isn't `key` itself or
+ * one of its descendants (`ancestors` is the parent's own chain). Error string or null.
+ */
+export function parentError(key, type, parent, ancestors = []) {
+  if (!parent) return "parent account not found";
+  if (parent.key === key || ancestors.some((a) => a.key === key)) return "an account cannot be its own ancestor";
+  if (parent.type !== type) return `parent is ${parent.type}, account is ${type}`;
+  return null;
+}
+
+/**
+ * Balance on the account's normal side (positive = the usual direction).
+ */
+export function normalSideBalance(account, { debit = 0, credit = 0 }) {
+  return account?.normalBalance === "debit" ? debit - credit : credit - debit;
+}
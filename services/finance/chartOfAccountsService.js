@@ -0,0 +1,255 @@
+// services/finance/chartOfAccountsService.js (ESM)
+//
+// gl_accounts reads and writes (rules in chartOfAccounts.js). postTransactionGroup calls
+// checkPostingAccounts() before writing any leg; the admin screens use the rest.
+
+import {
+  SUB_LEDGERS,
+  autoAccountsFor,
+  chartError,
+  normalSideBalance,
+  parentError,
+  parseAccountInput,
+  postingAccountErrors,
+} from "./chartOfAccounts.js";
+import { escapeRegex } from "../../utils/query.js";
+
+const ACCOUNTS = "gl_accounts";
+const LEDGER = "gl_ledger_entries";
+
+function isDuplicateKeyError(err) {
+  return err?.code === 11000 || String(err?.message || "").includes("E11000");
+}
+
+async function findAccounts(db, keys) {
+  return db.collection(ACCOUNTS).find({ key: { $in: keys } }).toArray();
+}
+
+/**
+ * Creates default and sub-ledger accounts that don't exist yet ($setOnInsert: a closed or
+ * renamed account is left as it is).
+ */
+export async function ensureAutoAccounts(db, accountKeys, now = new Date()) {
+  const Accounts = db.collection(ACCOUNTS);
+  for (const doc of autoAccountsFor(accountKeys, now)) {
+    try {
+      await Accounts.updateOne({ key: doc.key }, { $setOnInsert: doc }, { upsert: true });
+    } catch (err) {
+      if (!isDuplicateKeyError(err)) throw err; // created concurrently
+    }
+  }
+}
+
+/**
+ * [{ accountKey, reason }] for keys that can't take a posting. Runs outside the caller's
+ * transaction: an account created here must be visible to the caller right away.
+ */
+export async function checkPostingAccounts(db, accountKeys) {
+  const keys = [...new Set(accountKeys)];
+  let accounts = await findAccounts(db, keys);
+
+  const missing = keys.filter((k) => !accounts.some((a) => a.key === k));
+  if (missing.length) {
+    await ensureAutoAccounts(db, missing);
+    accounts = await findAccounts(db, keys);
+  }
+
+  return postingAccountErrors(keys, new Map(accounts.map((a) => [a.key, a])));
+}
+
+/* ---------------- balances ---------------- */
+
+/**
+ * key -> { debit, credit } for the given keys. A sub-ledger header ("platform:seller_payables")
+ * also rolls up every seller:<id> entry.
+ */
+export async function accountTotals(db, keys) {
+  const headers = Object.entries(SUB_LEDGERS).filter(([, s]) => keys.includes(s.parentKey));
+  const match = {
+    $or: [
+      { accountKey: { $in: keys } },
+      ...headers.map(([prefix]) => ({ accountKey: { $regex: `^${prefix}:` } })),
+    ],
+  };
+
+  const rows = await db
+    .collection(LEDGER)
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$accountKey",
+          debit: { $sum: { $cond: [{ $eq: ["$dc", "debit"] }, "$amount", 0] } },
+          credit: { $sum: { $cond: [{ $eq: ["$dc", "credit"] }, "$amount", 0] } },
+        },
+      },
+    ])
+    .toArray();
+
+  const out = new Map(keys.map((k) => [k, { debit: 0, credit: 0 }]));
+  for (const r of rows) {
+    const header = headers.find(([prefix]) => String(r._id).startsWith(`${prefix}:`));
+    const key = out.has(r._id) ? r._id : header?.[1].parentKey;
+    if (!key) continue;
+    const t = out.get(key);
+    t.debit += r.debit;
+    t.credit += r.credit;
+  }
+  return out;
+}
+
+export function accountView(account, totals = { debit: 0, credit: 0 }) {
+  const round2 = (v) => Math.round(v * 100) / 100;
+  return {
+    ...account,
+    debit: round2(totals.debit),
+    credit: round2(totals.credit),
+    balance: round2(normalSideBalance(account, totals)),
+  };
+}
+
+/* ---------------- admin CRUD ---------------- */
+
+async function getAccountOrThrow(db, key) {
+  const account = await db.collection(ACCOUNTS).findOne({ key });
+  if (!account) throw chartError("Account not found", "ACCOUNT_NOT_FOUND", 404);
+  return account;
+}
+
+async function hasEntries(db, key) {
+  return Boolean(await db.collection(LEDGER).findOne({ accountKey: key }, { projection: { _id: 1 } }));
+}
+
+async function ancestorsOf(db, key, limit = 20) {
+  const out = [];
+  let current = key ? await db.collection(ACCOUNTS).findOne({ key }) : null;
+  while (current?.parentKey && out.length < limit) {
+    current = await db.collection(ACCOUNTS).findOne({ key: current.parentKey });
+    if (!current) break;
+    out.push(current);
+  }
+  return out;
+}
+
+async function checkParent(db, key, type, parentKey) {
+  if (!parentKey) return;
+  const parent = await db.collection(ACCOUNTS).findOne({ key: parentKey });
+  const error = parentError(key, type, parent, await ancestorsOf(db, parentKey));
+  if (error) throw chartError(error, "INVALID_PARENT");
+}
+
+export async function listAccounts(db, { type, active, parentKey, q, includeSubLedgers = false, page = 1, limit = 50 }) {
+  const filter = {};
+  if (type) filter.type = type;
+  if (active !== undefined) filter.active = active ? { $ne: false } : false;
+  if (parentKey !== undefined) filter.parentKey = parentKey || null;
+  if (!includeSubLedgers && parentKey === undefined) filter.subLedger = null;
+  if (q) {
+    const re = new RegExp(escapeRegex(q), "i");
+    filter.$or = [{ key: re }, { name: re }];
+  }
+
+  const Accounts = db.collection(ACCOUNTS);
+  const [items, total] = await Promise.all([
+    Accounts.find(filter).sort({ key: 1 }).skip((page - 1) * limit).limit(limit).toArray(),
+    Accounts.countDocuments(filter),
+  ]);
+  const totals = await accountTotals(db, items.map((a) => a.key));
+  return { items: items.map((a) => accountView(a, totals.get(a.key))), total };
+}
+
+export async function getAccount(db, key) {
+  const account = await getAccountOrThrow(db, key);
+  const [totals, children] = await Promise.all([
+    accountTotals(db, [key]),
+    db.collection(ACCOUNTS).countDocuments({ parentKey: key }),
+  ]);
+  return { ...accountView(account, totals.get(key)), children };
+}
+
+export async function createAccount(db, body, actor) {
+  const { value, error } = parseAccountInput(body);
+  if (error) throw chartError(error, "INVALID_ACCOUNT");
+  await checkParent(db, value.key, value.type, value.parentKey);
+
+  const now = new Date();
+  const doc = {
+    description: null,
+    parentKey: null,
+    ...value,
+    system: false,
+    subLedger: null,
+    refId: null,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: actor || null,
+  };
+  try {
+    await db.collection(ACCOUNTS).insertOne(doc);
+  } catch (err) {
+    if (isDuplicateKeyError(err)) throw chartError("An account with this key already exists", "ACCOUNT_EXISTS", 409);
+    throw err;
+  }
+  return accountView(doc);
+}
+
+export async function updateAccount(db, key, body, actor) {
+  const account = await getAccountOrThrow(db, key);
+  const { value, error } = parseAccountInput(body, { partial: true });
+  if (error) throw chartError(error, "INVALID_ACCOUNT");
+
+  if (account.subLedger) {
+    const locked = Object.keys(value).filter((f) => !["name", "description", "active"].includes(f));
+    if (locked.length) throw chartError(`${locked.join(", ")} of a sub-ledger account can't change`, "SUB_LEDGER_LOCKED");
+  }
+
+  // The normal balance follows the type unless it was given explicitly
+  if (value.type && body?.normalBalance == null && value.type === account.type) delete value.normalBalance;
+  const changesBooking =
+    (value.type && value.type !== account.type) ||
+    (value.normalBalance && value.normalBalance !== account.normalBalance) ||
+    (value.postable === false && account.postable !== false);
+  if (changesBooking) {
+    if (account.system) throw chartError("System accounts keep their type and posting mode", "SYSTEM_ACCOUNT");
+    if (await db.collection(ACCOUNTS).findOne({ parentKey: key }, { projection: { _id: 1 } })) {
+      throw chartError("The account has sub-accounts: its type and posting mode can't change", "ACCOUNT_HAS_CHILDREN", 409);
+    }
+    if (await hasEntries(db, key)) {
+      throw chartError("The account has postings: its type and posting mode can't change", "ACCOUNT_IN_USE", 409);
+    }
+  }
+
+  if (value.parentKey !== undefined || value.type) {
+    await checkParent(db, key, value.type || account.type, value.parentKey !== undefined ? value.parentKey : account.parentKey);
+  }
+
+  const now = new Date();
+  const set = { ...value, updatedAt: now, updatedBy: actor || null };
+  if (value.active === false && account.active !== false) {
+    const totals = (await accountTotals(db, [key])).get(key);
+    if (Math.abs(totals.debit - totals.credit) > 0.005) {
+      throw chartError("Only an account with a zero balance can be closed", "ACCOUNT_HAS_BALANCE", 409);
+    }
+    set.closedAt = now;
+    set.closedBy = actor || null;
+  } else if (value.active === true && account.active === false) {
+    set.closedAt = null;
+    set.closedBy = null;
+  }
+
+  await db.collection(ACCOUNTS).updateOne({ key }, { $set: set });
+  return getAccount(db, key);
+}
+
+export async function deleteAccount(db, key) {
+  const account = await getAccountOrThrow(db, key);
+  if (account.system) throw chartError("System accounts can't be deleted; close them instead", "SYSTEM_ACCOUNT", 409);
+  if (await db.collection(ACCOUNTS).findOne({ parentKey: key }, { projection: { _id: 1 } })) {
+    throw chartError("The account has sub-accounts", "ACCOUNT_HAS_CHILDREN", 409);
+  }
+  if (await hasEntries(db, key)) {
+    throw chartError("The account has postings; close it instead", "ACCOUNT_IN_USE", 409);
+  }
+  await db.collection(ACCOUNTS).deleteOne({ key });
+  return account;
+}
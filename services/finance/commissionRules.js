@@ -0,0 +1,288 @@
+// services/finance/commissionRules.js (ESM)
+//
+// Commission rule resolver.
+//
+// Precedence (most specific wins):
+//   1) seller override scoped to the line's category
+//   2) seller override (any category)
+//   3) category rule
+//   4) global rate (settings.global)
+//
+// Every rule may carry an effective window (effectiveFrom inclusive, effectiveTo exclusive)
+// and an `active` flag. Rules are evaluated at the sale date (order.createdAt) so a rate
+// renegotiated later never rewrites commission on older orders.
+//
+// Amount semantics:
+// - percentage: rate% of the line base (price * qty, before discounts)
+// - flat (seller/category rule): rate per unit sold
+// - flat (global): charged once per invoice (historical behaviour of getDefaultCommissionRate)
+//
+// settings shape: commissionSettings { _id: "default", settings } (see adminCommissionRoutes.js)
+
+import crypto from "crypto";
+
+export const COMMISSION_SOURCES = Object.freeze({
+  SELLER_CATEGORY_OVERRIDE: "seller_category_override",
+  SELLER_OVERRIDE: "seller_override",
+  CATEGORY_RULE: "category_rule",
+  GLOBAL: "global",
+});
+
+function pickStr(v) {
+  return v == null ? "" : String(v).trim();
+}
+
+function toNum(v, def = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : def;
+}
+
+function round2(n) {
+  return Math.round(toNum(n, 0) * 100) / 100;
+}
+
+function toDateOrNull(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function normalizeRateType(v) {
+  return String(v || "").toLowerCase() === "flat" ? "flat" : "percentage";
+}
+
+// Legacy rules saved without an id get a stable one derived from their content,
+// so invoices snapshot the same ruleId on every resolution.
+function makeRuleId(prefix, input) {
+  const basis = JSON.stringify([
+    prefix,
+    pickStr(input?.sellerId),
+    pickStr(input?.categoryId || input?.category),
+    pickStr(input?.rateType),
+    pickStr(input?.rate),
+    pickStr(input?.effectiveFrom || input?.startAt),
+    pickStr(input?.effectiveTo || input?.endAt),
+  ]);
+  return `${prefix}_${crypto.createHash("sha1").update(basis).digest("hex").slice(0, 10)}`;
+}
+
+/**
+ * Normalize one category rule / seller override as stored in settings.
+ * Returns null for rules that can never match (no rate, bad scope).
+ */
+export function normalizeCommissionRule(input, kind = "category") {
+  if (!input || typeof input !== "object") return null;
+
+  const rate = toNum(input.rate, NaN);
+  if (!Number.isFinite(rate) || rate < 0) return null;
+
+  const categoryId = pickStr(input.categoryId || input.category?._id || input.category);
+  const sellerId = pickStr(input.sellerId || input.seller?._id);
+
+  if (kind === "category" && !categoryId) return null;
+  if (kind === "seller" && !sellerId) return null;
+
+  const effectiveFrom = toDateOrNull(input.effectiveFrom || input.startAt);
+  const effectiveTo = toDateOrNull(input.effectiveTo || input.endAt);
+  if (effectiveFrom && effectiveTo && effectiveTo <= effectiveFrom) return null;
+
+  return {
+    id: pickStr(input.id || input._id) || makeRuleId(kind === "seller" ? "cso" : "ccr", input),
+    ...(kind === "seller" ? { sellerId } : {}),
+    categoryId: categoryId || null,
+    categoryName: pickStr(input.categoryName) || null,
+    rateType: normalizeRateType(input.rateType),
+    rate,
+    effectiveFrom,
+    effectiveTo,
+    active: input.active !== false,
+    note: pickStr(input.note).slice(0, 300) || null,
+  };
+}
+
+export function normalizeCommissionRules(list, kind) {
+  return (Array.isArray(list) ? list : [])
+    .map((r) => normalizeCommissionRule(r, kind))
+    .filter(Boolean);
+}
+
+function isInWindow(rule, at) {
+  if (rule.active === false) return false;
+  const from = toDateOrNull(rule.effectiveFrom);
+  const to = toDateOrNull(rule.effectiveTo);
+  if (from && at < from) return false;
+  if (to && at >= to) return false;
+  return true;
+}
+
+// Latest effectiveFrom wins when several windows overlap.
+function pickLatest(rules) {
+  return rules.sort((a, b) => {
+    const af = toDateOrNull(a.effectiveFrom)?.getTime() ?? 0;
+    const bf = toDateOrNull(b.effectiveFrom)?.getTime() ?? 0;
+    return bf - af;
+  })[0] || null;
+}
+
+function clampPercentage(rate, global) {
+  const min = toNum(global?.minRate, 0);
+  const max = toNum(global?.maxRate, 100);
+  if (!(max > 0) || min > max) return rate;
+  return Math.min(max, Math.max(min, rate));
+}
+
+function ruleSnapshot(rule) {
+  if (!rule) return null;
+  return {
+    id: rule.id || null,
+    sellerId: rule.sellerId || null,
+    categoryId: rule.categoryId || null,
+    categoryName: rule.categoryName || null,
+    rateType: rule.rateType,
+    rate: rule.rate,
+    effectiveFrom: rule.effectiveFrom || null,
+    effectiveTo: rule.effectiveTo || null,
+  };
+}
+
+/**
+ * Resolve the commission rate for one (seller, category) pair at a point in time.
+ * Returns { rateType, rate, source, ruleId, rule }.
+ */
+export function resolveCommissionRate({ settings = {}, sellerId = null, categoryId = null, at = new Date() }) {
+  const when = toDateOrNull(at) || new Date();
+  const flags = settings?.rules || {};
+  const global = settings?.global || {};
+  const sid = pickStr(sellerId);
+  const cid = pickStr(categoryId);
+
+  if (sid && flags.allowCustomPerSeller !== false) {
+    const overrides = normalizeCommissionRules(settings?.sellerOverrides, "seller").filter(
+      (r) => r.sellerId === sid && isInWindow(r, when)
+    );
+
+    const scoped = cid ? pickLatest(overrides.filter((r) => r.categoryId === cid)) : null;
+    if (scoped) {
+      return {
+        rateType: scoped.rateType,
+        rate: scoped.rate,
+        source: COMMISSION_SOURCES.SELLER_CATEGORY_OVERRIDE,
+        ruleId: scoped.id,
+        rule: ruleSnapshot(scoped),
+      };
+    }
+
+    const general = pickLatest(overrides.filter((r) => !r.categoryId));
+    if (general) {
+      return {
+        rateType: general.rateType,
+        rate: general.rate,
+        source: COMMISSION_SOURCES.SELLER_OVERRIDE,
+        ruleId: general.id,
+        rule: ruleSnapshot(general),
+      };
+    }
+  }
+
+  if (cid && flags.allowCategoryOverrides !== false) {
+    const rule = pickLatest(
+      normalizeCommissionRules(settings?.categoryRules, "category").filter(
+        (r) => r.categoryId === cid && isInWindow(r, when)
+      )
+    );
+    if (rule) {
+      return {
+        rateType: rule.rateType,
+        rate: rule.rateType === "percentage" ? clampPercentage(rule.rate, global) : rule.rate,
+        source: COMMISSION_SOURCES.CATEGORY_RULE,
+        ruleId: rule.id,
+        rule: ruleSnapshot(rule),
+      };
+    }
+  }
+
+  const rate = toNum(global.rate, 0);
+  return {
+    rateType: normalizeRateType(global.rateType),
+    rate: rate >= 0 ? rate : 0,
+    source: COMMISSION_SOURCES.GLOBAL,
+    ruleId: null,
+    rule: null,
+  };
+}
+
+function lineBase(it) {
+  const qty = Math.max(1, Math.floor(toNum(it?.quantity, 1)));
+  if (it?.pricing?.base != null) return { qty, base: toNum(it.pricing.base, 0) };
+  return { qty, base: toNum(it?.price, 0) * qty };
+}
+
+/**
+ * Compute commission for a seller's invoice lines.
+ *
+ * items: [{ productId?, categoryId?, price, quantity, pricing?: { base } }]
+ * Returns {
+ *   amount, gross, rateType, rate, source, ruleId, matchedRule,
+ *   lines: [{ productId, categoryId, base, qty, rateType, rate, source, ruleId, amount }]
+ * }
+ * Top-level rateType/rate/source describe the single matched rule, or "mixed" when lines differ.
+ */
+export function computeInvoiceCommission({ settings = {}, sellerId = null, items = [], at = new Date() }) {
+  const lines = [];
+  let globalFlatCharged = false;
+
+  for (const it of Array.isArray(items) ? items : []) {
+    const { qty, base } = lineBase(it);
+    const resolved = resolveCommissionRate({ settings, sellerId, categoryId: it?.categoryId, at });
+
+    let amount = 0;
+    if (resolved.rateType === "percentage") {
+      amount = (base * resolved.rate) / 100;
+    } else if (resolved.source === COMMISSION_SOURCES.GLOBAL) {
+      amount = globalFlatCharged ? 0 : resolved.rate;
+      globalFlatCharged = true;
+    } else {
+      amount = resolved.rate * qty;
+    }
+
+    lines.push({
+      productId: it?.productId ? String(it.productId) : null,
+      categoryId: it?.categoryId ? String(it.categoryId) : null,
+      base: round2(base),
+      qty,
+      rateType: resolved.rateType,
+      rate: resolved.rate,
+      source: resolved.source,
+      ruleId: resolved.ruleId,
+      rule: resolved.rule,
+      amount: round2(amount),
+    });
+  }
+
+  const gross = round2(lines.reduce((s, l) => s + l.base, 0));
+  const amount = round2(Math.min(gross, lines.reduce((s, l) => s + l.amount, 0)));
+
+  const distinct = new Map(
+    lines.map((l) => [`${l.source}|${l.ruleId || ""}|${l.rateType}|${l.rate}`, l])
+  );
+  const single = distinct.size === 1 ? lines[0] : null;
+
+  return {
+    amount,
+    gross,
+    rateType: single ? single.rateType : lines.length ? "mixed" : "percentage",
+    rate: single ? single.rate : null,
+    source: single ? single.source : lines.length ? "mixed" : COMMISSION_SOURCES.GLOBAL,
+    ruleId: single ? single.ruleId : null,
+    matchedRule: single ? single.rule : null,
+    lines,
+  };
+}
+
+/**
+ * Load commission settings (commissionSettings/_id "default").
+ */
+export async function loadCommissionSettings(db) {
+  const doc = await db.collection("commissionSettings").findOne({ _id: "default" });
+  return doc?.settings || {};
+}
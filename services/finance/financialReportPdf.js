@@ -0,0 +1,94 @@
+// services/finance/financialReportPdf.js (ESM)
+//
+// PDF rendering of a financial report (financialReports.js) for the export jobs.
+
+import PDFDocument from "pdfkit";
+
+import { columnTitle } from "./financialReports.js";
+
+const MARGIN = 36;
+const ROW_H = 14;
+const NAME_W = 200;
+
+function money(v) {
+  const n = Number(v || 0);
+  const s = Math.abs(n).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return n < 0 ? `(${s})` : s;
+}
+
+export function buildFinancialReportPdf(report) {
+  const valueCount = report.columns.length * report.valueLabels.length;
+  const doc = new PDFDocument({ size: "A4", layout: valueCount > 4 ? "landscape" : "portrait", margin: MARGIN });
+  const chunks = [];
+  doc.on("data", (c) => chunks.push(c));
+  const done = new Promise((resolve) => doc.on("end", () => resolve(Buffer.concat(chunks))));
+
+  const width = doc.page.width - MARGIN * 2;
+  const colW = (width - NAME_W) / Math.max(valueCount, 1);
+  const bottom = () => doc.page.height - MARGIN - ROW_H;
+
+  const line = (name, values, { indent = 0, bold = false } = {}) => {
+    if (doc.y > bottom()) {
+      doc.addPage();
+      header();
+    }
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    doc.text(name, MARGIN + indent * 10, y, { width: NAME_W - indent * 10, lineBreak: false, ellipsis: true });
+    values.forEach((v, i) => {
+      doc.text(typeof v === "number" ? money(v) : v, MARGIN + NAME_W + i * colW, y, {
+        width: colW - 4,
+        align: "right",
+        lineBreak: false,
+      });
+    });
+    doc.x = MARGIN;
+    doc.y = y + ROW_H;
+  };
+
+  const header = () => {
+    const titles = report.columns.flatMap((c) =>
+      report.valueLabels.length === 1 ? [columnTitle(c)] : report.valueLabels
+    );
+    if (report.valueLabels.length > 1) {
+      const y = doc.y;
+      doc.font("Helvetica-Bold").fontSize(8);
+      report.columns.forEach((c, i) => {
+        const span = colW * report.valueLabels.length;
+        doc.text(columnTitle(c), MARGIN + NAME_W + i * span, y, { width: span - 4, align: "center", lineBreak: false });
+      });
+      doc.y = y + ROW_H;
+    }
+    line("Account", titles, { bold: true });
+  };
+
+  doc.font("Helvetica-Bold").fontSize(16).text(report.title);
+  doc.font("Helvetica").fontSize(9).fillColor("#555");
+  doc.text(report.columns.map((c) => `${c.label.replace(/_/g, " ")}: ${columnTitle(c)}`).join("   "));
+  doc.text(`Generated ${new Date(report.generatedAt || Date.now()).toISOString()}`);
+  doc.fillColor("black").moveDown();
+  header();
+
+  for (const section of report.sections) {
+    doc.y += 4;
+    line(section.title, [], { bold: true });
+    for (const r of section.rows) line(r.name, r.values, { indent: r.depth + 1, bold: r.header });
+    line(`Total ${section.title.toLowerCase()}`, section.total, { bold: true });
+  }
+
+  doc.y += 6;
+  for (const s of report.summary) line(s.label, s.values, { bold: true });
+
+  const unbalanced = (report.checks || []).filter((c) => !c.balanced);
+  const unmapped = Array.isArray(report.unmapped) ? report.unmapped : [];
+  if (unbalanced.length || unmapped.length) {
+    doc.y += 8;
+    doc.font("Helvetica").fontSize(8).fillColor("#a00");
+    for (const c of unbalanced) doc.text(`Out of balance (${c.label.replace(/_/g, " ")}): ${money(c.difference)}`, MARGIN);
+    if (unmapped.length) doc.text(`Ledger accounts not in the chart of accounts: ${unmapped.join(", ")}`, MARGIN, doc.y, { width });
+    doc.fillColor("black");
+  }
+
+  doc.end();
+  return done;
+}
@@ -0,0 +1,414 @@
+// services/finance/financialReports.js (ESM)
+//
+// Trial balance, profit & loss and balance sheet built from per-account { debit, credit }
+// totals: rules only, no I/O (financialReportsService.js loads the totals). Rows follow the
+// chart of accounts (chartOfAccounts.js): parents roll up their children, seller:<id> and
+// wallet:<userId> sub-ledgers roll up into their header, and ledger keys missing from the
+// chart are kept apart as unmapped.
+//
+// Periods are Kathmandu business days (lib/time.js), `from` and `to` inclusive. The balance
+// sheet is as of the end of `to`.
+//
+// Signs: the trial balance shows debit - credit (a credit balance is negative). Statements show
+// each section on its natural side: assets and expenses debit - credit, liabilities, equity and
+// revenue credit - debit.
+
+import { businessDayWindowUtc } from "../../lib/time.js";
+import { ACCOUNT_TYPES, subLedgerOf } from "./chartOfAccounts.js";
+
+export const REPORTS = Object.freeze({
+  TRIAL_BALANCE: "trial_balance",
+  PROFIT_AND_LOSS: "profit_and_loss",
+  BALANCE_SHEET: "balance_sheet",
+});
+
+export const COMPARE_MODES = Object.freeze(["previous_period", "previous_year"]);
+
+export const MAX_REPORT_DAYS = 366 * 5;
+
+const TYPE_ORDER = [
+  ACCOUNT_TYPES.ASSET,
+  ACCOUNT_TYPES.LIABILITY,
+  ACCOUNT_TYPES.EQUITY,
+  ACCOUNT_TYPES.REVENUE,
+  ACCOUNT_TYPES.EXPENSE,
+];
+
+const SECTION_TITLES = {
+  [ACCOUNT_TYPES.ASSET]: "Assets",
+  [ACCOUNT_TYPES.LIABILITY]: "Liabilities",
+  [ACCOUNT_TYPES.EQUITY]: "Equity",
+  [ACCOUNT_TYPES.REVENUE]: "Revenue",
+  [ACCOUNT_TYPES.EXPENSE]: "Expenses",
+  unmapped: "Not in chart of accounts",
+};
+
+const DEBIT_SIDE = new Set([ACCOUNT_TYPES.ASSET, ACCOUNT_TYPES.EXPENSE]);
+
+const round2 = (v) => Math.round((v + Number.EPSILON) * 100) / 100;
+
+/* ---------------- periods ---------------- */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function isDate(s) {
+  if (!DATE_RE.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+export function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86_400_000);
+}
+
+// Feb 29 -> Feb 28 in a non-leap year
+function shiftYears(date, n) {
+  const [y, m, d] = date.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(y + n, m, 0)).getUTCDate();
+  return `${y + n}-${pad2(m)}-${pad2(Math.min(d, lastDay))}`;
+}
+
+export function comparativePeriod({ from, to }, mode) {
+  if (mode === "previous_year") return { from: shiftYears(from, -1), to: shiftYears(to, -1) };
+  const prevTo = addDays(from, -1);
+  return { from: addDays(prevTo, -daysBetween(from, to)), to: prevTo };
+}
+
+/**
+ * Query -> { value: { columns: [{ label, from, to }] } } or { error }. The balance sheet only
+ * needs `to`; its `from` (default: first day of that month) sizes the previous period.
+ */
+export function parseReportQuery(query, { report } = {}) {
+  const q = query && typeof query === "object" ? query : {};
+  const to = String(q.to || q.asOf || "").trim();
+  if (!isDate(to)) return { error: "to must be a date (YYYY-MM-DD)" };
+
+  let from = String(q.from || "").trim();
+  if (!from && report === REPORTS.BALANCE_SHEET) from = `${to.slice(0, 8)}01`;
+  if (!isDate(from)) return { error: "from must be a date (YYYY-MM-DD)" };
+  if (from > to) return { error: "from must be on or before to" };
+  if (daysBetween(from, to) >= MAX_REPORT_DAYS) return { error: `A report covers at most ${MAX_REPORT_DAYS} days` };
+
+  const compare = String(q.compare || "").trim().toLowerCase();
+  if (compare && compare !== "none" && !COMPARE_MODES.includes(compare)) {
+    return { error: `compare must be one of none, ${COMPARE_MODES.join(", ")}` };
+  }
+
+  const columns = [{ label: "current", from, to }];
+  if (COMPARE_MODES.includes(compare)) columns.push({ label: compare, ...comparativePeriod({ from, to }, compare) });
+  return { value: { columns } };
+}
+
+/**
+ * UTC windows of [from, to] (from null = since the beginning) not covered by the given
+ * business days: the parts a report reads straight from the ledger.
+ */
+export function uncoveredWindows(from, to, coveredDates) {
+  const start = from ? businessDayWindowUtc(from).fromUtc : null;
+  const end = businessDayWindowUtc(to).toUtc;
+  const days = [...new Set(coveredDates)].filter((d) => (!from || d >= from) && d <= to).sort();
+
+  const windows = [];
+  let cursor = start;
+  for (const day of days) {
+    const w = businessDayWindowUtc(day);
+    if (!cursor || cursor < w.fromUtc) windows.push({ from: cursor, to: w.fromUtc });
+    cursor = w.toUtc;
+  }
+  if (!cursor || cursor < end) windows.push({ from: cursor, to: end });
+  return windows;
+}
+
+export function mergeTotals(...maps) {
+  const out = new Map();
+  for (const map of maps) {
+    for (const [key, t] of map) {
+      const cur = out.get(key) || { debit: 0, credit: 0 };
+      out.set(key, { debit: cur.debit + (t.debit || 0), credit: cur.credit + (t.credit || 0) });
+    }
+  }
+  return out;
+}
+
+/* ---------------- chart roll-up ---------------- */
+
+/**
+ * Chart accounts (sub-ledgers excluded) in report order: by type, then hierarchy, then key.
+ */
+export function orderAccounts(accounts) {
+  const chart = accounts.filter((a) => !a.subLedger);
+  const byKey = new Map(chart.map((a) => [a.key, a]));
+  const children = new Map();
+  const roots = [];
+  for (const a of chart) {
+    if (a.parentKey && byKey.has(a.parentKey) && a.parentKey !== a.key) {
+      if (!children.has(a.parentKey)) children.set(a.parentKey, []);
+      children.get(a.parentKey).push(a);
+    } else {
+      roots.push(a);
+    }
+  }
+
+  const byKeyName = (a, b) => a.key.localeCompare(b.key);
+  const out = [];
+  const seen = new Set();
+  const visit = (account, depth) => {
+    if (seen.has(account.key)) return;
+    seen.add(account.key);
+    out.push({ account, depth });
+    for (const child of (children.get(account.key) || []).sort(byKeyName)) visit(child, depth + 1);
+  };
+
+  const rank = (t) => (TYPE_ORDER.includes(t) ? TYPE_ORDER.indexOf(t) : TYPE_ORDER.length);
+  roots.sort((a, b) => rank(a.type) - rank(b.type) || byKeyName(a, b)).forEach((a) => visit(a, 0));
+  return out;
+}
+
+/**
+ * Rolls per-account totals up the chart. `columns` is an array of Map(accountKey -> { debit,
+ * credit }); every row gets one { debit, credit } per column, including its descendants.
+ * With `detail`, sub-ledger accounts are listed under their header (names from `names`).
+ */
+export function rollUpAccounts(accounts, columns, { detail = false, names = new Map() } = {}) {
+  const ordered = orderAccounts(accounts);
+  const zero = () => columns.map(() => ({ debit: 0, credit: 0 }));
+  const add = (bucket, i, t) => {
+    bucket[i].debit += t.debit || 0;
+    bucket[i].credit += t.credit || 0;
+  };
+
+  const rolled = new Map(ordered.map(({ account }) => [account.key, zero()]));
+  const subRows = new Map();
+  const unmapped = new Map();
+
+  columns.forEach((totals, i) => {
+    for (const [key, t] of totals) {
+      if (rolled.has(key)) {
+        add(rolled.get(key), i, t);
+        continue;
+      }
+      const sub = subLedgerOf(key);
+      if (sub && rolled.has(sub.parentKey)) {
+        add(rolled.get(sub.parentKey), i, t);
+        if (detail) {
+          if (!subRows.has(sub.parentKey)) subRows.set(sub.parentKey, new Map());
+          const rows = subRows.get(sub.parentKey);
+          if (!rows.has(key)) rows.set(key, { name: names.get(key) || `${sub.label} ${sub.refId}`, amounts: zero() });
+          add(rows.get(key).amounts, i, t);
+        }
+        continue;
+      }
+      if (!unmapped.has(key)) unmapped.set(key, zero());
+      add(unmapped.get(key), i, t);
+    }
+  });
+
+  // Children come after their parent in `ordered`: walking it backwards adds every subtree
+  // into its parent once it is complete.
+  for (const { account } of [...ordered].reverse()) {
+    const parent = account.parentKey && account.parentKey !== account.key ? rolled.get(account.parentKey) : null;
+    if (parent) rolled.get(account.key).forEach((t, i) => add(parent, i, t));
+  }
+
+  const hasChildren = new Set(ordered.map(({ account }) => account.parentKey).filter(Boolean));
+  const rows = [];
+  for (const { account, depth } of ordered) {
+    rows.push({
+      key: account.key,
+      name: account.name,
+      type: account.type,
+      depth,
+      header: account.postable === false || hasChildren.has(account.key) || subRows.has(account.key),
+      active: account.active !== false,
+      amounts: rolled.get(account.key),
+    });
+    const subs = subRows.get(account.key);
+    if (!subs) continue;
+    for (const key of [...subs.keys()].sort()) {
+      const s = subs.get(key);
+      rows.push({ key, name: s.name, type: account.type, depth: depth + 1, header: false, subLedger: true, amounts: s.amounts });
+    }
+  }
+
+  return {
+    rows,
+    unmapped: [...unmapped.keys()].sort().map((key) => ({ key, amounts: unmapped.get(key) })),
+  };
+}
+
+/* ---------------- reports ---------------- */
+
+const isZero = (values) => values.every((v) => Math.abs(v) < 0.005);
+const sumValues = (rows) => rows.reduce((acc, r) => acc.map((v, i) => v + r.values[i]), rows[0]?.values.map(() => 0) || []);
+
+function sectionOf(type, rows, width) {
+  const top = rows.filter((r) => r.depth === 0);
+  return {
+    type,
+    title: SECTION_TITLES[type] || type,
+    rows: rows.map((r) => ({ ...r, values: r.values.map(round2) })),
+    total: (top.length ? sumValues(top) : new Array(width).fill(0)).map(round2),
+  };
+}
+
+function toRow(r, values) {
+  const row = { key: r.key, name: r.name, depth: r.depth, header: r.header, values };
+  if (r.subLedger) row.subLedger = true;
+  if (r.active === false) row.closed = true;
+  return row;
+}
+
+function naturalSide(type, { debit, credit }) {
+  return DEBIT_SIDE.has(type) ? debit - credit : credit - debit;
+}
+
+/**
+ * periods: [{ label, from, to, opening: Map, movement: Map }]
+ */
+export function buildTrialBalance(accounts, periods, { detail = false, names, includeZero = false } = {}) {
+  const { rows, unmapped } = rollUpAccounts(
+    accounts,
+    periods.flatMap((p) => [p.opening, p.movement]),
+    { detail, names }
+  );
+  const valuesOf = (amounts) =>
+    periods.flatMap((_, i) => {
+      const o = amounts[i * 2];
+      const m = amounts[i * 2 + 1];
+      const opening = o.debit - o.credit;
+      return [opening, m.debit, m.credit, opening + m.debit - m.credit];
+    });
+
+  const width = periods.length * 4;
+  const sections = [];
+  for (const type of TYPE_ORDER) {
+    const typed = rows
+      .filter((r) => r.type === type)
+      .map((r) => toRow(r, valuesOf(r.amounts)))
+      .filter((r) => includeZero || !isZero(r.values));
+    if (typed.length || includeZero) sections.push(sectionOf(type, typed, width));
+  }
+  if (unmapped.length) {
+    sections.push(sectionOf("unmapped", unmapped.map((u) => toRow({ key: u.key, name: u.key, depth: 0, header: false }, valuesOf(u.amounts))), width));
+  }
+
+  const total = (sections.length ? sumValues(sections.map((s) => ({ values: s.total }))) : new Array(width).fill(0)).map(round2);
+  return {
+    report: REPORTS.TRIAL_BALANCE,
+    title: "Trial balance",
+    columns: periods.map(({ label, from, to }) => ({ label, from, to })),
+    valueLabels: ["Opening", "Debit", "Credit", "Closing"],
+    sections,
+    summary: [{ label: "Total", values: total }],
+    checks: periods.map((p, i) => {
+      const difference = round2(total[i * 4 + 1] - total[i * 4 + 2]);
+      return { label: p.label, balanced: Math.abs(difference) < 0.01 && Math.abs(total[i * 4 + 3]) < 0.01, difference };
+    }),
+  };
+}
+
+function statementSections(types, rows, columnsCount, includeZero) {
+  return types.map((type) =>
+    sectionOf(
+      type,
+      rows
+        .filter((r) => r.type === type)
+        .map((r) => toRow(r, r.amounts.map((t) => naturalSide(type, t))))
+        .filter((r) => includeZero || !isZero(r.values)),
+      columnsCount
+    )
+  );
+}
+
+/**
+ * periods: [{ label, from, to, movement: Map }]
+ */
+export function buildProfitAndLoss(accounts, periods, { detail = false, names, includeZero = false } = {}) {
+  const { rows, unmapped } = rollUpAccounts(accounts, periods.map((p) => p.movement), { detail, names });
+  const [revenue, expenses] = statementSections([ACCOUNT_TYPES.REVENUE, ACCOUNT_TYPES.EXPENSE], rows, periods.length, includeZero);
+
+  return {
+    report: REPORTS.PROFIT_AND_LOSS,
+    title: "Profit and loss",
+    columns: periods.map(({ label, from, to }) => ({ label, from, to })),
+    valueLabels: ["Amount"],
+    sections: [revenue, expenses],
+    summary: [
+      { label: "Total revenue", values: revenue.total },
+      { label: "Total expenses", values: expenses.total },
+      { label: "Net income", values: revenue.total.map((v, i) => round2(v - expenses.total[i])) },
+    ],
+    unmapped: unmapped.map((u) => u.key),
+  };
+}
+
+/**
+ * periods: [{ label, from, to, cumulative: Map }] (balances at the end of `to`). Revenue and
+ * expenses are never closed into equity, so the running result is shown as current earnings.
+ */
+export function buildBalanceSheet(accounts, periods, { detail = false, names, includeZero = false } = {}) {
+  const { rows, unmapped } = rollUpAccounts(accounts, periods.map((p) => p.cumulative), { detail, names });
+  const n = periods.length;
+  const [assets, liabilities, equity] = statementSections(
+    [ACCOUNT_TYPES.ASSET, ACCOUNT_TYPES.LIABILITY, ACCOUNT_TYPES.EQUITY],
+    rows,
+    n,
+    includeZero
+  );
+
+  const [revenue, expenses] = statementSections([ACCOUNT_TYPES.REVENUE, ACCOUNT_TYPES.EXPENSE], rows, n, true);
+  const earnings = revenue.total.map((v, i) => round2(v - expenses.total[i]));
+  if (includeZero || !isZero(earnings)) {
+    equity.rows.push({ key: null, name: "Current earnings", depth: 0, header: false, values: earnings });
+    equity.total = equity.total.map((v, i) => round2(v + earnings[i]));
+  }
+
+  const liabilitiesAndEquity = liabilities.total.map((v, i) => round2(v + equity.total[i]));
+  const difference = assets.total.map((v, i) => round2(v - liabilitiesAndEquity[i]));
+  return {
+    report: REPORTS.BALANCE_SHEET,
+    title: "Balance sheet",
+    columns: periods.map(({ label, to }) => ({ label, from: null, to })),
+    valueLabels: ["Amount"],
+    sections: [assets, liabilities, equity],
+    summary: [
+      { label: "Total assets", values: assets.total },
+      { label: "Total liabilities and equity", values: liabilitiesAndEquity },
+      { label: "Difference", values: difference },
+    ],
+    checks: periods.map((p, i) => ({ label: p.label, balanced: Math.abs(difference[i]) < 0.01, difference: difference[i] })),
+    unmapped: unmapped.map((u) => u.key),
+  };
+}
+
+/* ---------------- export ---------------- */
+
+export function columnTitle(column) {
+  return column.from ? `${column.from} to ${column.to}` : `As of ${column.to}`;
+}
+
+/**
+ * Report -> { header, rows } for the CSV export (one line per account, section total and
+ * summary line).
+ */
+export function reportTable(report) {
+  const valueHeaders = report.columns.flatMap((c) =>
+    report.valueLabels.length === 1 ? [columnTitle(c)] : report.valueLabels.map((v) => `${v} (${columnTitle(c)})`)
+  );
+  const header = ["Section", "Account", "Name", "Level", ...valueHeaders];
+
+  const rows = [];
+  for (const section of report.sections) {
+    for (const r of section.rows) rows.push([section.title, r.key || "", r.name, String(r.depth), ...r.values.map(String)]);
+    rows.push([section.title, "", `Total ${section.title.toLowerCase()}`, "", ...section.total.map(String)]);
+  }
+  for (const line of report.summary) rows.push(["", "", line.label, "", ...line.values.map(String)]);
+  return { header, rows };
+}
@@ -0,0 +1,143 @@
+// services/finance/financialReportsService.js (ESM)
+//
+// Loads account totals for the financial reports (rules in financialReports.js).
+//
+// Totals come from gl_daily_account_snapshots for every business day whose settlement run
+// finished its account snapshot (lib/settlement.js), and straight from gl_ledger_entries for
+// the rest (days without a run, today). A snapshot doesn't see entries posted into its day
+// after it was taken (backfills): source: "ledger" skips the snapshots entirely.
+
+import { DEFAULT_ACCOUNTS, autoAccountsFor } from "./chartOfAccounts.js";
+import {
+  REPORTS,
+  addDays,
+  buildBalanceSheet,
+  buildProfitAndLoss,
+  buildTrialBalance,
+  mergeTotals,
+  uncoveredWindows,
+} from "./financialReports.js";
+
+function toTotalsMap(rows) {
+  return new Map(rows.map((r) => [String(r._id), { debit: Number(r.debit || 0), credit: Number(r.credit || 0) }]));
+}
+
+/**
+ * Business days in [from, to] (from null = any) whose settlement run stored account snapshots.
+ */
+async function snapshotDays(db, from, to) {
+  const range = { $lte: to, ...(from ? { $gte: from } : {}) };
+  const runs = await db
+    .collection("gl_settlement_runs")
+    .find({ businessDate: range, "steps.snapshot_accounts.status": "COMPLETED" }, { projection: { businessDate: 1 } })
+    .toArray();
+  return runs.map((r) => r.businessDate);
+}
+
+/**
+ * Map(accountKey -> { debit, credit }) for business days [from, to]; from null = everything
+ * up to the end of `to`.
+ */
+export async function accountMovements(db, { from = null, to }, { source = "snapshots" } = {}) {
+  const days = source === "ledger" ? [] : await snapshotDays(db, from, to);
+
+  const fromSnapshots = days.length
+    ? await db
+        .collection("gl_daily_account_snapshots")
+        .aggregate([
+          { $match: { businessDate: { $in: days } } },
+          { $group: { _id: "$accountKey", debit: { $sum: "$outflow" }, credit: { $sum: "$inflow" } } },
+        ])
+        .toArray()
+    : [];
+
+  const windows = uncoveredWindows(from, to, days);
+  const fromLedger = windows.length
+    ? await db
+        .collection("gl_ledger_entries")
+        .aggregate(
+          [
+            {
+              $match: {
+                $or: windows.map((w) => ({ postedAt: { ...(w.from ? { $gte: w.from } : {}), $lt: w.to } })),
+              },
+            },
+            {
+              $group: {
+                _id: "$accountKey",
+                debit: { $sum: { $cond: [{ $eq: ["$dc", "debit"] }, "$amount", 0] } },
+                credit: { $sum: { $cond: [{ $eq: ["$dc", "credit"] }, "$amount", 0] } },
+              },
+            },
+          ],
+          { allowDiskUse: true }
+        )
+        .toArray()
+    : [];
+
+  return {
+    totals: mergeTotals(toTotalsMap(fromSnapshots), toTotalsMap(fromLedger)),
+    coverage: { snapshotDays: days.length, ledgerWindows: windows.length },
+  };
+}
+
+async function subLedgerNames(db, periodsTotals) {
+  const keys = new Set();
+  for (const totals of periodsTotals) for (const key of totals.keys()) if (/^(seller|wallet):/.test(key)) keys.add(key);
+  if (!keys.size) return new Map();
+  const docs = await db
+    .collection("gl_accounts")
+    .find({ key: { $in: [...keys] } }, { projection: { key: 1, name: 1 } })
+    .toArray();
+  return new Map(docs.map((d) => [d.key, d.name]));
+}
+
+// Chart accounts; defaults not stored yet (no posting so far) are taken as seeded
+async function reportAccounts(db) {
+  const stored = await db.collection("gl_accounts").find({ subLedger: null }).toArray();
+  const have = new Set(stored.map((a) => a.key));
+  const defaults = autoAccountsFor(DEFAULT_ACCOUNTS.map((a) => a.key)).filter((a) => !have.has(a.key));
+  return [...stored, ...defaults];
+}
+
+/**
+ * Builds one report for the parsed columns (parseReportQuery). `sources` tells, per column, how
+ * many business days were read from snapshots and how many ledger windows filled the gaps.
+ */
+export async function buildFinancialReport(db, report, { columns, detail = false, includeZero = false, source } = {}) {
+  const accounts = await reportAccounts(db);
+  const sources = [];
+  let current = null;
+  const load = async (range) => {
+    const out = await accountMovements(db, range, { source });
+    current.snapshotDays += out.coverage.snapshotDays;
+    current.ledgerWindows += out.coverage.ledgerWindows;
+    return out.totals;
+  };
+
+  const periods = [];
+  for (const c of columns) {
+    current = { label: c.label, snapshotDays: 0, ledgerWindows: 0 };
+    sources.push(current);
+    const period = { label: c.label, from: c.from, to: c.to };
+    if (report === REPORTS.TRIAL_BALANCE) {
+      period.opening = await load({ from: null, to: addDays(c.from, -1) });
+      period.movement = await load({ from: c.from, to: c.to });
+    } else if (report === REPORTS.PROFIT_AND_LOSS) {
+      period.movement = await load({ from: c.from, to: c.to });
+    } else {
+      period.cumulative = await load({ from: null, to: c.to });
+    }
+    periods.push(period);
+  }
+
+  const maps = periods.flatMap((p) => [p.opening, p.movement, p.cumulative].filter(Boolean));
+  const options = { detail, includeZero, names: detail ? await subLedgerNames(db, maps) : new Map() };
+
+  let out;
+  if (report === REPORTS.TRIAL_BALANCE) out = buildTrialBalance(accounts, periods, options);
+  else if (report === REPORTS.PROFIT_AND_LOSS) out = buildProfitAndLoss(accounts, periods, options);
+  else out = buildBalanceSheet(accounts, periods, options);
+
+  return { ...out, sources, generatedAt: new Date() };
+}
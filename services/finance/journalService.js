@@ -0,0 +1,353 @@
+// services/finance/journalService.js (ESM)
+//
+// gl_journals reads and writes (rules in journals.js). An approved journal is posted through
+// postTransactionGroup as journal_<id>, so the usual checks apply: balanced legs, active
+// postable accounts, and a retry never posts twice.
+//
+// Accounting dates (postedAt) must fall in an open day and period (accountingPeriods.js); this
+// is checked on submit and again on approval.
+//
+// Requires MongoDB indexes (scripts/createJournalIndexes.js).
+
+import { ObjectId } from "mongodb";
+
+import { nextSequence, formatJournalNumber } from "../../utils/counters.js";
+import { escapeRegex } from "../../utils/query.js";
+import { findLock } from "./accountingPeriods.js";
+import { checkPostingAccounts } from "./chartOfAccountsService.js";
+import {
+  ACTIVE_STATUSES,
+  JOURNAL_STATUS,
+  JOURNAL_TYPES,
+  journalCategory,
+  journalGroupId,
+  journalLegs,
+  parseJournalInput,
+  reversalLines,
+  transitionError,
+} from "./journals.js";
+import { describeLock } from "./periodLocks.js";
+import { postTransactionGroup } from "./postTransactionGroup.js";
+
+const JOURNALS = "gl_journals";
+
+export function journalError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  const s = String(id).trim();
+  return ObjectId.isValid(s) ? new ObjectId(s) : null;
+}
+
+function historyEntry(action, actor, note = null, at = new Date()) {
+  return { at, action, actor: actor || null, note };
+}
+
+async function getJournalOrThrow(db, id) {
+  const _id = toObjectId(id);
+  const journal = _id ? await db.collection(JOURNALS).findOne({ _id }) : null;
+  if (!journal) throw journalError("Journal not found", "JOURNAL_NOT_FOUND", 404);
+  return journal;
+}
+
+function assertTransition(journal, action, actor) {
+  const error = transitionError(journal, action, actor?.id);
+  if (error) throw journalError(error, "JOURNAL_TRANSITION_NOT_ALLOWED", 409);
+}
+
+// Journals are never redirected like late postings: the maker picks another date
+async function assertOpenDate(db, date) {
+  const lock = await findLock(db, date);
+  if (lock) {
+    throw journalError(`${date.toISOString()}: ${describeLock(lock)}; post into an open period`, "PERIOD_CLOSED", 409);
+  }
+}
+
+async function assertPostable(db, lines) {
+  const errors = await checkPostingAccounts(db, lines.map((l) => l.accountKey));
+  if (errors.length) {
+    throw journalError(
+      `Rejected account(s): ${errors.map((e) => `${e.accountKey} (${e.reason})`).join(", ")}`,
+      "ACCOUNT_REJECTED",
+      422
+    );
+  }
+}
+
+async function activeReversalOf(db, transactionGroupId, { excludeId = null, statuses = ACTIVE_STATUSES } = {}) {
+  return db.collection(JOURNALS).findOne(
+    {
+      "reversalOf.transactionGroupId": transactionGroupId,
+      status: { $in: [...statuses] },
+      ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    },
+    { projection: { journalNumber: 1, status: 1 } }
+  );
+}
+
+async function insertJournal(db, doc) {
+  const seq = await nextSequence({ Counters: db.collection("counters"), key: "glJournals" });
+  const journal = { ...doc, journalNumber: formatJournalNumber(seq) };
+  const { insertedId } = await db.collection(JOURNALS).insertOne(journal);
+  return { _id: insertedId, ...journal };
+}
+
+function baseJournal({ type, value, actor, now, reversalOf = null }) {
+  return {
+    type,
+    status: JOURNAL_STATUS.DRAFT,
+    memo: value.memo,
+    postedAt: value.postedAt,
+    lines: value.lines,
+    reversalOf,
+    createdBy: actor || null,
+    submittedAt: null,
+    submittedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+    rejection: null,
+    posting: null,
+    history: [historyEntry("created", actor, null, now)],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/* ---------------- reads ---------------- */
+
+export async function listJournals(db, { status, type, q, page = 1, limit = 20 }) {
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+  if (q) {
+    const re = new RegExp(escapeRegex(q), "i");
+    filter.$or = [{ journalNumber: re }, { memo: re }, { "reversalOf.transactionGroupId": re }, { "lines.accountKey": re }];
+  }
+
+  const Journals = db.collection(JOURNALS);
+  const [items, total] = await Promise.all([
+    Journals.find(filter, { projection: { history: 0 } })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    Journals.countDocuments(filter),
+  ]);
+  return { items, total };
+}
+
+export async function getJournal(db, id) {
+  return getJournalOrThrow(db, id);
+}
+
+/* ---------------- maker ---------------- */
+
+export async function createJournal(db, body, actor) {
+  const { value, error } = parseJournalInput(body);
+  if (error) throw journalError(error, "INVALID_JOURNAL");
+  if (value.postedAt) await assertOpenDate(db, value.postedAt);
+
+  return insertJournal(db, baseJournal({ type: JOURNAL_TYPES.MANUAL, value, actor, now: new Date() }));
+}
+
+/**
+ * Draft journal mirroring every leg of a posted transaction group. { submit: true } submits it
+ * right away, so the checker only has to approve.
+ */
+export async function createReversal(db, body, actor) {
+  const transactionGroupId = typeof body?.transactionGroupId === "string" ? body.transactionGroupId.trim() : "";
+  if (!transactionGroupId) throw journalError("transactionGroupId is required", "INVALID_JOURNAL");
+
+  const entries = await db
+    .collection("gl_ledger_entries")
+    .find({ transactionGroupId })
+    .sort({ _id: 1 })
+    .toArray();
+  if (!entries.length) throw journalError("Transaction group not found", "GROUP_NOT_FOUND", 404);
+
+  const existing = await activeReversalOf(db, transactionGroupId);
+  if (existing) {
+    throw journalError(`Already reversed by ${existing.journalNumber} (${existing.status})`, "ALREADY_REVERSED", 409);
+  }
+
+  const { value, error } = parseJournalInput({
+    memo: body?.memo || `Reversal of ${transactionGroupId}`,
+    postedAt: body?.postedAt,
+    lines: reversalLines(entries),
+  });
+  if (error) throw journalError(error, "INVALID_JOURNAL");
+  if (value.postedAt) await assertOpenDate(db, value.postedAt);
+
+  const journal = await insertJournal(
+    db,
+    baseJournal({
+      type: JOURNAL_TYPES.REVERSAL,
+      value,
+      actor,
+      now: new Date(),
+      reversalOf: {
+        transactionGroupId,
+        postedAt: entries[0].postedAt || null,
+        sourceRef: entries[0].sourceRef || null,
+        category: entries[0].category || null,
+      },
+    })
+  );
+  return body?.submit === true ? submitJournal(db, journal._id, actor) : journal;
+}
+
+export async function updateJournal(db, id, body, actor) {
+  const journal = await getJournalOrThrow(db, id);
+  assertTransition(journal, "update", actor);
+
+  const { value, error } = parseJournalInput(body, { partial: true });
+  if (error) throw journalError(error, "INVALID_JOURNAL");
+  if (journal.type === JOURNAL_TYPES.REVERSAL && value.lines) {
+    throw journalError("The lines of a reversal mirror the original group and can't change", "REVERSAL_LOCKED");
+  }
+  if (value.postedAt) await assertOpenDate(db, value.postedAt);
+
+  const now = new Date();
+  const res = await db.collection(JOURNALS).findOneAndUpdate(
+    { _id: journal._id, status: journal.status },
+    {
+      $set: { ...value, updatedAt: now },
+      $push: { history: historyEntry("updated", actor, Object.keys(value).join(", "), now) },
+    },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+  if (!res.value) throw journalError("The journal changed meanwhile, reload it", "JOURNAL_CONFLICT", 409);
+  return res.value;
+}
+
+export async function submitJournal(db, id, actor) {
+  const journal = await getJournalOrThrow(db, id);
+  assertTransition(journal, "submit", actor);
+  await assertOpenDate(db, journal.postedAt || new Date());
+  await assertPostable(db, journal.lines);
+
+  const now = new Date();
+  const res = await db.collection(JOURNALS).findOneAndUpdate(
+    { _id: journal._id, status: journal.status },
+    {
+      $set: { status: JOURNAL_STATUS.SUBMITTED, submittedAt: now, submittedBy: actor || null, rejection: null, updatedAt: now },
+      $push: { history: historyEntry("submitted", actor, null, now) },
+    },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+  if (!res.value) throw journalError("The journal changed meanwhile, reload it", "JOURNAL_CONFLICT", 409);
+  return res.value;
+}
+
+export async function cancelJournal(db, id, actor) {
+  const journal = await getJournalOrThrow(db, id);
+  assertTransition(journal, "cancel", actor);
+
+  const now = new Date();
+  const res = await db.collection(JOURNALS).findOneAndUpdate(
+    { _id: journal._id, status: journal.status },
+    {
+      $set: { status: JOURNAL_STATUS.CANCELLED, updatedAt: now },
+      $push: { history: historyEntry("cancelled", actor, null, now) },
+    },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+  if (!res.value) throw journalError("The journal changed meanwhile, reload it", "JOURNAL_CONFLICT", 409);
+  return res.value;
+}
+
+/* ---------------- checker ---------------- */
+
+export async function rejectJournal(db, id, body, actor) {
+  const reason = typeof body?.reason === "string" ? body.reason.trim().slice(0, 500) : "";
+  if (!reason) throw journalError("reason is required", "INVALID_JOURNAL");
+
+  const journal = await getJournalOrThrow(db, id);
+  assertTransition(journal, "reject", actor);
+
+  const now = new Date();
+  const res = await db.collection(JOURNALS).findOneAndUpdate(
+    { _id: journal._id, status: JOURNAL_STATUS.SUBMITTED },
+    {
+      $set: { status: JOURNAL_STATUS.REJECTED, rejection: { reason, at: now, by: actor || null }, updatedAt: now },
+      $push: { history: historyEntry("rejected", actor, reason, now) },
+    },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+  if (!res.value) throw journalError("The journal changed meanwhile, reload it", "JOURNAL_CONFLICT", 409);
+  return res.value;
+}
+
+/**
+ * Posts the journal. The approver claims it first (submitted -> approving) so two approvals
+ * can't race; when the ledger refuses the legs the journal goes back to submitted.
+ */
+export async function approveJournal(db, id, actor) {
+  const journal = await getJournalOrThrow(db, id);
+  assertTransition(journal, "approve", actor);
+
+  const postedAt = journal.postedAt || new Date();
+  await assertOpenDate(db, postedAt);
+  if (journal.reversalOf) {
+    const other = await activeReversalOf(db, journal.reversalOf.transactionGroupId, {
+      excludeId: journal._id,
+      statuses: [JOURNAL_STATUS.APPROVING, JOURNAL_STATUS.APPROVED],
+    });
+    if (other) throw journalError(`Already reversed by ${other.journalNumber}`, "ALREADY_REVERSED", 409);
+  }
+
+  const Journals = db.collection(JOURNALS);
+  const claimed = await Journals.updateOne(
+    { _id: journal._id, status: JOURNAL_STATUS.SUBMITTED },
+    { $set: { status: JOURNAL_STATUS.APPROVING, updatedAt: new Date() } }
+  );
+  if (!claimed.modifiedCount) throw journalError("The journal changed meanwhile, reload it", "JOURNAL_CONFLICT", 409);
+
+  const release = () =>
+    Journals.updateOne(
+      { _id: journal._id, status: JOURNAL_STATUS.APPROVING },
+      { $set: { status: JOURNAL_STATUS.SUBMITTED, updatedAt: new Date() } }
+    );
+
+  let result;
+  try {
+    result = await postTransactionGroup(db, {
+      transactionGroupId: journalGroupId(journal),
+      postedAt,
+      sourceRef: journal.journalNumber,
+      category: journalCategory(journal),
+      note: journal.memo,
+      legs: journalLegs(journal),
+    });
+  } catch (err) {
+    await release();
+    throw err;
+  }
+  if (!result.ok) {
+    await release();
+    throw journalError(result.reason || "The ledger rejected the journal", "POSTING_REJECTED", 422);
+  }
+
+  const now = new Date();
+  const res = await Journals.findOneAndUpdate(
+    { _id: journal._id },
+    {
+      $set: {
+        status: JOURNAL_STATUS.APPROVED,
+        approvedAt: now,
+        approvedBy: actor || null,
+        posting: { transactionGroupId: result.transactionGroupId, postedAt, legs: journal.lines.length },
+        updatedAt: now,
+      },
+      $push: { history: historyEntry("approved", actor, null, now) },
+    },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+  return res.value;
+}
@@ -0,0 +1,173 @@
+// services/finance/journals.js (ESM)
+//
+// Manual and reversal journal entries: rules only, no I/O (journalService.js does the reads
+// and writes). gl_ledger_entries stay insert-only; a wrong posting is corrected by a new,
+// balanced group: an adjusting journal or the mirror image of the original group.
+//
+// Workflow (maker-checker):
+//
+//   draft -> submitted -> approved (posted to the ledger as journal_<id>)
+//     ^          |
+//     +- rejected <- (checker)      draft / rejected / submitted -> cancelled (maker)
+//
+// The maker drafts, edits and submits; a different finance user approves or rejects. A rejected
+// journal goes back to its maker for changes and can be submitted again.
+
+import { isValidAccountKey } from "./chartOfAccounts.js";
+
+export const JOURNAL_STATUS = Object.freeze({
+  DRAFT: "draft",
+  SUBMITTED: "submitted",
+  APPROVING: "approving", // claimed by an approver while the legs are written
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+});
+
+export const JOURNAL_TYPES = Object.freeze({
+  MANUAL: "manual",
+  REVERSAL: "reversal",
+});
+
+export const MAX_JOURNAL_LINES = 100;
+
+// A reversal in one of these states blocks a second reversal of the same group
+export const ACTIVE_STATUSES = Object.freeze([
+  JOURNAL_STATUS.DRAFT,
+  JOURNAL_STATUS.SUBMITTED,
+  JOURNAL_STATUS.APPROVING,
+  JOURNAL_STATUS.APPROVED,
+  JOURNAL_STATUS.REJECTED,
+]);
+
+const EDITABLE = [JOURNAL_STATUS.DRAFT, JOURNAL_STATUS.REJECTED];
+
+const cents = (v) => Math.round(v * 100);
+const cleanStr = (v, max) => (typeof v === "string" ? v.trim().slice(0, max) : "");
+
+export function journalGroupId(journal) {
+  return `journal_${journal._id}`;
+}
+
+export function isBalancedLines(lines) {
+  const sum = (dc) => lines.filter((l) => l.dc === dc).reduce((s, l) => s + cents(l.amount), 0);
+  return sum("debit") === sum("credit");
+}
+
+function parseLines(input) {
+  if (!Array.isArray(input) || input.length < 2) return { error: "A journal needs at least two lines" };
+  if (input.length > MAX_JOURNAL_LINES) return { error: `A journal has at most ${MAX_JOURNAL_LINES} lines` };
+
+  const lines = [];
+  for (const [i, raw] of input.entries()) {
+    const l = raw && typeof raw === "object" ? raw : {};
+    const accountKey = cleanStr(l.accountKey, 120);
+    if (!isValidAccountKey(accountKey)) return { error: `Line ${i + 1}: accountKey is not a valid account key` };
+    const dc = cleanStr(l.dc, 10).toLowerCase();
+    if (dc !== "debit" && dc !== "credit") return { error: `Line ${i + 1}: dc must be debit or credit` };
+    const amount = Number(l.amount);
+    if (!Number.isFinite(amount) || cents(amount) <= 0) return { error: `Line ${i + 1}: amount must be above zero` };
+    lines.push({ accountKey, dc, amount: cents(amount) / 100, note: cleanStr(l.note, 200) || null });
+  }
+
+  if (!isBalancedLines(lines)) return { error: "Debits and credits must be equal" };
+  return { lines };
+}
+
+/**
+ * Create / update body -> { value } or { error }. postedAt is the accounting date (null: the
+ * moment of approval); on update only the given fields are returned.
+ */
+export function parseJournalInput(body, { partial = false, now = new Date() } = {}) {
+  const b = body && typeof body === "object" ? body : {};
+  const value = {};
+
+  if (!partial || b.memo !== undefined) {
+    const memo = cleanStr(b.memo, 500);
+    if (!memo) return { error: "memo is required" };
+    value.memo = memo;
+  }
+
+  if (!partial || b.lines !== undefined) {
+    const { lines, error } = parseLines(b.lines);
+    if (error) return { error };
+    value.lines = lines;
+  }
+
+  if (b.postedAt !== undefined && b.postedAt !== null && b.postedAt !== "") {
+    const postedAt = new Date(b.postedAt);
+    if (Number.isNaN(postedAt.getTime())) return { error: "postedAt must be a date" };
+    if (postedAt > now) return { error: "postedAt cannot be in the future" };
+    value.postedAt = postedAt;
+  } else if (b.postedAt !== undefined || !partial) {
+    value.postedAt = null;
+  }
+
+  return { value };
+}
+
+/**
+ * Lines that undo a posted group: every leg with debit and credit swapped.
+ */
+export function reversalLines(entries) {
+  return entries.map((e) => ({
+    accountKey: e.accountKey,
+    dc: e.dc === "debit" ? "credit" : "debit",
+    amount: Number(e.amount),
+    note: e.note ? `Reversal: ${e.note}`.slice(0, 200) : null,
+  }));
+}
+
+const sameUser = (a, b) => Boolean(a && b && String(a) === String(b));
+
+/**
+ * Why `actorId` may not perform `action` on the journal (string), or null when allowed.
+ * action: update | submit | cancel | approve | reject
+ */
+export function transitionError(journal, action, actorId) {
+  const maker = journal.createdBy?.id;
+  const isMaker = sameUser(maker, actorId);
+
+  switch (action) {
+    case "update":
+    case "submit":
+      if (!EDITABLE.includes(journal.status)) return `A ${journal.status} journal can't be changed`;
+      if (!isMaker) return "Only the journal's author can change or submit it";
+      return null;
+    case "cancel":
+      if (![...EDITABLE, JOURNAL_STATUS.SUBMITTED].includes(journal.status)) return `A ${journal.status} journal can't be cancelled`;
+      if (!isMaker) return "Only the journal's author can cancel it";
+      return null;
+    case "approve":
+    case "reject":
+      if (journal.status !== JOURNAL_STATUS.SUBMITTED) return `Only a submitted journal can be ${action}d`;
+      if (isMaker || sameUser(journal.submittedBy?.id, actorId)) {
+        return `A journal must be ${action === "approve" ? "approved" : "rejected"} by a different finance user`;
+      }
+      return null;
+    default:
+      return `Unknown action ${action}`;
+  }
+}
+
+/**
+ * Legs for postTransactionGroup, tagged with the journal for drill-down from the ledger.
+ */
+export function journalLegs(journal) {
+  const meta = {
+    journalId: String(journal._id),
+    journalNumber: journal.journalNumber,
+    ...(journal.reversalOf ? { reversalOf: journal.reversalOf.transactionGroupId } : {}),
+  };
+  return journal.lines.map((l) => ({
+    accountKey: l.accountKey,
+    dc: l.dc,
+    amount: l.amount,
+    note: l.note || journal.memo,
+    meta,
+  }));
+}
+
+export function journalCategory(journal) {
+  return journal.type === JOURNAL_TYPES.REVERSAL ? "journal_reversal" : "journal_adjustment";
+}
@@ -0,0 +1,89 @@
+// services/finance/ledgerPosting.js (ESM)
+//
+// Posts the groups built by postingRules.js. A group whose id (or one of its legacy aliases)
+// is already in gl_ledger_entries is skipped, so amounts recomputed later from a changed
+// document never add stray legs next to the original posting.
+//
+// Callers in request paths wrap these in try/catch: a failed posting must not undo the order,
+// invoice or payout update it follows (scripts/backfillLedger.js picks up anything missed).
+
+import { postTransactionGroup } from "./postTransactionGroup.js";
+import { LEDGER_EVENTS, buildPostingGroups } from "./postingRules.js";
+
+async function postedGroupId(db, ids) {
+  const row = await db
+    .collection("gl_ledger_entries")
+    .findOne({ transactionGroupId: { $in: ids } }, { projection: { transactionGroupId: 1 } });
+  return row?.transactionGroupId || null;
+}
+
+/**
+ * -> { posted: [groupId], skipped: [{ transactionGroupId, postedAs }], failed: [{ transactionGroupId, reason }] }
+ * ignorePeriodLocks: see postTransactionGroup (backfills only).
+ */
+export async function postLedgerGroups(db, groups, { dryRun = false, ignorePeriodLocks = false } = {}) {
+  const out = { posted: [], skipped: [], failed: [] };
+
+  for (const group of groups) {
+    const { transactionGroupId } = group;
+    const postedAs = await postedGroupId(db, [transactionGroupId, ...(group.aliases || [])]);
+    if (postedAs) {
+      out.skipped.push({ transactionGroupId, postedAs });
+      continue;
+    }
+    if (dryRun) {
+      out.posted.push(transactionGroupId);
+      continue;
+    }
+
+    const res = await postTransactionGroup(db, { ...group, ignorePeriodLocks });
+    if (res.ok) {
+      out.posted.push(transactionGroupId);
+    } else {
+      console.error("[ledger] posting rejected", { transactionGroupId, reason: res.reason });
+      out.failed.push({ transactionGroupId, reason: res.reason });
+    }
+  }
+
+  return out;
+}
+
+export function postLedgerEvent(db, event, payload, options) {
+  return postLedgerGroups(db, buildPostingGroups(event, payload), options);
+}
+
+/**
+ * Money for the order reached the platform: the captured amount plus whatever the platform
+ * funded through admin discounts. Wallet-paid orders capture 0 and only book the discount.
+ */
+export function postOrderPaymentCaptured(db, order, { amount, postedAt, ...options } = {}) {
+  return postLedgerGroups(
+    db,
+    [
+      ...buildPostingGroups(LEDGER_EVENTS.PAYMENT_CAPTURED, { order, amount, postedAt }),
+      ...buildPostingGroups(LEDGER_EVENTS.PLATFORM_DISCOUNT, { order, postedAt }),
+    ],
+    options
+  );
+}
+
+/**
+ * A paid invoice: net payout to the seller and commission to the platform.
+ */
+export function postInvoiceAllocation(db, invoice, { postedAt, ...options } = {}) {
+  return postLedgerGroups(
+    db,
+    [
+      ...buildPostingGroups(LEDGER_EVENTS.INVOICE_ISSUED, { invoice, postedAt }),
+      ...buildPostingGroups(LEDGER_EVENTS.COMMISSION_EARNED, { invoice, postedAt }),
+    ],
+    options
+  );
+}
+
+export async function postPayoutPaid(db, invoices, { batchId = null, reference = "", postedAt, ...options } = {}) {
+  const groups = (invoices || []).flatMap((invoice) =>
+    buildPostingGroups(LEDGER_EVENTS.PAYOUT_PAID, { invoice, batchId, reference, postedAt })
+  );
+  return postLedgerGroups(db, groups, options);
+}
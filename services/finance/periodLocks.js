@@ -0,0 +1,152 @@
+// services/finance/periodLocks.js (ESM)
+//
+// Ledger period locks: rules only, no I/O (accountingPeriods.js loads the locks).
+//
+// A posting date is locked when its Kathmandu business day was closed by the daily close
+// (gl_daily_closes status "closed") or when it falls in a closed settlement period. A
+// posting dated into a lock is moved to the next open moment: the start of the next business
+// day that isn't closed, or the end of the settlement period. The ledger keeps the requested
+// date next to the one used (redirectedFrom).
+//
+// Snapshot drift: a closed day's gl_daily_account_snapshots rows compared with a fresh
+// computeDailyCloseFromLedger run (lib/dailyClose.js) for the same window.
+
+import { businessDayWindowUtc } from "../../lib/time.js";
+import { addDays } from "./financialReports.js";
+
+const KTM_OFFSET_MS = (5 * 60 + 45) * 60_000;
+const MAX_DAYS_AHEAD = 3660;
+
+export const LOCK_TYPES = Object.freeze({ DAY: "day", PERIOD: "period" });
+
+export const DRIFT_TOLERANCE = 0.005;
+export const MAX_DRIFT_DAYS = 31;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const isDate = (s) => DATE_RE.test(s) && !Number.isNaN(Date.parse(`${s}T00:00:00Z`)) && addDays(s, 0) === s;
+
+/**
+ * Kathmandu business day (YYYY-MM-DD) a timestamp belongs to.
+ */
+export function businessDateOf(date) {
+  return new Date(new Date(date).getTime() + KTM_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+export function describeLock(lock) {
+  if (!lock) return null;
+  return lock.type === LOCK_TYPES.DAY
+    ? `business day ${lock.businessDate} is closed`
+    : `settlement period ${lock.periodKey} is closed`;
+}
+
+/**
+ * The lock covering `date` ({ type, businessDate } or { type, periodKey, startAt, endAt }),
+ * or null. closedDays: Set of closed business dates; closedPeriods: [{ periodKey, startAt, endAt }].
+ */
+export function lockAt(date, { closedDays, closedPeriods }) {
+  const businessDate = businessDateOf(date);
+  if (closedDays.has(businessDate)) return { type: LOCK_TYPES.DAY, businessDate };
+  const t = new Date(date).getTime();
+  const period = closedPeriods.find((p) => new Date(p.startAt).getTime() <= t && t < new Date(p.endAt).getTime());
+  return period ? { type: LOCK_TYPES.PERIOD, periodKey: period.periodKey, startAt: period.startAt, endAt: period.endAt } : null;
+}
+
+/**
+ * Where a posting dated `requested` lands: { postedAt, redirectedFrom } with redirectedFrom
+ * null when the date is open, else { postedAt, businessDate, lock } of the original request.
+ */
+export function placePosting(requested, locks) {
+  const firstLock = lockAt(requested, locks);
+  if (!firstLock) return { postedAt: requested, redirectedFrom: null };
+
+  let at = requested;
+  for (let i = 0; i < MAX_DAYS_AHEAD; i += 1) {
+    const lock = lockAt(at, locks);
+    if (!lock) {
+      return {
+        postedAt: at,
+        redirectedFrom: { postedAt: requested, businessDate: businessDateOf(requested), lock: firstLock },
+      };
+    }
+    at =
+      lock.type === LOCK_TYPES.DAY
+        ? businessDayWindowUtc(addDays(lock.businessDate, 1)).fromUtc
+        : new Date(lock.endAt);
+  }
+
+  const e = new Error(`No open posting date within ${MAX_DAYS_AHEAD} days of ${requested.toISOString()}`);
+  e.statusCode = 409;
+  e.code = "NO_OPEN_PERIOD";
+  throw e;
+}
+
+/**
+ * Stored snapshot rows vs freshly computed per-account rows for one business day.
+ * Drift is a difference in the day's own movement (inflow / outflow); an opening balance that
+ * moved because of an earlier day is counted in openingShifted only.
+ */
+export function compareDaySnapshots(stored, computed, { tolerance = DRIFT_TOLERANCE } = {}) {
+  const zero = { inflow: 0, outflow: 0, opening: 0, closing: 0 };
+  const storedBy = new Map(
+    stored.map((s) => [
+      s.accountKey,
+      {
+        inflow: Number(s.inflow || 0),
+        outflow: Number(s.outflow || 0),
+        opening: Number(s.openingBalance || 0),
+        closing: Number(s.closingBalance || 0),
+      },
+    ])
+  );
+  const ledgerBy = new Map(
+    computed.map((c) => [
+      c.accountKey,
+      {
+        inflow: Number(c.inflow || 0),
+        outflow: Number(c.outflow || 0),
+        opening: Number(c.opening || 0),
+        closing: Number(c.closing || 0),
+      },
+    ])
+  );
+
+  const round2 = (v) => Math.round(v * 100) / 100;
+  const drifted = [];
+  let openingShifted = 0;
+  for (const accountKey of [...new Set([...storedBy.keys(), ...ledgerBy.keys()])].sort()) {
+    const s = storedBy.get(accountKey) || zero;
+    const l = ledgerBy.get(accountKey) || zero;
+    const diff = { inflow: round2(l.inflow - s.inflow), outflow: round2(l.outflow - s.outflow) };
+    if (Math.abs(diff.inflow) > tolerance || Math.abs(diff.outflow) > tolerance) {
+      drifted.push({ accountKey, snapshot: s, ledger: l, diff, missing: !storedBy.has(accountKey) });
+    } else if (storedBy.has(accountKey) && Math.abs(l.opening - s.opening) > tolerance) {
+      openingShifted += 1;
+    }
+  }
+
+  return { ok: drifted.length === 0, drifted, openingShifted };
+}
+
+/**
+ * { from, to } (YYYY-MM-DD, inclusive) for a drift check, or { error }. Without dates: the
+ * `days` business days up to yesterday (Kathmandu).
+ */
+export function parseDriftRange({ from, to, days } = {}, { now = new Date(), maxDays = MAX_DRIFT_DAYS } = {}) {
+  const yesterday = addDays(businessDateOf(now), -1);
+  const end = to ? String(to).trim() : yesterday;
+  if (!isDate(end)) return { error: "to must be YYYY-MM-DD" };
+
+  let start;
+  if (from) {
+    start = String(from).trim();
+    if (!isDate(start)) return { error: "from must be YYYY-MM-DD" };
+  } else {
+    const n = days === undefined || days === null || days === "" ? 7 : Number(days);
+    if (!Number.isInteger(n) || n < 1) return { error: "days must be a positive whole number" };
+    start = addDays(end, -(n - 1));
+  }
+
+  if (start > end) return { error: "from must not be after to" };
+  if (addDays(start, maxDays) <= end) return { error: `A drift check covers at most ${maxDays} days` };
+  return { from: start, to: end };
+}
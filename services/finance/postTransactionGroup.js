@@ -5,6 +5,13 @@
 // - Sum(debits) === Sum(credits) (balanced group)
 // - Idempotent via unique index uniq_txn_leg on (transactionGroupId, accountKey, dc, amount, sourceRef)
 // - Safe retries: duplicate-key => treat as already-posted
+// - Every accountKey is an active, postable gl_accounts entry (chartOfAccounts.js); default
+//   and seller:/wallet: sub-ledger accounts are created on their first posting
+// - A postedAt inside a closed business day or settlement period moves to the next open day
+//   (accountingPeriods.js); each leg keeps the requested date in redirectedFrom.
+//   input.ignorePeriodLocks writes into the closed day as asked (historical backfills only).
+// - input.session: legs are written in the caller's transaction (wallet postings). A duplicate
+//   key aborts that transaction, so callers guard idempotency themselves before posting.
 //
 // Requires MongoDB index:
 // db.gl_ledger_entries.createIndex(
@@ -14,6 +21,9 @@
 
 import crypto from "crypto";
 
+import { resolvePostingDate } from "./accountingPeriods.js";
+import { checkPostingAccounts } from "./chartOfAccountsService.js";
+
 function toNum(v, def = 0) {
   const n = Number(v);
   return Number.isFinite(n) ? n : def;
@@ -111,8 +121,23 @@ export async function postTransactionGroup(db, input) {
     };
   }
 
+  const accountErrors = await checkPostingAccounts(db, legs.map((l) => l.accountKey));
+  if (accountErrors.length) {
+    return {
+      ok: false,
+      transactionGroupId,
+      posted: 0,
+      reason: `Rejected account(s): ${accountErrors.map((e) => `${e.accountKey} (${e.reason})`).join(", ")}`,
+    };
+  }
+
+  const placement = input?.ignorePeriodLocks
+    ? { postedAt, redirectedFrom: null }
+    : await resolvePostingDate(db, postedAt);
+
   const docs = legs.map((l) => ({
-    postedAt,
+    postedAt: placement.postedAt,
+    redirectedFrom: placement.redirectedFrom,
     transactionGroupId,
     accountKey: l.accountKey,
     accountName: l.accountName || null,
@@ -132,10 +157,17 @@ export async function postTransactionGroup(db, input) {
   }));
 
   try {
-    const result = await Ledger.insertMany(docs, { ordered: false });
-    return { ok: true, transactionGroupId, posted: result?.insertedCount || docs.length, idempotent: false };
+    const result = await Ledger.insertMany(docs, { ordered: false, ...(input?.session ? { session: input.session } : {}) });
+    return {
+      ok: true,
+      transactionGroupId,
+      posted: result?.insertedCount || docs.length,
+      idempotent: false,
+      postedAt: placement.postedAt,
+      redirectedFrom: placement.redirectedFrom,
+    };
   } catch (err) {
-    if (!isDuplicateKeyError(err)) throw err;
+    if (!isDuplicateKeyError(err) || input?.session) throw err;
     return { ok: true, transactionGroupId, posted: 0, idempotent: true };
   }
 }
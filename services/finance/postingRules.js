@@ -0,0 +1,331 @@
+// services/finance/postingRules.js (ESM)
+//
+// Posting rules: domain event -> balanced GL groups for postTransactionGroup, no I/O
+// (ledgerPosting.js checks what is already posted and writes).
+//
+// Accounts (balance = credit - debit; a credit puts money into the bucket):
+//   platform:clearing     outside world: gateways, couriers, transfers out
+//   platform:cash_bank    collected cash nobody has been credited with yet
+//   platform:commission   platform earnings
+//   platform:promotions   platform-funded discounts (runs negative)
+//   seller:<id>           owed to the seller until paid out
+//
+//   payment_captured      clearing   -> cash_bank     order amount due (COD at delivery, eSewa on capture)
+//   platform_discount     promotions -> cash_bank     admin coupons, flash sales and free shipping on the order
+//   invoice_issued        cash_bank  -> seller:<id>   invoice net payout, once its money is in
+//   commission_earned     cash_bank  -> commission    invoice commission, same moment
+//   refund_issued         seller + commission -> cash_bank -> clearing   cash refunds only
+//   payout_paid           seller:<id> -> clearing     per invoice settled to the seller
+//
+// Wallet and gift card movements post their own groups (services/wallet).
+//
+// Group ids come from the source document, so live hooks, retries and the backfill all land
+// on the same group. `aliases` are ids older inline postings used for the same money; when one
+// of them exists the group is not posted again.
+
+import {
+  CASH_REFUND_METHODS,
+  buildRefundReversalLegs,
+  refundReversalGroupId,
+} from "../refunds/refundExecution.js";
+
+export const LEDGER_ACCOUNTS = Object.freeze({
+  CASH: "platform:cash_bank",
+  CLEARING: "platform:clearing",
+  COMMISSION: "platform:commission",
+  PROMOTIONS: "platform:promotions",
+});
+
+export const LEDGER_EVENTS = Object.freeze({
+  PAYMENT_CAPTURED: "payment_captured",
+  PLATFORM_DISCOUNT: "platform_discount",
+  INVOICE_ISSUED: "invoice_issued",
+  COMMISSION_EARNED: "commission_earned",
+  REFUND_ISSUED: "refund_issued",
+  PAYOUT_PAID: "payout_paid",
+});
+
+export function sellerAccount(sellerId) {
+  return `seller:${String(sellerId)}`;
+}
+
+const n = (v, d = 0) => {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+};
+
+const round2 = (v) => Math.round(n(v, 0) * 100) / 100;
+
+const idOf = (doc) => String(doc?._id || "");
+
+function paymentMethodOf(order) {
+  return String(order?.paymentMethod || order?.payment?.method || "").trim().toLowerCase();
+}
+
+function dateOr(...values) {
+  for (const v of values) {
+    if (!v) continue;
+    const d = new Date(v);
+    if (!Number.isNaN(d.getTime())) return d;
+  }
+  return new Date();
+}
+
+/* ---------------- amounts ---------------- */
+
+// What the customer pays outside the wallet (store credit reached the cash pool at checkout)
+export function orderCapturedAmount(order) {
+  const t = order?.totals || {};
+  if (t.amountDue != null) return round2(Math.max(0, n(t.amountDue)));
+  return round2(Math.max(0, n(t.grandTotal ?? order?.grandTotal ?? order?.total) - n(t.walletApplied)));
+}
+
+// Discounts the platform pays for: admin/flash price discounts and admin free shipping
+export function orderPlatformDiscount(order) {
+  const t = order?.totals || {};
+  return round2(Math.max(0, n(t.adminDiscountTotal)) + Math.max(0, n(t.shippingDiscount)));
+}
+
+export function invoiceNetPayout(invoice) {
+  return round2(
+    invoice?.netPayout ??
+      invoice?.sellerPayoutTotals?.net ??
+      invoice?.totals?.net ??
+      invoice?.sellerTotals?.grandTotal ??
+      0
+  );
+}
+
+export function invoiceCommission(invoice) {
+  const c = invoice?.commission;
+  return round2(
+    invoice?.commissionTotal ??
+      (c && typeof c === "object" ? c.amount : c) ??
+      invoice?.commissionAmount ??
+      0
+  );
+}
+
+/* ---------------- rules ---------------- */
+
+function orderLegCommon(order) {
+  return {
+    sourceRef: order?.orderNumber ? String(order.orderNumber) : `order:${idOf(order)}`,
+    orderId: idOf(order),
+    orderNumber: String(order?.orderNumber || ""),
+  };
+}
+
+function invoiceLegCommon(invoice) {
+  return {
+    sourceRef: invoice?.invoiceNumber ? String(invoice.invoiceNumber) : `invoice:${idOf(invoice)}`,
+    orderId: invoice?.orderId ? String(invoice.orderId) : null,
+    orderNumber: String(invoice?.orderNumber || ""),
+    invoiceNumber: String(invoice?.invoiceNumber || ""),
+    meta: { invoiceId: idOf(invoice) },
+  };
+}
+
+// Groups the inline postings used to book both invoice allocations at once
+function legacyInvoiceGroupIds(invoice) {
+  const invoiceId = idOf(invoice);
+  return [`invoice_paid_${invoiceId}`, `cod_completed_${String(invoice?.orderId || "")}_${invoiceId}`];
+}
+
+function paymentCaptured({ order, amount, postedAt }) {
+  const value = round2(amount ?? orderCapturedAmount(order));
+  if (!idOf(order) || !(value > 0)) return [];
+
+  const method = paymentMethodOf(order) || "unknown";
+  const cod = method === "cod";
+  const common = { ...orderLegCommon(order), meta: { method } };
+
+  return [
+    {
+      event: LEDGER_EVENTS.PAYMENT_CAPTURED,
+      // COD keeps the id the delivery hook has always used
+      transactionGroupId: cod ? `cod_delivered_${idOf(order)}` : `payment_captured_${idOf(order)}`,
+      aliases: [],
+      postedAt: dateOr(postedAt, order?.paidAt, order?.payment?.paidAt),
+      sourceRef: common.sourceRef,
+      category: cod ? "cod_marked_paid" : "payment_captured",
+      note: cod ? "COD collected: clearing -> cash pool." : `Payment captured (${method}): clearing -> cash pool.`,
+      legs: [
+        { accountKey: LEDGER_ACCOUNTS.CASH, dc: "credit", amount: value, ...common },
+        { accountKey: LEDGER_ACCOUNTS.CLEARING, dc: "debit", amount: value, ...common },
+      ],
+    },
+  ];
+}
+
+function platformDiscount({ order, postedAt }) {
+  const value = orderPlatformDiscount(order);
+  if (!idOf(order) || !(value > 0)) return [];
+
+  const t = order.totals || {};
+  const common = {
+    ...orderLegCommon(order),
+    meta: {
+      adminDiscountTotal: round2(t.adminDiscountTotal),
+      shippingDiscount: round2(t.shippingDiscount),
+      couponCode: order?.discounts?.couponCode || null,
+    },
+  };
+
+  return [
+    {
+      event: LEDGER_EVENTS.PLATFORM_DISCOUNT,
+      transactionGroupId: `platform_discount_${idOf(order)}`,
+      aliases: [],
+      postedAt: dateOr(postedAt, order?.paidAt, order?.payment?.paidAt),
+      sourceRef: common.sourceRef,
+      category: "platform_discount",
+      note: "Platform-funded discount: promotions -> cash pool.",
+      legs: [
+        { accountKey: LEDGER_ACCOUNTS.CASH, dc: "credit", amount: value, ...common },
+        { accountKey: LEDGER_ACCOUNTS.PROMOTIONS, dc: "debit", amount: value, ...common },
+      ],
+    },
+  ];
+}
+
+function invoiceIssued({ invoice, postedAt }) {
+  const value = invoiceNetPayout(invoice);
+  const sellerId = invoice?.sellerId ? String(invoice.sellerId) : "";
+  if (!idOf(invoice) || !sellerId || !(value > 0)) return [];
+
+  const common = invoiceLegCommon(invoice);
+  return [
+    {
+      event: LEDGER_EVENTS.INVOICE_ISSUED,
+      transactionGroupId: `invoice_issued_${idOf(invoice)}`,
+      aliases: legacyInvoiceGroupIds(invoice),
+      postedAt: dateOr(postedAt, invoice?.paidAt, invoice?.invoiceDate),
+      sourceRef: common.sourceRef,
+      category: "invoice_issued",
+      note: "Invoice net payout: cash pool -> seller earnings.",
+      legs: [
+        { accountKey: LEDGER_ACCOUNTS.CASH, dc: "debit", amount: value, ...common },
+        { accountKey: sellerAccount(sellerId), dc: "credit", amount: value, ...common, sellerId },
+      ],
+    },
+  ];
+}
+
+function commissionEarned({ invoice, postedAt }) {
+  const value = invoiceCommission(invoice);
+  if (!idOf(invoice) || !(value > 0)) return [];
+
+  const common = invoiceLegCommon(invoice);
+  const sellerId = invoice?.sellerId ? String(invoice.sellerId) : "";
+  return [
+    {
+      event: LEDGER_EVENTS.COMMISSION_EARNED,
+      transactionGroupId: `commission_earned_${idOf(invoice)}`,
+      aliases: legacyInvoiceGroupIds(invoice),
+      postedAt: dateOr(postedAt, invoice?.paidAt, invoice?.invoiceDate),
+      sourceRef: common.sourceRef,
+      category: "commission_earned",
+      note: "Invoice commission: cash pool -> commission.",
+      legs: [
+        { accountKey: LEDGER_ACCOUNTS.CASH, dc: "debit", amount: value, ...common },
+        { accountKey: LEDGER_ACCOUNTS.COMMISSION, dc: "credit", amount: value, ...common, sellerId },
+      ],
+    },
+  ];
+}
+
+function refundIssued({ refund, commissionReversal = 0, postedAt }) {
+  if (!CASH_REFUND_METHODS.includes(String(refund?.method || "").toLowerCase())) return [];
+
+  const reversal = buildRefundReversalLegs({ refund, commissionReversal });
+  if (!reversal.length) return [];
+
+  const label = refund.refundNumber || idOf(refund);
+  const { sourceRef, orderId, orderNumber, meta, amount } = reversal[0];
+  const at = dateOr(postedAt, refund?.succeededAt, refund?.completedAt, refund?.updatedAt);
+  const common = { sourceRef, orderId, orderNumber, meta };
+
+  return [
+    {
+      event: LEDGER_EVENTS.REFUND_ISSUED,
+      transactionGroupId: refundReversalGroupId(refund),
+      aliases: [],
+      postedAt: at,
+      sourceRef,
+      category: "refund_paid",
+      note: `Refund ${label} paid out: cash -> seller earnings + commission reversal.`,
+      legs: reversal,
+    },
+    {
+      event: LEDGER_EVENTS.REFUND_ISSUED,
+      transactionGroupId: `refund_cash_out_${idOf(refund)}`,
+      aliases: [],
+      postedAt: at,
+      sourceRef,
+      category: "refund_paid",
+      note: `Refund ${label} sent to the customer: cash pool -> clearing.`,
+      legs: [
+        { accountKey: LEDGER_ACCOUNTS.CASH, dc: "debit", amount, ...common },
+        { accountKey: LEDGER_ACCOUNTS.CLEARING, dc: "credit", amount, ...common },
+      ],
+    },
+  ];
+}
+
+// One group per invoice, so a batch payout and a single-invoice payout can't both post it
+function payoutPaid({ invoice, batchId = null, reference = "", postedAt }) {
+  const value = invoiceNetPayout(invoice);
+  const sellerId = invoice?.sellerId ? String(invoice.sellerId) : "";
+  if (!idOf(invoice) || !sellerId || !(value > 0)) return [];
+
+  const common = {
+    ...invoiceLegCommon(invoice),
+    meta: { invoiceId: idOf(invoice), batchId: batchId ? String(batchId) : null, reference: reference || null },
+  };
+
+  return [
+    {
+      event: LEDGER_EVENTS.PAYOUT_PAID,
+      transactionGroupId: `payout_paid_${idOf(invoice)}`,
+      aliases: [],
+      postedAt: dateOr(postedAt, invoice?.commissionPayout?.paidAt),
+      sourceRef: common.sourceRef,
+      category: "payout_paid",
+      note: `Seller payout${reference ? ` ${reference}` : ""}: seller earnings -> clearing.`,
+      legs: [
+        { accountKey: sellerAccount(sellerId), dc: "debit", amount: value, ...common, sellerId },
+        { accountKey: LEDGER_ACCOUNTS.CLEARING, dc: "credit", amount: value, ...common },
+      ],
+    },
+  ];
+}
+
+const RULES = Object.freeze({
+  [LEDGER_EVENTS.PAYMENT_CAPTURED]: paymentCaptured,
+  [LEDGER_EVENTS.PLATFORM_DISCOUNT]: platformDiscount,
+  [LEDGER_EVENTS.INVOICE_ISSUED]: invoiceIssued,
+  [LEDGER_EVENTS.COMMISSION_EARNED]: commissionEarned,
+  [LEDGER_EVENTS.REFUND_ISSUED]: refundIssued,
+  [LEDGER_EVENTS.PAYOUT_PAID]: payoutPaid,
+});
+
+/**
+ * GL groups for one domain event ([] when there is nothing to book). Payloads:
+ *   payment_captured    { order, amount?, postedAt? }
+ *   platform_discount   { order, postedAt? }
+ *   invoice_issued      { invoice, postedAt? }
+ *   commission_earned   { invoice, postedAt? }
+ *   refund_issued       { refund, commissionReversal?, postedAt? }
+ *   payout_paid         { invoice, batchId?, reference?, postedAt? }
+ */
+export function buildPostingGroups(event, payload = {}) {
+  const rule = RULES[event];
+  if (!rule) throw new Error(`Unknown ledger event: ${event}`);
+  return rule(payload);
+}
+
+export function isBalanced(group) {
+  const sum = (dc) => group.legs.reduce((s, l) => s + (l.dc === dc ? n(l.amount) : 0), 0);
+  return Math.abs(sum("debit") - sum("credit")) < 0.000001;
+}
@@ -0,0 +1,103 @@
+// services/finance/snapshotDrift.js (ESM)
+//
+// Snapshot drift detector: a closed day's gl_daily_account_snapshots against a fresh
+// computeDailyCloseFromLedger run for the same window (periodLocks.compareDaySnapshots).
+// Anything that reached the ledger for a closed day after its snapshot (a posting written
+// with ignorePeriodLocks, a direct insert) shows up here.
+//
+// One gl_snapshot_drift_checks document per business day, replaced on every check. A drifted
+// day's settlement run gets steps.snapshot_accounts.status "DRIFTED", so the financial
+// reports read the ledger for it until the day is re-opened and closed again.
+
+import { computeDailyCloseFromLedger } from "../../lib/dailyClose.js";
+import { businessDayWindowUtc } from "../../lib/time.js";
+import { compareDaySnapshots } from "./periodLocks.js";
+
+const MAX_DRIFTED_ROWS = 200;
+
+/**
+ * Check one business day; returns the stored check document.
+ */
+export async function checkSnapshotDrift(db, businessDate, { now = new Date() } = {}) {
+  const window = businessDayWindowUtc(businessDate);
+  const [stored, computed] = await Promise.all([
+    db.collection("gl_daily_account_snapshots").find({ businessDate }).toArray(),
+    computeDailyCloseFromLedger({ db, fromUtc: window.fromUtc, toUtc: window.toUtc }),
+  ]);
+  const { ok, drifted, openingShifted } = compareDaySnapshots(stored, computed.perAccount);
+
+  const check = {
+    businessDate,
+    ok,
+    checkedAt: now,
+    snapshotAccounts: stored.length,
+    ledgerAccounts: computed.perAccount.length,
+    ledgerCount: computed.audit?.ledgerCount || 0,
+    driftedCount: drifted.length,
+    drifted: drifted.slice(0, MAX_DRIFTED_ROWS),
+    openingShifted,
+  };
+  await db.collection("gl_snapshot_drift_checks").replaceOne({ businessDate }, check, { upsert: true });
+
+  const runs = db.collection("gl_settlement_runs");
+  if (!ok) {
+    await runs.updateOne(
+      { businessDate, "steps.snapshot_accounts.status": "COMPLETED" },
+      {
+        $set: {
+          "steps.snapshot_accounts.status": "DRIFTED",
+          "steps.snapshot_accounts.drift": { detectedAt: now, accounts: drifted.length },
+          updatedAt: now,
+        },
+      }
+    );
+  } else {
+    // e.g. the stray legs were reversed inside the same day
+    await runs.updateOne(
+      { businessDate, "steps.snapshot_accounts.status": "DRIFTED" },
+      { $set: { "steps.snapshot_accounts.status": "COMPLETED", updatedAt: now }, $unset: { "steps.snapshot_accounts.drift": "" } }
+    );
+  }
+
+  return check;
+}
+
+/**
+ * Check every snapshotted day in [from, to] (YYYY-MM-DD, inclusive).
+ * Returns { checked, drifted: [businessDate], checks }.
+ */
+export async function checkSnapshotDriftRange(db, { from, to }, { now = new Date() } = {}) {
+  const days = await db
+    .collection("gl_settlement_runs")
+    .find(
+      { businessDate: { $gte: from, $lte: to }, "steps.snapshot_accounts.status": { $in: ["COMPLETED", "DRIFTED"] } },
+      { projection: { businessDate: 1 } }
+    )
+    .sort({ businessDate: 1 })
+    .toArray();
+
+  const checks = [];
+  for (const { businessDate } of days) {
+    checks.push(await checkSnapshotDrift(db, businessDate, { now }));
+  }
+  return {
+    checked: checks.length,
+    drifted: checks.filter((c) => !c.ok).map((c) => c.businessDate),
+    checks,
+  };
+}
+
+export async function listDriftChecks(db, { from, to, driftedOnly = false, limit = 60 }) {
+  const filter = { businessDate: { $gte: from, $lte: to } };
+  if (driftedOnly) filter.ok = false;
+  return db
+    .collection("gl_snapshot_drift_checks")
+    .find(filter, { projection: { drifted: 0 } })
+    .sort({ businessDate: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+export async function getDriftCheck(db, businessDate) {
+  return db.collection("gl_snapshot_drift_checks").findOne({ businessDate });
+}
@@ -0,0 +1,408 @@
+// services/inventory/stockMovements.js (ESM)
+//
+// Stock movement subsystem.
+//
+// Guarantees:
+// - Decrements are atomic per line: a conditional updateOne only matches when enough
+//   stock is left (unless backorders are allowed), so two checkouts can't both take
+//   the last unit.
+// - Variant-aware: lines carrying `variantSku` decrement `variants.$.quantity` and the
+//   product total together.
+// - Honours the products configuration (`productsConfig.inventory.trackStock/allowBackorder`)
+//   that sellers see at /seller/configuration/products.
+// - Every change writes a `stockMovements` row (audit trail per product).
+// - Restocks are idempotent via unique `dedupeKey` (duplicate-key => already restocked).
+//
+// Requires MongoDB indexes (scripts/createStockMovementIndexes.js):
+// db.stockMovements.createIndex({ dedupeKey: 1 }, { name: "uniq_stock_movement", unique: true })
+// db.stockMovements.createIndex({ productId: 1, createdAt: -1 }, { name: "stock_movements_product" })
+
+import { ObjectId } from "mongodb";
+
+const PRODUCTS_CONFIG_ID = "products-config";
+
+export const STOCK_MOVEMENT_TYPES = Object.freeze({
+  ORDER_DECREMENT: "order_decrement",
+  CANCEL_RESTOCK: "cancel_restock",
+  RETURN_RESTOCK: "return_restock",
+});
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  try {
+    const s = String(id).trim();
+    return ObjectId.isValid(s) ? new ObjectId(s) : null;
+  } catch {
+    return null;
+  }
+}
+
+function pickStr(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+function toQty(v) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function isDuplicateKeyError(err) {
+  const msg = String(err?.message || "");
+  return err?.code === 11000 || msg.includes("E11000 duplicate key");
+}
+
+function stockError(message, details = {}) {
+  const e = new Error(message);
+  e.statusCode = 409;
+  e.code = "INSUFFICIENT_STOCK";
+  e.details = details;
+  return e;
+}
+
+/**
+ * Global inventory policy from the products configuration.
+ * Defaults mirror buildDefaultConfig() in adminProductsConfigRoutes.js.
+ */
+export async function loadInventoryPolicy(db, { session } = {}) {
+  const config = await db
+    .collection("productsConfig")
+    .findOne({ _id: PRODUCTS_CONFIG_ID }, { projection: { inventory: 1 }, session });
+
+  const inv = config?.inventory || {};
+  const threshold = Number(inv.lowStockThreshold);
+
+  return {
+    trackStock: inv.trackStock !== false,
+    allowBackorder: inv.allowBackorder === true,
+    lowStockThreshold: Number.isFinite(threshold) ? threshold : 5,
+  };
+}
+
+/**
+ * Pure builder for the conditional decrement of one order line.
+ * Returns { filter, update } for Products.updateOne.
+ */
+export function buildDecrementOp({ productId, variantSku, qty, allowBackorder, now = new Date() }) {
+  const enough = allowBackorder ? null : { $gte: qty };
+
+  if (variantSku) {
+    return {
+      filter: {
+        _id: productId,
+        variants: {
+          $elemMatch: { sku: variantSku, ...(enough ? { quantity: enough } : {}) },
+        },
+      },
+      update: {
+        $inc: { "variants.$.quantity": -qty, quantity: -qty, soldCount: qty },
+        $set: { updatedAt: now },
+      },
+    };
+  }
+
+  return {
+    filter: { _id: productId, ...(enough ? { quantity: enough } : {}) },
+    update: {
+      $inc: { quantity: -qty, soldCount: qty },
+      $set: { updatedAt: now },
+    },
+  };
+}
+
+/**
+ * Pure builder for putting stock back on one line (inverse of buildDecrementOp).
+ */
+export function buildRestockOp({ productId, variantSku, qty, now = new Date() }) {
+  if (variantSku) {
+    return {
+      filter: { _id: productId, "variants.sku": variantSku },
+      update: {
+        $inc: { "variants.$.quantity": qty, quantity: qty, soldCount: -qty },
+        $set: { updatedAt: now },
+      },
+    };
+  }
+
+  return {
+    filter: { _id: productId },
+    update: { $inc: { quantity: qty, soldCount: -qty }, $set: { updatedAt: now } },
+  };
+}
+
+async function readRemaining(Products, { productId, variantSku, session }) {
+  const p = await Products.findOne(
+    { _id: productId },
+    { projection: { quantity: 1, variants: 1, title: 1, name: 1, userId: 1 }, session }
+  );
+  if (!p) return null;
+
+  if (variantSku) {
+    const v = (Array.isArray(p.variants) ? p.variants : []).find((x) => pickStr(x?.sku) === variantSku);
+    return { product: p, remaining: Number(v?.quantity ?? 0) };
+  }
+  return { product: p, remaining: Number(p.quantity ?? 0) };
+}
+
+/**
+ * Decrement stock for every line of a freshly created order.
+ *
+ * Call inside the order transaction (pass `session`) so a stock failure aborts the order.
+ * Without a session, lines already decremented are compensated before the error is thrown.
+ *
+ * items: [{ productId, variantSku?, quantity, sellerId? }]
+ * Returns { tracked, lines: [{ index, productId, variantSku, qty, remaining }], lowStock: [...] }
+ * Throws an Error with statusCode 409 / code INSUFFICIENT_STOCK when a line can't be covered.
+ */
+export async function decrementStockForOrder(
+  db,
+  { orderId, orderNumber = null, items = [], actor = { role: "system" }, session = null }
+) {
+  const Products = db.collection("products");
+  const Movements = db.collection("stockMovements");
+  const policy = await loadInventoryPolicy(db, { session });
+
+  if (!policy.trackStock) return { tracked: false, lines: [], lowStock: [] };
+
+  const now = new Date();
+  const applied = [];
+  const lowStock = [];
+
+  try {
+    for (let index = 0; index < items.length; index += 1) {
+      const it = items[index];
+      const productId = toObjectId(it?.productId);
+      const qty = toQty(it?.quantity);
+      if (!productId || !qty) continue;
+
+      const variantSku = pickStr(it?.variantSku);
+      const op = buildDecrementOp({
+        productId,
+        variantSku,
+        qty,
+        allowBackorder: policy.allowBackorder,
+        now,
+      });
+
+      const r = await Products.updateOne(op.filter, op.update, { session });
+      if (!r.matchedCount) {
+        const current = await readRemaining(Products, { productId, variantSku, session });
+        throw stockError("Insufficient stock for one or more items", {
+          productId: String(productId),
+          variantSku: variantSku || null,
+          requested: qty,
+          available: current ? Math.max(0, current.remaining) : 0,
+        });
+      }
+
+      applied.push({ index, productId, variantSku, qty });
+
+      const after = await readRemaining(Products, { productId, variantSku, session });
+      const remaining = after ? after.remaining : null;
+      applied[applied.length - 1].remaining = remaining;
+
+      await Movements.insertOne(
+        {
+          productId,
+          variantSku: variantSku || null,
+          sellerId: it?.sellerId ? String(it.sellerId) : null,
+          type: STOCK_MOVEMENT_TYPES.ORDER_DECREMENT,
+          delta: -qty,
+          balanceAfter: remaining,
+          refType: "order",
+          refId: orderId ? String(orderId) : null,
+          orderNumber: orderNumber || null,
+          dedupeKey: `order:${String(orderId)}:${index}`,
+          actor,
+          createdAt: now,
+        },
+        { session }
+      );
+
+      if (remaining != null && remaining <= policy.lowStockThreshold) {
+        lowStock.push({
+          productId: String(productId),
+          variantSku: variantSku || null,
+          sellerId: it?.sellerId ? String(it.sellerId) : after?.product?.userId || null,
+          title: after?.product?.title || after?.product?.name || "",
+          remaining,
+        });
+      }
+    }
+  } catch (err) {
+    if (!session && applied.length) {
+      for (const a of applied) {
+        const op = buildRestockOp({ productId: a.productId, variantSku: a.variantSku, qty: a.qty });
+        await Products.updateOne(op.filter, op.update).catch((e) =>
+          console.error("[STOCK] compensation failed", { productId: String(a.productId), e })
+        );
+      }
+      await Movements.deleteMany({ dedupeKey: { $regex: `^order:${String(orderId)}:` } }).catch(() => {});
+    }
+    throw err;
+  }
+
+  return { tracked: true, lines: applied, lowStock };
+}
+
+async function restockLine(db, { line, type, refType, refId, dedupeKey, reason, actor, session, now }) {
+  const Products = db.collection("products");
+  const Movements = db.collection("stockMovements");
+
+  const productId = toObjectId(line.productId);
+  const qty = toQty(line.quantity);
+  if (!productId || !qty) return { restocked: false, reason: "invalid_line" };
+
+  const variantSku = pickStr(line.variantSku);
+
+  try {
+    await Movements.insertOne(
+      {
+        productId,
+        variantSku: variantSku || null,
+        sellerId: line.sellerId ? String(line.sellerId) : null,
+        type,
+        delta: qty,
+        balanceAfter: null,
+        refType,
+        refId: refId ? String(refId) : null,
+        orderNumber: line.orderNumber || null,
+        reason: reason || null,
+        dedupeKey,
+        actor,
+        createdAt: now,
+      },
+      { session }
+    );
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return { restocked: false, reason: "already_restocked" };
+    throw err;
+  }
+
+  const op = buildRestockOp({ productId, variantSku, qty, now });
+  const r = await Products.updateOne(op.filter, op.update, { session });
+  if (!r.matchedCount) {
+    // Product (or variant) deleted since the sale: keep the movement row for the audit trail.
+    return { restocked: false, reason: "product_missing" };
+  }
+
+  const after = await readRemaining(Products, { productId, variantSku, session });
+  if (after) {
+    await Movements.updateOne({ dedupeKey }, { $set: { balanceAfter: after.remaining } }, { session });
+  }
+
+  return { restocked: true, productId: String(productId), variantSku: variantSku || null, qty };
+}
+
+/**
+ * Put stock back for a cancelled order (whole order, or one seller segment when `sellerId` is set).
+ * Only lines that were decremented by decrementStockForOrder (`stockDecremented: true`) are restocked.
+ */
+export async function restockCancelledOrder(
+  db,
+  { order, sellerId = null, reason = "order_cancelled", actor = { role: "system" }, session = null }
+) {
+  const items = Array.isArray(order?.items) ? order.items : [];
+  const orderId = order?._id ? String(order._id) : "";
+  const now = new Date();
+  const results = [];
+
+  for (let index = 0; index < items.length; index += 1) {
+    const it = items[index];
+    if (!it?.stockDecremented) continue;
+    if (sellerId && String(it.sellerId) !== String(sellerId)) continue;
+
+    results.push(
+      await restockLine(db, {
+        line: { ...it, orderNumber: order?.orderNumber || null },
+        type: STOCK_MOVEMENT_TYPES.CANCEL_RESTOCK,
+        refType: "order",
+        refId: orderId,
+        dedupeKey: `cancel:${orderId}:${index}`,
+        reason,
+        actor,
+        session,
+        now,
+      })
+    );
+  }
+
+  return { restocked: results.filter((r) => r.restocked).length, results };
+}
+
+/**
+ * Put stock back for a return whose inspection was approved.
+ * Quantities come from the return snapshot (qtyReceived if recorded, else qtyRequestedReturn),
+ * capped to what the matching order line actually decremented.
+ */
+export async function restockApprovedReturn(
+  db,
+  { returnDoc, actor = { role: "system" }, session = null }
+) {
+  const Orders = db.collection("orders");
+  const returnId = returnDoc?._id ? String(returnDoc._id) : "";
+  const orderId = toObjectId(returnDoc?.orderId);
+  if (!returnId || !orderId) return { restocked: 0, results: [] };
+
+  const order = await Orders.findOne({ _id: orderId }, { projection: { items: 1, orderNumber: 1 }, session });
+  const orderLines = Array.isArray(order?.items) ? order.items : [];
+
+  const now = new Date();
+  const results = [];
+  const items = Array.isArray(returnDoc?.items) ? returnDoc.items : [];
+
+  for (const rit of items) {
+    const pid = String(rit?.productId || "");
+    const variantSku = pickStr(rit?.variantSku);
+    const line = orderLines.find(
+      (l) =>
+        l?.stockDecremented &&
+        String(l.productId) === pid &&
+        pickStr(l.variantSku) === variantSku
+    );
+    if (!line) continue;
+
+    const qty = Math.min(
+      toQty(rit?.qtyReceived ?? rit?.qtyRequestedReturn ?? rit?.qty),
+      toQty(line.quantity)
+    );
+    if (!qty) continue;
+
+    results.push(
+      await restockLine(db, {
+        line: {
+          productId: pid,
+          variantSku,
+          quantity: qty,
+          sellerId: returnDoc?.sellerId || line.sellerId,
+          orderNumber: order?.orderNumber || null,
+        },
+        type: STOCK_MOVEMENT_TYPES.RETURN_RESTOCK,
+        refType: "return",
+        refId: returnId,
+        dedupeKey: `return:${returnId}:${rit?.orderItemId || pid}:${variantSku}`,
+        reason: "return_inspection_approved",
+        actor,
+        session,
+        now,
+      })
+    );
+  }
+
+  return { restocked: results.filter((r) => r.restocked).length, results };
+}
+
+/**
+ * Audit trail for one product (newest first).
+ */
+export async function listStockMovements(db, { productId, limit = 50, skip = 0 }) {
+  const pid = toObjectId(productId);
+  if (!pid) return [];
+  return db
+    .collection("stockMovements")
+    .find({ productId: pid })
+    .sort({ createdAt: -1 })
+    .skip(Math.max(0, Number(skip) || 0))
+    .limit(Math.min(200, Math.max(1, Number(limit) || 50)))
+    .toArray();
+}
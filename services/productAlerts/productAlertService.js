@@ -0,0 +1,375 @@
+// services/productAlerts/productAlertService.js (ESM)
+//
+// Back-in-stock / price-drop alerts against Mongo. Rules live in ./productAlerts.js.
+//
+// Seller product updates only record an event (recordProductChange, one upsert per change
+// type, coalescing repeated edits). dispatchProductAlerts runs from the job and fans events
+// out batch by batch: push through the outbox (enqueueNotification) and email through the
+// email queue, at most PRODUCT_ALERT_MAX_SENDS_PER_RUN per run. An event that runs out of
+// budget keeps its cursor and continues on the next run.
+//
+// Each subscription is claimed (lastNotifiedAt bumped) before anything is sent, so two runs
+// never alert the same customer twice for one change.
+//
+// Requires MongoDB indexes (scripts/createProductAlertIndexes.js).
+
+import { ObjectId } from "mongodb";
+
+import { enqueueNotification } from "../../utils/outbox.js";
+import { enqueueEmail } from "../../utils/emailQueue.js";
+import {
+  ALERT_EVENT_STATUS,
+  PRODUCT_ALERT_CONFIG,
+  PRODUCT_ALERT_SOURCES,
+  PRODUCT_ALERT_STATUS,
+  PRODUCT_ALERT_TYPES,
+  alertCopy,
+  alertSkipReason,
+  detectProductAlertTriggers,
+  eventStillValid,
+  isOneShot,
+  productPrice,
+} from "./productAlerts.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+// A run that died mid-event gives the event back after this long
+const EVENT_LOCK_MS = 10 * 60 * 1000;
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  const s = String(id).trim();
+  return ObjectId.isValid(s) ? new ObjectId(s) : null;
+}
+
+function frontendUrl() {
+  return String(process.env.FRONTEND_URL || "").replace(/\/+$/, "");
+}
+
+function formatRs(v) {
+  return `Rs ${Number(v || 0).toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+}
+
+function alertError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+/* ---------------- subscriptions ---------------- */
+
+/**
+ * Subscribe a customer to alerts for one product.
+ * targetPrice (price drop only): alert only once the price reaches it.
+ */
+export async function subscribeToProductAlerts(db, { userId, productId, types, targetPrice = null, now = new Date() }) {
+  const uid = toObjectId(userId);
+  const pid = toObjectId(productId);
+  if (!uid || !pid) throw alertError("Invalid product", "INVALID_PRODUCT");
+
+  const product = await db
+    .collection("products")
+    .findOne({ _id: pid, deleted: { $ne: true } }, { projection: { price: 1, quantity: 1, title: 1 } });
+  if (!product) throw alertError("Product not found", "PRODUCT_NOT_FOUND", 404);
+
+  const price = productPrice(product);
+  let target = null;
+  if (targetPrice != null && targetPrice !== "") {
+    target = Number(targetPrice);
+    if (!Number.isFinite(target) || target <= 0 || target >= price) {
+      throw alertError("targetPrice must be a positive amount below the current price", "INVALID_TARGET_PRICE");
+    }
+  }
+
+  const Alerts = db.collection("productAlerts");
+  for (const type of types) {
+    const isDrop = type === PRODUCT_ALERT_TYPES.PRICE_DROP;
+    await Alerts.updateOne(
+      { userId: uid, productId: pid, type },
+      {
+        $addToSet: { sources: PRODUCT_ALERT_SOURCES.MANUAL },
+        $set: {
+          status: PRODUCT_ALERT_STATUS.ACTIVE,
+          ...(isDrop ? { baselinePrice: price, targetPrice: target } : {}),
+          updatedAt: now,
+        },
+        $setOnInsert: { lastNotifiedAt: null, createdAt: now },
+      },
+      { upsert: true }
+    );
+  }
+  return listProductAlerts(db, uid, { productId: pid });
+}
+
+/**
+ * Drop the manual part of a customer's alerts for a product (all types when `types` is empty).
+ * Wishlist-backed alerts stay until the product leaves the wishlist.
+ */
+export async function unsubscribeFromProductAlerts(db, { userId, productId, types = null, now = new Date() }) {
+  const uid = toObjectId(userId);
+  const pid = toObjectId(productId);
+  if (!uid || !pid) return { removed: 0 };
+
+  const Alerts = db.collection("productAlerts");
+  const filter = { userId: uid, productId: pid, ...(types?.length ? { type: { $in: types } } : {}) };
+  await Alerts.updateMany(filter, { $pull: { sources: PRODUCT_ALERT_SOURCES.MANUAL }, $set: { updatedAt: now } });
+  const { deletedCount } = await Alerts.deleteMany({ ...filter, sources: { $size: 0 } });
+  return { removed: deletedCount };
+}
+
+export async function listProductAlerts(db, userId, { productId = null } = {}) {
+  const uid = toObjectId(userId);
+  if (!uid) return [];
+  return db
+    .collection("productAlerts")
+    .find({ userId: uid, ...(productId ? { productId: toObjectId(productId) } : {}) })
+    .sort({ createdAt: -1 })
+    .limit(500)
+    .toArray();
+}
+
+/**
+ * Keep wishlist-backed alerts in step with the wishlist (called by routes/wishlistRoutes.js
+ * and scripts/backfillWishlistAlerts.js).
+ */
+export async function syncWishlistAlerts(db, { userId, productId, wishlisted, now = new Date() }) {
+  const uid = toObjectId(userId);
+  const pid = toObjectId(productId);
+  if (!uid || !pid) return;
+
+  const Alerts = db.collection("productAlerts");
+  const types = Object.values(PRODUCT_ALERT_TYPES);
+
+  if (!wishlisted) {
+    await Alerts.updateMany(
+      { userId: uid, productId: pid },
+      { $pull: { sources: PRODUCT_ALERT_SOURCES.WISHLIST }, $set: { updatedAt: now } }
+    );
+    await Alerts.deleteMany({ userId: uid, productId: pid, sources: { $size: 0 } });
+    return;
+  }
+
+  await Alerts.bulkWrite(
+    types.map((type) => ({
+      updateOne: {
+        filter: { userId: uid, productId: pid, type },
+        update: {
+          $addToSet: { sources: PRODUCT_ALERT_SOURCES.WISHLIST },
+          $set: { status: PRODUCT_ALERT_STATUS.ACTIVE, updatedAt: now },
+          $setOnInsert: { lastNotifiedAt: null, createdAt: now },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+}
+
+/* ---------------- watcher ---------------- */
+
+/**
+ * Record alertable changes between two versions of a product. Cheap: at most one upsert per
+ * alert type; a change already waiting to go out is updated instead of queued twice.
+ */
+export async function recordProductChange(db, before, after, { now = new Date(), config = PRODUCT_ALERT_CONFIG } = {}) {
+  const triggers = detectProductAlertTriggers(before, after, config);
+  const Events = db.collection("productAlertEvents");
+
+  for (const t of triggers) {
+    const { type, ...change } = t;
+    const { oldPrice, oldStock, ...latest } = change;
+    await Events.updateOne(
+      { productId: before._id, type, status: ALERT_EVENT_STATUS.PENDING },
+      {
+        $set: { ...latest, updatedAt: now },
+        // The first version before the change is what the alert compares against
+        $setOnInsert: {
+          ...(oldPrice !== undefined ? { oldPrice } : {}),
+          ...(oldStock !== undefined ? { oldStock } : {}),
+          sellerId: String(after.userId || before.userId || ""),
+          cursor: null,
+          sent: 0,
+          skipped: 0,
+          lockedAt: null,
+          createdAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  }
+  return triggers.map((t) => t.type);
+}
+
+/* ---------------- dispatch ---------------- */
+
+async function claimEvent(db, now) {
+  const res = await db.collection("productAlertEvents").findOneAndUpdate(
+    {
+      status: { $in: [ALERT_EVENT_STATUS.PENDING, ALERT_EVENT_STATUS.SENDING] },
+      $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(now.getTime() - EVENT_LOCK_MS) } }],
+    },
+    { $set: { status: ALERT_EVENT_STATUS.SENDING, lockedAt: now, updatedAt: now } },
+    { sort: { createdAt: 1 }, returnDocument: "after", includeResultMetadata: true }
+  );
+  return res?.value || null;
+}
+
+async function sendAlert(event, alert, user, { product, price }) {
+  const copy = alertCopy(event, product, price);
+  const productId = String(product._id);
+  const link = `/product/${productId}`;
+
+  await enqueueNotification("customer", {
+    customerId: String(user._id),
+    type: `product_alert.${event.type}`,
+    title: copy.title,
+    body: copy.body,
+    link,
+    meta: { productId, alertId: String(alert._id), eventId: String(event._id) },
+  });
+
+  const sent = await enqueueEmail({
+    type: "marketing.product_alert",
+    templateId: "product_alert_customer",
+    subject: copy.subject,
+    priority: "low",
+    to: [user.email],
+    idempotencyKey: `marketing.product_alert:${String(event._id)}:${String(alert._id)}`,
+    variables: {
+      customerName: user.firstName || user.name || "there",
+      alertType: event.type,
+      headline: copy.title,
+      message: copy.body,
+      productName: product.title || product.name || "",
+      productImage: Array.isArray(product.images) ? product.images[0] || null : null,
+      price: formatRs(price),
+      oldPrice: event.type === PRODUCT_ALERT_TYPES.PRICE_DROP ? formatRs(event.oldPrice) : null,
+      productLink: `${frontendUrl()}${link}`,
+      manageLink: `${frontendUrl()}/account/alerts`,
+    },
+    meta: { refs: { userId: String(user._id), productId, productAlertEventId: String(event._id) } },
+  });
+  if (!sent.ok) console.error("[PRODUCT_ALERTS] email enqueue failed", { alertId: String(alert._id), error: sent.error });
+}
+
+/**
+ * Work through one event until it's done or the send budget is used up.
+ * Returns the number of alerts sent.
+ */
+async function dispatchEvent(db, event, { now, budget, config }) {
+  const Events = db.collection("productAlertEvents");
+  const Alerts = db.collection("productAlerts");
+
+  const product = await db.collection("products").findOne({ _id: event.productId });
+  if (!eventStillValid(event, product, config)) {
+    await Events.updateOne(
+      { _id: event._id },
+      { $set: { status: ALERT_EVENT_STATUS.SKIPPED, lockedAt: null, finishedAt: now, updatedAt: now } }
+    );
+    return 0;
+  }
+  const price = productPrice(product);
+
+  let cursor = event.cursor || null;
+  let sent = 0;
+  let skipped = 0;
+  let finished = false;
+
+  while (sent < budget) {
+    const batch = await Alerts.find(
+      {
+        productId: event.productId,
+        type: event.type,
+        status: PRODUCT_ALERT_STATUS.ACTIVE,
+        ...(cursor ? { _id: { $gt: cursor } } : {}),
+      },
+      { sort: { _id: 1 }, limit: Math.min(config.batchSize, budget - sent) }
+    ).toArray();
+    if (!batch.length) {
+      finished = true;
+      break;
+    }
+
+    const users = await db
+      .collection("users")
+      .find(
+        { _id: { $in: batch.map((a) => a.userId) } },
+        { projection: { email: 1, firstName: 1, name: 1, blocked: 1, status: 1, notificationPrefs: 1 } }
+      )
+      .toArray();
+    const userMap = new Map(users.map((u) => [String(u._id), u]));
+
+    for (const alert of batch) {
+      cursor = alert._id;
+      const user = userMap.get(String(alert.userId));
+      if (alertSkipReason(alert, event, { user, price, now, config })) {
+        skipped += 1;
+        continue;
+      }
+
+      // Claim before sending: a concurrent run loses the race here
+      const cooldownStart = new Date(now.getTime() - config.cooldownHours * HOUR_MS);
+      const claim = await Alerts.updateOne(
+        {
+          _id: alert._id,
+          status: PRODUCT_ALERT_STATUS.ACTIVE,
+          $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lte: cooldownStart } }],
+        },
+        {
+          $set: {
+            lastNotifiedAt: now,
+            lastEventId: event._id,
+            ...(isOneShot(alert) ? { status: PRODUCT_ALERT_STATUS.NOTIFIED } : {}),
+            updatedAt: now,
+          },
+        }
+      );
+      if (!claim.modifiedCount) {
+        skipped += 1;
+        continue;
+      }
+
+      try {
+        await sendAlert(event, alert, user, { product, price });
+        sent += 1;
+      } catch (err) {
+        skipped += 1;
+        console.error("[PRODUCT_ALERTS] send failed", { alertId: String(alert._id), error: err?.message });
+      }
+    }
+  }
+
+  await Events.updateOne(
+    { _id: event._id },
+    {
+      $set: {
+        cursor,
+        lockedAt: null,
+        updatedAt: now,
+        ...(finished ? { status: ALERT_EVENT_STATUS.DONE, finishedAt: now } : {}),
+      },
+      $inc: { sent, skipped },
+    }
+  );
+  return sent;
+}
+
+/**
+ * Send alerts for recorded product changes, oldest first, within the per-run budget.
+ */
+export async function dispatchProductAlerts(db, { now = new Date(), config = PRODUCT_ALERT_CONFIG } = {}) {
+  let budget = config.maxSendsPerRun;
+  let events = 0;
+  let sent = 0;
+
+  while (budget > 0) {
+    const event = await claimEvent(db, now);
+    if (!event) break;
+    events += 1;
+    const count = await dispatchEvent(db, event, { now, budget, config });
+    sent += count;
+    budget -= count;
+  }
+  return { events, sent };
+}
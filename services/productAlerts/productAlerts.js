@@ -0,0 +1,175 @@
+// services/productAlerts/productAlerts.js (ESM)
+//
+// Back-in-stock and price-drop alert rules, no I/O (productAlertService.js does the reads and writes).
+//
+// - `productAlerts`       one subscription per customer, product and alert type. `sources` says why
+//                         it exists: "manual" (asked for it on the product page) and/or "wishlist"
+//                         (added automatically while the product is wishlisted).
+// - `productAlertEvents`  one per detected change, written by the seller product update. The
+//                         dispatch job fans it out to subscribers in batches, so a popular
+//                         product changing never sends thousands of messages inside a request.
+//
+//   event: pending -> sending -> done       every subscriber visited
+//                             -> skipped    the change was undone before it went out
+//
+// A manual back-in-stock alert fires once; everything else stays armed and is throttled by
+// PRODUCT_ALERT_COOLDOWN_HOURS per subscription.
+//
+// ENV:
+//  - PRODUCT_ALERT_MIN_DROP_PERCENT   smallest price cut worth an alert (default: 5)
+//  - PRODUCT_ALERT_COOLDOWN_HOURS     (default: 24)
+//  - PRODUCT_ALERT_BATCH_SIZE         subscribers loaded per query (default: 200)
+//  - PRODUCT_ALERT_MAX_SENDS_PER_RUN  alerts sent per job run across all events (default: 1000)
+
+export const PRODUCT_ALERT_TYPES = Object.freeze({
+  BACK_IN_STOCK: "back_in_stock",
+  PRICE_DROP: "price_drop",
+});
+
+export const PRODUCT_ALERT_SOURCES = Object.freeze({
+  MANUAL: "manual",
+  WISHLIST: "wishlist",
+});
+
+export const PRODUCT_ALERT_STATUS = Object.freeze({
+  ACTIVE: "active",
+  NOTIFIED: "notified",
+});
+
+export const ALERT_EVENT_STATUS = Object.freeze({
+  PENDING: "pending",
+  SENDING: "sending",
+  DONE: "done",
+  SKIPPED: "skipped",
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const n = (v, d = 0) => {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : d;
+};
+
+const round2 = (v) => Math.round(n(v, 0) * 100) / 100;
+
+export function loadProductAlertConfig(env = process.env) {
+  return {
+    minDropPercent: Math.min(90, Math.max(0, n(env.PRODUCT_ALERT_MIN_DROP_PERCENT, 5))),
+    cooldownHours: Math.max(0, n(env.PRODUCT_ALERT_COOLDOWN_HOURS, 24)),
+    batchSize: Math.min(1000, Math.max(10, Math.floor(n(env.PRODUCT_ALERT_BATCH_SIZE, 200)))),
+    maxSendsPerRun: Math.max(1, Math.floor(n(env.PRODUCT_ALERT_MAX_SENDS_PER_RUN, 1000))),
+  };
+}
+
+export const PRODUCT_ALERT_CONFIG = loadProductAlertConfig();
+
+/**
+ * ["price_drop", "back_in_stock"] from a request value; null when anything is unknown.
+ */
+export function parseAlertTypes(raw) {
+  const list = (Array.isArray(raw) ? raw : [raw]).map((t) => String(t || "").trim().toLowerCase()).filter(Boolean);
+  if (!list.length) return null;
+  const known = Object.values(PRODUCT_ALERT_TYPES);
+  if (!list.every((t) => known.includes(t))) return null;
+  return [...new Set(list)];
+}
+
+/* ---------------- product state ---------------- */
+
+export function productPrice(product) {
+  return round2(product?.price);
+}
+
+export function productStock(product) {
+  return Math.floor(n(product?.quantity, 0));
+}
+
+// Shown on the storefront (same rule as the public product routes)
+export function isProductListed(product) {
+  if (!product || product.deleted === true) return false;
+  return product.status === undefined || product.status === "approved";
+}
+
+/**
+ * Alertable changes between two versions of a product:
+ * [{ type, oldPrice, newPrice, dropPercent } | { type, oldStock, newStock }]
+ */
+export function detectProductAlertTriggers(before, after, config = PRODUCT_ALERT_CONFIG) {
+  if (!isProductListed(after)) return [];
+  const out = [];
+
+  const oldStock = productStock(before);
+  const newStock = productStock(after);
+  if (oldStock <= 0 && newStock > 0) out.push({ type: PRODUCT_ALERT_TYPES.BACK_IN_STOCK, oldStock, newStock });
+
+  const oldPrice = productPrice(before);
+  const newPrice = productPrice(after);
+  const dropPercent = priceDropPercent(oldPrice, newPrice);
+  if (dropPercent > 0 && dropPercent >= config.minDropPercent && newStock > 0) {
+    out.push({ type: PRODUCT_ALERT_TYPES.PRICE_DROP, oldPrice, newPrice, dropPercent });
+  }
+  return out;
+}
+
+export function priceDropPercent(oldPrice, newPrice) {
+  if (!(oldPrice > 0) || !(newPrice > 0) || newPrice >= oldPrice) return 0;
+  return round2(((oldPrice - newPrice) / oldPrice) * 100);
+}
+
+/**
+ * Whether an event still holds for the product as it is now (the change may have been undone
+ * between the update and the dispatch run).
+ */
+export function eventStillValid(event, product, config = PRODUCT_ALERT_CONFIG) {
+  if (!isProductListed(product) || productStock(product) <= 0) return false;
+  if (event.type === PRODUCT_ALERT_TYPES.BACK_IN_STOCK) return true;
+  return priceDropPercent(event.oldPrice, productPrice(product)) >= Math.max(config.minDropPercent, 0.01);
+}
+
+/* ---------------- per subscriber ---------------- */
+
+/**
+ * Why this subscription doesn't get this event (string), or null when it should be sent.
+ */
+export function alertSkipReason(alert, event, { user, price, now = new Date(), config = PRODUCT_ALERT_CONFIG }) {
+  if (!user || user.blocked === true || user.status === "blocked" || !user.email) return "user_unavailable";
+
+  const sources = alert.sources || [];
+  const wishlistOnly = sources.length > 0 && sources.every((s) => s === PRODUCT_ALERT_SOURCES.WISHLIST);
+  if (wishlistOnly && user.notificationPrefs?.wishlistAlerts === false) return "opted_out";
+
+  if (alert.lastNotifiedAt && config.cooldownHours > 0) {
+    const since = now.getTime() - new Date(alert.lastNotifiedAt).getTime();
+    if (since < config.cooldownHours * HOUR_MS) return "cooldown";
+  }
+
+  if (event.type === PRODUCT_ALERT_TYPES.PRICE_DROP) {
+    if (alert.targetPrice != null && price > n(alert.targetPrice, 0)) return "above_target";
+    if (alert.baselinePrice != null && price >= n(alert.baselinePrice, 0)) return "not_below_baseline";
+  }
+  return null;
+}
+
+// Manual back-in-stock requests are answered once; wishlist-backed alerts stay armed
+export function isOneShot(alert) {
+  return (
+    alert.type === PRODUCT_ALERT_TYPES.BACK_IN_STOCK && !(alert.sources || []).includes(PRODUCT_ALERT_SOURCES.WISHLIST)
+  );
+}
+
+export function alertCopy(event, product, price) {
+  const title = product?.title || product?.name || "An item you saved";
+  if (event.type === PRODUCT_ALERT_TYPES.BACK_IN_STOCK) {
+    return {
+      subject: `${title} is back in stock`,
+      title: "Back in stock",
+      body: `${title} is available again. Grab it before it sells out.`,
+    };
+  }
+  const percent = Math.round(priceDropPercent(event.oldPrice, price));
+  return {
+    subject: `Price drop: ${title} is now ${percent}% cheaper`,
+    title: "Price drop",
+    body: `${title} dropped from Rs ${event.oldPrice} to Rs ${price}.`,
+  };
+}
@@ -0,0 +1,101 @@
+// services/realtime/channels.js (ESM)
+//
+// Who hears what on the realtime stream. Pure, no DB access.
+//
+// Every connection subscribes to a set of channels:
+//   user:<id>               the account itself (customer, seller or staff)
+//   inbox:customer_support  staff with messaging.customers
+//   inbox:seller_support    staff with messaging.sellers
+//
+// Conversation events are published to the channels of everyone on the conversation.
+
+// The three message stores, by the name clients use for them.
+export const CONVERSATION_KINDS = Object.freeze({
+  CUSTOMER_SELLER: "customer_seller", // customerSellerConversations / customerSellerMessages
+  CUSTOMER_SUPPORT: "customer_support", // customerSupportConversations / customerSupportMessages
+  SELLER_SUPPORT: "seller_support", // conversations / messages
+});
+
+export const REALTIME_EVENTS = Object.freeze({
+  READY: "ready",
+  MESSAGE_NEW: "message.new",
+  MESSAGE_READ: "message.read",
+  TYPING: "typing",
+  SESSION_ENDED: "session.ended",
+});
+
+export const INBOX_CHANNELS = Object.freeze({
+  [CONVERSATION_KINDS.CUSTOMER_SUPPORT]: { channel: "inbox:customer_support", permission: "messaging.customers" },
+  [CONVERSATION_KINDS.SELLER_SUPPORT]: { channel: "inbox:seller_support", permission: "messaging.sellers" },
+});
+
+export function isConversationKind(kind) {
+  return Object.values(CONVERSATION_KINDS).includes(kind);
+}
+
+export function userChannel(userId) {
+  return userId ? `user:${String(userId)}` : null;
+}
+
+/**
+ * Channels for a connection. `hasPermission(permission)` answers for staff.
+ */
+export function channelsForUser(user, { hasPermission = () => false } = {}) {
+  const channels = [userChannel(user?._id || user?.id)].filter(Boolean);
+  for (const { channel, permission } of Object.values(INBOX_CHANNELS)) {
+    if (hasPermission(permission)) channels.push(channel);
+  }
+  return channels;
+}
+
+/**
+ * Channels of everyone taking part in a conversation.
+ */
+export function conversationAudience(kind, conv) {
+  if (!conv) return [];
+  const out = [];
+  if (kind === CONVERSATION_KINDS.CUSTOMER_SELLER) {
+    out.push(userChannel(conv.customerId), userChannel(conv.sellerId));
+  } else if (kind === CONVERSATION_KINDS.CUSTOMER_SUPPORT) {
+    out.push(userChannel(conv.customerId), INBOX_CHANNELS[kind].channel);
+  } else if (kind === CONVERSATION_KINDS.SELLER_SUPPORT) {
+    // Legacy "customer" rows in `conversations` also carry a customerId.
+    out.push(userChannel(conv.sellerId), userChannel(conv.customerId), INBOX_CHANNELS[kind].channel);
+  }
+  return [...new Set(out.filter(Boolean))];
+}
+
+/**
+ * Can `user` see this conversation? Staff access goes through their inbox permission.
+ */
+export function canJoinConversation(user, kind, conv, { hasPermission = () => false } = {}) {
+  if (!conv) return false;
+  const uid = String(user?._id || user?.id || "");
+  if (!uid) return false;
+
+  if (kind === CONVERSATION_KINDS.CUSTOMER_SELLER) {
+    return String(conv.customerId || "") === uid || String(conv.sellerId || "") === uid;
+  }
+  if (kind === CONVERSATION_KINDS.CUSTOMER_SUPPORT) {
+    return String(conv.customerId || "") === uid || hasPermission(INBOX_CHANNELS[kind].permission);
+  }
+  if (kind === CONVERSATION_KINDS.SELLER_SUPPORT) {
+    return (
+      String(conv.sellerId || "") === uid ||
+      String(conv.customerId || "") === uid ||
+      hasPermission(INBOX_CHANNELS[kind].permission)
+    );
+  }
+  return false;
+}
+
+/**
+ * One Server-Sent Events frame.
+ */
+export function formatSseEvent(event, data, id = null) {
+  const lines = [];
+  if (id !== null && id !== undefined) lines.push(`id: ${id}`);
+  if (event) lines.push(`event: ${event}`);
+  for (const line of JSON.stringify(data ?? null).split("\n")) lines.push(`data: ${line}`);
+  return `${lines.join("\n")}\n\n`;
+}
@@ -0,0 +1,41 @@
+// services/realtime/conversations.js (ESM)
+//
+// Load a conversation from whichever store `kind` names (services/realtime/channels.js).
+
+import { ObjectId } from "mongodb";
+import { CONVERSATION_KINDS } from "./channels.js";
+
+const COLLECTIONS = Object.freeze({
+  [CONVERSATION_KINDS.CUSTOMER_SELLER]: "customerSellerConversations",
+  [CONVERSATION_KINDS.CUSTOMER_SUPPORT]: "customerSupportConversations",
+  [CONVERSATION_KINDS.SELLER_SUPPORT]: "conversations",
+});
+
+const PROJECTION = { _id: 1, customerId: 1, sellerId: 1, type: 1 };
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  const s = String(id).trim();
+  return ObjectId.isValid(s) ? new ObjectId(s) : null;
+}
+
+/**
+ * Returns { _id, customerId, sellerId, type } or null.
+ * Customers have a single support thread keyed by their id, so for customer_support the
+ * conversation id may be omitted and is resolved from `user`.
+ */
+export async function loadConversation(db, kind, conversationId, user = null) {
+  const name = COLLECTIONS[kind];
+  if (!name) return null;
+  const col = db.collection(name);
+
+  const oid = toObjectId(conversationId);
+  if (oid) return col.findOne({ _id: oid }, { projection: PROJECTION });
+
+  if (kind === CONVERSATION_KINDS.CUSTOMER_SUPPORT) {
+    const customerId = toObjectId(user?._id || user?.id);
+    if (customerId) return col.findOne({ customerId }, { projection: PROJECTION });
+  }
+  return null;
+}
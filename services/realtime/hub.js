@@ -0,0 +1,115 @@
+// services/realtime/hub.js (ESM)
+//
+// In-process registry of open realtime streams (routes/realtimeRoutes.js) and fan-out.
+//
+// Events only reach clients connected to this process. Everything they announce is already
+// stored by the REST route that published it, so a client that misses one (connected to
+// another instance, reconnecting) catches up by refetching when it gets `ready`.
+//
+// publish() never throws and never awaits: message routes call it after their writes and
+// must not fail because a socket is gone.
+
+import crypto from "crypto";
+import { conversationAudience, formatSseEvent } from "./channels.js";
+
+const MAX_CONNECTIONS_PER_USER = Math.max(1, Number(process.env.REALTIME_MAX_CONNECTIONS_PER_USER || 5));
+
+const connections = new Map(); // id -> { id, userId, channels: Set, write, end, openedAt }
+let eventSeq = 0;
+
+/**
+ * Register a stream. `write(frame)` sends raw SSE text, `end(reason)` closes it.
+ * The oldest stream of a user is closed when they go over the per-user cap.
+ */
+export function addConnection({ userId, channels, write, end }) {
+  const id = crypto.randomUUID();
+  const conn = { id, userId: String(userId || ""), channels: new Set(channels), write, end, openedAt: Date.now() };
+
+  const mine = [...connections.values()]
+    .filter((c) => c.userId === conn.userId)
+    .sort((a, b) => a.openedAt - b.openedAt);
+  while (mine.length >= MAX_CONNECTIONS_PER_USER) {
+    const oldest = mine.shift();
+    closeConnection(oldest.id, "too_many_connections");
+  }
+
+  connections.set(id, conn);
+  return conn;
+}
+
+export function removeConnection(id) {
+  connections.delete(id);
+}
+
+export function closeConnection(id, reason) {
+  const conn = connections.get(id);
+  if (!conn) return;
+  connections.delete(id);
+  try {
+    conn.end(reason);
+  } catch {
+    // already gone
+  }
+}
+
+export function connectionCount() {
+  return connections.size;
+}
+
+/**
+ * Send `event` to every connection subscribed to any of `channels`.
+ * Returns how many connections it was written to.
+ */
+export function publish(channels, event, data, { excludeConnectionId = null } = {}) {
+  const targets = new Set(channels || []);
+  if (!targets.size) return 0;
+
+  eventSeq += 1;
+  const frame = formatSseEvent(event, data, eventSeq);
+  let delivered = 0;
+
+  for (const conn of connections.values()) {
+    if (conn.id === excludeConnectionId) continue;
+    let match = false;
+    for (const ch of conn.channels) {
+      if (targets.has(ch)) {
+        match = true;
+        break;
+      }
+    }
+    if (!match) continue;
+    try {
+      conn.write(frame);
+      delivered += 1;
+    } catch (err) {
+      console.error("realtime write failed, dropping connection:", err?.message || err);
+      closeConnection(conn.id, "write_failed");
+    }
+  }
+  return delivered;
+}
+
+/**
+ * Publish a conversation event (message.new / message.read / typing) to its participants.
+ * `payload` is merged into { kind, conversationId }.
+ */
+export function publishConversationEvent(kind, conv, event, payload = {}) {
+  try {
+    if (!conv) return 0;
+    return publish(conversationAudience(kind, conv), event, {
+      kind,
+      conversationId: conv._id ? String(conv._id) : null,
+      ...payload,
+    });
+  } catch (err) {
+    console.error(`realtime publish ${event} failed:`, err?.message || err);
+    return 0;
+  }
+}
+
+/**
+ * Close every stream (graceful shutdown).
+ */
+export function closeAllConnections(reason = "server_shutdown") {
+  for (const id of [...connections.keys()]) closeConnection(id, reason);
+}
@@ -0,0 +1,142 @@
+// services/refunds/providers/esewaRefundProvider.js (ESM)
+//
+// eSewa refund adapter.
+//
+// eSewa exposes refunds to merchants on request (not part of the public ePay v2 form API),
+// so endpoints are configured per merchant agreement:
+//  - ESEWA_REFUND_URL          POST, initiates a refund
+//  - ESEWA_REFUND_STATUS_URL   GET,  ?product_code=&refund_reference=
+//  - ESEWA_MERCHANT_CODE / ESEWA_SECRET_KEY (same as routes/paymentEsewaRoutes.js)
+//  - ESEWA_REFUND_TIMEOUT_MS   (default 15000)
+//
+// Requests are signed like ePay v2 (HMAC-SHA256, base64) over signed_field_names.
+// `refund_reference` is our refund id, so re-submitting after a timeout is idempotent
+// on the provider side.
+
+import axios from "axios";
+import crypto from "crypto";
+
+import { REFUND_PROVIDER_STATES, refundProviderError } from "../refundExecution.js";
+
+const TIMEOUT_MS = Number(process.env.ESEWA_REFUND_TIMEOUT_MS || 15000);
+
+function config() {
+  return {
+    refundUrl: String(process.env.ESEWA_REFUND_URL || "").trim(),
+    statusUrl: String(process.env.ESEWA_REFUND_STATUS_URL || "").trim(),
+    productCode: process.env.ESEWA_MERCHANT_CODE || "EPAYTEST",
+    secretKey: process.env.ESEWA_SECRET_KEY || "8gBm/:&EnhH.1/q",
+  };
+}
+
+function sign(fields, body, secretKey) {
+  const message = fields.map((f) => `${f}=${body[f]}`).join(",");
+  return crypto.createHmac("sha256", secretKey).update(message).digest("base64");
+}
+
+// eSewa answers with either `status` or `response_code/response_message`.
+export function mapEsewaRefundState(data) {
+  const status = String(data?.status || data?.refund_status || "").trim().toUpperCase();
+
+  if (["COMPLETE", "COMPLETED", "SUCCESS", "REFUNDED", "FULL_REFUND", "PARTIAL_REFUND"].includes(status)) {
+    return REFUND_PROVIDER_STATES.SUCCEEDED;
+  }
+  if (["FAILED", "REJECTED", "CANCELED", "CANCELLED", "NOT_FOUND"].includes(status)) {
+    return REFUND_PROVIDER_STATES.FAILED;
+  }
+  if (["PENDING", "PROCESSING", "INITIATED", "AMBIGUOUS"].includes(status)) {
+    return REFUND_PROVIDER_STATES.PENDING;
+  }
+  // Accepted but no final word yet.
+  return REFUND_PROVIDER_STATES.PENDING;
+}
+
+function toProviderError(err, action) {
+  const httpStatus = err?.response?.status || 0;
+  // 4xx (except 408/429) means the request itself is wrong; retrying won't help.
+  const retryable = !httpStatus || httpStatus >= 500 || httpStatus === 408 || httpStatus === 429;
+  const detail = err?.response?.data?.message || err?.response?.data?.response_message || err?.message;
+  return refundProviderError(`eSewa ${action} failed${httpStatus ? ` (HTTP ${httpStatus})` : ""}: ${detail}`, {
+    retryable,
+    code: httpStatus ? `ESEWA_HTTP_${httpStatus}` : "ESEWA_NETWORK",
+    raw: err?.response?.data || null,
+  });
+}
+
+export function createEsewaRefundProvider({ http = axios } = {}) {
+  return {
+    name: "esewa",
+
+    async createRefund({ refundId, amount, payment = {}, reason = "" }) {
+      const cfg = config();
+      if (!cfg.refundUrl) {
+        throw refundProviderError("ESEWA_REFUND_URL is not configured", {
+          retryable: false,
+          code: "ESEWA_NOT_CONFIGURED",
+        });
+      }
+      if (!payment.transactionUuid && !payment.transactionCode) {
+        throw refundProviderError("Order has no eSewa transaction reference", {
+          retryable: false,
+          code: "ESEWA_NO_TRANSACTION",
+        });
+      }
+
+      const body = {
+        product_code: cfg.productCode,
+        transaction_uuid: payment.transactionUuid || "",
+        transaction_code: payment.transactionCode || "",
+        refund_amount: Number(amount).toFixed(2),
+        refund_reference: String(refundId),
+        remarks: String(reason || "Return refund").slice(0, 100),
+      };
+      const signedFields = ["product_code", "transaction_uuid", "refund_amount", "refund_reference"];
+      body.signed_field_names = signedFields.join(",");
+      body.signature = sign(signedFields, body, cfg.secretKey);
+
+      try {
+        const res = await http.post(cfg.refundUrl, body, {
+          timeout: TIMEOUT_MS,
+          headers: { "Content-Type": "application/json" },
+        });
+        const data = res?.data || {};
+        return {
+          state: mapEsewaRefundState(data),
+          providerRefundId: String(data.refund_id || data.refund_code || data.reference_code || refundId),
+          raw: data,
+        };
+      } catch (err) {
+        throw toProviderError(err, "refund");
+      }
+    },
+
+    async getRefundStatus({ refundId, providerRefundId }) {
+      const cfg = config();
+      if (!cfg.statusUrl) {
+        throw refundProviderError("ESEWA_REFUND_STATUS_URL is not configured", {
+          retryable: false,
+          code: "ESEWA_NOT_CONFIGURED",
+        });
+      }
+
+      try {
+        const res = await http.get(cfg.statusUrl, {
+          timeout: TIMEOUT_MS,
+          params: {
+            product_code: cfg.productCode,
+            refund_reference: String(refundId),
+            ...(providerRefundId ? { refund_id: providerRefundId } : {}),
+          },
+        });
+        const data = res?.data || {};
+        return {
+          state: mapEsewaRefundState(data),
+          providerRefundId: String(data.refund_id || data.refund_code || providerRefundId || ""),
+          raw: data,
+        };
+      } catch (err) {
+        throw toProviderError(err, "refund status");
+      }
+    },
+  };
+}
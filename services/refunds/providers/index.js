@@ -0,0 +1,31 @@
+// services/refunds/providers/index.js (ESM)
+//
+// Refund provider registry.
+// Every adapter implements:
+//   createRefund({ refundId, amount, currency, payment, reason }) -> { state, providerRefundId, raw }
+//   getRefundStatus({ refundId, providerRefundId, payment })      -> { state, providerRefundId, raw }
+// and throws refundProviderError(...) with `retryable` on failure.
+//
+// REFUND_PROVIDER_OVERRIDE=mock routes every automated refund to the in-memory mock.
+
+import { createEsewaRefundProvider } from "./esewaRefundProvider.js";
+import { createMockRefundProvider } from "./mockRefundProvider.js";
+
+const providers = new Map([
+  ["esewa", createEsewaRefundProvider()],
+  ["mock", createMockRefundProvider()],
+]);
+
+export function registerRefundProvider(name, provider) {
+  if (!name || typeof provider?.createRefund !== "function" || typeof provider?.getRefundStatus !== "function") {
+    throw new Error("Refund provider must implement createRefund and getRefundStatus");
+  }
+  providers.set(String(name), provider);
+}
+
+export function getRefundProvider(name) {
+  const override = String(process.env.REFUND_PROVIDER_OVERRIDE || "").trim();
+  return providers.get(override || String(name || "")) || null;
+}
+
+export { createEsewaRefundProvider, createMockRefundProvider };
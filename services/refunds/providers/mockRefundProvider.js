@@ -0,0 +1,61 @@
+// services/refunds/providers/mockRefundProvider.js (ESM)
+//
+// In-memory refund provider for local runs and tests.
+// Enable for every refund with REFUND_PROVIDER_OVERRIDE=mock.
+//
+// Options:
+//  - initialState     state returned by createRefund (default "pending")
+//  - finalState       state reached after `pollsUntilFinal` status checks (default "succeeded")
+//  - pollsUntilFinal  default 1
+//  - failCreateTimes  first N createRefund calls throw a retryable error (default 0)
+
+import { REFUND_PROVIDER_STATES, refundProviderError } from "../refundExecution.js";
+
+export function createMockRefundProvider({
+  initialState = REFUND_PROVIDER_STATES.PENDING,
+  finalState = REFUND_PROVIDER_STATES.SUCCEEDED,
+  pollsUntilFinal = 1,
+  failCreateTimes = 0,
+} = {}) {
+  const refunds = new Map(); // refundId -> { providerRefundId, amount, state, polls }
+  let createFailures = 0;
+
+  return {
+    name: "mock",
+    refunds,
+
+    async createRefund({ refundId, amount }) {
+      if (createFailures < failCreateTimes) {
+        createFailures += 1;
+        throw refundProviderError("Mock provider unavailable", { retryable: true, code: "MOCK_UNAVAILABLE" });
+      }
+
+      const key = String(refundId);
+      // Same refund reference twice => same provider refund (idempotent like a real gateway).
+      const existing = refunds.get(key);
+      if (existing) return { state: existing.state, providerRefundId: existing.providerRefundId, raw: { idempotent: true } };
+
+      const entry = {
+        providerRefundId: `MOCK-RF-${key.slice(-8).toUpperCase()}`,
+        amount: Number(amount),
+        state: initialState,
+        polls: 0,
+      };
+      refunds.set(key, entry);
+      return { state: entry.state, providerRefundId: entry.providerRefundId, raw: { mock: true } };
+    },
+
+    async getRefundStatus({ refundId }) {
+      const entry = refunds.get(String(refundId));
+      if (!entry) {
+        return { state: REFUND_PROVIDER_STATES.FAILED, providerRefundId: "", raw: { mock: true, notFound: true } };
+      }
+
+      entry.polls += 1;
+      if (entry.state === REFUND_PROVIDER_STATES.PENDING && entry.polls >= pollsUntilFinal) {
+        entry.state = finalState;
+      }
+      return { state: entry.state, providerRefundId: entry.providerRefundId, raw: { mock: true, polls: entry.polls } };
+    },
+  };
+}
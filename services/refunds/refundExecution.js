@@ -0,0 +1,230 @@
+// services/refunds/refundExecution.js (ESM)
+//
+// Pure pieces of automated refund execution (no DB access):
+// - provider states and error shape shared by all adapters
+// - planRefundStep(): what to write on the refund after one provider call
+// - refundAllocationLegs() / buildRefundReversalLegs(): GL legs posted when money actually left the platform
+// - splitRefundByTender(): wallet vs original-method shares for orders paid partly from the wallet
+//
+// The DB side (claiming, persisting, return transition, ledger posting) lives in
+// refundExecutor.js; adapters live in ./providers.
+
+export const REFUND_PROVIDER_STATES = Object.freeze({
+  NOT_STARTED: "not_started",
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+});
+
+// Payment method on the order -> { provider, refund method }
+export const AUTOMATED_REFUND_ROUTES = Object.freeze({
+  esewa: { provider: "esewa", method: "esewa_refund" },
+});
+
+// Refund methods where cash goes back to the customer from the platform account.
+export const CASH_REFUND_METHODS = Object.freeze(["prepaid_reversal", "esewa_refund", "manual"]);
+
+// Refund methods that credit the customer's wallet instead (wallet_credit is the older name).
+export const STORE_CREDIT_REFUND_METHODS = Object.freeze(["store_credit", "wallet_credit"]);
+
+export const REFUND_EXECUTION_DEFAULTS = Object.freeze({
+  maxAttempts: 8, // provider errors
+  maxPolls: 48, // status checks while the provider says "pending"
+});
+
+export function refundProviderError(message, { retryable = true, code = "PROVIDER_ERROR", raw = null } = {}) {
+  const e = new Error(message);
+  e.retryable = retryable;
+  e.code = code;
+  e.raw = raw;
+  return e;
+}
+
+function round2(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.round(x * 100) / 100 : 0;
+}
+
+// 1m, 2m, 4m ... capped at 1h (provider errors)
+export function retryDelayMs(attempts) {
+  const base = 60 * 1000;
+  const max = 60 * 60 * 1000;
+  return Math.min(max, base * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+// Status polling: every 2m for the first 10 checks, then every 30m.
+export function pollDelayMs(polls) {
+  return polls < 10 ? 2 * 60 * 1000 : 30 * 60 * 1000;
+}
+
+/**
+ * Decide the refund update after one provider call.
+ *
+ * outcome: { ok: true, state, providerRefundId, raw } | { ok: false, error }
+ * Returns { set, terminal: "succeeded" | "failed" | null, needsReview }
+ *  - set: fields to $set on the refund (dotted paths)
+ */
+export function planRefundStep(refund, outcome, { now = new Date(), maxAttempts, maxPolls } = {}) {
+  const auto = refund?.automation || {};
+  const limits = {
+    maxAttempts: maxAttempts || auto.maxAttempts || REFUND_EXECUTION_DEFAULTS.maxAttempts,
+    maxPolls: maxPolls || auto.maxPolls || REFUND_EXECUTION_DEFAULTS.maxPolls,
+  };
+
+  const set = { updatedAt: now, "automation.lastRunAt": now };
+
+  if (!outcome?.ok) {
+    const err = outcome?.error || {};
+    const attempts = Number(auto.attempts || 0) + 1;
+    set["automation.attempts"] = attempts;
+    set["automation.lastError"] = {
+      message: String(err.message || err),
+      code: err.code || "PROVIDER_ERROR",
+      at: now,
+    };
+
+    if (err.retryable === false || attempts >= limits.maxAttempts) {
+      set.status = "failed";
+      set["automation.enabled"] = false;
+      set["automation.nextAttemptAt"] = null;
+      set["automation.finishedAt"] = now;
+      set["provider.state"] = REFUND_PROVIDER_STATES.FAILED;
+      return { set, terminal: "failed", needsReview: true };
+    }
+
+    set.status = refund?.provider?.submittedAt ? "processing" : "queued";
+    set["automation.nextAttemptAt"] = new Date(now.getTime() + retryDelayMs(attempts));
+    return { set, terminal: null, needsReview: false };
+  }
+
+  set["provider.state"] = outcome.state;
+  set["provider.lastStatusAt"] = now;
+  set["provider.raw"] = outcome.raw ?? null;
+  if (outcome.providerRefundId) set["provider.reference"] = String(outcome.providerRefundId);
+  set["automation.lastError"] = null;
+
+  if (outcome.state === REFUND_PROVIDER_STATES.SUCCEEDED) {
+    set.status = "succeeded";
+    set["automation.enabled"] = false;
+    set["automation.nextAttemptAt"] = null;
+    set["automation.finishedAt"] = now;
+    return { set, terminal: "succeeded", needsReview: false };
+  }
+
+  if (outcome.state === REFUND_PROVIDER_STATES.FAILED) {
+    set.status = "failed";
+    set["automation.enabled"] = false;
+    set["automation.nextAttemptAt"] = null;
+    set["automation.finishedAt"] = now;
+    return { set, terminal: "failed", needsReview: true };
+  }
+
+  // pending: keep polling until the provider settles or we give up
+  const polls = Number(auto.polls || 0) + 1;
+  set.status = "processing";
+  set["automation.polls"] = polls;
+
+  if (polls >= limits.maxPolls) {
+    set["automation.enabled"] = false;
+    set["automation.nextAttemptAt"] = null;
+    set["automation.needsReview"] = true;
+    return { set, terminal: null, needsReview: true };
+  }
+
+  set["automation.nextAttemptAt"] = new Date(now.getTime() + pollDelayMs(polls));
+  return { set, terminal: null, needsReview: false };
+}
+
+/**
+ * Split a refund for an order paid partly from the wallet (rest by eSewa / COD).
+ *
+ * Each tender gets back its share of the order: the wallet part goes to store credit, the
+ * rest to the original method, never more than that method captured (totals.amountDue).
+ * Returns null when the order didn't mix tenders; otherwise { wallet, original }, each a
+ * copy of `amounts` scaled to its share (either may be null when its share is 0).
+ */
+export function splitRefundByTender(amounts, order) {
+  const t = order?.totals || {};
+  const walletApplied = round2(t.walletApplied);
+  const grandTotal = round2(t.grandTotal);
+  const captured = round2(t.amountDue ?? grandTotal - walletApplied);
+  const total = round2(amounts?.total);
+  if (!(walletApplied > 0) || !(captured > 0) || !(grandTotal > 0) || !(total > 0)) return null;
+
+  let original = Math.min(captured, round2((total * captured) / grandTotal));
+  const wallet = Math.min(walletApplied, round2(total - original));
+  // What the wallet can't take back goes to the original method while it has room.
+  original = Math.min(captured, round2(total - wallet));
+
+  const scale = (part) => {
+    if (!(part > 0)) return null;
+    const r = part / total;
+    return {
+      ...amounts,
+      itemsSubtotal: round2(amounts.itemsSubtotal * r),
+      shippingRefund: round2(amounts.shippingRefund * r),
+      taxRefund: round2(amounts.taxRefund * r),
+      discountReversal: round2(amounts.discountReversal * r),
+      total: part,
+    };
+  };
+  return { wallet: scale(wallet), original: scale(original) };
+}
+
+export function refundReversalGroupId(refund) {
+  return `refund_paid_${String(refund?._id || "")}`;
+}
+
+/**
+ * Where a refund's money is clawed back from:
+ *   debit  platform:commission         commission given back on the returned items
+ *   debit  seller:<sellerId>           remainder (seller earnings clawed back)
+ * Without a seller the whole amount is a platform loss, booked against commission.
+ *
+ * The credit side depends on where the money goes: cash (buildRefundReversalLegs) or the
+ * customer's wallet (services/wallet).
+ */
+export function refundAllocationLegs({ refund, commissionReversal = 0 }) {
+  const total = round2(refund?.amounts?.total);
+  if (!(total > 0)) return [];
+
+  const sourceRef = `refund:${String(refund._id)}`;
+  const sellerId = refund?.sellerId ? String(refund.sellerId) : "";
+  const commission = round2(Math.min(total, Math.max(0, Number(commissionReversal) || 0)));
+  const sellerPart = round2(total - commission);
+
+  const common = {
+    sourceRef,
+    orderId: refund.orderId || null,
+    orderNumber: refund.orderNumber || "",
+    meta: { refundId: String(refund._id), returnId: refund.returnId ? String(refund.returnId) : null },
+  };
+
+  const legs = [];
+  const platformPart = sellerId ? commission : total;
+  if (platformPart > 0) {
+    legs.push({ accountKey: "platform:commission", dc: "debit", amount: platformPart, ...common });
+  }
+
+  if (sellerId && sellerPart > 0) {
+    legs.push({ accountKey: `seller:${sellerId}`, dc: "debit", amount: sellerPart, ...common, sellerId });
+  }
+
+  return legs;
+}
+
+/**
+ * GL legs for a refund that was paid out:
+ *   credit platform:cash_bank          total
+ *   + refundAllocationLegs()
+ *
+ * Mirrors the invoice_paid_allocation group in ordersRoutes (cash -> commission + seller).
+ */
+export function buildRefundReversalLegs({ refund, commissionReversal = 0 }) {
+  const allocation = refundAllocationLegs({ refund, commissionReversal });
+  if (!allocation.length) return [];
+
+  const { sourceRef, orderId, orderNumber, meta } = allocation[0];
+  const total = round2(refund.amounts.total);
+  return [{ accountKey: "platform:cash_bank", dc: "credit", amount: total, sourceRef, orderId, orderNumber, meta }, ...allocation];
+}
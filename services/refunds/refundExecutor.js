@@ -0,0 +1,354 @@
+// services/refunds/refundExecutor.js (ESM)
+//
+// Executes automated refunds against a payment provider.
+//
+// Lifecycle of a `refunds` row with automation.enabled:
+//   queued ──createRefund──> processing ──getRefundStatus (poll)──> succeeded | failed
+//     └─ provider error: retried with backoff (retryDelayMs) up to automation.maxAttempts
+//
+// On success:
+//   - return refund_queued -> refunded (system actor)
+//   - GL groups `refund_paid_<refundId>` + `refund_cash_out_<refundId>` (finance/postingRules)
+//   - customer notification
+// On terminal failure / stuck pending: admin notification, row left for finance
+// (PATCH /api/admin/refunds/:id/mark-succeeded or POST /:id/execute to retry).
+//
+// Rows are claimed with a lock (automation.lockedAt/lockedBy) so the worker and the
+// admin "execute now" endpoint never call the provider twice for the same step.
+
+import os from "os";
+import { ObjectId } from "mongodb";
+
+import { LEDGER_EVENTS, orderCapturedAmount } from "../finance/postingRules.js";
+import { postLedgerEvent } from "../finance/ledgerPosting.js";
+import { enqueueNotification } from "../../utils/outbox.js";
+import { RETURN_STATUS, canTransitionReturnStatus } from "../../utils/returnsStatus.js";
+import { getRefundProvider } from "./providers/index.js";
+import {
+  CASH_REFUND_METHODS,
+  REFUND_EXECUTION_DEFAULTS,
+  planRefundStep,
+  refundProviderError,
+  refundReversalGroupId,
+} from "./refundExecution.js";
+
+const LOCK_TTL_MS = Number(process.env.REFUND_LOCK_TTL_MS || 5 * 60 * 1000);
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  try {
+    const s = String(id).trim();
+    return ObjectId.isValid(s) ? new ObjectId(s) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Automation block stored on a new refund (see adminReturnsRoutes /:id/refund/issue).
+ */
+export function buildRefundAutomation(now = new Date()) {
+  return {
+    enabled: true,
+    attempts: 0,
+    polls: 0,
+    maxAttempts: REFUND_EXECUTION_DEFAULTS.maxAttempts,
+    maxPolls: REFUND_EXECUTION_DEFAULTS.maxPolls,
+    nextAttemptAt: now,
+    lockedAt: null,
+    lockedBy: null,
+    lastError: null,
+    needsReview: false,
+    startedAt: now,
+    finishedAt: null,
+  };
+}
+
+function paymentRefForOrder(order) {
+  return {
+    method: String(order?.paymentMethod || order?.payment?.method || "").toLowerCase(),
+    transactionUuid: order?.esewa?.transactionUuid || order?.payment?.referenceCode || null,
+    transactionCode: order?.esewa?.transactionCode || order?.payment?.transactionCode || null,
+    // What the provider captured: the order total less any wallet share
+    amount: Number(order?.esewa?.amount ?? orderCapturedAmount(order)),
+  };
+}
+
+async function claimRefund(db, extraFilter = {}) {
+  const now = new Date();
+  const r = await db.collection("refunds").findOneAndUpdate(
+    {
+      "automation.enabled": true,
+      status: { $in: ["queued", "processing"] },
+      "automation.nextAttemptAt": { $lte: now },
+      $or: [
+        { "automation.lockedAt": null },
+        { "automation.lockedAt": { $lt: new Date(now.getTime() - LOCK_TTL_MS) } },
+      ],
+      ...extraFilter,
+    },
+    { $set: { "automation.lockedAt": now, "automation.lockedBy": WORKER_ID } },
+    { sort: { "automation.nextAttemptAt": 1 }, returnDocument: "after", includeResultMetadata: true }
+  );
+  return r?.value || null;
+}
+
+async function callProvider(provider, refund, order) {
+  const payment = paymentRefForOrder(order);
+  const submitted = Boolean(refund?.provider?.submittedAt);
+
+  // Rows issued before mixed orders were split carry the wallet share too: leave those to finance.
+  const amount = Number(refund.amounts?.total || 0);
+  if (!submitted && payment.amount > 0 && amount > payment.amount) {
+    return {
+      ok: false,
+      error: refundProviderError(`Refund ${amount} exceeds the ${payment.amount} captured by ${payment.method || "the provider"}`, {
+        retryable: false,
+        code: "REFUND_EXCEEDS_CAPTURE",
+      }),
+    };
+  }
+
+  try {
+    const res = submitted
+      ? await provider.getRefundStatus({
+          refundId: String(refund._id),
+          providerRefundId: refund.provider?.reference || "",
+          payment,
+        })
+      : await provider.createRefund({
+          refundId: String(refund._id),
+          amount,
+          currency: refund.currency || "NPR",
+          payment,
+          reason: `Return ${String(refund.returnId || "")}`.trim(),
+        });
+    return { ok: true, submittedNow: !submitted, ...res };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+/**
+ * Sum of the COMMISSION_REVERSAL entries booked when the refund was issued.
+ */
+export async function commissionReversalFor(db, refund) {
+  const ids = (refund?.ledgerEntryIds || []).map(toObjectId).filter(Boolean);
+  if (!ids.length) return 0;
+
+  const rows = await db
+    .collection("ledgerEntries")
+    .find({ _id: { $in: ids }, type: "COMMISSION_REVERSAL" }, { projection: { credit: 1 } })
+    .toArray();
+  return rows.reduce((s, r) => s + (Number(r.credit) || 0), 0);
+}
+
+/**
+ * Post the GL reversal and cash-out for a paid-out refund (services/finance/postingRules).
+ * Idempotent (fixed transactionGroupIds).
+ */
+export async function postRefundReversal(db, refund) {
+  if (!CASH_REFUND_METHODS.includes(String(refund?.method || "").toLowerCase())) {
+    return { ok: true, skipped: true };
+  }
+
+  const posted = await postLedgerEvent(db, LEDGER_EVENTS.REFUND_ISSUED, {
+    refund,
+    commissionReversal: await commissionReversalFor(db, refund),
+    postedAt: new Date(),
+  });
+  if (!posted.posted.length && !posted.skipped.length && !posted.failed.length) return { ok: true, skipped: true };
+
+  if (!posted.failed.length) {
+    await db.collection("refunds").updateOne(
+      { _id: refund._id },
+      { $set: { "ledger.reversalGroupId": refundReversalGroupId(refund), "ledger.reversalPostedAt": new Date() } }
+    );
+  }
+  return { ok: !posted.failed.length, ...posted };
+}
+
+/**
+ * After the provider confirmed the refund: move the return to refunded and post the GL reversal.
+ * Safe to call more than once.
+ */
+export async function finalizeSucceededRefund(db, refund, { actor = { kind: "system", id: "refund-executor" } } = {}) {
+  const Returns = db.collection("returns");
+  const ts = new Date();
+
+  const ret = refund.returnId ? await Returns.findOne({ _id: toObjectId(refund.returnId) }) : null;
+  if (ret && ret.status === RETURN_STATUS.REFUND_QUEUED && canTransitionReturnStatus(ret.status, RETURN_STATUS.REFUNDED, "system")) {
+    const moved = await Returns.updateOne(
+      { _id: ret._id, status: RETURN_STATUS.REFUND_QUEUED },
+      {
+        $set: {
+          status: RETURN_STATUS.REFUNDED,
+          statusUpdatedAt: ts,
+          updatedAt: ts,
+          "refund.status": "succeeded",
+          "refund.completedAt": ts,
+          "refund.providerReference": refund.provider?.reference || null,
+        },
+        $push: {
+          events: {
+            at: ts,
+            actor,
+            type: "REFUND_SUCCEEDED",
+            meta: { refundId: String(refund._id), provider: refund.provider?.name || null },
+          },
+        },
+      }
+    );
+
+    if (moved.modifiedCount) {
+      try {
+        await enqueueNotification("customer", {
+          customerId: refund.customerId,
+          orderId: refund.orderId,
+          orderNumber: refund.orderNumber,
+          type: "refund_completed",
+          title: "Refund completed",
+          body: `Your refund for order ${refund.orderNumber || ""} has been sent to your ${refund.provider?.name || "original payment"} account.`.trim(),
+          link: "/returns",
+          meta: { refundId: String(refund._id), returnId: String(refund.returnId || "") },
+        });
+      } catch (notifyErr) {
+        console.error("[refunds] customer notification failed", notifyErr);
+      }
+    }
+  }
+
+  return postRefundReversal(db, refund);
+}
+
+async function flagForReview(refund, reason) {
+  try {
+    await enqueueNotification("admin", {
+      type: "refund_needs_review",
+      title: "Automated refund needs attention",
+      message: `${refund.refundNumber || String(refund._id)} (${refund.provider?.name || "provider"}): ${reason}`,
+      link: "/refunds",
+      meta: { refundId: String(refund._id), returnId: String(refund.returnId || "") },
+    });
+  } catch (notifyErr) {
+    console.error("[refunds] admin notification failed", notifyErr);
+  }
+}
+
+/**
+ * Run one provider step for an already-claimed refund.
+ */
+async function executeClaimed(db, refund, { provider: providerOverride = null } = {}) {
+  const Refunds = db.collection("refunds");
+  const provider = providerOverride || getRefundProvider(refund.provider?.name);
+
+  const order = refund.orderId
+    ? await db.collection("orders").findOne({ _id: toObjectId(refund.orderId) || refund.orderId })
+    : null;
+
+  const outcome = provider
+    ? await callProvider(provider, refund, order)
+    : { ok: false, error: { message: `No refund provider "${refund.provider?.name}"`, code: "NO_PROVIDER", retryable: false } };
+
+  const now = new Date();
+  const plan = planRefundStep(refund, outcome, { now });
+  const set = {
+    ...plan.set,
+    "automation.lockedAt": null,
+    "automation.lockedBy": null,
+    ...(outcome.ok && outcome.submittedNow ? { "provider.submittedAt": now } : {}),
+  };
+
+  const r = await Refunds.findOneAndUpdate(
+    { _id: refund._id, "automation.lockedBy": WORKER_ID },
+    { $set: set },
+    { returnDocument: "after", includeResultMetadata: true }
+  );
+  const updated = r?.value || { ...refund, status: set.status };
+
+  console.log("[refunds][step]", {
+    refundId: String(refund._id),
+    provider: provider?.name || null,
+    status: updated.status,
+    providerState: updated.provider?.state || null,
+  });
+
+  if (plan.terminal === "succeeded") {
+    await finalizeSucceededRefund(db, updated);
+  } else if (plan.needsReview) {
+    await flagForReview(updated, updated.automation?.lastError?.message || `provider state ${updated.provider?.state}`);
+  }
+
+  return {
+    refundId: String(refund._id),
+    status: updated.status,
+    providerState: updated.provider?.state || null,
+    terminal: plan.terminal,
+    needsReview: plan.needsReview,
+  };
+}
+
+/**
+ * Execute (or reconcile) one refund now. Used by the admin "execute now" endpoint and
+ * right after a refund is issued. Returns null when the refund isn't automatable or is
+ * currently locked by another worker.
+ */
+export async function processRefundById(db, refundId, { force = false, provider = null } = {}) {
+  const fid = toObjectId(refundId);
+  if (!fid) return null;
+
+  if (force) {
+    // Re-arm a refund finance wants to retry (failed / stuck pending).
+    // A refund already submitted resumes polling instead of being submitted again.
+    await db.collection("refunds").updateOne(
+      { _id: fid, status: { $in: ["queued", "processing", "failed"] }, "provider.name": { $nin: [null, "", "manual"] } },
+      [
+        {
+          $set: {
+            status: { $cond: [{ $ifNull: ["$provider.submittedAt", false] }, "processing", "queued"] },
+            "automation.enabled": true,
+            "automation.needsReview": false,
+            "automation.attempts": 0,
+            "automation.polls": 0,
+            "automation.nextAttemptAt": "$$NOW",
+            updatedAt: "$$NOW",
+          },
+        },
+      ]
+    );
+  }
+
+  const claimed = await claimRefund(db, { _id: fid });
+  if (!claimed) return null;
+  return executeClaimed(db, claimed, { provider });
+}
+
+/**
+ * Worker batch: run every due automated refund (creation, retries and status polls).
+ */
+export async function processDueRefunds(db, { limit = 25, provider = null } = {}) {
+  const results = [];
+  for (let i = 0; i < limit; i += 1) {
+    const claimed = await claimRefund(db);
+    if (!claimed) break;
+    try {
+      results.push(await executeClaimed(db, claimed, { provider }));
+    } catch (err) {
+      console.error("[refunds] step crashed", { refundId: String(claimed._id), error: err?.message });
+      // Release the lock and push the row back so the batch doesn't spin on it.
+      await db.collection("refunds").updateOne(
+        { _id: claimed._id, "automation.lockedBy": WORKER_ID },
+        {
+          $set: {
+            "automation.lockedAt": null,
+            "automation.lockedBy": null,
+            "automation.nextAttemptAt": new Date(Date.now() + 60 * 1000),
+          },
+        }
+      );
+    }
+  }
+  return results;
+}
@@ -1,29 +1,12 @@
 import fs from "fs";
 import path from "path";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { PutObjectCommand } from "@aws-sdk/client-s3";
+import { getS3Client } from "../storage/objectStorage.js";
 
 const MODE = (process.env.REPORT_STORAGE_MODE || "local").toLowerCase();
 const LOCAL_DIR = process.env.REPORT_LOCAL_DIR || "reports";
 const PUBLIC_BASE = process.env.REPORT_PUBLIC_BASE_URL || "";
 
-function getS3Client() {
-  const endpoint = process.env.S3_ENDPOINT;
-  const region = process.env.S3_REGION || "auto";
-  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
-  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
-
-  if (!endpoint || !accessKeyId || !secretAccessKey) {
-    throw new Error("Missing S3 credentials");
-  }
-
-  return new S3Client({
-    region,
-    endpoint,
-    credentials: { accessKeyId, secretAccessKey },
-    forcePathStyle: true,
-  });
-}
-
 export async function saveReport({ buffer, key }) {
   if (!buffer || !key) throw new Error("Report buffer and key are required");
 
@@ -0,0 +1,425 @@
+// services/search/productSearchIndex.js (ESM)
+//
+// Built-in inverted index for storefront product search.
+//
+// - Fields: title/name, brand, category, tags, sku (+ variant SKUs), weighted per field
+// - Relevance: BM25-style term saturation * idf * field weight
+// - Prefix matching (last query token behaves as "search as you type")
+// - Typo tolerance: Damerau-Levenshtein distance 1 (len >= 4) or 2 (len >= 8)
+// - Facets: brand, category, price buckets, rating (computed on the matched set)
+//
+// Pure module: no DB access. routes/searchRoutes.js loads documents and rebuilds the index.
+
+const FIELD_WEIGHTS = Object.freeze({
+  title: 3,
+  sku: 2.5,
+  brand: 2,
+  category: 1.5,
+  tags: 1.5,
+});
+
+const MATCH_WEIGHTS = Object.freeze({
+  exact: 1,
+  prefix: 0.75,
+  typo1: 0.55,
+  typo2: 0.35,
+});
+
+const BM25_K1 = 1.2;
+
+const STOPWORDS = new Set(["a", "an", "and", "the", "of", "for", "with", "in", "on", "to", "by"]);
+
+export const PRICE_BUCKETS = Object.freeze([
+  { key: "0-500", from: 0, to: 500 },
+  { key: "500-1000", from: 500, to: 1000 },
+  { key: "1000-2500", from: 1000, to: 2500 },
+  { key: "2500-5000", from: 2500, to: 5000 },
+  { key: "5000+", from: 5000, to: null },
+]);
+
+export const RATING_BUCKETS = Object.freeze([
+  { key: "4_up", min: 4 },
+  { key: "3_up", min: 3 },
+  { key: "2_up", min: 2 },
+  { key: "1_up", min: 1 },
+]);
+
+function str(v) {
+  return v == null ? "" : String(v);
+}
+
+export function normalizeText(v) {
+  return str(v)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+export function tokenize(v) {
+  return normalizeText(v)
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+/**
+ * SKUs are matched whole (e.g. "glz-lip-red-01") and by segment.
+ */
+function skuTokens(v) {
+  const whole = normalizeText(v).replace(/\s+/g, "");
+  if (!whole) return [];
+  return Array.from(new Set([whole, ...tokenize(whole)]));
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) with early exit once `max` is exceeded.
+ */
+export function editDistance(a, b, max = 2) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: cols }, (_, j) => j);
+
+  for (let i = 1; i < rows; i += 1) {
+    const cur = new Array(cols);
+    cur[0] = i;
+    let rowMin = cur[0];
+    for (let j = 1; j < cols; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prevPrev[j - 2] + 1);
+      }
+      cur[j] = v;
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = cur;
+  }
+  return prev[cols - 1];
+}
+
+function maxTyposFor(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+function toTags(v) {
+  if (Array.isArray(v)) return v.map(str);
+  if (typeof v === "string") return v.split(",");
+  return [];
+}
+
+function categoryLabel(p) {
+  if (p?.category && typeof p.category === "object") return str(p.category.name);
+  return str(p?.category);
+}
+
+/**
+ * Map a product document to the indexed shape.
+ * Extra display fields are kept on `doc` so search results don't need a second read.
+ */
+export function toSearchDoc(p) {
+  const variantSkus = (Array.isArray(p?.variants) ? p.variants : []).map((v) => v?.sku).filter(Boolean);
+  return {
+    id: str(p?._id),
+    fields: {
+      title: tokenize(p?.title || p?.name),
+      brand: tokenize(p?.brandName || p?.brand),
+      category: tokenize(categoryLabel(p)),
+      tags: toTags(p?.tags).flatMap(tokenize),
+      sku: [p?.sku, ...variantSkus].filter(Boolean).flatMap(skuTokens),
+    },
+    facets: {
+      brand: str(p?.brandName || p?.brand).trim(),
+      category: categoryLabel(p).trim(),
+      price: Number(p?.price) || 0,
+      rating: Number(p?.averageRating) || 0,
+    },
+    sort: {
+      createdAt: p?.createdAt ? new Date(p.createdAt).getTime() : 0,
+      soldCount: Number(p?.soldCount) || 0,
+    },
+    doc: p,
+  };
+}
+
+/**
+ * Build an index from product documents.
+ * Returns a plain object consumed by searchProducts().
+ */
+export function buildProductSearchIndex(products = []) {
+  const docs = new Map();
+  const postings = new Map(); // term -> Map(docId -> { field: tf })
+
+  for (const p of products) {
+    const sd = toSearchDoc(p);
+    if (!sd.id) continue;
+    docs.set(sd.id, sd);
+
+    for (const [field, tokens] of Object.entries(sd.fields)) {
+      for (const t of tokens) {
+        let byDoc = postings.get(t);
+        if (!byDoc) {
+          byDoc = new Map();
+          postings.set(t, byDoc);
+        }
+        const tf = byDoc.get(sd.id) || {};
+        tf[field] = (tf[field] || 0) + 1;
+        byDoc.set(sd.id, tf);
+      }
+    }
+  }
+
+  // Terms bucketed by length for cheap typo candidate lookups.
+  const termsByLength = new Map();
+  for (const term of postings.keys()) {
+    const list = termsByLength.get(term.length) || [];
+    list.push(term);
+    termsByLength.set(term.length, list);
+  }
+
+  return { docs, postings, termsByLength, builtAt: new Date() };
+}
+
+/**
+ * Expand one query token into indexed terms with a match weight.
+ */
+export function expandToken(index, token, { allowPrefix = false } = {}) {
+  const out = new Map();
+  const add = (term, weight) => {
+    if ((out.get(term) || 0) < weight) out.set(term, weight);
+  };
+
+  if (index.postings.has(token)) add(token, MATCH_WEIGHTS.exact);
+
+  if (allowPrefix && token.length >= 2) {
+    for (const term of index.postings.keys()) {
+      if (term !== token && term.startsWith(token)) add(term, MATCH_WEIGHTS.prefix);
+    }
+  }
+
+  const maxTypos = maxTyposFor(token);
+  if (maxTypos > 0) {
+    for (let len = token.length - maxTypos; len <= token.length + maxTypos; len += 1) {
+      for (const term of index.termsByLength.get(len) || []) {
+        if (out.has(term)) continue;
+        const d = editDistance(token, term, maxTypos);
+        if (d === 1) add(term, MATCH_WEIGHTS.typo1);
+        else if (d === 2 && maxTypos >= 2) add(term, MATCH_WEIGHTS.typo2);
+      }
+    }
+  }
+
+  return out;
+}
+
+function scoreTerm(index, term, matchWeight) {
+  const byDoc = index.postings.get(term);
+  const scores = new Map();
+  if (!byDoc) return scores;
+
+  const n = index.docs.size;
+  const df = byDoc.size;
+  const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+
+  for (const [docId, tfByField] of byDoc.entries()) {
+    let s = 0;
+    for (const [field, tf] of Object.entries(tfByField)) {
+      const saturated = (tf * (BM25_K1 + 1)) / (tf + BM25_K1);
+      s += FIELD_WEIGHTS[field] * saturated;
+    }
+    scores.set(docId, s * idf * matchWeight);
+  }
+  return scores;
+}
+
+function priceBucketKey(price) {
+  const b = PRICE_BUCKETS.find((x) => price >= x.from && (x.to == null || price < x.to));
+  return b ? b.key : null;
+}
+
+function normFacetValue(v) {
+  return normalizeText(v).trim();
+}
+
+/**
+ * filters: { brand?: string[], category?: string[], minPrice?, maxPrice?, minRating? }
+ * `skip` names a facet whose own filter is ignored (disjunctive facet counts).
+ */
+function passesFilters(sd, filters, skip = null) {
+  const f = sd.facets;
+  if (skip !== "brand" && filters.brand?.length && !filters.brand.includes(normFacetValue(f.brand))) {
+    return false;
+  }
+  if (
+    skip !== "category" &&
+    filters.category?.length &&
+    !filters.category.includes(normFacetValue(f.category))
+  ) {
+    return false;
+  }
+  if (skip !== "price") {
+    if (filters.minPrice != null && f.price < filters.minPrice) return false;
+    if (filters.maxPrice != null && f.price > filters.maxPrice) return false;
+  }
+  if (skip !== "rating" && filters.minRating != null && f.rating < filters.minRating) return false;
+  return true;
+}
+
+function countFacet(candidates, filters, facet) {
+  const counts = new Map();
+  for (const sd of candidates) {
+    if (!passesFilters(sd, filters, facet)) continue;
+    const label = sd.facets[facet];
+    if (!label) continue;
+    const key = normFacetValue(label);
+    const cur = counts.get(key) || { value: label, count: 0 };
+    cur.count += 1;
+    counts.set(key, cur);
+  }
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+function buildFacets(candidates, filters) {
+  const priceCounts = new Map(PRICE_BUCKETS.map((b) => [b.key, 0]));
+  const ratingCounts = new Map(RATING_BUCKETS.map((b) => [b.key, 0]));
+
+  for (const sd of candidates) {
+    if (passesFilters(sd, filters, "price")) {
+      const k = priceBucketKey(sd.facets.price);
+      if (k) priceCounts.set(k, priceCounts.get(k) + 1);
+    }
+    if (passesFilters(sd, filters, "rating")) {
+      for (const b of RATING_BUCKETS) {
+        if (sd.facets.rating >= b.min) ratingCounts.set(b.key, ratingCounts.get(b.key) + 1);
+      }
+    }
+  }
+
+  return {
+    brand: countFacet(candidates, filters, "brand").slice(0, 30),
+    category: countFacet(candidates, filters, "category").slice(0, 30),
+    price: PRICE_BUCKETS.map((b) => ({ ...b, count: priceCounts.get(b.key) })),
+    rating: RATING_BUCKETS.map((b) => ({ ...b, count: ratingCounts.get(b.key) })),
+  };
+}
+
+const SORTERS = {
+  relevance: (a, b) => b.score - a.score || b.sd.sort.soldCount - a.sd.sort.soldCount,
+  price_asc: (a, b) => a.sd.facets.price - b.sd.facets.price,
+  price_desc: (a, b) => b.sd.facets.price - a.sd.facets.price,
+  popular: (a, b) => b.sd.sort.soldCount - a.sd.sort.soldCount,
+  newest: (a, b) => b.sd.sort.createdAt - a.sd.sort.createdAt,
+  rating: (a, b) => b.sd.facets.rating - a.sd.facets.rating,
+};
+
+export const SEARCH_SORTS = Object.freeze(Object.keys(SORTERS));
+
+/**
+ * Run a query against an index.
+ *
+ * All query tokens must match (typos/prefix allowed). When that yields nothing,
+ * falls back to matching any token so the storefront never shows an empty page for
+ * a single bad word.
+ *
+ * Returns { total, hits: [{ id, score, doc }], facets, matchMode, corrections }
+ */
+export function searchProducts(index, { q = "", filters = {}, sort = "relevance", page = 1, limit = 24 } = {}) {
+  const tokens = tokenize(q);
+  const normalizedFilters = {
+    brand: (filters.brand || []).map(normFacetValue).filter(Boolean),
+    category: (filters.category || []).map(normFacetValue).filter(Boolean),
+    minPrice: filters.minPrice ?? null,
+    maxPrice: filters.maxPrice ?? null,
+    minRating: filters.minRating ?? null,
+  };
+
+  let scored = new Map(); // docId -> score
+  let matchMode = "all";
+  const corrections = [];
+
+  if (!tokens.length) {
+    for (const id of index.docs.keys()) scored.set(id, 0);
+    matchMode = "browse";
+  } else {
+    const perToken = tokens.map((token, i) => {
+      const expansions = expandToken(index, token, { allowPrefix: i === tokens.length - 1 });
+      const docScores = new Map();
+      let best = null;
+      for (const [term, weight] of expansions.entries()) {
+        if (!best || weight > best.weight) best = { term, weight };
+        for (const [docId, s] of scoreTerm(index, term, weight).entries()) {
+          if ((docScores.get(docId) || 0) < s) docScores.set(docId, s);
+        }
+      }
+      if (best && best.term !== token && best.weight < MATCH_WEIGHTS.prefix) {
+        corrections.push({ token, suggestion: best.term });
+      }
+      return docScores;
+    });
+
+    const intersect = () => {
+      const [first, ...rest] = perToken;
+      const out = new Map();
+      for (const [docId, s] of first.entries()) {
+        let total = s;
+        let ok = true;
+        for (const m of rest) {
+          const v = m.get(docId);
+          if (v == null) {
+            ok = false;
+            break;
+          }
+          total += v;
+        }
+        if (ok) out.set(docId, total);
+      }
+      return out;
+    };
+
+    scored = intersect();
+
+    if (!scored.size && perToken.length > 1) {
+      matchMode = "any";
+      for (const m of perToken) {
+        for (const [docId, s] of m.entries()) scored.set(docId, (scored.get(docId) || 0) + s);
+      }
+    }
+  }
+
+  const candidates = [];
+  for (const docId of scored.keys()) {
+    const sd = index.docs.get(docId);
+    if (sd) candidates.push(sd);
+  }
+
+  const facets = buildFacets(candidates, normalizedFilters);
+
+  const rows = candidates
+    .filter((sd) => passesFilters(sd, normalizedFilters))
+    .map((sd) => ({ sd, score: scored.get(sd.id) || 0 }));
+
+  const sorter = SORTERS[sort] || (tokens.length ? SORTERS.relevance : SORTERS.newest);
+  rows.sort(sorter);
+
+  const safeLimit = Math.min(100, Math.max(1, Number(limit) || 24));
+  const safePage = Math.max(1, Number(page) || 1);
+  const start = (safePage - 1) * safeLimit;
+
+  return {
+    total: rows.length,
+    hits: rows.slice(start, start + safeLimit).map((r) => ({
+      id: r.sd.id,
+      score: Number(r.score.toFixed(4)),
+      doc: r.sd.doc,
+    })),
+    facets,
+    matchMode,
+    corrections,
+  };
+}
@@ -0,0 +1,141 @@
+// services/security/idempotency.js (ESM)
+//
+// Idempotency-Key storage for non-idempotent POSTs (order placement, payment initiation).
+//
+// idempotencyKeys:
+//   { _id: "<scope>:<userId>:<key>", scope, userId, key, fingerprint,
+//     status: "processing" | "completed", lockedUntil,
+//     response: { statusCode, body }, createdAt, completedAt, expiresAt }
+//
+// - Keys are per user and per scope, so one customer's key never replays another's response.
+// - The fingerprint covers method, path and the canonical JSON body: the same key with a
+//   different body is a client bug and gets 409 instead of a replay.
+// - 2xx/4xx responses are stored and replayed; 5xx releases the key so the client can retry.
+//
+// Requires MongoDB indexes (scripts/createIdempotencyIndexes.js):
+// db.idempotencyKeys.createIndex({ expiresAt: 1 }, { name: "idempotency_keys_ttl", expireAfterSeconds: 0 })
+
+import crypto from "crypto";
+
+export const IDEMPOTENCY_TTL_MS = Math.max(
+  60 * 60 * 1000,
+  Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000
+);
+
+// A request that crashed mid-way releases its key after this long.
+export const IDEMPOTENCY_LOCK_MS = 60 * 1000;
+
+const KEY_RE = /^[\x21-\x7e]{8,255}$/;
+
+export function isValidIdempotencyKey(key) {
+  return KEY_RE.test(String(key || ""));
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, k) => {
+        if (value[k] !== undefined) acc[k] = canonicalize(value[k]);
+        return acc;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * Stable hash of the parts of a request that must match on retry.
+ * Key order in the JSON body does not matter.
+ */
+export function requestFingerprint({ method, path, body }) {
+  const payload = JSON.stringify([String(method || "").toUpperCase(), String(path || ""), canonicalize(body ?? null)]);
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+export function shouldStoreResponse(statusCode) {
+  const s = Number(statusCode);
+  return s >= 200 && s < 500;
+}
+
+export function idempotencyDocId({ scope, userId, key }) {
+  return `${scope}:${userId || "anon"}:${key}`;
+}
+
+/**
+ * Claim a key for this request.
+ * Returns one of:
+ *  - { outcome: "proceed" }                       run the handler, then completeIdempotentRequest
+ *  - { outcome: "replay", response }              send the stored response
+ *  - { outcome: "mismatch" }                      key reused with a different request
+ *  - { outcome: "in_progress", retryAfterMs }     the first request is still running
+ */
+export async function beginIdempotentRequest(db, { scope, userId, key, fingerprint, now = new Date() }) {
+  const Keys = db.collection("idempotencyKeys");
+  const _id = idempotencyDocId({ scope, userId, key });
+  const lockedUntil = new Date(now.getTime() + IDEMPOTENCY_LOCK_MS);
+
+  try {
+    await Keys.insertOne({
+      _id,
+      scope,
+      userId: userId ? String(userId) : null,
+      key,
+      fingerprint,
+      status: "processing",
+      lockedUntil,
+      response: null,
+      createdAt: now,
+      completedAt: null,
+      expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS),
+    });
+    return { outcome: "proceed" };
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+  }
+
+  const existing = await Keys.findOne({ _id });
+  if (!existing) {
+    // Expired (TTL) or released between insert and read: let the client retry.
+    return { outcome: "in_progress", retryAfterMs: 1000 };
+  }
+  if (existing.fingerprint !== fingerprint) return { outcome: "mismatch" };
+  if (existing.status === "completed" && existing.response) {
+    return { outcome: "replay", response: existing.response };
+  }
+
+  // Still processing. Take over only if the first attempt died holding the lock.
+  const r = await Keys.findOneAndUpdate(
+    { _id, status: "processing", lockedUntil: { $lte: now } },
+    { $set: { lockedUntil } },
+    { includeResultMetadata: true }
+  );
+  if (r?.value) return { outcome: "proceed" };
+
+  const waitMs = new Date(existing.lockedUntil || now).getTime() - now.getTime();
+  return { outcome: "in_progress", retryAfterMs: Math.max(1000, waitMs) };
+}
+
+export async function completeIdempotentRequest(db, { scope, userId, key, statusCode, body, now = new Date() }) {
+  const _id = idempotencyDocId({ scope, userId, key });
+  if (!shouldStoreResponse(statusCode)) {
+    await db.collection("idempotencyKeys").deleteOne({ _id, status: "processing" });
+    return false;
+  }
+  await db.collection("idempotencyKeys").updateOne(
+    { _id },
+    {
+      $set: {
+        status: "completed",
+        response: { statusCode: Number(statusCode), body: body ?? null },
+        completedAt: now,
+        lockedUntil: null,
+      },
+    }
+  );
+  return true;
+}
+
+export async function releaseIdempotentRequest(db, { scope, userId, key }) {
+  await db.collection("idempotencyKeys").deleteOne({ _id: idempotencyDocId({ scope, userId, key }), status: "processing" });
+}
@@ -0,0 +1,157 @@
+// services/security/loginLockout.js (ESM)
+//
+// Progressive account lockout after failed logins.
+//
+// One `loginLockouts` row per (scope, identifier) — scope is the login portal
+// (customer | seller | staff), identifier the normalised email. Second-factor checks from a
+// signed-in session (step-up) use scope step_up with the user id. Failures are counted
+// whether or not the account exists, so lockout doesn't reveal which emails are registered.
+// The counter resets after a successful login or FAILURE_RESET_MS without failures.
+//
+// Requires MongoDB indexes (scripts/createRateLimitIndexes.js):
+// db.loginLockouts.createIndex({ lockedUntil: -1 }, { name: "login_lockouts_locked" })
+// db.loginLockouts.createIndex({ expiresAt: 1 }, { name: "login_lockouts_ttl", expireAfterSeconds: 0 })
+
+const MINUTE = 60 * 1000;
+
+export const FAILURE_RESET_MS = 24 * 60 * MINUTE;
+
+// Every failure at or past `after` locks the account for `lockMs`.
+export const LOCKOUT_STEPS = Object.freeze([
+  { after: 5, lockMs: 1 * MINUTE },
+  { after: 8, lockMs: 5 * MINUTE },
+  { after: 10, lockMs: 15 * MINUTE },
+  { after: 15, lockMs: 60 * MINUTE },
+  { after: 20, lockMs: 24 * 60 * MINUTE },
+]);
+
+export const LOGIN_SCOPES = Object.freeze({
+  CUSTOMER: "customer",
+  SELLER: "seller",
+  STAFF: "staff",
+  STEP_UP: "step_up",
+});
+
+function lockoutId(scope, identifier) {
+  return `${scope}:${String(identifier || "").trim().toLowerCase()}`;
+}
+
+/**
+ * Lock duration for the n-th consecutive failure (0 = not locked).
+ */
+export function lockDurationForFailures(failures) {
+  let ms = 0;
+  for (const step of LOCKOUT_STEPS) {
+    if (failures >= step.after) ms = step.lockMs;
+  }
+  return ms;
+}
+
+/**
+ * Current lock for a login. Returns { locked, retryAfterMs, failures }.
+ */
+export async function getLoginLock(db, { scope, identifier, now = new Date() }) {
+  const row = await db.collection("loginLockouts").findOne(
+    { _id: lockoutId(scope, identifier) },
+    { projection: { failures: 1, lockedUntil: 1 } }
+  );
+  const until = row?.lockedUntil ? new Date(row.lockedUntil).getTime() : 0;
+  const retryAfterMs = Math.max(0, until - now.getTime());
+  return { locked: retryAfterMs > 0, retryAfterMs, failures: row?.failures || 0 };
+}
+
+/**
+ * Count a failed login and lock when a step is reached.
+ * Returns { failures, locked, retryAfterMs }.
+ */
+export async function recordLoginFailure(db, { scope, identifier, userId = null, ip = null, now = new Date() }) {
+  const Lockouts = db.collection("loginLockouts");
+  const resetBefore = new Date(now.getTime() - FAILURE_RESET_MS);
+
+  // Pipeline update so concurrent failures can't lose increments.
+  const r = await Lockouts.findOneAndUpdate(
+    { _id: lockoutId(scope, identifier) },
+    [
+      {
+        $set: {
+          scope,
+          identifier: String(identifier || "").trim().toLowerCase(),
+          userId: userId ? String(userId) : { $ifNull: ["$userId", null] },
+          failures: {
+            $cond: [
+              { $gte: [{ $ifNull: ["$lastFailedAt", new Date(0)] }, resetBefore] },
+              { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+              1,
+            ],
+          },
+          firstFailedAt: {
+            $cond: [
+              { $gte: [{ $ifNull: ["$lastFailedAt", new Date(0)] }, resetBefore] },
+              "$firstFailedAt",
+              now,
+            ],
+          },
+          lastFailedAt: now,
+          lastIp: ip || null,
+          createdAt: { $ifNull: ["$createdAt", now] },
+        },
+      },
+    ],
+    { upsert: true, returnDocument: "after", includeResultMetadata: true }
+  );
+
+  const failures = r?.value?.failures || 1;
+  const lockMs = lockDurationForFailures(failures);
+  const lockedUntil = lockMs ? new Date(now.getTime() + lockMs) : null;
+
+  await Lockouts.updateOne(
+    { _id: lockoutId(scope, identifier) },
+    {
+      $set: {
+        expiresAt: new Date(Math.max(now.getTime() + FAILURE_RESET_MS, lockedUntil?.getTime() || 0)),
+        ...(lockedUntil ? { lockedUntil, lockedAt: now } : {}),
+      },
+      ...(lockedUntil ? { $inc: { lockCount: 1 } } : {}),
+    }
+  );
+
+  return { failures, locked: Boolean(lockedUntil), retryAfterMs: lockMs };
+}
+
+export async function clearLoginFailures(db, { scope, identifier }) {
+  await db.collection("loginLockouts").deleteOne({ _id: lockoutId(scope, identifier) });
+}
+
+export async function listLockedAccounts(db, { now = new Date(), scope = null, limit = 100 } = {}) {
+  const rows = await db
+    .collection("loginLockouts")
+    .find({ lockedUntil: { $gt: now }, ...(scope ? { scope } : {}) })
+    .sort({ lockedUntil: -1 })
+    .limit(limit)
+    .toArray();
+
+  return rows.map((r) => ({
+    id: r._id,
+    scope: r.scope,
+    identifier: r.identifier,
+    userId: r.userId || null,
+    failures: r.failures || 0,
+    lockCount: r.lockCount || 0,
+    firstFailedAt: r.firstFailedAt || null,
+    lastFailedAt: r.lastFailedAt || null,
+    lastIp: r.lastIp || null,
+    lockedAt: r.lockedAt || null,
+    lockedUntil: r.lockedUntil,
+    retryAfterSeconds: Math.ceil((new Date(r.lockedUntil).getTime() - now.getTime()) / 1000),
+  }));
+}
+
+/**
+ * Admin unlock: drops the lock and the failure counter. Returns the removed row or null.
+ */
+export async function unlockAccount(db, id) {
+  const r = await db
+    .collection("loginLockouts")
+    .findOneAndDelete({ _id: String(id) }, { includeResultMetadata: true });
+  return r?.value || null;
+}
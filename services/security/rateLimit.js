@@ -0,0 +1,151 @@
+// services/security/rateLimit.js (ESM)
+//
+// Mongo-backed sliding-window rate limiting (sliding window counter).
+//
+// Each (policy, rule, key) gets one counter document per fixed window. A request is
+// judged against an estimate of the last `windowMs`:
+//   estimate = previousWindowCount * (1 - elapsedInCurrentWindow / windowMs) + currentWindowCount
+// which smooths the burst a plain fixed window allows at window boundaries.
+//
+// Requires MongoDB indexes (scripts/createRateLimitIndexes.js):
+// db.rateLimits.createIndex({ expiresAt: 1 }, { name: "rate_limits_ttl", expireAfterSeconds: 0 })
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Per-route policies. Every rule is counted separately; the request is rejected when
+ * any rule is over its limit. `by`:
+ *  - ip     client IP (req.ip: X-Forwarded-For only counts for the proxies index.js trusts)
+ *  - email  normalised req.body.email (rule skipped when absent)
+ *  - user   authenticated user id (rule skipped when absent)
+ */
+export const RATE_LIMIT_POLICIES = Object.freeze({
+  login: {
+    windowMs: 15 * MINUTE,
+    rules: [
+      { by: "ip", limit: 30 },
+      { by: "email", limit: 10 },
+    ],
+  },
+  staffLogin: {
+    windowMs: 15 * MINUTE,
+    rules: [
+      { by: "ip", limit: 10 },
+      { by: "email", limit: 5 },
+    ],
+  },
+  // Second-factor checks from a signed-in session; wrong codes also lock (loginLockout step_up)
+  stepUp: {
+    windowMs: 15 * MINUTE,
+    rules: [
+      { by: "user", limit: 5 },
+      { by: "ip", limit: 20 },
+    ],
+  },
+  register: {
+    windowMs: 60 * MINUTE,
+    rules: [{ by: "ip", limit: 10 }],
+  },
+  passwordReset: {
+    windowMs: 15 * MINUTE,
+    rules: [
+      { by: "ip", limit: 10 },
+      { by: "email", limit: 3 },
+    ],
+  },
+  subscribe: {
+    windowMs: 60 * MINUTE,
+    rules: [{ by: "ip", limit: 10 }],
+  },
+  reviewWrite: {
+    windowMs: 60 * MINUTE,
+    rules: [
+      { by: "user", limit: 10 },
+      { by: "ip", limit: 30 },
+    ],
+  },
+  // Gift card codes are bearer values; keep guessing slow.
+  giftCardRedeem: {
+    windowMs: 60 * MINUTE,
+    rules: [
+      { by: "user", limit: 10 },
+      { by: "ip", limit: 30 },
+    ],
+  },
+});
+
+/**
+ * Counter key for one rule, or null when the request has nothing to count it by.
+ */
+export function rateLimitKey(req, by) {
+  if (by === "ip") return req.ip || null;
+  if (by === "email") {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    return email || null;
+  }
+  if (by === "user") {
+    const id = req.user?._id || req.user?.id;
+    return id ? String(id) : null;
+  }
+  return null;
+}
+
+/**
+ * Pure sliding-window decision.
+ * Returns { allowed, estimate, remaining, retryAfterMs }.
+ */
+export function slidingWindowDecision({ prevCount = 0, currCount = 0, windowMs, elapsedMs, limit }) {
+  const prev = Math.max(0, Number(prevCount) || 0);
+  const curr = Math.max(0, Number(currCount) || 0);
+  const elapsed = Math.min(windowMs, Math.max(0, elapsedMs));
+
+  const estimate = prev * (1 - elapsed / windowMs) + curr;
+  if (estimate <= limit) {
+    return { allowed: true, estimate, remaining: Math.max(0, Math.floor(limit - estimate)), retryAfterMs: 0 };
+  }
+
+  let retryAfterMs;
+  if (curr <= limit && prev > 0) {
+    // Wait inside this window until the previous window's weight has decayed enough.
+    const t = windowMs * (1 - (limit - curr) / prev);
+    retryAfterMs = t - elapsed;
+  } else {
+    // Over the limit within this window alone: wait for it to roll over and decay.
+    retryAfterMs = windowMs - elapsed + windowMs * (1 - limit / curr);
+  }
+
+  return { allowed: false, estimate, remaining: 0, retryAfterMs: Math.max(1000, Math.ceil(retryAfterMs)) };
+}
+
+/**
+ * Count one hit for `key` under `ruleName` and decide.
+ */
+export async function hitRateLimit(db, { ruleName, key, limit, windowMs, now = new Date() }) {
+  const Limits = db.collection("rateLimits");
+  const t = now.getTime();
+  const windowStart = Math.floor(t / windowMs) * windowMs;
+  const base = `${ruleName}:${key}`;
+
+  const r = await Limits.findOneAndUpdate(
+    { _id: `${base}:${windowStart}` },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: {
+        rule: ruleName,
+        key,
+        windowStart: new Date(windowStart),
+        expiresAt: new Date(windowStart + 2 * windowMs),
+      },
+    },
+    { upsert: true, returnDocument: "after", includeResultMetadata: true }
+  );
+  const prev = await Limits.findOne({ _id: `${base}:${windowStart - windowMs}` }, { projection: { count: 1 } });
+
+  return slidingWindowDecision({
+    prevCount: prev?.count || 0,
+    currCount: r?.value?.count || 1,
+    windowMs,
+    elapsedMs: t - windowStart,
+    limit,
+  });
+}
@@ -0,0 +1,35 @@
+// services/storage/imageVariants.js (ESM)
+//
+// Resized WebP copies of product images. Stored next to the original:
+//   products/ab/<sha256>.jpg            original
+//   products/ab/<sha256>/thumb.webp     IMAGE_VARIANTS.thumb, etc.
+
+import sharp from "sharp";
+
+// Longest edge in px; images are never enlarged.
+export const IMAGE_VARIANTS = Object.freeze({
+  thumb: { size: 200, quality: 70 },
+  medium: { size: 800, quality: 80 },
+  large: { size: 1600, quality: 82 },
+});
+
+export function variantKey(originalKey, name) {
+  return `${originalKey.replace(/\.[^./]+$/, "")}/${name}.webp`;
+}
+
+/**
+ * Returns [{ name, buffer, width, height, contentType }] for each IMAGE_VARIANTS entry.
+ * Throws if the image can't be decoded.
+ */
+export async function buildImageVariants(buffer, variants = IMAGE_VARIANTS) {
+  const out = [];
+  for (const [name, { size, quality }] of Object.entries(variants)) {
+    const { data, info } = await sharp(buffer, { animated: false })
+      .rotate() // honour EXIF orientation before it is stripped
+      .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+      .webp({ quality })
+      .toBuffer({ resolveWithObject: true });
+    out.push({ name, buffer: data, width: info.width, height: info.height, contentType: "image/webp" });
+  }
+  return out;
+}
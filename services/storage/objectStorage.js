@@ -0,0 +1,242 @@
+// services/storage/objectStorage.js (ESM)
+//
+// Where uploaded files live. Two buckets:
+//   public   product images, logos, documents, return evidence; served as-is
+//   private  message attachments; only ever streamed through an authorised route
+//
+// UPLOAD_STORAGE_MODE picks the driver for both:
+//   local (default)  UPLOAD_LOCAL_DIR (uploads, served by express.static at /uploads)
+//                    and UPLOAD_PRIVATE_DIR (private_uploads, never served)
+//   s3               any S3-compatible store (S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID,
+//                    S3_SECRET_ACCESS_KEY). UPLOAD_S3_BUCKET (default S3_BUCKET) for public
+//                    files, UPLOAD_S3_PRIVATE_BUCKET for private ones; without it private files
+//                    go to the public bucket under private/, which must not be publicly readable.
+//
+// Public URLs: UPLOAD_PUBLIC_BASE_URL, else /uploads (local) or S3_PUBLIC_BASE (s3).
+//
+// Keys are content hashes (contentKey), so writing the same bytes twice is a no-op and
+// objects never change once written.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+export const STORAGE_VISIBILITY = Object.freeze({ PUBLIC: "public", PRIVATE: "private" });
+
+function storageError(message, code, statusCode = 500) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+export function storageMode() {
+  return String(process.env.UPLOAD_STORAGE_MODE || "local").toLowerCase();
+}
+
+export function getS3Client() {
+  const endpoint = process.env.S3_ENDPOINT;
+  const region = process.env.S3_REGION || "auto";
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+  if (!endpoint || !accessKeyId || !secretAccessKey) {
+    throw new Error("Missing S3 credentials");
+  }
+
+  return new S3Client({
+    region,
+    endpoint,
+    credentials: { accessKeyId, secretAccessKey },
+    forcePathStyle: true,
+  });
+}
+
+/**
+ * `<prefix>/<2 hex>/<sha256><ext>` for `buffer`. Returns { key, sha256 }.
+ */
+export function contentKey(buffer, { prefix, ext = "" }) {
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+  const key = path.posix.join(prefix, sha256.slice(0, 2), `${sha256}${ext}`);
+  return { key, sha256 };
+}
+
+function assertKey(key) {
+  const k = String(key || "");
+  if (!k || k.startsWith("/") || k.split("/").some((part) => part === ".." || part === "")) {
+    throw storageError("Invalid storage key", "STORAGE_INVALID_KEY", 400);
+  }
+  return k;
+}
+
+function joinUrl(base, key) {
+  return `${String(base).replace(/\/$/, "")}/${key}`;
+}
+
+export function createLocalStorage({ root, publicBase = null }) {
+  const dir = path.resolve(root);
+  const fileFor = (key) => {
+    const full = path.resolve(dir, assertKey(key));
+    if (!full.startsWith(dir + path.sep)) throw storageError("Invalid storage key", "STORAGE_INVALID_KEY", 400);
+    return full;
+  };
+
+  return {
+    name: "local",
+    root: dir,
+
+    async put(key, body) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await fs.promises.writeFile(file, body, { flag: "wx" });
+      } catch (err) {
+        // Content-addressed: an existing object already holds these bytes.
+        if (err.code !== "EEXIST") throw err;
+      }
+      return { key };
+    },
+
+    async head(key) {
+      const stat = await fs.promises.stat(fileFor(key)).catch(() => null);
+      return stat?.isFile() ? { size: stat.size } : null;
+    },
+
+    async getStream(key) {
+      const file = fileFor(key);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (!stat?.isFile()) return null;
+      return { stream: fs.createReadStream(file), size: stat.size };
+    },
+
+    async getBuffer(key) {
+      return fs.promises.readFile(fileFor(key)).catch(() => null);
+    },
+
+    async delete(key) {
+      await fs.promises.unlink(fileFor(key)).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    },
+
+    publicUrl(key) {
+      return publicBase ? joinUrl(publicBase, assertKey(key)) : null;
+    },
+  };
+}
+
+export function createS3Storage({ bucket, keyPrefix = "", publicBase = null, client = null }) {
+  if (!bucket) throw new Error("Missing S3 bucket for uploads");
+  let s3 = client;
+  const s3Client = () => (s3 ||= getS3Client());
+  const fullKey = (key) => (keyPrefix ? path.posix.join(keyPrefix, assertKey(key)) : assertKey(key));
+
+  const head = async (key) => {
+    try {
+      const r = await s3Client().send(new HeadObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+      return { size: Number(r.ContentLength || 0) };
+    } catch (err) {
+      if (err?.name === "NotFound" || err?.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  };
+
+  const getStream = async (key) => {
+    try {
+      const r = await s3Client().send(new GetObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+      return { stream: r.Body, size: Number(r.ContentLength || 0) };
+    } catch (err) {
+      if (err?.name === "NoSuchKey" || err?.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  };
+
+  return {
+    name: "s3",
+    bucket,
+
+    async put(key, body, { contentType, cacheControl } = {}) {
+      if (await head(key)) return { key };
+      await s3Client().send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: fullKey(key),
+          Body: body,
+          ContentType: contentType,
+          CacheControl: cacheControl,
+        })
+      );
+      return { key };
+    },
+
+    head,
+    getStream,
+
+    async getBuffer(key) {
+      const obj = await getStream(key);
+      if (!obj) return null;
+      return Buffer.from(await obj.stream.transformToByteArray());
+    },
+
+    async delete(key) {
+      await s3Client().send(new DeleteObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+    },
+
+    publicUrl(key) {
+      return publicBase ? joinUrl(publicBase, fullKey(key)) : null;
+    },
+  };
+}
+
+function buildStorage(visibility) {
+  const isPublic = visibility === STORAGE_VISIBILITY.PUBLIC;
+  const mode = storageMode();
+
+  if (mode === "s3") {
+    const publicBucket = process.env.UPLOAD_S3_BUCKET || process.env.S3_BUCKET;
+    if (isPublic) {
+      return createS3Storage({
+        bucket: publicBucket,
+        publicBase: process.env.UPLOAD_PUBLIC_BASE_URL || process.env.S3_PUBLIC_BASE || null,
+      });
+    }
+    const privateBucket = process.env.UPLOAD_S3_PRIVATE_BUCKET;
+    return createS3Storage({
+      bucket: privateBucket || publicBucket,
+      keyPrefix: privateBucket ? "" : "private",
+    });
+  }
+
+  if (mode !== "local") throw new Error(`Unknown UPLOAD_STORAGE_MODE "${mode}"`);
+  return isPublic
+    ? createLocalStorage({
+        root: process.env.UPLOAD_LOCAL_DIR || "uploads",
+        publicBase: process.env.UPLOAD_PUBLIC_BASE_URL || "/uploads",
+      })
+    : createLocalStorage({ root: process.env.UPLOAD_PRIVATE_DIR || "private_uploads" });
+}
+
+const instances = new Map();
+
+/**
+ * Storage for `visibility` ("public" | "private"), built once from the environment.
+ */
+export function getStorage(visibility = STORAGE_VISIBILITY.PUBLIC) {
+  if (!instances.has(visibility)) instances.set(visibility, buildStorage(visibility));
+  return instances.get(visibility);
+}
+
+/**
+ * Replace the storage for `visibility` (tests, scripts). Pass null to rebuild from env.
+ */
+export function setStorage(visibility, storage) {
+  if (storage) instances.set(visibility, storage);
+  else instances.delete(visibility);
+}
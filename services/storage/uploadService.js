@@ -0,0 +1,98 @@
+// services/storage/uploadService.js (ESM)
+//
+// Every public upload (product images, seller/brand logos, seller documents, return evidence)
+// goes through storeUpload: sniff the type, enforce the kind's size cap, write it to the
+// public object storage under a content-hash key and, for product images, add WebP variants.
+// Message attachments are private and go through services/attachments instead.
+
+import { getStorage, contentKey, STORAGE_VISIBILITY } from "./objectStorage.js";
+import { buildImageVariants, variantKey } from "./imageVariants.js";
+import { ALLOWED_TYPES, sniffMime, sanitizeFileName } from "../attachments/attachmentPolicy.js";
+
+const MB = 1024 * 1024;
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+const DOCUMENT_TYPES = [...IMAGE_TYPES, "application/pdf"];
+
+export const UPLOAD_KINDS = Object.freeze({
+  PRODUCT_IMAGE: { prefix: "products", types: IMAGE_TYPES, maxBytes: 5 * MB, variants: true },
+  BRAND_LOGO: { prefix: "brands", types: IMAGE_TYPES, maxBytes: 2 * MB },
+  SELLER_IMAGE: { prefix: "sellers", types: IMAGE_TYPES, maxBytes: 5 * MB },
+  SELLER_DOCUMENT: { prefix: "seller-documents", types: DOCUMENT_TYPES, maxBytes: 10 * MB },
+  RETURN_EVIDENCE: { prefix: "returns", types: DOCUMENT_TYPES, maxBytes: 5 * MB },
+});
+
+// Objects are immutable (content-hash keys).
+const CACHE_CONTROL = "public, max-age=31536000, immutable";
+
+export function uploadError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+/**
+ * Validate `buffer` for `kind`. Returns { mime, ext } or throws 400/413/415.
+ */
+export function checkUpload(buffer, kind) {
+  if (!buffer?.length) throw uploadError("File is empty", "UPLOAD_EMPTY");
+  if (buffer.length > kind.maxBytes) {
+    throw uploadError(`File is larger than ${Math.round(kind.maxBytes / MB)} MB`, "UPLOAD_TOO_LARGE", 413);
+  }
+  const mime = sniffMime(buffer);
+  if (!mime || !kind.types.includes(mime)) {
+    const e = uploadError("File type is not allowed", "UPLOAD_TYPE_NOT_ALLOWED", 415);
+    e.allowed = kind.types;
+    throw e;
+  }
+  return { mime, ext: ALLOWED_TYPES[mime].ext };
+}
+
+/**
+ * Store a multer memoryStorage file (or { buffer, originalname }) as `kind`.
+ * Returns { key, url, sha256, mime, size, name, variants } where variants maps
+ * IMAGE_VARIANTS names to URLs (empty unless the kind has variants).
+ */
+export async function storeUpload(file, kind, { storage = getStorage(STORAGE_VISIBILITY.PUBLIC) } = {}) {
+  const buffer = file?.buffer;
+  const { mime, ext } = checkUpload(buffer, kind);
+  const { key, sha256 } = contentKey(buffer, { prefix: kind.prefix, ext });
+
+  await storage.put(key, buffer, { contentType: mime, cacheControl: CACHE_CONTROL });
+
+  const variants = {};
+  if (kind.variants) {
+    let built = [];
+    try {
+      built = await buildImageVariants(buffer);
+    } catch (err) {
+      // Sniffed as an image but not decodable: keep the original, skip variants.
+      console.warn("[UPLOAD] image variants failed", { key, error: err?.message });
+    }
+    for (const v of built) {
+      const vKey = variantKey(key, v.name);
+      await storage.put(vKey, v.buffer, { contentType: v.contentType, cacheControl: CACHE_CONTROL });
+      variants[v.name] = storage.publicUrl(vKey);
+    }
+  }
+
+  return {
+    key,
+    url: storage.publicUrl(key),
+    sha256,
+    mime,
+    size: buffer.length,
+    name: sanitizeFileName(file?.originalname, mime),
+    variants,
+  };
+}
+
+/**
+ * Store several files of the same kind. All are validated before any is written.
+ */
+export async function storeUploads(files, kind, options) {
+  for (const f of files || []) checkUpload(f?.buffer, kind);
+  const out = [];
+  for (const f of files || []) out.push(await storeUpload(f, kind, options));
+  return out;
+}
@@ -0,0 +1,447 @@
+// services/support/ticketService.js (ESM)
+//
+// Support tickets on top of the existing support conversations
+// (customerSupportConversations / conversations). Rules live in ./tickets.js.
+//
+// - A requester message in a support conversation opens a ticket, or reopens the latest one
+//   if it was solved less than TICKET_REOPEN_DAYS ago (noteRequesterMessage).
+// - A staff reply through the ticket or the old inbox endpoints stops the first-response
+//   clock (noteAgentReply).
+// - Tickets created by staff get a conversation on their first reply (postTicketReply).
+//
+// Requires MongoDB indexes (scripts/createSupportTicketIndexes.js).
+
+import { ObjectId } from "mongodb";
+
+import { nextSequence, formatTicketNumber } from "../../utils/counters.js";
+import { notifyCustomer, notifySeller } from "../../utils/notify.js";
+import { ensureRolesFresh, isStaffRole, userHasPermission, staffRoleKeys } from "../auth/roles.js";
+import { CONVERSATION_KINDS, REALTIME_EVENTS } from "../realtime/channels.js";
+import { publishConversationEvent } from "../realtime/hub.js";
+import {
+  TICKET_STATUS,
+  TICKET_PRIORITY,
+  REQUESTER_TYPES,
+  isTicketPriority,
+  computeSlaDeadlines,
+  statusChangeSet,
+  normalizeTags,
+  subjectFromMessage,
+} from "./tickets.js";
+
+const REOPEN_WINDOW_MS = Math.max(0, Number(process.env.TICKET_REOPEN_DAYS ?? 7)) * 24 * 60 * 60 * 1000;
+
+const SUPPORT_KINDS = [CONVERSATION_KINDS.CUSTOMER_SUPPORT, CONVERSATION_KINDS.SELLER_SUPPORT];
+
+export function ticketError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  const s = String(id).trim();
+  return ObjectId.isValid(s) ? new ObjectId(s) : null;
+}
+
+function displayName(user, fallback) {
+  return (
+    user?.name ||
+    user?.fullName ||
+    [user?.firstName, user?.lastName].filter(Boolean).join(" ") ||
+    user?.storeName ||
+    user?.email ||
+    fallback
+  );
+}
+
+function event(type, actor, meta = null, at = new Date()) {
+  return {
+    at,
+    actor: actor ? { kind: "staff", id: String(actor.id || actor._id || "") } : { kind: "system", id: "support" },
+    type,
+    meta,
+  };
+}
+
+/**
+ * Resolve orderId / returnId to { orderId, orderNumber, returnId, returnNumber }.
+ * A return without an order links the return's order too.
+ */
+export async function resolveTicketLinks(db, { orderId, returnId } = {}) {
+  const out = {};
+
+  if (returnId !== undefined) {
+    if (!returnId) {
+      out.returnId = null;
+      out.returnNumber = null;
+    } else {
+      const rid = toObjectId(returnId);
+      const ret = rid ? await db.collection("returns").findOne({ _id: rid }, { projection: { returnNumber: 1, orderId: 1 } }) : null;
+      if (!ret) throw ticketError("Return not found", "RETURN_NOT_FOUND", 404);
+      out.returnId = ret._id;
+      out.returnNumber = ret.returnNumber || null;
+      if (orderId === undefined && ret.orderId) orderId = ret.orderId;
+    }
+  }
+
+  if (orderId !== undefined) {
+    if (!orderId) {
+      out.orderId = null;
+      out.orderNumber = null;
+    } else {
+      const oid = toObjectId(orderId);
+      const order = oid ? await db.collection("orders").findOne({ _id: oid }, { projection: { orderNumber: 1 } }) : null;
+      if (!order) throw ticketError("Order not found", "ORDER_NOT_FOUND", 404);
+      out.orderId = order._id;
+      out.orderNumber = order.orderNumber || null;
+    }
+  }
+
+  return out;
+}
+
+async function loadRequester(db, type, id) {
+  if (!REQUESTER_TYPES.includes(type)) throw ticketError("requester.type must be customer or seller", "INVALID_REQUESTER");
+  const uid = toObjectId(id);
+  const user = uid ? await db.collection("users").findOne({ _id: uid }) : null;
+  const role = String(user?.role || "").toLowerCase();
+  const matches = type === "seller" ? role === "seller" : role === "customer" || role === "user" || !role;
+  if (!user || !matches) throw ticketError("Requester not found", "REQUESTER_NOT_FOUND", 404);
+  return {
+    type,
+    id: user._id,
+    name: displayName(user, type === "seller" ? "Seller" : "Customer"),
+    email: user.email || "",
+  };
+}
+
+/**
+ * Staff who can be assigned tickets.
+ */
+export async function listAssignableStaff(db) {
+  await ensureRolesFresh(db);
+  const users = await db
+    .collection("users")
+    .find(
+      { role: { $in: staffRoleKeys() }, status: { $nin: ["blocked", "inactive"] } },
+      { projection: { name: 1, fullName: 1, firstName: 1, lastName: 1, email: 1, role: 1 } }
+    )
+    .sort({ name: 1 })
+    .toArray();
+  return users
+    .filter((u) => userHasPermission(u, "tickets.manage"))
+    .map((u) => ({ _id: u._id, name: displayName(u, "Staff"), email: u.email || "", role: u.role }));
+}
+
+export async function resolveAssignee(db, assigneeId) {
+  if (!assigneeId) return { assigneeId: null, assigneeName: null };
+  await ensureRolesFresh(db);
+  const uid = toObjectId(assigneeId);
+  const user = uid ? await db.collection("users").findOne({ _id: uid }) : null;
+  if (!user || !isStaffRole(user.role) || ["blocked", "inactive"].includes(user.status)) {
+    throw ticketError("Assignee not found", "ASSIGNEE_NOT_FOUND", 404);
+  }
+  if (!userHasPermission(user, "tickets.manage")) {
+    throw ticketError("Assignee cannot work on tickets", "ASSIGNEE_NOT_ALLOWED", 422);
+  }
+  return { assigneeId: user._id, assigneeName: displayName(user, "Staff") };
+}
+
+async function insertTicket(db, doc) {
+  const seq = await nextSequence({ Counters: db.collection("counters"), key: "supportTickets" });
+  const ticket = { ...doc, ticketNumber: formatTicketNumber(seq) };
+  const { insertedId } = await db.collection("supportTickets").insertOne(ticket);
+  return { _id: insertedId, ...ticket };
+}
+
+function baseTicket({ subject, priority, tags, requester, conversation, links, assignee, actor, now }) {
+  return {
+    subject,
+    status: TICKET_STATUS.OPEN,
+    priority,
+    tags,
+    requester,
+    conversation,
+    orderId: links.orderId || null,
+    orderNumber: links.orderNumber || null,
+    returnId: links.returnId || null,
+    returnNumber: links.returnNumber || null,
+    assigneeId: assignee.assigneeId,
+    assigneeName: assignee.assigneeName,
+    sla: {
+      ...computeSlaDeadlines(priority, now),
+      firstRespondedAt: null,
+      resolvedAt: null,
+      pausedAt: null,
+      firstResponseBreachedAt: null,
+      resolutionBreachedAt: null,
+      escalationLevel: 0,
+      lastEscalatedAt: null,
+    },
+    notes: [],
+    events: [event("CREATED", actor, { priority, assigneeId: assignee.assigneeId }, now)],
+    lastRequesterMessageAt: null,
+    lastAgentReplyAt: null,
+    solvedAt: null,
+    createdBy: actor ? String(actor.id || actor._id || "") : "system",
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Staff-created ticket.
+ * Body: { subject, requester: { type, id }, priority?, tags?, orderId?, returnId?, assigneeId? }
+ */
+export async function createTicket(db, body = {}, { actor = null, now = new Date() } = {}) {
+  const subject = String(body.subject || "").trim().slice(0, 200);
+  if (!subject) throw ticketError("Subject is required", "INVALID_TICKET");
+
+  const priority = body.priority || TICKET_PRIORITY.NORMAL;
+  if (!isTicketPriority(priority)) throw ticketError("Invalid priority", "INVALID_PRIORITY");
+
+  const requester = await loadRequester(db, body.requester?.type, body.requester?.id);
+  const links = await resolveTicketLinks(db, { orderId: body.orderId || undefined, returnId: body.returnId || undefined });
+  const assignee = await resolveAssignee(db, body.assigneeId);
+
+  // Attach the requester's existing support thread, if any, so replies land there.
+  const conversation = await findSupportConversation(db, requester);
+
+  return insertTicket(
+    db,
+    baseTicket({ subject, priority, tags: normalizeTags(body.tags), requester, conversation, links, assignee, actor, now })
+  );
+}
+
+async function findSupportConversation(db, requester) {
+  if (requester.type === "customer") {
+    const conv = await db.collection("customerSupportConversations").findOne({ customerId: requester.id }, { projection: { _id: 1 } });
+    return conv ? { kind: CONVERSATION_KINDS.CUSTOMER_SUPPORT, id: conv._id } : null;
+  }
+  const conv = await db
+    .collection("conversations")
+    .findOne(
+      { sellerId: requester.id, type: { $in: ["admin", "support"] }, isClosed: { $ne: true } },
+      { projection: { _id: 1 }, sort: { updatedAt: -1 } }
+    );
+  return conv ? { kind: CONVERSATION_KINDS.SELLER_SUPPORT, id: conv._id } : null;
+}
+
+/**
+ * A customer or seller wrote in a support conversation: open, reopen or touch its ticket.
+ * Never throws; messaging must not fail because of ticketing.
+ */
+export async function noteRequesterMessage(db, { kind, conversation, text = "", now = new Date() }) {
+  try {
+    if (!SUPPORT_KINDS.includes(kind) || !conversation?._id) return null;
+    const Tickets = db.collection("supportTickets");
+    const convFilter = { "conversation.kind": kind, "conversation.id": conversation._id };
+
+    const active = await Tickets.findOne({ ...convFilter, status: { $ne: TICKET_STATUS.SOLVED } }, { sort: { createdAt: -1 } });
+    if (active) {
+      const set = active.status === TICKET_STATUS.PENDING ? statusChangeSet(active, TICKET_STATUS.OPEN, now) : { updatedAt: now };
+      const update = { $set: { ...set, lastRequesterMessageAt: now } };
+      if (active.status === TICKET_STATUS.PENDING) update.$push = { events: event("REQUESTER_REPLIED", null, { from: "pending" }, now) };
+      await Tickets.updateOne({ _id: active._id }, update);
+      return active._id;
+    }
+
+    const recent = await Tickets.findOne(
+      { ...convFilter, status: TICKET_STATUS.SOLVED, solvedAt: { $gte: new Date(now.getTime() - REOPEN_WINDOW_MS) } },
+      { sort: { solvedAt: -1 } }
+    );
+    if (recent) {
+      await Tickets.updateOne(
+        { _id: recent._id, status: TICKET_STATUS.SOLVED },
+        {
+          $set: { ...statusChangeSet(recent, TICKET_STATUS.OPEN, now), lastRequesterMessageAt: now },
+          $push: { events: event("REOPENED", null, { reason: "requester_replied" }, now) },
+        }
+      );
+      return recent._id;
+    }
+
+    const requester =
+      kind === CONVERSATION_KINDS.CUSTOMER_SUPPORT
+        ? await loadRequester(db, "customer", conversation.customerId)
+        : await loadRequester(db, "seller", conversation.sellerId);
+
+    const ticket = await insertTicket(db, {
+      ...baseTicket({
+        subject: subjectFromMessage(text),
+        priority: TICKET_PRIORITY.NORMAL,
+        tags: [],
+        requester,
+        conversation: { kind, id: conversation._id },
+        links: {},
+        assignee: { assigneeId: null, assigneeName: null },
+        actor: null,
+        now,
+      }),
+      lastRequesterMessageAt: now,
+    });
+    return ticket._id;
+  } catch (err) {
+    console.error("support ticket update on requester message failed:", err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Staff replied in a support conversation. Never throws.
+ */
+export async function noteAgentReply(db, { kind, conversationId, actor = null, now = new Date() }) {
+  try {
+    const convId = toObjectId(conversationId);
+    if (!SUPPORT_KINDS.includes(kind) || !convId) return;
+    const Tickets = db.collection("supportTickets");
+    const filter = { "conversation.kind": kind, "conversation.id": convId, status: { $ne: TICKET_STATUS.SOLVED } };
+
+    await Tickets.updateMany(filter, { $set: { lastAgentReplyAt: now, updatedAt: now } });
+    await Tickets.updateMany(
+      { ...filter, "sla.firstRespondedAt": null },
+      {
+        $set: { "sla.firstRespondedAt": now },
+        $push: { events: event("FIRST_RESPONSE", actor, null, now) },
+      }
+    );
+  } catch (err) {
+    console.error("support ticket update on agent reply failed:", err?.message || err);
+  }
+}
+
+async function ensureTicketConversation(db, ticket, now) {
+  if (ticket.conversation?.id) return ticket.conversation;
+
+  let conversation;
+  if (ticket.requester.type === "customer") {
+    const r = await db.collection("customerSupportConversations").findOneAndUpdate(
+      { customerId: ticket.requester.id },
+      {
+        $setOnInsert: {
+          customerId: ticket.requester.id,
+          customerName: ticket.requester.name,
+          customerEmail: ticket.requester.email,
+          customerPhone: "",
+          unreadForAdmin: 0,
+          unreadForCustomer: 0,
+          lastMessageText: "",
+          lastMessageAt: null,
+          createdAt: now,
+          updatedAt: now,
+        },
+      },
+      { upsert: true, returnDocument: "after", projection: { _id: 1 }, includeResultMetadata: true }
+    );
+    conversation = { kind: CONVERSATION_KINDS.CUSTOMER_SUPPORT, id: r.value._id };
+  } else {
+    conversation = await findSupportConversation(db, ticket.requester);
+    if (!conversation) {
+      const { insertedId } = await db.collection("conversations").insertOne({
+        sellerId: ticket.requester.id,
+        type: "support",
+        counterpartName: "Support Team",
+        unreadForSeller: 0,
+        unreadForAdmin: 0,
+        unreadForSupport: 0,
+        lastMessageText: "",
+        lastMessageAt: null,
+        createdAt: now,
+        updatedAt: now,
+        isClosed: false,
+      });
+      conversation = { kind: CONVERSATION_KINDS.SELLER_SUPPORT, id: insertedId };
+    }
+  }
+
+  await db.collection("supportTickets").updateOne({ _id: ticket._id }, { $set: { conversation, updatedAt: now } });
+  return conversation;
+}
+
+/**
+ * Send a reply to the requester through the ticket's support conversation.
+ * Returns the stored message.
+ */
+export async function postTicketReply(db, ticket, { text, actor, now = new Date() }) {
+  const body = String(text || "").trim();
+  if (!body) throw ticketError("Reply text is required", "INVALID_REPLY");
+  if (body.length > 5000) throw ticketError("Reply is too long", "INVALID_REPLY");
+
+  const conversation = await ensureTicketConversation(db, ticket, now);
+  const senderRole = String(actor?.role || "").toLowerCase() === "support" ? "support" : "admin";
+  let message;
+  let conv;
+
+  if (conversation.kind === CONVERSATION_KINDS.CUSTOMER_SUPPORT) {
+    const doc = {
+      customerId: ticket.requester.id,
+      senderRole: "admin",
+      fromRole: "admin",
+      text: body,
+      createdAt: now,
+      readByAdmin: true,
+      readByCustomer: false,
+      ticketId: ticket._id,
+    };
+    const { insertedId } = await db.collection("customerSupportMessages").insertOne(doc);
+    message = { _id: insertedId, ...doc };
+    conv = { _id: conversation.id, customerId: ticket.requester.id };
+    await db.collection("customerSupportConversations").updateOne(
+      { _id: conversation.id },
+      { $set: { lastMessageText: body, lastMessageAt: now, updatedAt: now }, $inc: { unreadForCustomer: 1 } }
+    );
+  } else {
+    const doc = {
+      conversationId: conversation.id,
+      sellerId: ticket.requester.id,
+      senderRole,
+      text: body,
+      attachmentUrl: null,
+      createdAt: now,
+      ticketId: ticket._id,
+    };
+    const { insertedId } = await db.collection("messages").insertOne(doc);
+    message = { _id: insertedId, ...doc };
+    conv = { _id: conversation.id, sellerId: ticket.requester.id };
+    await db.collection("conversations").updateOne(
+      { _id: conversation.id },
+      { $set: { lastMessageText: body, lastMessageAt: now, updatedAt: now }, $inc: { unreadForSeller: 1 } }
+    );
+  }
+
+  publishConversationEvent(conversation.kind, conv, REALTIME_EVENTS.MESSAGE_NEW, {
+    message,
+    senderRole: message.senderRole,
+  });
+  await noteAgentReply(db, { kind: conversation.kind, conversationId: conversation.id, actor, now });
+
+  try {
+    if (ticket.requester.type === "customer") {
+      await notifyCustomer({
+        customerId: ticket.requester.id,
+        type: "support_reply",
+        title: `Reply on ${ticket.ticketNumber}`,
+        body: body.slice(0, 140),
+        link: "/messages",
+        meta: { ticketId: String(ticket._id) },
+      });
+    } else {
+      await notifySeller({
+        sellerId: ticket.requester.id,
+        type: "message_new",
+        title: `Support replied on ${ticket.ticketNumber}`,
+        body: body.slice(0, 140),
+        link: "/seller/dashboard/messages",
+        meta: { ticketId: String(ticket._id) },
+      });
+    }
+  } catch (err) {
+    console.error("support reply notification failed:", err?.message || err);
+  }
+
+  return message;
+}
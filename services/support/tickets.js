@@ -0,0 +1,227 @@
+// services/support/tickets.js (ESM)
+//
+// Support ticket rules: statuses, priorities, SLA deadlines, canned-reply rendering.
+// Pure, no DB access (services/support/ticketService.js does the writes).
+//
+// supportTickets:
+//   { ticketNumber, subject, status, priority, tags,
+//     requester: { type: "customer" | "seller", id, name, email },
+//     conversation: { kind, id } | null,      // services/realtime/channels.js kinds
+//     orderId, returnId, assigneeId, assigneeName,
+//     sla: { firstResponseDueAt, resolutionDueAt, firstRespondedAt, resolvedAt, pausedAt,
+//            firstResponseBreachedAt, resolutionBreachedAt, escalationLevel, lastEscalatedAt },
+//     notes: [{ _id, body, authorId, authorName, createdAt }],   // internal, never sent
+//     events: [{ at, actor: { kind, id }, type, meta }],
+//     lastRequesterMessageAt, lastAgentReplyAt, solvedAt, createdAt, updatedAt }
+//
+// The resolution clock stops while a ticket is pending (waiting on the requester) and
+// restarts from scratch when a solved ticket is reopened.
+
+export const TICKET_STATUS = Object.freeze({
+  OPEN: "open",
+  PENDING: "pending",
+  SOLVED: "solved",
+});
+
+export const TICKET_PRIORITY = Object.freeze({
+  LOW: "low",
+  NORMAL: "normal",
+  HIGH: "high",
+  URGENT: "urgent",
+});
+
+export const REQUESTER_TYPES = Object.freeze(["customer", "seller"]);
+
+const HOUR = 60 * 60 * 1000;
+
+// Business-hours calendars are out of scope: deadlines are wall-clock.
+export const SLA_POLICY = Object.freeze({
+  [TICKET_PRIORITY.URGENT]: { firstResponseMs: 1 * HOUR, resolutionMs: 8 * HOUR },
+  [TICKET_PRIORITY.HIGH]: { firstResponseMs: 4 * HOUR, resolutionMs: 24 * HOUR },
+  [TICKET_PRIORITY.NORMAL]: { firstResponseMs: 8 * HOUR, resolutionMs: 48 * HOUR },
+  [TICKET_PRIORITY.LOW]: { firstResponseMs: 24 * HOUR, resolutionMs: 120 * HOUR },
+});
+
+// Queue "due soon" window.
+export const SLA_DUE_SOON_MS = 1 * HOUR;
+
+export const MAX_TAGS = 20;
+
+export function isTicketStatus(s) {
+  return Object.values(TICKET_STATUS).includes(s);
+}
+
+export function isTicketPriority(p) {
+  return Object.values(TICKET_PRIORITY).includes(p);
+}
+
+function addMs(date, ms) {
+  return new Date(new Date(date).getTime() + ms);
+}
+
+export function computeSlaDeadlines(priority, from = new Date()) {
+  const policy = SLA_POLICY[priority] || SLA_POLICY[TICKET_PRIORITY.NORMAL];
+  return {
+    firstResponseDueAt: addMs(from, policy.firstResponseMs),
+    resolutionDueAt: addMs(from, policy.resolutionMs),
+  };
+}
+
+/**
+ * Where a ticket stands against its SLA at `now`.
+ */
+export function slaState(ticket, now = new Date()) {
+  const sla = ticket?.sla || {};
+  const t = now.getTime();
+  const solved = ticket?.status === TICKET_STATUS.SOLVED;
+  const paused = Boolean(sla.pausedAt);
+
+  const firstDue = sla.firstResponseDueAt ? new Date(sla.firstResponseDueAt).getTime() : null;
+  const resDue = sla.resolutionDueAt ? new Date(sla.resolutionDueAt).getTime() : null;
+
+  const firstResponseBreached = Boolean(
+    sla.firstResponseBreachedAt || (!solved && !sla.firstRespondedAt && firstDue !== null && firstDue < t)
+  );
+  const resolutionBreached = Boolean(
+    sla.resolutionBreachedAt || (!solved && !paused && resDue !== null && resDue < t)
+  );
+
+  const pendingDeadlines = [];
+  if (!solved && !sla.firstRespondedAt && firstDue !== null) pendingDeadlines.push(firstDue);
+  if (!solved && !paused && resDue !== null) pendingDeadlines.push(resDue);
+  const nextDue = pendingDeadlines.length ? Math.min(...pendingDeadlines) : null;
+
+  return {
+    firstResponseBreached,
+    resolutionBreached,
+    breached: firstResponseBreached || resolutionBreached,
+    dueSoon: nextDue !== null && nextDue >= t && nextDue - t <= SLA_DUE_SOON_MS,
+    nextDueAt: nextDue !== null ? new Date(nextDue) : null,
+    paused,
+  };
+}
+
+/**
+ * Mongo filter for the queue's breach filter: "breached" | "due_soon" | "ok".
+ * Solved tickets never match.
+ */
+export function breachFilter(breach, now = new Date()) {
+  const soon = addMs(now, SLA_DUE_SOON_MS);
+  const unsolved = { status: { $ne: TICKET_STATUS.SOLVED } };
+  const firstOverdue = { "sla.firstRespondedAt": null, "sla.firstResponseDueAt": { $lt: now } };
+  const resolutionOverdue = { "sla.pausedAt": null, "sla.resolutionDueAt": { $lt: now } };
+  const breached = {
+    $or: [
+      firstOverdue,
+      resolutionOverdue,
+      { "sla.firstResponseBreachedAt": { $ne: null } },
+      { "sla.resolutionBreachedAt": { $ne: null } },
+    ],
+  };
+
+  if (breach === "breached") return { ...unsolved, ...breached };
+  if (breach === "due_soon") {
+    return {
+      ...unsolved,
+      $nor: breached.$or,
+      $or: [
+        { "sla.firstRespondedAt": null, "sla.firstResponseDueAt": { $gte: now, $lte: soon } },
+        { "sla.pausedAt": null, "sla.resolutionDueAt": { $gte: now, $lte: soon } },
+      ],
+    };
+  }
+  if (breach === "ok") return { ...unsolved, $nor: breached.$or };
+  return null;
+}
+
+/**
+ * $set fields for moving `ticket` to `nextStatus`.
+ */
+export function statusChangeSet(ticket, nextStatus, now = new Date()) {
+  const from = ticket?.status;
+  const sla = ticket?.sla || {};
+  const set = { status: nextStatus, updatedAt: now };
+  if (from === nextStatus) return set;
+
+  // Leaving pending: push the resolution deadline back by the time spent waiting.
+  if (from === TICKET_STATUS.PENDING && sla.pausedAt && sla.resolutionDueAt) {
+    const waited = Math.max(0, now.getTime() - new Date(sla.pausedAt).getTime());
+    set["sla.resolutionDueAt"] = addMs(sla.resolutionDueAt, waited);
+    set["sla.pausedAt"] = null;
+  }
+
+  if (nextStatus === TICKET_STATUS.PENDING) {
+    set["sla.pausedAt"] = now;
+  }
+
+  if (nextStatus === TICKET_STATUS.SOLVED) {
+    set.solvedAt = now;
+    set["sla.resolvedAt"] = now;
+    set["sla.pausedAt"] = null;
+  }
+
+  if (from === TICKET_STATUS.SOLVED) {
+    set.solvedAt = null;
+    set["sla.resolvedAt"] = null;
+    set["sla.resolutionBreachedAt"] = null;
+    set["sla.escalationLevel"] = 0;
+    set["sla.lastEscalatedAt"] = null;
+    set["sla.resolutionDueAt"] = computeSlaDeadlines(ticket.priority, now).resolutionDueAt;
+  }
+
+  return set;
+}
+
+/**
+ * $set fields for a priority change. Deadlines are recomputed from when the ticket was
+ * opened, so raising the priority of an old ticket can breach it immediately.
+ */
+export function priorityChangeSet(ticket, nextPriority, now = new Date()) {
+  const set = { priority: nextPriority, updatedAt: now };
+  if (ticket?.priority === nextPriority) return set;
+
+  const sla = ticket?.sla || {};
+  const deadlines = computeSlaDeadlines(nextPriority, ticket?.createdAt || now);
+  if (!sla.firstRespondedAt) set["sla.firstResponseDueAt"] = deadlines.firstResponseDueAt;
+  if (ticket?.status !== TICKET_STATUS.SOLVED && !sla.pausedAt) {
+    set["sla.resolutionDueAt"] = deadlines.resolutionDueAt;
+  }
+  return set;
+}
+
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  const out = [];
+  for (const raw of list) {
+    const tag = String(raw || "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, "-")
+      .replace(/[^a-z0-9_-]/g, "")
+      .slice(0, 40);
+    if (tag && !out.includes(tag)) out.push(tag);
+    if (out.length >= MAX_TAGS) break;
+  }
+  return out;
+}
+
+/**
+ * Fill {{placeholders}} in a canned reply. Unknown placeholders become empty.
+ */
+export function renderCannedReply(body, vars = {}) {
+  return String(body || "").replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (_, key) =>
+    vars[key] === undefined || vars[key] === null ? "" : String(vars[key])
+  );
+}
+
+/**
+ * First line of a message, as a subject for tickets opened from a conversation.
+ */
+export function subjectFromMessage(text, fallback = "Support request") {
+  const line = String(text || "")
+    .split("\n")
+    .map((s) => s.trim())
+    .find(Boolean);
+  if (!line) return fallback;
+  return line.length > 80 ? `${line.slice(0, 77)}...` : line;
+}
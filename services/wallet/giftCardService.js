@@ -0,0 +1,308 @@
+// services/wallet/giftCardService.js (ESM)
+//
+// Gift cards (`giftCards`). A card carries one fixed amount and is redeemed whole into the
+// redeeming customer's wallet (walletService.js); it's never spent directly at checkout.
+//
+//   admin issue:  -> active                        GL gift_card_issue_<id>
+//   purchase:     -> pending_payment -> active      GL gift_card_issue_<id> once eSewa confirms
+//                                   \-> failed
+//   redeem:       active -> redeemed                wallet credit, same transaction
+//   void:         active -> void                    GL gift_card_void_<id> (issue reversed)
+//
+// Expired cards stay "active" with a past expiresAt and can't be redeemed; what happens to
+// that liability is a finance decision, not automated here.
+
+import { ObjectId } from "mongodb";
+
+import { postTransactionGroup } from "../finance/postTransactionGroup.js";
+import { creditGiftCardToWallet } from "./walletService.js";
+import {
+  GIFT_CARD_STATUS,
+  GIFT_CARD_SOURCES,
+  GIFT_CARD_LIMITS,
+  WALLET_CURRENCY,
+  walletError,
+  parseWalletAmount,
+  generateGiftCardCode,
+  normalizeGiftCardCode,
+  maskGiftCardCode,
+  giftCardRedeemBlocker,
+  giftCardIssueLegs,
+  reverseLegs,
+} from "./wallet.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  const s = String(id).trim();
+  return ObjectId.isValid(s) ? new ObjectId(s) : null;
+}
+
+function isDuplicateKeyError(err) {
+  return err?.code === 11000 || String(err?.message || "").includes("E11000");
+}
+
+function cleanStr(v, max) {
+  return typeof v === "string" ? v.trim().slice(0, max) : "";
+}
+
+/**
+ * Validated amount within GIFT_CARD_LIMITS, or throws GIFT_CARD_INVALID_AMOUNT.
+ */
+export function checkGiftCardAmount(v) {
+  const amount = parseWalletAmount(v);
+  const { minAmount, maxAmount } = GIFT_CARD_LIMITS;
+  if (amount == null || amount < minAmount || amount > maxAmount) {
+    throw walletError(`Amount must be between ${minAmount} and ${maxAmount}`, "GIFT_CARD_INVALID_AMOUNT", 400);
+  }
+  return amount;
+}
+
+/**
+ * What a card looks like outside the service. The code is masked unless revealCode.
+ */
+export function giftCardView(card, { revealCode = false } = {}) {
+  if (!card) return null;
+  return {
+    _id: card._id,
+    code: revealCode ? card.code : maskGiftCardCode(card.code),
+    amount: card.amount,
+    currency: card.currency,
+    status: card.status,
+    source: card.source,
+    recipient: card.recipient || null,
+    message: card.message || null,
+    expiresAt: card.expiresAt || null,
+    purchasedBy: card.purchasedBy || null,
+    issuedBy: card.issuedBy || null,
+    redeemedBy: card.redeemedBy || null,
+    redeemedAt: card.redeemedAt || null,
+    voidedAt: card.voidedAt || null,
+    createdAt: card.createdAt,
+  };
+}
+
+// Codes are random; a clash is unlikely but the unique index is what actually guarantees it.
+async function insertWithFreshCode(GiftCards, doc, session) {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const card = { ...doc, code: generateGiftCardCode() };
+    try {
+      await GiftCards.insertOne(card, { session });
+      return card;
+    } catch (err) {
+      if (!isDuplicateKeyError(err) || session) throw err;
+    }
+  }
+  throw walletError("Could not generate a unique gift card code", "GIFT_CARD_CODE_CLASH", 500);
+}
+
+function baseCard({ amount, source, recipient, message, now }) {
+  return {
+    _id: new ObjectId(),
+    amount,
+    currency: WALLET_CURRENCY,
+    source,
+    recipient: {
+      name: cleanStr(recipient?.name, 120) || null,
+      email: cleanStr(recipient?.email, 200).toLowerCase() || null,
+    },
+    message: cleanStr(message, 500) || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+async function postIssue(db, card, session) {
+  const posted = await postTransactionGroup(db, {
+    transactionGroupId: `gift_card_issue_${String(card._id)}`,
+    postedAt: new Date(),
+    sourceRef: `gift_card:${String(card._id)}`,
+    category: "gift_card_issued",
+    note: `Gift card ${maskGiftCardCode(card.code)} issued (${card.source})`,
+    legs: giftCardIssueLegs(card),
+    session,
+  });
+  if (!posted.ok) throw walletError(`Gift card posting rejected: ${posted.reason}`, "GIFT_CARD_LEDGER_REJECTED", 500);
+}
+
+/**
+ * Admin-issued card, active straight away. The full code is only returned here.
+ */
+export async function issueGiftCard(db, { amount, recipient, message, expiresAt, actor }) {
+  const value = checkGiftCardAmount(amount);
+  const now = new Date();
+  const expiry = expiresAt ? new Date(expiresAt) : new Date(now.getTime() + GIFT_CARD_LIMITS.validityDays * DAY_MS);
+  if (Number.isNaN(expiry.getTime()) || expiry <= now) {
+    throw walletError("expiresAt must be in the future", "GIFT_CARD_INVALID_EXPIRY", 400);
+  }
+
+  const GiftCards = db.collection("giftCards");
+  const session = db.client.startSession();
+  try {
+    let card;
+    await session.withTransaction(async () => {
+      card = await insertWithFreshCode(
+        GiftCards,
+        {
+          ...baseCard({ amount: value, source: GIFT_CARD_SOURCES.ADMIN, recipient, message, now }),
+          status: GIFT_CARD_STATUS.ACTIVE,
+          expiresAt: expiry,
+          issuedBy: actor || null,
+        },
+        session
+      );
+      await postIssue(db, card, session);
+    });
+    return card;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Customer buying a card: created pending, paid through /api/payment/esewa/initiate { giftCardId }.
+ */
+export async function createGiftCardPurchase(db, { userId, amount, recipient, message }) {
+  const uid = toObjectId(userId);
+  if (!uid) throw walletError("Invalid user", "WALLET_INVALID_USER", 400);
+  const value = checkGiftCardAmount(amount);
+  const now = new Date();
+
+  return insertWithFreshCode(db.collection("giftCards"), {
+    ...baseCard({ amount: value, source: GIFT_CARD_SOURCES.PURCHASE, recipient, message, now }),
+    status: GIFT_CARD_STATUS.PENDING_PAYMENT,
+    expiresAt: null,
+    purchasedBy: uid,
+  });
+}
+
+/**
+ * eSewa confirmed a purchase. Idempotent: a card that's already active is returned as is.
+ */
+export async function activatePurchasedGiftCard(db, card, { payment = null } = {}) {
+  const GiftCards = db.collection("giftCards");
+  const session = db.client.startSession();
+  try {
+    let out = card;
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const r = await GiftCards.findOneAndUpdate(
+        { _id: card._id, status: GIFT_CARD_STATUS.PENDING_PAYMENT },
+        {
+          $set: {
+            status: GIFT_CARD_STATUS.ACTIVE,
+            expiresAt: new Date(now.getTime() + GIFT_CARD_LIMITS.validityDays * DAY_MS),
+            paidAt: now,
+            payment,
+            updatedAt: now,
+          },
+        },
+        { returnDocument: "after", session, includeResultMetadata: true }
+      );
+      if (!r?.value) {
+        out = await GiftCards.findOne({ _id: card._id }, { session });
+        return;
+      }
+      out = r.value;
+      await postIssue(db, out, session);
+    });
+    return out;
+  } finally {
+    await session.endSession();
+  }
+}
+
+export async function failGiftCardPurchase(db, card) {
+  const now = new Date();
+  await db.collection("giftCards").updateOne(
+    { _id: card._id, status: GIFT_CARD_STATUS.PENDING_PAYMENT },
+    { $set: { status: GIFT_CARD_STATUS.FAILED, failedAt: now, updatedAt: now } }
+  );
+}
+
+/**
+ * Redeem a code into userId's wallet. Returns { card, transaction, balance }.
+ */
+export async function redeemGiftCard(db, { code, userId }) {
+  const uid = toObjectId(userId);
+  if (!uid) throw walletError("Invalid user", "WALLET_INVALID_USER", 400);
+  const normalized = normalizeGiftCardCode(code);
+  if (!normalized) throw walletError("Gift card not found", "GIFT_CARD_NOT_FOUND", 404);
+
+  const GiftCards = db.collection("giftCards");
+  const session = db.client.startSession();
+  try {
+    let out;
+    await session.withTransaction(async () => {
+      const card = await GiftCards.findOne({ code: normalized }, { session });
+      const blocker = giftCardRedeemBlocker(card);
+      if (blocker) throw blocker;
+
+      const now = new Date();
+      const r = await GiftCards.updateOne(
+        { _id: card._id, status: GIFT_CARD_STATUS.ACTIVE },
+        { $set: { status: GIFT_CARD_STATUS.REDEEMED, redeemedBy: uid, redeemedAt: now, updatedAt: now } },
+        { session }
+      );
+      if (!r.modifiedCount) throw walletError("Gift card has already been redeemed", "GIFT_CARD_REDEEMED", 409);
+
+      const credited = await creditGiftCardToWallet(db, { card, userId: uid, session });
+      out = { card: { ...card, status: GIFT_CARD_STATUS.REDEEMED, redeemedBy: uid, redeemedAt: now }, ...credited };
+    });
+    return out;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Cancel an unredeemed card and take its liability off the books.
+ */
+export async function voidGiftCard(db, { id, actor, reason }) {
+  const gid = toObjectId(id);
+  if (!gid) throw walletError("Invalid gift card id", "GIFT_CARD_INVALID_ID", 400);
+
+  const GiftCards = db.collection("giftCards");
+  const session = db.client.startSession();
+  try {
+    let out;
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const r = await GiftCards.findOneAndUpdate(
+        { _id: gid, status: GIFT_CARD_STATUS.ACTIVE },
+        {
+          $set: {
+            status: GIFT_CARD_STATUS.VOID,
+            voidedAt: now,
+            voidedBy: actor || null,
+            voidReason: cleanStr(reason, 500) || null,
+            updatedAt: now,
+          },
+        },
+        { returnDocument: "after", session, includeResultMetadata: true }
+      );
+      if (!r?.value) {
+        const card = await GiftCards.findOne({ _id: gid }, { session });
+        if (!card) throw walletError("Gift card not found", "GIFT_CARD_NOT_FOUND", 404);
+        throw walletError(`Only active gift cards can be voided (is ${card.status})`, "GIFT_CARD_NOT_VOIDABLE", 409);
+      }
+      out = r.value;
+
+      const posted = await postTransactionGroup(db, {
+        transactionGroupId: `gift_card_void_${String(gid)}`,
+        postedAt: now,
+        sourceRef: `gift_card:${String(gid)}`,
+        category: "gift_card_voided",
+        note: `Gift card ${maskGiftCardCode(out.code)} voided`,
+        legs: reverseLegs(giftCardIssueLegs(out)),
+        session,
+      });
+      if (!posted.ok) throw walletError(`Gift card posting rejected: ${posted.reason}`, "GIFT_CARD_LEDGER_REJECTED", 500);
+    });
+    return out;
+  } finally {
+    await session.endSession();
+  }
+}
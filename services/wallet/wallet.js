@@ -0,0 +1,178 @@
+// services/wallet/wallet.js (ESM)
+//
+// Customer wallet + gift cards: pure pieces (no DB access). The DB side lives in
+// walletService.js and giftCardService.js.
+//
+// Every wallet movement is one GL group through postTransactionGroup. The wallet is a
+// per-customer liability sub-account, like seller:<id> for seller earnings:
+//
+//   refund to store credit   credit wallet:<userId>      debit platform:commission + seller:<id>
+//   gift card redeemed       credit wallet:<userId>      debit platform:gift_cards
+//   order paid from wallet   debit  wallet:<userId>      credit platform:cash_bank
+//   wallet payment reversed  credit wallet:<userId>      debit platform:cash_bank
+//
+// Gift cards are their own liability until redeemed:
+//
+//   admin issued             credit platform:gift_cards  debit platform:promotions
+//   bought (eSewa paid)      credit platform:gift_cards  debit platform:clearing
+//   voided before redeeming  the issue group, reversed
+//
+// Balances follow the finance screens: credit minus debit.
+
+import crypto from "crypto";
+
+export const WALLET_CURRENCY = "NPR";
+
+export const WALLET_TXN_TYPES = Object.freeze({
+  REFUND_CREDIT: "refund_credit",
+  GIFT_CARD_REDEEM: "gift_card_redeem",
+  ORDER_PAYMENT: "order_payment",
+  ORDER_PAYMENT_REVERSAL: "order_payment_reversal",
+});
+
+export const GIFT_CARD_STATUS = Object.freeze({
+  PENDING_PAYMENT: "pending_payment",
+  ACTIVE: "active",
+  REDEEMED: "redeemed",
+  VOID: "void",
+  FAILED: "failed",
+});
+
+export const GIFT_CARD_SOURCES = Object.freeze({ ADMIN: "admin", PURCHASE: "purchase" });
+
+export const GIFT_CARD_ACCOUNT = "platform:gift_cards";
+export const PROMOTIONS_ACCOUNT = "platform:promotions";
+export const CLEARING_ACCOUNT = "platform:clearing";
+export const CASH_ACCOUNT = "platform:cash_bank";
+
+export const GIFT_CARD_LIMITS = Object.freeze({
+  minAmount: Number(process.env.GIFT_CARD_MIN_AMOUNT || 100),
+  maxAmount: Number(process.env.GIFT_CARD_MAX_AMOUNT || 50000),
+  validityDays: Number(process.env.GIFT_CARD_VALIDITY_DAYS || 365),
+});
+
+// No 0/O, 1/I/L: codes get read out over the phone and typed from printed cards.
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_PREFIX = "GLZ";
+
+export function walletError(message, code, statusCode = 400) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  e.code = code;
+  return e;
+}
+
+export function round2(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.round(x * 100) / 100 : 0;
+}
+
+export function walletAccountKey(userId) {
+  return `wallet:${String(userId)}`;
+}
+
+/**
+ * Positive amount with at most two decimals, or null.
+ */
+export function parseWalletAmount(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return round2(n) === n ? n : null;
+}
+
+export function generateGiftCardCode(randomInt = crypto.randomInt) {
+  const groups = [];
+  for (let g = 0; g < 3; g += 1) {
+    let s = "";
+    for (let i = 0; i < 4; i += 1) s += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    groups.push(s);
+  }
+  return `${CODE_PREFIX}-${groups.join("-")}`;
+}
+
+/**
+ * Canonical form of a code typed by a customer ("glz abcd efgh jkmn" -> "GLZ-ABCD-EFGH-JKMN").
+ * Returns "" when it can't be a gift card code.
+ */
+export function normalizeGiftCardCode(input) {
+  const raw = String(input || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  const body = raw.startsWith(CODE_PREFIX) ? raw.slice(CODE_PREFIX.length) : raw;
+  if (body.length !== 12) return "";
+  if ([...body].some((c) => !CODE_ALPHABET.includes(c))) return "";
+  return `${CODE_PREFIX}-${body.slice(0, 4)}-${body.slice(4, 8)}-${body.slice(8)}`;
+}
+
+export function maskGiftCardCode(code) {
+  const s = String(code || "");
+  return s.length > 4 ? `${CODE_PREFIX}-****-****-${s.slice(-4)}` : s;
+}
+
+/**
+ * Why a gift card can't be redeemed right now, or null.
+ */
+export function giftCardRedeemBlocker(card, now = new Date()) {
+  if (!card) return walletError("Gift card not found", "GIFT_CARD_NOT_FOUND", 404);
+  if (card.status === GIFT_CARD_STATUS.REDEEMED) {
+    return walletError("Gift card has already been redeemed", "GIFT_CARD_REDEEMED", 409);
+  }
+  if (card.status !== GIFT_CARD_STATUS.ACTIVE) {
+    return walletError("Gift card is not active", "GIFT_CARD_INACTIVE", 409);
+  }
+  if (card.expiresAt && new Date(card.expiresAt) <= now) {
+    return walletError("Gift card has expired", "GIFT_CARD_EXPIRED", 409);
+  }
+  return null;
+}
+
+/**
+ * Legs for one wallet movement: the wallet leg plus its counter side.
+ * counterAccount books the whole amount against one account; counterLegs (e.g. the
+ * refund allocation) must add up to amount themselves.
+ */
+export function buildWalletLegs({ userId, direction, amount, counterAccount = null, counterLegs = null, sourceRef, orderId = null, orderNumber = "", meta = null }) {
+  const value = round2(amount);
+  const dc = direction === "debit" ? "debit" : "credit";
+  const opposite = dc === "debit" ? "credit" : "debit";
+  const common = { sourceRef, orderId, orderNumber, meta };
+
+  const counter = counterLegs?.length
+    ? counterLegs
+    : [{ accountKey: counterAccount, dc: opposite, amount: value, ...common }];
+
+  const counterTotal = round2(counter.reduce((s, l) => s + (l.dc === opposite ? Number(l.amount) : -Number(l.amount)), 0));
+  if (!(value > 0) || counterTotal !== value) {
+    throw walletError(`Unbalanced wallet posting: ${value} vs ${counterTotal}`, "WALLET_UNBALANCED", 500);
+  }
+
+  return [{ accountKey: walletAccountKey(userId), dc, amount: value, ...common }, ...counter];
+}
+
+/**
+ * GL legs when a gift card becomes a liability (issued by admin or paid for).
+ */
+export function giftCardIssueLegs(card) {
+  const sourceRef = `gift_card:${String(card._id)}`;
+  const meta = { giftCardId: String(card._id), source: card.source };
+  const funding = card.source === GIFT_CARD_SOURCES.PURCHASE ? CLEARING_ACCOUNT : PROMOTIONS_ACCOUNT;
+  const amount = round2(card.amount);
+  return [
+    { accountKey: GIFT_CARD_ACCOUNT, dc: "credit", amount, sourceRef, meta },
+    { accountKey: funding, dc: "debit", amount, sourceRef, meta },
+  ];
+}
+
+export function reverseLegs(legs) {
+  return legs.map((l) => ({ ...l, dc: l.dc === "debit" ? "credit" : "debit" }));
+}
+
+/**
+ * How much of an order total to take from the wallet.
+ * requested: true takes as much as the balance covers; a number is taken as asked (the debit
+ * itself fails if the balance is short). Never more than the order total.
+ */
+export function walletAmountForOrder({ requested, balance, grandTotal }) {
+  const total = Math.max(0, round2(grandTotal));
+  if (requested === true) return round2(Math.min(Math.max(0, Number(balance) || 0), total));
+  const n = parseWalletAmount(requested);
+  return n == null ? 0 : Math.min(n, total);
+}
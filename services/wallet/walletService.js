@@ -0,0 +1,287 @@
+// services/wallet/walletService.js (ESM)
+//
+// Customer wallet (store credit). Rules and GL legs live in ./wallet.js.
+//
+// - `wallets`             { userId, balance, currency } running balance, guarded on debit
+// - `walletTransactions`  one row per movement, unique idempotencyKey, points at its GL group
+//                         (`wallet_<transactionId>` in gl_ledger_entries)
+//
+// The balance, the transaction row and the GL legs are written in one Mongo transaction,
+// so the cached balance always equals credit minus debit on wallet:<userId>
+// (walletLedgerBalance() recomputes it from the ledger).
+//
+// Requires MongoDB indexes (scripts/createWalletIndexes.js).
+
+import { ObjectId } from "mongodb";
+
+import { postTransactionGroup } from "../finance/postTransactionGroup.js";
+import { refundAllocationLegs } from "../refunds/refundExecution.js";
+import {
+  WALLET_CURRENCY,
+  WALLET_TXN_TYPES,
+  GIFT_CARD_ACCOUNT,
+  CASH_ACCOUNT,
+  walletError,
+  walletAccountKey,
+  round2,
+  buildWalletLegs,
+} from "./wallet.js";
+
+function toObjectId(id) {
+  if (!id) return null;
+  if (id instanceof ObjectId) return id;
+  const s = String(id).trim();
+  return ObjectId.isValid(s) ? new ObjectId(s) : null;
+}
+
+function isDuplicateKeyError(err) {
+  return err?.code === 11000 || String(err?.message || "").includes("E11000");
+}
+
+/**
+ * Run fn(session) in the caller's transaction, or in a new one.
+ */
+async function inTransaction(db, session, fn) {
+  if (session) return fn(session);
+  const own = db.client.startSession();
+  try {
+    let out;
+    await own.withTransaction(async () => {
+      out = await fn(own);
+    });
+    return out;
+  } finally {
+    await own.endSession();
+  }
+}
+
+export async function getWallet(db, userId, { session } = {}) {
+  const uid = toObjectId(userId);
+  if (!uid) throw walletError("Invalid user", "WALLET_INVALID_USER", 400);
+  const wallet = await db.collection("wallets").findOne({ userId: uid }, { session });
+  return {
+    userId: uid,
+    balance: round2(wallet?.balance || 0),
+    currency: wallet?.currency || WALLET_CURRENCY,
+    updatedAt: wallet?.updatedAt || null,
+  };
+}
+
+/**
+ * Balance straight from the GL, to check the cached one against.
+ */
+export async function walletLedgerBalance(db, userId) {
+  const [row] = await db
+    .collection("gl_ledger_entries")
+    .aggregate([
+      { $match: { accountKey: walletAccountKey(userId) } },
+      {
+        $group: {
+          _id: null,
+          credit: { $sum: { $cond: [{ $eq: ["$dc", "credit"] }, "$amount", 0] } },
+          debit: { $sum: { $cond: [{ $eq: ["$dc", "debit"] }, "$amount", 0] } },
+        },
+      },
+    ])
+    .toArray();
+  return round2((row?.credit || 0) - (row?.debit || 0));
+}
+
+/**
+ * Move money in or out of a customer's wallet.
+ *
+ * input: { userId, direction: "credit" | "debit", amount, type, idempotencyKey,
+ *          counterAccount | counterLegs, sourceRef, note?, orderId?, orderNumber?, refs?, session? }
+ * Returns { transaction, balance, idempotent }. A repeated idempotencyKey returns the first
+ * transaction untouched. Debits never take the balance below zero (WALLET_INSUFFICIENT_FUNDS).
+ */
+export async function postWalletTransaction(db, input) {
+  const uid = toObjectId(input?.userId);
+  if (!uid) throw walletError("Invalid user", "WALLET_INVALID_USER", 400);
+  const amount = round2(input?.amount);
+  if (!(amount > 0)) throw walletError("Amount must be greater than 0", "WALLET_INVALID_AMOUNT", 400);
+  const direction = input.direction === "debit" ? "debit" : "credit";
+  const idempotencyKey = String(input.idempotencyKey || "").trim();
+  if (!idempotencyKey) throw walletError("idempotencyKey is required", "WALLET_IDEMPOTENCY_REQUIRED", 500);
+
+  const Wallets = db.collection("wallets");
+  const Txns = db.collection("walletTransactions");
+
+  const write = async (session) => {
+    const existing = await Txns.findOne({ idempotencyKey }, { session });
+    if (existing) return { transaction: existing, balance: existing.balanceAfter, idempotent: true };
+
+    const txnId = new ObjectId();
+    const ts = new Date();
+    const sourceRef = String(input.sourceRef || `wallet:${String(txnId)}`);
+    const legs = buildWalletLegs({
+      userId: uid,
+      direction,
+      amount,
+      counterAccount: input.counterAccount || null,
+      counterLegs: input.counterLegs || null,
+      sourceRef,
+      orderId: input.orderId || null,
+      orderNumber: input.orderNumber || "",
+      meta: { walletTransactionId: String(txnId), type: input.type, ...(input.refs || {}) },
+    });
+
+    const r =
+      direction === "debit"
+        ? await Wallets.findOneAndUpdate(
+            { userId: uid, balance: { $gte: amount } },
+            { $inc: { balance: -amount }, $set: { updatedAt: ts } },
+            { returnDocument: "after", session, includeResultMetadata: true }
+          )
+        : await Wallets.findOneAndUpdate(
+            { userId: uid },
+            { $inc: { balance: amount }, $set: { updatedAt: ts }, $setOnInsert: { currency: WALLET_CURRENCY, createdAt: ts } },
+            { upsert: true, returnDocument: "after", session, includeResultMetadata: true }
+          );
+    if (!r?.value) throw walletError("Insufficient wallet balance", "WALLET_INSUFFICIENT_FUNDS", 409);
+
+    const transaction = {
+      _id: txnId,
+      userId: uid,
+      type: input.type,
+      direction,
+      amount,
+      balanceAfter: round2(r.value.balance),
+      currency: r.value.currency || WALLET_CURRENCY,
+      idempotencyKey,
+      transactionGroupId: `wallet_${String(txnId)}`,
+      sourceRef,
+      orderId: input.orderId || null,
+      orderNumber: input.orderNumber || null,
+      refs: input.refs || null,
+      note: input.note || null,
+      createdAt: ts,
+    };
+    await Txns.insertOne(transaction, { session });
+
+    const posted = await postTransactionGroup(db, {
+      transactionGroupId: transaction.transactionGroupId,
+      postedAt: ts,
+      sourceRef,
+      category: `wallet_${input.type}`,
+      note: input.note || `Wallet ${input.type}`,
+      legs,
+      session,
+    });
+    if (!posted.ok) throw walletError(`Wallet posting rejected: ${posted.reason}`, "WALLET_LEDGER_REJECTED", 500);
+
+    return { transaction, balance: transaction.balanceAfter, idempotent: false };
+  };
+
+  try {
+    return await inTransaction(db, input.session, write);
+  } catch (err) {
+    // Two requests with the same key raced; the other one won.
+    if (!input.session && isDuplicateKeyError(err)) {
+      const existing = await Txns.findOne({ idempotencyKey });
+      if (existing) return { transaction: existing, balance: existing.balanceAfter, idempotent: true };
+    }
+    throw err;
+  }
+}
+
+export async function listWalletTransactions(db, userId, { page = 1, limit = 20 } = {}) {
+  const uid = toObjectId(userId);
+  const filter = { userId: uid };
+  const Txns = db.collection("walletTransactions");
+  const [items, total] = await Promise.all([
+    Txns.find(filter, { projection: { idempotencyKey: 0 } })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    Txns.countDocuments(filter),
+  ]);
+  return { items, total, page, limit };
+}
+
+/**
+ * Refund to store credit: the customer's wallet is credited, seller earnings and commission
+ * are clawed back exactly like a cash refund.
+ */
+export async function creditRefundToWallet(db, { refund, commissionReversal = 0, session }) {
+  const counterLegs = refundAllocationLegs({ refund, commissionReversal });
+  return postWalletTransaction(db, {
+    userId: refund.customerId,
+    direction: "credit",
+    amount: refund.amounts?.total,
+    type: WALLET_TXN_TYPES.REFUND_CREDIT,
+    idempotencyKey: `refund:${String(refund._id)}`,
+    counterLegs,
+    sourceRef: `refund:${String(refund._id)}`,
+    orderId: refund.orderId || null,
+    orderNumber: refund.orderNumber || "",
+    refs: { refundId: String(refund._id), returnId: refund.returnId ? String(refund.returnId) : null },
+    note: `Refund ${refund.refundNumber || String(refund._id)} to store credit`,
+    session,
+  });
+}
+
+export async function creditGiftCardToWallet(db, { card, userId, session }) {
+  return postWalletTransaction(db, {
+    userId,
+    direction: "credit",
+    amount: card.amount,
+    type: WALLET_TXN_TYPES.GIFT_CARD_REDEEM,
+    idempotencyKey: `gift_card:${String(card._id)}:redeem`,
+    counterAccount: GIFT_CARD_ACCOUNT,
+    sourceRef: `gift_card:${String(card._id)}`,
+    refs: { giftCardId: String(card._id) },
+    note: `Gift card ${String(card.code || "").slice(-4)} redeemed`,
+    session,
+  });
+}
+
+export async function payOrderFromWallet(db, { userId, orderId, orderNumber, amount, session }) {
+  return postWalletTransaction(db, {
+    userId,
+    direction: "debit",
+    amount,
+    type: WALLET_TXN_TYPES.ORDER_PAYMENT,
+    idempotencyKey: `order:${String(orderId)}:wallet`,
+    counterAccount: CASH_ACCOUNT,
+    sourceRef: orderNumber || String(orderId),
+    orderId,
+    orderNumber,
+    note: `Wallet payment for order ${orderNumber || String(orderId)}`,
+    session,
+  });
+}
+
+/**
+ * Give back what an order took from the wallet (order cancelled, eSewa part failed).
+ * No-op for orders that didn't use the wallet; safe to call more than once.
+ */
+export async function reverseOrderWalletPayment(db, order, { reason = "order_cancelled", session } = {}) {
+  const amount = round2(order?.totals?.walletApplied || 0);
+  if (!(amount > 0) || !order?.userId) return { skipped: true };
+
+  const res = await postWalletTransaction(db, {
+    userId: order.userId,
+    direction: "credit",
+    amount,
+    type: WALLET_TXN_TYPES.ORDER_PAYMENT_REVERSAL,
+    idempotencyKey: `order:${String(order._id)}:wallet_reversal`,
+    counterAccount: CASH_ACCOUNT,
+    sourceRef: order.orderNumber || String(order._id),
+    orderId: order._id,
+    orderNumber: order.orderNumber || "",
+    refs: { reason },
+    note: `Wallet payment returned for order ${order.orderNumber || String(order._id)} (${reason})`,
+    session,
+  });
+
+  if (!res.idempotent) {
+    await db.collection("orders").updateOne(
+      { _id: order._id },
+      { $set: { "wallet.reversedAt": new Date(), "wallet.reversalTransactionId": res.transaction._id } },
+      { session }
+    );
+  }
+  return res;
+}
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+
+import {
+  ACCOUNT_TOKEN_PURPOSES,
+  consumeAccountToken,
+  describeTtl,
+  issueAccountToken,
+} from "../services/auth/accountTokens.js";
+
+const { PASSWORD_RESET, EMAIL_VERIFICATION } = ACCOUNT_TOKEN_PURPOSES;
+
+// ---- in-memory accountTokens (only the operators accountTokens.js uses) ----
+function fakeDb() {
+  const rows = [];
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([k, v]) => {
+      if (v === null) return doc[k] == null;
+      if (v?.$gt !== undefined) return doc[k] > v.$gt;
+      return String(doc[k]) === String(v);
+    });
+
+  const Tokens = {
+    findOne: async (f) => rows.find((d) => matches(d, f)) || null,
+    insertOne: async (doc) => {
+      rows.push({ _id: new ObjectId(), ...doc });
+    },
+    updateMany: async (f, u) => {
+      for (const d of rows.filter((x) => matches(x, f))) Object.assign(d, u.$set);
+    },
+    findOneAndUpdate: async (f, u) => {
+      const doc = rows.find((d) => matches(d, f));
+      if (doc) Object.assign(doc, u.$set);
+      return { value: doc || null };
+    },
+  };
+  return { rows, collection: () => Tokens };
+}
+
+const db = fakeDb();
+const userId = new ObjectId();
+const invalid = { statusCode: 400, code: "INVALID_TOKEN" };
+
+// ---- issue: only the hash is stored ----
+const reset = await issueAccountToken(db, { userId, purpose: PASSWORD_RESET, email: "A@Example.com" });
+assert.match(reset.token, /^[a-f0-9]{64}$/);
+assert.equal(db.rows.length, 1);
+assert.notEqual(db.rows[0].tokenHash, reset.token);
+assert.equal(db.rows[0].email, "a@example.com");
+
+// A second email inside the cooldown is throttled
+assert.deepEqual(await issueAccountToken(db, { userId, purpose: PASSWORD_RESET }), { throttled: true });
+await assert.rejects(issueAccountToken(db, { userId, purpose: "login" }), { code: "INVALID_PURPOSE" });
+
+// ---- the wrong purpose is rejected (and doesn't use the token up) ----
+await assert.rejects(consumeAccountToken(db, { token: reset.token, purpose: EMAIL_VERIFICATION }), invalid);
+
+// ---- single use ----
+const row = await consumeAccountToken(db, { token: reset.token, purpose: PASSWORD_RESET });
+assert.equal(String(row.userId), String(userId));
+assert.ok(row.usedAt instanceof Date);
+await assert.rejects(consumeAccountToken(db, { token: reset.token, purpose: PASSWORD_RESET }), invalid);
+
+// ---- expired ----
+const verify = await issueAccountToken(db, { userId, purpose: EMAIL_VERIFICATION });
+db.rows.find((r) => r.purpose === EMAIL_VERIFICATION).expiresAt = new Date(Date.now() - 1000);
+await assert.rejects(consumeAccountToken(db, { token: verify.token, purpose: EMAIL_VERIFICATION }), invalid);
+
+// ---- a newer link supersedes the older unused one ----
+db.rows.forEach((r) => (r.createdAt = new Date(Date.now() - 5 * 60 * 1000))); // past the cooldown
+const older = await issueAccountToken(db, { userId, purpose: PASSWORD_RESET });
+db.rows.forEach((r) => (r.createdAt = new Date(Date.now() - 5 * 60 * 1000)));
+const newer = await issueAccountToken(db, { userId, purpose: PASSWORD_RESET });
+await assert.rejects(consumeAccountToken(db, { token: older.token, purpose: PASSWORD_RESET }), invalid);
+assert.ok(await consumeAccountToken(db, { token: newer.token, purpose: PASSWORD_RESET }));
+
+// ---- malformed ----
+for (const bad of ["", "abc", "z".repeat(64), null]) {
+  await assert.rejects(consumeAccountToken(db, { token: bad, purpose: PASSWORD_RESET }), invalid);
+}
+
+assert.equal(describeTtl(PASSWORD_RESET), "30 minutes");
+assert.equal(describeTtl(EMAIL_VERIFICATION), "48 hours");
+
+console.log("✅ account token tests passed");
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import {
+  sniffMime,
+  sanitizeFileName,
+  checkAttachment,
+  uploaderClass,
+  MAX_ATTACHMENT_BYTES,
+} from "../services/attachments/attachmentPolicy.js";
+import { scanBuffer, scanAllowsStorage, registerScanner, EICAR_SIGNATURE, SCAN_STATUS } from "../services/attachments/scanner.js";
+import { signAttachmentUrl, verifyAttachmentSignature, attachmentUrlFor } from "../services/attachments/signedUrls.js";
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]);
+const PDF = Buffer.from("%PDF-1.7\n%âãÏÓ\n", "latin1");
+const WEBP = Buffer.concat([Buffer.from("RIFF"), Buffer.from([0x24, 0, 0, 0]), Buffer.from("WEBPVP8 ")]);
+const SVG = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+const HTML = Buffer.from("<!doctype html><p>hi</p>");
+
+// Sniffing ignores names and declared types
+assert.equal(sniffMime(PNG), "image/png");
+assert.equal(sniffMime(JPEG), "image/jpeg");
+assert.equal(sniffMime(PDF), "application/pdf");
+assert.equal(sniffMime(WEBP), "image/webp");
+assert.equal(sniffMime(Buffer.from("GIF89a....")), "image/gif");
+assert.equal(sniffMime(SVG), null);
+assert.equal(sniffMime(HTML), null);
+assert.equal(sniffMime(Buffer.alloc(0)), null);
+
+// File names
+assert.equal(sanitizeFileName("../../etc/passwd", "image/png"), "passwd.png");
+assert.equal(sanitizeFileName("C:\\Users\\me\\invoice.exe", "application/pdf"), "invoice.pdf");
+assert.equal(sanitizeFileName('bad"<name>\u0000.jpeg', "image/jpeg"), "badname.jpg");
+assert.equal(sanitizeFileName("", "image/png"), "attachment.png");
+assert.equal(sanitizeFileName("x".repeat(300) + ".png", "image/png").length, 104);
+
+// Roles
+assert.equal(uploaderClass("customer"), "customer");
+assert.equal(uploaderClass(undefined), "customer");
+assert.equal(uploaderClass("seller"), "seller");
+assert.equal(uploaderClass("support"), "staff");
+assert.equal(uploaderClass("super-admin"), "staff");
+
+// checkAttachment
+const ok = checkAttachment({ buffer: PNG, originalName: "photo.exe", role: "customer" });
+assert.deepEqual(ok, { mime: "image/png", ext: ".png", inline: true, size: PNG.length, name: "photo.png" });
+assert.equal(checkAttachment({ buffer: PDF, originalName: "r.pdf", role: "seller" }).inline, false);
+
+function code(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return [err.statusCode, err.code];
+  }
+  return null;
+}
+assert.deepEqual(code(() => checkAttachment({ buffer: Buffer.alloc(0), role: "customer" })), [400, "ATTACHMENT_EMPTY"]);
+assert.deepEqual(code(() => checkAttachment({ buffer: SVG, originalName: "a.png", role: "admin" })), [415, "ATTACHMENT_TYPE_NOT_ALLOWED"]);
+
+const big = Buffer.alloc(MAX_ATTACHMENT_BYTES.customer + 1);
+PNG.copy(big);
+assert.deepEqual(code(() => checkAttachment({ buffer: big, role: "customer" })), [413, "ATTACHMENT_TOO_LARGE"]);
+assert.equal(checkAttachment({ buffer: big, role: "seller" }).size, big.length);
+
+// Scanner
+const skipped = await scanBuffer(PNG, { engine: "none" });
+assert.equal(skipped.status, SCAN_STATUS.SKIPPED);
+assert.equal(scanAllowsStorage(skipped), true);
+
+const clean = await scanBuffer(PNG, { engine: "stub" });
+assert.equal(clean.status, SCAN_STATUS.CLEAN);
+assert.equal(clean.engine, "stub");
+
+const eicar = await scanBuffer(Buffer.from(`%PDF-1.4\n${EICAR_SIGNATURE}\n`, "latin1"), { engine: "stub" });
+assert.equal(eicar.status, SCAN_STATUS.INFECTED);
+assert.equal(eicar.signature, "Eicar-Test-Signature");
+assert.equal(scanAllowsStorage(eicar), false);
+
+registerScanner("broken", async () => {
+  throw new Error("daemon down");
+});
+const failed = await scanBuffer(PNG, { engine: "broken" });
+assert.equal(failed.status, SCAN_STATUS.ERROR);
+assert.equal(failed.error, "daemon down");
+assert.equal(scanAllowsStorage(failed), false);
+process.env.ATTACHMENT_SCAN_FAIL_OPEN = "1";
+assert.equal(scanAllowsStorage(failed), true);
+delete process.env.ATTACHMENT_SCAN_FAIL_OPEN;
+assert.equal((await scanBuffer(PNG, { engine: "missing" })).status, SCAN_STATUS.ERROR);
+
+// Signed URLs
+const now = Date.UTC(2026, 0, 1);
+const id = "65a000000000000000000001";
+const { url, expiresAt } = signAttachmentUrl(id, "u1", { now, ttlSeconds: 600 });
+assert.equal(expiresAt.getTime(), now + 600_000);
+const q = new URL(url, "http://x").searchParams;
+assert.ok(url.startsWith(`/api/attachments/${id}?`));
+const params = { attachmentId: id, uid: q.get("uid"), exp: q.get("exp"), sig: q.get("sig") };
+
+assert.equal(verifyAttachmentSignature(params, { now: now + 1000 }), "ok");
+assert.equal(verifyAttachmentSignature(params, { now: now + 601_000 }), "expired");
+assert.equal(verifyAttachmentSignature({ ...params, uid: "u2" }, { now }), "invalid");
+assert.equal(verifyAttachmentSignature({ ...params, attachmentId: "65a000000000000000000002" }, { now }), "invalid");
+assert.equal(verifyAttachmentSignature({ ...params, exp: String(Number(params.exp) + 3600) }, { now }), "invalid");
+assert.equal(verifyAttachmentSignature({ ...params, sig: params.sig.slice(1) }, { now }), "invalid");
+assert.equal(verifyAttachmentSignature({ ...params, sig: undefined }, { now }), "invalid");
+
+// Per-message URLs
+assert.ok(attachmentUrlFor({ attachmentId: id }, { _id: "u1" }).includes("uid=u1"));
+assert.equal(attachmentUrlFor({ attachmentUrl: "/uploads/messages/abc" }, { _id: "u1" }), "/uploads/messages/abc");
+assert.equal(attachmentUrlFor({}, { _id: "u1" }), null);
+
+console.log("✅ attachment tests passed");
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+
+import {
+  CART_RECOVERY_STATUS,
+  parseStepHours,
+  loadCartRecoveryConfig,
+  stepDueAt,
+  abandonedCartFilter,
+  buildCartSnapshot,
+  generateRecoveryCouponCode,
+  recoveryCouponDoc,
+  attributionFor,
+  signUnsubscribeToken,
+  verifyUnsubscribeToken,
+  remindersAllowed,
+} from "../services/cartRecovery/cartRecovery.js";
+import { couponIneligibility, COUPON_REASONS } from "../utils/discountEngine.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// ---- config ----
+assert.deepEqual(parseStepHours("24, 1,72,24"), [1, 24, 72]);
+assert.deepEqual(parseStepHours("abc,-3"), [1, 24, 72]);
+assert.deepEqual(parseStepHours(""), [1, 24, 72]);
+
+let config = loadCartRecoveryConfig({ CART_RECOVERY_STEPS_HOURS: "2,48", CART_RECOVERY_COUPON_PERCENT: "10" });
+assert.deepEqual(config.stepsHours, [2, 48]);
+assert.equal(config.coupon.percent, 10);
+assert.equal(config.coupon.step, 2); // last reminder by default
+assert.equal(loadCartRecoveryConfig({ CART_RECOVERY_COUPON_STEP: "9" }).coupon.step, 3);
+assert.equal(loadCartRecoveryConfig({}).coupon.percent, 0); // coupons are opt-in
+assert.equal(loadCartRecoveryConfig({ CART_RECOVERY_COUPON_PERCENT: "500" }).coupon.percent, 90);
+
+const idleSince = new Date("2026-03-01T10:00:00Z");
+assert.equal(stepDueAt(idleSince, 0, [2, 48]).toISOString(), "2026-03-01T12:00:00.000Z");
+assert.equal(stepDueAt(idleSince, 1, [2, 48]).toISOString(), "2026-03-03T10:00:00.000Z");
+assert.equal(stepDueAt(idleSince, 2, [2, 48]), null);
+
+const now = new Date("2026-03-05T10:00:00Z");
+const filter = abandonedCartFilter(now, { ...config, lookbackDays: 14 });
+assert.equal(filter.updatedAt.$lte.getTime(), now.getTime() - 2 * HOUR);
+assert.equal(filter.updatedAt.$gte.getTime(), now.getTime() - 14 * DAY);
+
+// ---- snapshot ----
+const cart = {
+  userId: new ObjectId(),
+  items: [
+    { productId: new ObjectId(), title: "Serum", price: 1200, quantity: 2, sellerId: "s1" },
+    { productId: new ObjectId(), title: "Lip tint", price: 450.5, quantity: 1, sellerId: "s2" },
+  ],
+  adminCoupon: { code: "SAVE10" },
+};
+let snap = buildCartSnapshot(cart, { totals: { sellerDiscountTotal: 100, adminDiscountTotal: 240, grandTotal: 2510.5 } }, now);
+assert.equal(snap.subtotal, 2850.5);
+assert.equal(snap.itemCount, 3);
+assert.equal(snap.discountTotal, 340);
+assert.equal(snap.grandTotal, 2510.5);
+assert.equal(snap.couponCode, "SAVE10");
+assert.equal(typeof snap.items[0].productId, "string");
+
+snap = buildCartSnapshot(cart, null, now); // pricing failed: undiscounted
+assert.equal(snap.grandTotal, 2850.5);
+
+// ---- recovery coupon ----
+const code = generateRecoveryCouponCode();
+assert.match(code, /^BACK-[A-Z2-9]{8}$/);
+
+const userId = new ObjectId();
+const couponDoc = recoveryCouponDoc({ recoveryId: new ObjectId(), userId, code, config, now });
+assert.equal(couponDoc.endAt.getTime() - now.getTime(), 48 * HOUR);
+assert.deepEqual([couponDoc.usageLimitTotal, couponDoc.perUserLimit, couponDoc.value], [1, 1, 10]);
+
+// The engine treats it as the owner's coupon only
+const facts = { now, subtotal: 2000, userId: String(userId) };
+assert.equal(couponIneligibility(couponDoc, facts), null);
+assert.equal(couponIneligibility(couponDoc, { ...facts, userId: String(new ObjectId()) }).code, COUPON_REASONS.NOT_FOR_USER);
+assert.equal(couponIneligibility({ ...couponDoc, usedCount: 1 }, facts).code, COUPON_REASONS.USAGE_LIMIT);
+assert.equal(couponIneligibility(couponDoc, { ...facts, now: new Date(now.getTime() + 49 * HOUR) }).code, COUPON_REASONS.EXPIRED);
+
+// ---- attribution ----
+const episode = {
+  status: CART_RECOVERY_STATUS.COMPLETED,
+  stepsSent: 2,
+  lastSentAt: new Date(now.getTime() - 2 * DAY),
+  coupon: { code },
+};
+const order = { discounts: { couponCode: null } };
+assert.deepEqual(attributionFor(episode, order, { now, config }), { viaCoupon: false, afterStep: 2 });
+assert.deepEqual(attributionFor(episode, { discounts: { couponCode: code } }, { now, config }), {
+  viaCoupon: true,
+  afterStep: 2,
+});
+// Outside the window only the coupon still counts
+const late = new Date(now.getTime() + 10 * DAY);
+assert.equal(attributionFor(episode, order, { now: late, config }), null);
+assert.equal(attributionFor(episode, { discounts: { couponCode: code } }, { now: late, config }).viaCoupon, true);
+// No reminder sent yet, already converted, unsubscribed
+assert.equal(attributionFor({ ...episode, stepsSent: 0, lastSentAt: null, coupon: null }, order, { now, config }), null);
+assert.equal(attributionFor({ ...episode, status: CART_RECOVERY_STATUS.CONVERTED }, order, { now, config }), null);
+assert.equal(attributionFor({ ...episode, status: CART_RECOVERY_STATUS.UNSUBSCRIBED }, order, { now, config }), null);
+
+// ---- unsubscribe ----
+const token = signUnsubscribeToken(userId);
+assert.equal(verifyUnsubscribeToken(token), String(userId));
+assert.equal(verifyUnsubscribeToken(`${new ObjectId()}.${token.split(".")[1]}`), null);
+assert.equal(verifyUnsubscribeToken(`${token}x`), null);
+assert.equal(verifyUnsubscribeToken("garbage"), null);
+assert.equal(verifyUnsubscribeToken(""), null);
+
+assert.equal(remindersAllowed({}), true);
+assert.equal(remindersAllowed({ notificationPrefs: { cartReminders: false } }), false);
+assert.equal(remindersAllowed({ blocked: true }), false);
+assert.equal(remindersAllowed(null), false);
+
+console.log("✅ cart recovery tests passed");
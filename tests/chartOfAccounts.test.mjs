@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+
+import {
+  ACCOUNT_TYPES,
+  autoAccountsFor,
+  isValidAccountKey,
+  normalSideBalance,
+  parentError,
+  parseAccountInput,
+  postingAccountErrors,
+  subLedgerOf,
+} from "../services/finance/chartOfAccounts.js";
+
+// ---- keys ----
+assert.ok(isValidAccountKey("platform:cash_bank"));
+assert.ok(isValidAccountKey("seller:665f1c2ab0e4a1d2c3b4a5f6"));
+assert.ok(!isValidAccountKey("cash_bank"));
+assert.ok(!isValidAccountKey("Platform:x"));
+assert.ok(!isValidAccountKey("platform:"));
+assert.deepEqual(subLedgerOf("seller:s1"), {
+  prefix: "seller",
+  refId: "s1",
+  parentKey: "platform:seller_payables",
+  label: "Seller",
+});
+assert.equal(subLedgerOf("platform:commission"), null);
+
+// ---- automatic accounts ----
+const now = new Date("2026-06-01T00:00:00Z");
+const docs = autoAccountsFor(["seller:s1", "wallet:u1", "platform:commission", "expense:rent"], now);
+const byKey = new Map(docs.map((d) => [d.key, d]));
+assert.deepEqual([...byKey.keys()].sort(), [
+  "platform:commission",
+  "platform:customer_wallets",
+  "platform:seller_payables",
+  "seller:s1",
+  "wallet:u1",
+]);
+assert.equal(byKey.get("seller:s1").type, ACCOUNT_TYPES.LIABILITY);
+assert.equal(byKey.get("seller:s1").normalBalance, "credit");
+assert.equal(byKey.get("seller:s1").parentKey, "platform:seller_payables");
+assert.equal(byKey.get("seller:s1").subLedger, "seller");
+assert.equal(byKey.get("platform:seller_payables").postable, false);
+assert.equal(byKey.get("platform:commission").type, ACCOUNT_TYPES.REVENUE);
+assert.ok(docs.every((d) => d.active && d.system && d.createdAt === now));
+
+// ---- posting checks ----
+const accounts = new Map([
+  ["platform:clearing", { key: "platform:clearing", active: true }],
+  ["platform:old", { key: "platform:old", active: false }],
+  ["platform:seller_payables", { key: "platform:seller_payables", active: true, postable: false }],
+]);
+assert.deepEqual(postingAccountErrors(["platform:clearing", "platform:clearing"], accounts), []);
+assert.deepEqual(postingAccountErrors(["platform:old", "platform:nope", "platform:seller_payables"], accounts), [
+  { accountKey: "platform:old", reason: "account is closed" },
+  { accountKey: "platform:nope", reason: "unknown account" },
+  { accountKey: "platform:seller_payables", reason: "header account, post to a sub-account" },
+]);
+
+// ---- admin input ----
+let parsed = parseAccountInput({ key: "expense:rent", name: " Office rent ", type: "Expense" });
+assert.deepEqual(parsed.value, {
+  key: "expense:rent",
+  name: "Office rent",
+  type: "expense",
+  normalBalance: "debit",
+  active: true,
+  postable: true,
+});
+assert.match(parseAccountInput({ key: "seller:s1", name: "x", type: "liability" }).error, /created automatically/);
+assert.match(parseAccountInput({ key: "rent", name: "x", type: "expense" }).error, /key/);
+assert.match(parseAccountInput({ key: "expense:rent", name: "x", type: "cost" }).error, /type/);
+assert.match(parseAccountInput({ active: "no" }, { partial: true }).error, /active/);
+assert.deepEqual(parseAccountInput({ active: false }, { partial: true }).value, { active: false });
+
+// ---- hierarchy ----
+const opex = { key: "expense:opex", type: "expense" };
+assert.equal(parentError("expense:rent", "expense", opex), null);
+assert.equal(parentError("expense:rent", "expense", null), "parent account not found");
+assert.match(parentError("expense:rent", "revenue", opex), /parent is expense/);
+assert.match(parentError("expense:opex", "expense", { key: "expense:rent", type: "expense" }, [opex]), /own ancestor/);
+
+// ---- balances ----
+assert.equal(normalSideBalance({ normalBalance: "debit" }, { debit: 300, credit: 100 }), 200);
+assert.equal(normalSideBalance({ normalBalance: "credit" }, { debit: 300, credit: 100 }), -200);
+
+console.log("✅ chart of accounts tests passed");
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import {
+  COMMISSION_SOURCES,
+  computeInvoiceCommission,
+  resolveCommissionRate,
+} from "../services/finance/commissionRules.js";
+
+const settings = {
+  global: { rateType: "percentage", rate: 10, minRate: 0, maxRate: 40 },
+  rules: { allowCustomPerSeller: true, allowCategoryOverrides: true },
+  categoryRules: [
+    { id: "cat-skin", categoryId: "skincare", rateType: "percentage", rate: 8 },
+    { id: "cat-skin-promo", categoryId: "skincare", rateType: "percentage", rate: 5, effectiveFrom: "2026-06-01", effectiveTo: "2026-07-01" },
+    { id: "cat-tools", categoryId: "tools", rateType: "flat", rate: 20 },
+    { id: "cat-too-high", categoryId: "luxury", rateType: "percentage", rate: 90 },
+  ],
+  sellerOverrides: [
+    { id: "s1-all", sellerId: "s1", rateType: "percentage", rate: 6 },
+    { id: "s1-lips", sellerId: "s1", categoryId: "lips", rateType: "percentage", rate: 4 },
+    { id: "s2-off", sellerId: "s2", rateType: "percentage", rate: 1, active: false },
+  ],
+};
+
+const at = new Date("2026-03-15T00:00:00Z");
+
+// Seller + category override beats the plain seller override
+let r = resolveCommissionRate({ settings, sellerId: "s1", categoryId: "lips", at });
+assert.equal(r.source, COMMISSION_SOURCES.SELLER_CATEGORY_OVERRIDE);
+assert.equal(r.rate, 4);
+
+// Seller override beats category rule
+r = resolveCommissionRate({ settings, sellerId: "s1", categoryId: "skincare", at });
+assert.equal(r.ruleId, "s1-all");
+
+// Category rule beats global; inactive overrides are ignored
+r = resolveCommissionRate({ settings, sellerId: "s2", categoryId: "skincare", at });
+assert.equal(r.source, COMMISSION_SOURCES.CATEGORY_RULE);
+assert.equal(r.ruleId, "cat-skin");
+
+// Effective window: the promo rule only applies inside June
+r = resolveCommissionRate({ settings, sellerId: "s2", categoryId: "skincare", at: "2026-06-10" });
+assert.equal(r.ruleId, "cat-skin-promo");
+r = resolveCommissionRate({ settings, sellerId: "s2", categoryId: "skincare", at: "2026-07-01" });
+assert.equal(r.ruleId, "cat-skin");
+
+// Category percentage is clamped to global maxRate
+r = resolveCommissionRate({ settings, sellerId: "s9", categoryId: "luxury", at });
+assert.equal(r.rate, 40);
+
+// Global fallback
+r = resolveCommissionRate({ settings, sellerId: "s9", categoryId: "other", at });
+assert.equal(r.source, COMMISSION_SOURCES.GLOBAL);
+assert.equal(r.rate, 10);
+
+// Flags can disable overrides
+r = resolveCommissionRate({
+  settings: { ...settings, rules: { allowCustomPerSeller: false, allowCategoryOverrides: false } },
+  sellerId: "s1",
+  categoryId: "lips",
+  at,
+});
+assert.equal(r.source, COMMISSION_SOURCES.GLOBAL);
+
+// Invoice: mixed lines, flat category rule charged per unit
+const inv = computeInvoiceCommission({
+  settings,
+  sellerId: "s2",
+  at,
+  items: [
+    { productId: "a", categoryId: "skincare", price: 1000, quantity: 2 },
+    { productId: "b", categoryId: "tools", price: 300, quantity: 3 },
+  ],
+});
+assert.equal(inv.gross, 2900);
+assert.equal(inv.amount, 160 + 60);
+assert.equal(inv.source, "mixed");
+assert.equal(inv.lines[1].amount, 60);
+
+// Single rule invoice records the matched rule
+const single = computeInvoiceCommission({
+  settings,
+  sellerId: "s1",
+  at,
+  items: [{ productId: "c", categoryId: "lips", pricing: { base: 500 }, quantity: 1 }],
+});
+assert.equal(single.ruleId, "s1-lips");
+assert.equal(single.matchedRule.rate, 4);
+assert.equal(single.amount, 20);
+
+// Global flat is charged once per invoice
+const flat = computeInvoiceCommission({
+  settings: { global: { rateType: "flat", rate: 50 } },
+  items: [
+    { price: 100, quantity: 1 },
+    { price: 200, quantity: 1 },
+  ],
+});
+assert.equal(flat.amount, 50);
+
+console.log("✅ commission rule tests passed");
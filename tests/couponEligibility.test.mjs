@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { applyDiscounts, couponIneligibility, COUPON_REASONS } from "../utils/discountEngine.js";
+
+const now = new Date();
+const DAY = 24 * 60 * 60 * 1000;
+
+// Minimal in-memory stand-in for the collections the engine reads.
+function matches(doc, filter) {
+  return Object.entries(filter).every(([k, v]) => {
+    if (k === "$or") return v.some((f) => matches(doc, f));
+    if (k === "$and") return v.every((f) => matches(doc, f));
+    const actual = doc[k];
+    if (v && typeof v === "object" && !(v instanceof ObjectId) && !(v instanceof Date)) {
+      if ("$exists" in v) return (actual !== undefined) === v.$exists;
+      if ("$in" in v) return v.$in.some((x) => String(x) === String(actual));
+      if ("$nin" in v) return !v.$nin.includes(actual);
+      if ("$lte" in v) return actual != null && actual <= v.$lte;
+      if ("$gte" in v) return actual != null && actual >= v.$gte;
+      return false;
+    }
+    if (v === null) return actual == null;
+    return String(actual) === String(v);
+  });
+}
+
+function fakeDb(data) {
+  return {
+    collection(name) {
+      const rows = data[name] || [];
+      return {
+        find: (f) => ({ toArray: async () => rows.filter((d) => matches(d, f)) }),
+        findOne: async (f) => rows.find((d) => matches(d, f)) || null,
+        countDocuments: async (f, opts = {}) => Math.min(rows.filter((d) => matches(d, f)).length, opts.limit ?? Infinity),
+      };
+    },
+  };
+}
+
+const userId = new ObjectId();
+const coupon = (extra) => ({
+  _id: new ObjectId(),
+  authority: "admin",
+  codeType: "coupon",
+  kind: "percentage",
+  value: 10,
+  status: "active",
+  startAt: new Date(now - DAY),
+  endAt: new Date(now.getTime() + DAY),
+  ...extra,
+});
+
+const cart = { items: [{ productId: "p1", sellerId: "s1", price: 1000, quantity: 2 }], shippingFee: 150 };
+
+// ---- pure rules ----
+const facts = { now, subtotal: 2000, userId: String(userId) };
+assert.equal(couponIneligibility(coupon({ code: "A" }), facts), null);
+assert.equal(couponIneligibility(null, facts).code, COUPON_REASONS.NOT_FOUND);
+assert.equal(couponIneligibility(coupon({ status: "paused" }), facts).code, COUPON_REASONS.INACTIVE);
+assert.equal(couponIneligibility(coupon({ startAt: new Date(now.getTime() + DAY) }), facts).code, COUPON_REASONS.NOT_STARTED);
+assert.equal(couponIneligibility(coupon({ endAt: new Date(now - 1000) }), facts).code, COUPON_REASONS.EXPIRED);
+assert.equal(couponIneligibility(coupon({}), { ...facts, targetsCart: false }).code, COUPON_REASONS.NOT_APPLICABLE);
+
+const minR = couponIneligibility(coupon({ minCartSubtotal: 2500 }), facts);
+assert.equal(minR.code, COUPON_REASONS.MIN_SUBTOTAL);
+assert.equal(minR.shortBy, 500);
+
+assert.equal(couponIneligibility(coupon({ usageLimitTotal: 5, usedCount: 5 }), facts).code, COUPON_REASONS.USAGE_LIMIT);
+assert.equal(couponIneligibility(coupon({ usageLimitTotal: 5, usedCount: 4 }), facts), null);
+
+assert.equal(couponIneligibility(coupon({ perUserLimit: 1 }), { now, subtotal: 2000 }).code, COUPON_REASONS.LOGIN_REQUIRED);
+const perUser = couponIneligibility(coupon({ perUserLimit: 2 }), { ...facts, userRedemptions: 2 });
+assert.deepEqual([perUser.code, perUser.limit, perUser.used], [COUPON_REASONS.PER_USER_LIMIT, 2, 2]);
+assert.equal(couponIneligibility(coupon({ perUserLimit: 2 }), { ...facts, userRedemptions: 1 }), null);
+
+const personal = coupon({ allowedUserIds: [String(userId)] });
+assert.equal(couponIneligibility(personal, facts), null);
+assert.equal(couponIneligibility(personal, { ...facts, userId: String(new ObjectId()) }).code, COUPON_REASONS.NOT_FOR_USER);
+assert.equal(couponIneligibility(personal, { now, subtotal: 2000 }).code, COUPON_REASONS.LOGIN_REQUIRED);
+
+assert.equal(couponIneligibility(coupon({ firstOrderOnly: true }), { ...facts, priorOrders: 1 }).code, COUPON_REASONS.FIRST_ORDER_ONLY);
+assert.equal(couponIneligibility(coupon({ firstOrderOnly: true }), { ...facts, priorOrders: 0 }), null);
+
+assert.equal(couponIneligibility(coupon({ customerSegment: "returning" }), { ...facts, priorOrders: 0 }).code, COUPON_REASONS.SEGMENT);
+assert.equal(couponIneligibility(coupon({ customerSegment: "returning" }), { ...facts, priorOrders: 1 }), null);
+assert.equal(couponIneligibility(coupon({ customerSegment: "new" }), { ...facts, customerSince: new Date(now - 40 * DAY) }).code, COUPON_REASONS.SEGMENT);
+assert.equal(couponIneligibility(coupon({ customerSegment: "new" }), { ...facts, customerSince: new Date(now - 5 * DAY) }), null);
+assert.equal(couponIneligibility(coupon({ customerSegment: "new", newCustomerDays: 3 }), { ...facts, customerSince: new Date(now - 5 * DAY) }).code, COUPON_REASONS.SEGMENT);
+
+const pay = couponIneligibility(coupon({ allowedPaymentMethods: ["esewa"] }), { ...facts, paymentMethod: "cod" });
+assert.equal(pay.code, COUPON_REASONS.PAYMENT_METHOD);
+assert.deepEqual(pay.allowedPaymentMethods, ["esewa"]);
+assert.equal(couponIneligibility(coupon({ allowedPaymentMethods: ["esewa"] }), { ...facts, paymentMethod: "ESEWA" }), null);
+// Unknown payment method (cart preview) doesn't reject
+assert.equal(couponIneligibility(coupon({ allowedPaymentMethods: ["esewa"] }), facts), null);
+
+// ---- through applyDiscounts ----
+const welcome = coupon({ code: "WELCOME", firstOrderOnly: true });
+const vip = coupon({ code: "VIP", perUserLimit: 1, customerSegment: "returning" });
+const epay = coupon({ code: "EPAY", allowedPaymentMethods: ["esewa"] });
+const old = coupon({ code: "OLD", endAt: new Date(now - DAY) });
+const freeShip = coupon({ code: "SHIPFREE", kind: "free_shipping", value: 0, firstOrderOnly: true });
+
+const db = fakeDb({
+  discounts: [welcome, vip, epay, old, freeShip],
+  orders: [{ userId, status: "delivered" }],
+  couponRedemptions: [{ discountId: String(vip._id), userId: String(userId), usedCount: 1 }],
+  users: [{ _id: userId, createdAt: new Date(now - 400 * DAY) }],
+});
+
+let r = await applyDiscounts(cart, { db, couponCode: "welcome", userId: String(userId) });
+assert.equal(r.appliedAdmin.priceDiscount, null);
+assert.equal(r.totals.adminDiscountTotal, 0);
+assert.equal(r.meta.couponEligibility.eligible, false);
+assert.equal(r.meta.couponReason, COUPON_REASONS.FIRST_ORDER_ONLY);
+assert.ok(r.meta.couponMessage);
+
+// Same coupon for someone with no orders
+const newbie = new ObjectId();
+r = await applyDiscounts(cart, { db, couponCode: "WELCOME", userId: String(newbie) });
+assert.equal(r.meta.couponEligibility.eligible, true);
+assert.equal(r.appliedAdmin.priceDiscount.code, "WELCOME");
+assert.equal(r.totals.adminDiscountTotal, 200);
+
+// Guests can't use customer-bound coupons
+r = await applyDiscounts(cart, { db, couponCode: "WELCOME" });
+assert.equal(r.meta.couponReason, COUPON_REASONS.LOGIN_REQUIRED);
+
+r = await applyDiscounts(cart, { db, couponCode: "VIP", userId: String(userId) });
+assert.equal(r.meta.couponReason, COUPON_REASONS.PER_USER_LIMIT);
+
+r = await applyDiscounts(cart, { db, couponCode: "EPAY", userId: String(userId) });
+assert.equal(r.meta.couponEligibility.eligible, true);
+assert.deepEqual(r.meta.couponEligibility.pending, { allowedPaymentMethods: ["esewa"] });
+r = await applyDiscounts(cart, { db, couponCode: "EPAY", userId: String(userId), paymentMethod: "cod" });
+assert.equal(r.meta.couponReason, COUPON_REASONS.PAYMENT_METHOD);
+assert.equal(r.totals.adminDiscountTotal, 0);
+
+r = await applyDiscounts(cart, { db, couponCode: "OLD", userId: String(userId) });
+assert.equal(r.meta.couponReason, COUPON_REASONS.EXPIRED);
+
+r = await applyDiscounts(cart, { db, couponCode: "NOPE", userId: String(userId) });
+assert.equal(r.meta.couponReason, COUPON_REASONS.NOT_FOUND);
+
+// Free-shipping coupons only apply with their code and their rules
+r = await applyDiscounts(cart, { db, couponCode: "", userId: String(userId) });
+assert.equal(r.totals.shippingDiscount, 0);
+assert.equal(r.meta.couponEligibility, null);
+r = await applyDiscounts(cart, { db, couponCode: "SHIPFREE", userId: String(newbie) });
+assert.equal(r.totals.shippingDiscount, 150);
+
+console.log("✅ coupon eligibility tests passed");
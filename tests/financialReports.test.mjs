@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+
+import { autoAccountsFor, DEFAULT_ACCOUNTS } from "../services/finance/chartOfAccounts.js";
+import {
+  REPORTS,
+  buildBalanceSheet,
+  buildProfitAndLoss,
+  buildTrialBalance,
+  comparativePeriod,
+  mergeTotals,
+  parseReportQuery,
+  reportTable,
+  rollUpAccounts,
+  uncoveredWindows,
+} from "../services/finance/financialReports.js";
+import { buildFinancialReportPdf } from "../services/finance/financialReportPdf.js";
+
+// ---- periods ----
+assert.deepEqual(parseReportQuery({ from: "2026-05-01", to: "2026-05-31", compare: "previous_period" }).value.columns, [
+  { label: "current", from: "2026-05-01", to: "2026-05-31" },
+  { label: "previous_period", from: "2026-03-31", to: "2026-04-30" },
+]);
+assert.deepEqual(comparativePeriod({ from: "2024-02-01", to: "2024-02-29" }, "previous_year"), {
+  from: "2023-02-01",
+  to: "2023-02-28",
+});
+assert.deepEqual(parseReportQuery({ to: "2026-05-20" }, { report: REPORTS.BALANCE_SHEET }).value.columns, [
+  { label: "current", from: "2026-05-01", to: "2026-05-20" },
+]);
+assert.match(parseReportQuery({ to: "2026-05-20" }).error, /from/);
+assert.match(parseReportQuery({ from: "2026-05-02", to: "2026-05-01" }).error, /on or before/);
+assert.match(parseReportQuery({ from: "2026-02-30", to: "2026-03-01" }).error, /from/);
+assert.match(parseReportQuery({ from: "2026-05-01", to: "2026-05-02", compare: "last" }).error, /compare/);
+
+// ---- snapshot coverage ----
+// Kathmandu day 2026-05-02 = 2026-05-01T18:15Z .. 2026-05-02T18:15Z
+const iso = (ws) => ws.map((w) => [w.from && w.from.toISOString(), w.to.toISOString()]);
+assert.deepEqual(iso(uncoveredWindows("2026-05-01", "2026-05-04", ["2026-05-02", "2026-05-03", "2026-04-01"])), [
+  ["2026-04-30T18:15:00.000Z", "2026-05-01T18:15:00.000Z"],
+  ["2026-05-03T18:15:00.000Z", "2026-05-04T18:15:00.000Z"],
+]);
+assert.deepEqual(iso(uncoveredWindows(null, "2026-05-02", ["2026-05-01", "2026-05-02"])), [
+  [null, "2026-04-30T18:15:00.000Z"],
+]);
+assert.deepEqual(uncoveredWindows("2026-05-01", "2026-05-01", ["2026-05-01"]), []);
+
+// ---- chart roll-up ----
+const accounts = [
+  ...autoAccountsFor(DEFAULT_ACCOUNTS.map((a) => a.key)),
+  { key: "expense:opex", name: "Operating expenses", type: "expense", postable: false, parentKey: null },
+  { key: "expense:rent", name: "Rent", type: "expense", parentKey: "expense:opex" },
+];
+const t = (debit, credit) => ({ debit, credit });
+
+// capture 1300, platform discount 250, invoice 900 + commission 100, payout 900, rent 50 paid
+const may = new Map([
+  ["platform:clearing", t(1300, 950)],
+  ["platform:cash_bank", t(1000, 1550)],
+  ["seller:s1", t(900, 900)],
+  ["seller:s2", t(0, 0)],
+  ["platform:commission", t(0, 100)],
+  ["platform:promotions", t(250, 0)],
+  ["expense:rent", t(50, 0)],
+]);
+const april = new Map([
+  ["platform:clearing", t(500, 0)],
+  ["platform:cash_bank", t(0, 400)],
+  ["platform:commission", t(0, 100)],
+  ["legacy:fees", t(0, 0)],
+]);
+assert.deepEqual(mergeTotals(may, april).get("platform:clearing"), t(1800, 950));
+
+const rolled = rollUpAccounts(accounts, [may], { detail: true, names: new Map([["seller:s1", "Seller Asha Store"]]) });
+const byKey = new Map(rolled.rows.map((r) => [r.key, r]));
+assert.deepEqual(byKey.get("expense:opex").amounts, [t(50, 0)]);
+assert.equal(byKey.get("expense:opex").header, true);
+assert.deepEqual(byKey.get("platform:seller_payables").amounts, [t(900, 900)]);
+assert.equal(byKey.get("seller:s1").name, "Seller Asha Store");
+assert.equal(byKey.get("seller:s1").depth, 1);
+assert.deepEqual([...new Set(rolled.rows.map((r) => r.type))], ["asset", "liability", "revenue", "expense"]);
+assert.deepEqual(rollUpAccounts(accounts, [new Map([["legacy:fees", t(5, 0)]])]).unmapped, [
+  { key: "legacy:fees", amounts: [t(5, 0)] },
+]);
+
+// ---- trial balance ----
+const tb = buildTrialBalance(accounts, [{ label: "current", from: "2026-05-01", to: "2026-05-31", opening: april, movement: may }]);
+const tbRow = (key) => tb.sections.flatMap((s) => s.rows).find((r) => r.key === key);
+assert.deepEqual(tbRow("platform:clearing").values, [500, 1300, 950, 850]);
+assert.deepEqual(tbRow("platform:cash_bank").values, [-400, 1000, 1550, -950]);
+assert.equal(tbRow("platform:gift_cards"), undefined); // zero rows are left out
+assert.deepEqual(tb.summary[0].values, [0, 3500, 3500, 0]);
+assert.deepEqual(tb.checks, [{ label: "current", balanced: true, difference: 0 }]);
+
+// ---- profit and loss, with a comparative column ----
+const pl = buildProfitAndLoss(accounts, [
+  { label: "current", from: "2026-05-01", to: "2026-05-31", movement: may },
+  { label: "previous_period", from: "2026-03-31", to: "2026-04-30", movement: april },
+]);
+assert.deepEqual(pl.sections.map((s) => [s.type, s.total]), [
+  ["revenue", [100, 100]],
+  ["expense", [300, 0]],
+]);
+assert.deepEqual(pl.summary.find((s) => s.label === "Net income").values, [-200, 100]);
+assert.deepEqual(pl.sections[1].rows.map((r) => [r.key, r.depth, r.values]), [
+  ["expense:opex", 0, [50, 0]],
+  ["expense:rent", 1, [50, 0]],
+  ["platform:promotions", 0, [250, 0]],
+]);
+
+// ---- balance sheet ----
+const bs = buildBalanceSheet(accounts, [{ label: "current", from: "2026-05-01", to: "2026-05-31", cumulative: mergeTotals(april, may) }]);
+assert.deepEqual(bs.sections.map((s) => [s.type, s.total]), [
+  ["asset", [850]],
+  ["liability", [950]],
+  ["equity", [-100]],
+]);
+assert.equal(bs.sections[2].rows.at(-1).name, "Current earnings");
+assert.deepEqual(bs.checks, [{ label: "current", balanced: true, difference: 0 }]);
+assert.deepEqual(bs.columns, [{ label: "current", from: null, to: "2026-05-31" }]);
+
+// ---- export ----
+const table = reportTable(tb);
+assert.deepEqual(table.header, [
+  "Section",
+  "Account",
+  "Name",
+  "Level",
+  "Opening (2026-05-01 to 2026-05-31)",
+  "Debit (2026-05-01 to 2026-05-31)",
+  "Credit (2026-05-01 to 2026-05-31)",
+  "Closing (2026-05-01 to 2026-05-31)",
+]);
+assert.deepEqual(table.rows.at(-1), ["", "", "Total", "", "0", "3500", "3500", "0"]);
+assert.deepEqual(reportTable(bs).header.slice(4), ["As of 2026-05-31"]);
+
+const pdf = await buildFinancialReportPdf({ ...pl, generatedAt: new Date("2026-06-01T00:00:00Z") });
+assert.equal(pdf.subarray(0, 4).toString(), "%PDF");
+
+console.log("✅ financial report tests passed");
@@ -0,0 +1,183 @@
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { applyDiscounts, groupDiscountAllocation, parseGroupDiscountRules } from "../utils/discountEngine.js";
+
+// applyDiscounts only needs discounts.find(); the candidate query is the engine's concern.
+const fakeDb = (discounts) => ({
+  collection: () => ({ find: () => ({ toArray: async () => discounts }), findOne: async () => null }),
+});
+
+const now = Date.now();
+const promo = (extra) => ({
+  _id: new ObjectId(),
+  status: "active",
+  startAt: new Date(now - 60_000),
+  endAt: new Date(now + 60_000),
+  ...extra,
+});
+const seller = (extra) => promo({ authority: "seller", kind: "seller_discount", sellerId: "s1", scope: "store", ...extra });
+const campaign = (extra) => promo({ authority: "admin", codeType: "campaign", scope: "cart", ...extra });
+
+const approx = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+const lineDiscounts = (r, key) => r.items.map((it) => it.pricing[key]);
+
+// ---- rule parsing ----
+assert.deepEqual(parseGroupDiscountRules("bogo", { bxgy: { buyQty: "2", getQty: 1 } }).rules.bxgy, {
+  buyQty: 2,
+  getQty: 1,
+  getPercent: 100,
+  maxApplications: null,
+});
+assert.equal(parseGroupDiscountRules("bxgy", { bxgy: { buyQty: 0, getQty: 1 } }).ok, false);
+assert.equal(parseGroupDiscountRules("bxgy", { bxgy: { buyQty: 1, getQty: 1, getPercent: 150 } }).ok, false);
+
+const tiered = parseGroupDiscountRules("tiered", { tiers: [{ minSubtotal: 5000, value: 15 }, { minSubtotal: 2000, value: 10 }] });
+assert.deepEqual(tiered.rules.tiers.map((t) => t.minSubtotal), [2000, 5000]);
+assert.equal(tiered.rules.tierType, "percentage");
+assert.equal(tiered.rules.bxgy, null);
+assert.equal(parseGroupDiscountRules("tiered", { tiers: [] }).ok, false);
+assert.equal(parseGroupDiscountRules("tiered", { tiers: [{ minSubtotal: 1, value: 5 }, { minSubtotal: 1, value: 6 }] }).ok, false);
+assert.equal(parseGroupDiscountRules("tiered", { tierType: "bogus", tiers: [{ minSubtotal: 1, value: 5 }] }).ok, false);
+
+assert.equal(parseGroupDiscountRules("bundle", { bundle: { items: [{ productId: "a" }], price: 10 } }).ok, false);
+assert.equal(parseGroupDiscountRules("bundle", { bundle: { items: [{ productId: "a" }, { productId: "a" }], price: 10 } }).ok, false);
+assert.equal(parseGroupDiscountRules("bundle", { bundle: { items: [{ productId: "a", quantity: 2 }], price: 0 } }).ok, false);
+assert.deepEqual(parseGroupDiscountRules("bundle", { bundle: { items: [{ productId: "a", quantity: 2 }], price: 10 } }).rules.bundle, {
+  items: [{ productId: "a", quantity: 2 }],
+  price: 10,
+  maxApplications: null,
+});
+assert.equal(parseGroupDiscountRules("percentage", {}).ok, false);
+
+// ---- allocation ----
+// Buy 2 get 1: 5 units -> one application, cheapest unit free
+let alloc = groupDiscountAllocation({ kind: "bxgy", bxgy: { buyQty: 2, getQty: 1 } }, [
+  { productId: "a", quantity: 3, base: 900, amount: 900, eligible: true },
+  { productId: "b", quantity: 2, base: 400, amount: 400, eligible: true },
+]);
+assert.deepEqual(alloc, [0, 200]);
+
+// Half off the get units, two applications, capped by maxApplications 1
+alloc = groupDiscountAllocation({ kind: "bxgy", bxgy: { buyQty: 1, getQty: 1, getPercent: 50, maxApplications: 1 } }, [
+  { productId: "a", quantity: 4, base: 400, amount: 400, eligible: true },
+]);
+assert.deepEqual(alloc, [50]);
+
+// Ineligible lines don't count towards the group
+alloc = groupDiscountAllocation({ kind: "bxgy", bxgy: { buyQty: 2, getQty: 1 } }, [
+  { productId: "a", quantity: 2, base: 200, amount: 200, eligible: true },
+  { productId: "b", quantity: 5, base: 50, amount: 50, eligible: false },
+]);
+assert.deepEqual(alloc, [0, 0]);
+
+// Tier reached on base, applied to amount; flat tiers spread proportionally
+const tiers = [{ minSubtotal: 2000, value: 10 }, { minSubtotal: 5000, value: 15 }];
+alloc = groupDiscountAllocation({ kind: "tiered", tiers }, [
+  { quantity: 1, base: 3000, amount: 3000, eligible: true },
+  { quantity: 1, base: 2500, amount: 2000, eligible: true },
+]);
+assert.deepEqual(alloc, [450, 300]);
+alloc = groupDiscountAllocation({ kind: "tiered", tierType: "flat", tiers: [{ minSubtotal: 1000, value: 300 }] }, [
+  { quantity: 1, base: 1000, amount: 1000, eligible: true },
+  { quantity: 1, base: 500, amount: 500, eligible: true },
+  { quantity: 1, base: 999, amount: 999, eligible: false },
+]);
+assert.deepEqual(alloc, [200, 100, 0]);
+assert.deepEqual(groupDiscountAllocation({ kind: "tiered", tiers }, [{ quantity: 1, base: 1999, amount: 1999, eligible: true }]), [0]);
+
+// maxDiscount caps the whole promo
+alloc = groupDiscountAllocation({ kind: "tiered", tiers, maxDiscount: 300 }, [
+  { quantity: 1, base: 3000, amount: 3000, eligible: true },
+  { quantity: 1, base: 3000, amount: 3000, eligible: true },
+]);
+assert.deepEqual(alloc, [150, 150]);
+
+// Bundle: A x1 (500) + B x2 (350 each) for 1000 -> 200 saved per set, split by component value
+const bundle = { kind: "bundle", bundle: { items: [{ productId: "A", quantity: 1 }, { productId: "B", quantity: 2 }], price: 1000 } };
+alloc = groupDiscountAllocation(bundle, [
+  { productId: "A", quantity: 2, base: 1000, amount: 1000, eligible: true },
+  { productId: "B", quantity: 3, base: 1050, amount: 1050, eligible: true },
+  { productId: "C", quantity: 1, base: 100, amount: 100, eligible: true },
+]);
+approx(alloc[0], (200 * 500) / 1200);
+approx(alloc[1], (200 * 700) / 1200);
+assert.equal(alloc[2], 0);
+// Incomplete set / bundle price above the items' price: nothing
+assert.deepEqual(groupDiscountAllocation(bundle, [{ productId: "A", quantity: 1, base: 500, amount: 500, eligible: true }]), [0]);
+assert.deepEqual(
+  groupDiscountAllocation({ ...bundle, bundle: { ...bundle.bundle, price: 5000 } }, [
+    { productId: "A", quantity: 1, base: 500, amount: 500, eligible: true },
+    { productId: "B", quantity: 2, base: 700, amount: 700, eligible: true },
+  ]),
+  [0, 0]
+);
+
+// ---- through applyDiscounts ----
+const cart = {
+  items: [
+    { productId: "A", sellerId: "s1", categoryId: "c1", price: 500, quantity: 2 },
+    { productId: "B", sellerId: "s1", categoryId: "c1", price: 350, quantity: 2 },
+    { productId: "C", sellerId: "s2", categoryId: "c2", price: 1000, quantity: 1 },
+  ],
+  shippingFee: 100,
+};
+
+// Seller bxgy: s1 has 4 units -> one B free; s2 untouched. Counts as seller-funded.
+let r = await applyDiscounts(cart, {
+  db: fakeDb([seller({ discountType: "bxgy", bxgy: { buyQty: 3, getQty: 1 } })]),
+});
+assert.deepEqual(lineDiscounts(r, "sellerDiscount"), [0, 350, 0]);
+assert.deepEqual(lineDiscounts(r, "adminDiscount"), [0, 0, 0]);
+assert.equal(r.totals.sellerDiscountTotal, 350);
+assert.equal(r.items[1].applied.seller.discountTypeNormalized, "bxgy");
+assert.equal(r.items[0].applied.seller.discountTypeNormalized, "bxgy"); // buy line is part of the deal
+assert.equal(r.totals.grandTotal, 2700 - 350 + 100);
+
+// A per-item discount worth more than the group promo keeps its lines
+r = await applyDiscounts(cart, {
+  db: fakeDb([
+    seller({ discountType: "bxgy", bxgy: { buyQty: 3, getQty: 1 } }),
+    seller({ discountType: "percentage", value: 25 }),
+  ]),
+});
+assert.deepEqual(lineDiscounts(r, "sellerDiscount"), [250, 175, 0]);
+
+// Seller bundle on its own products
+r = await applyDiscounts(cart, {
+  db: fakeDb([seller({ discountType: "bundle", bundle: { items: [{ productId: "A" }, { productId: "B" }], price: 700 } })]),
+});
+approx(r.totals.sellerDiscountTotal, 300);
+approx(r.items[0].pricing.sellerDiscount, (300 * 500) / 850);
+
+// Admin tiered campaign on top of seller discounts: tier reached on 2700 base, applied after seller
+r = await applyDiscounts(cart, {
+  db: fakeDb([
+    seller({ discountType: "percentage", value: 10 }),
+    campaign({ kind: "tiered", tiers: [{ minSubtotal: 2000, value: 10 }, { minSubtotal: 5000, value: 15 }] }),
+  ]),
+});
+assert.deepEqual(lineDiscounts(r, "sellerDiscount"), [100, 70, 0]);
+assert.deepEqual(lineDiscounts(r, "adminDiscount"), [90, 63, 100]);
+assert.equal(r.appliedAdmin.priceDiscount.codeType, "campaign");
+assert.equal(r.items[2].applied.admin.discountTypeNormalized, "tiered");
+
+// An admin bxgy the cart doesn't complete doesn't block a lower-priority campaign
+r = await applyDiscounts(cart, {
+  db: fakeDb([
+    campaign({ kind: "bxgy", priority: 10, bxgy: { buyQty: 5, getQty: 1 } }),
+    campaign({ kind: "percentage", value: 5, priority: 1 }),
+  ]),
+});
+assert.equal(r.items[0].applied.admin.discountTypeNormalized, "percentage");
+assert.equal(r.totals.adminDiscountTotal, 135);
+
+// Admin bundle campaign: targets its products only
+r = await applyDiscounts(cart, {
+  db: fakeDb([
+    campaign({ kind: "bundle", scope: "product", bundle: { items: [{ productId: "A" }, { productId: "C" }], price: 1200 } }),
+  ]),
+});
+approx(r.totals.adminDiscountTotal, 300);
+assert.equal(r.items[1].pricing.adminDiscount, 0);
+
+console.log("✅ group discount tests passed");
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+
+import {
+  issueGuestToken,
+  verifyGuestToken,
+  parseGuestContact,
+  mergeCartItems,
+  cartTotals,
+} from "../services/cart/guestCart.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ---- tokens ----
+const now = Date.now();
+const { token, guestId, expiresAt } = issueGuestToken({ now, ttlDays: 30 });
+assert.match(guestId, /^[a-f0-9]{32}$/);
+assert.equal(verifyGuestToken(token, { now }), guestId);
+assert.ok(Math.abs(expiresAt.getTime() - (now + 30 * DAY)) < 1000);
+
+assert.equal(verifyGuestToken(token, { now: now + 31 * DAY }), null); // expired
+const [, exp, sig] = token.split(".");
+assert.equal(verifyGuestToken(`${"a".repeat(32)}.${exp}.${sig}`, { now }), null); // someone else's cart
+assert.equal(verifyGuestToken(`${guestId}.${Number(exp) + DAY}.${sig}`, { now }), null); // stretched expiry
+assert.equal(verifyGuestToken(`${token}x`, { now }), null);
+assert.equal(verifyGuestToken("", { now }), null);
+assert.equal(verifyGuestToken(undefined, { now }), null);
+
+// Renewal keeps the cart
+const renewed = issueGuestToken({ guestId, now: now + 20 * DAY, ttlDays: 30 });
+assert.equal(verifyGuestToken(renewed.token, { now: now + 45 * DAY }), guestId);
+
+// ---- guest contact ----
+let c = parseGuestContact({ email: " Sita@Example.com ", phone: "98-0000 0001", name: "Sita Kumari Rai" });
+assert.deepEqual(c, {
+  email: "sita@example.com",
+  phone: "9800000001",
+  firstName: "Sita",
+  lastName: "Kumari Rai",
+  name: "Sita Kumari Rai",
+});
+c = parseGuestContact({ email: "ram@example.com" }, { phone: "+9779800000002", fullName: "Ram Thapa" });
+assert.equal(c.phone, "+9779800000002");
+assert.equal(c.firstName, "Ram");
+assert.ok(parseGuestContact({ email: "nope", phone: "9800000001" }).error);
+assert.ok(parseGuestContact({ email: "a@b.co", phone: "12" }).error);
+assert.ok(parseGuestContact(null).error);
+assert.equal(parseGuestContact({ email: "a@b.co", phone: "9800000001" }).name, "a@b.co");
+
+// ---- merge ----
+const account = [
+  { productId: "p1", price: 100, quantity: 2 },
+  { productId: "p2", price: 50, quantity: 1 },
+];
+const guest = [
+  { productId: "p1", price: 100, quantity: 3 },
+  { productId: "p3", price: 20, quantity: 4 },
+  { productId: "p4", price: 10, quantity: 0 }, // ignored
+];
+const qty = (items) => Object.fromEntries(items.map((it) => [it.productId, it.quantity]));
+
+let r = mergeCartItems(account, guest, { rule: "max" });
+assert.deepEqual(qty(r.items), { p1: 3, p2: 1, p3: 4 });
+assert.deepEqual(r.summary, { added: 1, combined: 1, capped: 0, dropped: 0 });
+assert.deepEqual(r.items.map((it) => it.productId), ["p1", "p2", "p3"]);
+assert.equal(account[0].quantity, 2); // inputs untouched
+
+assert.deepEqual(qty(mergeCartItems(account, guest, { rule: "sum" }).items), { p1: 5, p2: 1, p3: 4 });
+assert.deepEqual(qty(mergeCartItems(account, guest, { rule: "guest" }).items), { p1: 3, p2: 1, p3: 4 });
+assert.deepEqual(qty(mergeCartItems(account, guest, { rule: "account" }).items), { p1: 2, p2: 1, p3: 4 });
+
+// Variants of one product are separate lines
+r = mergeCartItems([{ productId: "p1", variantSku: "RED", quantity: 1 }], [{ productId: "p1", variantSku: "BLUE", quantity: 1 }]);
+assert.equal(r.items.length, 2);
+
+// Stock caps and drops
+r = mergeCartItems(account, guest, { rule: "sum", stockByProduct: new Map([["p1", 4], ["p3", 0]]) });
+assert.deepEqual(qty(r.items), { p1: 4, p2: 1 });
+assert.deepEqual(r.summary, { added: 1, combined: 1, capped: 1, dropped: 1 });
+
+// Nothing on the account side
+r = mergeCartItems([], guest);
+assert.deepEqual(qty(r.items), { p1: 3, p3: 4 });
+
+assert.deepEqual(cartTotals(mergeCartItems(account, guest, { rule: "max" }).items), {
+  subtotal: 430,
+  shippingFee: 0,
+  grandTotal: 430,
+  totalQuantity: 8,
+});
+
+console.log("✅ guest cart tests passed");
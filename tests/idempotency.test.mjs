@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import {
+  isValidIdempotencyKey,
+  requestFingerprint,
+  shouldStoreResponse,
+  idempotencyDocId,
+} from "../services/security/idempotency.js";
+
+// Key format
+assert.equal(isValidIdempotencyKey("3f6c1b2a-9d4e-4f7a-8b1c-0e2d3f4a5b6c"), true);
+assert.equal(isValidIdempotencyKey("short"), false);
+assert.equal(isValidIdempotencyKey("has spaces in it"), false);
+assert.equal(isValidIdempotencyKey("x".repeat(256)), false);
+assert.equal(isValidIdempotencyKey(undefined), false);
+
+// Fingerprint ignores key order, not values
+const base = { method: "post", path: "/api/orders", body: { mode: "CART", paymentMethod: "cod", items: [{ a: 1, b: 2 }] } };
+const fp = requestFingerprint(base);
+assert.equal(fp, requestFingerprint({ ...base, method: "POST", body: { items: [{ b: 2, a: 1 }], paymentMethod: "cod", mode: "CART" } }));
+assert.notEqual(fp, requestFingerprint({ ...base, body: { ...base.body, paymentMethod: "esewa" } }));
+assert.notEqual(fp, requestFingerprint({ ...base, path: "/api/payment/esewa/initiate" }));
+// Array order is meaningful
+assert.notEqual(
+  requestFingerprint({ ...base, body: { items: [1, 2] } }),
+  requestFingerprint({ ...base, body: { items: [2, 1] } })
+);
+// Undefined fields are the same as missing ones
+assert.equal(requestFingerprint({ ...base, body: { a: 1, b: undefined } }), requestFingerprint({ ...base, body: { a: 1 } }));
+
+// 2xx and 4xx are replayed, 5xx frees the key
+assert.equal(shouldStoreResponse(201), true);
+assert.equal(shouldStoreResponse(400), true);
+assert.equal(shouldStoreResponse(409), true);
+assert.equal(shouldStoreResponse(500), false);
+assert.equal(shouldStoreResponse(503), false);
+
+// Keys are scoped per endpoint and per user
+assert.notEqual(
+  idempotencyDocId({ scope: "orders.create", userId: "u1", key: "k-12345678" }),
+  idempotencyDocId({ scope: "orders.create", userId: "u2", key: "k-12345678" })
+);
+assert.notEqual(
+  idempotencyDocId({ scope: "orders.create", userId: "u1", key: "k-12345678" }),
+  idempotencyDocId({ scope: "esewa.initiate", userId: "u1", key: "k-12345678" })
+);
+
+console.log("✅ idempotency tests passed");
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+
+import {
+  JOURNAL_STATUS,
+  JOURNAL_TYPES,
+  isBalancedLines,
+  journalCategory,
+  journalGroupId,
+  journalLegs,
+  parseJournalInput,
+  reversalLines,
+  transitionError,
+} from "../services/finance/journals.js";
+
+const now = new Date("2026-06-10T08:00:00Z");
+const lines = [
+  { accountKey: "platform:promotions", dc: "debit", amount: 120.5, note: "Coupon wrongly charged to seller" },
+  { accountKey: "seller:s1", dc: "credit", amount: "120.50" },
+];
+
+// ---- input ----
+let parsed = parseJournalInput({ memo: " Correct coupon funding ", lines, postedAt: "2026-06-01T00:00:00Z" }, { now });
+assert.equal(parsed.value.memo, "Correct coupon funding");
+assert.equal(parsed.value.postedAt.toISOString(), "2026-06-01T00:00:00.000Z");
+assert.deepEqual(parsed.value.lines[1], { accountKey: "seller:s1", dc: "credit", amount: 120.5, note: null });
+assert.equal(parseJournalInput({ memo: "x", lines }, { now }).value.postedAt, null);
+
+assert.match(parseJournalInput({ lines }, { now }).error, /memo/);
+assert.match(parseJournalInput({ memo: "x", lines: lines.slice(0, 1) }, { now }).error, /two lines/);
+assert.match(parseJournalInput({ memo: "x", lines: [lines[0], { ...lines[1], amount: 120 }] }, { now }).error, /equal/);
+assert.match(parseJournalInput({ memo: "x", lines: [lines[0], { ...lines[1], dc: "cr" }] }, { now }).error, /Line 2: dc/);
+assert.match(parseJournalInput({ memo: "x", lines: [{ ...lines[0], accountKey: "promotions" }, lines[1]] }, { now }).error, /Line 1/);
+assert.match(parseJournalInput({ memo: "x", lines: [{ ...lines[0], amount: -1 }, lines[1]] }, { now }).error, /above zero/);
+assert.match(parseJournalInput({ memo: "x", lines, postedAt: "2026-07-01" }, { now }).error, /future/);
+assert.deepEqual(parseJournalInput({ memo: "Fixed memo" }, { partial: true, now }).value, { memo: "Fixed memo" });
+
+// Cents, not floats
+assert.ok(isBalancedLines([
+  { dc: "debit", amount: 0.1 },
+  { dc: "debit", amount: 0.2 },
+  { dc: "credit", amount: 0.3 },
+]));
+
+// ---- reversal ----
+const entries = [
+  { accountKey: "platform:cash_bank", dc: "debit", amount: 900, note: "Invoice INV-7" },
+  { accountKey: "seller:s1", dc: "credit", amount: 900, note: null },
+];
+assert.deepEqual(reversalLines(entries), [
+  { accountKey: "platform:cash_bank", dc: "credit", amount: 900, note: "Reversal: Invoice INV-7" },
+  { accountKey: "seller:s1", dc: "debit", amount: 900, note: null },
+]);
+
+// ---- maker-checker ----
+const maker = { id: "u1", email: "maker@example.com" };
+const draft = { status: JOURNAL_STATUS.DRAFT, createdBy: maker };
+assert.equal(transitionError(draft, "update", "u1"), null);
+assert.equal(transitionError(draft, "submit", "u1"), null);
+assert.match(transitionError(draft, "submit", "u2"), /author/);
+assert.match(transitionError(draft, "approve", "u2"), /submitted/);
+
+const submitted = { ...draft, status: JOURNAL_STATUS.SUBMITTED, submittedBy: maker };
+assert.match(transitionError(submitted, "approve", "u1"), /different finance user/);
+assert.match(transitionError(submitted, "reject", "u1"), /rejected by a different/);
+assert.equal(transitionError(submitted, "approve", "u2"), null);
+assert.equal(transitionError(submitted, "reject", "u2"), null);
+assert.match(transitionError(submitted, "update", "u1"), /can't be changed/);
+assert.equal(transitionError(submitted, "cancel", "u1"), null);
+
+const rejected = { ...submitted, status: JOURNAL_STATUS.REJECTED };
+assert.equal(transitionError(rejected, "update", "u1"), null);
+assert.equal(transitionError(rejected, "submit", "u1"), null);
+
+const approved = { ...submitted, status: JOURNAL_STATUS.APPROVED };
+for (const action of ["update", "submit", "cancel", "approve", "reject"]) assert.ok(transitionError(approved, action, "u2"));
+
+// ---- posting ----
+const journal = {
+  _id: "6650a1b2c3d4e5f601234567",
+  journalNumber: "JV-2026-000001",
+  type: JOURNAL_TYPES.REVERSAL,
+  memo: "Reversal of invoice_issued_i1",
+  lines: reversalLines(entries),
+  reversalOf: { transactionGroupId: "invoice_issued_i1" },
+};
+assert.equal(journalGroupId(journal), "journal_6650a1b2c3d4e5f601234567");
+assert.equal(journalCategory(journal), "journal_reversal");
+assert.equal(journalCategory({ type: JOURNAL_TYPES.MANUAL }), "journal_adjustment");
+const legs = journalLegs(journal);
+assert.equal(legs[1].note, "Reversal of invoice_issued_i1");
+assert.deepEqual(legs[0].meta, {
+  journalId: "6650a1b2c3d4e5f601234567",
+  journalNumber: "JV-2026-000001",
+  reversalOf: "invoice_issued_i1",
+});
+
+console.log("✅ journal tests passed");
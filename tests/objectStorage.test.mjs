@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+
+import { createLocalStorage, contentKey } from "../services/storage/objectStorage.js";
+import { variantKey } from "../services/storage/imageVariants.js";
+import { storeUpload, storeUploads, checkUpload, UPLOAD_KINDS } from "../services/storage/uploadService.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+const storage = createLocalStorage({ root, publicBase: "/uploads" });
+
+try {
+  // Content keys
+  const a = contentKey(Buffer.from("hello"), { prefix: "products", ext: ".png" });
+  assert.equal(a.sha256, "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824");
+  assert.equal(a.key, `products/2c/${a.sha256}.png`);
+  assert.deepEqual(contentKey(Buffer.from("hello"), { prefix: "products", ext: ".png" }), a);
+  assert.equal(variantKey(a.key, "thumb"), `products/2c/${a.sha256}/thumb.webp`);
+
+  // Local driver
+  await storage.put("x/1.txt", Buffer.from("one"));
+  await storage.put("x/1.txt", Buffer.from("one")); // same key again is a no-op
+  assert.deepEqual(await storage.head("x/1.txt"), { size: 3 });
+  assert.equal((await storage.getBuffer("x/1.txt")).toString(), "one");
+  assert.equal(await storage.head("x/missing.txt"), null);
+  assert.equal(await storage.getStream("x/missing.txt"), null);
+  assert.equal(storage.publicUrl("x/1.txt"), "/uploads/x/1.txt");
+  await storage.delete("x/1.txt");
+  await storage.delete("x/1.txt");
+  assert.equal(await storage.head("x/1.txt"), null);
+
+  for (const bad of ["../escape.txt", "/etc/passwd", "a//b", "a/../../b", ""]) {
+    await assert.rejects(storage.put(bad, Buffer.from("x")), { code: "STORAGE_INVALID_KEY" }, bad);
+  }
+
+  // Validation
+  const png = await sharp({ create: { width: 1200, height: 600, channels: 3, background: "#c0ffee" } }).png().toBuffer();
+  const pdf = Buffer.from("%PDF-1.4\n1 0 obj\n", "latin1");
+  const svg = Buffer.from("<svg xmlns='http://www.w3.org/2000/svg'/>");
+
+  assert.deepEqual(checkUpload(png, UPLOAD_KINDS.PRODUCT_IMAGE), { mime: "image/png", ext: ".png" });
+  assert.deepEqual(checkUpload(pdf, UPLOAD_KINDS.SELLER_DOCUMENT), { mime: "application/pdf", ext: ".pdf" });
+  assert.throws(() => checkUpload(pdf, UPLOAD_KINDS.PRODUCT_IMAGE), { code: "UPLOAD_TYPE_NOT_ALLOWED", statusCode: 415 });
+  assert.throws(() => checkUpload(svg, UPLOAD_KINDS.BRAND_LOGO), { code: "UPLOAD_TYPE_NOT_ALLOWED" });
+  assert.throws(() => checkUpload(Buffer.alloc(0), UPLOAD_KINDS.BRAND_LOGO), { code: "UPLOAD_EMPTY", statusCode: 400 });
+  assert.throws(() => checkUpload(png, { ...UPLOAD_KINDS.PRODUCT_IMAGE, maxBytes: 10 }), { code: "UPLOAD_TOO_LARGE", statusCode: 413 });
+
+  // Product image with variants
+  const stored = await storeUpload({ buffer: png, originalname: "../Red Lipstick.PNG" }, UPLOAD_KINDS.PRODUCT_IMAGE, { storage });
+  assert.match(stored.key, /^products\/[0-9a-f]{2}\/[0-9a-f]{64}\.png$/);
+  assert.equal(stored.url, `/uploads/${stored.key}`);
+  assert.equal(stored.name, "Red Lipstick.png");
+  assert.equal(stored.mime, "image/png");
+  assert.deepEqual(Object.keys(stored.variants), ["thumb", "medium", "large"]);
+
+  const thumb = await storage.getBuffer(variantKey(stored.key, "thumb"));
+  const thumbMeta = await sharp(thumb).metadata();
+  assert.equal(thumbMeta.format, "webp");
+  assert.deepEqual([thumbMeta.width, thumbMeta.height], [200, 100]);
+  // Never enlarged
+  const largeMeta = await sharp(await storage.getBuffer(variantKey(stored.key, "large"))).metadata();
+  assert.deepEqual([largeMeta.width, largeMeta.height], [1200, 600]);
+
+  // Same bytes -> same key
+  const again = await storeUpload({ buffer: png, originalname: "copy.png" }, UPLOAD_KINDS.PRODUCT_IMAGE, { storage });
+  assert.equal(again.key, stored.key);
+
+  // Other kinds: no variants
+  const doc = await storeUpload({ buffer: pdf, originalname: "pan.pdf" }, UPLOAD_KINDS.SELLER_DOCUMENT, { storage });
+  assert.match(doc.key, /^seller-documents\/[0-9a-f]{2}\/[0-9a-f]{64}\.pdf$/);
+  assert.deepEqual(doc.variants, {});
+
+  // Batch: nothing written if one file is rejected
+  const before = fs.readdirSync(root, { recursive: true }).length;
+  await assert.rejects(
+    storeUploads([{ buffer: pdf }, { buffer: svg }], UPLOAD_KINDS.RETURN_EVIDENCE, { storage }),
+    { code: "UPLOAD_TYPE_NOT_ALLOWED" }
+  );
+  assert.equal(fs.readdirSync(root, { recursive: true }).length, before);
+} finally {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+console.log("✅ object storage tests passed");
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+
+import {
+  LOCK_TYPES,
+  businessDateOf,
+  compareDaySnapshots,
+  describeLock,
+  lockAt,
+  parseDriftRange,
+  placePosting,
+} from "../services/finance/periodLocks.js";
+
+// ---- business days (Kathmandu, +05:45) ----
+assert.equal(businessDateOf(new Date("2026-05-31T18:14:59Z")), "2026-05-31");
+assert.equal(businessDateOf(new Date("2026-05-31T18:15:00Z")), "2026-06-01");
+
+// ---- locks ----
+const period = {
+  periodKey: "2026-06-H1",
+  startAt: new Date("2026-06-04T18:15:00Z"),
+  endAt: new Date("2026-06-09T18:15:00Z"),
+};
+const locks = { closedDays: new Set(["2026-06-01", "2026-06-02", "2026-06-04"]), closedPeriods: [period] };
+
+assert.deepEqual(lockAt(new Date("2026-06-01T10:00:00Z"), locks), { type: LOCK_TYPES.DAY, businessDate: "2026-06-01" });
+assert.equal(lockAt(new Date("2026-06-05T00:00:00Z"), locks).periodKey, "2026-06-H1");
+assert.equal(lockAt(new Date("2026-06-09T18:15:00Z"), locks), null); // endAt is exclusive
+assert.equal(lockAt(new Date("2026-06-03T10:00:00Z"), locks), null);
+assert.equal(describeLock(lockAt(new Date("2026-06-01T10:00:00Z"), locks)), "business day 2026-06-01 is closed");
+assert.equal(describeLock(null), null);
+
+// ---- placing postings ----
+const open = new Date("2026-06-03T10:00:00Z");
+assert.deepEqual(placePosting(open, locks), { postedAt: open, redirectedFrom: null });
+
+// two closed days in a row -> start of 2026-06-03
+let placed = placePosting(new Date("2026-06-01T10:00:00Z"), locks);
+assert.equal(placed.postedAt.toISOString(), "2026-06-02T18:15:00.000Z");
+assert.equal(placed.redirectedFrom.businessDate, "2026-06-01");
+assert.equal(placed.redirectedFrom.postedAt.toISOString(), "2026-06-01T10:00:00.000Z");
+assert.equal(placed.redirectedFrom.lock.type, LOCK_TYPES.DAY);
+
+// closed day running into a closed period -> end of the period
+placed = placePosting(new Date("2026-06-04T10:00:00Z"), locks);
+assert.equal(placed.postedAt.toISOString(), "2026-06-09T18:15:00.000Z");
+assert.equal(placed.redirectedFrom.lock.businessDate, "2026-06-04");
+
+placed = placePosting(new Date("2026-06-06T10:00:00Z"), locks);
+assert.equal(placed.postedAt.toISOString(), "2026-06-09T18:15:00.000Z");
+assert.equal(placed.redirectedFrom.lock.type, LOCK_TYPES.PERIOD);
+
+const forever = { closedDays: new Set(), closedPeriods: [{ ...period, endAt: new Date("2040-01-01T00:00:00Z") }] };
+assert.deepEqual(placePosting(new Date("2026-06-06T10:00:00Z"), forever).postedAt, new Date("2040-01-01T00:00:00Z"));
+
+// ---- snapshot drift ----
+const stored = [
+  { accountKey: "platform:cash", openingBalance: -100, inflow: 0, outflow: 50, closingBalance: -150 },
+  { accountKey: "seller:s1", openingBalance: 100, inflow: 50, outflow: 0, closingBalance: 150 },
+];
+const same = [
+  { accountKey: "platform:cash", opening: -100, inflow: 0, outflow: 50, closing: -150 },
+  { accountKey: "seller:s1", opening: 100, inflow: 50.001, outflow: 0, closing: 150.001 },
+];
+assert.deepEqual(compareDaySnapshots(stored, same), { ok: true, drifted: [], openingShifted: 0 });
+
+// a late leg on an earlier day only moves the opening balance
+const shifted = same.map((r) => ({ ...r, opening: r.opening + 10, closing: r.closing + 10 }));
+assert.equal(compareDaySnapshots(stored, shifted).ok, true);
+assert.equal(compareDaySnapshots(stored, shifted).openingShifted, 2);
+
+// a leg written into the day itself, on a known and on a new account
+const drifted = compareDaySnapshots(stored, [
+  ...same.slice(0, 1),
+  { accountKey: "seller:s1", opening: 100, inflow: 75, outflow: 0, closing: 175 },
+  { accountKey: "platform:fees", opening: 0, inflow: 0, outflow: 25, closing: -25 },
+]);
+assert.equal(drifted.ok, false);
+assert.deepEqual(
+  drifted.drifted.map((d) => [d.accountKey, d.diff, d.missing]),
+  [
+    ["platform:fees", { inflow: 0, outflow: 25 }, true],
+    ["seller:s1", { inflow: 25, outflow: 0 }, false],
+  ]
+);
+
+// snapshot rows with no ledger movement left
+assert.equal(compareDaySnapshots(stored, []).drifted.length, 2);
+
+// ---- drift ranges ----
+const now = new Date("2026-10-19T10:00:00Z");
+assert.deepEqual(parseDriftRange({}, { now }), { from: "2026-10-12", to: "2026-10-18" });
+assert.deepEqual(parseDriftRange({ days: "1" }, { now }), { from: "2026-10-18", to: "2026-10-18" });
+assert.deepEqual(parseDriftRange({ from: "2026-09-01", to: "2026-09-30" }, { now }), { from: "2026-09-01", to: "2026-09-30" });
+assert.match(parseDriftRange({ from: "2026-09-01", to: "2026-10-02" }, { now }).error, /31 days/);
+assert.match(parseDriftRange({ from: "2026-09-31" }, { now }).error, /from/);
+assert.match(parseDriftRange({ from: "2026-10-02", to: "2026-10-01" }, { now }).error, /after/);
+assert.match(parseDriftRange({ days: "0" }, { now }).error, /days/);
+
+console.log("✅ period lock tests passed");
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  grantsPermission,
+  invalidPermissions,
+  expandPermissions,
+} from "../services/auth/permissions.js";
+import { userHasPermission, isStaffRole } from "../services/auth/roles.js";
+
+// System roles only reference catalogue keys (or whole groups)
+for (const [key, role] of Object.entries(SYSTEM_ROLES)) {
+  if (key === "super-admin") continue;
+  assert.deepEqual(invalidPermissions(role.permissions), [], `role ${key}`);
+}
+
+// Wildcards
+assert.equal(grantsPermission(["*"], "roles.manage"), true);
+assert.equal(grantsPermission(["orders.*"], "orders.update"), true);
+assert.equal(grantsPermission(["orders.*"], "returns.manage"), false);
+assert.equal(grantsPermission(["orders.read"], "orders.update"), false);
+assert.equal(grantsPermission(null, "orders.read"), false);
+
+// Custom role input validation
+assert.deepEqual(invalidPermissions(["orders.read", "orders.*"]), []);
+assert.deepEqual(invalidPermissions(["*", "orders.delete", "nope.*"]), ["*", "orders.delete", "nope.*"]);
+assert.deepEqual(invalidPermissions("orders.read"), [null]);
+
+assert.deepEqual(expandPermissions(["refunds.*"]), ["refunds.issue", "refunds.manage"]);
+assert.equal(expandPermissions(["*"]).length, Object.keys(PERMISSIONS).length);
+
+// Built-in roles (registry defaults, no DB)
+assert.equal(userHasPermission({ role: "super-admin" }, "roles.manage"), true);
+assert.equal(userHasPermission({ role: "admin" }, "orders.update"), true);
+assert.equal(userHasPermission({ role: "admin" }, "staff.manage"), false);
+assert.equal(userHasPermission({ role: "admin" }, "settlements.approve"), false);
+assert.equal(userHasPermission({ role: "finance" }, "settlements.approve"), true);
+assert.equal(userHasPermission({ role: "finance" }, "orders.update"), false);
+assert.equal(userHasPermission({ role: "finance" }, "periods.reopen"), false);
+assert.equal(userHasPermission({ role: "admin" }, "periods.reopen"), false);
+assert.equal(userHasPermission({ role: "account" }, "orders.update"), true);
+assert.equal(userHasPermission({ role: "account" }, "finance.read"), true);
+assert.equal(userHasPermission({ role: "account" }, "settlements.approve"), false);
+assert.equal(userHasPermission({ role: "account" }, "settlements.create"), false);
+assert.equal(userHasPermission({ role: "account" }, "periods.close"), false);
+assert.equal(userHasPermission({ role: "account" }, "journals.approve"), false);
+assert.equal(userHasPermission({ role: "marketing" }, "templates.publish"), true);
+assert.equal(userHasPermission({ role: "marketing" }, "refunds.issue"), false);
+// Category and brand approval stays with super-admin, as before
+assert.equal(userHasPermission({ role: "admin" }, "catalog.manage"), true);
+assert.equal(userHasPermission({ role: "admin" }, "catalog.approve"), false);
+assert.equal(userHasPermission({ role: "super-admin" }, "catalog.approve"), true);
+assert.equal(userHasPermission({ role: "marketing" }, "catalog.read"), false);
+assert.equal(userHasPermission({ role: "customer" }, "orders.read"), false);
+assert.equal(userHasPermission(null, "orders.read"), false);
+
+assert.equal(isStaffRole("finance"), true);
+assert.equal(isStaffRole("SUPPORT"), true);
+assert.equal(isStaffRole("seller"), false);
+assert.equal(isStaffRole("unknown-role"), false);
+
+console.log("✅ permissions tests passed");
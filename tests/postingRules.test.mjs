@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+
+import {
+  LEDGER_EVENTS,
+  buildPostingGroups,
+  isBalanced,
+  orderCapturedAmount,
+  orderPlatformDiscount,
+  invoiceNetPayout,
+  invoiceCommission,
+} from "../services/finance/postingRules.js";
+
+const legsOf = (groups) =>
+  groups.flatMap((g) => g.legs.map((l) => `${g.transactionGroupId} ${l.dc} ${l.accountKey} ${l.amount}`));
+
+const order = {
+  _id: "o1",
+  orderNumber: "GZ-1001",
+  paymentMethod: "esewa",
+  paidAt: new Date("2026-05-01T10:00:00Z"),
+  totals: { grandTotal: 1500, walletApplied: 200, amountDue: 1300, adminDiscountTotal: 150, shippingDiscount: 100 },
+};
+
+// ---- amounts ----
+assert.equal(orderCapturedAmount(order), 1300);
+assert.equal(orderCapturedAmount({ totals: { grandTotal: 1500, walletApplied: 200 } }), 1300); // before amountDue existed
+assert.equal(orderPlatformDiscount(order), 250);
+assert.equal(invoiceNetPayout({ netPayout: 900 }), 900);
+assert.equal(invoiceNetPayout({ totals: { net: 800 } }), 800);
+assert.equal(invoiceCommission({ commission: { amount: 100 } }), 100);
+assert.equal(invoiceCommission({ commissionTotal: 120, commission: { amount: 100 } }), 120);
+
+// ---- payment captured ----
+let groups = buildPostingGroups(LEDGER_EVENTS.PAYMENT_CAPTURED, { order });
+assert.deepEqual(legsOf(groups), [
+  "payment_captured_o1 credit platform:cash_bank 1300",
+  "payment_captured_o1 debit platform:clearing 1300",
+]);
+assert.equal(groups[0].postedAt.toISOString(), "2026-05-01T10:00:00.000Z");
+assert.equal(groups[0].sourceRef, "GZ-1001");
+
+// COD keeps the id the delivery hook always used
+groups = buildPostingGroups(LEDGER_EVENTS.PAYMENT_CAPTURED, { order: { ...order, paymentMethod: "cod" } });
+assert.equal(groups[0].transactionGroupId, "cod_delivered_o1");
+assert.equal(groups[0].category, "cod_marked_paid");
+
+// Fully wallet-paid: nothing captured
+assert.deepEqual(buildPostingGroups(LEDGER_EVENTS.PAYMENT_CAPTURED, { order: { ...order, totals: { amountDue: 0 } } }), []);
+
+groups = buildPostingGroups(LEDGER_EVENTS.PLATFORM_DISCOUNT, { order });
+assert.deepEqual(legsOf(groups), [
+  "platform_discount_o1 credit platform:cash_bank 250",
+  "platform_discount_o1 debit platform:promotions 250",
+]);
+assert.deepEqual(buildPostingGroups(LEDGER_EVENTS.PLATFORM_DISCOUNT, { order: { _id: "o2", totals: {} } }), []);
+
+// ---- invoice ----
+const invoice = {
+  _id: "i1",
+  orderId: "o1",
+  sellerId: "s1",
+  invoiceNumber: "INV-7",
+  grossTotal: 1000,
+  commissionTotal: 100,
+  netPayout: 900,
+  commissionPayout: { status: "paid", paidAt: new Date("2026-05-10T00:00:00Z") },
+};
+groups = [
+  ...buildPostingGroups(LEDGER_EVENTS.INVOICE_ISSUED, { invoice }),
+  ...buildPostingGroups(LEDGER_EVENTS.COMMISSION_EARNED, { invoice }),
+];
+assert.deepEqual(legsOf(groups), [
+  "invoice_issued_i1 debit platform:cash_bank 900",
+  "invoice_issued_i1 credit seller:s1 900",
+  "commission_earned_i1 debit platform:cash_bank 100",
+  "commission_earned_i1 credit platform:commission 100",
+]);
+// Older inline postings covered both allocations
+assert.deepEqual(groups[0].aliases, ["invoice_paid_i1", "cod_completed_o1_i1"]);
+assert.deepEqual(groups[1].aliases, groups[0].aliases);
+// No seller on the invoice: commission only
+assert.deepEqual(buildPostingGroups(LEDGER_EVENTS.INVOICE_ISSUED, { invoice: { ...invoice, sellerId: null } }), []);
+
+// ---- payout ----
+groups = buildPostingGroups(LEDGER_EVENTS.PAYOUT_PAID, { invoice, batchId: "b1", reference: "TXN-9" });
+assert.deepEqual(legsOf(groups), ["payout_paid_i1 debit seller:s1 900", "payout_paid_i1 credit platform:clearing 900"]);
+assert.equal(groups[0].postedAt.toISOString(), "2026-05-10T00:00:00.000Z");
+assert.equal(groups[0].legs[0].meta.batchId, "b1");
+
+// ---- refund ----
+const refund = { _id: "r1", method: "esewa_refund", sellerId: "s1", orderId: "o1", amounts: { total: 500 } };
+groups = buildPostingGroups(LEDGER_EVENTS.REFUND_ISSUED, { refund, commissionReversal: 50 });
+assert.deepEqual(legsOf(groups), [
+  "refund_paid_r1 credit platform:cash_bank 500",
+  "refund_paid_r1 debit platform:commission 50",
+  "refund_paid_r1 debit seller:s1 450",
+  "refund_cash_out_r1 debit platform:cash_bank 500",
+  "refund_cash_out_r1 credit platform:clearing 500",
+]);
+// Store credit refunds are posted by the wallet
+assert.deepEqual(buildPostingGroups(LEDGER_EVENTS.REFUND_ISSUED, { refund: { ...refund, method: "store_credit" } }), []);
+
+// ---- every rule balances ----
+const all = [
+  ...buildPostingGroups(LEDGER_EVENTS.PAYMENT_CAPTURED, { order }),
+  ...buildPostingGroups(LEDGER_EVENTS.PLATFORM_DISCOUNT, { order }),
+  ...buildPostingGroups(LEDGER_EVENTS.INVOICE_ISSUED, { invoice }),
+  ...buildPostingGroups(LEDGER_EVENTS.COMMISSION_EARNED, { invoice }),
+  ...buildPostingGroups(LEDGER_EVENTS.PAYOUT_PAID, { invoice }),
+  ...buildPostingGroups(LEDGER_EVENTS.REFUND_ISSUED, { refund, commissionReversal: 50 }),
+];
+assert.ok(all.every(isBalanced));
+assert.ok(all.every((g) => g.legs.every((l) => l.amount > 0 && l.sourceRef)));
+
+assert.throws(() => buildPostingGroups("nope", {}), /Unknown ledger event/);
+
+console.log("✅ posting rules tests passed");
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+
+import {
+  PRODUCT_ALERT_TYPES,
+  PRODUCT_ALERT_SOURCES,
+  loadProductAlertConfig,
+  parseAlertTypes,
+  detectProductAlertTriggers,
+  priceDropPercent,
+  eventStillValid,
+  alertSkipReason,
+  isOneShot,
+  alertCopy,
+} from "../services/productAlerts/productAlerts.js";
+
+const { BACK_IN_STOCK, PRICE_DROP } = PRODUCT_ALERT_TYPES;
+const HOUR = 60 * 60 * 1000;
+const config = loadProductAlertConfig({});
+
+// ---- config / input ----
+assert.deepEqual(
+  [config.minDropPercent, config.cooldownHours, config.batchSize, config.maxSendsPerRun],
+  [5, 24, 200, 1000]
+);
+assert.equal(loadProductAlertConfig({ PRODUCT_ALERT_BATCH_SIZE: "1" }).batchSize, 10);
+assert.deepEqual(parseAlertTypes(["price_drop", "PRICE_DROP", "back_in_stock"]), [PRICE_DROP, BACK_IN_STOCK]);
+assert.deepEqual(parseAlertTypes("back_in_stock"), [BACK_IN_STOCK]);
+assert.equal(parseAlertTypes(["price_drop", "nope"]), null);
+assert.equal(parseAlertTypes([]), null);
+
+// ---- triggers ----
+const product = { _id: "p1", title: "Serum", price: 1000, quantity: 0, status: "approved" };
+
+let t = detectProductAlertTriggers(product, { ...product, quantity: 5 }, config);
+assert.deepEqual(t, [{ type: BACK_IN_STOCK, oldStock: 0, newStock: 5 }]);
+
+t = detectProductAlertTriggers({ ...product, quantity: 3 }, { ...product, quantity: 3, price: 800 }, config);
+assert.deepEqual(t, [{ type: PRICE_DROP, oldPrice: 1000, newPrice: 800, dropPercent: 20 }]);
+
+// Both at once
+t = detectProductAlertTriggers(product, { ...product, quantity: 2, price: 900 }, config);
+assert.deepEqual(t.map((x) => x.type), [BACK_IN_STOCK, PRICE_DROP]);
+
+// Too small a cut, a rise, still out of stock, or not listed
+assert.deepEqual(detectProductAlertTriggers({ ...product, quantity: 3 }, { ...product, quantity: 3, price: 980 }, config), []);
+assert.deepEqual(detectProductAlertTriggers({ ...product, quantity: 3 }, { ...product, quantity: 3, price: 1200 }, config), []);
+assert.deepEqual(detectProductAlertTriggers(product, { ...product, price: 500 }, config), []);
+assert.deepEqual(detectProductAlertTriggers(product, { ...product, quantity: 5, status: "pending" }, config), []);
+assert.deepEqual(detectProductAlertTriggers(product, { ...product, quantity: 5, deleted: true }, config), []);
+// Legacy products without a status are listed
+assert.equal(detectProductAlertTriggers({ price: 100, quantity: 0 }, { price: 100, quantity: 1 }, config).length, 1);
+
+assert.equal(priceDropPercent(1000, 750), 25);
+assert.equal(priceDropPercent(0, 750), 0);
+assert.equal(priceDropPercent(500, 750), 0);
+
+// ---- at dispatch ----
+const dropEvent = { _id: "e1", type: PRICE_DROP, oldPrice: 1000, newPrice: 800 };
+const stockEvent = { _id: "e2", type: BACK_IN_STOCK };
+assert.equal(eventStillValid(dropEvent, { ...product, quantity: 2, price: 800 }, config), true);
+assert.equal(eventStillValid(dropEvent, { ...product, quantity: 2, price: 1000 }, config), false); // undone
+assert.equal(eventStillValid(stockEvent, { ...product, quantity: 0 }, config), false); // sold out again
+assert.equal(eventStillValid(stockEvent, null, config), false);
+
+const now = new Date("2026-04-01T10:00:00Z");
+const user = { _id: "u1", email: "a@example.com" };
+const alert = { _id: "a1", type: PRICE_DROP, sources: [PRODUCT_ALERT_SOURCES.MANUAL], lastNotifiedAt: null };
+const ctx = { user, price: 800, now, config };
+
+assert.equal(alertSkipReason(alert, dropEvent, ctx), null);
+assert.equal(alertSkipReason(alert, dropEvent, { ...ctx, user: { ...user, blocked: true } }), "user_unavailable");
+assert.equal(alertSkipReason(alert, dropEvent, { ...ctx, user: null }), "user_unavailable");
+assert.equal(
+  alertSkipReason({ ...alert, lastNotifiedAt: new Date(now.getTime() - 2 * HOUR) }, dropEvent, ctx),
+  "cooldown"
+);
+assert.equal(alertSkipReason({ ...alert, lastNotifiedAt: new Date(now.getTime() - 25 * HOUR) }, dropEvent, ctx), null);
+assert.equal(alertSkipReason({ ...alert, targetPrice: 700 }, dropEvent, ctx), "above_target");
+assert.equal(alertSkipReason({ ...alert, targetPrice: 800 }, dropEvent, ctx), null);
+assert.equal(alertSkipReason({ ...alert, baselinePrice: 750 }, dropEvent, ctx), "not_below_baseline");
+
+// Wishlist-only alerts follow the wishlist preference; manual ones don't
+const wishlistAlert = { ...alert, sources: [PRODUCT_ALERT_SOURCES.WISHLIST] };
+const optedOut = { ...user, notificationPrefs: { wishlistAlerts: false } };
+assert.equal(alertSkipReason(wishlistAlert, dropEvent, { ...ctx, user: optedOut }), "opted_out");
+assert.equal(
+  alertSkipReason({ ...alert, sources: ["wishlist", "manual"] }, dropEvent, { ...ctx, user: optedOut }),
+  null
+);
+
+assert.equal(isOneShot({ type: BACK_IN_STOCK, sources: ["manual"] }), true);
+assert.equal(isOneShot({ type: BACK_IN_STOCK, sources: ["manual", "wishlist"] }), false);
+assert.equal(isOneShot({ type: PRICE_DROP, sources: ["manual"] }), false);
+
+assert.match(alertCopy(dropEvent, product, 800).subject, /20% cheaper/);
+assert.match(alertCopy(stockEvent, product, 1000).subject, /Serum is back in stock/);
+
+console.log("✅ product alert tests passed");
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import {
+  buildProductSearchIndex,
+  editDistance,
+  searchProducts,
+  tokenize,
+} from "../services/search/productSearchIndex.js";
+
+const products = [
+  { _id: "p1", title: "Matte Lipstick Ruby Red", brand: "Glamzi", category: "Lips", price: 450, sku: "GLZ-LIP-RED-01", averageRating: 4.6, soldCount: 20 },
+  { _id: "p2", title: "Hydrating Face Serum", brand: "Aurora", category: "Skincare", tags: ["vitamin c", "serum"], price: 1800, averageRating: 3.9, soldCount: 5 },
+  { _id: "p3", title: "Lip Balm Cherry", brand: "Glamzi", category: "Lips", price: 250, averageRating: 0, soldCount: 50 },
+  { _id: "p4", title: "Niacinamide Serum", brand: "Aurora", category: "Skincare", price: 5200, averageRating: 4.2, soldCount: 1 },
+];
+
+const index = buildProductSearchIndex(products);
+
+assert.deepEqual(tokenize("Crème  Brûlée-Lip"), ["creme", "brulee", "lip"]);
+assert.equal(editDistance("serum", "sreum"), 1, "transposition counts as one edit");
+assert.equal(editDistance("lipstick", "lipstik"), 1);
+
+// Exact + relevance: title match outranks nothing else
+let r = searchProducts(index, { q: "lipstick" });
+assert.equal(r.hits[0].id, "p1");
+
+// Typo tolerance
+r = searchProducts(index, { q: "lipstik" });
+assert.equal(r.hits[0].id, "p1");
+assert.equal(r.corrections[0].suggestion, "lipstick");
+
+// Prefix on the last token
+r = searchProducts(index, { q: "niaci" });
+assert.deepEqual(r.hits.map((h) => h.id), ["p4"]);
+
+// SKU lookup (whole and by segment)
+r = searchProducts(index, { q: "GLZ-LIP-RED-01" });
+assert.equal(r.hits[0].id, "p1");
+
+// Tags are indexed
+r = searchProducts(index, { q: "vitamin" });
+assert.deepEqual(r.hits.map((h) => h.id), ["p2"]);
+
+// Facets are disjunctive: brand filter doesn't hide other brand counts
+r = searchProducts(index, { q: "serum", filters: { brand: ["aurora"] } });
+assert.equal(r.total, 2);
+assert.deepEqual(r.facets.brand, [{ value: "Aurora", count: 2 }]);
+assert.equal(r.facets.price.find((b) => b.key === "5000+").count, 1);
+assert.equal(r.facets.rating.find((b) => b.key === "4_up").count, 1);
+
+// Price + rating filters
+r = searchProducts(index, { q: "", filters: { category: ["Lips"], minRating: 4 } });
+assert.deepEqual(r.hits.map((h) => h.id), ["p1"]);
+assert.equal(r.facets.category.find((c) => c.value === "Lips").count, 1);
+
+// All-token match first, any-token fallback when nothing matches all
+r = searchProducts(index, { q: "cherry serum" });
+assert.equal(r.matchMode, "any");
+assert.equal(r.total, 3);
+
+console.log("✅ product search tests passed");
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import express from "express";
+import { slidingWindowDecision, RATE_LIMIT_POLICIES, rateLimitKey } from "../services/security/rateLimit.js";
+import { lockDurationForFailures, LOCKOUT_STEPS } from "../services/security/loginLockout.js";
+
+const windowMs = 60 * 1000;
+
+// Under the limit: allowed with remaining budget
+let d = slidingWindowDecision({ prevCount: 0, currCount: 3, windowMs, elapsedMs: 10000, limit: 5 });
+assert.equal(d.allowed, true);
+assert.equal(d.remaining, 2);
+assert.equal(d.retryAfterMs, 0);
+
+// Previous window still weighs in early in the current one
+d = slidingWindowDecision({ prevCount: 10, currCount: 1, windowMs, elapsedMs: 15000, limit: 5 });
+assert.equal(d.allowed, false);
+// 10 * (1 - t/60s) + 1 <= 5  =>  t >= 36s  => wait 21s
+assert.equal(d.retryAfterMs, 21000);
+
+// ...and has decayed enough later on
+d = slidingWindowDecision({ prevCount: 10, currCount: 1, windowMs, elapsedMs: 40000, limit: 5 });
+assert.equal(d.allowed, true);
+
+// Over the limit inside the current window alone: wait past the rollover
+d = slidingWindowDecision({ prevCount: 0, currCount: 10, windowMs, elapsedMs: 30000, limit: 5 });
+assert.equal(d.allowed, false);
+assert.equal(d.retryAfterMs, 30000 + 30000);
+
+// Retry-After never rounds down to zero
+d = slidingWindowDecision({ prevCount: 6, currCount: 0, windowMs, elapsedMs: 9990, limit: 5 });
+assert.equal(d.allowed, false);
+assert.ok(d.retryAfterMs >= 1000);
+
+// Every policy is well-formed
+for (const [name, p] of Object.entries(RATE_LIMIT_POLICIES)) {
+  assert.ok(p.windowMs > 0, name);
+  assert.ok(p.rules.length > 0, name);
+  for (const r of p.rules) assert.ok(["ip", "email", "user"].includes(r.by) && r.limit > 0, name);
+}
+
+// Rule keys
+assert.equal(rateLimitKey({ ip: "10.0.0.7", headers: { "x-forwarded-for": "6.6.6.6" } }, "ip"), "10.0.0.7");
+assert.equal(rateLimitKey({ body: { email: " A@B.com " } }, "email"), "a@b.com");
+assert.equal(rateLimitKey({ body: {} }, "email"), null);
+assert.equal(rateLimitKey({ user: { _id: "u1" } }, "user"), "u1");
+assert.equal(rateLimitKey({}, "user"), null);
+
+// A spoofed X-Forwarded-For doesn't change the IP key, with or without a trusted proxy hop
+async function ipKeysFor(trustProxy, forwardedFor) {
+  const app = express();
+  app.set("trust proxy", trustProxy);
+  app.get("/", (req, res) => res.json({ key: rateLimitKey(req, "ip") }));
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    const keys = [];
+    for (const xff of forwardedFor) {
+      const body = await new Promise((resolve, reject) => {
+        http
+          .get({ host: "127.0.0.1", port: server.address().port, headers: xff ? { "X-Forwarded-For": xff } : {} }, (res) => {
+            let raw = "";
+            res.on("data", (c) => (raw += c));
+            res.on("end", () => resolve(JSON.parse(raw)));
+          })
+          .on("error", reject);
+      });
+      keys.push(body.key);
+    }
+    return keys;
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+let keys = await ipKeysFor(0, [null, "1.1.1.1", "2.2.2.2"]);
+assert.ok(keys.every((k) => k === keys[0] && /127\.0\.0\.1/.test(k)), String(keys));
+
+// One proxy hop: the proxy appends the address it saw; anything the client put before it is ignored
+keys = await ipKeysFor(1, ["1.1.1.1, 203.0.113.9", "2.2.2.2, 203.0.113.9", "203.0.113.9"]);
+assert.deepEqual(keys, ["203.0.113.9", "203.0.113.9", "203.0.113.9"]);
+
+// Progressive lockout
+assert.equal(lockDurationForFailures(4), 0);
+assert.equal(lockDurationForFailures(5), LOCKOUT_STEPS[0].lockMs);
+assert.equal(lockDurationForFailures(9), LOCKOUT_STEPS[1].lockMs);
+assert.equal(lockDurationForFailures(50), LOCKOUT_STEPS[LOCKOUT_STEPS.length - 1].lockMs);
+for (let i = 1; i < LOCKOUT_STEPS.length; i += 1) {
+  assert.ok(LOCKOUT_STEPS[i].lockMs > LOCKOUT_STEPS[i - 1].lockMs);
+}
+
+console.log("✅ rate limit tests passed");
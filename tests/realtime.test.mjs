@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import {
+  CONVERSATION_KINDS,
+  isConversationKind,
+  channelsForUser,
+  conversationAudience,
+  canJoinConversation,
+  formatSseEvent,
+} from "../services/realtime/channels.js";
+import { addConnection, publish, publishConversationEvent, connectionCount, closeAllConnections } from "../services/realtime/hub.js";
+
+const { CUSTOMER_SELLER, CUSTOMER_SUPPORT, SELLER_SUPPORT } = CONVERSATION_KINDS;
+const grants = (...perms) => ({ hasPermission: (p) => perms.includes(p) });
+
+assert.equal(isConversationKind("customer_seller"), true);
+assert.equal(isConversationKind("orders"), false);
+
+// Channels
+assert.deepEqual(channelsForUser({ id: "c1", role: "customer" }), ["user:c1"]);
+assert.deepEqual(channelsForUser({ _id: "a1", role: "support" }, grants("messaging.customers")), [
+  "user:a1",
+  "inbox:customer_support",
+]);
+assert.deepEqual(channelsForUser({ id: "a2" }, grants("messaging.customers", "messaging.sellers")), [
+  "user:a2",
+  "inbox:customer_support",
+  "inbox:seller_support",
+]);
+
+// Audiences
+assert.deepEqual(conversationAudience(CUSTOMER_SELLER, { customerId: "c1", sellerId: "s1" }), ["user:c1", "user:s1"]);
+assert.deepEqual(conversationAudience(CUSTOMER_SUPPORT, { customerId: "c1" }), ["user:c1", "inbox:customer_support"]);
+assert.deepEqual(conversationAudience(SELLER_SUPPORT, { sellerId: "s1" }), ["user:s1", "inbox:seller_support"]);
+assert.deepEqual(conversationAudience("nope", { customerId: "c1" }), []);
+
+// Who may join
+const cs = { _id: "x", customerId: "c1", sellerId: "s1" };
+assert.equal(canJoinConversation({ id: "c1" }, CUSTOMER_SELLER, cs), true);
+assert.equal(canJoinConversation({ id: "s1" }, CUSTOMER_SELLER, cs), true);
+assert.equal(canJoinConversation({ id: "c2" }, CUSTOMER_SELLER, cs), false);
+// Staff inbox permissions do not open customer <-> seller threads
+assert.equal(canJoinConversation({ id: "a1" }, CUSTOMER_SELLER, cs, grants("messaging.customers", "messaging.sellers")), false);
+assert.equal(canJoinConversation({ id: "a1" }, CUSTOMER_SUPPORT, { customerId: "c1" }, grants("messaging.customers")), true);
+assert.equal(canJoinConversation({ id: "a1" }, CUSTOMER_SUPPORT, { customerId: "c1" }, grants("messaging.sellers")), false);
+assert.equal(canJoinConversation({ id: "a1" }, SELLER_SUPPORT, { sellerId: "s1" }, grants("messaging.sellers")), true);
+assert.equal(canJoinConversation({}, CUSTOMER_SELLER, cs), false);
+assert.equal(canJoinConversation({ id: "c1" }, CUSTOMER_SELLER, null), false);
+
+// SSE framing
+assert.equal(formatSseEvent("typing", { a: 1 }, 7), 'id: 7\nevent: typing\ndata: {"a":1}\n\n');
+assert.equal(formatSseEvent(null, "x"), 'data: "x"\n\n');
+
+// Hub fan-out
+const seen = { c1: [], s1: [], staff: [] };
+const conn = (userId, channels, bucket) =>
+  addConnection({ userId, channels, write: (f) => bucket.push(f), end: () => bucket.push("END") });
+conn("c1", ["user:c1"], seen.c1);
+conn("s1", ["user:s1"], seen.s1);
+conn("a1", ["user:a1", "inbox:customer_support"], seen.staff);
+
+assert.equal(publishConversationEvent(CUSTOMER_SUPPORT, { _id: "conv1", customerId: "c1" }, "message.new", { senderRole: "customer" }), 2);
+assert.equal(seen.s1.length, 0);
+assert.match(seen.staff[0], /event: message\.new/);
+assert.match(seen.staff[0], /"conversationId":"conv1"/);
+assert.equal(publish([], "typing", {}), 0);
+
+// A failing socket is dropped, not fatal
+const before = connectionCount();
+addConnection({ userId: "s1", channels: ["user:s1"], write: () => { throw new Error("EPIPE"); }, end: () => {} });
+assert.equal(publish(["user:s1"], "typing", {}), 1);
+assert.equal(connectionCount(), before);
+
+closeAllConnections();
+assert.equal(connectionCount(), 0);
+assert.equal(seen.c1.at(-1), "END");
+
+console.log("✅ realtime tests passed");
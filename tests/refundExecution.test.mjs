@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import {
+  REFUND_PROVIDER_STATES,
+  planRefundStep,
+  buildRefundReversalLegs,
+  refundProviderError,
+  retryDelayMs,
+  splitRefundByTender,
+} from "../services/refunds/refundExecution.js";
+import { createMockRefundProvider } from "../services/refunds/providers/mockRefundProvider.js";
+import { mapEsewaRefundState } from "../services/refunds/providers/esewaRefundProvider.js";
+
+const now = new Date("2026-05-01T10:00:00Z");
+const base = {
+  _id: "665f00000000000000000001",
+  amounts: { total: 1000 },
+  sellerId: "s1",
+  automation: { attempts: 0, polls: 0, maxAttempts: 3, maxPolls: 2 },
+  provider: { name: "mock", submittedAt: null },
+};
+
+// Mock provider: create -> pending, one poll -> succeeded, idempotent per refund id
+const mock = createMockRefundProvider({ failCreateTimes: 1 });
+await assert.rejects(() => mock.createRefund({ refundId: "r1", amount: 10 }), (e) => e.retryable === true);
+const created = await mock.createRefund({ refundId: "r1", amount: 10 });
+assert.equal(created.state, REFUND_PROVIDER_STATES.PENDING);
+const again = await mock.createRefund({ refundId: "r1", amount: 10 });
+assert.equal(again.providerRefundId, created.providerRefundId);
+assert.equal((await mock.getRefundStatus({ refundId: "r1" })).state, REFUND_PROVIDER_STATES.SUCCEEDED);
+
+// Retryable error before submission: stays queued with backoff
+let plan = planRefundStep(base, { ok: false, error: refundProviderError("timeout") }, { now });
+assert.equal(plan.set.status, "queued");
+assert.equal(plan.terminal, null);
+assert.equal(plan.set["automation.nextAttemptAt"].getTime(), now.getTime() + retryDelayMs(1));
+
+// Non-retryable error or attempts exhausted: terminal failure for review
+plan = planRefundStep(base, { ok: false, error: refundProviderError("bad", { retryable: false }) }, { now });
+assert.equal(plan.terminal, "failed");
+assert.equal(plan.needsReview, true);
+plan = planRefundStep({ ...base, automation: { ...base.automation, attempts: 2 } }, { ok: false, error: refundProviderError("x") }, { now });
+assert.equal(plan.set.status, "failed");
+
+// Pending after submission keeps polling; gives up to review after maxPolls
+plan = planRefundStep(base, { ok: true, state: "pending", providerRefundId: "P1" }, { now });
+assert.equal(plan.set.status, "processing");
+assert.equal(plan.set["provider.reference"], "P1");
+plan = planRefundStep({ ...base, automation: { ...base.automation, polls: 1 } }, { ok: true, state: "pending" }, { now });
+assert.equal(plan.needsReview, true);
+assert.equal(plan.set["automation.enabled"], false);
+
+plan = planRefundStep(base, { ok: true, state: "succeeded" }, { now });
+assert.equal(plan.terminal, "succeeded");
+assert.equal(plan.set.status, "succeeded");
+
+// Reversal legs balance: cash out = commission reversal + seller clawback
+const legs = buildRefundReversalLegs({ refund: base, commissionReversal: 100 });
+const sum = (dc) => legs.filter((l) => l.dc === dc).reduce((s, l) => s + l.amount, 0);
+assert.equal(sum("credit"), 1000);
+assert.equal(sum("debit"), 1000);
+assert.equal(legs.find((l) => l.accountKey === "platform:commission").amount, 100);
+assert.equal(legs.find((l) => l.accountKey === "seller:s1").amount, 900);
+
+const noSeller = buildRefundReversalLegs({ refund: { ...base, sellerId: null }, commissionReversal: 100 });
+assert.deepEqual(noSeller.map((l) => [l.accountKey, l.amount]), [["platform:cash_bank", 1000], ["platform:commission", 1000]]);
+assert.deepEqual(buildRefundReversalLegs({ refund: { ...base, amounts: { total: 0 } } }), []);
+
+// Mixed order: 1000 total, 400 from the wallet, 600 by eSewa
+const mixed = { totals: { grandTotal: 1000, walletApplied: 400, amountDue: 600 } };
+const amounts = { currency: "NPR", itemsSubtotal: 450, shippingRefund: 50, taxRefund: 0, discountReversal: 0, total: 500 };
+let split = splitRefundByTender(amounts, mixed);
+assert.equal(split.wallet.total, 200);
+assert.equal(split.original.total, 300);
+assert.equal(split.original.itemsSubtotal, 270);
+assert.equal(split.wallet.shippingRefund, 20);
+
+// The original method never gets back more than it captured
+split = splitRefundByTender({ ...amounts, total: 1100 }, mixed);
+assert.equal(split.original.total, 600);
+assert.equal(split.wallet.total, 400);
+
+// Not a mixed order: nothing to split
+assert.equal(splitRefundByTender(amounts, { totals: { grandTotal: 1000, amountDue: 1000 } }), null);
+assert.equal(splitRefundByTender(amounts, { totals: { grandTotal: 1000, walletApplied: 1000, amountDue: 0 } }), null);
+
+assert.equal(mapEsewaRefundState({ status: "COMPLETE" }), REFUND_PROVIDER_STATES.SUCCEEDED);
+assert.equal(mapEsewaRefundState({ status: "REJECTED" }), REFUND_PROVIDER_STATES.FAILED);
+assert.equal(mapEsewaRefundState({}), REFUND_PROVIDER_STATES.PENDING);
+
+console.log("✅ refund execution tests passed");
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+
+import {
+  SESSION_REVOKE_REASONS,
+  createSession,
+  isAccessTokenRevoked,
+  revokeAllUserSessions,
+  rotateSession,
+} from "../services/auth/sessionService.js";
+
+// ---- in-memory store (only what sessionService.js uses) ----
+function fakeDb() {
+  const data = { users: [], sessions: [] };
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([k, v]) => (v === null ? doc[k] == null : String(doc[k]) === String(v)));
+
+  const collection = (name) => ({
+    insertOne: async (doc) => {
+      data[name].push({ ...doc });
+      return { insertedId: doc._id };
+    },
+    findOne: async (f) => data[name].find((d) => matches(d, f)) || null,
+    findOneAndUpdate: async (f, u) => {
+      const doc = data[name].find((d) => matches(d, f));
+      if (!doc) return { value: null };
+      Object.assign(doc, u.$set);
+      for (const [k, { $each, $slice }] of Object.entries(u.$push || {})) doc[k] = [...(doc[k] || []), ...$each].slice($slice);
+      return { value: doc };
+    },
+    updateOne: async (f, u) => {
+      const doc = data[name].find((d) => matches(d, f));
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+      Object.assign(doc, u.$set);
+      for (const [k, n] of Object.entries(u.$inc || {})) doc[k] = (doc[k] || 0) + n;
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+    updateMany: async (f, u) => {
+      const docs = data[name].filter((d) => matches(d, f));
+      for (const d of docs) Object.assign(d, u.$set);
+      return { modifiedCount: docs.length };
+    },
+  });
+  return { data, collection };
+}
+
+const decode = (token) => jwt.decode(token);
+
+const db = fakeDb();
+const user = { _id: new ObjectId(), email: "staff@example.com", role: "finance", tokenVersion: 0 };
+db.data.users.push(user);
+
+// ---- rotation ----
+const first = await createSession(db, user);
+const [sid, firstSecret] = first.refreshToken.split(".");
+assert.equal(sid, first.sessionId);
+assert.equal(decode(first.accessToken).sid, sid);
+assert.equal(await isAccessTokenRevoked(db, decode(first.accessToken)), null);
+assert.notEqual(db.data.sessions[0].refreshHash, firstSecret); // only the hash is stored
+
+const second = await rotateSession(db, first.refreshToken);
+assert.equal(second.sessionId, sid);
+assert.notEqual(second.refreshToken, first.refreshToken);
+assert.notEqual(second.refreshToken.split(".")[1], firstSecret);
+assert.equal(db.data.sessions[0].previousRefreshHashes.length, 1);
+
+const third = await rotateSession(db, second.refreshToken);
+
+// ---- replaying a rotated refresh token revokes the whole session ----
+await assert.rejects(rotateSession(db, first.refreshToken), { statusCode: 401, code: "REFRESH_TOKEN_REUSED" });
+assert.equal(db.data.sessions[0].revokedReason, SESSION_REVOKE_REASONS.REFRESH_REUSE);
+await assert.rejects(rotateSession(db, third.refreshToken), { code: "INVALID_REFRESH_TOKEN" });
+assert.equal(await isAccessTokenRevoked(db, decode(third.accessToken)), SESSION_REVOKE_REASONS.REFRESH_REUSE);
+
+// ---- malformed refresh tokens ----
+for (const bad of ["", "nonsense", `${sid}`, `${sid}.`, `not-an-id.${firstSecret}`, `${new ObjectId()}.${firstSecret}`]) {
+  await assert.rejects(rotateSession(db, bad), { statusCode: 401, code: "INVALID_REFRESH_TOKEN" }, bad);
+}
+
+// ---- a tokenVersion bump ("sign out everywhere") kills refresh and access tokens ----
+const phone = await createSession(db, user);
+const laptop = await createSession(db, user);
+assert.equal(await isAccessTokenRevoked(db, decode(laptop.accessToken)), null);
+
+const { revoked } = await revokeAllUserSessions(db, user._id);
+assert.equal(revoked, 2);
+assert.equal(db.data.users[0].tokenVersion, 1);
+await assert.rejects(rotateSession(db, phone.refreshToken), { statusCode: 401 });
+assert.equal(await isAccessTokenRevoked(db, decode(laptop.accessToken)), SESSION_REVOKE_REASONS.TOKEN_VERSION);
+
+// A legacy access token (no sid) is caught by the version alone
+const legacy = jwt.sign({ id: String(user._id), tv: 0 }, "x");
+assert.equal(await isAccessTokenRevoked(db, decode(legacy)), SESSION_REVOKE_REASONS.TOKEN_VERSION);
+
+// A session left alive with the old version (e.g. written before the bump) can't refresh
+db.data.sessions.find((s) => String(s._id) === phone.sessionId).revokedAt = null;
+await assert.rejects(rotateSession(db, phone.refreshToken), { statusCode: 401, code: "INVALID_REFRESH_TOKEN" });
+assert.equal(db.data.sessions.find((s) => String(s._id) === phone.sessionId).revokedReason, SESSION_REVOKE_REASONS.TOKEN_VERSION);
+
+// Sessions opened after the bump work again
+const fresh = await createSession(db, db.data.users[0]);
+assert.equal(decode(fresh.accessToken).tv, 1);
+assert.equal(await isAccessTokenRevoked(db, decode(fresh.accessToken)), null);
+assert.ok((await rotateSession(db, fresh.refreshToken)).refreshToken);
+
+console.log("✅ session tests passed");
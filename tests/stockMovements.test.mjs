@@ -0,0 +1,180 @@
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+
+import {
+  STOCK_MOVEMENT_TYPES,
+  buildDecrementOp,
+  buildRestockOp,
+  decrementStockForOrder,
+  restockApprovedReturn,
+} from "../services/inventory/stockMovements.js";
+
+const productId = new ObjectId();
+
+// ---- op builders ----
+let op = buildDecrementOp({ productId, qty: 2, allowBackorder: false });
+assert.deepEqual(op.filter, { _id: productId, quantity: { $gte: 2 } });
+assert.deepEqual(op.update.$inc, { quantity: -2, soldCount: 2 });
+
+// backorders: no stock guard, the count may go negative
+op = buildDecrementOp({ productId, qty: 2, allowBackorder: true });
+assert.deepEqual(op.filter, { _id: productId });
+op = buildDecrementOp({ productId, variantSku: "RED-M", qty: 2, allowBackorder: true });
+assert.deepEqual(op.filter.variants, { $elemMatch: { sku: "RED-M" } });
+
+// variants: guard and decrement the matched variant and the product total together
+op = buildDecrementOp({ productId, variantSku: "RED-M", qty: 3, allowBackorder: false });
+assert.deepEqual(op.filter, { _id: productId, variants: { $elemMatch: { sku: "RED-M", quantity: { $gte: 3 } } } });
+assert.deepEqual(op.update.$inc, { "variants.$.quantity": -3, quantity: -3, soldCount: 3 });
+
+op = buildRestockOp({ productId, variantSku: "RED-M", qty: 3 });
+assert.deepEqual(op.filter, { _id: productId, "variants.sku": "RED-M" });
+assert.deepEqual(op.update.$inc, { "variants.$.quantity": 3, quantity: 3, soldCount: -3 });
+
+// ---- against an in-memory store ----
+function fakeDb({ inventory = {}, products = [], orders = [] } = {}) {
+  const data = {
+    productsConfig: [{ _id: "products-config", inventory }],
+    products,
+    orders,
+    stockMovements: [],
+  };
+  const same = (a, b) => String(a) === String(b);
+
+  // Just the operators stockMovements.js uses
+  function matchProduct(doc, filter) {
+    if (!same(doc._id, filter._id)) return null;
+    if (filter.quantity?.$gte != null && !(doc.quantity >= filter.quantity.$gte)) return null;
+    const m = filter.variants?.$elemMatch;
+    const sku = m?.sku ?? filter["variants.sku"];
+    if (sku === undefined) return { doc, variant: null };
+    const variant = (doc.variants || []).find(
+      (v) => v.sku === sku && (m?.quantity?.$gte == null || v.quantity >= m.quantity.$gte)
+    );
+    return variant ? { doc, variant } : null;
+  }
+
+  const collections = {
+    productsConfig: {
+      findOne: async (f) => data.productsConfig.find((d) => d._id === f._id) || null,
+    },
+    products: {
+      findOne: async (f) => data.products.find((d) => same(d._id, f._id)) || null,
+      updateOne: async (f, u) => {
+        const hit = data.products.map((d) => matchProduct(d, f)).find(Boolean);
+        if (!hit) return { matchedCount: 0 };
+        for (const [path, n] of Object.entries(u.$inc)) {
+          if (path === "variants.$.quantity") hit.variant.quantity += n;
+          else hit.doc[path] = (hit.doc[path] || 0) + n;
+        }
+        return { matchedCount: 1 };
+      },
+    },
+    orders: {
+      findOne: async (f) => data.orders.find((d) => same(d._id, f._id)) || null,
+    },
+    stockMovements: {
+      insertOne: async (doc) => {
+        if (data.stockMovements.some((m) => m.dedupeKey === doc.dedupeKey)) {
+          const e = new Error("E11000 duplicate key error");
+          e.code = 11000;
+          throw e;
+        }
+        data.stockMovements.push({ ...doc });
+        return { insertedId: new ObjectId() };
+      },
+      updateOne: async (f, u) => {
+        const m = data.stockMovements.find((x) => x.dedupeKey === f.dedupeKey);
+        if (m) Object.assign(m, u.$set);
+      },
+      deleteMany: async (f) => {
+        const re = new RegExp(f.dedupeKey.$regex);
+        data.stockMovements = data.stockMovements.filter((m) => !re.test(m.dedupeKey));
+      },
+    },
+  };
+  return { data, collection: (name) => collections[name] };
+}
+
+const product = () => ({
+  _id: productId,
+  title: "Lip tint",
+  quantity: 5,
+  soldCount: 0,
+  variants: [
+    { sku: "RED-M", quantity: 1 },
+    { sku: "PINK-M", quantity: 4 },
+  ],
+});
+
+// The last unit of a variant goes to one order only
+let db = fakeDb({ products: [product()] });
+let r = await decrementStockForOrder(db, {
+  orderId: "o1",
+  items: [{ productId: String(productId), variantSku: "RED-M", quantity: 1 }],
+});
+assert.equal(r.tracked, true);
+assert.equal(r.lines[0].remaining, 0);
+assert.equal(r.lowStock.length, 1);
+assert.equal(db.data.products[0].quantity, 4);
+assert.equal(db.data.stockMovements[0].type, STOCK_MOVEMENT_TYPES.ORDER_DECREMENT);
+
+// ...and a second order touching it is refused as a whole: the PINK line is put back
+await assert.rejects(
+  decrementStockForOrder(db, {
+    orderId: "o2",
+    items: [
+      { productId: String(productId), variantSku: "PINK-M", quantity: 2 },
+      { productId: String(productId), variantSku: "RED-M", quantity: 1 },
+    ],
+  }),
+  (err) => err.code === "INSUFFICIENT_STOCK" && err.statusCode === 409 && err.details.available === 0
+);
+assert.deepEqual(db.data.products[0].variants.map((v) => v.quantity), [0, 4]);
+assert.equal(db.data.products[0].quantity, 4);
+assert.deepEqual(db.data.stockMovements.map((m) => m.dedupeKey), ["order:o1:0"]);
+
+// Backorders allowed: stock can go below zero
+db = fakeDb({ inventory: { allowBackorder: true }, products: [product()] });
+await decrementStockForOrder(db, { orderId: "o3", items: [{ productId, variantSku: "RED-M", quantity: 3 }] });
+assert.equal(db.data.products[0].variants[0].quantity, -2);
+
+// Stock tracking off: nothing is touched or recorded
+db = fakeDb({ inventory: { trackStock: false }, products: [product()] });
+r = await decrementStockForOrder(db, { orderId: "o4", items: [{ productId, quantity: 50 }] });
+assert.deepEqual(r, { tracked: false, lines: [], lowStock: [] });
+assert.equal(db.data.products[0].quantity, 5);
+assert.equal(db.data.stockMovements.length, 0);
+
+// ---- return restocks ----
+const orderId = new ObjectId();
+db = fakeDb({
+  products: [product()],
+  orders: [
+    {
+      _id: orderId,
+      orderNumber: "ORD-7",
+      items: [{ productId: String(productId), variantSku: "PINK-M", quantity: 2, stockDecremented: true }],
+    },
+  ],
+});
+const returnDoc = {
+  _id: new ObjectId(),
+  orderId: String(orderId),
+  items: [{ orderItemId: "i1", productId: String(productId), variantSku: "PINK-M", qtyReceived: 5 }],
+};
+
+r = await restockApprovedReturn(db, { returnDoc });
+assert.equal(r.restocked, 1);
+assert.equal(r.results[0].qty, 2); // capped to what the order line took
+assert.equal(db.data.products[0].variants[1].quantity, 6);
+assert.equal(db.data.stockMovements[0].balanceAfter, 6);
+
+// Same return approved again: same dedupe key, no second restock
+r = await restockApprovedReturn(db, { returnDoc });
+assert.equal(r.restocked, 0);
+assert.equal(r.results[0].reason, "already_restocked");
+assert.equal(db.data.products[0].variants[1].quantity, 6);
+assert.equal(db.data.stockMovements.length, 1);
+
+console.log("✅ stock movement tests passed");
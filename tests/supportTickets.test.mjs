@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import {
+  TICKET_STATUS,
+  SLA_POLICY,
+  computeSlaDeadlines,
+  slaState,
+  breachFilter,
+  statusChangeSet,
+  priorityChangeSet,
+  normalizeTags,
+  renderCannedReply,
+  subjectFromMessage,
+} from "../services/support/tickets.js";
+
+const HOUR = 60 * 60 * 1000;
+const t0 = new Date("2026-03-02T08:00:00Z");
+const at = (h) => new Date(t0.getTime() + h * HOUR);
+
+function ticket(overrides = {}) {
+  const priority = overrides.priority || "normal";
+  return {
+    status: TICKET_STATUS.OPEN,
+    priority,
+    createdAt: t0,
+    ...overrides,
+    sla: { ...computeSlaDeadlines(priority, t0), firstRespondedAt: null, pausedAt: null, ...(overrides.sla || {}) },
+  };
+}
+
+// Deadlines by priority
+assert.deepEqual(computeSlaDeadlines("urgent", t0), { firstResponseDueAt: at(1), resolutionDueAt: at(8) });
+assert.deepEqual(computeSlaDeadlines("nope", t0), computeSlaDeadlines("normal", t0));
+assert.ok(SLA_POLICY.low.resolutionMs > SLA_POLICY.high.resolutionMs);
+
+// SLA state
+assert.equal(slaState(ticket(), at(1)).breached, false);
+assert.equal(slaState(ticket(), at(7.5)).dueSoon, true);
+assert.equal(slaState(ticket(), at(9)).firstResponseBreached, true);
+assert.equal(slaState(ticket({ sla: { firstRespondedAt: at(2) } }), at(9)).breached, false);
+assert.equal(slaState(ticket({ sla: { firstRespondedAt: at(2) } }), at(49)).resolutionBreached, true);
+// Pending stops the resolution clock, solved stops everything
+assert.equal(slaState(ticket({ status: "pending", sla: { firstRespondedAt: at(2), pausedAt: at(3) } }), at(60)).breached, false);
+assert.equal(slaState(ticket({ status: "solved" }), at(200)).breached, false);
+// A recorded breach stays a breach
+assert.equal(slaState(ticket({ sla: { firstRespondedAt: at(10), firstResponseBreachedAt: at(9) } }), at(11)).breached, true);
+
+// Status changes
+const pending = statusChangeSet(ticket({ sla: { firstRespondedAt: at(1) } }), "pending", at(2));
+assert.equal(pending["sla.pausedAt"].getTime(), at(2).getTime());
+
+const resumed = statusChangeSet(ticket({ status: "pending", sla: { pausedAt: at(2) } }), "open", at(12));
+assert.equal(resumed["sla.resolutionDueAt"].getTime(), at(58).getTime()); // 48h + 10h waiting
+assert.equal(resumed["sla.pausedAt"], null);
+
+const solved = statusChangeSet(ticket(), "solved", at(5));
+assert.equal(solved.solvedAt.getTime(), at(5).getTime());
+assert.equal(solved["sla.resolvedAt"].getTime(), at(5).getTime());
+
+const reopened = statusChangeSet(ticket({ status: "solved", priority: "high" }), "open", at(100));
+assert.equal(reopened.solvedAt, null);
+assert.equal(reopened["sla.resolutionDueAt"].getTime(), at(124).getTime());
+assert.equal(reopened["sla.escalationLevel"], 0);
+
+assert.deepEqual(Object.keys(statusChangeSet(ticket(), "open", at(1))).sort(), ["status", "updatedAt"]);
+
+// Priority changes recompute from creation, not from now
+const raised = priorityChangeSet(ticket(), "urgent", at(3));
+assert.equal(raised["sla.firstResponseDueAt"].getTime(), at(1).getTime());
+assert.equal(raised["sla.resolutionDueAt"].getTime(), at(8).getTime());
+const answered = priorityChangeSet(ticket({ sla: { firstRespondedAt: at(0.5) } }), "urgent", at(3));
+assert.equal(answered["sla.firstResponseDueAt"], undefined);
+
+// Queue filter
+assert.equal(breachFilter("whatever"), null);
+assert.deepEqual(breachFilter("breached", t0).status, { $ne: "solved" });
+assert.ok(Array.isArray(breachFilter("due_soon", t0).$nor));
+
+// Tags, canned replies, subjects
+assert.deepEqual(normalizeTags(["Refund ", "refund", "Late Delivery", "ünïcode!", ""]), ["refund", "late-delivery", "ncode"]);
+assert.deepEqual(normalizeTags("a,b , a"), ["a", "b"]);
+assert.equal(normalizeTags(Array.from({ length: 30 }, (_, i) => `t${i}`)).length, 20);
+
+assert.equal(
+  renderCannedReply("Hi {{ requesterName }}, about {{ticketNumber}}{{missing}}.", { requesterName: "Sita", ticketNumber: "TKT-2026-000001" }),
+  "Hi Sita, about TKT-2026-000001."
+);
+assert.equal(subjectFromMessage("\n  My order is late\nsecond line"), "My order is late");
+assert.equal(subjectFromMessage(""), "Support request");
+assert.equal(subjectFromMessage("x".repeat(100)).length, 80);
+
+console.log("✅ support ticket tests passed");
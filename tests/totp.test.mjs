@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import {
+  base32Encode,
+  base32Decode,
+  totpCode,
+  verifyTotp,
+  otpauthUrl,
+  generateTotpSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  TOTP_STEP_SECONDS,
+} from "../services/auth/totp.js";
+import { startTwoFactorEnrollment, verifySessionSecondFactor } from "../services/auth/twoFactor.js";
+import { LOCKOUT_STEPS } from "../services/security/loginLockout.js";
+
+// RFC 6238 appendix B (SHA1, secret "12345678901234567890"), truncated to 6 digits
+const rfcSecret = base32Encode(Buffer.from("12345678901234567890"));
+assert.equal(rfcSecret, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+assert.deepEqual(base32Decode(rfcSecret), Buffer.from("12345678901234567890"));
+assert.equal(totpCode(rfcSecret, Math.floor(59 / 30)), "287082");
+assert.equal(totpCode(rfcSecret, Math.floor(1111111109 / 30)), "081804");
+assert.equal(totpCode(rfcSecret, Math.floor(2000000000 / 30)), "279037");
+
+// Verification accepts ±1 step of drift and returns the matched counter
+const now = 1111111109 * 1000;
+assert.equal(verifyTotp(rfcSecret, "081804", { now }), Math.floor(1111111109 / 30));
+const prev = totpCode(rfcSecret, Math.floor(1111111109 / 30) - 1);
+assert.equal(verifyTotp(rfcSecret, prev, { now }), Math.floor(1111111109 / 30) - 1);
+const old = totpCode(rfcSecret, Math.floor(1111111109 / 30) - 3);
+assert.equal(verifyTotp(rfcSecret, old, { now }), null);
+assert.equal(verifyTotp(rfcSecret, "12345", { now }), null);
+assert.equal(verifyTotp(rfcSecret, "abcdef", { now }), null);
+
+// Fresh secrets round-trip
+const secret = generateTotpSecret();
+assert.equal(secret.length, 32);
+const code = totpCode(secret, Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS));
+assert.notEqual(verifyTotp(secret, code), null);
+
+const url = otpauthUrl({ secret: rfcSecret, accountName: "ops@glamzi.com", issuer: "Glamzi Admin" });
+assert.ok(url.startsWith("otpauth://totp/Glamzi%20Admin%3Aops%40glamzi.com?"));
+assert.ok(url.includes(`secret=${rfcSecret}`));
+
+// Recovery codes: unique, normalised regardless of formatting
+const codes = generateRecoveryCodes(10);
+assert.equal(new Set(codes).size, 10);
+assert.match(codes[0], /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+assert.equal(normalizeRecoveryCode(` ${codes[0].toUpperCase()} `), codes[0].replace("-", ""));
+
+// Session step-up: wrong codes lock the user out of further checks
+function fakeDb() {
+  const data = { users: [], loginLockouts: [] };
+  const collections = {
+    users: {
+      updateOne: async (f, u) => {
+        const user = data.users.find((x) => String(x._id) === String(f._id));
+        for (const [path, v] of Object.entries(u.$set)) {
+          const [head, key] = path.split(".");
+          if (key) user[head] = { ...user[head], [key]: v };
+          else user[head] = v;
+        }
+        return { modifiedCount: 1 };
+      },
+    },
+    loginLockouts: {
+      findOne: async (f) => data.loginLockouts.find((x) => x._id === f._id) || null,
+      // recordLoginFailure's pipeline update, without the 24h reset
+      findOneAndUpdate: async (f, [{ $set }]) => {
+        let row = data.loginLockouts.find((x) => x._id === f._id);
+        if (!row) data.loginLockouts.push((row = { _id: f._id, failures: 0 }));
+        Object.assign(row, { scope: $set.scope, identifier: $set.identifier, failures: row.failures + 1 });
+        return { value: row };
+      },
+      updateOne: async (f, u) => Object.assign(data.loginLockouts.find((x) => x._id === f._id), u.$set),
+      deleteOne: async (f) => {
+        data.loginLockouts = data.loginLockouts.filter((x) => x._id !== f._id);
+      },
+    },
+  };
+  return { data, collection: (name) => collections[name] };
+}
+
+const db = fakeDb();
+const staff = { _id: "64b000000000000000000001", email: "finance@glamzi.com", role: "finance" };
+db.data.users.push(staff);
+const { secret: staffSecret } = await startTwoFactorEnrollment(db, staff);
+staff.twoFactor = { enabled: true, secretEnc: staff.twoFactor.pendingSecretEnc, lastUsedCounter: null };
+
+const t0 = new Date();
+const wrong = totpCode(staffSecret, Math.floor(t0.getTime() / 1000 / TOTP_STEP_SECONDS) + 10);
+const lockAfter = LOCKOUT_STEPS[0].after;
+
+for (let i = 1; i < lockAfter; i += 1) {
+  await assert.rejects(verifySessionSecondFactor(db, staff, { code: wrong }, { now: t0 }), { code: "INVALID_2FA_CODE" });
+}
+await assert.rejects(verifySessionSecondFactor(db, staff, { code: wrong }, { now: t0 }), (err) => {
+  assert.equal(err.code, "TWO_FACTOR_LOCKED");
+  assert.equal(err.statusCode, 429);
+  assert.equal(err.retryAfterMs, LOCKOUT_STEPS[0].lockMs);
+  return true;
+});
+assert.equal(db.data.loginLockouts[0]._id, `step_up:${staff._id}`);
+
+// While locked even the right code is refused
+const right = totpCode(staffSecret, Math.floor(t0.getTime() / 1000 / TOTP_STEP_SECONDS));
+await assert.rejects(verifySessionSecondFactor(db, staff, { code: right }, { now: t0 }), { code: "TWO_FACTOR_LOCKED" });
+
+// After the lock runs out the right code works and clears the counter
+const later = new Date(t0.getTime() + LOCKOUT_STEPS[0].lockMs + 1000);
+assert.deepEqual(await verifySessionSecondFactor(db, staff, { code: right }, { now: later }), { method: "totp" });
+assert.equal(db.data.loginLockouts.length, 0);
+
+console.log("✅ totp tests passed");
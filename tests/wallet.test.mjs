@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+
+import {
+  GIFT_CARD_STATUS,
+  buildWalletLegs,
+  generateGiftCardCode,
+  normalizeGiftCardCode,
+  maskGiftCardCode,
+  giftCardRedeemBlocker,
+  giftCardIssueLegs,
+  reverseLegs,
+  parseWalletAmount,
+  walletAmountForOrder,
+} from "../services/wallet/wallet.js";
+import { postWalletTransaction, creditRefundToWallet, payOrderFromWallet } from "../services/wallet/walletService.js";
+
+const sum = (legs, dc) => legs.filter((l) => l.dc === dc).reduce((s, l) => s + l.amount, 0);
+
+// ---- codes ----
+const code = generateGiftCardCode();
+assert.match(code, /^GLZ-[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+assert.ok(!/[01OIL]/.test(code.slice(4)));
+assert.equal(normalizeGiftCardCode(code.toLowerCase().replace(/-/g, " ")), code);
+assert.equal(normalizeGiftCardCode(code.slice(4)), code);
+assert.equal(normalizeGiftCardCode("GLZ-ABCD-EFGH-JKM0"), ""); // 0 is never issued
+assert.equal(normalizeGiftCardCode("GLZ-ABCD"), "");
+assert.equal(maskGiftCardCode("GLZ-ABCD-EFGH-JKMN"), "GLZ-****-****-JKMN");
+
+const now = new Date();
+assert.equal(giftCardRedeemBlocker(null).code, "GIFT_CARD_NOT_FOUND");
+assert.equal(giftCardRedeemBlocker({ status: GIFT_CARD_STATUS.REDEEMED }).code, "GIFT_CARD_REDEEMED");
+assert.equal(giftCardRedeemBlocker({ status: GIFT_CARD_STATUS.PENDING_PAYMENT }).code, "GIFT_CARD_INACTIVE");
+assert.equal(giftCardRedeemBlocker({ status: GIFT_CARD_STATUS.ACTIVE, expiresAt: new Date(now - 1000) }).code, "GIFT_CARD_EXPIRED");
+assert.equal(giftCardRedeemBlocker({ status: GIFT_CARD_STATUS.ACTIVE, expiresAt: new Date(now.getTime() + 1000) }), null);
+
+// ---- amounts ----
+assert.equal(parseWalletAmount("250.5"), 250.5);
+assert.equal(parseWalletAmount(0), null);
+assert.equal(parseWalletAmount(-5), null);
+assert.equal(parseWalletAmount(1.005), null);
+assert.equal(walletAmountForOrder({ requested: true, balance: 300, grandTotal: 1000 }), 300);
+assert.equal(walletAmountForOrder({ requested: true, balance: 3000, grandTotal: 1000 }), 1000);
+assert.equal(walletAmountForOrder({ requested: 500, balance: 300, grandTotal: 1000 }), 500); // the debit refuses it
+assert.equal(walletAmountForOrder({ requested: 5000, balance: 9000, grandTotal: 1000 }), 1000);
+
+// ---- legs ----
+const userId = new ObjectId();
+let legs = buildWalletLegs({ userId, direction: "debit", amount: 400, counterAccount: "platform:cash_bank", sourceRef: "ORD-1" });
+assert.deepEqual(
+  legs.map((l) => [l.accountKey, l.dc, l.amount]),
+  [
+    [`wallet:${userId}`, "debit", 400],
+    ["platform:cash_bank", "credit", 400],
+  ]
+);
+assert.throws(
+  () => buildWalletLegs({ userId, direction: "credit", amount: 100, counterLegs: [{ accountKey: "x", dc: "debit", amount: 90 }], sourceRef: "r" }),
+  { code: "WALLET_UNBALANCED" }
+);
+
+const card = { _id: new ObjectId(), amount: 1000, source: "admin" };
+const issue = giftCardIssueLegs(card);
+assert.deepEqual(issue.map((l) => [l.accountKey, l.dc]), [["platform:gift_cards", "credit"], ["platform:promotions", "debit"]]);
+assert.equal(giftCardIssueLegs({ ...card, source: "purchase" })[1].accountKey, "platform:clearing");
+assert.deepEqual(reverseLegs(issue).map((l) => l.dc), ["debit", "credit"]);
+
+// ---- postings against an in-memory store ----
+function fakeDb() {
+  // gl_daily_closes / settlementPeriods: period lock lookups, nothing closed
+  const data = {
+    wallets: [],
+    walletTransactions: [],
+    gl_ledger_entries: [],
+    gl_accounts: [],
+    gl_daily_closes: [],
+    settlementPeriods: [],
+  };
+  const collection = (name) => ({
+    // chart of accounts lookups (postTransactionGroup)
+    find: (f) => ({ toArray: async () => data[name].filter((d) => f.key.$in.includes(d.key)) }),
+    updateOne: async (f, u) => {
+      if (!data[name].some((d) => d.key === f.key)) data[name].push({ ...u.$setOnInsert });
+    },
+    findOne: async (f) => data[name].find((d) => Object.entries(f).every(([k, v]) => String(d[k]) === String(v))) || null,
+    insertOne: async (doc) => {
+      data[name].push(doc);
+      return { insertedId: doc._id };
+    },
+    insertMany: async (docs) => {
+      data[name].push(...docs);
+      return { insertedCount: docs.length };
+    },
+    findOneAndUpdate: async (f, u, opts) => {
+      let doc = data[name].find((d) => String(d.userId) === String(f.userId));
+      if (doc && f.balance?.$gte != null && !(doc.balance >= f.balance.$gte)) return { value: null };
+      if (!doc) {
+        if (!opts.upsert) return { value: null };
+        doc = { userId: f.userId, balance: 0, ...(u.$setOnInsert || {}) };
+        data[name].push(doc);
+      }
+      doc.balance += u.$inc.balance;
+      return { value: doc };
+    },
+  });
+  return { data, collection };
+}
+
+const db = fakeDb();
+const session = {}; // callers' transaction; the service never starts its own when given one
+
+// Debit with no wallet yet
+await assert.rejects(
+  payOrderFromWallet(db, { userId, orderId: new ObjectId(), orderNumber: "ORD-1", amount: 100, session }),
+  { code: "WALLET_INSUFFICIENT_FUNDS", statusCode: 409 }
+);
+
+// Refund to store credit: seller + commission clawed back into the wallet
+const refund = {
+  _id: new ObjectId(),
+  refundNumber: "RFD-1",
+  customerId: userId,
+  sellerId: "s1",
+  orderId: new ObjectId(),
+  orderNumber: "ORD-9",
+  amounts: { total: 1200 },
+};
+let r = await creditRefundToWallet(db, { refund, commissionReversal: 120, session });
+assert.equal(r.balance, 1200);
+assert.equal(r.idempotent, false);
+const group = db.data.gl_ledger_entries.filter((l) => l.transactionGroupId === r.transaction.transactionGroupId);
+assert.deepEqual(
+  group.map((l) => [l.accountKey, l.dc, l.amount]),
+  [
+    [`wallet:${userId}`, "credit", 1200],
+    ["platform:commission", "debit", 120],
+    ["seller:s1", "debit", 1080],
+  ]
+);
+
+// Same refund again: nothing moves
+r = await creditRefundToWallet(db, { refund, commissionReversal: 120, session });
+assert.equal(r.idempotent, true);
+assert.equal(db.data.wallets[0].balance, 1200);
+assert.equal(db.data.walletTransactions.length, 1);
+
+// Spend part of it, then try to overspend
+const orderId = new ObjectId();
+r = await payOrderFromWallet(db, { userId, orderId, orderNumber: "ORD-2", amount: 700, session });
+assert.equal(r.balance, 500);
+await assert.rejects(
+  payOrderFromWallet(db, { userId, orderId: new ObjectId(), orderNumber: "ORD-3", amount: 500.01, session }),
+  { code: "WALLET_INSUFFICIENT_FUNDS" }
+);
+assert.equal(db.data.wallets[0].balance, 500);
+
+// Cached balance == credit - debit on the wallet account
+const walletLegs = db.data.gl_ledger_entries.filter((l) => l.accountKey === `wallet:${userId}`);
+assert.equal(sum(walletLegs, "credit") - sum(walletLegs, "debit"), db.data.wallets[0].balance);
+assert.equal(sum(db.data.gl_ledger_entries, "credit"), sum(db.data.gl_ledger_entries, "debit"));
+
+await assert.rejects(postWalletTransaction(db, { userId, direction: "credit", amount: 0, idempotencyKey: "x", session }), {
+  code: "WALLET_INVALID_AMOUNT",
+});
+
+console.log("✅ wallet tests passed");
@@ -16,3 +16,13 @@ export function formatRefundNumber(seq) {
   const year = new Date().getFullYear();
   return `RFD-${year}-${String(seq).padStart(6, "0")}`;
 }
+
+export function formatTicketNumber(seq) {
+  const year = new Date().getFullYear();
+  return `TKT-${year}-${String(seq).padStart(6, "0")}`;
+}
+
+export function formatJournalNumber(seq) {
+  const year = new Date().getFullYear();
+  return `JV-${year}-${String(seq).padStart(6, "0")}`;
+}
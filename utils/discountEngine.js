@@ -18,6 +18,23 @@
 // - coupon code normalization + safe eligibility checks
 // - safer time window checks
 // - deterministic priority picking (priority desc, updatedAt desc, createdAt desc)
+//
+// Coupon eligibility (admin coupons, evaluated here so cart pricing matches order creation):
+// - window / status / targets / minCartSubtotal
+// - usageLimitTotal vs usedCount, perUserLimit vs couponRedemptions
+// - firstOrderOnly, customerSegment ("new" | "returning"), allowedPaymentMethods
+// - allowedUserIds (personal coupons, e.g. cart recovery)
+// An ineligible coupon is not applied; meta.couponEligibility carries a structured reason.
+//
+// Multi-line kinds (GROUP_DISCOUNT_KINDS), for sellers and admin campaigns:
+// - bxgy:    { bxgy: { buyQty, getQty, getPercent, maxApplications } } - cheapest qualifying units get getPercent off
+// - tiered:  { tiers: [{ minSubtotal, value }], tierType } - highest tier reached by the qualifying base subtotal
+// - bundle:  { bundle: { items: [{ productId, quantity }], price, maxApplications } } - fixed price per complete set
+// The discount is allocated to the lines it was earned on, so sellerDiscount / adminDiscount per line
+// (and the commission base derived from them) stay correct. A line still takes at most one seller discount:
+// a seller group promo claims its qualifying lines only when it beats their per-item discounts.
+
+import { ObjectId } from "mongodb";
 
 const normalizeCode = (v) => String(v || "").trim().toUpperCase().replace(/\s+/g, "");
 
@@ -70,8 +87,20 @@ function normalizeCodeType(d) {
   return hasCouponCode ? "coupon" : "campaign";
 }
 
+export const GROUP_DISCOUNT_KINDS = Object.freeze(["bxgy", "tiered", "bundle"]);
+
+const GROUP_KIND_ALIASES = {
+  bxgy: "bxgy",
+  buy_x_get_y: "bxgy",
+  "buy-x-get-y": "bxgy",
+  bogo: "bxgy",
+  tiered: "tiered",
+  tier: "tiered",
+  bundle: "bundle",
+};
+
 function normalizeDiscountKind(d) {
-  // ✅ CANONICAL: percentage | flat | free_shipping
+  // ✅ CANONICAL: percentage | flat | free_shipping | bxgy | tiered | bundle
   const raw = String(d?.kind || d?.discountType || "").trim().toLowerCase();
 
   // map UI/legacy naming -> engine naming
@@ -82,10 +111,10 @@ function normalizeDiscountKind(d) {
     const dt = String(d?.discountType || "").trim().toLowerCase();
     if (dt === "fixed") return "flat";
     if (dt === "percent") return "percentage";
-    return dt;
+    return GROUP_KIND_ALIASES[dt] || dt;
   }
 
-  return raw;
+  return GROUP_KIND_ALIASES[raw] || raw;
 }
 
 function getDiscountCode(d) {
@@ -134,13 +163,17 @@ function isDisabledDiscount(d) {
 function productTargets(d) {
   const legacy = Array.isArray(d?.productIds) ? d.productIds : [];
   const newer = Array.isArray(d?.targets?.productIds) ? d.targets.productIds : [];
-  return [...legacy, ...newer].map(String);
+  // seller discounts store a single productId / categoryId; bundles list their products
+  const single = d?.productId ? [d.productId] : [];
+  const bundled = Array.isArray(d?.bundle?.items) ? d.bundle.items.map((it) => it?.productId) : [];
+  return [...legacy, ...newer, ...single, ...bundled].filter(Boolean).map(String);
 }
 
 function categoryTargets(d) {
   const legacy = Array.isArray(d?.categoryIds) ? d.categoryIds : [];
   const newer = Array.isArray(d?.targets?.categoryIds) ? d.targets.categoryIds : [];
-  return [...legacy, ...newer].map(String);
+  const single = d?.categoryId ? [d.categoryId] : [];
+  return [...legacy, ...newer, ...single].map(String);
 }
 
 function adminTargetsCart(d, sets) {
@@ -209,8 +242,8 @@ function storeTargeted(d) {
   return normalizeScope(d) === "store" || d?.targets?.store === true;
 }
 
-function pickHighestPriority(list = []) {
-  // Deterministic selection:
+function sortByPriority(list = []) {
+  // Deterministic order:
   // priority DESC, updatedAt DESC, createdAt DESC
   const arr = Array.isArray(list) ? list.slice() : [];
   arr.sort((a, b) => {
@@ -225,7 +258,11 @@ function pickHighestPriority(list = []) {
     const ca = asDateOrNull(a?.createdAt)?.getTime() || 0;
     return cb - ca;
   });
-  return arr[0] || null;
+  return arr;
+}
+
+function pickHighestPriority(list = []) {
+  return sortByPriority(list)[0] || null;
 }
 
 function discountAmount({ base, discount }) {
@@ -266,13 +303,412 @@ function isAdminDiscount(d) {
   return normalizeAuthority(d) === "admin";
 }
 
+/* ===============================
+   GROUP DISCOUNTS (bxgy / tiered / bundle)
+=============================== */
+
+function isGroupKind(kind) {
+  return GROUP_DISCOUNT_KINDS.includes(kind);
+}
+
+/** Canonical group kind for a raw kind / discountType ("bogo" -> "bxgy"), or "". */
+export function normalizeGroupDiscountKind(kind) {
+  return GROUP_KIND_ALIASES[String(kind || "").trim().toLowerCase()] || "";
+}
+
+const posInt = (v) => {
+  const x = Number(v);
+  return Number.isInteger(x) && x >= 1 ? x : null;
+};
+
+const optionalPosInt = (v) => (v === undefined || v === null || v === "" ? undefined : posInt(v));
+
+/**
+ * Validate / normalize the rules of a group discount from a request body.
+ * Returns { ok: true, rules } with every rule field set (null when not used by `kind`, so
+ * updates clear stale rules) or { ok: false, message }.
+ */
+export function parseGroupDiscountRules(kind, src = {}) {
+  const rules = { bxgy: null, tiers: null, tierType: null, bundle: null };
+  const k = normalizeGroupDiscountKind(kind);
+
+  if (k === "bxgy") {
+    const raw = src.bxgy || {};
+    const buyQty = posInt(raw.buyQty);
+    const getQty = posInt(raw.getQty);
+    if (!buyQty) return { ok: false, message: "bxgy.buyQty must be a whole number >= 1" };
+    if (!getQty) return { ok: false, message: "bxgy.getQty must be a whole number >= 1" };
+
+    const getPercent = raw.getPercent == null || raw.getPercent === "" ? 100 : Number(raw.getPercent);
+    if (!Number.isFinite(getPercent) || getPercent <= 0 || getPercent > 100) {
+      return { ok: false, message: "bxgy.getPercent must be between 1 and 100" };
+    }
+    const maxApplications = optionalPosInt(raw.maxApplications);
+    if (maxApplications === null) return { ok: false, message: "bxgy.maxApplications must be a whole number >= 1" };
+
+    rules.bxgy = { buyQty, getQty, getPercent, maxApplications: maxApplications ?? null };
+    return { ok: true, rules };
+  }
+
+  if (k === "tiered") {
+    const tierType = String(src.tierType || "percentage").trim().toLowerCase();
+    if (!["percentage", "flat"].includes(tierType)) {
+      return { ok: false, message: "tierType must be percentage or flat" };
+    }
+    const raw = Array.isArray(src.tiers) ? src.tiers : [];
+    if (!raw.length || raw.length > 10) return { ok: false, message: "tiers must have 1 to 10 entries" };
+
+    const tiers = [];
+    for (const t of raw) {
+      const minSubtotal = Number(t?.minSubtotal);
+      const value = Number(t?.value);
+      if (!Number.isFinite(minSubtotal) || minSubtotal <= 0) {
+        return { ok: false, message: "Each tier needs minSubtotal > 0" };
+      }
+      if (!Number.isFinite(value) || value <= 0) return { ok: false, message: "Each tier needs value > 0" };
+      if (tierType === "percentage" && value > 100) return { ok: false, message: "Tier percentage can't exceed 100" };
+      tiers.push({ minSubtotal, value });
+    }
+    tiers.sort((a, b) => a.minSubtotal - b.minSubtotal);
+    if (tiers.some((t, i) => i > 0 && t.minSubtotal === tiers[i - 1].minSubtotal)) {
+      return { ok: false, message: "Tier thresholds must be unique" };
+    }
+
+    rules.tiers = tiers;
+    rules.tierType = tierType;
+    return { ok: true, rules };
+  }
+
+  if (k === "bundle") {
+    const raw = src.bundle || {};
+    const list = Array.isArray(raw.items) ? raw.items : [];
+    if (!list.length || list.length > 20) return { ok: false, message: "bundle.items must have 1 to 20 products" };
+
+    const items = [];
+    for (const it of list) {
+      const productId = String(it?.productId ?? "").trim();
+      const quantity = it?.quantity == null || it?.quantity === "" ? 1 : posInt(it.quantity);
+      if (!productId) return { ok: false, message: "Each bundle item needs a productId" };
+      if (!quantity) return { ok: false, message: "Bundle item quantity must be a whole number >= 1" };
+      if (items.some((x) => x.productId === productId)) {
+        return { ok: false, message: "Bundle products must be unique" };
+      }
+      items.push({ productId, quantity });
+    }
+    if (items.reduce((s, it) => s + it.quantity, 0) < 2) {
+      return { ok: false, message: "A bundle needs at least 2 units" };
+    }
+
+    const price = Number(raw.price);
+    if (!Number.isFinite(price) || price <= 0) return { ok: false, message: "bundle.price must be > 0" };
+    const maxApplications = optionalPosInt(raw.maxApplications);
+    if (maxApplications === null) return { ok: false, message: "bundle.maxApplications must be a whole number >= 1" };
+
+    rules.bundle = { items, price, maxApplications: maxApplications ?? null };
+    return { ok: true, rules };
+  }
+
+  return { ok: false, message: `Unknown group discount kind: ${kind}` };
+}
+
+function capAllocation(alloc, maxDiscount) {
+  const total = alloc.reduce((s, a) => s + a, 0);
+  if (maxDiscount == null || total <= maxDiscount || total <= 0) return alloc;
+  const ratio = Math.max(0, maxDiscount) / total;
+  return alloc.map((a) => a * ratio);
+}
+
+// Spread `amount` over lines proportionally to their amounts.
+function spread(lines, amount, pick = () => true) {
+  const pool = lines.reduce((s, l, i) => s + (pick(l, i) ? l.amount : 0), 0);
+  if (pool <= 0 || amount <= 0) return lines.map(() => 0);
+  const total = Math.min(amount, pool);
+  return lines.map((l, i) => (pick(l, i) ? (l.amount / pool) * total : 0));
+}
+
+function bxgyAllocation(lines, rules) {
+  const { buyQty, getQty, getPercent = 100, maxApplications = null } = rules || {};
+  const alloc = lines.map(() => 0);
+  if (!buyQty || !getQty) return alloc;
+
+  const units = [];
+  lines.forEach((l, i) => {
+    if (!l.eligible || l.quantity < 1) return;
+    for (let q = 0; q < l.quantity; q += 1) units.push({ i, unit: l.amount / l.quantity });
+  });
+
+  let apps = Math.floor(units.length / (buyQty + getQty));
+  if (maxApplications != null) apps = Math.min(apps, maxApplications);
+  if (apps < 1) return alloc;
+
+  // Cheapest qualifying units are the "get" ones
+  units.sort((a, b) => b.unit - a.unit || a.i - b.i);
+  for (const u of units.slice(units.length - apps * getQty)) {
+    alloc[u.i] += pct(u.unit, n(getPercent, 100));
+  }
+  return alloc;
+}
+
+function tieredAllocation(lines, rules) {
+  const { tiers = [], tierType = "percentage" } = rules || {};
+  const reached = lines.reduce((s, l) => s + (l.eligible ? l.base : 0), 0);
+  const tier = tiers
+    .filter((t) => reached >= n(t.minSubtotal, Infinity))
+    .sort((a, b) => n(b.minSubtotal) - n(a.minSubtotal))[0];
+  if (!tier) return lines.map(() => 0);
+
+  if (tierType === "flat") return spread(lines, n(tier.value, 0), (l) => l.eligible);
+  return lines.map((l) => (l.eligible ? pct(l.amount, n(tier.value, 0)) : 0));
+}
+
+function bundleAllocation(lines, rules) {
+  const { items = [], price, maxApplications = null } = rules || {};
+  const alloc = lines.map(() => 0);
+  if (!items.length) return alloc;
+
+  const parts = items.map((b) => {
+    const idx = lines
+      .map((l, i) => (l.eligible && l.productId === String(b.productId) ? i : -1))
+      .filter((i) => i >= 0);
+    const qty = idx.reduce((s, i) => s + lines[i].quantity, 0);
+    const amount = idx.reduce((s, i) => s + lines[i].amount, 0);
+    return { idx, need: n(b.quantity, 1), unit: qty ? amount / qty : 0, sets: Math.floor(qty / n(b.quantity, 1)) };
+  });
+
+  let sets = Math.min(...parts.map((p) => p.sets));
+  if (maxApplications != null) sets = Math.min(sets, maxApplications);
+  if (sets < 1) return alloc;
+
+  const setValue = parts.reduce((s, p) => s + p.unit * p.need, 0);
+  const perSet = setValue - n(price, setValue);
+  if (perSet <= 0) return alloc;
+
+  // Each component carries its share of the saving, spread over its lines
+  for (const p of parts) {
+    const share = perSet * sets * ((p.unit * p.need) / setValue);
+    const partAlloc = spread(lines, share, (_l, i) => p.idx.includes(i));
+    partAlloc.forEach((a, i) => {
+      alloc[i] += a;
+    });
+  }
+  return alloc;
+}
+
+/**
+ * Per-line discount for a group discount.
+ * lines: [{ productId, quantity, base, amount, eligible }] where `amount` is what the discount
+ * applies to (after earlier discounts) and `base` the undiscounted line total.
+ */
+export function groupDiscountAllocation(discount, lines = []) {
+  const kind = normalizeDiscountKind(discount);
+  let alloc;
+  if (kind === "bxgy") alloc = bxgyAllocation(lines, discount.bxgy);
+  else if (kind === "tiered") alloc = tieredAllocation(lines, { tiers: discount.tiers, tierType: discount.tierType });
+  else if (kind === "bundle") alloc = bundleAllocation(lines, discount.bundle);
+  else return lines.map(() => 0);
+
+  alloc = capAllocation(alloc, getMaxDiscount(discount));
+  return alloc.map((a, i) => clamp(a, 0, Math.max(0, n(lines[i]?.amount, 0))));
+}
+
+function groupTargetsItem(d, item) {
+  if (normalizeDiscountKind(d) === "bundle") return productTargets(d).includes(String(item.productId));
+  const scope = normalizeScope(d);
+  if (scope === "product") return productTargets(d).includes(String(item.productId));
+  if (scope === "category") return categoryTargets(d).includes(String(item.categoryId));
+  return true;
+}
+
+/* ===============================
+   COUPON ELIGIBILITY
+=============================== */
+
+export const COUPON_REASONS = Object.freeze({
+  NOT_FOUND: "COUPON_NOT_FOUND",
+  INACTIVE: "COUPON_INACTIVE",
+  NOT_STARTED: "COUPON_NOT_STARTED",
+  EXPIRED: "COUPON_EXPIRED",
+  NOT_APPLICABLE: "COUPON_NOT_APPLICABLE",
+  MIN_SUBTOTAL: "COUPON_MIN_SUBTOTAL",
+  USAGE_LIMIT: "COUPON_USAGE_LIMIT_REACHED",
+  PER_USER_LIMIT: "COUPON_PER_USER_LIMIT_REACHED",
+  LOGIN_REQUIRED: "COUPON_LOGIN_REQUIRED",
+  FIRST_ORDER_ONLY: "COUPON_FIRST_ORDER_ONLY",
+  SEGMENT: "COUPON_SEGMENT_MISMATCH",
+  PAYMENT_METHOD: "COUPON_PAYMENT_METHOD",
+  NOT_FOR_USER: "COUPON_NOT_FOR_USER",
+});
+
+export const CUSTOMER_SEGMENTS = Object.freeze(["all", "new", "returning"]);
+export const NEW_CUSTOMER_DAYS = 30;
+
+// Orders that don't count as "having ordered before"
+const NON_COUNTING_ORDER_STATUSES = ["cancelled", "canceled", "failed", "payment_failed"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function reason(code, message, extra = {}) {
+  return { code, message, ...extra };
+}
+
+function couponSegment(d) {
+  const s = String(d?.customerSegment || "all").trim().toLowerCase();
+  return CUSTOMER_SEGMENTS.includes(s) ? s : "all";
+}
+
+function allowedPaymentMethods(d) {
+  const list = Array.isArray(d?.allowedPaymentMethods) ? d.allowedPaymentMethods : [];
+  return [...new Set(list.map((m) => String(m || "").trim().toLowerCase()).filter(Boolean))];
+}
+
+function allowedUserIds(d) {
+  return Array.isArray(d?.allowedUserIds) ? d.allowedUserIds.map((id) => String(id)) : [];
+}
+
+function needsCustomerFacts(d) {
+  return (
+    d?.perUserLimit != null ||
+    d?.firstOrderOnly === true ||
+    couponSegment(d) !== "all" ||
+    allowedUserIds(d).length > 0
+  );
+}
+
+/**
+ * Why `coupon` can't be used, or null when it can.
+ * facts = { now, subtotal, targetsCart, userId, paymentMethod,
+ *           userRedemptions, priorOrders, customerSince }
+ * Customer facts are only read for the rules that need them.
+ */
+export function couponIneligibility(coupon, facts = {}) {
+  const now = facts.now || new Date();
+  if (!coupon) return reason(COUPON_REASONS.NOT_FOUND, "This coupon code doesn't exist.");
+
+  if (!isActiveDiscount(coupon) || isDisabledDiscount(coupon) || coupon.deletedAt) {
+    return reason(COUPON_REASONS.INACTIVE, "This coupon is not active.");
+  }
+  const start = asDateOrNull(getStart(coupon));
+  if (start && start > now) {
+    return reason(COUPON_REASONS.NOT_STARTED, "This coupon is not valid yet.", { startsAt: start.toISOString() });
+  }
+  const end = asDateOrNull(getEnd(coupon));
+  if (end && end < now) {
+    return reason(COUPON_REASONS.EXPIRED, "This coupon has expired.", { endedAt: end.toISOString() });
+  }
+  if (facts.targetsCart === false) {
+    return reason(COUPON_REASONS.NOT_APPLICABLE, "This coupon doesn't apply to the items in your cart.");
+  }
+
+  const minCart = getMinCartSubtotal(coupon);
+  const subtotal = n(facts.subtotal, 0);
+  if (minCart && subtotal < minCart) {
+    return reason(COUPON_REASONS.MIN_SUBTOTAL, `Add Rs ${Math.ceil(minCart - subtotal)} more to use this coupon.`, {
+      minSubtotal: minCart,
+      shortBy: minCart - subtotal,
+    });
+  }
+
+  const usageLimit = coupon.usageLimitTotal ?? null;
+  if (usageLimit != null && n(coupon.usedCount, 0) >= n(usageLimit, Infinity)) {
+    return reason(COUPON_REASONS.USAGE_LIMIT, "This coupon has been fully redeemed.");
+  }
+
+  if (needsCustomerFacts(coupon) && !facts.userId) {
+    return reason(COUPON_REASONS.LOGIN_REQUIRED, "Log in to use this coupon.");
+  }
+
+  const owners = allowedUserIds(coupon);
+  if (owners.length && !owners.includes(String(facts.userId))) {
+    return reason(COUPON_REASONS.NOT_FOR_USER, "This coupon belongs to another account.");
+  }
+
+  const perUserLimit = coupon.perUserLimit ?? null;
+  if (perUserLimit != null && n(facts.userRedemptions, 0) >= n(perUserLimit, Infinity)) {
+    return reason(COUPON_REASONS.PER_USER_LIMIT, "You've already used this coupon the maximum number of times.", {
+      limit: n(perUserLimit),
+      used: n(facts.userRedemptions, 0),
+    });
+  }
+
+  if (coupon.firstOrderOnly === true && n(facts.priorOrders, 0) > 0) {
+    return reason(COUPON_REASONS.FIRST_ORDER_ONLY, "This coupon is only valid on your first order.");
+  }
+
+  const segment = couponSegment(coupon);
+  if (segment === "new") {
+    const days = n(coupon.newCustomerDays, NEW_CUSTOMER_DAYS);
+    const since = asDateOrNull(facts.customerSince);
+    if (!since || now.getTime() - since.getTime() > days * DAY_MS) {
+      return reason(COUPON_REASONS.SEGMENT, "This coupon is only for new customers.", { segment, newCustomerDays: days });
+    }
+  } else if (segment === "returning" && n(facts.priorOrders, 0) < 1) {
+    return reason(COUPON_REASONS.SEGMENT, "This coupon is for returning customers.", { segment });
+  }
+
+  const methods = allowedPaymentMethods(coupon);
+  const method = String(facts.paymentMethod || "").trim().toLowerCase();
+  if (methods.length && method && !methods.includes(method)) {
+    return reason(COUPON_REASONS.PAYMENT_METHOD, `This coupon is only valid with ${methods.join(" / ").toUpperCase()} payments.`, {
+      allowedPaymentMethods: methods,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Load the customer facts couponIneligibility needs for `coupon` (nothing for plain coupons).
+ */
+export async function loadCouponCustomerFacts(db, coupon, userId) {
+  const uid = userId ? String(userId) : "";
+  if (!uid || !coupon || !needsCustomerFacts(coupon)) return {};
+
+  const uidObj = ObjectId.isValid(uid) ? new ObjectId(uid) : null;
+  const facts = {};
+
+  if (coupon.perUserLimit != null) {
+    const r = await db
+      .collection("couponRedemptions")
+      .findOne({ discountId: String(coupon._id), userId: uid }, { projection: { usedCount: 1 } });
+    facts.userRedemptions = n(r?.usedCount, 0);
+  }
+
+  const segment = couponSegment(coupon);
+  if (coupon.firstOrderOnly === true || segment === "returning") {
+    facts.priorOrders = await db.collection("orders").countDocuments(
+      {
+        userId: { $in: uidObj ? [uidObj, uid] : [uid] },
+        status: { $nin: NON_COUNTING_ORDER_STATUSES },
+      },
+      { limit: 1 }
+    );
+  }
+
+  if (segment === "new" && uidObj) {
+    const user = await db.collection("users").findOne({ _id: uidObj }, { projection: { createdAt: 1 } });
+    facts.customerSince = user ? asDateOrNull(user.createdAt) || uidObj.getTimestamp() : null;
+  }
+
+  return facts;
+}
+
+/**
+ * Conditions the cart can't check yet (payment method is chosen at checkout).
+ */
+function pendingCouponConditions(coupon, paymentMethod) {
+  const methods = allowedPaymentMethods(coupon);
+  return methods.length && !paymentMethod ? { allowedPaymentMethods: methods } : null;
+}
+
 /**
  * applyDiscounts(cart, context)
  * cart = { items: [{ productId, quantity, price, sellerId, categoryId? }], shippingFee }
- * context = { db, couponCode }
+ * context = { db, couponCode, userId?, paymentMethod? }
+ *   userId enables per-user / first-order / segment coupon rules (coupons with those rules
+ *   are ineligible without it); paymentMethod enforces allowedPaymentMethods when known.
  */
 export async function applyDiscounts(cart, context) {
-  const { db, couponCode } = context || {};
+  const { db, couponCode, userId = null, paymentMethod = null } = context || {};
   if (!db) throw new Error("applyDiscounts requires context.db");
 
   const Discounts = db.collection("discounts");
@@ -357,35 +793,70 @@ export async function applyDiscounts(cart, context) {
     adminTargetsCart(d, { productIdSet, categoryIdSet })
   );
 
-  // Coupon match (by code)
-  const matchedCoupon =
-    code &&
-    pickHighestPriority(
-      adminEligible.filter((d) => {
-        const dCode = getDiscountCode(d);
-        return dCode === code && normalizeCodeType(d) === "coupon";
-      })
-    );
+  // Coupon match (by code), then eligibility for this cart + customer
+  let matchedCoupon = null;
+  let couponEligibility = null;
+
+  if (code) {
+    const byCode = (d) => getDiscountCode(d) === code && normalizeCodeType(d) === "coupon";
+    const couponDoc =
+      pickHighestPriority(adminEligible.filter(byCode)) ||
+      pickHighestPriority(adminAll.filter(byCode)) ||
+      // Not active / out of window: look it up anyway so we can say why
+      (await Discounts.findOne({
+        authority: "admin",
+        codeType: "coupon",
+        code,
+        $or: [{ deletedAt: null }, { deletedAt: { $exists: false } }],
+      }));
+
+    const customerFacts = await loadCouponCustomerFacts(db, couponDoc, userId);
+    const ineligible = couponIneligibility(couponDoc, {
+      now,
+      subtotal,
+      targetsCart: couponDoc ? adminTargetsCart(couponDoc, { productIdSet, categoryIdSet }) : true,
+      userId,
+      paymentMethod,
+      ...customerFacts,
+    });
+
+    matchedCoupon = ineligible ? null : couponDoc;
+    couponEligibility = {
+      code,
+      eligible: !ineligible,
+      discountId: couponDoc?._id ? String(couponDoc._id) : null,
+      reason: ineligible,
+      pending: ineligible ? null : pendingCouponConditions(couponDoc, paymentMethod),
+    };
+  }
 
   // If coupon is free_shipping, treat it as shipping discount (NOT price discount)
   const matchedCouponKind = matchedCoupon ? normalizeDiscountKind(matchedCoupon) : null;
   const adminCouponPrice = matchedCoupon && matchedCouponKind !== "free_shipping" ? matchedCoupon : null;
   const adminCouponShip = matchedCoupon && matchedCouponKind === "free_shipping" ? matchedCoupon : null;
 
-  // Campaign only if no price coupon selected
+  // Campaign only if no price coupon selected. A group campaign the cart doesn't
+  // complete (e.g. buy 2 get 1 with 2 units) doesn't block the next one.
+  const baseLines = normalized.map((it) => ({ ...it, base: it._base, amount: it._base }));
   const adminCampaign = adminCouponPrice
     ? null
-    : pickHighestPriority(
+    : sortByPriority(
         adminEligible.filter((d) => {
           return normalizeCodeType(d) === "campaign" && !getDiscountCode(d);
         })
-      );
+      ).find((d) => {
+        if (!isGroupKind(normalizeDiscountKind(d))) return true;
+        const lines = baseLines.map((l) => ({ ...l, eligible: adminAppliesToItem(l, d) }));
+        return groupDiscountAllocation(d, lines).some((a) => a > 0);
+      }) || null;
 
   const adminPriceDiscount = adminCouponPrice || adminCampaign || null;
 
   // Optional free shipping (either via explicit shipping-scope promo OR via free_shipping coupon)
+  // Coded coupons only apply through couponCode (and its eligibility check above).
   const bestShippingPromo = pickHighestPriority(
     adminAll.filter((d) => {
+      if (normalizeCodeType(d) === "coupon") return false;
       const sc = normalizeScope(d);
       const k = normalizeDiscountKind(d);
       return (
@@ -430,7 +901,9 @@ export async function applyDiscounts(cart, context) {
     const sid = item.sellerId;
     if (!sid) return null;
 
-    const sellerAll = sellerDiscountsBySeller.get(sid) || [];
+    const sellerAll = (sellerDiscountsBySeller.get(sid) || []).filter(
+      (d) => !isGroupKind(normalizeDiscountKind(d))
+    );
 
     const pid = item.productId ? String(item.productId) : null;
     const cid = item.categoryId ? String(item.categoryId) : null;
@@ -457,14 +930,45 @@ export async function applyDiscounts(cart, context) {
     return storeD || null;
   }
 
-  // 1) Apply seller discounts first
+  // 1) Seller discounts first: per-item pick, then group promos claim their lines when better
+  const sellerPick = normalized.map((it) => {
+    const discount = bestSellerDiscountForItem(it);
+    return { discount, amount: discountAmount({ base: it._base, discount }) };
+  });
+  const claimed = normalized.map(() => false);
+
+  for (const sid of sellerIds) {
+    const groups = sortByPriority(
+      (sellerDiscountsBySeller.get(sid) || []).filter((d) => isGroupKind(normalizeDiscountKind(d)))
+    );
+
+    for (const d of groups) {
+      const lines = baseLines.map((l, idx) => ({
+        ...l,
+        eligible: l.sellerId === sid && !claimed[idx] && groupTargetsItem(d, l),
+      }));
+      const alloc = groupDiscountAllocation(d, lines);
+      const total = alloc.reduce((sum, a) => sum + a, 0);
+      if (total <= 0) continue;
+
+      const displaced = lines.reduce((sum, l, idx) => sum + (l.eligible ? sellerPick[idx].amount : 0), 0);
+      if (total < displaced) continue;
+
+      lines.forEach((l, idx) => {
+        if (!l.eligible) return;
+        claimed[idx] = true;
+        sellerPick[idx] = { discount: d, amount: alloc[idx] };
+      });
+    }
+  }
+
   let sellerDiscountTotal = 0;
 
-  const afterSeller = normalized.map((it) => {
+  const afterSeller = normalized.map((it, idx) => {
     const base = it._base;
 
-    const sellerD = bestSellerDiscountForItem(it);
-    const sellerDisc = discountAmount({ base, discount: sellerD });
+    const sellerD = sellerPick[idx].discount;
+    const sellerDisc = clamp(sellerPick[idx].amount, 0, base);
 
     sellerDiscountTotal += sellerDisc;
 
@@ -536,6 +1040,16 @@ export async function applyDiscounts(cart, context) {
             return amt;
           });
         }
+      } else if (isGroupKind(adminKind)) {
+        perLineAdmin = groupDiscountAllocation(
+          adminPriceDiscount,
+          afterSeller.map((it, idx) => ({
+            ...it,
+            base: it._base,
+            amount: it._afterSeller,
+            eligible: itemEligibility[idx],
+          }))
+        );
       }
     }
   }
@@ -617,6 +1131,9 @@ export async function applyDiscounts(cart, context) {
     },
     meta: {
       couponCode: code || null,
+      couponEligibility,
+      couponReason: couponEligibility?.reason?.code || null,
+      couponMessage: couponEligibility?.reason?.message || null,
       sellerIds,
       productIds,
       categoryIds,
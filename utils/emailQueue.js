@@ -0,0 +1,61 @@
+// utils/emailQueue.js
+// Client for the email routing service (services/email-service): POST /api/email/enqueue
+//
+// The service owns templates (templates/emails/*.mjml), retries and suppression; this side
+// only submits jobs. Callers get { ok, status, error } back and decide whether a failed
+// enqueue should fail their request (auth flows usually should not).
+//
+// ENV:
+//  - EMAIL_SERVICE_URL              (default: http://localhost:8088)
+//  - EMAIL_SERVICE_INTERNAL_TOKEN   (required by the service)
+//  - EMAIL_SERVICE_TIMEOUT_MS       (default: 8000)
+
+import axios from "axios";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const EMAIL_SERVICE_URL = (process.env.EMAIL_SERVICE_URL || "http://localhost:8088")
+  .trim()
+  .replace(/\/+$/, "");
+const EMAIL_SERVICE_INTERNAL_TOKEN = (process.env.EMAIL_SERVICE_INTERNAL_TOKEN || "").trim();
+const EMAIL_SERVICE_TIMEOUT_MS = Number(process.env.EMAIL_SERVICE_TIMEOUT_MS || 8000);
+
+/**
+ * Enqueue one templated email.
+ * payload: { type, templateId, subject, to: string|string[], variables?, idempotencyKey,
+ *            priority?, fromKey?, meta? }
+ */
+export async function enqueueEmail(payload = {}) {
+  const to = (Array.isArray(payload.to) ? payload.to : [payload.to]).filter(Boolean);
+  if (!to.length) return { ok: false, status: 0, error: "No recipient" };
+
+  const body = {
+    ...payload,
+    to,
+    priority: payload.priority || "normal",
+    meta: { sourceService: "glamzi-ecommerce", ...(payload.meta || {}) },
+  };
+
+  try {
+    const res = await axios.post(`${EMAIL_SERVICE_URL}/api/email/enqueue`, body, {
+      timeout: Number.isFinite(EMAIL_SERVICE_TIMEOUT_MS) ? EMAIL_SERVICE_TIMEOUT_MS : 8000,
+      headers: {
+        "Content-Type": "application/json",
+        ...(EMAIL_SERVICE_INTERNAL_TOKEN ? { "x-internal-token": EMAIL_SERVICE_INTERNAL_TOKEN } : {}),
+      },
+      validateStatus: () => true,
+    });
+
+    if (res.status >= 200 && res.status < 300) {
+      return { ok: true, status: res.status, data: res.data };
+    }
+
+    const error = res.data?.error?.message || `HTTP ${res.status}`;
+    console.error("[EMAIL_QUEUE] enqueue rejected:", { type: body.type, status: res.status, error });
+    return { ok: false, status: res.status, error };
+  } catch (err) {
+    console.error("[EMAIL_QUEUE] enqueue failed:", { type: body.type, error: err?.message });
+    return { ok: false, status: 0, error: err?.message || "Email service unreachable" };
+  }
+}
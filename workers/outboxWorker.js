@@ -30,7 +30,8 @@ async function processOne() {
       $set: { status: "processing", lockedAt: now, lockedBy: WORKER_ID, updatedAt: now },
       $inc: { attempts: 1 },
     },
-    { sort: { nextRunAt: 1, createdAt: 1 }, returnDocument: "after" }
+    // Driver 6 returns the document itself unless asked for the metadata wrapper (.value)
+    { sort: { nextRunAt: 1, createdAt: 1 }, returnDocument: "after", includeResultMetadata: true }
   );
 
   const job = claimed?.value;
@@ -0,0 +1,42 @@
+import os from "os";
+import { client } from "../dbConfig.js";
+import { processDueRefunds } from "../services/refunds/refundExecutor.js";
+
+const db = client.db(process.env.DB_NAME || "glamzi_ecommerce");
+
+const BATCH_LIMIT = Number(process.env.REFUND_BATCH_LIMIT || 25);
+const POLL_MS = Number(process.env.REFUND_POLL_MS || 30 * 1000);
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+export async function runWorker({ once = false } = {}) {
+  // eslint-disable-next-line no-console
+  console.log(`[refund-worker] started ${WORKER_ID}`);
+
+  do {
+    const results = await processDueRefunds(db, { limit: BATCH_LIMIT });
+    if (results.length) {
+      // eslint-disable-next-line no-console
+      console.log("[refund-worker][batch]", {
+        processed: results.length,
+        succeeded: results.filter((r) => r.terminal === "succeeded").length,
+        failed: results.filter((r) => r.terminal === "failed").length,
+        needsReview: results.filter((r) => r.needsReview).length,
+      });
+    }
+    if (once) break;
+    if (results.length < BATCH_LIMIT) {
+      await new Promise((r) => setTimeout(r, POLL_MS));
+    }
+  } while (true);
+}
+
+if (process.argv[1] && process.argv[1].includes("refundWorker.js")) {
+  const once = process.argv.includes("--once");
+  runWorker({ once })
+    .then(() => process.exit(0))
+    .catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error("[refund-worker] crashed:", err);
+      process.exit(1);
+    });
+}